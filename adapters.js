@@ -0,0 +1,1015 @@
+// ==================== Site Adapters ====================
+// ATS-specific fillers that run before the generic path in fillFormWithAI().
+// An adapter fills the widgets it understands and adds them to processedElements,
+// so the generic batch/individual processing skips them.
+// Loaded after content.js - helpers like fuzzyMatch, recordFieldState, getQuestionForInput and getCvAnalyzedData live there.
+
+const SITE_ADAPTERS = [];
+
+/**
+ * Register a site adapter
+ * @param {Object} adapter - { name, matches(): boolean, fill(userData, context): Promise<Object> }
+ *   fill() receives { processedElements, missingFields } and resolves to { filledFields, totalFields }
+ *   fillsRepeatableSections: true skips the generic "Add another" experience/education handling
+ */
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS.push(adapter);
+}
+
+/**
+ * Find the adapter for the current page
+ * @returns {Object|null} Matching adapter
+ */
+function getSiteAdapter() {
+  return SITE_ADAPTERS.find(adapter => {
+    try {
+      return adapter.matches();
+    } catch (error) {
+      console.warn(`[Site Adapter] ${adapter.name}: matches() failed`, error);
+      return false;
+    }
+  }) || null;
+}
+
+// ==================== Adapter Helpers ====================
+
+/**
+ * Set an input value the way React-based ATS widgets accept it (writeFieldValue - native setter, events, verify/retry)
+ * @param {HTMLInputElement|HTMLTextAreaElement} element
+ * @param {string} value
+ * @param {Object} options - Passed to writeFieldValue (autocomplete inputs keep focus with { blur: false })
+ * @returns {Promise<boolean>} Whether the field kept the value
+ */
+async function setAdapterInputValue(element, value, options = {}) {
+  recordFieldState(element);
+  return writeFieldValue(element, value, options);
+}
+
+/**
+ * Wait until an element matching the selector is present and visible
+ * @param {string} selector - CSS selector
+ * @param {number} timeout - Max wait in ms
+ * @param {Element|Document} root - Where to look
+ * @returns {Promise<HTMLElement|null>}
+ */
+function waitForElement(selector, timeout = 3000, root = document) {
+  const findVisible = () => Array.from(root.querySelectorAll(selector)).find(el => el.offsetParent !== null) || null;
+
+  return new Promise((resolve) => {
+    const found = findVisible();
+    if (found) {
+      resolve(found);
+      return;
+    }
+
+    const observer = new MutationObserver(() => {
+      const element = findVisible();
+      if (element) {
+        clearTimeout(timeoutId);
+        observer.disconnect();
+        resolve(element);
+      }
+    });
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true });
+
+    const timeoutId = setTimeout(() => {
+      observer.disconnect();
+      resolve(null);
+    }, timeout);
+  });
+}
+
+/**
+ * Type into an autocomplete input (location pickers, react-select comboboxes) and click the best suggestion
+ * @param {HTMLInputElement} input - Autocomplete input
+ * @param {string} value - Text to type
+ * @param {string} optionSelector - Selector of suggestion elements
+ * @returns {Promise<boolean>}
+ */
+async function fillAutocompleteInput(input, value, optionSelector) {
+  if (!await setAdapterInputValue(input, value, { blur: false })) return false;
+  input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40, bubbles: true }));
+
+  if (!await waitForElement(optionSelector, 4000)) {
+    console.warn(`[Site Adapter] No suggestions for "${value}"`);
+    return false;
+  }
+
+  const suggestions = Array.from(document.querySelectorAll(optionSelector)).filter(el => el.offsetParent !== null);
+  const texts = suggestions.map(el => el.textContent.trim());
+  const matchedText = fuzzyMatch(value, texts) || texts[0];
+  const suggestion = suggestions.find(el => el.textContent.trim() === matchedText);
+  if (!suggestion) return false;
+
+  suggestion.click();
+  await new Promise(resolve => setTimeout(resolve, 300));
+  return true;
+}
+
+/**
+ * Select an option of a native <select> by text
+ * @param {HTMLSelectElement} select
+ * @param {string} text - Option text (exact, as returned by fuzzyMatch)
+ * @returns {Promise<boolean>} Whether the option is selected
+ */
+async function selectAdapterOption(select, text) {
+  const option = Array.from(select.options).find(opt => opt.text.trim() === text);
+  if (!option) return false;
+
+  recordFieldState(select);
+  return writeFieldValue(select, option.value);
+}
+
+/**
+ * Fill the fields of a known ATS form from a declarative map. Fields without an answer
+ * are left for the generic path (they stay out of processedElements). EEO fields follow the
+ * 'eeo' consent policy: decline (EEO_DECLINE_PATTERN option), skip, or profile (left for the generic path)
+ * @param {Array<Object>} fieldMap - Entries { selector, question, kind?, value?(userData, cvData), optionSelector?, purpose? }
+ *   kind: 'text' (default) | 'select' | 'autocomplete' | 'file' | 'eeo'; purpose: document kind for 'file' (default 'cv')
+ * @param {Object} userData - User data
+ * @param {Object|null} cvData - Analysed CV (cvAnalyzedData)
+ * @param {Object} context - { processedElements, missingFields }
+ * @returns {Promise<Object>} { filledFields, totalFields }
+ */
+async function fillMappedFields(fieldMap, userData, cvData, { processedElements, missingFields }) {
+  let filledFields = 0;
+  let totalFields = 0;
+
+  for (const entry of fieldMap) {
+    const elements = Array.from(document.querySelectorAll(entry.selector)).filter(el => !processedElements.has(el));
+
+    for (const element of elements) {
+      const kind = entry.kind || (element.tagName === 'SELECT' ? 'select' : 'text');
+      const question = entry.question || getQuestionForInput(element) || element.name;
+
+      if (kind === 'file') {
+        processedElements.add(element);
+        totalFields++;
+        await handleFileInput(element, entry.purpose || 'cv');
+        if (element.files && element.files.length > 0) filledFields++;
+        continue;
+      }
+
+      if (kind === 'eeo') {
+        const eeoPolicy = (await getConsentPolicies()).eeo;
+        if (eeoPolicy === 'profile') continue;
+
+        processedElements.add(element);
+        totalFields++;
+        let declined = false;
+        // 'skip' leaves it for the user (reported below)
+        if (eeoPolicy === 'decline') {
+          if (element.tagName === 'SELECT') {
+            const declineText = Array.from(element.options).map(opt => opt.text.trim()).find(text => EEO_DECLINE_PATTERN.test(text));
+            declined = !!declineText && (element.options[element.selectedIndex]?.text.trim() === declineText || await selectAdapterOption(element, declineText));
+          } else {
+            element.click();
+            if (await waitForElement(entry.optionSelector || '[role="option"]')) {
+              const decline = Array.from(document.querySelectorAll(entry.optionSelector || '[role="option"]'))
+                .find(opt => opt.offsetParent !== null && EEO_DECLINE_PATTERN.test(opt.textContent));
+              if (decline) {
+                recordFieldState(element);
+                decline.click();
+                declined = true;
+              } else {
+                element.click();
+              }
+            }
+          }
+        }
+        if (declined) {
+          filledFields++;
+        } else if (missingFields) {
+          missingFields.push({ question, reason: 'Pytanie EEO - odpowiedz samodzielnie', element });
+        }
+        continue;
+      }
+
+      const options = element.tagName === 'SELECT'
+        ? Array.from(element.options).map(opt => opt.text.trim()).filter(text => text && !isPlaceholderAnswer(text))
+        : null;
+      const answer = entry.value ? entry.value(userData, cvData) : getMockAIResponse(question, userData, options);
+      if (!answer) continue;
+
+      processedElements.add(element);
+      totalFields++;
+
+      let filled = false;
+      if (kind === 'select') {
+        const matchedText = fuzzyMatch(answer, options);
+        filled = !!matchedText && await selectAdapterOption(element, matchedText);
+      } else if (kind === 'autocomplete') {
+        filled = !!element.value || await fillAutocompleteInput(element, answer, entry.optionSelector || '[role="option"]');
+      } else {
+        filled = !!element.value || await setAdapterInputValue(element, answer);
+      }
+
+      if (filled) {
+        filledFields++;
+      } else if (missingFields) {
+        missingFields.push({ question, reason: `Nie udało się wybrać "${answer}"`, element });
+      }
+    }
+  }
+
+  return { filledFields, totalFields };
+}
+
+/**
+ * Current company / title from the analysed CV (first experience entry)
+ */
+function getCurrentExperience(cvData) {
+  const experience = cvData?.experience;
+  if (!Array.isArray(experience) || experience.length === 0) return null;
+  return experience.find(entry => !entry.endDate || /present|obecnie/i.test(entry.endDate)) || experience[0];
+}
+
+// ==================== Workday Adapter ====================
+// Workday renders every control inside [data-automation-id="formField-..."] wrappers:
+// prompt-style dropdowns (button[aria-haspopup="listbox"]), multiselect prompts with a search box,
+// dates split into MM / YYYY spinbuttons and "Add Another" blocks for work experience / education
+
+const WORKDAY_HOST_PATTERN = /(^|\.)myworkdayjobs\.com$|(^|\.)myworkday\.com$|(^|\.)myworkdaysite\.com$/i;
+
+// automation id (or id suffix of newer "name--legalName--firstName" style ids) → question for the profile lookup
+const WORKDAY_FIELD_QUESTIONS = [
+  { ids: ['legalNameSection_firstName', 'firstName'], question: 'First name' },
+  { ids: ['legalNameSection_lastName', 'lastName'], question: 'Last name' },
+  { ids: ['email'], question: 'Email' },
+  { ids: ['phone-number', 'phoneNumber'], question: 'Phone number' },
+  { ids: ['addressSection_addressLine1', 'addressLine1'], question: 'Address' },
+  { ids: ['addressSection_city', 'city'], question: 'City' },
+  { ids: ['linkedinQuestion', 'linkedIn'], question: 'LinkedIn' },
+  { ids: ['website'], question: 'Website' }
+];
+
+// Dropdowns whose question text alone gives a wrong profile match
+const WORKDAY_DROPDOWN_DEFAULTS = [
+  { ids: ['phone-device-type', 'phoneType'], option: /mobile|cell|komórk/i }
+];
+
+const WORKDAY_OPTION_SELECTOR = '[data-automation-id="promptOption"], [role="listbox"] [role="option"]';
+
+function matchesWorkdayId(element, ids) {
+  const automationId = element.getAttribute('data-automation-id') || '';
+  const id = element.id || '';
+  return ids.some(candidate => automationId === candidate || id === candidate || id.endsWith(`--${candidate}`));
+}
+
+/**
+ * Question text of a Workday field - label of the surrounding formField wrapper
+ * @param {HTMLElement} element
+ * @returns {string|null}
+ */
+function getWorkdayQuestion(element) {
+  const formField = element.closest('[data-automation-id^="formField-"]');
+  const label = formField?.querySelector('label, legend');
+  const text = label?.textContent.replace(/\*/g, '').trim();
+  return text || getQuestionForInput(element);
+}
+
+/**
+ * Open a prompt-style dropdown, pick the option matching the answer
+ * @param {HTMLElement} button - button[aria-haspopup="listbox"]
+ * @param {string} question - Field question
+ * @param {Object} userData - User data
+ * @param {string|null} presetAnswer - Known answer (e.g. from the CV) - skips the AI/profile lookup
+ * @returns {Promise<boolean>}
+ */
+async function fillWorkdayDropdown(button, question, userData, presetAnswer = null) {
+  button.click();
+  const firstOption = await waitForElement(WORKDAY_OPTION_SELECTOR);
+  if (!firstOption) {
+    console.warn(`[Workday] No options appeared for "${question}"`);
+    return false;
+  }
+
+  const optionElements = Array.from(document.querySelectorAll(WORKDAY_OPTION_SELECTOR)).filter(opt => opt.offsetParent !== null);
+  const optionTexts = optionElements.map(opt => opt.textContent.trim());
+
+  let matchedText = null;
+  const preset = WORKDAY_DROPDOWN_DEFAULTS.find(entry => matchesWorkdayId(button, entry.ids));
+  if (preset) {
+    matchedText = optionTexts.find(text => preset.option.test(text)) || null;
+  } else if (presetAnswer) {
+    matchedText = fuzzyMatch(presetAnswer, optionTexts);
+  } else {
+    const result = await getAIResponse(question, userData, optionTexts);
+    matchedText = result.answer ? fuzzyMatch(result.answer, optionTexts) : null;
+  }
+
+  const option = optionElements.find(opt => opt.textContent.trim() === matchedText);
+  if (!option) {
+    console.warn(`[Workday] No matching option for "${question}"`);
+    // Close the listbox again
+    button.click();
+    return false;
+  }
+
+  recordFieldState(button);
+  option.click();
+  await new Promise(resolve => setTimeout(resolve, 300));
+  console.log(`[Workday] Dropdown "${question}" = "${matchedText}"`);
+  return true;
+}
+
+/**
+ * Type the answer into a multiselect prompt search box and select the best result
+ * @param {HTMLElement} container - [data-automation-id="multiselectInputContainer"]
+ * @param {string} question - Field question
+ * @param {Object} userData - User data
+ * @param {string|null} presetAnswer - Known answer (e.g. from the CV) - skips the AI/profile lookup
+ * @returns {Promise<boolean>}
+ */
+async function fillWorkdayMultiselect(container, question, userData, presetAnswer = null) {
+  const searchBox = container.querySelector('input[data-automation-id="searchBox"], input');
+  if (!searchBox) return false;
+
+  // Already has a selection (Workday shows it as a pill)
+  if (container.querySelector('[data-automation-id="selectedItem"]')) return true;
+
+  const result = presetAnswer ? { answer: presetAnswer } : await getAIResponse(question, userData, null);
+  if (!result.answer) return false;
+
+  if (!await setAdapterInputValue(searchBox, result.answer, { blur: false })) return false;
+  searchBox.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true }));
+
+  if (!await waitForElement(WORKDAY_OPTION_SELECTOR)) {
+    console.warn(`[Workday] Search for "${result.answer}" returned no options ("${question}")`);
+    return false;
+  }
+
+  // Categories open nested lists - follow one level down when the first pick isn't a leaf
+  for (let level = 0; level < 2; level++) {
+    const optionElements = Array.from(document.querySelectorAll(WORKDAY_OPTION_SELECTOR)).filter(opt => opt.offsetParent !== null);
+    const optionTexts = optionElements.map(opt => opt.textContent.trim());
+    const matchedText = fuzzyMatch(result.answer, optionTexts) || optionTexts[0];
+    const option = optionElements.find(opt => opt.textContent.trim() === matchedText);
+    if (!option) return false;
+
+    option.click();
+    await new Promise(resolve => setTimeout(resolve, 400));
+    if (container.querySelector('[data-automation-id="selectedItem"]')) {
+      console.log(`[Workday] Multiselect "${question}" = "${matchedText}"`);
+      return true;
+    }
+  }
+
+  return !!container.querySelector('[data-automation-id="selectedItem"]');
+}
+
+/**
+ * Fill a date widget split into day / month / year spinbuttons
+ * @param {HTMLElement} wrapper - Element containing the dateSection inputs
+ * @param {Object} parts - { year, month, day }
+ * @returns {Promise<boolean>} Whether every present section kept its value
+ */
+async function fillWorkdayDate(wrapper, parts) {
+  const sections = [
+    ['dateSectionDay-input', parts.day],
+    ['dateSectionMonth-input', parts.month],
+    ['dateSectionYear-input', parts.year]
+  ];
+
+  let written = 0;
+  let failed = 0;
+  for (const [automationId, value] of sections) {
+    const input = wrapper.querySelector(`[data-automation-id="${automationId}"]`);
+    if (input && value) {
+      if (await setAdapterInputValue(input, value)) {
+        written++;
+      } else {
+        failed++;
+      }
+    }
+  }
+  return written > 0 && failed === 0;
+}
+
+/**
+ * Make sure a repeatable section has `count` blocks, clicking its "Add" / "Add Another" button
+ * @param {HTMLElement} section - Section wrapper
+ * @param {string} anchorSelector - Selector of a field present once per block
+ * @param {number} count - Wanted number of blocks
+ * @returns {Promise<Array<HTMLElement>>} Anchor field of every block
+ */
+async function ensureWorkdayBlocks(section, anchorSelector, count) {
+  const MAX_BLOCKS = 10;
+  let anchors = Array.from(section.querySelectorAll(anchorSelector));
+
+  while (anchors.length < Math.min(count, MAX_BLOCKS)) {
+    const addButton = Array.from(section.querySelectorAll('button')).find(button =>
+      ['Add', 'Add Another', 'add-button'].includes(button.getAttribute('data-automation-id')) ||
+      /^(add|add another|dodaj|dodaj kolejn\w*)$/i.test(button.textContent.trim())
+    );
+    if (!addButton) break;
+
+    const before = anchors.length;
+    addButton.click();
+
+    // The new block renders asynchronously
+    for (let attempt = 0; attempt < 10 && section.querySelectorAll(anchorSelector).length === before; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+
+    anchors = Array.from(section.querySelectorAll(anchorSelector));
+    if (anchors.length === before) break;
+  }
+
+  return anchors;
+}
+
+/**
+ * Closest ancestor of `anchor` inside `section` that contains only this one block
+ */
+function getWorkdayBlock(anchor, section, anchorSelector) {
+  let block = anchor.parentElement;
+  while (block && block !== section && block.parentElement !== section) {
+    if (block.parentElement.querySelectorAll(anchorSelector).length > 1) break;
+    block = block.parentElement;
+  }
+  return block || section;
+}
+
+function findWorkdayInput(block, ids) {
+  return Array.from(block.querySelectorAll('input, textarea')).find(el => matchesWorkdayId(el, ids)) || null;
+}
+
+function findWorkdayDateWrapper(block, ids) {
+  const wrapper = Array.from(block.querySelectorAll('[data-automation-id^="formField-"]')).find(el =>
+    ids.some(id => el.getAttribute('data-automation-id') === `formField-${id}`)
+  );
+  return wrapper || null;
+}
+
+/**
+ * Fill work experience blocks from the analysed CV
+ * @returns {Promise<Object>} { filledFields, totalFields, elements }
+ */
+async function fillWorkdayExperience(experience) {
+  const stats = { filledFields: 0, totalFields: 0, elements: [] };
+  const section = document.querySelector('[data-automation-id="workExperienceSection"]') ||
+                  document.querySelector('[aria-labelledby*="Work-Experience"], [aria-labelledby*="workExperience"]');
+  if (!section || !experience || experience.length === 0) return stats;
+
+  const anchorSelector = 'input[data-automation-id="jobTitle"], input[id$="--jobTitle"]';
+  const anchors = await ensureWorkdayBlocks(section, anchorSelector, experience.length);
+
+  for (let i = 0; i < anchors.length && i < experience.length; i++) {
+    const entry = experience[i];
+    const block = getWorkdayBlock(anchors[i], section, anchorSelector);
+
+    const values = [
+      [['jobTitle'], entry.role],
+      [['company'], entry.company],
+      [['location'], entry.location],
+      [['description', 'roleDescription'], entry.description]
+    ];
+
+    for (const [ids, value] of values) {
+      const input = findWorkdayInput(block, ids);
+      if (!input) continue;
+      stats.totalFields++;
+      stats.elements.push(input);
+      if (input.value || (value && await setAdapterInputValue(input, value))) {
+        stats.filledFields++;
+      }
+    }
+
+    const isCurrent = !entry.endDate || /present|obecnie/i.test(entry.endDate);
+    const currentCheckbox = findWorkdayInput(block, ['currentlyWorkHere']);
+    if (currentCheckbox && currentCheckbox.checked !== isCurrent) {
+      recordFieldState(currentCheckbox);
+      currentCheckbox.click();
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    const dates = [[['startDate'], entry.startDate], [['endDate'], isCurrent ? null : entry.endDate]];
+    for (const [ids, value] of dates) {
+      const wrapper = findWorkdayDateWrapper(block, ids);
+      const parts = splitCvDate(value);
+      if (!wrapper || !parts) continue;
+      stats.totalFields++;
+      stats.elements.push(...wrapper.querySelectorAll('input'));
+      if (await fillWorkdayDate(wrapper, parts)) stats.filledFields++;
+    }
+  }
+
+  console.log(`[Workday] Work experience: ${stats.filledFields}/${stats.totalFields} fields in ${Math.min(anchors.length, experience.length)} block(s)`);
+  return stats;
+}
+
+/**
+ * Fill education blocks from the analysed CV
+ * @returns {Promise<Object>} { filledFields, totalFields, elements }
+ */
+async function fillWorkdayEducation(education, userData) {
+  const stats = { filledFields: 0, totalFields: 0, elements: [] };
+  const section = document.querySelector('[data-automation-id="educationSection"]') ||
+                  document.querySelector('[aria-labelledby*="Education"], [aria-labelledby*="education"]');
+  if (!section || !education || education.length === 0) return stats;
+
+  const anchorSelector = 'input[data-automation-id="school"], input[id$="--schoolName"], input[id$="--school"]';
+  const anchors = await ensureWorkdayBlocks(section, anchorSelector, education.length);
+
+  for (let i = 0; i < anchors.length && i < education.length; i++) {
+    const entry = education[i];
+    const block = getWorkdayBlock(anchors[i], section, anchorSelector);
+
+    stats.totalFields++;
+    stats.elements.push(anchors[i]);
+    if (entry.institution && !anchors[i].value && await setAdapterInputValue(anchors[i], entry.institution)) {
+      stats.filledFields++;
+    }
+
+    // Degree is a prompt dropdown - the CV value is matched against Workday's options
+    const degreeButton = Array.from(block.querySelectorAll('button[aria-haspopup="listbox"]')).find(button =>
+      button.closest('[data-automation-id="formField-degree"]') || matchesWorkdayId(button, ['degree'])
+    );
+    if (degreeButton && entry.degree) {
+      stats.totalFields++;
+      stats.elements.push(degreeButton);
+      if (await fillWorkdayDropdown(degreeButton, getWorkdayQuestion(degreeButton), userData, entry.degree)) {
+        stats.filledFields++;
+      }
+    }
+
+    const fieldOfStudy = block.querySelector('[data-automation-id="formField-fieldOfStudy"] [data-automation-id="multiselectInputContainer"]');
+    if (fieldOfStudy && entry.field) {
+      stats.totalFields++;
+      stats.elements.push(...fieldOfStudy.querySelectorAll('input'));
+      if (await fillWorkdayMultiselect(fieldOfStudy, getWorkdayQuestion(fieldOfStudy), userData, entry.field)) {
+        stats.filledFields++;
+      }
+    }
+
+    const dates = [[['firstYearAttended', 'startDate'], entry.startDate], [['lastYearAttended', 'endDate'], entry.endDate]];
+    for (const [ids, value] of dates) {
+      const wrapper = findWorkdayDateWrapper(block, ids);
+      const parts = splitCvDate(value);
+      if (!wrapper || !parts) continue;
+      stats.totalFields++;
+      stats.elements.push(...wrapper.querySelectorAll('input'));
+      if (await fillWorkdayDate(wrapper, parts)) stats.filledFields++;
+    }
+  }
+
+  console.log(`[Workday] Education: ${stats.filledFields}/${stats.totalFields} fields`);
+  return stats;
+}
+
+registerSiteAdapter({
+  name: 'Workday',
+  // Experience/education blocks are filled by fillWorkdayExperience/fillWorkdayEducation
+  fillsRepeatableSections: true,
+
+  matches() {
+    return WORKDAY_HOST_PATTERN.test(location.hostname) ||
+      !!document.querySelector('[data-automation-id="applyFlowPage"], [data-automation-id="workdayLogo"]');
+  },
+
+  async fill(userData, { processedElements, missingFields }) {
+    let filledFields = 0;
+    let totalFields = 0;
+
+    const markHandled = (elements) => {
+      for (const element of elements) {
+        processedElements.add(element);
+      }
+    };
+    const reportMissing = (question, element) => {
+      if (missingFields) {
+        missingFields.push({ question, reason: 'Brak danych w bazie wiedzy', element });
+      }
+    };
+
+    // 1. Plain text fields with known automation ids - profile lookup only, unknown ones stay for the generic path
+    for (const input of document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], input:not([type])')) {
+      if (processedElements.has(input) || input.offsetParent === null) continue;
+
+      const mapping = WORKDAY_FIELD_QUESTIONS.find(entry => matchesWorkdayId(input, entry.ids));
+      if (!mapping) continue;
+
+      const answer = getMockAIResponse(mapping.question, userData, null);
+      if (!answer) continue;
+
+      totalFields++;
+      processedElements.add(input);
+      if (input.value || await setAdapterInputValue(input, answer)) {
+        filledFields++;
+      } else if (missingFields) {
+        missingFields.push({ question: mapping.question, reason: `Nie udało się wpisać "${answer}"`, element: input });
+      }
+    }
+
+    // 2. Repeatable work experience / education blocks
+    const cvData = await getCvAnalyzedData();
+    if (cvData) {
+      for (const stats of [await fillWorkdayExperience(cvData.experience), await fillWorkdayEducation(cvData.education, userData)]) {
+        filledFields += stats.filledFields;
+        totalFields += stats.totalFields;
+        markHandled(stats.elements);
+      }
+    }
+
+    // 3. Prompt-style dropdowns
+    for (const button of document.querySelectorAll('[data-automation-id^="formField-"] button[aria-haspopup="listbox"]')) {
+      if (processedElements.has(button) || button.offsetParent === null) continue;
+      processedElements.add(button);
+
+      const question = getWorkdayQuestion(button);
+      if (!question) continue;
+
+      // Workday shows "Select One" until something is picked
+      const current = button.textContent.trim();
+      totalFields++;
+      if (current && !/^select one$|^wybierz/i.test(current)) {
+        filledFields++;
+        continue;
+      }
+
+      if (await fillWorkdayDropdown(button, question, userData)) {
+        filledFields++;
+      } else {
+        reportMissing(question, button);
+      }
+    }
+
+    // 4. Multiselect prompts (search box + option list)
+    for (const container of document.querySelectorAll('[data-automation-id="multiselectInputContainer"]')) {
+      const inputs = Array.from(container.querySelectorAll('input'));
+      if (inputs.some(input => processedElements.has(input)) || container.offsetParent === null) continue;
+      markHandled(inputs);
+
+      const question = getWorkdayQuestion(container);
+      if (!question) continue;
+
+      totalFields++;
+      if (await fillWorkdayMultiselect(container, question, userData)) {
+        filledFields++;
+      } else {
+        reportMissing(question, container);
+      }
+    }
+
+    // 5. Remaining date widgets (e.g. availability) - answer resolved from the question, then split into MM / YYYY
+    for (const wrapper of document.querySelectorAll('[data-automation-id^="formField-"]')) {
+      const dateInputs = Array.from(wrapper.querySelectorAll('[data-automation-id^="dateSection"]'));
+      if (dateInputs.length === 0 || dateInputs.some(input => processedElements.has(input) || input.value)) continue;
+      markHandled(dateInputs);
+
+      const question = getWorkdayQuestion(dateInputs[0]);
+      if (!question) continue;
+
+      totalFields++;
+      const result = await getAIResponse(question, userData, null);
+      const date = result.answer ? parseDateFromText(result.answer) : null;
+      const filled = date && !isNaN(date.getTime()) && await fillWorkdayDate(wrapper, {
+        year: String(date.getFullYear()),
+        month: String(date.getMonth() + 1).padStart(2, '0'),
+        day: String(date.getDate()).padStart(2, '0')
+      });
+      if (filled) {
+        filledFields++;
+      } else {
+        reportMissing(question, dateInputs[0]);
+      }
+    }
+
+    return { filledFields, totalFields };
+  }
+});
+
+// ==================== Greenhouse Adapter ====================
+// Classic boards (boards.greenhouse.io) use job_application[...] names, the newer React boards
+// (job-boards.greenhouse.io) plain ids and react-select comboboxes. Custom questions
+// (job_application[answers_attributes][N][...] / question_N) are left for the AI batch
+
+const GREENHOUSE_HOST_PATTERN = /(^|\.)greenhouse\.io$/i;
+
+const GREENHOUSE_FIELDS = [
+  { selector: '#first_name, input[name="job_application[first_name]"]', question: 'First name' },
+  { selector: '#last_name, input[name="job_application[last_name]"]', question: 'Last name' },
+  { selector: '#email, input[name="job_application[email]"]', question: 'Email' },
+  { selector: '#phone, input[name="job_application[phone]"]', question: 'Phone' },
+  { selector: '#job_application_location, #candidate-location', question: 'City', kind: 'autocomplete',
+    optionSelector: '#location_autocomplete-items-popup li, .ui-autocomplete li, [role="listbox"] [role="option"]' },
+  { selector: 'input[type="file"]#resume, #resume_fieldset input[type="file"], input[type="file"][name="job_application[resume]"]', kind: 'file' },
+  { selector: 'input[type="file"]#cover_letter, #cover_letter_fieldset input[type="file"], input[type="file"][name="job_application[cover_letter]"]', kind: 'file', purpose: 'cover_letter' },
+  { selector: 'input[id*="linkedin" i], input[name*="linkedin" i]', question: 'LinkedIn' },
+  { selector: 'input[id*="website" i], input[id*="portfolio" i]', question: 'Website' },
+  { selector: 'input[id*="github" i]', question: 'GitHub' },
+  { selector: '#job_application_gender, #job_application_race, #job_application_hispanic_ethnicity, #job_application_veteran_status, #job_application_disability_status', kind: 'eeo' },
+  { selector: 'input#gender, input#race, input#hispanic_ethnicity, input#veteran_status, input#disability_status', kind: 'eeo' }
+];
+
+registerSiteAdapter({
+  name: 'Greenhouse',
+
+  matches() {
+    return GREENHOUSE_HOST_PATTERN.test(location.hostname) ||
+      !!document.querySelector('#application_form[action*="greenhouse"], form#application-form input[name="job_application[first_name]"]');
+  },
+
+  async fill(userData, context) {
+    const cvData = await getCvAnalyzedData();
+    const stats = await fillMappedFields(GREENHOUSE_FIELDS, userData, cvData, context);
+    console.log(`[Greenhouse] Filled ${stats.filledFields}/${stats.totalFields} known fields`);
+    return stats;
+  }
+});
+
+// ==================== Lever Adapter ====================
+// jobs.lever.co/<company>/<id>/apply - fixed names for the contact block and urls[...],
+// custom questions live in cards[<uuid>][fieldN] and go to the AI batch
+
+const LEVER_HOST_PATTERN = /(^|\.)lever\.co$/i;
+
+const LEVER_FIELDS = [
+  { selector: 'input[name="name"]', question: 'Full name' },
+  { selector: 'input[name="email"]', question: 'Email' },
+  { selector: 'input[name="phone"]', question: 'Phone' },
+  { selector: 'input[name="location"]', question: 'City', kind: 'autocomplete',
+    optionSelector: '.dropdown-results .dropdown-location, .dropdown-results div' },
+  { selector: 'input[name="org"]', value: (userData, cvData) => getCurrentExperience(cvData)?.company || '' },
+  { selector: 'input[name="urls[LinkedIn]"]', question: 'LinkedIn' },
+  { selector: 'input[name="urls[GitHub]"]', question: 'GitHub' },
+  { selector: 'input[name="urls[Portfolio]"], input[name="urls[Other]"]', question: 'Website' },
+  { selector: 'input[type="file"][name="resume"], #resume-upload-input', kind: 'file' },
+  { selector: 'select[name^="eeo["]', kind: 'eeo' }
+];
+
+registerSiteAdapter({
+  name: 'Lever',
+
+  matches() {
+    return LEVER_HOST_PATTERN.test(location.hostname) ||
+      !!document.querySelector('form#application-form input[name="urls[LinkedIn]"]');
+  },
+
+  async fill(userData, context) {
+    const cvData = await getCvAnalyzedData();
+    const stats = await fillMappedFields(LEVER_FIELDS, userData, cvData, context);
+    console.log(`[Lever] Filled ${stats.filledFields}/${stats.totalFields} known fields`);
+    return stats;
+  }
+});
+
+// ==================== Polish Job Portals ====================
+// pracuj.pl, eRecruiter, JustJoin.it, NoFluffJobs and theprotocol.it share the same problem widgets:
+// "Oczekiwania finansowe" salary ranges, UoP/B2B contract choices and mandatory RODO clauses
+
+const POLISH_PORTAL_FIELDS = [
+  { selector: 'input[name="firstName" i], input[formcontrolname="firstName"], input[name$="FirstName"], input[data-test*="first-name"]', question: 'Imię' },
+  { selector: 'input[name="lastName" i], input[formcontrolname="lastName"], input[name$="LastName"], input[data-test*="last-name"]', question: 'Nazwisko' },
+  { selector: 'input[name="name"], input[formcontrolname="fullName"], input[name="fullName" i]', question: 'Full name' },
+  { selector: 'input[type="email"], input[name="email" i], input[formcontrolname="email"]', question: 'Email' },
+  { selector: 'input[type="tel"], input[name*="phone" i], input[formcontrolname*="phone" i]', question: 'Telefon' },
+  { selector: 'input[name*="linkedin" i], input[formcontrolname*="linkedin" i]', question: 'LinkedIn' },
+  { selector: 'input[name*="github" i], input[formcontrolname*="github" i]', question: 'GitHub' }
+];
+
+const SALARY_FIELD_PATTERN = /wynagrodzeni|oczekiwania finansowe|pensj|stawk|salary|\brate\b/i;
+const SALARY_MAX_PATTERN = /\b(do|to|max|maks)\b|\(do\)|salaryto|salarymax|_max|-max/i;
+const SALARY_MIN_PATTERN = /\b(od|from|min)\b|\(od\)|salaryfrom|salarymin|_min|-min/i;
+const SALARY_HOURLY_PATTERN = /godzin|\/h\b|per hour|hourly/i;
+
+const CONTRACT_TYPE_PATTERNS = {
+  uop: /umow\w* o prac|\buop\b|employment contract|permanent/i,
+  b2b: /\bb2b\b|kontrakt|działalnoś|self.?employ/i,
+  zlecenie: /zleceni|mandate contract/i,
+  dzielo: /o dzieło|specific.?task/i
+};
+
+const RODO_CLAUSE_PATTERN = /rodo|przetwarzani\w* (moich )?danych|danych osobowych|klauzul\w* informacyjn|gdpr|data processing|personal data/i;
+const MANDATORY_CLAUSE_PATTERN = /wymagan|obowiązkow|niezbędn|bieżąc\w* (procesie|rekrutac)|obecn\w* (procesie|rekrutac)|current recruitment/i;
+
+function classifyContractOption(text) {
+  const match = Object.entries(CONTRACT_TYPE_PATTERNS).find(([, pattern]) => pattern.test(text || ''));
+  return match ? match[0] : null;
+}
+
+/**
+ * Contract types from the profile ("Umowa o pracę albo B2B") in order of preference
+ * @param {Object} userData - User data
+ * @returns {Array<string>} e.g. ['uop', 'b2b']
+ */
+function getPreferredContractTypes(userData) {
+  const text = getMockAIResponse('Preferowana umowa', userData, null) || '';
+  return Object.entries(CONTRACT_TYPE_PATTERNS)
+    .map(([type, pattern]) => ({ type, index: text.search(pattern) }))
+    .filter(entry => entry.index >= 0)
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.type);
+}
+
+/**
+ * Fill salary expectation inputs (single value or from/to range, monthly or hourly)
+ * plus the currency / gross-net / period selects next to them
+ * @returns {Promise<Object>} { filledFields, totalFields }
+ */
+async function fillSalaryExpectations(userData, { processedElements, missingFields }) {
+  let filledFields = 0;
+  let totalFields = 0;
+  const preferred = getPreferredContractTypes(userData);
+
+  const candidates = Array.from(document.querySelectorAll('input[type="number"], input[type="text"], input:not([type])'))
+    .filter(input => !processedElements.has(input))
+    .map(input => ({
+      input,
+      text: [getQuestionForInput(input), input.name, input.id, input.placeholder, input.getAttribute('formcontrolname')].filter(Boolean).join(' ')
+    }))
+    .filter(({ text }) => SALARY_FIELD_PATTERN.test(text));
+
+  for (const { input, text } of candidates) {
+    // Canonical question - getMockAIResponse handles ranges ("(od)"/"(do)") and hourly rates
+    const hourly = SALARY_HOURLY_PATTERN.test(text);
+    const bound = SALARY_MAX_PATTERN.test(text) ? ' (do)' : SALARY_MIN_PATTERN.test(text) ? ' (od)' : '';
+    const question = `Oczekiwane wynagrodzenie${hourly ? ' PLN/h' : ''}${bound}`;
+    const answer = getMockAIResponse(question, userData, null);
+    if (!answer) continue;
+
+    processedElements.add(input);
+    totalFields++;
+    if (input.value || await setAdapterInputValue(input, answer.replace(/\D/g, '') || answer)) {
+      filledFields++;
+    } else if (missingFields) {
+      missingFields.push({ question: getQuestionForInput(input) || question, reason: `Nie udało się wpisać "${answer}"`, element: input });
+    }
+
+    // Currency / gross-net / period selects live in the same widget
+    const widget = input.closest('fieldset, [class*="salary" i], [data-test*="salary"], .form-group') || input.parentElement;
+    for (const select of widget ? widget.querySelectorAll('select') : []) {
+      if (processedElements.has(select)) continue;
+      processedElements.add(select);
+
+      const texts = Array.from(select.options).map(opt => opt.text.trim());
+      const wanted = texts.find(t => /^pln$|złot/i.test(t)) ||
+        texts.find(t => (preferred[0] === 'b2b' ? /netto|net/i : /brutto|gross/i).test(t)) ||
+        texts.find(t => (hourly ? /godzin|hour/i : /miesi|month/i).test(t));
+      if (wanted) await selectAdapterOption(select, wanted);
+    }
+  }
+
+  return { filledFields, totalFields };
+}
+
+/**
+ * Select contract types (UoP / B2B / zlecenie) in checkboxes, radios, chip buttons and selects
+ * @returns {Promise<Object>} { filledFields, totalFields }
+ */
+async function fillContractTypes(userData, { processedElements }) {
+  let filledFields = 0;
+  let totalFields = 0;
+  const preferred = getPreferredContractTypes(userData);
+  if (preferred.length === 0) return { filledFields, totalFields };
+
+  const choices = Array.from(document.querySelectorAll('input[type="checkbox"], input[type="radio"], button[aria-pressed], [role="checkbox"], [role="radio"]'))
+    .filter(el => !processedElements.has(el))
+    .map(el => ({ el, type: classifyContractOption(el.tagName === 'INPUT' ? getQuestionForInput(el) : el.textContent) }))
+    .filter(choice => choice.type);
+
+  // Radios: one pick per group - the most preferred available type
+  const radioGroups = new Map();
+  for (const choice of choices) {
+    processedElements.add(choice.el);
+    if (choice.el.type === 'radio' || choice.el.getAttribute('role') === 'radio') {
+      const group = choice.el.name || choice.el.closest('[role="radiogroup"]') || 'default';
+      if (!radioGroups.has(group)) radioGroups.set(group, []);
+      radioGroups.get(group).push(choice);
+      continue;
+    }
+
+    totalFields++;
+    const isOn = choice.el.type === 'checkbox'
+      ? choice.el.checked
+      : (choice.el.getAttribute('aria-pressed') || choice.el.getAttribute('aria-checked')) === 'true';
+    if (preferred.includes(choice.type) && !isOn) {
+      recordFieldState(choice.el);
+      choice.el.click();
+    }
+    filledFields++;
+  }
+
+  for (const group of radioGroups.values()) {
+    totalFields++;
+    const pick = preferred.map(type => group.find(choice => choice.type === type)).find(Boolean);
+    if (pick) {
+      recordFieldState(pick.el);
+      pick.el.click();
+      filledFields++;
+    }
+  }
+
+  for (const select of document.querySelectorAll('select')) {
+    if (processedElements.has(select)) continue;
+    const texts = Array.from(select.options).map(opt => opt.text.trim());
+    if (texts.filter(classifyContractOption).length < 2) continue;
+
+    processedElements.add(select);
+    totalFields++;
+    const wanted = preferred.map(type => texts.find(t => classifyContractOption(t) === type)).find(Boolean);
+    if (wanted && await selectAdapterOption(select, wanted)) filledFields++;
+  }
+
+  return { filledFields, totalFields };
+}
+
+/**
+ * Check the mandatory RODO clauses (required or marked as needed for this recruitment),
+ * unless the required-privacy consent policy says otherwise.
+ * Optional clauses (future recruitments, marketing) are left to the generic checkbox handling
+ * @returns {Promise<Object>} { filledFields, totalFields }
+ */
+async function fillRodoClauses({ processedElements }) {
+  let filledFields = 0;
+  let totalFields = 0;
+  if ((await getConsentPolicies()).required_privacy !== 'accept') return { filledFields, totalFields };
+
+  for (const box of document.querySelectorAll('input[type="checkbox"], [role="checkbox"]')) {
+    if (processedElements.has(box)) continue;
+
+    const labelText = (box.tagName === 'INPUT' ? getQuestionForInput(box) : box.textContent) ||
+      box.closest('label, li, div')?.textContent || '';
+    if (!RODO_CLAUSE_PATTERN.test(labelText) || classifyConsentText(labelText) !== 'required_privacy') continue;
+
+    const isMandatory = box.required ||
+      box.getAttribute('aria-required') === 'true' ||
+      /\*\s*$|^\s*\*/.test(labelText) ||
+      MANDATORY_CLAUSE_PATTERN.test(labelText);
+    if (!isMandatory) continue;
+
+    processedElements.add(box);
+    totalFields++;
+    const isChecked = box.tagName === 'INPUT' ? box.checked : box.getAttribute('aria-checked') === 'true';
+    if (!isChecked) {
+      recordFieldState(box);
+      box.click();
+    }
+    filledFields++;
+  }
+
+  return { filledFields, totalFields };
+}
+
+/**
+ * Fill one portal page (or one tab of a multi-tab eRecruiter form)
+ */
+async function fillPolishPortalSection(userData, cvData, context) {
+  const results = [
+    await fillMappedFields(POLISH_PORTAL_FIELDS, userData, cvData, context),
+    await fillSalaryExpectations(userData, context),
+    await fillContractTypes(userData, context),
+    await fillRodoClauses(context)
+  ];
+
+  return results.reduce((sum, stats) => ({
+    filledFields: sum.filledFields + stats.filledFields,
+    totalFields: sum.totalFields + stats.totalFields
+  }), { filledFields: 0, totalFields: 0 });
+}
+
+const POLISH_PORTALS = [
+  { name: 'pracuj.pl', hostPattern: /(^|\.)pracuj\.pl$/i },
+  // eRecruiter spreads the form over tabs that render their fields on first visit
+  { name: 'eRecruiter', hostPattern: /(^|\.)erecruiter\.pl$/i, tabSelector: '.nav-tabs [role="tab"], .nav-tabs a[data-toggle="tab"], .tabs a[href^="#"]' },
+  { name: 'JustJoin.it', hostPattern: /(^|\.)justjoin\.it$/i },
+  { name: 'NoFluffJobs', hostPattern: /(^|\.)nofluffjobs\.com$/i },
+  { name: 'theprotocol.it', hostPattern: /(^|\.)theprotocol\.it$/i }
+];
+
+POLISH_PORTALS.forEach(portal => {
+  registerSiteAdapter({
+    name: portal.name,
+
+    matches() {
+      return portal.hostPattern.test(location.hostname);
+    },
+
+    async fill(userData, context) {
+      const cvData = await getCvAnalyzedData();
+      const tabs = portal.tabSelector ? Array.from(document.querySelectorAll(portal.tabSelector)).filter(tab => tab.offsetParent !== null) : [];
+
+      let stats;
+      if (tabs.length > 1) {
+        stats = { filledFields: 0, totalFields: 0 };
+        for (const tab of tabs) {
+          tab.click();
+          await new Promise(resolve => setTimeout(resolve, 500));
+          const tabStats = await fillPolishPortalSection(userData, cvData, context);
+          stats.filledFields += tabStats.filledFields;
+          stats.totalFields += tabStats.totalFields;
+        }
+        // Back to the first tab so the user reviews the form from the start
+        tabs[0].click();
+      } else {
+        stats = await fillPolishPortalSection(userData, cvData, context);
+      }
+
+      console.log(`[${portal.name}] Filled ${stats.filledFields}/${stats.totalFields} known fields`);
+      return stats;
+    }
+  });
+});
+
+console.log('[Site Adapter] Registered adapters:', SITE_ADAPTERS.map(adapter => adapter.name).join(', '));
@@ -1,59 +1,38 @@
-// Available Gemini models for rotation on rate limiting
-// Lite models first for faster responses
-const GEMINI_MODELS = [
-  'gemini-2.0-flash-lite',
-  'gemini-2.5-flash-lite',
-  'gemini-2.0-flash',
-  'gemini-2.5-flash'
-];
-
-// Current model index - rotates through models on 429 errors
-let currentModelIndex = 0;
-
-async function getApiKey() {
-  // First, try to get API key from chrome.storage (user settings)
-  try {
-    const result = await new Promise((resolve) => {
-      chrome.storage.sync.get('geminiApiKey', (result) => {
-        if (chrome.runtime.lastError) {
-          console.warn('Error reading API key from storage:', chrome.runtime.lastError);
-          resolve(null);
-        } else {
-          resolve(result.geminiApiKey);
-        }
-      });
-    });
-
-    // If we found a valid API key in storage, use it
-    if (result && result !== 'YOUR_API_KEY_HERE' && result.trim().length > 0) {
-      return result;
-    }
-  } catch (error) {
-    console.warn('Error accessing storage for API key:', error);
-  }
+// ==================== Background AI Client ====================
+// Provider calls run in background.js (queue, keys, shared model rotation) - never from the page
 
-  // Fallback: try to get API key from config.js (for backward compatibility)
+/**
+ * Active AI provider as reported by the background worker
+ * @returns {Promise<Object|null>} { id, label, supportsFiles }, null when no provider is configured
+ */
+async function getAIProviderInfo() {
   try {
-    const response = await fetch(chrome.runtime.getURL('config.js'));
-    if (!response.ok) {
-      return null;
-    }
-    const text = await response.text();
-    const match = text.match(/const\s+GEMINI_API_KEY\s*=\s*["'](.*)["']/);
-    if (match && match[1] && match[1] !== 'YOUR_API_KEY_HERE') {
-      return match[1];
-    }
-    return null;
+    const response = await chrome.runtime.sendMessage({ action: 'llmInfo' });
+    return response?.provider || null;
   } catch (error) {
-    console.warn('Error reading config.js:', error);
+    console.warn('[AI Provider] Background worker unavailable:', error.message);
     return null;
   }
 }
 
+/**
+ * Send a request to the active AI provider through the background worker
+ * @param {Object} request - { prompt, files?, schema? }
+ * @param {number} timeoutMs - Timeout per attempt
+ * @returns {Promise<string>} Response text
+ */
+async function requestLLM(request, timeoutMs) {
+  const response = await chrome.runtime.sendMessage({ action: 'llmRequest', request, timeoutMs });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'No response from the background worker');
+  }
+  return response.text;
+}
+
 async function getAIResponse(question, userData, options) {
   // CHANGED: Try mock data first (from "Twoje dane"), then AI
   // This is faster and cheaper than calling AI first
-  // Returns: { answer: string, source: 'mock' | 'ai' | 'empty' }
+  // Returns: { answer: string, source: 'mock' | 'cache' | 'ai' | 'empty' }
   const mockAnswer = getMockAIResponse(question, userData, options);
   if (mockAnswer) {
     console.log('[Gemini Filler] Using mock response from user data');
@@ -61,13 +40,22 @@ async function getAIResponse(question, userData, options) {
   }
 
   // If no mock answer, try AI
-  const apiKey = await getApiKey();
+  const provider = await getAIProviderInfo();
 
-  if (apiKey && apiKey !== 'TWOJ_KLUCZ_API' && apiKey !== 'YOUR_API_KEY_HERE') {
+  if (provider) {
     try {
+      const cacheQuestion = { question, options };
+      const contextHash = await getAnswerCacheContextHash(userData);
+      const cached = (await readCachedAnswers(contextHash, [cacheQuestion]))[0];
+      if (cached) {
+        console.log(`[Answer Cache] Cached answer for "${question}": "${cached.answer}"`);
+        return { answer: cached.answer, source: 'cache' };
+      }
+
       console.log('[Gemini Filler] No mock answer, trying AI...');
-      const aiAnswer = await getRealAIResponse(question, userData, apiKey, options);
+      const aiAnswer = await getRealAIResponse(question, userData, options);
       console.log(`[Gemini Filler] AI response for "${question}": "${aiAnswer}"`);
+      await storeCachedAnswers(contextHash, [cacheQuestion], { 0: { answer: aiAnswer, confidence: null, unknown: !aiAnswer } });
       return { answer: aiAnswer, source: 'ai' };
     } catch (error) {
       // If AI fails (timeout, error, etc.), return empty (skip field)
@@ -76,33 +64,130 @@ async function getAIResponse(question, userData, options) {
       return { answer: '', source: 'empty' };
     }
   } else {
-    console.log('[Gemini Filler] No API key configured and no mock response available. Set your API key in extension settings.');
+    console.log('[Gemini Filler] No AI provider configured and no mock response available. Set your API key in extension settings.');
     return { answer: '', source: 'empty' };
   }
 }
 
 /**
- * Batch process multiple questions at once for efficiency
+ * Describe HTML field constraints for the prompt
+ * @param {Object|null} constraints - From getFieldConstraints() in content.js
+ * @returns {string} e.g. "max 500 characters, number between 0 and 50" (empty when there are none)
+ */
+function describeFieldConstraints(constraints) {
+  if (!constraints) return '';
+  const parts = [];
+
+  if (constraints.maxLength) parts.push(`max ${constraints.maxLength} characters`);
+  if (constraints.minLength) parts.push(`min ${constraints.minLength} characters`);
+  if (constraints.pattern) parts.push(`must match regex /^(?:${constraints.pattern})$/`);
+  if (constraints.format === 'number') parts.push('digits only, no units or words');
+  else if (constraints.format === 'email') parts.push('valid e-mail address');
+  else if (constraints.format === 'url') parts.push('full URL starting with https://');
+  else if (constraints.format === 'tel') parts.push('phone number');
+  if (constraints.min !== undefined && constraints.max !== undefined) parts.push(`between ${constraints.min} and ${constraints.max}`);
+  else if (constraints.min !== undefined) parts.push(`at least ${constraints.min}`);
+  else if (constraints.max !== undefined) parts.push(`at most ${constraints.max}`);
+  if (constraints.step) parts.push(`in steps of ${constraints.step}`);
+  if (constraints.required) parts.push('required, do not leave empty');
+  if (constraints.hint) parts.push(`field hint: "${constraints.hint}"`);
+
+  return parts.join(', ');
+}
+
+/**
+ * Re-ask the AI for a field whose answer was rejected by the form validation
+ * @param {string} question - Question text
+ * @param {Object} userData - User data
+ * @param {Object} constraints - From getFieldConstraints() in content.js
+ * @param {string} previousAnswer - Answer that violated the constraints
+ * @returns {Promise<string>} New answer, empty string when AI is unavailable
+ */
+async function getConstrainedAIResponse(question, userData, constraints, previousAnswer) {
+  const provider = await getAIProviderInfo();
+  if (!provider) {
+    return '';
+  }
+
+  const constrainedQuestion = `${question}
+
+The form rejected the previous answer "${previousAnswer}".
+The answer MUST satisfy: ${describeFieldConstraints(constraints)}.`;
+
+  try {
+    return await getRealAIResponse(constrainedQuestion, userData, null);
+  } catch (error) {
+    console.warn('[Gemini Filler] Constrained re-ask failed:', error.message);
+    return '';
+  }
+}
+
+/**
+ * Batch process multiple questions at once for efficiency. Cached answers are reused,
+ * only the remaining questions go to the AI
  * @param {Array} questions - Array of {question: string, options: array|null}
  * @param {Object} userData - User's data
- * @returns {Object} - Mapping of question to answer
+ * @returns {Object} - { idx: { answer, confidence (0-1 or null), unknown, cached? } }
  */
 async function getBatchAIResponse(questions, userData) {
-  const apiKey = await getApiKey();
+  const provider = await getAIProviderInfo();
 
-  if (!apiKey || apiKey === 'TWOJ_KLUCZ_API' || apiKey === 'YOUR_API_KEY_HERE') {
-    console.log('[Gemini Filler] No API key for batch processing, using mock responses');
-    // Fallback to individual mock responses
-    const result = {};
-    questions.forEach((q, idx) => {
-      const mockAnswer = getMockAIResponse(q.question, userData, q.options);
-      if (mockAnswer) {
-        result[idx] = mockAnswer;
-      }
-    });
+  if (!provider) {
+    console.log('[Gemini Filler] No AI provider for batch processing, using mock responses');
+    return getMockBatchAnswers(questions, userData);
+  }
+
+  const contextHash = await getAnswerCacheContextHash(userData);
+  const result = await readCachedAnswers(contextHash, questions);
+  const pendingIndexes = questions.map((_, idx) => idx).filter(idx => !result[idx]);
+  const pendingQuestions = pendingIndexes.map(idx => questions[idx]);
+
+  if (pendingIndexes.length < questions.length) {
+    console.log(`[Answer Cache] ${questions.length - pendingIndexes.length}/${questions.length} batch answer(s) from cache`);
+  }
+  if (pendingQuestions.length === 0) {
     return result;
   }
 
+  const answers = await requestBatchAnswers(pendingQuestions, userData);
+  if (answers) {
+    await storeCachedAnswers(contextHash, pendingQuestions, answers);
+  }
+
+  const pendingAnswers = answers || getMockBatchAnswers(pendingQuestions, userData);
+  Object.entries(pendingAnswers).forEach(([idx, entry]) => {
+    if (pendingIndexes[idx] !== undefined) {
+      result[pendingIndexes[idx]] = entry;
+    }
+  });
+  return result;
+}
+
+/**
+ * Answers from user data only, in the structured batch format
+ * @param {Array} questions - Array of {question: string, options: array|null}
+ * @param {Object} userData - User's data
+ * @returns {Object} - { idx: { answer, confidence: null, unknown: false } }
+ */
+function getMockBatchAnswers(questions, userData) {
+  const result = {};
+  questions.forEach((q, idx) => {
+    const mockAnswer = getMockAIResponse(q.question, userData, q.options);
+    if (mockAnswer) {
+      result[idx] = { answer: mockAnswer, confidence: null, unknown: false };
+    }
+  });
+  return result;
+}
+
+/**
+ * Ask the AI for a batch with structured output - every answer carries the model's confidence
+ * and an "unknown" marker instead of a guess
+ * @param {Array} questions - Array of {question: string, options: array|null}
+ * @param {Object} userData - User's data
+ * @returns {Promise<Object|null>} - { idx: { answer, confidence (0-1 or null), unknown } }, null when the call failed
+ */
+async function requestBatchAnswers(questions, userData) {
   // Check if CV data and custom prompt should be used
   const settings = await new Promise(resolve => {
     chrome.storage.local.get(['useCvData', 'cvAnalyzedData', 'useCustomPrompt', 'customPrompt'], resolve);
@@ -172,6 +257,11 @@ CV Data (additional information extracted from user's resume):
         questionsList += ` [Options: ${validOptions.join(', ')}]`;
       }
 
+      const constraintText = describeFieldConstraints(q.constraints);
+      if (constraintText) {
+        questionsList += ` [Constraints: ${constraintText}]`;
+      }
+
       questionsList += '\n';
     });
 
@@ -192,6 +282,7 @@ MATCHING GUIDELINES:
 - Match concepts, not exact words (e.g., "Education level" = "Wykształcenie", "Years of experience" = "Lata doświadczenia")
 - For SELECT and RADIO questions with [Options], you MUST return one of the exact option texts
 - For DATEPICKER questions, return date in YYYY-MM-DD format (e.g., "2025-03-15")
+- When [Constraints] are given, the answer MUST satisfy them (stay under the character limit, match the pattern, keep numbers within min/max)
 - IMPORTANT: Translate Polish values to English options when needed:
   * "Mężczyzna" → "Male", "Kobieta" → "Female"
   * "Polska" → "Poland", "Niemcy" → "Germany"
@@ -227,22 +318,28 @@ Questions to answer:
         prompt += ` [Options: ${q.options.join(', ')}]`;
       }
 
+      const constraintText = describeFieldConstraints(q.constraints);
+      if (constraintText) {
+        prompt += ` [Constraints: ${constraintText}]`;
+      }
+
       prompt += '\n';
     });
 
     prompt += `
 CRITICAL INSTRUCTIONS:
 1. Return ONLY a valid JSON object, no other text before or after
-2. Format: {"0": "answer0", "1": "answer1", "2": "answer2", ...}
-3. Use the question index (0, 1, 2...) as string keys
-4. When [Options] are provided, you MUST return exact option text (including any special characters)
+2. Format: {"0": {"answer": "...", "confidence": 0.9, "unknown": false}, "1": {...}, ...}
+3. Use the question index (0, 1, 2...) as string keys, with an entry for EVERY question
+4. When [Options] are provided, "answer" MUST be the exact option text (including any special characters)
 5. Match user data values to options intelligently (e.g., if user has "Poland" and options include "Poland (+48)", return "Poland (+48)")
-6. If you cannot determine answer from user data, use empty string ""
-7. Do NOT add explanations, comments, or any text outside the JSON
-8. Do NOT wrap response in markdown code blocks
+6. "confidence" is a number from 0 to 1 - how sure you are that the answer is right for this user
+7. If you cannot determine the answer from user data, set "unknown": true and "answer": "" - do NOT guess
+8. Do NOT add explanations, comments, or any text outside the JSON
+9. Do NOT wrap response in markdown code blocks
 
 Example response:
-{"0": "John Smith", "1": "john@example.com", "2": "3-5 years", "3": "Poland (+48)"}`;
+{"0": {"answer": "John Smith", "confidence": 1, "unknown": false}, "1": {"answer": "3-5 years", "confidence": 0.8, "unknown": false}, "2": {"answer": "", "confidence": 0, "unknown": true}}`;
   }
 
   try {
@@ -250,57 +347,49 @@ Example response:
     console.log('[Gemini Filler] Batch questions:', questions.map((q, i) => `${i}. ${q.question}`).join('\n'));
     console.log('[Gemini Filler] User data keys:', Object.keys(userData).join(', '));
 
-    const response = await getRealAIResponse(prompt, {}, apiKey, null, 30000); // 30s timeout for batch
-
-    // Parse JSON response
+    const schema = buildBatchAnswerSchema(questions);
+    let response;
     try {
-      // Remove markdown code blocks if present
-      let cleanResponse = response.trim();
-      if (cleanResponse.startsWith('```json')) {
-        cleanResponse = cleanResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-      } else if (cleanResponse.startsWith('```')) {
-        cleanResponse = cleanResponse.replace(/```\n?/g, '');
+      response = await requestLLM({ prompt, schema }, 30000); // 30s timeout for batch
+    } catch (error) {
+      // Some OpenAI-compatible servers reject response_format - ask again and repair the free-form JSON
+      if (!error.message.startsWith('Invalid API request')) {
+        throw error;
       }
+      console.warn('[Gemini Filler] Structured output rejected, retrying without schema:', error.message);
+      response = await requestLLM({ prompt }, 30000);
+    }
 
-      const parsed = JSON.parse(cleanResponse);
-      console.log(`[Gemini Filler] Batch AI returned ${Object.keys(parsed).length} answers:`, parsed);
+    const parsed = parseBatchAIResponse(response);
+    if (!parsed) {
+      console.error('[Gemini Filler] Failed to parse batch AI response:', response);
+      return null;
+    }
+    console.log(`[Gemini Filler] Batch AI returned ${Object.keys(parsed).length} answers:`, parsed);
 
-      // Log which questions got empty answers
-      Object.keys(parsed).forEach(key => {
-        if (!parsed[key] || parsed[key] === '') {
-          console.warn(`[Gemini Filler] Batch AI returned empty for question ${key}: "${questions[key]?.question}"`);
-        }
-      });
+    // Log which questions the AI could not answer
+    Object.keys(parsed).forEach(key => {
+      if (parsed[key].unknown) {
+        console.warn(`[Gemini Filler] Batch AI does not know the answer to question ${key}: "${questions[key]?.question}"`);
+      }
+    });
 
-      return parsed;
-    } catch (parseError) {
-      console.error('[Gemini Filler] Failed to parse batch AI response:', parseError);
-      console.error('[Gemini Filler] Response was:', response);
-      // Fallback to individual mock responses
-      const result = {};
-      questions.forEach((q, idx) => {
-        const mockAnswer = getMockAIResponse(q.question, userData, q.options);
-        if (mockAnswer) {
-          result[idx] = mockAnswer;
-        }
-      });
-      return result;
-    }
+    return parsed;
   } catch (error) {
     console.error('[Gemini Filler] Batch AI failed:', error);
-    // Fallback to individual mock responses
-    const result = {};
-    questions.forEach((q, idx) => {
-      const mockAnswer = getMockAIResponse(q.question, userData, q.options);
-      if (mockAnswer) {
-        result[idx] = mockAnswer;
-      }
-    });
-    return result;
+    return null;
   }
 }
 
-async function getRealAIResponse(question, userData, apiKey, options, timeoutMs = 15000) {
+/**
+ * Ask the configured AI provider a single question
+ * @param {string} question - Question (or a complete prompt when userData is empty)
+ * @param {Object} userData - User data
+ * @param {Array<string>|null} options - Options to choose from
+ * @param {number} timeoutMs - Timeout per attempt
+ * @returns {Promise<string>} Answer text
+ */
+async function getRealAIResponse(question, userData, options, timeoutMs = 15000) {
   let prompt = `You are an expert recruitment form filler with multilingual capabilities. Your task is to select the best option from a list for a given question, based on the user's data.
 
 User data (may contain Polish values): ${JSON.stringify(userData, null, 2)}
@@ -323,128 +412,7 @@ Question: "${question}"`;
     prompt += `\n\nPlease provide only the answer to the question, without any extra text or explanation.`;
   }
 
-  const maxRetries = 3;
-  let lastError = null;
-  let modelsAttempted = new Set(); // Track which models we've tried
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      // Get current model
-      const currentModel = GEMINI_MODELS[currentModelIndex];
-      modelsAttempted.add(currentModel);
-
-      const API_URL = `https://generativelanguage.googleapis.com/v1/models/${currentModel}:generateContent?key=${apiKey}`;
-
-      console.log(`[Gemini Filler] Using model: ${currentModel} (attempt ${attempt + 1}/${maxRetries})`);
-
-      // Create abort controller for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-      const response = await fetch(API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }]
-        }),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      // Handle specific HTTP error codes
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-
-        if (response.status === 429) {
-          // Rate limiting - rotate to next model
-          console.warn(`[Gemini Filler] Rate limited on ${currentModel}. Rotating to next model...`);
-
-          // Rotate to next model
-          currentModelIndex = (currentModelIndex + 1) % GEMINI_MODELS.length;
-          const nextModel = GEMINI_MODELS[currentModelIndex];
-
-          // If we've tried all models, wait before continuing
-          if (modelsAttempted.has(nextModel)) {
-            const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
-            console.warn(`[Gemini Filler] All models attempted. Waiting ${waitTime}ms before retry...`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-          } else {
-            // Just a short delay before trying the next model
-            await new Promise(resolve => setTimeout(resolve, 500));
-          }
-
-          continue;
-        }
-
-        if (response.status === 400) {
-          throw new Error(`Invalid API request: ${errorData.error?.message || 'Bad request'}`);
-        }
-
-        if (response.status === 403) {
-          throw new Error('API key is invalid or has insufficient permissions');
-        }
-
-        if (response.status === 404) {
-          throw new Error('API endpoint not found. The model may have been updated.');
-        }
-
-        throw new Error(`HTTP error! status: ${response.status}, message: ${errorData.error?.message || 'Unknown error'}`);
-      }
-
-      const data = await response.json();
-
-      // Validate response structure
-      if (!data || !data.candidates || !Array.isArray(data.candidates) || data.candidates.length === 0) {
-        throw new Error('Invalid API response: no candidates returned');
-      }
-
-      const candidate = data.candidates[0];
-
-      if (!candidate.content || !candidate.content.parts || !Array.isArray(candidate.content.parts) || candidate.content.parts.length === 0) {
-        throw new Error('Invalid API response: no content parts found');
-      }
-
-      const text = candidate.content.parts[0].text;
-
-      if (typeof text !== 'string') {
-        throw new Error('Invalid API response: text is not a string');
-      }
-
-      return text.trim();
-
-    } catch (error) {
-      lastError = error;
-
-      // Don't retry on these errors
-      if (error.name === 'AbortError') {
-        console.error(`API request timed out after ${timeoutMs/1000} seconds`);
-        throw new Error(`Request timed out after ${timeoutMs/1000} seconds`);
-      }
-
-      if (error.message.includes('invalid') || error.message.includes('permissions')) {
-        console.error('API error:', error.message);
-        throw error; // Don't retry on auth/config errors
-      }
-
-      // For network errors, retry with exponential backoff
-      if (attempt < maxRetries - 1) {
-        const waitTime = Math.pow(2, attempt) * 1000;
-        console.warn(`Attempt ${attempt + 1} failed. Retrying in ${waitTime}ms...`, error.message);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
-    }
-  }
-
-  // All retries failed
-  console.error('Error calling Gemini API after', maxRetries, 'attempts:', lastError);
-  throw lastError || new Error('Failed to get AI response after multiple attempts');
+  return requestLLM({ prompt }, timeoutMs);
 }
 
 function getMockAIResponse(question, userData, options) {
@@ -633,26 +601,12 @@ function getMockAIResponse(question, userData, options) {
     const isMinField = /\(od\)|\(from\)|\(min\)/i.test(lowerQuestion);
     const isMaxField = /\(do\)|\(to\)|\(max\)/i.test(lowerQuestion);
 
-    // Check if asking for hourly rate (B2B contracts are typically hourly in Poland)
-    const isHourlyRate = /pln\/h|\/h\)|\/h\s|per hour|za godzinę|godzinow|hourly|stawka godzinowa|b2b/i.test(lowerQuestion);
+    // Hourly only when the unit says so - B2B fields are often monthly ("B2B, netto / mies.")
+    const isHourlyRate = /pln\/h|\/h\)|\/h\s|\/h$|per hour|za godzinę|godzinow|hourly|stawka godzinowa/i.test(lowerQuestion);
 
     console.log(`[Mock AI] Salary field analysis: isHourly=${isHourlyRate}, isMin=${isMinField}, isMax=${isMaxField}, question="${question.substring(0, 50)}..."`);
 
-    if (isHourlyRate) {
-      // Try to get hourly rate directly first
-      answer = findUserDataValue(['hourlyRate', 'salaryHourly', 'stawka godzinowa', 'pln/h']) || '';
-      if (!answer) {
-        // Convert monthly salary to hourly (assume 168 working hours per month)
-        const monthlySalary = findUserDataValue(['salary', 'wynagrodzenie', 'expectedSalary']) || '';
-        const monthlyNum = parseToNumber(monthlySalary);
-        if (monthlyNum) {
-          // Convert monthly to hourly (168 hours = average work month)
-          const hourlyRate = Math.round(monthlyNum / 168);
-          answer = hourlyRate.toString();
-          console.log(`[Mock AI] Converted monthly ${monthlyNum} to hourly rate: ${hourlyRate} PLN/h`);
-        }
-      }
-    } else if (isMinField) {
+    if (isMinField) {
       const rawAnswer = findUserDataValue(['salaryMin', 'salaryFrom', 'minSalary', 'wynagrodzenie od', 'salary']) || '';
       const num = parseToNumber(rawAnswer);
       answer = num ? num.toString() : rawAnswer;
@@ -674,6 +628,19 @@ function getMockAIResponse(question, userData, options) {
       const num = parseToNumber(rawAnswer);
       answer = num ? num.toString() : rawAnswer;
     }
+
+    if (isHourlyRate) {
+      // A stored hourly rate wins - the upper end of a range gets the same +20% as monthly ranges
+      const hourlyRate = parseToNumber(findUserDataValue(['hourlyRate', 'salaryHourly', 'stawka godzinowa', 'pln/h']) || '');
+      if (hourlyRate) {
+        answer = (isMaxField ? Math.round(hourlyRate * 1.2) : hourlyRate).toString();
+      } else {
+        // Convert the monthly amount of this bound to hourly (168 hours = average work month)
+        const monthlyNum = parseToNumber(answer);
+        answer = monthlyNum ? Math.round(monthlyNum / 168).toString() : '';
+        console.log(`[Mock AI] Converted monthly ${monthlyNum} to hourly rate: ${answer} PLN/h`);
+      }
+    }
   } else if (lowerQuestion.includes('work permit') || lowerQuestion.includes('work authorization') ||
              lowerQuestion.includes('right to work') || lowerQuestion.includes('work visa') ||
              lowerQuestion.includes('prawo do pracy') || lowerQuestion.includes('zezwolenie na pracę') ||
@@ -902,6 +869,299 @@ function parseDateFromText(text) {
   return null;
 }
 
+// ==================== Structured Batch Output ====================
+
+// Longer option lists (countries, universities) go to the model as plain strings - keeps the schema small
+const BATCH_SCHEMA_MAX_ENUM_OPTIONS = 50;
+
+/**
+ * JSON Schema for a batch response: one { answer, confidence, unknown } entry per question index
+ * @param {Array} questions - Array of {question: string, options: array|null}
+ * @returns {Object} JSON Schema
+ */
+function buildBatchAnswerSchema(questions) {
+  const properties = {};
+  questions.forEach((q, idx) => {
+    const options = [...new Set((q.options || []).filter(opt => typeof opt === 'string' && opt))];
+    const answer = options.length > 0 && options.length <= BATCH_SCHEMA_MAX_ENUM_OPTIONS
+      ? { type: 'string', enum: options }
+      : { type: 'string' };
+    properties[idx] = {
+      type: 'object',
+      properties: {
+        answer,
+        confidence: { type: 'number' },
+        unknown: { type: 'boolean' }
+      },
+      required: ['answer', 'confidence', 'unknown'],
+      additionalProperties: false
+    };
+  });
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Fix the usual defects of hand-written JSON: raw line breaks inside strings,
+ * trailing commas and unquoted numeric keys
+ * @param {string} json
+ * @returns {string}
+ */
+function repairJsonText(json) {
+  let escaped = '';
+  let inString = false;
+  let afterBackslash = false;
+  for (const ch of json) {
+    if (inString) {
+      if (afterBackslash) {
+        afterBackslash = false;
+      } else if (ch === '\\') {
+        afterBackslash = true;
+      } else if (ch === '"') {
+        inString = false;
+      } else if (ch === '\n' || ch === '\r' || ch === '\t') {
+        escaped += ch === '\n' ? '\\n' : ch === '\r' ? '\\r' : '\\t';
+        continue;
+      }
+    } else if (ch === '"') {
+      inString = true;
+    }
+    escaped += ch;
+  }
+
+  return escaped
+    .replace(/,(\s*[}\]])/g, '$1')
+    .replace(/([{,]\s*)(\d+)\s*:/g, '$1"$2":');
+}
+
+/**
+ * Turn a parsed response into { idx: { answer, confidence, unknown } }.
+ * Accepts plain string values too - custom prompts often still ask for {"0": "answer"}
+ * @param {Object|Array} parsed
+ * @returns {Object}
+ */
+function normalizeBatchAnswers(parsed) {
+  // Unwrap {"answers": {...}}
+  if (parsed && !Array.isArray(parsed) && typeof parsed.answers === 'object' &&
+      !Object.keys(parsed).some(key => /^\d+$/.test(key))) {
+    parsed = parsed.answers;
+  }
+
+  const entries = Array.isArray(parsed)
+    ? parsed.map((value, idx) => [String(idx), value])
+    : Object.entries(parsed || {});
+
+  const result = {};
+  entries.forEach(([key, value]) => {
+    if (!/^\d+$/.test(key)) {
+      return;
+    }
+    const entry = value && typeof value === 'object' ? value : { answer: value };
+    const unknown = entry.unknown === true || entry.unknown === 'true';
+    const answer = unknown || entry.answer === null || entry.answer === undefined ? '' : String(entry.answer).trim();
+
+    let confidence = parseFloat(entry.confidence);
+    if (Number.isFinite(confidence)) {
+      // Some models answer in percent
+      confidence = Math.min(1, Math.max(0, confidence > 1 ? confidence / 100 : confidence));
+    } else {
+      confidence = null;
+    }
+
+    result[key] = { answer, confidence, unknown: unknown || answer === '' };
+  });
+  return result;
+}
+
+/**
+ * Parse a batch response. Schema-constrained output parses directly; free-form output
+ * is cut out of markdown/prose and repaired, and as a last resort every well-formed
+ * entry is salvaged on its own so one broken answer does not lose the whole batch
+ * @param {string} response - Raw model output
+ * @returns {Object|null} { idx: { answer, confidence, unknown } }, null when nothing could be read
+ */
+function parseBatchAIResponse(response) {
+  if (!response) {
+    return null;
+  }
+
+  const text = response.replace(/```(?:json)?/gi, '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  const json = start !== -1 && end > start ? text.slice(start, end + 1) : text;
+
+  for (const candidate of [json, repairJsonText(json)]) {
+    try {
+      return normalizeBatchAnswers(JSON.parse(candidate));
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  // Truncated or badly broken output - keep each entry that still parses
+  const salvaged = {};
+  const body = start !== -1 ? text.slice(start) : text;
+  const entryPattern = /"?(\d+)"?\s*:\s*(\{[^{}]*\}|"(?:[^"\\]|\\.)*")/g;
+  let match;
+  while ((match = entryPattern.exec(body)) !== null) {
+    try {
+      salvaged[match[1]] = JSON.parse(repairJsonText(match[2]));
+    } catch (error) {
+      // Skip this entry
+    }
+  }
+
+  if (Object.keys(salvaged).length === 0) {
+    return null;
+  }
+  console.warn(`[Gemini Filler] Batch response was not valid JSON, salvaged ${Object.keys(salvaged).length} answers`);
+  return normalizeBatchAnswers(salvaged);
+}
+
+// ==================== Answer Cache ====================
+// The same standard questions come back on many forms - AI answers are kept in chrome.storage.local
+// 'aiAnswerCache' keyed by the normalized question and option set. Every entry is tied to a hash of the
+// data it was generated from (profile, CV analysis, custom prompt), so editing the profile invalidates it
+
+const ANSWER_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;  // 30 days
+const ANSWER_CACHE_MAX_ENTRIES = 500;
+
+/**
+ * Short 32-bit string hash
+ * @param {string} text
+ * @returns {string}
+ */
+function hashAnswerCacheText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash).toString(36);
+}
+
+/**
+ * Lowercase, no punctuation ("Email address *:" == "email address"), single spaces
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeAnswerCacheText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Cache key of a question - option order does not matter
+ * @param {Object} q - { question, options }
+ * @returns {string}
+ */
+function getAnswerCacheKey(q) {
+  const options = (q.options || [])
+    .filter(opt => typeof opt === 'string')
+    .map(normalizeAnswerCacheText)
+    .sort();
+  return hashAnswerCacheText(`${normalizeAnswerCacheText(q.question)}|${options.join('|')}`);
+}
+
+/**
+ * Whether an answer may be reused on another form
+ * @param {Object} q - { question, options, type }
+ * @param {Object} entry - { answer, unknown }
+ * @returns {boolean}
+ */
+function isCacheableAnswer(q, entry) {
+  if (!entry || entry.unknown || !entry.answer) return false;
+  // Dates like "available from" are computed relative to today
+  if (q.type === 'datepicker') return false;
+  // Selectize without loaded options - the same question later has options
+  if (q.type === 'selectize' && !(q.options || []).length) return false;
+  const options = (q.options || []).filter(opt => typeof opt === 'string');
+  return options.length === 0 || options.includes(entry.answer);
+}
+
+/**
+ * Hash of everything that shapes the answers
+ * @param {Object} userData - User data
+ * @returns {Promise<string>}
+ */
+async function getAnswerCacheContextHash(userData) {
+  const settings = await new Promise(resolve => {
+    chrome.storage.local.get(['useCvData', 'cvAnalyzedData', 'useCustomPrompt', 'customPrompt'], resolve);
+  });
+  return hashAnswerCacheText(JSON.stringify({
+    userData,
+    cv: settings.useCvData ? settings.cvAnalyzedData || null : null,
+    prompt: settings.useCustomPrompt ? settings.customPrompt || null : null
+  }));
+}
+
+/**
+ * Cached answers for the questions
+ * @param {string} contextHash - From getAnswerCacheContextHash()
+ * @param {Array} questions - Array of {question, options}
+ * @returns {Promise<Object>} { idx: { answer, confidence, unknown: false, cached: true } } for hits only
+ */
+async function readCachedAnswers(contextHash, questions) {
+  const { aiAnswerCache = {} } = await new Promise(resolve => {
+    chrome.storage.local.get(['aiAnswerCache'], resolve);
+  });
+
+  const now = Date.now();
+  const hits = {};
+  questions.forEach((q, idx) => {
+    const entry = aiAnswerCache[getAnswerCacheKey(q)];
+    if (entry && entry.contextHash === contextHash && now - entry.storedAt < ANSWER_CACHE_TTL_MS) {
+      hits[idx] = { answer: entry.answer, confidence: entry.confidence, unknown: false, cached: true };
+    }
+  });
+  return hits;
+}
+
+/**
+ * Store AI answers. Expired entries and entries generated from older profile data are dropped,
+ * the oldest ones go when the cache is full
+ * @param {string} contextHash - From getAnswerCacheContextHash()
+ * @param {Array} questions - Array of {question, options, type}
+ * @param {Object} answers - { idx: { answer, confidence, unknown } } for the same questions
+ */
+async function storeCachedAnswers(contextHash, questions, answers) {
+  const { aiAnswerCache = {} } = await new Promise(resolve => {
+    chrome.storage.local.get(['aiAnswerCache'], resolve);
+  });
+
+  const now = Date.now();
+  let stored = 0;
+  questions.forEach((q, idx) => {
+    if (isCacheableAnswer(q, answers[idx])) {
+      aiAnswerCache[getAnswerCacheKey(q)] = {
+        answer: answers[idx].answer,
+        confidence: answers[idx].confidence ?? null,
+        contextHash,
+        storedAt: now
+      };
+      stored++;
+    }
+  });
+  if (stored === 0) return;
+
+  const kept = Object.entries(aiAnswerCache)
+    .filter(([, entry]) => entry.contextHash === contextHash && now - entry.storedAt < ANSWER_CACHE_TTL_MS)
+    .sort((a, b) => b[1].storedAt - a[1].storedAt)
+    .slice(0, ANSWER_CACHE_MAX_ENTRIES);
+
+  await new Promise(resolve => {
+    chrome.storage.local.set({ aiAnswerCache: Object.fromEntries(kept) }, resolve);
+  });
+  console.log(`[Answer Cache] Stored ${stored} answer(s), ${kept.length} in cache`);
+}
+
 // ==================== CV Analysis Functions ====================
 
 /**
@@ -913,18 +1173,17 @@ async function analyzeCVWithAI(cvFile) {
   try {
     console.log('[CV Analyzer] Starting CV analysis...');
 
-    const apiKey = await getApiKey();
-    if (!apiKey) {
-      throw new Error('Brak klucza API. Skonfiguruj klucz w ustawieniach.');
+    const provider = await getAIProviderInfo();
+    if (!provider) {
+      throw new Error('Brak klucza API. Skonfiguruj dostawcę AI w ustawieniach.');
     }
 
     // Extract text from CV
     let cvText = '';
 
     if (cvFile.type === 'application/pdf') {
-      // For PDF, we'll send the data URL directly to Gemini Vision API
-      // Gemini can process PDF directly
-      cvText = await extractTextFromPDF(cvFile.dataUrl, apiKey);
+      // For PDF, we'll send the file directly - Gemini, OpenAI and Anthropic read PDFs
+      cvText = await extractTextFromPDF(cvFile.dataUrl);
     } else {
       // For other formats, try to extract text (simplified)
       throw new Error('Obecnie obsługiwane są tylko pliki PDF. Wkrótce dodamy wsparcie dla innych formatów.');
@@ -933,7 +1192,7 @@ async function analyzeCVWithAI(cvFile) {
     console.log('[CV Analyzer] Extracted text length:', cvText.length);
 
     // Structure data using AI
-    const structuredData = await structureCVDataWithAI(cvText, apiKey);
+    const structuredData = await structureCVDataWithAI(cvText);
 
     // Add metadata
     structuredData.analyzedAt = Date.now();
@@ -960,46 +1219,18 @@ async function analyzeCVWithAI(cvFile) {
 }
 
 /**
- * Extract text from PDF using Gemini Vision API
+ * Extract text from PDF using the provider's document input
  * @param {string} pdfDataUrl - PDF file as data URL
- * @param {string} apiKey - Gemini API key
  * @returns {Promise<string>} Extracted text
  */
-async function extractTextFromPDF(pdfDataUrl, apiKey) {
+async function extractTextFromPDF(pdfDataUrl) {
   try {
     const base64Data = pdfDataUrl.split(',')[1];
 
-    const API_URL = `https://generativelanguage.googleapis.com/v1/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [
-            {
-              inline_data: {
-                mime_type: 'application/pdf',
-                data: base64Data
-              }
-            },
-            {
-              text: 'Extract all text content from this CV/resume document. Return only the raw text without any formatting or additional commentary.'
-            }
-          ]
-        }]
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Gemini API error: ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data = await response.json();
-    const extractedText = data.candidates[0]?.content?.parts[0]?.text || '';
+    const extractedText = await requestLLM({
+      prompt: 'Extract all text content from this CV/resume document. Return only the raw text without any formatting or additional commentary.',
+      files: [{ mimeType: 'application/pdf', data: base64Data, name: 'cv.pdf' }]
+    }, 60000);
 
     if (!extractedText) {
       throw new Error('Nie udało się wyciągnąć tekstu z PDF');
@@ -1016,10 +1247,9 @@ async function extractTextFromPDF(pdfDataUrl, apiKey) {
 /**
  * Structure CV data using AI
  * @param {string} cvText - Raw CV text
- * @param {string} apiKey - Gemini API key
  * @returns {Promise<Object>} Structured CV data
  */
-async function structureCVDataWithAI(cvText, apiKey) {
+async function structureCVDataWithAI(cvText) {
   const prompt = `Przeanalizuj poniższe CV i wyciągnij WSZYSTKIE dane w formacie JSON. Zwróć TYLKO JSON bez żadnego dodatkowego tekstu.
 
 Struktura JSON powinna zawierać:
@@ -1076,30 +1306,8 @@ ${cvText}
 
 WAŻNE: Zwróć TYLKO JSON, bez żadnego dodatkowego tekstu, komentarzy ani formatowania markdown.`;
 
-  const API_URL = `https://generativelanguage.googleapis.com/v1/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
   try {
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }]
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Gemini API error: ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data = await response.json();
-    let jsonText = data.candidates[0]?.content?.parts[0]?.text || '';
+    let jsonText = await requestLLM({ prompt }, 60000);
 
     if (!jsonText) {
       throw new Error('Brak odpowiedzi od AI');
@@ -1,5 +1,8 @@
 // Background Service Worker for Application Tracker
 
+// AI provider layer - all AI network calls run here (see AI Requests below)
+importScripts('providers.js');
+
 // Setup alarm for checking follow-ups
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[Application Tracker] Extension installed, setting up alarms');
@@ -8,6 +11,42 @@ chrome.runtime.onInstalled.addListener(() => {
   chrome.alarms.create('checkFollowUps', {
     periodInMinutes: 60
   });
+
+  // Right-click on an input/textarea/editor fills just that field
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'fill-field',
+      title: 'Wypełnij to pole',
+      contexts: ['editable']
+    });
+  });
+});
+
+// Keyboard shortcuts (configurable in chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || !tab.id) return;
+
+  const messages = {
+    'fill-form': { action: 'fill_form' },
+    'fill-missing-fields': { action: 'fill_form', missingOnly: true },
+    'fill-focused-field': { action: 'fill_field', source: 'shortcut' }
+  };
+  const message = messages[command];
+  if (!message) return;
+
+  // Sent to every frame: fill_form runs in the top frame, fill_field in the frame holding the focus
+  chrome.tabs.sendMessage(tab.id, message).catch(error => {
+    console.log('[Shortcuts] Tab did not respond to', command, ':', error.message);
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== 'fill-field' || !tab || !tab.id) return;
+
+  chrome.tabs.sendMessage(tab.id, { action: 'fill_field', source: 'context_menu' }, { frameId: info.frameId })
+    .catch(error => {
+      console.log('[Context Menu] Frame did not respond:', error.message);
+    });
 });
 
 // Listen for alarms
@@ -81,8 +120,255 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     sendResponse({ success: true });
     return true;
   }
+
+  if (request.action === 'llmRequest') {
+    handleLLMRequest(request.request, request.timeoutMs, getUsageSite(sender)).then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'llmInfo') {
+    getLLMConfig().then(llm => {
+      sendResponse({ provider: llm ? { id: llm.id, label: llm.provider.label, supportsFiles: llm.provider.supportsFiles } : null });
+    });
+    return true;
+  }
+
+  if (request.action === 'relayToFrames') {
+    if (!sender.tab) {
+      sendResponse({ results: [] });
+      return false;
+    }
+    relayToFrames(sender.tab.id, request.message, request.frameIds).then(results => {
+      sendResponse({ results });
+    });
+    return true;
+  }
 });
 
+// ==================== AI Requests ====================
+// Content scripts and extension pages send prompts here instead of calling providers themselves:
+// the page's CSP cannot block the request, the API key never enters a page's process, and
+// model rotation / rate limits are shared by all tabs
+
+// Provider calls in flight across all tabs - more parallel calls only trigger 429s
+const AI_MAX_CONCURRENT_REQUESTS = 2;
+
+const aiRequestQueue = [];
+let activeAIRequests = 0;
+
+// The worker is stopped when idle - keep rotation state for the browser session
+let llmRotationStateRestored = null;
+
+function restoreLLMRotationState() {
+  if (!llmRotationStateRestored) {
+    llmRotationStateRestored = chrome.storage.session.get(['llmRotationState']).then(result => {
+      const state = result.llmRotationState || {};
+      Object.assign(llmModelIndexes, state.modelIndexes || {});
+      Object.assign(llmRateLimitedUntil, state.rateLimitedUntil || {});
+    }).catch(error => {
+      console.warn('[AI Queue] Could not restore model rotation state:', error.message);
+    });
+  }
+  return llmRotationStateRestored;
+}
+
+function saveLLMRotationState() {
+  chrome.storage.session.set({
+    llmRotationState: { modelIndexes: llmModelIndexes, rateLimitedUntil: llmRateLimitedUntil }
+  }).catch(error => {
+    console.warn('[AI Queue] Could not save model rotation state:', error.message);
+  });
+}
+
+// Run a provider call once a slot is free
+function enqueueAIRequest(task) {
+  return new Promise((resolve, reject) => {
+    aiRequestQueue.push({ task, resolve, reject });
+    if (activeAIRequests >= AI_MAX_CONCURRENT_REQUESTS) {
+      console.log('[AI Queue] Request queued,', aiRequestQueue.length, 'waiting');
+    }
+    runQueuedAIRequests();
+  });
+}
+
+function runQueuedAIRequests() {
+  while (activeAIRequests < AI_MAX_CONCURRENT_REQUESTS && aiRequestQueue.length > 0) {
+    const { task, resolve, reject } = aiRequestQueue.shift();
+    activeAIRequests++;
+    task().then(resolve, reject).finally(() => {
+      activeAIRequests--;
+      runQueuedAIRequests();
+    });
+  }
+}
+
+// Answer an llmRequest message: { success, text } or { success: false, error }
+async function handleLLMRequest(request, timeoutMs, site) {
+  let reservedCost = null;  // Set once the call holds a place in today's budget
+  try {
+    const llm = await getLLMConfig();
+    if (!llm) {
+      return { success: false, error: 'Brak klucza API. Skonfiguruj dostawcę AI w ustawieniach.' };
+    }
+    await restoreLLMRotationState();
+    const estimatedCost = estimateAIRequestCost(llm, request);
+    const { text, usage } = await enqueueAIRequest(async () => {
+      // Checked when the request leaves the queue - queued requests count too
+      const budgetError = await reserveAIBudget(estimatedCost);
+      if (budgetError) {
+        throw new Error(budgetError);
+      }
+      reservedCost = estimatedCost;
+      return callLLM(llm, request, timeoutMs);
+    });
+    await recordAIUsage(site, usage, true);
+    return { success: true, text };
+  } catch (error) {
+    console.error('[AI Queue] Request failed:', error.message);
+    if (error.usage) {
+      await recordAIUsage(site, error.usage, false);
+    }
+    return { success: false, error: error.message };
+  } finally {
+    // The usage record is written by now - it takes over from the reservation
+    if (reservedCost !== null) {
+      releaseAIBudget(reservedCost);
+    }
+    saveLLMRotationState();
+  }
+}
+
+// ==================== AI Usage ====================
+// chrome.storage.local 'aiUsage' { 'YYYY-MM-DD': { 'site|provider|model': totals } }, shown on the options page.
+// chrome.storage.sync 'aiBudget' { dailyRequests, dailyCost } - AI calls stop for the day once a limit is reached
+
+const AI_USAGE_HISTORY_DAYS = 90;
+
+// Requests from extension pages (CV analysis in the options)
+const AI_USAGE_EXTENSION_SITE = 'extension';
+
+// Usage updates are read-modify-write - run them one after another
+let aiUsageWriteChain = Promise.resolve();
+
+// Calls that passed the budget check but have no usage record yet. Up to AI_MAX_CONCURRENT_REQUESTS
+// run at once, so the stored totals alone would let each of them through on the same numbers
+const aiUsageInFlight = { requests: 0, cost: 0 };
+
+// Output size assumed for the cost estimate of a call that hasn't run yet
+const AI_ESTIMATED_OUTPUT_TOKENS = 1000;
+
+function getUsageSite(sender) {
+  try {
+    return sender.tab && sender.tab.url ? new URL(sender.tab.url).hostname || AI_USAGE_EXTENSION_SITE : AI_USAGE_EXTENSION_SITE;
+  } catch (error) {
+    return AI_USAGE_EXTENSION_SITE;
+  }
+}
+
+// Add one call to the usage totals (returns the updated aiUsage object)
+function addAIUsageRecord(aiUsage, day, site, usage, success) {
+  const dayUsage = aiUsage[day] || (aiUsage[day] = {});
+  const key = `${site}|${usage.provider}|${usage.model}`;
+  const totals = dayUsage[key] || (dayUsage[key] = {
+    requests: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, latencyMs: 0, retries: 0, rateLimited: 0
+  });
+
+  totals.requests++;
+  if (!success) totals.errors++;
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+  totals.cost += estimateLLMCost(usage.model, usage.inputTokens, usage.outputTokens);
+  totals.latencyMs += usage.latencyMs;
+  totals.retries += usage.retries;
+  totals.rateLimited += usage.rateLimited;
+  return aiUsage;
+}
+
+// Sum of all sites and models of one day
+function getDayUsageTotals(dayUsage) {
+  return Object.values(dayUsage || {}).reduce((sum, totals) => {
+    sum.requests += totals.requests;
+    sum.cost += totals.cost;
+    return sum;
+  }, { requests: 0, cost: 0 });
+}
+
+function recordAIUsage(site, usage, success) {
+  aiUsageWriteChain = aiUsageWriteChain.then(async () => {
+    const { aiUsage = {} } = await chrome.storage.local.get(['aiUsage']);
+    addAIUsageRecord(aiUsage, getUsageDayKey(), site, usage, success);
+
+    // Drop days older than the history window
+    const oldest = getUsageDayKey(new Date(Date.now() - AI_USAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(aiUsage).filter(day => day < oldest).forEach(day => delete aiUsage[day]);
+
+    await chrome.storage.local.set({ aiUsage });
+  }).catch(error => {
+    console.error('[AI Usage] Error saving usage:', error);
+  });
+  return aiUsageWriteChain;
+}
+
+// Estimated cost of a call before it runs (~4 characters per input token), priced with the most
+// expensive configured model - rate limits can rotate the call to any of them
+function estimateAIRequestCost(llm, request) {
+  const inputTokens = Math.ceil((request.prompt || '').length / 4);
+  return Math.max(0, ...llm.models.map(model => estimateLLMCost(model, inputTokens, AI_ESTIMATED_OUTPUT_TOKENS)));
+}
+
+// Error message when today's budget is used up, null otherwise - then the call counts as in flight
+// until releaseAIBudget() (calls in flight are included in the check)
+async function reserveAIBudget(estimatedCost) {
+  const [{ aiBudget = {} }, { aiUsage = {} }] = await Promise.all([
+    chrome.storage.sync.get(['aiBudget']),
+    chrome.storage.local.get(['aiUsage'])
+  ]);
+  const today = getDayUsageTotals(aiUsage[getUsageDayKey()]);
+  const requests = today.requests + aiUsageInFlight.requests;
+  const cost = today.cost + aiUsageInFlight.cost;
+
+  if (aiBudget.dailyRequests > 0 && requests >= aiBudget.dailyRequests) {
+    return `Osiągnięto dzienny limit zapytań AI (${aiBudget.dailyRequests}). Zmień go w ustawieniach lub spróbuj jutro.`;
+  }
+  if (aiBudget.dailyCost > 0 && cost >= aiBudget.dailyCost) {
+    return `Osiągnięto dzienny budżet AI ($${aiBudget.dailyCost}). Zmień go w ustawieniach lub spróbuj jutro.`;
+  }
+
+  // Same synchronous step as the check - a parallel call sees this one when it gets here
+  aiUsageInFlight.requests++;
+  aiUsageInFlight.cost += estimatedCost;
+  return null;
+}
+
+function releaseAIBudget(estimatedCost) {
+  aiUsageInFlight.requests--;
+  aiUsageInFlight.cost = Math.max(0, aiUsageInFlight.cost - estimatedCost);
+}
+
+// Relay a message to the child frames of a tab (content scripts can't address other frames directly)
+async function relayToFrames(tabId, message, frameIds) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+    const targets = frames.filter(frame =>
+      frame.frameId !== 0 &&
+      (!frameIds || frameIds.includes(frame.frameId))
+    );
+
+    return await Promise.all(targets.map(frame =>
+      chrome.tabs.sendMessage(tabId, message, { frameId: frame.frameId })
+        .then(response => ({ frameId: frame.frameId, url: frame.url, response }))
+        .catch(error => {
+          // Frames without our content script (e.g. about:srcdoc ads, extension pages) end up here
+          console.log('[Frame Relay] Frame', frame.frameId, 'did not respond:', error.message);
+          return { frameId: frame.frameId, url: frame.url, response: null };
+        })
+    ));
+  } catch (error) {
+    console.error('[Frame Relay] Error relaying message to frames:', error);
+    return [];
+  }
+}
+
 // Save application to storage
 async function saveApplication(applicationData) {
   try {
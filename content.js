@@ -3,12 +3,13 @@ const link = document.createElement('link');
 link.rel = 'stylesheet';
 link.type = 'text/css';
 link.href = chrome.runtime.getURL('styles.css');
-document.head.appendChild(link);
+// Content script also runs in iframes (all_frames), where about:blank documents may have no <head>
+(document.head || document.documentElement).appendChild(link);
 
 // Inject learning.js
 const script = document.createElement('script');
 script.src = chrome.runtime.getURL('learning.js');
-document.head.appendChild(script);
+(document.head || document.documentElement).appendChild(script);
 
 // ==================== Learning System Bridge ====================
 // Content scripts run in isolated world and can't access page's window directly
@@ -125,2998 +126,6446 @@ document.addEventListener('learning:storageSet', (event) => {
 
 console.log('[Learning Bridge] Event-based communication helpers initialized');
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "fill_form") {
-    showOverlay("Wypełnianie w toku...");
+/**
+ * Run a fill with the loading overlay - used by the popup, the keyboard shortcuts and the site rules
+ * The matching site rule picks the profile and may forbid wizard navigation
+ * @param {Object} options - { preview, wizard, missingOnly }
+ * @returns {Promise<Object>} { status: 'success' | 'error', message }
+ */
+async function runFillWithOverlay({ preview = false, wizard = false, missingOnly = false } = {}) {
+  showOverlay("Wypełnianie w toku...");
 
-    chrome.storage.sync.get('userData', (result) => {
-      // Check for storage errors
-      if (chrome.runtime.lastError) {
-        console.error('[Gemini Filler] Storage error:', chrome.runtime.lastError);
-        showErrorOverlay('Błąd odczytu danych: ' + chrome.runtime.lastError.message);
-        setTimeout(hideOverlay, 3000);
-        sendResponse({ status: "error", message: chrome.runtime.lastError.message });
-        return;
-      }
+  const rule = await getSiteRule();
+  if (wizard && rule && rule.wizard === false) {
+    console.log(`[Site Rules] "${rule.pattern}": wizard navigation not allowed, filling the current step only`);
+    wizard = false;
+  }
 
-      const data = result.userData;
-      if (!data || Object.keys(data).length === 0) {
-        console.log('[Gemini Filler] No user data found. Please set your data in the extension options.');
-        showErrorOverlay('Brak danych użytkownika. Ustaw swoje dane w opcjach rozszerzenia.');
-        setTimeout(hideOverlay, 3000);
-        sendResponse({ status: "error", message: "No user data" });
-        return;
-      }
+  let data;
+  try {
+    data = await loadProfileData(rule ? rule.profile : '');
+  } catch (error) {
+    console.error('[Gemini Filler] Storage error:', error);
+    showErrorOverlay('Błąd odczytu danych: ' + error.message);
+    setTimeout(hideOverlay, 3000);
+    return { status: "error", message: error.message };
+  }
 
-      (async () => {
-        try {
-          await fillFormWithAI(data);
-          // Summary modal is shown inside fillFormWithAI
-          // Hide the loading overlay
-          hideOverlay();
+  if (!data) {
+    console.log('[Gemini Filler] No user data found. Please set your data in the extension options.');
+    showErrorOverlay('Brak danych użytkownika. Ustaw swoje dane w opcjach rozszerzenia.');
+    setTimeout(hideOverlay, 3000);
+    return { status: "error", message: "No user data" };
+  }
 
-          sendResponse({ status: "success" });
-        } catch (error) {
-          console.error('[Gemini Filler] Error filling form:', error);
-          showErrorOverlay('Błąd wypełniania: ' + error.message);
-          setTimeout(hideOverlay, 3000);
-          sendResponse({ status: "error", message: error.message });
-        }
-      })();
-    });
+  // Record every touched field so the run can be undone
+  startFillJournal();
+  try {
+    if (preview) {
+      await previewFormWithAI(data);
+    } else if (wizard) {
+      await fillWizardForm(data);
+    } else {
+      await fillFormWithAI(data, { missingOnly });
+    }
+    // Summary modal is shown inside fillFormWithAI / fillWizardForm (preview shows its panel instead)
+    // Hide the loading overlay
+    hideOverlay();
 
-    return true; // Indicates that the response is sent asynchronously
+    return { status: "success" };
+  } catch (error) {
+    console.error('[Gemini Filler] Error filling form:', error);
+    showErrorOverlay('Błąd wypełniania: ' + error.message);
+    setTimeout(hideOverlay, 3000);
+    return { status: "error", message: error.message };
+  } finally {
+    finishFillJournal();
   }
-});
+}
 
-// ==================== Field Type Detection & Metadata ====================
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === "fill_form") {
+    // Messages from the popup reach every frame - only the top frame drives the fill,
+    // child frames take part through frame_collect/frame_apply
+    if (window !== window.top) {
+      return false;
+    }
 
-/**
- * Detects the type of a form field
- * @param {HTMLElement} element - The form element to analyze
- * @returns {Object} Field metadata { type, options, format, isCustom }
- */
-function detectFieldType(element) {
-  const metadata = {
-    type: 'text',
-    options: null,
-    format: null,
-    isCustom: false,
-    htmlType: element.type || element.tagName.toLowerCase()
-  };
+    runFillWithOverlay({
+      preview: request.preview,
+      wizard: request.wizard,
+      missingOnly: request.missingOnly
+    }).then(sendResponse);
 
-  // SELECTIZE.JS detection (custom select library)
-  // Selectize hides the original SELECT and creates a div-based UI
-  if (element.tagName === 'SELECT' && element.classList.contains('selectized')) {
-    metadata.type = 'selectize';
-    metadata.isCustom = true;
+    return true; // Indicates that the response is sent asynchronously
+  }
 
-    // Try to find selectize container (could be sibling or in parent)
-    let selectizeContainer = element.nextElementSibling;
-    if (!selectizeContainer || !selectizeContainer.classList.contains('selectize-control')) {
-      selectizeContainer = element.parentElement?.querySelector('.selectize-control');
+  // Single field from the keyboard shortcut (focused field) or the context menu (right-clicked field)
+  if (request.action === 'fill_field') {
+    // The shortcut reaches every frame - only the frame holding the focused field answers
+    // (activeElement is still set in frames that lost the focus)
+    if (request.source !== 'context_menu' && !document.hasFocus()) {
+      return false;
     }
 
-    if (selectizeContainer) {
-      // Try to extract options from dropdown (even if hidden)
-      const dropdown = selectizeContainer.querySelector('.selectize-dropdown');
-      if (dropdown) {
-        const optionElements = dropdown.querySelectorAll('.option');
-        if (optionElements.length > 0) {
-          metadata.options = Array.from(optionElements)
-            .map(opt => opt && opt.textContent ? opt.textContent.trim() : '')
-            .filter(Boolean);
-          console.log(`[Selectize Detection] Found ${metadata.options.length} options in dropdown for ${element.id}`);
-        }
+    const target = request.source === 'context_menu' ? lastContextMenuTarget : getDeepActiveElement();
+    const element = resolveFieldElement(target);
+    if (!element) {
+      if (request.source !== 'context_menu') {
+        return false;
       }
+      sendResponse({ status: 'error', message: 'Not a form field' });
+      return false;
+    }
 
-      // If dropdown empty, try clicking to populate it
-      if (!metadata.options || metadata.options.length === 0) {
-        console.log(`[Selectize Detection] Dropdown empty for ${element.id}, will extract options during fill`);
-        metadata.options = []; // Empty array indicates Selectize but options need to be loaded
+    showOverlay('Wypełnianie pola...');
+
+    (async () => {
+      try {
+        const rule = await getSiteRule();
+        const data = await loadProfileData(rule ? rule.profile : '');
+        if (!data) {
+          showErrorOverlay('Brak danych użytkownika. Ustaw swoje dane w opcjach rozszerzenia.');
+          setTimeout(hideOverlay, 3000);
+          sendResponse({ status: 'error', message: 'No user data' });
+          return;
+        }
+
+        startFillJournal();
+        const fieldResult = await fillSingleField(element, data);
+        if (fieldResult.reason) {
+          showErrorOverlay(`${fieldResult.question || 'Pole'}: ${fieldResult.reason}`);
+          setTimeout(hideOverlay, 3000);
+        } else {
+          hideOverlay();
+        }
+        sendResponse({ status: fieldResult.filled ? 'success' : 'error', ...fieldResult });
+      } catch (error) {
+        console.error('[Gemini Filler] Error filling field:', error);
+        showErrorOverlay('Błąd wypełniania: ' + error.message);
+        setTimeout(hideOverlay, 3000);
+        sendResponse({ status: 'error', message: error.message });
+      } finally {
+        finishFillJournal();
       }
-    }
+    })();
 
-    // Fallback: use original SELECT options if found
-    if ((!metadata.options || metadata.options.length === 0) && element.options && element.options.length > 0) {
-      const placeholderPatterns = /^(--|select|choose|wybierz|seleccione|wählen)/i;
-      metadata.options = Array.from(element.options)
-        .map(o => o && o.text ? o.text.trim() : '')
-        .filter(t => t && !placeholderPatterns.test(t));
-      console.log(`[Selectize Detection] Using ${metadata.options.length} options from SELECT element for ${element.id}`);
+    return true;
+  }
+
+  // Revert the last fill run (popup) - the top frame also reverts child frames
+  if (request.action === 'undo_fill') {
+    if (window !== window.top) {
+      return false;
     }
 
-    return metadata;
+    undoLastFillWithOverlay().then(result => {
+      sendResponse({ status: 'success', restored: result.restored, manual: result.manual });
+    });
+    return true;
   }
 
-  // SELECT element (standard)
-  if (element.tagName === 'SELECT') {
-    metadata.type = 'select';
-    const placeholderPatterns = /^(--|select|choose|wybierz|seleccione|wählen)/i;
-    metadata.options = element.options ? Array.from(element.options)
-      .map(o => o && o.text ? o.text.trim() : '')
-      .filter(t => t && !placeholderPatterns.test(t)) : [];
-    return metadata;
+  // Popup status card: what kind of page this is
+  if (request.action === 'classify_page') {
+    if (window !== window.top) {
+      return false;
+    }
+    classifyTab().then(sendResponse);
+    return true;
   }
 
-  // RADIO buttons (role="radiogroup" or input[type="radio"])
-  if (element.getAttribute('role') === 'radiogroup' || element.type === 'radio') {
-    metadata.type = 'radio';
-    if (element.getAttribute('role') === 'radiogroup') {
-      const radioButtons = element.querySelectorAll('button[role="radio"], input[type="radio"]');
-      metadata.options = Array.from(radioButtons).map(rb => {
-        const label = document.querySelector(`label[for="${rb.id}"]`) ||
-                     rb.closest('div')?.querySelector('label') ||
-                     rb.nextElementSibling;
-        return label ? label.textContent.trim() : rb.getAttribute('aria-label') || rb.value || '';
-      }).filter(t => t);
+  // Child frame: own classification for the top frame's classifyTab()
+  if (request.action === 'frame_classify') {
+    sendResponse(classifyPage());
+    return false;
+  }
+
+  // Popup "track" button - tracker modal prefilled from the page
+  if (request.action === 'track_application') {
+    if (window !== window.top) {
+      return false;
     }
-    return metadata;
+    showAddApplicationModalFromContent(extractJobInfoFromPage());
+    sendResponse({ status: 'success' });
+    return false;
   }
 
-  // CHECKBOX
-  if (element.type === 'checkbox') {
-    metadata.type = 'checkbox';
-    return metadata;
+  // Child frame: revert own part of the last fill run
+  if (request.action === 'frame_undo') {
+    undoLastFill().then(result => sendResponse(result));
+    return true;
   }
 
-  // CUSTOM DROPDOWN detection (div-based selects)
-  // Check this BEFORE datepicker to avoid false positives on fields with "data" in class names
-  const dropdownIndicators = [
-    element.getAttribute('role') === 'combobox',
-    element.getAttribute('role') === 'listbox',
-    element.getAttribute('aria-haspopup') === 'listbox',
-    element.getAttribute('aria-haspopup') === 'menu',
-    element.getAttribute('aria-haspopup') === 'dialog',  // Added: dialog-based dropdowns
-    element.className && /select|dropdown|combobox|autocomplete/i.test(element.className),
-    element.tagName === 'BUTTON' && element.getAttribute('aria-expanded') !== null
-  ];
+  // Child frame: report questions for the top frame's batch
+  if (request.action === 'frame_collect') {
+    const formElements = deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR);
 
-  if (dropdownIndicators.some(Boolean)) {
-    metadata.type = 'custom-dropdown';
-    metadata.isCustom = true;
+    // Preview: every field kind, with the answers this frame knows itself (learned, policies, documents)
+    if (request.preview) {
+      (async () => {
+        const previewFields = collectPreviewFields(formElements);
+        const questions = [];
+        for (const field of previewFields) {
+          questions.push(toPreviewFieldDescriptor(field, await getLocalPreviewProposal(field)));
+        }
+        frameFillState = { previewFields };
+        console.log(`[Frame Filler] Collected ${questions.length} preview field(s) in frame ${window.location.href}`);
+        sendResponse({ questions });
+      })();
+      return true;
+    }
 
-    // Try to find options if dropdown is already open
-    // First try using aria-controls for dialog-based dropdowns
-    const ariaControls = element.getAttribute('aria-controls');
-    let listbox = null;
+    const processedElements = new Set();
+    const fields = collectBatchFields(formElements, processedElements);
+    frameFillState = { fields, formElements, processedElements };
 
-    if (ariaControls) {
-      const dialog = document.getElementById(ariaControls);
-      if (dialog) {
-        listbox = dialog;
-      }
-    }
+    // Radios, checkboxes and file inputs are filled during frame_apply even without batch questions
+    const specialFields = Array.from(formElements).filter(el => ['file', 'radio', 'checkbox'].includes(el.type)).length;
 
-    // Fallback to other methods
-    if (!listbox) {
-      listbox = document.querySelector(`[role="listbox"][aria-labelledby="${element.id}"]`) ||
-                document.querySelector(`[role="menu"][aria-labelledby="${element.id}"]`) ||
-                element.nextElementSibling?.querySelector('[role="option"]')?.parentElement;
-    }
+    console.log(`[Frame Filler] Collected ${fields.length} questions in frame ${window.location.href}`);
+    sendResponse({ questions: fields.map(field => field.batchQuestion), specialFields });
+    return false;
+  }
 
-    if (listbox) {
-      const optionElements = listbox.querySelectorAll('[role="option"], [role="menuitem"]');
-      metadata.options = Array.from(optionElements)
-        .map(opt => opt && opt.textContent ? opt.textContent.trim() : '')
-        .filter(Boolean);
-      console.log(`[Field Detection] Found ${metadata.options.length} options for custom dropdown "${element.id}"`);
+  // Child frame: fill own fields with answers resolved by the top frame
+  if (request.action === 'frame_apply') {
+    if (!frameFillState) {
+      sendResponse({ filledFields: 0, totalFields: 0, missingFields: [] });
+      return false;
     }
-    return metadata;
-  }
 
-  // DATEPICKER detection
-  // Exclude common false positives like "gender" by checking more strictly
-  // Use word boundaries to avoid matching "candidate", "update", "mandate" etc.
-  const dateIndicators = [
-    'calendar', 'picker', 'datepicker', 'fecha', 'datum',
-    'birth', 'urodzenia'
-  ];
-  // These need word boundary matching to avoid false positives
-  const dateWordsNeedingBoundary = ['date', 'data', 'dostępność', 'availability'];
+    (async () => {
+      const { fields, formElements, processedElements, previewFields } = frameFillState;
+      const missingFields = [];
+      let totalFields = 0;
+      resetAnswerSources();
 
-  // Helper to check if a word exists with boundaries (not inside another word)
-  const hasWordWithBoundary = (text, word) => {
-    if (!text) return false;
-    const lowerText = text.toLowerCase();
-    // Match word at boundaries (start/end of string, or surrounded by non-word chars)
-    const regex = new RegExp(`(^|[^a-z])${word}([^a-z]|$)`, 'i');
-    return regex.test(lowerText);
-  };
+      startFillJournal();
+      try {
+        if (request.preview && previewFields) {
+          // Only the rows approved in the top frame's preview panel
+          const approved = previewFields
+            .map((field, index) => ({ field, entry: (request.answers || [])[index] }))
+            .filter(({ entry }) => entry && entry.answer);
+          totalFields = approved.length;
+          await applyPreviewAnswers(approved.map(({ field }) => field), approved.map(({ entry }) => entry), request.userData, missingFields);
+        } else if (fields) {
+          totalFields = fields.length;
+          await fillBatchFields(fields, request.answers || [], request.userData, processedElements, missingFields);
+          await fillSpecialFields(formElements, request.userData, processedElements);
+        }
+      } catch (error) {
+        console.error('[Frame Filler] Error filling frame:', error);
+      } finally {
+        finishFillJournal();
+      }
 
-  const hasDateClass = element.className && (
-    dateIndicators.some(ind => element.className.toLowerCase().includes(ind)) ||
-    dateWordsNeedingBoundary.some(word => hasWordWithBoundary(element.className, word))
-  );
-  const hasDateId = element.id && (
-    dateIndicators.some(ind => element.id.toLowerCase().includes(ind)) ||
-    dateWordsNeedingBoundary.some(word => hasWordWithBoundary(element.id, word))
-  );
-  const hasDatePlaceholder = element.placeholder && (
-    dateIndicators.some(ind => element.placeholder.toLowerCase().includes(ind)) ||
-    dateWordsNeedingBoundary.some(word => hasWordWithBoundary(element.placeholder, word))
-  );
-  const hasDateType = element.type === 'date' || element.type === 'datetime-local';
-  const hasDatePattern = element.pattern && /date|dd|mm|yyyy/i.test(element.pattern);
+      frameFillState = null;
+      sendResponse({
+        filledFields: totalFields - missingFields.length,
+        totalFields,
+        // DOM elements can't cross the messaging boundary
+        missingFields: missingFields.map(field => ({ question: field.question, reason: field.reason, constraint: field.constraint })),
+        answerSources: fillAnswerSources
+      });
+    })();
 
-  if (hasDateClass || hasDateId || hasDatePlaceholder || hasDateType || hasDatePattern) {
-    metadata.type = 'datepicker';
-    metadata.format = element.placeholder || 'YYYY-MM-DD';
-    return metadata;
+    return true;
   }
+});
 
-  // TEXTAREA
-  if (element.tagName === 'TEXTAREA') {
-    metadata.type = 'textarea';
-    return metadata;
-  }
+// ==================== Frame Support ====================
+// Forms embedded in iframes (Greenhouse embeds, Workable widgets) are reached through
+// background.js, which relays messages to every frame of the tab (including cross-origin ones)
 
-  // Default: text input
-  return metadata;
-}
+const FORM_ELEMENTS_SELECTOR = 'input, textarea, select, button[aria-haspopup="dialog"], div[role="radiogroup"], [contenteditable]:not([contenteditable="false"])';
+
+// Fields collected by frame_collect, kept until the matching frame_apply
+let frameFillState = null;
 
 /**
- * Fuzzy match answer to available options
- * @param {string} answer - The answer from AI
- * @param {Array<string>} options - Available options
- * @returns {string|null} Best matching option or null
+ * Send a message to child frames of this tab through the background service worker
+ * @param {Object} message - Message delivered to each frame's content script
+ * @param {Array<number>|null} frameIds - Target frames (all child frames when null)
+ * @returns {Promise<Array>} Replies { frameId, url, response }
  */
-function fuzzyMatch(answer, options) {
-  if (!answer || !options || options.length === 0) return null;
+function relayToFrames(message, frameIds = null) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'relayToFrames', message, frameIds }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn('[Frame Filler] Relay failed:', chrome.runtime.lastError.message);
+        resolve([]);
+        return;
+      }
+      resolve((response && response.results) || []);
+    });
+  });
+}
 
-  // Ensure answer is a string
-  const answerStr = typeof answer === 'string' ? answer : String(answer);
-  const answerLower = answerStr.toLowerCase().trim();
+function getFrameLabel(url) {
+  try {
+    return new URL(url).hostname || 'ramka';
+  } catch (error) {
+    return 'ramka';
+  }
+}
 
-  // 1. Exact match (case insensitive)
-  const exactMatch = options.find(opt => opt.toLowerCase().trim() === answerLower);
-  if (exactMatch) return exactMatch;
+/**
+ * Collect batch questions from all child frames
+ * @param {Object} options - { preview: questions are preview field descriptors (all field kinds, local proposals) }
+ * @returns {Promise<Array>} Frame batches { frameId, url, label, questions }
+ */
+async function collectFrameFields({ preview = false } = {}) {
+  const replies = await relayToFrames({ action: 'frame_collect', preview });
+
+  const frameBatches = replies
+    .filter(reply => reply.response && Array.isArray(reply.response.questions) &&
+                     (reply.response.questions.length > 0 || (!preview && reply.response.specialFields > 0)))
+    .map(reply => ({
+      frameId: reply.frameId,
+      url: reply.url,
+      label: getFrameLabel(reply.url),
+      questions: reply.response.questions
+    }));
 
-  // 2. Substring match (answer contains option or vice versa)
-  // Require minimum 4 characters to avoid false positives with short fragments
-  const substringMatch = options.find(opt => {
-    // Skip non-string options
-    if (typeof opt !== 'string') return false;
+  if (frameBatches.length > 0) {
+    console.log(`[Frame Filler] Found questions in ${frameBatches.length} child frame(s):`, frameBatches.map(f => `${f.label} (${f.questions.length})`));
+  }
+  return frameBatches;
+}
 
-    const optLower = opt.toLowerCase().trim();
-    // Only match if substring is at least 4 characters long
-    if (answerLower.length >= 4 && optLower.includes(answerLower)) return true;
-    if (optLower.length >= 4 && answerLower.includes(optLower)) return true;
-    return false;
-  });
-  if (substringMatch) return substringMatch;
+/**
+ * Dispatch batch answers back to the frames that own the questions
+ * @param {Array} frameBatches - Batches from collectFrameFields (with offset into the batch)
+ * @param {Object} batchAnswers - Answers keyed by batch index
+ * @param {Object} userData - User data
+ * @param {Array|null} missingFields - Collector for fields without an answer
+ * @param {Object} options - { preview: answers approved in the preview panel, null = leave the field alone }
+ * @returns {Promise<Array>} Per-frame results { label, filledFields, totalFields }
+ */
+async function applyFrameAnswers(frameBatches, batchAnswers, userData, missingFields, { preview = false } = {}) {
+  const results = [];
+
+  for (const frameBatch of frameBatches) {
+    const answers = frameBatch.questions.map((_, idx) => batchAnswers[frameBatch.offset + idx]);
+    const [reply] = await relayToFrames({ action: 'frame_apply', answers, userData, preview }, [frameBatch.frameId]);
+    const response = reply && reply.response;
+
+    if (!response) {
+      console.warn(`[Frame Filler] No response from frame ${frameBatch.label}`);
+      const unanswered = frameBatch.questions.filter((_, idx) => !preview || answers[idx]);
+      results.push({ label: frameBatch.label, filledFields: 0, totalFields: unanswered.length });
+      if (missingFields) {
+        unanswered.forEach(q => missingFields.push({ question: q.question, reason: 'Ramka nie odpowiedziała', frame: frameBatch.label }));
+      }
+      continue;
+    }
 
-  // 3. Word overlap (count matching words)
-  const answerWords = answerLower.split(/\s+/).filter(w => w && w.length > 2);
-  const optionScores = options.map(opt => {
-    // Skip non-string options
-    if (typeof opt !== 'string') {
-      return { option: opt, score: 0 };
+    results.push({ label: frameBatch.label, filledFields: response.filledFields, totalFields: response.totalFields });
+    Object.entries(response.answerSources || {}).forEach(([source, count]) => recordAnswerSource(source, count));
+    if (missingFields) {
+      response.missingFields.forEach(field => missingFields.push({ ...field, frame: frameBatch.label }));
     }
+  }
 
-    const optWords = opt.toLowerCase().split(/\s+/).filter(w => w && w.length > 2);
-    const matches = answerWords.filter(aw => optWords.includes(aw));
-    return { option: opt, score: matches.length };
-  });
+  return results;
+}
 
-  const bestMatch = optionScores.reduce((best, curr) =>
-    curr.score > best.score ? curr : best
-  );
+// ==================== Shadow DOM Helpers ====================
+// Web-component based forms (Salesforce LWC, Workday, newer career portals) keep their inputs
+// behind open shadow roots, which document.querySelectorAll() and label[for] lookups don't see
 
-  if (bestMatch.score > 0) return bestMatch.option;
+/**
+ * querySelectorAll that also descends into open shadow roots (document order is preserved)
+ * @param {string} selector - CSS selector
+ * @param {Document|ShadowRoot|Element} root - Where to start searching
+ * @returns {Array<HTMLElement>} Matching elements from the light DOM and all open shadow roots
+ */
+function deepQuerySelectorAll(selector, root = document) {
+  const results = [];
 
-  // 4. Semantic matching for common cases
-  const semanticMappings = {
-    'remote': ['zdalnie', 'zdalna', 'remote', 'remotely', 'home office'],
-    'hybrid': ['hybrydowo', 'hybrydowa', 'hybrid', 'częściowo zdalnie'],
-    'office': ['stacjonarnie', 'stacjonarna', 'office', 'on-site', 'biuro'],
-    'full-time': ['pełny etat', 'full time', 'full-time', 'pełen etat'],
-    'part-time': ['część etatu', 'part time', 'part-time', 'niepełny etat'],
-    'b2b': ['b2b', 'kontrakt', 'contract', 'samozatrudnienie'],
-    'uop': ['umowa o pracę', 'uop', 'employment contract'],
-    // Country name translations (Polish ↔ English)
-    // NOTE: Removed 2-letter country codes to avoid false matches (e.g. 'pl' matching 'plurinational')
-    'poland': ['polska', 'poland'],
-    'germany': ['niemcy', 'germany'],
-    'france': ['francja', 'france'],
-    'spain': ['hiszpania', 'spain'],
-    'italy': ['włochy', 'italy'],
-    'united kingdom': ['wielka brytania', 'united kingdom', 'great britain'],
-    'united states': ['stany zjednoczone', 'united states', 'usa', 'america'],
-    'netherlands': ['holandia', 'netherlands'],
-    'belgium': ['belgia', 'belgium'],
-    'switzerland': ['szwajcaria', 'switzerland'],
-    'austria': ['austria', 'austria'],
-    'czech republic': ['czechy', 'czech republic', 'czechia'],
-    'sweden': ['szwecja', 'sweden'],
-    'norway': ['norwegia', 'norway'],
-    'denmark': ['dania', 'denmark'],
-    'finland': ['finlandia', 'finland'],
-    'ireland': ['irlandia', 'ireland'],
-    'portugal': ['portugalia', 'portugal'],
-    'greece': ['grecja', 'greece'],
-    'hungary': ['węgry', 'hungary'],
-    'romania': ['rumunia', 'romania'],
-    'bulgaria': ['bułgaria', 'bulgaria'],
-    'croatia': ['chorwacja', 'croatia'],
-    'slovakia': ['słowacja', 'slovakia'],
-    'lithuania': ['litwa', 'lithuania'],
-    'latvia': ['łotwa', 'latvia'],
-    'estonia': ['estonia', 'estonia'],
-    'ukraine': ['ukraina', 'ukraine'],
-    'russia': ['rosja', 'russia'],
-    'canada': ['kanada', 'canada'],
-    'australia': ['australia', 'australia'],
-    'new zealand': ['nowa zelandia', 'new zealand'],
-    'japan': ['japonia', 'japan'],
-    'china': ['chiny', 'china'],
-    'india': ['indie', 'india'],
-    'brazil': ['brazylia', 'brazil'],
-    'mexico': ['meksyk', 'mexico'],
-    'argentina': ['argentyna', 'argentina']
+  const visit = (node) => {
+    for (const element of node.querySelectorAll('*')) {
+      if (element.matches(selector)) {
+        results.push(element);
+      }
+      if (element.shadowRoot) {
+        visit(element.shadowRoot);
+      }
+    }
   };
 
-  for (const [key, variants] of Object.entries(semanticMappings)) {
-    if (variants.some(v => answerLower.includes(v))) {
-      const match = options.find(opt => variants.some(v => opt.toLowerCase().includes(v)));
-      if (match) return match;
+  visit(root);
+  return results;
+}
+
+/**
+ * querySelector that also descends into open shadow roots
+ * @param {string} selector - CSS selector
+ * @param {Document|ShadowRoot|Element} root - Where to start searching
+ * @returns {HTMLElement|null} First matching element
+ */
+function deepQuerySelector(selector, root = document) {
+  const direct = root.querySelector(selector);
+  if (direct) return direct;
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      const found = deepQuerySelector(selector, element.shadowRoot);
+      if (found) return found;
     }
   }
-
-  // No match found
-  console.log(`[Fuzzy Match] No match for "${answer}" in options:`, options);
   return null;
 }
 
 /**
- * Parse date from natural language text
- * @param {string} text - Natural language date ("za 3 miesiące", "three months from now", etc.)
- * @returns {Date|null} Parsed date or null
+ * Resolve an element id relative to another element - ids are scoped to their shadow root,
+ * so look in the element's own root first, then the document, then every open shadow root
+ * @param {string} id - Element id
+ * @param {Node} contextNode - Element the id reference comes from (e.g. the input)
+ * @returns {HTMLElement|null}
  */
-function parseDateFromText(text) {
-  if (!text || typeof text !== 'string') return null;
-
-  const textLower = text.toLowerCase().trim();
+function getElementByIdDeep(id, contextNode = document) {
+  if (!id) return null;
 
-  // Try to parse as ISO date first
-  const isoMatch = textLower.match(/(\d{4})-(\d{2})-(\d{2})/);
-  if (isoMatch) {
-    return new Date(isoMatch[0]);
+  const root = contextNode.getRootNode ? contextNode.getRootNode() : document;
+  if (root !== document && root.getElementById) {
+    const inRoot = root.getElementById(id);
+    if (inRoot) return inRoot;
   }
 
-  // Try to parse DD/MM/YYYY or MM/DD/YYYY
-  const dateMatch = textLower.match(/(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})/);
-  if (dateMatch) {
-    // Assume DD/MM/YYYY for European formats
-    return new Date(dateMatch[3], dateMatch[2] - 1, dateMatch[1]);
+  return document.getElementById(id) || deepQuerySelector(`[id="${CSS.escape(id)}"]`);
+}
+
+/**
+ * Find the <label for="..."> of an element across the shadow boundary
+ * @param {HTMLElement} element - Labelled element
+ * @param {string} id - Id to look for (defaults to element.id)
+ * @returns {HTMLLabelElement|null}
+ */
+function findLabelForDeep(element, id = element.id) {
+  if (!id) return null;
+
+  const selector = `label[for="${CSS.escape(id)}"]`;
+  const root = element.getRootNode();
+  if (root !== document && root.querySelector) {
+    const inRoot = root.querySelector(selector);
+    if (inRoot) return inRoot;
   }
 
-  const now = new Date();
+  return document.querySelector(selector);
+}
 
-  // Word to number mapping (Polish and English)
-  const wordToNumber = {
-    'jeden': 1, 'jedna': 1, 'jedno': 1, 'one': 1,
-    'dwa': 2, 'dwie': 2, 'two': 2,
-    'trzy': 3, 'three': 3,
-    'cztery': 4, 'four': 4,
-    'pięć': 5, 'five': 5,
-    'sześć': 6, 'six': 6,
-    'siedem': 7, 'seven': 7,
-    'osiem': 8, 'eight': 8,
-    'dziewięć': 9, 'nine': 9,
-    'dziesięć': 10, 'ten': 10,
-    'jedenaście': 11, 'eleven': 11,
-    'dwanaście': 12, 'twelve': 12
-  };
+/**
+ * Text of all elements referenced by aria-labelledby (space-separated id list)
+ * @param {HTMLElement} element - Element with aria-labelledby
+ * @returns {string|null}
+ */
+function getAriaLabelledByText(element) {
+  const ariaLabelledBy = element.getAttribute('aria-labelledby');
+  if (!ariaLabelledBy) return null;
+
+  const text = ariaLabelledBy.split(/\s+/)
+    .map(id => getElementByIdDeep(id, element))
+    .filter(Boolean)
+    .map(label => label.textContent.trim())
+    .filter(Boolean)
+    .join(' ');
+
+  return text || null;
+}
 
-  // Parse "X days/weeks/months/years from now" (numeric)
-  const futurePatterns = [
-    { pattern: /(\d+)\s*(dni|day|days|dzień|dzieni)/i, unit: 'days' },
-    { pattern: /(\d+)\s*(tydzień|tygodni|tygodnie|week|weeks)/i, unit: 'weeks' },
-    { pattern: /(\d+)\s*(miesiąc|miesiące|miesięcy|month|months)/i, unit: 'months' },
-    { pattern: /(\d+)\s*(rok|lata|lat|year|years)/i, unit: 'years' }
-  ];
+/**
+ * Parent element that crosses shadow boundaries (shadow root → host element)
+ * @param {Node} node
+ * @returns {HTMLElement|null}
+ */
+function getParentAcrossShadow(node) {
+  if (node.parentElement) return node.parentElement;
 
-  for (const { pattern, unit } of futurePatterns) {
-    const match = textLower.match(pattern);
-    if (match) {
-      const amount = parseInt(match[1]);
-      const result = new Date(now);
+  const root = node.getRootNode ? node.getRootNode() : null;
+  return root && root.host ? root.host : null;
+}
 
-      switch (unit) {
-        case 'days':
-          result.setDate(result.getDate() + amount);
-          break;
-        case 'weeks':
-          result.setDate(result.getDate() + (amount * 7));
-          break;
-        case 'months':
-          result.setMonth(result.getMonth() + amount);
-          break;
-        case 'years':
-          result.setFullYear(result.getFullYear() + amount);
-          break;
-      }
+// ==================== Value Writing ====================
+// React/Vue/Angular keep their own copy of an input's value. Assigning element.value goes through the
+// framework's override and the change is lost on the next render, so every fill path writes through here.
 
-      return result;
-    }
+/**
+ * Assign a value with the prototype's native setter (bypasses the framework's instance-level override)
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} element
+ * @param {string} value
+ */
+function setNativeValue(element, value) {
+  const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+    : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : element instanceof HTMLInputElement ? HTMLInputElement.prototype
+        : null;
+  const nativeValueSetter = prototype && Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+  if (nativeValueSetter) {
+    nativeValueSetter.call(element, value);
+  } else {
+    element.value = value;
   }
+}
 
-  // Parse word-based numbers (e.g., "trzy miesiące od teraz")
-  const wordPattern = /(jeden|jedna|jedno|dwa|dwie|trzy|cztery|pięć|sześć|siedem|osiem|dziewięć|dziesięć|jedenaście|dwanaście|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s*(dni|dzień|day|days|tydzień|tygodni|tygodnie|week|weeks|miesiąc|miesiące|miesięcy|month|months|rok|lata|lat|year|years)/i;
-  const wordMatch = textLower.match(wordPattern);
-
-  if (wordMatch) {
-    const word = wordMatch[1].toLowerCase();
-    const amount = wordToNumber[word] || 1;
-    const unitText = wordMatch[2].toLowerCase();
-
-    let unit;
-    if (/dni|dzień|day|days/i.test(unitText)) unit = 'days';
-    else if (/tydzień|tygodni|tygodnie|week|weeks/i.test(unitText)) unit = 'weeks';
-    else if (/miesiąc|miesiące|miesięcy|month|months/i.test(unitText)) unit = 'months';
-    else if (/rok|lata|lat|year|years/i.test(unitText)) unit = 'years';
-
-    if (unit) {
-      const result = new Date(now);
-      switch (unit) {
-        case 'days':
-          result.setDate(result.getDate() + amount);
-          break;
-        case 'weeks':
-          result.setDate(result.getDate() + (amount * 7));
-          break;
-        case 'months':
-          result.setMonth(result.getMonth() + amount);
-          break;
-        case 'years':
-          result.setFullYear(result.getFullYear() + amount);
-          break;
-      }
-      console.log(`[Date Parser] Parsed "${text}" as ${amount} ${unit} from now = ${result.toISOString().split('T')[0]}`);
-      return result;
-    }
-  }
+function dispatchFillEvent(element, event) {
+  event._autofilledByExtension = true;
+  element.dispatchEvent(event);
+}
 
-  // Special cases
-  if (/natychmiast|immediately|asap|now/i.test(textLower)) {
-    return now;
+/**
+ * Whether the field shows the value we wrote (input masks may add spaces, dashes or brackets)
+ * @param {HTMLElement} element
+ * @param {string} value
+ * @returns {boolean}
+ */
+function valueStuck(element, value) {
+  const normalize = text => String(text ?? '').replace(/[\s\-().]/g, '').toLowerCase();
+  if (element.type === 'number' && value !== '') {
+    return parseFloat(element.value) === parseFloat(value);
   }
+  return normalize(element.value) === normalize(value);
+}
 
-  if (/jutro|tomorrow/i.test(textLower)) {
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return tomorrow;
+/**
+ * Type the value character by character - for masked inputs and trackers that ignore a single input event
+ * @param {HTMLInputElement|HTMLTextAreaElement} element
+ * @param {string} value
+ */
+async function typeFieldValue(element, value) {
+  element.focus();
+  setNativeValue(element, '');
+  dispatchFillEvent(element, new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+
+  let typed = '';
+  for (const char of value) {
+    dispatchFillEvent(element, new KeyboardEvent('keydown', { key: char, bubbles: true, cancelable: true }));
+    dispatchFillEvent(element, new KeyboardEvent('keypress', { key: char, bubbles: true, cancelable: true }));
+    typed += char;
+    setNativeValue(element, typed);
+    dispatchFillEvent(element, new InputEvent('input', { bubbles: true, inputType: 'insertText', data: char }));
+    dispatchFillEvent(element, new KeyboardEvent('keyup', { key: char, bubbles: true }));
+
+    // Let masks and async validators run on long answers
+    if (typed.length % 20 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
   }
 
-  console.log(`[Date Parser] Could not parse date from: "${text}"`);
-  return null;
+  dispatchFillEvent(element, new Event('change', { bubbles: true }));
 }
 
 /**
- * Fill a datepicker field
- * @param {HTMLElement} element - The datepicker input element
- * @param {Date|string} dateValue - Date object or string to fill
+ * Write a value like a user would (focus, keydown, input, change, blur) and verify it stuck.
+ * Retries with simulated typing, then with the React onChange prop as a last resort.
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} element
+ * @param {string} value
+ * @param {Object} options - { focus: true, blur: true } - autocomplete inputs skip both to keep their dropdown;
+ *   verify(element, value) replaces valueStuck() for widgets that reformat the value
+ * @returns {Promise<boolean>} Whether the field kept the value
  */
-function fillDatepicker(element, dateValue) {
-  // Validate element
-  if (!element) {
-    console.warn('[Datepicker] Invalid element');
-    return false;
-  }
+async function writeFieldValue(element, value, { focus = true, blur = true, verify = valueStuck } = {}) {
+  const text = value == null ? '' : String(value);
 
-  let date = dateValue;
-
-  if (typeof dateValue === 'string') {
-    date = parseDateFromText(dateValue);
+  if (focus) {
+    element.focus();
+  }
+  dispatchFillEvent(element, new KeyboardEvent('keydown', { key: text.slice(-1) || 'Unidentified', bubbles: true, cancelable: true }));
+  setNativeValue(element, text);
+  dispatchFillEvent(element, element.tagName === 'SELECT'
+    ? new Event('input', { bubbles: true })
+    : new InputEvent('input', { bubbles: true, cancelable: true, inputType: 'insertText', data: text }));
+  dispatchFillEvent(element, new Event('change', { bubbles: true, cancelable: true }));
+  if (blur) {
+    element.blur();
   }
 
-  if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
-    console.warn('[Datepicker] Invalid date:', dateValue);
+  // Controlled components re-render on the next tick - only then we know whether the value was accepted
+  await new Promise(resolve => setTimeout(resolve, 50));
+  if (verify(element, text)) {
+    return true;
+  }
+  if (element.tagName === 'SELECT') {
     return false;
   }
 
-  // Format date as YYYY-MM-DD for HTML5 date inputs
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const formattedDate = `${year}-${month}-${day}`;
+  console.warn(`[Gemini Filler] Value reverted to "${element.value}", retrying with typing: "${text.substring(0, 30)}"`);
+  await typeFieldValue(element, text);
+  if (blur) {
+    element.blur();
+  }
+  await new Promise(resolve => setTimeout(resolve, 50));
+  if (verify(element, text)) {
+    return true;
+  }
 
-  try {
-    // Set value
-    element.value = formattedDate;
+  const reactPropsKey = Object.keys(element).find(key => key.startsWith('__reactProps$') || key.startsWith('__reactEventHandlers$'));
+  if (reactPropsKey && element[reactPropsKey]?.onChange) {
+    try {
+      setNativeValue(element, text);
+      element[reactPropsKey].onChange({ target: element, currentTarget: element, type: 'change' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+    } catch (e) {
+      // Ignore errors from React handler
+    }
+  }
 
-    // Trigger events
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-    element.dispatchEvent(new Event('change', { bubbles: true }));
-    element.dispatchEvent(new Event('blur', { bubbles: true }));
+  const stuck = verify(element, text);
+  if (!stuck) {
+    console.warn(`[Gemini Filler] Field did not keep the value "${text.substring(0, 30)}" (now "${element.value}")`);
+  }
+  return stuck;
+}
 
-    console.log(`[Datepicker] Filled with date: ${formattedDate}`);
-    return true;
-  } catch (error) {
-    console.error('[Datepicker] Error filling:', error);
-    return false;
-  }
-}
+// ==================== Phone Numbers ====================
+// Composite phone widgets (intl-tel-input, react-phone-number-input, "+48" dial-code selects) keep the
+// country apart from the number - the profile phone is parsed to E.164 and split between the two parts.
+
+const PHONE_COUNTRIES = [
+  { dialCode: '48', iso: 'PL', names: ['polska', 'poland'] },
+  { dialCode: '49', iso: 'DE', names: ['niemcy', 'germany', 'deutschland'] },
+  { dialCode: '44', iso: 'GB', names: ['wielka brytania', 'united kingdom', 'uk'] },
+  { dialCode: '1', iso: 'US', names: ['usa', 'stany zjednoczone', 'united states'] },
+  { dialCode: '353', iso: 'IE', names: ['irlandia', 'ireland'] },
+  { dialCode: '31', iso: 'NL', names: ['holandia', 'netherlands'] },
+  { dialCode: '32', iso: 'BE', names: ['belgia', 'belgium'] },
+  { dialCode: '33', iso: 'FR', names: ['francja', 'france'] },
+  { dialCode: '34', iso: 'ES', names: ['hiszpania', 'spain'] },
+  { dialCode: '39', iso: 'IT', names: ['włochy', 'italy'] },
+  { dialCode: '351', iso: 'PT', names: ['portugalia', 'portugal'] },
+  { dialCode: '41', iso: 'CH', names: ['szwajcaria', 'switzerland'] },
+  { dialCode: '43', iso: 'AT', names: ['austria'] },
+  { dialCode: '420', iso: 'CZ', names: ['czechy', 'czech republic'] },
+  { dialCode: '421', iso: 'SK', names: ['słowacja', 'slovakia'] },
+  { dialCode: '36', iso: 'HU', names: ['węgry', 'hungary'] },
+  { dialCode: '40', iso: 'RO', names: ['rumunia', 'romania'] },
+  { dialCode: '45', iso: 'DK', names: ['dania', 'denmark'] },
+  { dialCode: '46', iso: 'SE', names: ['szwecja', 'sweden'] },
+  { dialCode: '47', iso: 'NO', names: ['norwegia', 'norway'] },
+  { dialCode: '358', iso: 'FI', names: ['finlandia', 'finland'] },
+  { dialCode: '370', iso: 'LT', names: ['litwa', 'lithuania'] },
+  { dialCode: '371', iso: 'LV', names: ['łotwa', 'latvia'] },
+  { dialCode: '372', iso: 'EE', names: ['estonia'] },
+  { dialCode: '380', iso: 'UA', names: ['ukraina', 'ukraine'] }
+];
 
 /**
- * Fill a Selectize.js dropdown
- * @param {HTMLElement} selectElement - The original SELECT element with .selectized class
- * @param {Object} userData - User data for AI
- * @param {string} question - Question text for the field
- * @returns {Promise<boolean>} Success status
+ * Dial code of the profile's country, used for numbers stored without a "+" prefix
+ * @param {Object} userData - User data
+ * @returns {string} Dial code without "+" (defaults to 48)
  */
-async function fillSelectize(selectElement, userData, question) {
-  try {
-    console.log(`[Selectize] Attempting to fill for question: "${question}"`);
+function getDefaultDialCode(userData) {
+  const country = (getMockAIResponse('Kraj', userData, null) || '').toLowerCase().trim();
+  const match = PHONE_COUNTRIES.find(entry => entry.names.includes(country));
+  return match ? match.dialCode : '48';
+}
 
-    // Validate inputs
-    if (!selectElement || !userData || !question) {
-      console.warn('[Selectize] Invalid selectElement, userData or question');
-      return false;
+/**
+ * Parse a phone number into E.164 parts
+ * "+48 123 456 789", "0048123456789", "48123456789", "123-456-789" → { e164: "+48123456789", dialCode: "48", national: "123456789", iso: "PL" }
+ * @param {string} raw - Phone as typed in the profile
+ * @param {string} defaultDialCode - Dial code for numbers without a country prefix
+ * @returns {Object|null} { e164, dialCode, national, iso } or null when there are too few digits
+ */
+function parsePhoneNumber(raw, defaultDialCode = '48') {
+  if (!raw) return null;
+
+  let text = String(raw).trim().replace(/^00/, '+');
+  const hasPlus = text.startsWith('+');
+  let digits = text.replace(/\D/g, '');
+  if (digits.length < 6) return null;
+
+  let dialCode = null;
+  if (hasPlus) {
+    // Longest matching dial code wins (+420 before +42x, +1 only when nothing longer fits)
+    dialCode = [3, 2, 1]
+      .map(length => digits.slice(0, length))
+      .find(prefix => PHONE_COUNTRIES.some(entry => entry.dialCode === prefix)) || null;
+    if (!dialCode) {
+      // Unknown country - assume a 9-digit national number
+      dialCode = digits.slice(0, Math.min(3, Math.max(1, digits.length - 9)));
     }
+    digits = digits.slice(dialCode.length);
+  } else if (digits.startsWith(defaultDialCode) && digits.length === defaultDialCode.length + 9) {
+    // Country code typed without "+" ("48123456789")
+    dialCode = defaultDialCode;
+    digits = digits.slice(dialCode.length);
+  } else {
+    dialCode = defaultDialCode;
+    // National trunk prefix ("0 30 1234567" in Germany)
+    digits = digits.replace(/^0+/, '');
+  }
 
-    // Find the selectize container
-    const selectizeContainer = selectElement.parentElement?.querySelector('.selectize-control');
-    if (!selectizeContainer) {
-      console.warn('[Selectize] Could not find selectize container');
-      return false;
-    }
+  const country = PHONE_COUNTRIES.find(entry => entry.dialCode === dialCode);
+  return {
+    e164: `+${dialCode}${digits}`,
+    dialCode,
+    national: digits,
+    iso: country ? country.iso : null
+  };
+}
 
-    // Find the input trigger
-    const selectizeInput = selectizeContainer.querySelector('.selectize-input input');
-    if (!selectizeInput) {
-      console.warn('[Selectize] Could not find selectize input');
-      return false;
-    }
+/**
+ * A <select> of dial codes ("+48", "Polska (+48)") placed next to a phone input
+ * @param {HTMLInputElement} input
+ * @returns {HTMLSelectElement|null}
+ */
+function getPhoneDialCodeSelect(input) {
+  for (let node = input.parentElement, depth = 0; node && depth < 3; node = node.parentElement, depth++) {
+    if (node.querySelectorAll('input, select, textarea').length > 3) break;
+    const select = Array.from(node.querySelectorAll('select')).find(sel =>
+      Array.from(sel.options).filter(opt => /\+\s?\d{1,4}\b/.test(`${opt.text} ${opt.value}`)).length >= 5
+    );
+    if (select) return select;
+  }
+  return null;
+}
 
-    // Click input to open dropdown
-    selectizeInput.click();
-    await new Promise(resolve => setTimeout(resolve, 300));
+/**
+ * Which composite phone widget the input belongs to
+ * @param {HTMLElement} element
+ * @returns {string|null} 'intl-tel-input' | 'react-phone-number-input' | 'dial-code-select' | null
+ */
+function getPhoneWidget(element) {
+  if (element.tagName !== 'INPUT' || element.type === 'hidden' || isPhoneWidgetPart(element)) return null;
 
-    // Find dropdown
-    const dropdown = selectizeContainer.querySelector('.selectize-dropdown');
-    if (!dropdown) {
-      console.warn('[Selectize] Could not find dropdown');
-      return false;
-    }
+  if (element.closest('.iti, .intl-tel-input')) return 'intl-tel-input';
+  if (element.classList.contains('PhoneInputInput') || element.closest('.PhoneInput')) return 'react-phone-number-input';
 
-    // Get all option elements
-    const optionElements = Array.from(dropdown.querySelectorAll('.option'));
-    console.log(`[Selectize] Found ${optionElements.length} options`);
+  const looksLikePhone = element.type === 'tel' || /phone|telefon|mobile|komórk/i.test(`${element.name} ${element.id} ${element.autocomplete || ''}`);
+  if (looksLikePhone && getPhoneDialCodeSelect(element)) return 'dial-code-select';
+  return null;
+}
 
-    // Get option texts and ask AI WITH OPTIONS (so it can translate Polish → English)
-    const optionTexts = optionElements.map(opt => opt && opt.textContent ? opt.textContent.trim() : '').filter(Boolean);
-    console.log(`[Selectize] Asking AI for answer with ${optionTexts.length} options`);
+/**
+ * Country pickers and search boxes of phone widgets - filled together with the number, skipped by the form scan
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isPhoneWidgetPart(element) {
+  if (element.closest('.iti__dropdown-content, .iti__country-list, .PhoneInputCountry')) return true;
+  if (element.tagName !== 'SELECT') return false;
+
+  for (let node = element.parentElement, depth = 0; node && depth < 3; node = node.parentElement, depth++) {
+    if (node.querySelectorAll('input, select, textarea').length > 3) break;
+    const input = node.querySelector('input[type="tel"], input[name*="phone" i], input[id*="phone" i], input[name*="telefon" i], input[id*="telefon" i]');
+    if (input) return getPhoneDialCodeSelect(input) === element;
+  }
+  return false;
+}
 
-    const result = await getAIResponse(question, userData, optionTexts);
-    const answer = result.answer;
-    const answerSource = result.source;
+function phoneDigitsMatch(element, phone) {
+  // Widgets reformat ("+48 123 456 789", "123 456 789") - the national digits must be there
+  return element.value.replace(/\D/g, '').endsWith(phone.national);
+}
 
-    if (!answer || answer === '') {
-      console.warn(`[Selectize] No answer from AI for "${question}"`);
-      // Close dropdown
-      selectizeInput.blur();
-      return false;
+/**
+ * Select the country in an intl-tel-input widget
+ * @returns {Promise<boolean>} Whether the widget shows separate dial code (number goes in national format)
+ */
+async function selectIntlTelCountry(container, phone) {
+  const separateDialCode = container.classList.contains('iti--separate-dial-code') ||
+    !!container.querySelector('.iti__selected-dial-code');
+  const selectedFlag = container.querySelector('.iti__selected-flag, .iti__selected-country, .selected-flag');
+  const countrySelector = phone.iso
+    ? `[data-country-code="${phone.iso.toLowerCase()}"]`
+    : `[data-dial-code="${phone.dialCode}"]`;
+
+  const alreadySelected = selectedFlag && (
+    (selectedFlag.getAttribute('title') || '').includes(`+${phone.dialCode}`) ||
+    (container.querySelector('.iti__selected-dial-code')?.textContent.trim() === `+${phone.dialCode}`)
+  );
+
+  if (selectedFlag && !alreadySelected) {
+    selectedFlag.click();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    // The country list may be attached to <body> (dropdownContainer option)
+    const countryItem = container.querySelector(`.iti__country${countrySelector}`) ||
+      document.querySelector(`.iti__country${countrySelector}`);
+    if (countryItem) {
+      countryItem.click();
+      await new Promise(resolve => setTimeout(resolve, 200));
+    } else {
+      document.body.click();
     }
+  }
 
-    console.log(`[Selectize] AI returned: "${answer}" (source: ${answerSource})`);
+  return separateDialCode;
+}
 
-    // Fuzzy match answer to options
-    const matchedText = fuzzyMatch(answer, optionTexts);
+/**
+ * Fill a composite phone widget: country part first, then the number in the format the widget expects
+ * @param {HTMLInputElement} element - Number input
+ * @param {string} widget - From getPhoneWidget()
+ * @param {string} answer - Phone from the profile / AI
+ * @param {Object} userData - User data (default country)
+ * @returns {Promise<boolean>} Success status
+ */
+async function fillPhoneWidget(element, widget, answer, userData) {
+  const phone = parsePhoneNumber(answer, getDefaultDialCode(userData));
+  if (!phone) {
+    return writeFieldValue(element, answer);
+  }
 
-    if (!matchedText) {
-      console.warn(`[Selectize] No match found for "${answer}" in options:`, optionTexts);
-      // Close dropdown
-      selectizeInput.blur();
-      return false;
+  recordFieldState(element);
+  let value = phone.e164;
+
+  if (widget === 'intl-tel-input') {
+    const container = element.closest('.iti, .intl-tel-input');
+    const separateDialCode = await selectIntlTelCountry(container, phone);
+    value = separateDialCode ? phone.national : `+${phone.dialCode} ${phone.national}`;
+  } else if (widget === 'react-phone-number-input') {
+    const countrySelect = element.closest('.PhoneInput')?.querySelector('select');
+    const option = countrySelect && phone.iso && Array.from(countrySelect.options).find(opt => opt.value === phone.iso);
+    if (option && countrySelect.value !== option.value) {
+      recordFieldState(countrySelect);
+      await writeFieldValue(countrySelect, option.value);
+    }
+    // The component parses international input in both national and international mode
+    value = phone.e164;
+  } else if (widget === 'dial-code-select') {
+    const select = getPhoneDialCodeSelect(element);
+    const dialPattern = new RegExp(`\\+\\s?${phone.dialCode}(?!\\d)`);
+    const option = Array.from(select.options).find(opt => dialPattern.test(`${opt.text} ${opt.value}`));
+    if (option) {
+      recordFieldState(select);
+      await writeFieldValue(select, option.value);
+      value = phone.national;
     }
+  }
 
-    // Find and click the matched option with validation
-    const matchedOption = optionElements.find(opt => opt && opt.textContent && opt.textContent.trim() === matchedText);
-    if (matchedOption) {
-      console.log(`[Selectize] Clicking option: "${matchedText}"`);
-      matchedOption.click();
+  console.log(`[Phone] ${widget}: writing "${value}" (${phone.e164})`);
+  return writeFieldValue(element, value, { verify: el => phoneDigitsMatch(el, phone) });
+}
 
-      // Wait for selection to complete
-      await new Promise(resolve => setTimeout(resolve, 200));
+// ==================== Rich Text Editors ====================
+// Quill, Draft.js, ProseMirror/Tiptap and CKEditor 5 edit a contenteditable element; TinyMCE and CKEditor 4
+// keep a hidden <textarea> and edit the body of an iframe. Text goes in through execCommand/paste
+// so the editor's own model sees it - plain innerHTML writes are reverted or ignored on submit.
 
-      // For multi-select, might need to close dropdown
-      if (selectElement.hasAttribute('multiple')) {
-        selectizeInput.blur();
-      }
+const RICH_TEXT_ROOT_SELECTOR = '.ql-container, .DraftEditor-root, .ProseMirror-container, .ck-editor, .tox-tinymce, .cke, [class*="editor" i]';
 
-      console.log(`[Selectize] Successfully selected: "${matchedText}"`);
-      return true;
-    }
+/**
+ * Whether the element is the editable root of a contenteditable editor
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isRichTextEditor(element) {
+  if (!element || !element.isContentEditable || element.getAttribute('contenteditable') === null) return false;
+  // Iframe bodies (TinyMCE, CKEditor 4) are filled from the parent through their textarea
+  if (element === element.ownerDocument.body) return false;
+  // Nested editable nodes belong to the outer editor
+  return !element.parentElement || !element.parentElement.isContentEditable;
+}
 
-    return false;
-  } catch (error) {
-    console.error('[Selectize] Error:', error);
-    return false;
+/**
+ * Editable iframe body of a TinyMCE / CKEditor 4 instance replacing this textarea
+ * @param {HTMLElement} element
+ * @returns {HTMLElement|null}
+ */
+function getEditorFrameBody(element) {
+  if (element.tagName !== 'TEXTAREA') return null;
+
+  const frame = (element.id && document.getElementById(`${element.id}_ifr`)) ||
+    element.nextElementSibling?.querySelector('iframe.tox-edit-area__iframe, iframe.cke_wysiwyg_frame');
+  try {
+    const body = frame && frame.contentDocument && frame.contentDocument.body;
+    return body && body.isContentEditable ? body : null;
+  } catch (e) {
+    // Cross-origin editor frame
+    return null;
   }
 }
 
 /**
- * Fill a custom dropdown (div-based select)
- * @param {HTMLElement} element - The dropdown trigger element
- * @param {Object} userData - User data for AI
- * @param {string} question - Question text for the field
- * @returns {Promise<boolean>} Success status
+ * The element that actually holds the editor content
+ * @param {HTMLElement} element - Field from the form scan (contenteditable or TinyMCE/CKEditor textarea)
+ * @returns {HTMLElement|null}
  */
-async function fillCustomDropdown(element, userData, question) {
-  try {
-    // Validate inputs
-    if (!element || !userData || !question) {
-      console.warn('[Custom Dropdown] Invalid element, userData or question');
-      return false;
-    }
+function getRichTextTarget(element) {
+  return isRichTextEditor(element) ? element : getEditorFrameBody(element);
+}
 
-    // IMPORTANT: First, close any previously opened dropdowns to avoid confusion
-    const openDropdowns = document.querySelectorAll('[role="listbox"]:not([hidden]), [role="menu"]:not([hidden])');
-    if (openDropdowns.length > 0) {
-      console.log(`[Custom Dropdown] Closing ${openDropdowns.length} previously opened dropdown(s)`);
-      // Try to close by clicking escape or clicking outside
-      document.body.click();
-      await new Promise(resolve => setTimeout(resolve, 200));
+/**
+ * Question text for an editor without a <label>: its placeholder or the heading above the editor container
+ * @param {HTMLElement} element
+ * @returns {string|null}
+ */
+function getRichTextQuestion(element) {
+  const placeholder = element.getAttribute('data-placeholder') || element.getAttribute('aria-placeholder') ||
+    element.querySelector('[data-placeholder]')?.getAttribute('data-placeholder') ||
+    element.closest('.DraftEditor-root')?.querySelector('.public-DraftEditorPlaceholder-inner')?.textContent;
+  if (placeholder && placeholder.trim()) return placeholder.trim();
+
+  let current = element.closest(RICH_TEXT_ROOT_SELECTOR) || element;
+  for (let depth = 0; current && depth < 3; depth++, current = current.parentElement) {
+    let sibling = current.previousElementSibling;
+    while (sibling) {
+      const isToolbar = sibling.matches('.ql-toolbar, [role="toolbar"]') || sibling.querySelector('[role="toolbar"], button');
+      const text = sibling.textContent.trim();
+      if (!isToolbar && text && text.length < 200 && !sibling.querySelector('input, textarea, select')) {
+        return text;
+      }
+      sibling = sibling.previousElementSibling;
     }
+  }
+  return null;
+}
 
-    // Click to open dropdown
-    console.log(`[Custom Dropdown] Opening dropdown for "${question}" (id="${element.id || 'no-id'}")`);
-    element.click();
+/**
+ * Insert text into a rich-text editor through its input pipeline and check that it arrived
+ * @param {HTMLElement} element - Field from the form scan
+ * @param {string} text - Answer (newlines become paragraphs)
+ * @returns {Promise<boolean>} Success status
+ */
+async function fillRichTextEditor(element, text) {
+  const target = getRichTextTarget(element);
+  if (!target) return false;
+
+  recordFieldState(element);
+  const doc = target.ownerDocument;
+  const lines = String(text).split(/\r?\n/);
+  const firstLine = (lines.find(line => line.trim()) || '').trim().substring(0, 40);
+  const arrived = () => target.innerText.replace(/\s+/g, ' ').includes(firstLine.replace(/\s+/g, ' '));
+
+  // Replace the current content (editor placeholders are usually an empty <p>)
+  target.focus();
+  const selection = doc.getSelection();
+  const range = doc.createRange();
+  range.selectNodeContents(target);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  // 1. execCommand fires beforeinput/input like real typing - Quill, ProseMirror, CKEditor 5 and TinyMCE follow it
+  lines.forEach((line, i) => {
+    if (i > 0) doc.execCommand('insertParagraph');
+    if (line) doc.execCommand('insertText', false, line);
+  });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  if (arrived()) {
+    console.log(`[Rich Text] Inserted ${text.length} chars via execCommand`);
+    return true;
+  }
 
-    // Wait for dropdown to open
-    await new Promise(resolve => setTimeout(resolve, 500));
+  // 2. Draft.js and Slate ignore synthetic input but handle paste
+  const dataTransfer = new DataTransfer();
+  dataTransfer.setData('text/plain', text);
+  target.dispatchEvent(new ClipboardEvent('paste', { clipboardData: dataTransfer, bubbles: true, cancelable: true }));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  if (arrived()) {
+    console.log(`[Rich Text] Inserted ${text.length} chars via paste`);
+    return true;
+  }
 
-    // Find the dropdown menu - try multiple strategies with detailed logging
-    let listbox = null;
+  // 3. Last resort - plain DOM, enough for editors that read innerHTML on submit
+  target.innerHTML = lines.map(line => `<p>${line ? line.replace(/&/g, '&amp;').replace(/</g, '&lt;') : '<br>'}</p>`).join('');
+  dispatchFillEvent(target, new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+  console.warn('[Rich Text] Editor did not react to input events, wrote HTML directly');
+  return arrived();
+}
 
-    // Strategy 1: Use aria-labelledby
-    if (element.id) {
-      listbox = document.querySelector(`[role="listbox"][aria-labelledby="${element.id}"]`);
-      if (listbox) {
-        console.log(`[Custom Dropdown] ✓ Found listbox via aria-labelledby="${element.id}"`);
-      }
-    }
+// ==================== Field Constraints ====================
+// maxlength / pattern / min / max / required from the HTML (and ARIA hints) travel with each question
+// to the prompt, and every filled value is checked against them afterwards.
 
-    // Strategy 2: Use aria-controls
-    if (!listbox) {
-      const ariaControls = element.getAttribute('aria-controls');
-      if (ariaControls) {
-        listbox = document.getElementById(ariaControls);
-        if (listbox) {
-          console.log(`[Custom Dropdown] ✓ Found listbox via aria-controls="${ariaControls}"`);
-        }
-      }
-    }
+/**
+ * Read the constraint attributes of a field
+ * @param {HTMLElement} element
+ * @returns {Object|null} { maxLength, minLength, pattern, min, max, step, required, format, hint } (only present keys)
+ */
+function getFieldConstraints(element) {
+  const constraints = {};
+  const readInt = name => {
+    const value = parseInt(element.getAttribute(name), 10);
+    return Number.isFinite(value) && value > 0 ? value : null;
+  };
 
-    // Strategy 3: Find listbox that appeared most recently (after our click)
-    if (!listbox) {
-      const allListboxes = Array.from(document.querySelectorAll('[role="listbox"]:not([hidden]), [role="menu"]:not([hidden])'));
-      console.log(`[Custom Dropdown] Found ${allListboxes.length} visible listbox(es) on page`);
+  const maxLength = readInt('maxlength');
+  if (maxLength) constraints.maxLength = maxLength;
+  const minLength = readInt('minlength');
+  if (minLength) constraints.minLength = minLength;
 
-      if (allListboxes.length === 1) {
-        // Only one visible listbox - it must be ours
-        listbox = allListboxes[0];
-        console.log(`[Custom Dropdown] ✓ Using the only visible listbox (id="${listbox.id || 'no-id'}")`);
-      } else if (allListboxes.length > 1) {
-        // Multiple listboxes - try to find the one closest to our button
-        console.warn(`[Custom Dropdown] ⚠ Multiple listboxes found! Trying to find the correct one...`);
+  const pattern = element.getAttribute('pattern');
+  if (pattern) constraints.pattern = pattern;
 
-        // Try to find listbox that is a descendant of a dialog/popup that appeared
-        const dialogs = document.querySelectorAll('[role="dialog"]:not([hidden]), .popup:not([hidden])');
-        for (const dialog of dialogs) {
-          const dialogListbox = dialog.querySelector('[role="listbox"], [role="menu"]');
-          if (dialogListbox && allListboxes.includes(dialogListbox)) {
-            listbox = dialogListbox;
-            console.log(`[Custom Dropdown] ✓ Found listbox inside dialog (id="${listbox.id || 'no-id'}")`);
-            break;
-          }
-        }
+  const min = element.getAttribute('min') ?? element.getAttribute('aria-valuemin');
+  if (min !== null && min !== '') constraints.min = min;
+  const max = element.getAttribute('max') ?? element.getAttribute('aria-valuemax');
+  if (max !== null && max !== '') constraints.max = max;
+  const step = element.getAttribute('step');
+  if (step && step !== 'any') constraints.step = step;
 
-        // If still not found, try spatial proximity - find listbox closest to button
-        if (!listbox) {
-          const buttonRect = element.getBoundingClientRect();
-          let closestDistance = Infinity;
-          let closestListbox = null;
+  if (element.required || element.getAttribute('aria-required') === 'true') constraints.required = true;
 
-          for (const lb of allListboxes) {
-            const lbRect = lb.getBoundingClientRect();
+  if (['email', 'url', 'number', 'tel'].includes(element.type)) {
+    constraints.format = element.type;
+  } else if (['numeric', 'decimal'].includes(element.getAttribute('inputmode'))) {
+    constraints.format = 'number';
+  }
 
-            // Calculate distance between button and listbox (top-left corners)
-            const distance = Math.sqrt(
-              Math.pow(lbRect.left - buttonRect.left, 2) +
-              Math.pow(lbRect.top - buttonRect.bottom, 2)
-            );
+  // Format hints like "max. 500 znaków" or "Format: 00-000"
+  const hint = element.getAttribute('title') || (element.getAttribute('aria-describedby') || '')
+    .split(/\s+/)
+    .map(id => id && getElementByIdDeep(id, element)?.textContent.trim())
+    .filter(Boolean)
+    .join(' ');
+  if (hint && hint.length <= 150) constraints.hint = hint;
 
-            if (distance < closestDistance) {
-              closestDistance = distance;
-              closestListbox = lb;
-            }
-          }
+  return Object.keys(constraints).length > 0 ? constraints : null;
+}
 
-          if (closestListbox && closestDistance < 500) { // Within 500px
-            listbox = closestListbox;
-            console.log(`[Custom Dropdown] ✓ Found listbox by proximity (${Math.round(closestDistance)}px away, id="${listbox.id || 'no-id'}")`);
-          }
-        }
+/**
+ * Check a filled value against its constraints
+ * @param {HTMLElement} element
+ * @param {Object|null} constraints - From getFieldConstraints()
+ * @returns {string|null} Polish description of the violated rule, null when the value is fine
+ */
+function getConstraintViolation(element, constraints) {
+  if (!constraints || !['INPUT', 'TEXTAREA'].includes(element.tagName)) return null;
+
+  const value = element.value || '';
+  // validity.tooLong/tooShort are only set for user edits - programmatic values are checked by hand
+  if (constraints.maxLength && value.length > constraints.maxLength) return `maks. ${constraints.maxLength} znaków`;
+  if (constraints.minLength && value && value.length < constraints.minLength) return `min. ${constraints.minLength} znaków`;
+
+  const validity = element.validity;
+  if (!validity) return null;
+  if (validity.valueMissing) return 'pole wymagane';
+  if (validity.badInput || (validity.typeMismatch && constraints.format)) return `niepoprawny format (${constraints.format || 'liczba'})`;
+  if (validity.patternMismatch) return `format niezgodny ze wzorcem ${constraints.pattern}`;
+  if (validity.rangeOverflow) return `maksymalnie ${constraints.max}`;
+  if (validity.rangeUnderflow) return `minimalnie ${constraints.min}`;
+  if (validity.stepMismatch) return `krok ${constraints.step}`;
+  return null;
+}
 
-        // Last resort: use the first one but log a warning
-        if (!listbox) {
-          listbox = allListboxes[0];
-          console.warn(`[Custom Dropdown] ⚠ Using first listbox as fallback - this might be wrong!`);
-        }
-      }
-    }
+/**
+ * Extract a number from a free-text answer ("15 tysięcy" -> 15000, "15k" -> 15000)
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseNumberFromAnswer(text) {
+  // Drop thousands separators: "15 000", "15,000", "15.000" -> "15000"
+  const normalized = String(text).replace(/(\d)[\s,.](?=\d{3}(?!\d))/g, '$1');
+  const numericMatch = normalized.match(/-?\d+(?:[.,]\d+)?/);
+  if (!numericMatch) return null;
+
+  let num = parseFloat(numericMatch[0].replace(',', '.'));
+  // "15 tysięcy", "15k" - the unit has to follow the number itself
+  const rest = normalized.slice(numericMatch.index + numericMatch[0].length);
+  if (/^\s*(?:k\b|tys)/i.test(rest) && Math.abs(num) < 1000) {
+    num = num * 1000;
+  }
+  return Number.isFinite(num) ? num : null;
+}
 
-    if (!listbox) {
-      console.warn(`[Custom Dropdown] ✗ Could not find opened listbox for "${question}"`);
-      // Try to close the dropdown we just opened
-      element.click();
-      return false;
-    }
+/**
+ * Shorten text to a length limit at a sentence or word boundary
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateAtBoundary(text, maxLength) {
+  if (text.length <= maxLength) return text;
 
-    // Check if dropdown is paginated (lazy loading)
-    const isPaginated = element.closest('.paginatedPicklistContainer') !== null ||
-                       listbox.classList.contains('paginated') ||
-                       listbox.querySelector('.virtualized');
-
-    if (isPaginated) {
-      console.log(`[Custom Dropdown] Detected paginated dropdown - scrolling to load all options`);
-
-      // Find scrollable container (might be listbox itself or a child)
-      const scrollContainer = listbox.querySelector('[role="listbox"]') ||
-                            listbox.querySelector('.scrollable') ||
-                            listbox;
-
-      // For virtualized dropdowns, we need to scroll gradually and track unique options
-      const seenOptionTexts = new Set();
-      let previousUniqueCount = 0;
-      let previousScrollTop = -1;
-      let stableCount = 0;
-      let scrollStuckCount = 0;
-      let attempts = 0;
-      const maxAttempts = 100;
-      const scrollStep = 2000; // Larger steps - 2000px at a time
-      const scrollDelay = 150; // Faster polling
+  const cut = text.substring(0, maxLength);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '), cut.endsWith('.') ? cut.length - 1 : -1);
+  if (sentenceEnd >= maxLength * 0.6) return cut.substring(0, sentenceEnd + 1);
 
-      console.log(`[Custom Dropdown] Initial options in DOM: ${listbox.querySelectorAll('[role="option"], [role="menuitem"]').length}`);
-      console.log(`[Custom Dropdown] Scroll container: ${scrollContainer.tagName}, scrollHeight=${scrollContainer.scrollHeight}, clientHeight=${scrollContainer.clientHeight}`);
+  const wordEnd = cut.lastIndexOf(' ');
+  return (wordEnd >= maxLength * 0.6 ? cut.substring(0, wordEnd) : cut).trim();
+}
 
-      do {
-        // Collect currently visible unique options
-        const currentOptions = Array.from(listbox.querySelectorAll('[role="option"], [role="menuitem"]'));
-        currentOptions.forEach(opt => {
-          if (opt && opt.textContent) {
-            const text = opt.textContent.trim();
-            if (text) seenOptionTexts.add(text);
-          }
-        });
+/**
+ * Try to make a value satisfy the constraints without asking the AI again
+ * (numbers out of text, clamping to min/max, trimming to maxlength, common pattern reformatting)
+ * @param {string} value
+ * @param {Object} constraints
+ * @returns {string|null} Reformatted value, null when no local fix applies
+ */
+function reformatForConstraints(value, constraints) {
+  if (!constraints || value == null) return null;
+  let text = String(value).trim();
+
+  const isNumeric = constraints.format === 'number' ||
+    (constraints.min !== undefined && !isNaN(parseFloat(constraints.min)) && !/\d{4}-\d{2}/.test(constraints.min));
+  if (isNumeric) {
+    let num = parseNumberFromAnswer(text);
+    if (num === null) return null;
+    if (constraints.min !== undefined && num < parseFloat(constraints.min)) num = parseFloat(constraints.min);
+    if (constraints.max !== undefined && num > parseFloat(constraints.max)) num = parseFloat(constraints.max);
+    if (constraints.step && parseFloat(constraints.step) > 0) {
+      const step = parseFloat(constraints.step);
+      const base = constraints.min !== undefined ? parseFloat(constraints.min) : 0;
+      num = base + Math.round((num - base) / step) * step;
+    }
+    text = String(Math.round(num * 100) / 100);
+  }
 
-        const currentUniqueCount = seenOptionTexts.size;
-        const currentScrollTop = scrollContainer.scrollTop;
+  if (constraints.pattern) {
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${constraints.pattern})$`, 'u');
+    } catch (e) {
+      regex = null;
+    }
+    if (regex && !regex.test(text)) {
+      const digits = text.replace(/\D/g, '');
+      const candidates = [
+        text.replace(/\s+/g, ''),
+        digits,
+        digits.length === 5 ? `${digits.slice(0, 2)}-${digits.slice(2)}` : null, // Polish postal code 00-000
+        digits.length === 9 ? digits.replace(/(\d{3})(\d{3})(\d{3})/, '$1 $2 $3') : null,
+        digits.length === 9 ? digits.replace(/(\d{3})(\d{3})(\d{3})/, '$1-$2-$3') : null,
+        text.toUpperCase(),
+        text.toLowerCase()
+      ].filter(Boolean);
+      const match = candidates.find(candidate => regex.test(candidate));
+      if (!match) return null;
+      text = match;
+    }
+  }
 
-        // Check if new unique options appeared
-        if (currentUniqueCount > previousUniqueCount) {
-          stableCount = 0; // Reset stable counter
-          scrollStuckCount = 0; // Reset scroll stuck counter
-          previousUniqueCount = currentUniqueCount;
-        } else {
-          stableCount++;
-        }
+  if (constraints.maxLength) {
+    text = truncateAtBoundary(text, constraints.maxLength);
+  }
 
-        // Check if scroll position changed
-        if (currentScrollTop > previousScrollTop) {
-          scrollStuckCount = 0; // Scroll is still moving
-        } else {
-          scrollStuckCount++; // Scroll stuck
-        }
+  return text;
+}
 
-        attempts++;
-        console.log(`[Custom Dropdown] Scroll attempt ${attempts}: unique=${currentUniqueCount}, stable=${stableCount}, scrollTop=${currentScrollTop}, stuck=${scrollStuckCount}`);
+/**
+ * Post-fill validation for one field: reformat locally, then re-ask the AI with the constraints spelled out
+ * @param {HTMLElement} element - Filled field
+ * @param {string} question - Question text
+ * @param {Object|null} constraints - From getFieldConstraints()
+ * @param {Object} userData - User data
+ * @returns {Promise<string|null>} Remaining violation (for the summary) or null
+ */
+async function enforceFieldConstraints(element, question, constraints, userData) {
+  let violation = getConstraintViolation(element, constraints);
+  if (!violation) return null;
+  console.warn(`[Constraints] "${question}" = "${element.value.substring(0, 50)}" violates: ${violation}`);
+
+  const reformatted = reformatForConstraints(element.value, constraints);
+  if (reformatted !== null && reformatted !== element.value) {
+    await writeFieldValue(element, reformatted);
+    violation = getConstraintViolation(element, constraints);
+    if (!violation) {
+      console.log(`[Constraints] Reformatted "${question}" to "${reformatted.substring(0, 50)}"`);
+      return null;
+    }
+  }
 
-        // Stop conditions:
-        // 1. No new options for 5 attempts AND scroll is stuck (reached bottom)
-        // 2. Scroll stuck for 5 attempts (definitely at bottom)
-        if ((stableCount >= 5 && scrollStuckCount >= 2) || scrollStuckCount >= 5) {
-          console.log(`[Custom Dropdown] Stopping: stableCount=${stableCount}, scrollStuckCount=${scrollStuckCount}`);
-          break;
-        }
+  const answer = await getConstrainedAIResponse(question, userData, constraints, element.value);
+  if (answer) {
+    await writeFieldValue(element, reformatForConstraints(answer, constraints) ?? answer);
+    violation = getConstraintViolation(element, constraints);
+    if (!violation) {
+      console.log(`[Constraints] Re-asked AI for "${question}", new answer accepted`);
+      return null;
+    }
+  }
 
-        previousScrollTop = currentScrollTop;
+  console.warn(`[Constraints] "${question}" still violates: ${violation}`);
+  return violation;
+}
 
-        // Scroll down gradually
-        scrollContainer.scrollTop += scrollStep;
+// ==================== Consent Policies ====================
+// Consent checkboxes and EEO (voluntary self-identification) questions are classified into categories,
+// each with a policy chosen in the options page (chrome.storage.sync 'consentPolicies').
+
+// Wording that turns a label into an opt-in ("Chcę otrzymywać...", "Add me to...", "Subscribe...")
+const CONSENT_CONTEXT_PATTERN = /zgod|consent|akceptuj|\baccept|\bagree|wyrażam|chcę|otrzymywa|przesyła|informowa|subscri|subskryb|zapisz|receive|\badd me|dodaj|\bjoin|opt.?in|keep me|contact me|kontakt/i;
+
+// Wording of an EEO survey - a plain "Gender" / "Race" question is answered from the profile
+const EEO_CONTEXT_PATTERN = /self[- ]?identif|\beeo(c)?\b|equal (employment )?opportunit|voluntary|affirmative action|ofccp/i;
+
+// Checked in order - a marketing clause that also mentions RODO is still marketing.
+// Entries with a context pattern need it too, so "Do you have marketing experience?" stays an ordinary question
+const CONSENT_CATEGORY_PATTERNS = [
+  ['eeo', /self[- ]?identif|ethnicit|hispanic|latin[oax]\b|veteran|disabilit|sexual orientation|transgender/i],
+  ['eeo', /\bgender\b|\brace\b/i, EEO_CONTEXT_PATTERN],
+  ['marketing', /marketing|newsletter|handlow|promocyj|promotional|commercial information|special offers|ofert\w* partner/i, CONSENT_CONTEXT_PATTERN],
+  ['talent_pool', /talent pool|talent community|baz\w* (kandydat|talent|cv)|job alert|powiadomie\w* o (nowych )?ofert|similar (roles|positions|jobs)/i, CONSENT_CONTEXT_PATTERN],
+  ['future_recruitment', /przyszł\w* (proces|rekrut)|kolejn\w* (proces|rekrut)|innych (proces|rekrut)|future (recruit|job|opportunit|vacanc|position)|other (positions|vacancies|openings)/i, CONSENT_CONTEXT_PATTERN],
+  ['required_privacy', /regulamin|polityk\w* prywatności|privacy|terms (of|and)|warunk\w* (korzystania|uczestnictwa)|rodo|gdpr|przetwarzani\w* (moich )?danych|danych osobowych|klauzul\w* informacyjn|data processing|personal data/i]
+];
+
+// Generic wording that used to auto-accept any checkbox - still treated as a required clause when nothing more specific matches
+const GENERIC_CONSENT_PATTERN = /zgod|consent|akceptuj|\baccept|zapoznał|oświadczam|przyjmuję do wiadomości|acknowledge/i;
+
+// EEO answer that declines to self-identify ("Decline to self-identify", "I don't wish to answer")
+const EEO_DECLINE_PATTERN = /decline|prefer not|(don.?t|do not) wish|not (to )?(answer|disclose|say|specify)|choose not|wolę nie|nie chcę|odmawiam/i;
+
+const CONSENT_YES_PATTERN = /^(tak|yes|zgadzam|wyrażam zgodę|i agree|i accept|i consent|akceptuję)/i;
+const CONSENT_NO_PATTERN = /^(nie|no\b|i do not|i don't|decline|odmawiam)/i;
+
+// accept / decline / skip (leave it to the user); EEO: decline (self-identify) / profile (answer from profile) / skip
+const DEFAULT_CONSENT_POLICIES = {
+  required_privacy: 'accept',
+  future_recruitment: 'accept',
+  talent_pool: 'skip',
+  marketing: 'decline',
+  eeo: 'decline'
+};
 
-        // Wait for new options to render
-        await new Promise(resolve => setTimeout(resolve, scrollDelay));
+/**
+ * Consent / EEO category of a checkbox label or radio question
+ * @param {string} text - Label, question or surrounding text
+ * @returns {string|null} 'eeo' | 'marketing' | 'talent_pool' | 'future_recruitment' | 'required_privacy' | null
+ */
+function classifyConsentText(text) {
+  const match = CONSENT_CATEGORY_PATTERNS.find(([, pattern, contextPattern]) =>
+    pattern.test(text || '') && (!contextPattern || contextPattern.test(text)));
+  return match ? match[0] : null;
+}
 
-      } while (attempts < maxAttempts);
+/**
+ * Configured policies merged over the defaults
+ * @returns {Promise<Object>} { category: policy }
+ */
+function getConsentPolicies() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get('consentPolicies', (result) => {
+      resolve({ ...DEFAULT_CONSENT_POLICIES, ...(chrome.runtime.lastError ? {} : result.consentPolicies) });
+    });
+  });
+}
 
-      console.log(`[Custom Dropdown] Finished loading: ${seenOptionTexts.size} unique options after ${attempts} scroll attempts`);
-    }
+/**
+ * Option to pick for a consent / EEO radio group under the given policy
+ * @param {string} category - From classifyConsentText()
+ * @param {string} policy - Policy for the category
+ * @param {Array<string>} optionsText - Radio option labels
+ * @returns {string|null} Option text, null = leave the group alone (or answer from the profile for EEO 'profile')
+ */
+function pickConsentOption(category, policy, optionsText) {
+  if (category === 'eeo') {
+    return policy === 'decline' ? optionsText.find(text => EEO_DECLINE_PATTERN.test(text)) || null : null;
+  }
+  if (policy === 'accept') return optionsText.find(text => CONSENT_YES_PATTERN.test(text.trim())) || null;
+  if (policy === 'decline') return optionsText.find(text => CONSENT_NO_PATTERN.test(text.trim())) || null;
+  return null;
+}
 
-    // Find all options
-    const optionElements = Array.from(listbox.querySelectorAll('[role="option"], [role="menuitem"]'));
+/**
+ * Set a checkbox the way its click handlers expect (falls back to the property when click() is swallowed)
+ * @param {HTMLInputElement} checkboxElement
+ * @param {boolean} checked
+ */
+function setConsentCheckbox(checkboxElement, checked) {
+  if (checkboxElement.checked === checked) return;
+  recordFieldState(checkboxElement);
+
+  // Method 1: Actually click the checkbox (triggers all native handlers)
+  checkboxElement.click();
+
+  // Method 2: If click didn't work, set properties directly
+  if (checkboxElement.checked !== checked) {
+    checkboxElement.checked = checked;
+    checkboxElement.dispatchEvent(new Event('change', { bubbles: true }));
+    checkboxElement.dispatchEvent(new Event('input', { bubbles: true }));
+  }
 
-    // Deduplicate options by text (some forms have duplicate option elements)
-    const seenTexts = new Set();
-    const options = [];
-    for (const opt of optionElements) {
-      // Validate option element has textContent
-      if (!opt || !opt.textContent) continue;
+  // Update aria-checked attribute if present
+  if (checkboxElement.hasAttribute('aria-checked')) {
+    checkboxElement.setAttribute('aria-checked', String(checked));
+  }
 
-      const text = opt.textContent.trim();
-      if (text && !seenTexts.has(text)) {
-        seenTexts.add(text);
-        options.push({ element: opt, text: text });
-      }
-    }
+  // Look for associated hidden field and update it
+  const container = checkboxElement.closest('.chkBox, .checkbox, .form-check, [class*="checkbox"]');
+  const hiddenField = container?.querySelector('input[type="hidden"]');
+  const isStale = checked ? ['NO', 'false', '0'].includes(hiddenField?.value) : hiddenField?.value === 'YES';
+  if (hiddenField && isStale) {
+    recordFieldState(hiddenField);
+    setNativeValue(hiddenField, checked ? 'YES' : 'NO');
+    hiddenField.dispatchEvent(new Event('change', { bubbles: true }));
+    console.log(`[Gemini Filler] Updated hidden field to ${hiddenField.value}: ${hiddenField.name}`);
+  }
+}
 
-    console.log(`[Custom Dropdown] Listbox contains ${options.length} unique options (${optionElements.length} total). First 5:`, options.slice(0, 5).map(o => o.text));
+// ==================== Field Type Detection & Metadata ====================
 
-    // Get AI response WITH OPTIONS (so it can translate Polish → English)
-    const optionTexts = options.map(o => o.text).filter(Boolean);
-    console.log(`[Custom Dropdown] Asking AI for answer with ${optionTexts.length} options`);
+/**
+ * Detects the type of a form field
+ * @param {HTMLElement} element - The form element to analyze
+ * @returns {Object} Field metadata { type, options, format, isCustom }
+ */
+function detectFieldType(element) {
+  const metadata = {
+    type: 'text',
+    options: null,
+    format: null,
+    isCustom: false,
+    htmlType: element.type || element.tagName.toLowerCase(),
+    constraints: getFieldConstraints(element)
+  };
 
-    const result = await getAIResponse(question, userData, optionTexts);
-    const answer = result.answer;
-    const answerSource = result.source;
+  // SELECTIZE.JS detection (custom select library)
+  // Selectize hides the original SELECT and creates a div-based UI
+  if (element.tagName === 'SELECT' && element.classList.contains('selectized')) {
+    metadata.type = 'selectize';
+    metadata.isCustom = true;
 
-    if (!answer || answer === '') {
-      console.warn(`[Custom Dropdown] ✗ No answer from AI for "${question}"`);
-      // Close dropdown
-      element.click();
-      return false;
+    // Try to find selectize container (could be sibling or in parent)
+    let selectizeContainer = element.nextElementSibling;
+    if (!selectizeContainer || !selectizeContainer.classList.contains('selectize-control')) {
+      selectizeContainer = element.parentElement?.querySelector('.selectize-control');
     }
 
-    console.log(`[Custom Dropdown] AI returned: "${answer}" (source: ${answerSource})`);
-
-    // Fuzzy match answer to options
-    const matchedText = fuzzyMatch(answer, optionTexts);
+    if (selectizeContainer) {
+      // Try to extract options from dropdown (even if hidden)
+      const dropdown = selectizeContainer.querySelector('.selectize-dropdown');
+      if (dropdown) {
+        const optionElements = dropdown.querySelectorAll('.option');
+        if (optionElements.length > 0) {
+          metadata.options = Array.from(optionElements)
+            .map(opt => opt && opt.textContent ? opt.textContent.trim() : '')
+            .filter(Boolean);
+          console.log(`[Selectize Detection] Found ${metadata.options.length} options in dropdown for ${element.id}`);
+        }
+      }
 
-    if (!matchedText) {
-      console.warn(`[Custom Dropdown] ✗ No match for "${answer}" in ${options.length} options for "${question}"`);
-      console.warn(`[Custom Dropdown] Available options:`, optionTexts);
-      // Close dropdown
-      element.click();
-      return false;
+      // If dropdown empty, try clicking to populate it
+      if (!metadata.options || metadata.options.length === 0) {
+        console.log(`[Selectize Detection] Dropdown empty for ${element.id}, will extract options during fill`);
+        metadata.options = []; // Empty array indicates Selectize but options need to be loaded
+      }
     }
 
-    // Find and click the matched option with validation
-    const matchedOption = options.find(o => o && o.text === matchedText);
-    if (matchedOption && matchedOption.element) {
-      matchedOption.element.click();
-      console.log(`[Custom Dropdown] ✓ Selected "${matchedText}" for "${question}"`);
-
-      // Wait for dropdown to close
-      await new Promise(resolve => setTimeout(resolve, 200));
-      return true;
-    } else {
-      console.warn(`[Custom Dropdown] ✗ Matched option element not found for "${matchedText}"`);
-      return false;
+    // Fallback: use original SELECT options if found
+    if ((!metadata.options || metadata.options.length === 0) && element.options && element.options.length > 0) {
+      const placeholderPatterns = /^(--|select|choose|wybierz|seleccione|wählen)/i;
+      metadata.options = Array.from(element.options)
+        .map(o => o && o.text ? o.text.trim() : '')
+        .filter(t => t && !placeholderPatterns.test(t));
+      console.log(`[Selectize Detection] Using ${metadata.options.length} options from SELECT element for ${element.id}`);
     }
 
-    return false;
-  } catch (error) {
-    console.error('[Custom Dropdown] Error:', error);
-    return false;
+    return metadata;
+  }
+
+  // Rich-text editors (contenteditable, or the textarea behind TinyMCE/CKEditor 4)
+  if (getRichTextTarget(element)) {
+    metadata.type = 'richtext';
+    metadata.isCustom = true;
+    return metadata;
   }
-}
 
-async function fillFormWithAI(userData, processedElements = new Set(), depth = 0, isRetry = false, missingFields = null, startTime = null) {
-  console.log(`[Gemini Filler] fillFormWithAI called: depth=${depth}, isRetry=${isRetry}, missingFields=${missingFields ? `array[${missingFields.length}]` : 'null'}`);
+  // Composite phone inputs with a country picker (intl-tel-input, react-phone-number-input, dial-code select)
+  const phoneWidget = getPhoneWidget(element);
+  if (phoneWidget) {
+    metadata.type = 'phone';
+    metadata.isCustom = true;
+    metadata.phoneWidget = phoneWidget;
+    return metadata;
+  }
 
-  // Track start time for performance metrics (only at depth 0)
-  if (depth === 0 && !startTime) {
-    startTime = Date.now();
+  // Searchable select libraries (React-Select, MUI, Select2, Chosen, AntD) - filled through their driver from dropdowns.js
+  const dropdownDriver = getDropdownDriver(element);
+  if (dropdownDriver) {
+    metadata.driver = dropdownDriver.name;
+    metadata.isCustom = true;
+    if (element.tagName !== 'SELECT') {
+      // Options are rendered only after opening/typing - handled individually like other custom dropdowns
+      metadata.type = 'custom-dropdown';
+      return metadata;
+    }
   }
 
-  // Helper function to check if answer is a placeholder or invalid response (AI sometimes returns these)
-  const isPlaceholder = (text) => {
-    if (!text) return true;
-    const trimmed = text.trim();
-    // Check for placeholder patterns like "-- Wybierz --", "Select", etc.
+  // SELECT element (standard, or the hidden original of Select2/Chosen)
+  if (element.tagName === 'SELECT') {
+    metadata.type = 'select';
     const placeholderPatterns = /^(--|select|choose|wybierz|seleccione|wählen)/i;
-    if (placeholderPatterns.test(trimmed)) return true;
-    // Check for AI's "I don't know" type responses in parentheses
-    if (trimmed.startsWith('(') && trimmed.endsWith(')')) return true;
-    // Check for AI's "I don't know" type responses
-    const invalidResponsePatterns = /(not available|please provide|information is not|cannot be answered|cannot be determined|brak danych|nie ma informacji|requires.*free-text|provided data)/i;
-    if (invalidResponsePatterns.test(trimmed)) return true;
-    return false;
-  };
+    metadata.options = element.options ? Array.from(element.options)
+      .map(o => o && o.text ? o.text.trim() : '')
+      .filter(t => t && !placeholderPatterns.test(t)) : [];
+    return metadata;
+  }
 
-  // Track missing fields only on first call (depth 0)
-  if (depth === 0 && !missingFields) {
-    missingFields = [];
-    console.log('[Gemini Filler] Initialized missingFields array');
+  // RADIO buttons (role="radiogroup" or input[type="radio"])
+  if (element.getAttribute('role') === 'radiogroup' || element.type === 'radio') {
+    metadata.type = 'radio';
+    if (element.getAttribute('role') === 'radiogroup') {
+      const radioButtons = element.querySelectorAll('button[role="radio"], input[type="radio"]');
+      metadata.options = Array.from(radioButtons).map(rb => {
+        const label = findLabelForDeep(rb) ||
+                     rb.closest('div')?.querySelector('label') ||
+                     rb.nextElementSibling;
+        return label ? label.textContent.trim() : rb.getAttribute('aria-label') || rb.value || '';
+      }).filter(t => t);
+    }
+    return metadata;
   }
 
-  // Prevent infinite recursion
-  const MAX_DEPTH = 10;
-  if (depth >= MAX_DEPTH) {
-    console.warn('[Gemini Filler] Maximum recursion depth reached. Stopping form filling.');
-    return;
+  // CHECKBOX
+  if (element.type === 'checkbox') {
+    metadata.type = 'checkbox';
+    return metadata;
   }
 
-  // FIRST: Process all file inputs for CV attachment BEFORE custom buttons
-  // This ensures file inputs have files before we check if custom buttons should be clicked
-  const fileInputsFirst = document.querySelectorAll('input[type="file"]');
-  for (const fileInput of fileInputsFirst) {
-    if (processedElements.has(fileInput)) continue;
-    if (!document.contains(fileInput)) continue;
+  // CUSTOM DROPDOWN detection (div-based selects)
+  // Check this BEFORE datepicker to avoid false positives on fields with "data" in class names
+  const dropdownIndicators = [
+    element.getAttribute('role') === 'combobox',
+    element.getAttribute('role') === 'listbox',
+    element.getAttribute('aria-haspopup') === 'listbox',
+    element.getAttribute('aria-haspopup') === 'menu',
+    element.getAttribute('aria-haspopup') === 'dialog',  // Added: dialog-based dropdowns
+    element.className && /select|dropdown|combobox|autocomplete/i.test(element.className),
+    element.tagName === 'BUTTON' && element.getAttribute('aria-expanded') !== null
+  ];
 
-    const question = getQuestionForInput(fileInput);
-    const inputName = fileInput.name?.toLowerCase() || '';
-    const inputId = fileInput.id?.toLowerCase() || '';
-    const accept = fileInput.accept?.toLowerCase() || '';
+  if (dropdownIndicators.some(Boolean)) {
+    metadata.type = 'custom-dropdown';
+    metadata.isCustom = true;
 
-    // Get container text for additional context
-    const container = fileInput.closest('.js-drag-and-drop, .drag-and-drop, .file-upload, .upload-container, [class*="upload"], [class*="file"], [class*="attachment"]') ||
-                     fileInput.parentElement?.parentElement?.parentElement;
-    const containerText = container?.textContent?.toLowerCase().substring(0, 200) || '';
+    // Try to find options if dropdown is already open
+    // First try using aria-controls for dialog-based dropdowns
+    const ariaControls = element.getAttribute('aria-controls');
+    let listbox = null;
 
-    const combinedText = `${question || ''} ${inputName} ${inputId} ${containerText}`.toLowerCase();
-    const keywords = ['cv', 'resume', 'życiorys', 'załącz', 'plik', 'upload', 'file', 'dokument', 'document', 'lebenslauf', 'attachment', 'add document', 'dodaj'];
-    const fileTypeIndicators = ['.doc', '.pdf', 'docx', 'pdf,', 'docx,'];
+    if (ariaControls) {
+      const dialog = getElementByIdDeep(ariaControls, element);
+      if (dialog) {
+        listbox = dialog;
+      }
+    }
 
-    const hasKeyword = keywords.some(kw => combinedText.includes(kw));
-    const acceptsResume = fileTypeIndicators.some(ft => accept.includes(ft));
+    // Fallback to other methods
+    if (!listbox) {
+      listbox = (element.id && deepQuerySelector(`[role="listbox"][aria-labelledby="${CSS.escape(element.id)}"], [role="menu"][aria-labelledby="${CSS.escape(element.id)}"]`)) ||
+                element.nextElementSibling?.querySelector('[role="option"]')?.parentElement;
+    }
 
-    if (hasKeyword || acceptsResume) {
-      console.log(`[Gemini Filler] Early file input processing: question="${question}", name="${inputName}"`);
-      await handleFileInput(fileInput);
-      processedElements.add(fileInput);
+    if (listbox) {
+      const optionElements = listbox.querySelectorAll('[role="option"], [role="menuitem"]');
+      metadata.options = Array.from(optionElements)
+        .map(opt => opt && opt.textContent ? opt.textContent.trim() : '')
+        .filter(Boolean);
+      console.log(`[Field Detection] Found ${metadata.options.length} options for custom dropdown "${element.id}"`);
     }
+    return metadata;
   }
 
-  // THEN: Handle custom upload buttons (only if no file was attached above)
-  await handleCustomResumeButtons(processedElements);
-
-  let formElements;
-  try {
-    formElements = document.querySelectorAll('input, textarea, select, button[aria-haspopup="dialog"], div[role="radiogroup"]');
-  } catch (error) {
-    console.error('[Gemini Filler] Error querying form elements:', error);
-    throw new Error('Failed to find form elements');
-  }
+  // DATEPICKER detection
+  // Exclude common false positives like "gender" by checking more strictly
+  // Use word boundaries to avoid matching "candidate", "update", "mandate" etc.
+  const dateIndicators = [
+    'calendar', 'picker', 'datepicker', 'fecha', 'datum',
+    'birth', 'urodzenia'
+  ];
+  // These need word boundary matching to avoid false positives
+  const dateWordsNeedingBoundary = ['date', 'data', 'dostępność', 'availability'];
 
-  let aChangeWasMade = false;
+  // Helper to check if a word exists with boundaries (not inside another word)
+  const hasWordWithBoundary = (text, word) => {
+    if (!text) return false;
+    const lowerText = text.toLowerCase();
+    // Match word at boundaries (start/end of string, or surrounded by non-word chars)
+    const regex = new RegExp(`(^|[^a-z])${word}([^a-z]|$)`, 'i');
+    return regex.test(lowerText);
+  };
 
-  // BATCH PROCESSING - only on first call (depth 0, !isRetry)
-  // This processes all visible fields at once for efficiency
-  if (depth === 0 && !isRetry) {
-    console.log('[Gemini Filler] Starting batch processing mode...');
+  const hasDateClass = element.className && (
+    dateIndicators.some(ind => element.className.toLowerCase().includes(ind)) ||
+    dateWordsNeedingBoundary.some(word => hasWordWithBoundary(element.className, word))
+  );
+  const hasDateId = element.id && (
+    dateIndicators.some(ind => element.id.toLowerCase().includes(ind)) ||
+    dateWordsNeedingBoundary.some(word => hasWordWithBoundary(element.id, word))
+  );
+  const hasDatePlaceholder = element.placeholder && (
+    dateIndicators.some(ind => element.placeholder.toLowerCase().includes(ind)) ||
+    dateWordsNeedingBoundary.some(word => hasWordWithBoundary(element.placeholder, word))
+  );
+  const hasDateType = element.type === 'date' || element.type === 'datetime-local';
+  const hasDatePattern = element.pattern && /date|dd|mm|yyyy/i.test(element.pattern);
 
-    const batchQuestions = [];
-    const batchElements = [];
-    const batchMetadata = []; // Store element metadata
+  if (hasDateClass || hasDateId || hasDatePlaceholder || hasDateType || hasDatePattern) {
+    metadata.type = 'datepicker';
+    metadata.format = element.placeholder || 'YYYY-MM-DD';
+    return metadata;
+  }
 
-    // Collect all questions with metadata
-    for (const element of formElements) {
-      if (processedElements.has(element)) continue;
-      if (!document.contains(element)) continue;
+  // TEXTAREA
+  if (element.tagName === 'TEXTAREA') {
+    metadata.type = 'textarea';
+    return metadata;
+  }
 
-      // Skip special types that need individual handling
-      if (element.type === 'file' || element.type === 'radio' || element.type === 'checkbox') {
-        continue;
-      }
+  // Default: text input
+  return metadata;
+}
 
-      // Skip Selectize-generated inputs (they're created by Selectize.js and should be ignored)
-      if (element.tagName === 'INPUT' &&
-          (element.closest('.selectize-input') ||
-           element.closest('.selectize-control') ||
-           element.id.endsWith('-selectized'))) {
-        console.log(`[Gemini Filler] Skipping Selectize-generated input: ${element.id}`);
-        continue;
-      }
+/**
+ * Fuzzy match answer to available options
+ * @param {string} answer - The answer from AI
+ * @param {Array<string>} options - Available options
+ * @returns {string|null} Best matching option or null
+ */
+function fuzzyMatch(answer, options) {
+  if (!answer || !options || options.length === 0) return null;
 
-      const question = getQuestionForInput(element);
-      if (!question) continue;
+  // Ensure answer is a string
+  const answerStr = typeof answer === 'string' ? answer : String(answer);
+  const answerLower = answerStr.toLowerCase().trim();
 
-      // Detect field type and metadata
-      const fieldMetadata = detectFieldType(element);
+  // 1. Exact match (case insensitive)
+  const exactMatch = options.find(opt => opt.toLowerCase().trim() === answerLower);
+  if (exactMatch) return exactMatch;
 
-      // Skip custom dropdowns in batch - they need individual handling
-      if (fieldMetadata.type === 'custom-dropdown') {
-        continue;
-      }
+  // 2. Substring match (answer contains option or vice versa)
+  // Require minimum 4 characters to avoid false positives with short fragments
+  const substringMatch = options.find(opt => {
+    // Skip non-string options
+    if (typeof opt !== 'string') return false;
 
-      console.log(`[Gemini Filler] Field "${question}" detected as type: ${fieldMetadata.type}`, fieldMetadata);
+    const optLower = opt.toLowerCase().trim();
+    // Only match if substring is at least 4 characters long
+    if (answerLower.length >= 4 && optLower.includes(answerLower)) return true;
+    if (optLower.length >= 4 && answerLower.includes(optLower)) return true;
+    return false;
+  });
+  if (substringMatch) return substringMatch;
 
-      batchQuestions.push({
-        question: question,
-        options: fieldMetadata.options,
-        type: fieldMetadata.type,
-        format: fieldMetadata.format
-      });
-      batchElements.push(element);
-      batchMetadata.push(fieldMetadata);
+  // 3. Word overlap (count matching words)
+  const answerWords = answerLower.split(/\s+/).filter(w => w && w.length > 2);
+  const optionScores = options.map(opt => {
+    // Skip non-string options
+    if (typeof opt !== 'string') {
+      return { option: opt, score: 0 };
     }
 
-    if (batchQuestions.length > 0) {
-      console.log(`[Gemini Filler] Collected ${batchQuestions.length} questions for batch processing`);
+    const optWords = opt.toLowerCase().split(/\s+/).filter(w => w && w.length > 2);
+    const matches = answerWords.filter(aw => optWords.includes(aw));
+    return { option: opt, score: matches.length };
+  });
 
-      // Get batch answers from AI
-      const batchAnswers = await getBatchAIResponse(batchQuestions, userData);
+  const bestMatch = optionScores.reduce((best, curr) =>
+    curr.score > best.score ? curr : best
+  );
 
-      // Fill all fields from batch
-      for (let i = 0; i < batchElements.length; i++) {
-        const element = batchElements[i];
-        let answer = batchAnswers[i];
-        const metadata = batchMetadata[i];
-        let answerSource = null; // Track if answer is from 'ai' or 'mock'
+  if (bestMatch.score > 0) return bestMatch.option;
 
-        // If batch AI returned empty or placeholder, try mock response as fallback
-        if (!answer || answer === '' || isPlaceholder(answer)) {
-          if (isPlaceholder(answer)) {
-            console.log(`[Gemini Filler] Batch AI returned placeholder "${answer}" for: "${batchQuestions[i].question}", trying mock fallback...`);
-          } else {
-            console.log(`[Gemini Filler] No batch answer for: "${batchQuestions[i].question}", trying mock fallback...`);
-          }
+  // 4. Semantic matching for common cases
+  const semanticMappings = {
+    'remote': ['zdalnie', 'zdalna', 'remote', 'remotely', 'home office'],
+    'hybrid': ['hybrydowo', 'hybrydowa', 'hybrid', 'częściowo zdalnie'],
+    'office': ['stacjonarnie', 'stacjonarna', 'office', 'on-site', 'biuro'],
+    'full-time': ['pełny etat', 'full time', 'full-time', 'pełen etat'],
+    'part-time': ['część etatu', 'part time', 'part-time', 'niepełny etat'],
+    'b2b': ['b2b', 'kontrakt', 'contract', 'samozatrudnienie'],
+    'uop': ['umowa o pracę', 'uop', 'employment contract'],
+    // Country name translations (Polish ↔ English)
+    // NOTE: Removed 2-letter country codes to avoid false matches (e.g. 'pl' matching 'plurinational')
+    'poland': ['polska', 'poland'],
+    'germany': ['niemcy', 'germany'],
+    'france': ['francja', 'france'],
+    'spain': ['hiszpania', 'spain'],
+    'italy': ['włochy', 'italy'],
+    'united kingdom': ['wielka brytania', 'united kingdom', 'great britain'],
+    'united states': ['stany zjednoczone', 'united states', 'usa', 'america'],
+    'netherlands': ['holandia', 'netherlands'],
+    'belgium': ['belgia', 'belgium'],
+    'switzerland': ['szwajcaria', 'switzerland'],
+    'austria': ['austria', 'austria'],
+    'czech republic': ['czechy', 'czech republic', 'czechia'],
+    'sweden': ['szwecja', 'sweden'],
+    'norway': ['norwegia', 'norway'],
+    'denmark': ['dania', 'denmark'],
+    'finland': ['finlandia', 'finland'],
+    'ireland': ['irlandia', 'ireland'],
+    'portugal': ['portugalia', 'portugal'],
+    'greece': ['grecja', 'greece'],
+    'hungary': ['węgry', 'hungary'],
+    'romania': ['rumunia', 'romania'],
+    'bulgaria': ['bułgaria', 'bulgaria'],
+    'croatia': ['chorwacja', 'croatia'],
+    'slovakia': ['słowacja', 'slovakia'],
+    'lithuania': ['litwa', 'lithuania'],
+    'latvia': ['łotwa', 'latvia'],
+    'estonia': ['estonia', 'estonia'],
+    'ukraine': ['ukraina', 'ukraine'],
+    'russia': ['rosja', 'russia'],
+    'canada': ['kanada', 'canada'],
+    'australia': ['australia', 'australia'],
+    'new zealand': ['nowa zelandia', 'new zealand'],
+    'japan': ['japonia', 'japan'],
+    'china': ['chiny', 'china'],
+    'india': ['indie', 'india'],
+    'brazil': ['brazylia', 'brazil'],
+    'mexico': ['meksyk', 'mexico'],
+    'argentina': ['argentyna', 'argentina']
+  };
 
-          const mockAnswer = getMockAIResponse(batchQuestions[i].question, userData, metadata.optionsText);
-          if (mockAnswer && !isPlaceholder(mockAnswer)) {
-            answer = mockAnswer;
-            answerSource = 'mock';
-            console.log(`[Gemini Filler] Mock fallback found: "${answer}"`);
-          } else {
-            console.log(`[Gemini Filler] No mock fallback either, will retry in second pass`);
-            // Track this as potentially missing data
-            if (missingFields && depth === 0) {
-              console.log(`[Gemini Filler] Adding to missingFields: "${batchQuestions[i].question}" (depth=${depth}, missingFields.length before=${missingFields.length})`);
-              missingFields.push({
-                question: batchQuestions[i].question,
-                reason: 'Brak danych w bazie wiedzy',
-                element: element
-              });
-              console.log(`[Gemini Filler] missingFields.length after=${missingFields.length}`);
-            } else {
-              console.log(`[Gemini Filler] NOT adding to missingFields: missingFields=${missingFields ? 'exists' : 'null'}, depth=${depth}`);
-            }
-            continue;  // Don't add to processedElements - let second pass retry with full AI
-          }
-        } else {
-          // Answer came from batch AI - check if it's actually from userData
-          // Check both exact match and partial match (e.g., "Wyższe" in userData matches "Wyższe - magister" from SELECT)
-          const answerLower = answer.toLowerCase();
+  for (const [key, variants] of Object.entries(semanticMappings)) {
+    if (variants.some(v => answerLower.includes(v))) {
+      const match = options.find(opt => variants.some(v => opt.toLowerCase().includes(v)));
+      if (match) return match;
+    }
+  }
 
-          // Debug: log all userData values for this check
-          console.log(`[Gemini Filler] Checking if answer "${answer}" matches any userData value...`);
-          const userDataValues = Object.entries(userData).map(([key, val]) => {
-            if (!val) return null;
-            return { key, value: val, valueLower: val.toString().toLowerCase() };
-          }).filter(Boolean);
-          console.log(`[Gemini Filler] userData values to check:`, userDataValues.map(v => `${v.key}="${v.value}"`).join(', '));
-
-          const isFromUserData = Object.values(userData).some(val => {
-            if (!val) return false;
-            const valStr = val.toString().toLowerCase();
-            // Exact match OR userData value is contained in answer OR answer is contained in userData value
-            // Use >= 3 instead of > 3 to catch values like "+48" (exactly 3 chars)
-            const matches = valStr === answerLower ||
-                   (valStr.length >= 3 && answerLower.includes(valStr)) ||
-                   (answerLower.length >= 3 && valStr.includes(answerLower));
-
-            if (matches) {
-              console.log(`[Gemini Filler] ✓ Match found! answer "${answer}" matches userData value "${val}"`);
-            }
-            return matches;
-          });
+  // No match found
+  console.log(`[Fuzzy Match] No match for "${answer}" in options:`, options);
+  return null;
+}
 
-          answerSource = isFromUserData ? 'mock' : 'ai';
-          if (isFromUserData) {
-            console.log(`[Gemini Filler] Answer "${answer}" matches userData value, marking as mock`);
-          } else {
-            console.log(`[Gemini Filler] Answer "${answer}" does NOT match any userData value, marking as ai`);
-
-            // SPECIAL CASE: If answer is a date but doesn't match userData, check if userData has availability/start date
-            // and convert it properly (e.g., "trzy miesiące od teraz" → "2026-02-20")
-            const questionLower = batchQuestions[i].question.toLowerCase();
-            const isDateOrAvailability = metadata.type === 'datepicker' ||
-                                        questionLower.includes('dostępność') ||
-                                        questionLower.includes('availability') ||
-                                        questionLower.includes('kiedy') ||
-                                        questionLower.includes('start') ||
-                                        questionLower.includes('rozpocz') ||
-                                        questionLower.includes('data');
-
-            if (isDateOrAvailability && /^\d{4}-\d{2}-\d{2}$/.test(answer)) {
-              // Answer is a date, check if userData has a relative date phrase
-              const userDataStartDate = userData['Od kiedy mogę zacząć pracę'] ||
-                                       userData['startDate'] ||
-                                       userData['availability'] ||
-                                       userData['start'];
-
-              if (userDataStartDate && typeof userDataStartDate === 'string') {
-                const relativeDatePattern = /(od\s+)?teraz|natychmiast|immediately|miesiąc|miesięcy|miesiące|tydzień|tygodni|tygodnie|dzień|dni|rok|lata|lat|week|month|day|year/i;
-
-                if (relativeDatePattern.test(userDataStartDate)) {
-                  // userData has relative date - parse it properly using our helper
-                  console.log(`[Gemini Filler] Found relative date in userData: "${userDataStartDate}", re-processing...`);
-                  const mockAnswer = getMockAIResponse(batchQuestions[i].question, userData, metadata.optionsText);
-                  if (mockAnswer && mockAnswer !== answer) {
-                    console.log(`[Gemini Filler] Replacing AI date "${answer}" with correctly parsed date "${mockAnswer}" from userData`);
-                    answer = mockAnswer;
-                    answerSource = 'mock';
-                  }
-                }
-              }
-            }
-          }
-        }
+/**
+ * Parse date from natural language text
+ * @param {string} text - Natural language date ("za 3 miesiące", "three months from now", etc.)
+ * @returns {Date|null} Parsed date or null
+ */
+function parseDateFromText(text) {
+  if (!text || typeof text !== 'string') return null;
 
-        try {
-          console.log(`[Gemini Filler] Batch filling: "${batchQuestions[i].question}" = "${answer}"`);
-
-          let filled = false;  // Track if we actually filled the field
-
-          // Handle different field types
-          if (metadata.type === 'select') {
-            // Validate options array before using
-            const validOptions = Array.isArray(metadata.options) ? metadata.options.filter(opt => typeof opt === 'string') : [];
-            const bestMatchText = fuzzyMatch(answer, validOptions);
-            console.log(`[Gemini Filler] fuzzyMatch("${answer}") -> "${bestMatchText}" from ${validOptions.length} options`);
-            if (bestMatchText) {
-              const bestMatchOption = Array.from(element.options).find(o => o && o.text === bestMatchText);
-              if (bestMatchOption) {
-                const oldValue = element.value;
-                element.value = bestMatchOption.value;
-                element.selectedIndex = bestMatchOption.index;
-                console.log(`[Gemini Filler] SELECT: set value from "${oldValue}" to "${element.value}", selectedIndex=${element.selectedIndex}, text="${bestMatchOption.text}"`);
-
-                // Add delay before events to prevent stack overflow
-                await new Promise(resolve => setTimeout(resolve, 200));
-                const inputEvent = new Event('input', { bubbles: true });
-                inputEvent._autofilledByExtension = true;
-                const changeEvent = new Event('change', { bubbles: true });
-                changeEvent._autofilledByExtension = true;
-                element.dispatchEvent(inputEvent);
-                element.dispatchEvent(changeEvent);
-
-                // Verify value stuck after events
-                await new Promise(resolve => setTimeout(resolve, 100));
-                console.log(`[Gemini Filler] SELECT: dispatched input+change events, current value="${element.value}", selectedIndex=${element.selectedIndex}`);
-
-                // Double-check: read selected option text with bounds checking
-                let currentSelectedOption = null;
-                if (element.selectedIndex >= 0 && element.selectedIndex < element.options.length) {
-                  currentSelectedOption = element.options[element.selectedIndex];
-                }
-                console.log(`[Gemini Filler] SELECT: currently selected option text="${currentSelectedOption?.text}", visible in UI=${element.offsetParent !== null}`);
+  const textLower = text.toLowerCase().trim();
 
-                aChangeWasMade = true;
-                filled = true;
-              } else {
-                console.warn(`[Gemini Filler] Matched text "${bestMatchText}" but option not found in SELECT`);
-              }
-            } else {
-              console.warn(`[Gemini Filler] fuzzyMatch failed for answer "${answer}" in SELECT with ${metadata.options?.length} options`);
-            }
-          } else if (metadata.type === 'radio' && element.getAttribute('role') === 'radiogroup') {
-            const radioButtons = Array.from(element.querySelectorAll('button[role="radio"]'));
-            const optionDetails = radioButtons.map(rb => {
-              const label = document.querySelector(`label[for="${rb.id}"]`) || rb.closest('div')?.querySelector('label');
-              return {
-                button: rb,
-                text: label ? label.textContent.trim() : rb.getAttribute('aria-label') || ''
-              };
-            });
+  // Try to parse as ISO date first
+  const isoMatch = textLower.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return new Date(isoMatch[0]);
+  }
 
-            const bestMatchText = fuzzyMatch(answer, optionDetails.map(o => o.text));
-            console.log(`[Gemini Filler] fuzzyMatch("${answer}") -> "${bestMatchText}" for radiogroup with ${optionDetails.length} options`);
-            if (bestMatchText) {
-              const matchingOption = optionDetails.find(o => o.text === bestMatchText);
-              if (matchingOption) {
-                matchingOption.button.click();
-                aChangeWasMade = true;
-                filled = true;
-              } else {
-                console.warn(`[Gemini Filler] Matched text "${bestMatchText}" but radio button not found`);
-              }
-            } else {
-              console.warn(`[Gemini Filler] fuzzyMatch failed for answer "${answer}" in radiogroup with ${optionDetails.length} options`);
-            }
-          } else if (metadata.type === 'datepicker') {
-            // Handle datepicker
-            const success = fillDatepicker(element, answer);
-            if (success) {
-              aChangeWasMade = true;
-              filled = true;
-            } else {
-              console.warn(`[Gemini Filler] Failed to fill datepicker with: "${answer}"`);
-            }
-          } else if (metadata.type === 'selectize') {
-            // Handle Selectize.js dropdown - it handles AI internally
-            const success = await fillSelectize(element, userData, batchQuestions[i].question);
-            if (success) {
-              aChangeWasMade = true;
-              filled = true;
-            } else {
-              console.warn(`[Gemini Filler] Failed to fill selectize for question: "${batchQuestions[i].question}"`);
-            }
-          } else {
-            // Text input, textarea, etc.
-            // Use native setter for React/Vue/Angular compatibility
-            const isInput = element.tagName === 'INPUT';
-            const isTextarea = element.tagName === 'TEXTAREA';
-
-            // Check if this input might have autocomplete/dropdown behavior
-            const mightHaveDropdown =
-              element.getAttribute('role') === 'combobox' ||
-              element.getAttribute('aria-haspopup') ||
-              element.getAttribute('aria-autocomplete') ||
-              element.getAttribute('list') || // datalist
-              /autocomplete|dropdown|select|combobox/i.test(element.className || '');
-
-            // Check if this is a search/autocomplete field that needs special handling
-            // Be more restrictive - only detect as search field if explicitly indicated
-            const hasSearchPlaceholder = /search|szukaj|wyszukaj/i.test(element.placeholder || '');
-            const hasSearchClass = /search|location-search|city-search|autocomplete-search/i.test(element.className || '');
-            const hasAriaAutocomplete = element.getAttribute('aria-autocomplete') === 'list' &&
-                                       /search|location|miasto|city|lokalizacja/i.test(element.placeholder || element.className || '');
-            const isSearchField = hasSearchPlaceholder || hasSearchClass || hasAriaAutocomplete;
-
-            // For search fields, we need to type and then select from dropdown
-            if (isSearchField) {
-              console.log(`[Gemini Filler] Detected search/autocomplete field, using typeahead approach`);
-              element.focus();
-              await new Promise(resolve => setTimeout(resolve, 100));
-
-              // Type the value character by character or set it
-              const prototype = window.HTMLInputElement.prototype;
-              const nativeValueSetter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
-              if (nativeValueSetter) {
-                nativeValueSetter.call(element, answer);
-              } else {
-                element.value = answer;
-              }
-
-              // Dispatch input event to trigger autocomplete
-              element.dispatchEvent(new InputEvent('input', { bubbles: true, data: answer, inputType: 'insertText' }));
-              await new Promise(resolve => setTimeout(resolve, 800)); // Wait for dropdown (longer for Angular)
-
-              // Try to find and click a matching option in dropdown
-              const dropdownSelectors = [
-                // Standard ARIA
-                '[role="listbox"] [role="option"]',
-                '[role="menu"] [role="menuitem"]',
-                // Angular Material
-                'mat-option',
-                '.mat-option',
-                '.mat-autocomplete-panel mat-option',
-                '.cdk-overlay-pane mat-option',
-                // Angular ng-select
-                '.ng-dropdown-panel .ng-option',
-                'ng-dropdown-panel ng-option',
-                // Custom address/location controls (e.g., Google Places alternatives)
-                '.addressControl > div > div.text-truncate',
-                '.addressControl .text-truncate',
-                '[class*="address"] .text-truncate',
-                '[class*="location"] .text-truncate',
-                // Bootstrap / generic
-                '.dropdown-menu li',
-                '.dropdown-menu a',
-                '.dropdown-item',
-                // Autocomplete results
-                '.autocomplete-results li',
-                '.autocomplete-suggestion',
-                '.suggestions li',
-                '.suggestion-item',
-                '.typeahead li',
-                '.typeahead-result',
-                // Google Places
-                '.pac-container .pac-item',
-                // Generic patterns
-                '[class*="dropdown"] [class*="option"]',
-                '[class*="dropdown"] li',
-                '[class*="dropdown"] a',
-                '[class*="menu"] li',
-                '[class*="autocomplete"] li',
-                '[class*="suggestion"] li',
-                '[class*="result"] li',
-                // Text-truncate items (common pattern for location dropdowns)
-                '.text-truncate[style*="cursor: pointer"]',
-                '.text-truncate[style*="cursor"]',
-                // List items in any visible overlay
-                '.overlay li',
-                '.popup li',
-                '[class*="popup"] li',
-                '[class*="overlay"] li'
-              ];
-
-              let optionClicked = false;
-              const answerLower = answer.toLowerCase();
-
-              // First, try known selectors
-              for (const selector of dropdownSelectors) {
-                const options = document.querySelectorAll(selector);
-                if (options.length > 0) {
-                  console.log(`[Gemini Filler] Found ${options.length} dropdown options with selector: ${selector}`);
-                  // Find best matching option
-                  for (const opt of options) {
-                    const optText = opt.textContent?.toLowerCase() || '';
-                    if (optText.includes(answerLower) || answerLower.includes(optText.split(',')[0])) {
-                      console.log(`[Gemini Filler] Clicking autocomplete option: "${opt.textContent}"`);
-                      opt.click();
-                      optionClicked = true;
-                      break;
-                    }
-                  }
-                  if (!optionClicked && options.length > 0) {
-                    // If no match, click first option
-                    console.log(`[Gemini Filler] No exact match, clicking first option: "${options[0].textContent}"`);
-                    options[0].click();
-                    optionClicked = true;
-                  }
-                  if (optionClicked) break;
-                }
-              }
-
-              // Fallback: Look for any visible element containing our answer text that appeared
-              if (!optionClicked) {
-                console.log(`[Gemini Filler] Known selectors failed, trying dynamic search...`);
+  // Try to parse DD/MM/YYYY or MM/DD/YYYY
+  const dateMatch = textLower.match(/(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})/);
+  if (dateMatch) {
+    // Assume DD/MM/YYYY for European formats
+    return new Date(dateMatch[3], dateMatch[2] - 1, dateMatch[1]);
+  }
 
-                // Find all visible clickable elements that contain our answer
-                const allElements = document.querySelectorAll('li, div[role], span[role], a, button, [class*="item"], [class*="option"], [class*="result"]');
-                const candidates = [];
+  const now = new Date();
 
-                for (const el of allElements) {
-                  const text = el.textContent?.toLowerCase() || '';
-                  const rect = el.getBoundingClientRect();
+  // Word to number mapping (Polish and English)
+  const wordToNumber = {
+    'jeden': 1, 'jedna': 1, 'jedno': 1, 'one': 1,
+    'dwa': 2, 'dwie': 2, 'two': 2,
+    'trzy': 3, 'three': 3,
+    'cztery': 4, 'four': 4,
+    'pięć': 5, 'five': 5,
+    'sześć': 6, 'six': 6,
+    'siedem': 7, 'seven': 7,
+    'osiem': 8, 'eight': 8,
+    'dziewięć': 9, 'nine': 9,
+    'dziesięć': 10, 'ten': 10,
+    'jedenaście': 11, 'eleven': 11,
+    'dwanaście': 12, 'twelve': 12
+  };
 
-                  // CRITICAL: Skip file/CV related elements to avoid triggering file dialogs
-                  const isFileRelated = /\.pdf|\.doc|\.docx|cv_|resume|upload|file|attachment/i.test(text) ||
-                                       el.closest('[data-test-id*="file"], [data-test-id*="cv"], [class*="file"], [class*="upload"], [class*="attachment"]');
-                  if (isFileRelated) {
-                    continue;
-                  }
+  // Parse "X days/weeks/months/years from now" (numeric)
+  const futurePatterns = [
+    { pattern: /(\d+)\s*(dni|day|days|dzień|dzieni)/i, unit: 'days' },
+    { pattern: /(\d+)\s*(tydzień|tygodni|tygodnie|week|weeks)/i, unit: 'weeks' },
+    { pattern: /(\d+)\s*(miesiąc|miesiące|miesięcy|month|months)/i, unit: 'months' },
+    { pattern: /(\d+)\s*(rok|lata|lat|year|years)/i, unit: 'years' }
+  ];
 
-                  // Element must be visible and contain our search term
-                  if (rect.width > 0 && rect.height > 0 && rect.height < 100 &&
-                      (text.includes(answerLower) || answerLower.includes(text.trim().split(',')[0]))) {
-                    // Check if it's in a dropdown-like container (absolute/fixed positioned or in overlay)
-                    const style = window.getComputedStyle(el.parentElement || el);
-                    const parentRect = (el.parentElement || el).getBoundingClientRect();
-                    if (style.position === 'absolute' || style.position === 'fixed' ||
-                        parentRect.top > element.getBoundingClientRect().bottom - 10) {
-                      candidates.push({ el, text: el.textContent, rect });
-                    }
-                  }
-                }
+  for (const { pattern, unit } of futurePatterns) {
+    const match = textLower.match(pattern);
+    if (match) {
+      const amount = parseInt(match[1]);
+      const result = new Date(now);
 
-                if (candidates.length > 0) {
-                  console.log(`[Gemini Filler] Found ${candidates.length} candidate elements via dynamic search`);
-                  // Sort by y position (prefer elements right below the input)
-                  candidates.sort((a, b) => a.rect.top - b.rect.top);
-                  console.log(`[Gemini Filler] Clicking dynamic candidate: "${candidates[0].text}"`);
-                  candidates[0].el.click();
-                  optionClicked = true;
-                }
-              }
+      switch (unit) {
+        case 'days':
+          result.setDate(result.getDate() + amount);
+          break;
+        case 'weeks':
+          result.setDate(result.getDate() + (amount * 7));
+          break;
+        case 'months':
+          result.setMonth(result.getMonth() + amount);
+          break;
+        case 'years':
+          result.setFullYear(result.getFullYear() + amount);
+          break;
+      }
 
-              if (!optionClicked) {
-                // Log what dropdowns exist for debugging
-                const possibleDropdowns = document.querySelectorAll('[class*="dropdown"]:not([style*="display: none"]), [class*="menu"]:not([style*="display: none"]), [class*="list"]:not([style*="display: none"]), [class*="popup"]:not([style*="display: none"]), [class*="overlay"]:not([style*="display: none"])');
-                if (possibleDropdowns.length > 0) {
-                  console.log(`[Gemini Filler] Debug: Found ${possibleDropdowns.length} potential dropdown containers:`);
-                  possibleDropdowns.forEach((d, i) => {
-                    if (i < 3) console.log(`[Gemini Filler] Debug dropdown ${i}: class="${d.className}", children=${d.children.length}`);
-                  });
-                }
-                console.log(`[Gemini Filler] No dropdown found, keeping typed value`);
-              }
+      return result;
+    }
+  }
 
-              aChangeWasMade = true;
-              filled = true;
-              console.log(`[Gemini Filler] Filled search field with: "${answer}"`);
-            } else {
-              // Regular text input handling
-              // Focus first - required for many frameworks (but skip for potential dropdowns)
-              if (!mightHaveDropdown) {
-                element.focus();
-              }
+  // Parse word-based numbers (e.g., "trzy miesiące od teraz")
+  const wordPattern = /(jeden|jedna|jedno|dwa|dwie|trzy|cztery|pięć|sześć|siedem|osiem|dziewięć|dziesięć|jedenaście|dwanaście|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s*(dni|dzień|day|days|tydzień|tygodni|tygodnie|week|weeks|miesiąc|miesiące|miesięcy|month|months|rok|lata|lat|year|years)/i;
+  const wordMatch = textLower.match(wordPattern);
 
-            if (isInput || isTextarea) {
-              // For number inputs, extract only numeric value
-              let valueToSet = answer;
-              if (element.type === 'number') {
-                // Extract numbers from answer (e.g., "15 tysięcy" -> "15000", "15k" -> "15000")
-                const numericMatch = answer.match(/[\d\s,.]+/);
-                if (numericMatch) {
-                  let numStr = numericMatch[0].replace(/\s/g, '').replace(',', '.');
-                  let num = parseFloat(numStr);
-
-                  // Handle "tysięcy/tysiące/k" multiplier
-                  if (/tysi|tys|k\b/i.test(answer) && num < 1000) {
-                    num = num * 1000;
-                  }
+  if (wordMatch) {
+    const word = wordMatch[1].toLowerCase();
+    const amount = wordToNumber[word] || 1;
+    const unitText = wordMatch[2].toLowerCase();
 
-                  valueToSet = num.toString();
-                  console.log(`[Gemini Filler] Converted "${answer}" to numeric value: ${valueToSet}`);
-                } else {
-                  console.warn(`[Gemini Filler] Could not extract number from "${answer}" for number input`);
-                  valueToSet = '';
-                }
-              }
+    let unit;
+    if (/dni|dzień|day|days/i.test(unitText)) unit = 'days';
+    else if (/tydzień|tygodni|tygodnie|week|weeks/i.test(unitText)) unit = 'weeks';
+    else if (/miesiąc|miesiące|miesięcy|month|months/i.test(unitText)) unit = 'months';
+    else if (/rok|lata|lat|year|years/i.test(unitText)) unit = 'years';
 
-              // Get native value setter (works with React/Vue/Angular)
-              const prototype = isInput ? window.HTMLInputElement.prototype : window.HTMLTextAreaElement.prototype;
-              const nativeValueSetter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+    if (unit) {
+      const result = new Date(now);
+      switch (unit) {
+        case 'days':
+          result.setDate(result.getDate() + amount);
+          break;
+        case 'weeks':
+          result.setDate(result.getDate() + (amount * 7));
+          break;
+        case 'months':
+          result.setMonth(result.getMonth() + amount);
+          break;
+        case 'years':
+          result.setFullYear(result.getFullYear() + amount);
+          break;
+      }
+      console.log(`[Date Parser] Parsed "${text}" as ${amount} ${unit} from now = ${result.toISOString().split('T')[0]}`);
+      return result;
+    }
+  }
 
-              if (nativeValueSetter) {
-                nativeValueSetter.call(element, valueToSet);
-              } else {
-                element.value = valueToSet;
-              }
+  // Special cases
+  if (/natychmiast|immediately|asap|now/i.test(textLower)) {
+    return now;
+  }
 
-              // For React: dispatch InputEvent with inputType (React 16+ listens for this)
-              const inputEvent = new InputEvent('input', {
-                bubbles: true,
-                cancelable: true,
-                inputType: 'insertText',
-                data: valueToSet
-              });
-              element.dispatchEvent(inputEvent);
+  if (/jutro|tomorrow/i.test(textLower)) {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return tomorrow;
+  }
 
-              // Also try triggering React's internal onChange handler directly
-              const reactPropsKey = Object.keys(element).find(key =>
-                key.startsWith('__reactProps$') ||
-                key.startsWith('__reactEventHandlers$')
-              );
+  console.log(`[Date Parser] Could not parse date from: "${text}"`);
+  return null;
+}
 
-              if (reactPropsKey && element[reactPropsKey]?.onChange) {
-                try {
-                  element[reactPropsKey].onChange({ target: element, currentTarget: element });
-                  console.log(`[Gemini Filler] Triggered React onChange handler`);
-                } catch (e) {
-                  // Ignore errors from React handler
-                }
-              }
-            } else {
-              element.value = answer;
-              const inputEvent = new Event('input', { bubbles: true, cancelable: true });
-              element.dispatchEvent(inputEvent);
-            }
+/**
+ * Fill a datepicker field
+ * @param {HTMLElement} element - The datepicker input element
+ * @param {Date|string} dateValue - Date object or string to fill
+ */
+async function fillDatepicker(element, dateValue) {
+  // Validate element
+  if (!element) {
+    console.warn('[Datepicker] Invalid element');
+    return false;
+  }
 
-            // Dispatch change event
-            const changeEvent = new Event('change', { bubbles: true, cancelable: true });
-            element.dispatchEvent(changeEvent);
+  let date = dateValue;
 
-            // Small delay then blur to trigger validation (skip for potential dropdowns)
-            await new Promise(resolve => setTimeout(resolve, 50));
-            if (!mightHaveDropdown) {
-              element.blur();
-            }
+  if (typeof dateValue === 'string') {
+    date = parseDateFromText(dateValue);
+  }
 
-            aChangeWasMade = true;
-            filled = true;
-            console.log(`[Gemini Filler] Filled text input with: "${answer}" (native setter used)`);
-            } // End of else block for non-search fields
-          }
+  if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
+    console.warn('[Datepicker] Invalid date:', dateValue);
+    return false;
+  }
 
-          // Only mark as processed if we actually filled it
-          if (filled) {
-            processedElements.add(element);
-            console.log(`[Gemini Filler] Marked element as processed: "${batchQuestions[i].question}"`);
-          } else {
-            console.log(`[Gemini Filler] Element NOT marked as processed (will retry): "${batchQuestions[i].question}"`);
-          }
+  // Format date as YYYY-MM-DD for HTML5 date inputs
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const formattedDate = `${year}-${month}-${day}`;
 
-          // Capture for learning (only if answer from AI, not mock, and not placeholder)
-          if (filled && answerSource === 'ai' && !isPlaceholder(answer)) {
-            try {
-              const capturedHash = await captureQuestionBridge(element, answer);
-              if (capturedHash) {
-                console.log(`%c[SYSTEM UCZENIA] 💾 Zapisano pytanie: "${batchQuestions[i].question}" → "${answer}"`, 'color: purple; font-weight: bold;');
-                console.log(`%c   Kliknij 👍/👎 obok pola żeby zwiększyć pewność odpowiedzi!`, 'color: purple;');
-                addFeedbackButtonBridge(element, capturedHash);
-              }
-            } catch (err) {
-              console.warn('[Gemini Filler] Error capturing batch question:', err);
-            }
-          } else if (filled && answerSource === 'ai' && isPlaceholder(answer)) {
-            console.log(`[Gemini Filler] Skipping learning capture for placeholder answer: "${answer}"`);
-          }
-        } catch (error) {
-          console.error(`[Gemini Filler] Error filling batch element:`, error);
-        }
-      }
+  try {
+    // Masked pickers may reformat the date (DD.MM.YYYY) - only an emptied field counts as a failure
+    if (!await writeFieldValue(element, formattedDate) && !element.value) {
+      console.warn(`[Datepicker] Date was not accepted: ${formattedDate}`);
+      return false;
     }
 
-    // Now handle special types individually (file, radio, checkbox)
-    const checkboxes = Array.from(formElements).filter(el => el.type === 'checkbox');
-    console.log(`[Gemini Filler] Special types loop: found ${checkboxes.length} checkboxes in formElements`);
-
-    for (const element of formElements) {
-      if (processedElements.has(element)) {
-        if (element.type === 'checkbox') {
-          console.log(`[Gemini Filler] Checkbox already processed, skipping: id="${element.id}"`);
-        }
-        continue;
-      }
-      if (!document.contains(element)) {
-        if (element.type === 'checkbox') {
-          console.log(`[Gemini Filler] Checkbox not in DOM, skipping: id="${element.id}"`);
-        }
-        continue;
-      }
+    console.log(`[Datepicker] Filled with date: ${formattedDate}`);
+    return true;
+  } catch (error) {
+    console.error('[Datepicker] Error filling:', error);
+    return false;
+  }
+}
 
-      try {
-        if (element.type === 'file') {
-          // Check if this looks like a CV/resume upload field
-          const question = getQuestionForInput(element);
-          const inputName = (element.name || '').toLowerCase();
-          const inputId = (element.id || '').toLowerCase();
-          const accept = (element.accept || '').toLowerCase();
-
-          // Get surrounding container text for additional context - try multiple methods
-          let containerText = '';
-
-          // Method 1: Try specific upload-related container classes
-          let container = element.closest('.js-drag-and-drop, .drag-and-drop, .file-upload, .upload-container, [class*="upload"], [class*="file"], [class*="attachment"]');
-
-          // Method 2: If no specific container, use parent element (up to 3 levels)
-          if (!container) {
-            container = element.parentElement;
-            // Go up a few levels to find meaningful text
-            for (let i = 0; i < 3 && container; i++) {
-              if (container.textContent && container.textContent.trim().length > 5) {
-                break;
-              }
-              container = container.parentElement;
-            }
-          }
+/**
+ * Fill a Selectize.js dropdown
+ * @param {HTMLElement} selectElement - The original SELECT element with .selectized class
+ * @param {Object} userData - User data for AI
+ * @param {string} question - Question text for the field
+ * @returns {Promise<boolean>} Success status
+ */
+async function fillSelectize(selectElement, userData, question) {
+  try {
+    console.log(`[Selectize] Attempting to fill for question: "${question}"`);
 
-          if (container) {
-            containerText = container.textContent.toLowerCase();
-          }
+    // Validate inputs
+    if (!selectElement || !userData || !question) {
+      console.warn('[Selectize] Invalid selectElement, userData or question');
+      return false;
+    }
 
-          const combinedText = `${question || ''} ${inputName} ${inputId} ${containerText}`.toLowerCase();
+    // Find the selectize container
+    const selectizeContainer = selectElement.parentElement?.querySelector('.selectize-control');
+    if (!selectizeContainer) {
+      console.warn('[Selectize] Could not find selectize container');
+      return false;
+    }
 
-          // Extended keywords for CV/resume file uploads
-          const keywords = ['cv', 'resume', 'życiorys', 'załącz', 'plik', 'upload', 'file', 'dokument', 'document', 'lebenslauf', 'attachment', 'add document', 'dodaj'];
-          const fileTypeIndicators = ['.doc', '.pdf', 'docx', 'pdf,', 'docx,'];
+    // Find the input trigger
+    const selectizeInput = selectizeContainer.querySelector('.selectize-input input');
+    if (!selectizeInput) {
+      console.warn('[Selectize] Could not find selectize input');
+      return false;
+    }
 
-          // Check keywords in question/name/id OR check if it accepts doc/pdf files
-          const hasKeyword = keywords.some(kw => combinedText.includes(kw));
-          const acceptsResume = fileTypeIndicators.some(ft => accept.includes(ft));
+    // Click input to open dropdown
+    selectizeInput.click();
+    await new Promise(resolve => setTimeout(resolve, 300));
 
-          if (hasKeyword || acceptsResume) {
-            console.log(`[Gemini Filler] File input detected as CV upload: question="${question}", name="${inputName}", accept="${accept}"`);
-            await handleFileInput(element);
-            processedElements.add(element);
-          } else {
-            console.log(`[Gemini Filler] File input skipped (not CV): question="${question}", name="${inputName}"`);
-          }
-          continue;
-        }
+    // Find dropdown
+    const dropdown = selectizeContainer.querySelector('.selectize-dropdown');
+    if (!dropdown) {
+      console.warn('[Selectize] Could not find dropdown');
+      return false;
+    }
 
-        if (element.type === 'radio') {
-          await handleRadioButton(element, userData, processedElements);
-          continue;
-        }
+    // Get all option elements
+    const optionElements = Array.from(dropdown.querySelectorAll('.option'));
+    console.log(`[Selectize] Found ${optionElements.length} options`);
 
-        if (element.type === 'checkbox') {
-          console.log(`[Gemini Filler] Found checkbox in special types loop: id="${element.id}", name="${element.name}", checked=${element.checked}`);
-          await handleCheckbox(element, userData);
-          processedElements.add(element);
-          continue;
-        }
+    // Get option texts and ask AI WITH OPTIONS (so it can translate Polish → English)
+    const optionTexts = optionElements.map(opt => opt && opt.textContent ? opt.textContent.trim() : '').filter(Boolean);
+    console.log(`[Selectize] Asking AI for answer with ${optionTexts.length} options`);
 
-        // Custom dropdowns (LEGACY: aria-haspopup="dialog")
-        // Note: Newer custom dropdowns are handled by fillCustomDropdown() in individual processing
-        if (element.tagName === 'BUTTON' && element.getAttribute('aria-haspopup') === 'dialog') {
-          const question = getQuestionForInput(element);
-          if (!question) {
-            console.log('[Gemini Filler] Custom dropdown: no question found, skipping');
-            continue;
-          }
+    const result = await getAIResponse(question, userData, optionTexts);
+    const answer = result.answer;
+    const answerSource = result.source;
 
-          let filled = false;  // Track if we successfully filled this
+    if (!answer || answer === '') {
+      console.warn(`[Selectize] No answer from AI for "${question}"`);
+      // Close dropdown
+      selectizeInput.blur();
+      return false;
+    }
 
-          try {
-            console.log(`[Gemini Filler] Processing custom dropdown (dialog): "${question}"`);
+    console.log(`[Selectize] AI returned: "${answer}" (source: ${answerSource})`);
 
-            // IMPORTANT: Open dropdown FIRST to get options, THEN call getAIResponse with options
-            // This allows smart date-to-timeperiod conversion in getMockAIResponse
-            element.click();
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            const dialogId = element.getAttribute('aria-controls');
-            let optionsInDialog = [];
-            if (dialogId) {
-              const dialog = document.getElementById(dialogId);
-              if (dialog) {
-                optionsInDialog = Array.from(dialog.querySelectorAll('[role="option"]'));
-              }
-            } else {
-              optionsInDialog = Array.from(document.querySelectorAll('[role="option"]'));
-            }
+    // Fuzzy match answer to options
+    const matchedText = fuzzyMatch(answer, optionTexts);
 
-            console.log(`[Gemini Filler] Custom dropdown: found ${optionsInDialog.length} options in dialog`);
+    if (!matchedText) {
+      console.warn(`[Selectize] No match found for "${answer}" in options:`, optionTexts);
+      // Close dropdown
+      selectizeInput.blur();
+      return false;
+    }
 
-            const optionsText = optionsInDialog.map(o => o.textContent.trim());
-            console.log(`[Gemini Filler] Custom dropdown: first 10 options:`, optionsText.slice(0, 10));
-
-            // NOW get AI response with options so date conversion works correctly
-            const result = await getAIResponse(question, userData, optionsText);
-            const answer = result.answer;
-            const answerSource = result.source;
-
-            if (!answer) {
-              console.log(`[Gemini Filler] Custom dropdown: no answer for "${question}"`);
-              // Close dropdown before continuing
-              element.click();
-              continue;  // Don't mark as processed - let second pass retry
-            }
+    // Find and click the matched option with validation
+    const matchedOption = optionElements.find(opt => opt && opt.textContent && opt.textContent.trim() === matchedText);
+    if (matchedOption) {
+      recordFieldState(selectElement);
+      console.log(`[Selectize] Clicking option: "${matchedText}"`);
+      matchedOption.click();
 
-            console.log(`[Gemini Filler] Custom dropdown: got answer "${answer}" from ${answerSource}`);
-
-            const bestMatch = findBestMatch(answer, optionsText);
-            console.log(`[Gemini Filler] Custom dropdown: findBestMatch("${answer}") -> "${bestMatch}"`);
-
-            if (bestMatch) {
-              const bestMatchElement = optionsInDialog.find(o => o.textContent === bestMatch);
-              if (bestMatchElement) {
-                bestMatchElement.click();
-                aChangeWasMade = true;
-                filled = true;
-                console.log(`[Gemini Filler] Custom dropdown: successfully clicked option "${bestMatch}"`);
-
-                // Capture for learning and add feedback button (only for AI answers, not placeholders)
-                if (answerSource === 'ai' && !isPlaceholder(answer)) {
-                  try {
-                    const capturedHash = await captureQuestionBridge(element, answer);
-                    if (capturedHash) {
-                      addFeedbackButtonBridge(element, capturedHash);
-                    }
-                  } catch (err) {
-                    console.warn('[Gemini Filler] Error capturing custom dropdown question:', err);
-                  }
-                }
-              } else {
-                console.warn(`[Gemini Filler] Custom dropdown: matched text "${bestMatch}" but element not found`);
-              }
-            } else {
-              console.warn(`[Gemini Filler] Custom dropdown: no match for "${answer}" among ${optionsInDialog.length} options`);
-            }
+      // Wait for selection to complete
+      await new Promise(resolve => setTimeout(resolve, 200));
 
-            // Only mark as processed if we successfully filled it
-            if (filled) {
-              processedElements.add(element);
-              console.log(`[Gemini Filler] Custom dropdown: marked as processed`);
-            } else {
-              console.log(`[Gemini Filler] Custom dropdown: NOT marked as processed (will retry in second pass)`);
-            }
-          } catch (e) {
-            console.error(`[Gemini Filler] Error with custom dropdown:`, e);
-            // Don't add to processedElements on error - allow retry
-          }
-          continue;
-        }
-      } catch (error) {
-        console.error('[Gemini Filler] Error processing special element:', error);
+      // For multi-select, might need to close dropdown
+      if (selectElement.hasAttribute('multiple')) {
+        selectizeInput.blur();
       }
-    }
 
-    // Recursively check for new fields
-    if (aChangeWasMade) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      await fillFormWithAI(userData, processedElements, depth + 1, isRetry, missingFields, startTime);
+      console.log(`[Selectize] Successfully selected: "${matchedText}"`);
+      return true;
     }
 
-    // Second verification pass
-    if (!isRetry) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      const allFields = document.querySelectorAll('input:not([type="file"]):not([type="radio"]):not([type="checkbox"]):not([type="submit"]):not([type="button"]):not([type="hidden"]), textarea, select');
+    return false;
+  } catch (error) {
+    console.error('[Selectize] Error:', error);
+    return false;
+  }
+}
 
-      let missedFields = [];
-      for (const field of allFields) {
-        if (!processedElements.has(field) &&
-            field.offsetParent !== null &&
-            !field.value &&
-            !field.disabled &&
-            !field.readOnly) {
-          missedFields.push(field);
-        }
-      }
+/**
+ * Fill a custom dropdown (div-based select)
+ * @param {HTMLElement} element - The dropdown trigger element
+ * @param {Object} userData - User data for AI
+ * @param {string} question - Question text for the field
+ * @returns {Promise<boolean>} Success status
+ */
+async function fillCustomDropdown(element, userData, question) {
+  try {
+    // Validate inputs
+    if (!element || !userData || !question) {
+      console.warn('[Custom Dropdown] Invalid element, userData or question');
+      return false;
+    }
 
-      if (missedFields.length > 0) {
-        console.log(`[Gemini Filler] Second pass: found ${missedFields.length} missed fields, retrying...`);
-        await fillFormWithAI(userData, processedElements, 0, true, missingFields, startTime);
-      } else {
-        console.log('[Gemini Filler] Second pass: no missed fields found.');
-      }
+    // Known libraries need typing and waiting for async options - see dropdowns.js
+    const driver = getDropdownDriver(element);
+    if (driver) {
+      return await fillWithDropdownDriver(driver, element, userData, question);
     }
 
-    // Close any open dropdowns before finishing
+    // IMPORTANT: First, close any previously opened dropdowns to avoid confusion
     const openDropdowns = document.querySelectorAll('[role="listbox"]:not([hidden]), [role="menu"]:not([hidden])');
     if (openDropdowns.length > 0) {
-      console.log(`[Gemini Filler] Closing ${openDropdowns.length} open dropdown(s)`);
-      openDropdowns.forEach(dropdown => {
-        const trigger = document.querySelector(`[aria-owns="${dropdown.id}"]`);
-        if (trigger) {
-          trigger.click();
-        }
-      });
+      console.log(`[Custom Dropdown] Closing ${openDropdowns.length} previously opened dropdown(s)`);
+      // Try to close by clicking escape or clicking outside
+      document.body.click();
+      await new Promise(resolve => setTimeout(resolve, 200));
     }
 
-    // Calculate elapsed time and total fields
-    const elapsedTime = startTime ? Math.round((Date.now() - startTime) / 1000) : 0;
-    const totalFields = batchQuestions.length;
-    const filledFields = totalFields - (missingFields ? missingFields.length : 0);
-
-    console.log(`[Gemini Filler] Stats: filled=${filledFields}/${totalFields}, elapsed=${elapsedTime}s`);
-
-    // Show summary modal - always show it (even for 100% completion)
-    console.log(`[Gemini Filler] Stats summary: filled=${filledFields}/${totalFields}, missing=${missingFields?.length || 0}`);
-    showMissingFieldsSummary(missingFields || [], userData, filledFields, totalFields, elapsedTime);
-
-    return; // Exit early after batch processing
-  }
+    // Click to open dropdown
+    console.log(`[Custom Dropdown] Opening dropdown for "${question}" (id="${element.id || 'no-id'}")`);
+    element.click();
 
-  // INDIVIDUAL PROCESSING - for dynamic fields (depth > 0) or retry pass
-  console.log(`[Gemini Filler] Individual processing mode (depth: ${depth}, retry: ${isRetry})...`);
+    // Wait for dropdown to open
+    await new Promise(resolve => setTimeout(resolve, 500));
 
-  for (const element of formElements) {
-    if (processedElements.has(element)) {
-      continue;
-    }
-    processedElements.add(element);
+    // Find the dropdown menu - try multiple strategies with detailed logging
+    let listbox = null;
 
-    try {
-      // Check if element is still in DOM
-      if (!document.contains(element)) {
-        continue;
+    // Strategy 1: Use aria-labelledby
+    if (element.id) {
+      listbox = deepQuerySelector(`[role="listbox"][aria-labelledby="${CSS.escape(element.id)}"]`);
+      if (listbox) {
+        console.log(`[Custom Dropdown] ✓ Found listbox via aria-labelledby="${element.id}"`);
       }
+    }
 
-      if (element.type === 'file') {
-        const question = getQuestionForInput(element);
-        const keywords = ['cv', 'resume', 'życiorys', 'załącz', 'plik'];
-        if (question && keywords.some(keyword => question.toLowerCase().includes(keyword))) {
-          await handleFileInput(element);
+    // Strategy 2: Use aria-controls
+    if (!listbox) {
+      const ariaControls = element.getAttribute('aria-controls');
+      if (ariaControls) {
+        listbox = getElementByIdDeep(ariaControls, element);
+        if (listbox) {
+          console.log(`[Custom Dropdown] ✓ Found listbox via aria-controls="${ariaControls}"`);
         }
-        continue;
-      }
-
-      // Handle radio buttons
-      if (element.type === 'radio') {
-        await handleRadioButton(element, userData, processedElements);
-        continue;
-      }
-
-      // Handle checkboxes
-      if (element.type === 'checkbox') {
-        await handleCheckbox(element, userData);
-        continue;
-      }
-
-      // Skip Selectize-generated inputs (they're created by Selectize.js and should be ignored)
-      if (element.tagName === 'INPUT' &&
-          (element.closest('.selectize-input') ||
-           element.closest('.selectize-control') ||
-           element.id.endsWith('-selectized'))) {
-        continue;
-      }
-
-      const question = getQuestionForInput(element);
-      if (!question) {
-        continue;
       }
+    }
 
-      // Detect field type and metadata
-      const fieldMetadata = detectFieldType(element);
-      const optionsText = fieldMetadata.options;
+    // Strategy 3: Find listbox that appeared most recently (after our click)
+    if (!listbox) {
+      const allListboxes = Array.from(document.querySelectorAll('[role="listbox"]:not([hidden]), [role="menu"]:not([hidden])'));
+      console.log(`[Custom Dropdown] Found ${allListboxes.length} visible listbox(es) on page`);
 
-      let answer;
-      let questionHash = null;
-      let answerSource = null; // 'learned', 'mock', 'ai'
+      if (allListboxes.length === 1) {
+        // Only one visible listbox - it must be ours
+        listbox = allListboxes[0];
+        console.log(`[Custom Dropdown] ✓ Using the only visible listbox (id="${listbox.id || 'no-id'}")`);
+      } else if (allListboxes.length > 1) {
+        // Multiple listboxes - try to find the one closest to our button
+        console.warn(`[Custom Dropdown] ⚠ Multiple listboxes found! Trying to find the correct one...`);
 
-      // First, try to get suggestion from learned questions
-      try {
-        const suggestion = await getSuggestionForFieldBridge(element);
-        if (suggestion && suggestion.confidence > 0.75) {
-          answer = suggestion.answer;
-          questionHash = suggestion.questionHash;
-          answerSource = 'learned';
-          console.log(`%c[SYSTEM UCZENIA] ✅ Używam nauczoneј odpowiedzi dla "${question}"`, 'color: green; font-weight: bold;');
-          console.log(`%c   Odpowiedź: "${answer}" | Pewność: ${(suggestion.confidence * 100).toFixed(0)}% | Źródło: ${suggestion.source}`, 'color: green;');
-        } else if (suggestion) {
-          console.log(`%c[SYSTEM UCZENIA] ⏳ Znaleziono odpowiedź dla "${question}" ale pewność zbyt niska: ${(suggestion.confidence * 100).toFixed(0)}% (wymaga ≥75%)`, 'color: orange;');
-        } else {
-          console.log(`%c[SYSTEM UCZENIA] ℹ️ Brak nauczoneј odpowiedzi dla "${question}" - używam AI`, 'color: blue;');
+        // Try to find listbox that is a descendant of a dialog/popup that appeared
+        const dialogs = document.querySelectorAll('[role="dialog"]:not([hidden]), .popup:not([hidden])');
+        for (const dialog of dialogs) {
+          const dialogListbox = dialog.querySelector('[role="listbox"], [role="menu"]');
+          if (dialogListbox && allListboxes.includes(dialogListbox)) {
+            listbox = dialogListbox;
+            console.log(`[Custom Dropdown] ✓ Found listbox inside dialog (id="${listbox.id || 'no-id'}")`);
+            break;
+          }
         }
-      } catch (err) {
-        console.warn('[Gemini Filler] Error getting learned suggestion:', err);
-      }
 
-      // If no learned answer, use AI/mock
-      if (!answer) {
-        try {
-          const result = await getAIResponse(question, userData, optionsText);
-          answer = result.answer;
-          answerSource = result.source;
-        } catch (error) {
-          console.error(`[Gemini Filler] AI error for question "${question}":`, error);
-          // Continue to next field instead of failing completely
-          continue;
-        }
-      }
+        // If still not found, try spatial proximity - find listbox closest to button
+        if (!listbox) {
+          const buttonRect = element.getBoundingClientRect();
+          let closestDistance = Infinity;
+          let closestListbox = null;
 
-      if (!answer) {
-        continue;
-      }
+          for (const lb of allListboxes) {
+            const lbRect = lb.getBoundingClientRect();
 
-      try {
-        // Handle different field types
-        if (fieldMetadata.type === 'select') {
-          // Validate options before using
-          const validOptions = Array.isArray(optionsText) ? optionsText.filter(opt => typeof opt === 'string') : [];
-          const bestMatchText = fuzzyMatch(answer, validOptions);
-          if (bestMatchText) {
-            const bestMatchOption = Array.from(element.options).find(o => o && o.text === bestMatchText);
-            if (bestMatchOption) {
-              element.value = bestMatchOption.value;
-              await new Promise(resolve => setTimeout(resolve, 200));
-              const inputEvent = new Event('input', { bubbles: true });
-              inputEvent._autofilledByExtension = true;
-              const changeEvent = new Event('change', { bubbles: true });
-              changeEvent._autofilledByExtension = true;
-              element.dispatchEvent(inputEvent);
-              element.dispatchEvent(changeEvent);
-              aChangeWasMade = true;
-            }
-          }
-        } else if (fieldMetadata.type === 'custom-dropdown') {
-          // Use new custom dropdown handler - it handles AI internally
-          const success = await fillCustomDropdown(element, userData, question);
-          if (success) {
-            aChangeWasMade = true;
-          }
-        } else if (fieldMetadata.type === 'radio' && element.getAttribute('role') === 'radiogroup') {
-          const radioButtons = Array.from(element.querySelectorAll('button[role="radio"]'));
-          const optionDetails = radioButtons.map(rb => {
-            const label = document.querySelector(`label[for="${rb.id}"]`) || rb.closest('div')?.querySelector('label');
-            return {
-              button: rb,
-              text: label ? label.textContent.trim() : rb.getAttribute('aria-label') || ''
-            };
-          });
+            // Calculate distance between button and listbox (top-left corners)
+            const distance = Math.sqrt(
+              Math.pow(lbRect.left - buttonRect.left, 2) +
+              Math.pow(lbRect.top - buttonRect.bottom, 2)
+            );
 
-          const bestMatchText = fuzzyMatch(answer, optionDetails.map(o => o.text));
-          if (bestMatchText) {
-            const matchingOption = optionDetails.find(o => o.text === bestMatchText);
-            if (matchingOption) {
-              matchingOption.button.click();
-              aChangeWasMade = true;
+            if (distance < closestDistance) {
+              closestDistance = distance;
+              closestListbox = lb;
             }
           }
-        } else if (fieldMetadata.type === 'datepicker') {
-          const success = fillDatepicker(element, answer);
-          if (success) {
-            aChangeWasMade = true;
-          }
-        } else if (fieldMetadata.type === 'selectize') {
-          // Handle Selectize.js dropdown - it handles AI internally
-          const success = await fillSelectize(element, userData, question);
-          if (success) {
-            aChangeWasMade = true;
-          }
-        } else {
-          // Text input, textarea, etc.
-          element.value = answer;
-          await new Promise(resolve => setTimeout(resolve, 200));
-          const inputEvent = new Event('input', { bubbles: true });
-          inputEvent._autofilledByExtension = true;
-          const changeEvent = new Event('change', { bubbles: true });
-          changeEvent._autofilledByExtension = true;
-          element.dispatchEvent(inputEvent);
-          element.dispatchEvent(changeEvent);
-          aChangeWasMade = true;
-        }
-
-        // Log successful filling
-        if (aChangeWasMade) {
-          console.log(`[Gemini Filler] Individual processing: filled "${question}" = "${answer}" (source: ${answerSource})`);
-        }
 
-        // Capture the question and answer for learning (only if from AI and not a placeholder)
-        if (answer && answerSource === 'ai' && !isPlaceholder(answer)) {
-          try {
-            console.log(`[DEBUG] Calling captureQuestion for "${question}"...`);
-            const capturedHash = await captureQuestionBridge(element, answer);
-            console.log(`[DEBUG] captureQuestion returned: ${capturedHash}`);
-            if (capturedHash && !questionHash) {
-              questionHash = capturedHash;
-              console.log(`%c[SYSTEM UCZENIA] 💾 Zapisano pytanie: "${question}" → "${answer}"`, 'color: purple; font-weight: bold;');
-              console.log(`%c   Kliknij 👍/👎 obok pola żeby zwiększyć pewność odpowiedzi!`, 'color: purple;');
-            }
-          } catch (err) {
-            console.warn('[Gemini Filler] Error capturing question for learning:', err);
+          if (closestListbox && closestDistance < 500) { // Within 500px
+            listbox = closestListbox;
+            console.log(`[Custom Dropdown] ✓ Found listbox by proximity (${Math.round(closestDistance)}px away, id="${listbox.id || 'no-id'}")`);
           }
-        } else if (answer && answerSource === 'ai' && isPlaceholder(answer)) {
-          console.log(`[Gemini Filler] Skipping learning capture for placeholder answer: "${answer}"`);
         }
 
-        // Add feedback button for learned and AI answers (not for mock data)
-        if (questionHash && (answerSource === 'learned' || answerSource === 'ai')) {
-          try {
-            addFeedbackButtonBridge(element, questionHash);
-          } catch (err) {
-            console.warn('[Gemini Filler] Error adding feedback button:', err);
-          }
+        // Last resort: use the first one but log a warning
+        if (!listbox) {
+          listbox = allListboxes[0];
+          console.warn(`[Custom Dropdown] ⚠ Using first listbox as fallback - this might be wrong!`);
         }
-      } catch (error) {
-        console.error(`[Gemini Filler] Error filling element for "${question}":`, error);
-        // Continue to next field
       }
-    } catch (error) {
-      console.error('[Gemini Filler] Error processing element:', error);
-      // Continue to next element
     }
-  }
 
-  // Recursively check for new fields, with depth tracking
-  if (aChangeWasMade) {
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    await fillFormWithAI(userData, processedElements, depth + 1, isRetry, missingFields);
-  }
+    if (!listbox) {
+      console.warn(`[Custom Dropdown] ✗ Could not find opened listbox for "${question}"`);
+      // Try to close the dropdown we just opened
+      element.click();
+      return false;
+    }
 
-  // Note: For individual processing path (depth > 0 or isRetry), we don't show modal
-  // Modal is only shown at the end of batch processing (depth 0, !isRetry)
-}
+    // Check if dropdown is paginated (lazy loading)
+    const isPaginated = element.closest('.paginatedPicklistContainer') !== null ||
+                       listbox.classList.contains('paginated') ||
+                       listbox.querySelector('.virtualized');
 
-function showMissingFieldsSummary(missingFields, userData, filledFields, totalFields, elapsedTime) {
-  console.log('[Gemini Filler] showMissingFieldsSummary called with:', missingFields);
+    if (isPaginated) {
+      console.log(`[Custom Dropdown] Detected paginated dropdown - scrolling to load all options`);
 
-  // Remove duplicates based on question
-  const uniqueFields = [];
-  const seen = new Set();
+      // Find scrollable container (might be listbox itself or a child)
+      const scrollContainer = listbox.querySelector('[role="listbox"]') ||
+                            listbox.querySelector('.scrollable') ||
+                            listbox;
 
-  for (const field of missingFields) {
-    if (!seen.has(field.question)) {
-      seen.add(field.question);
-      uniqueFields.push(field);
-    }
-  }
+      // For virtualized dropdowns, we need to scroll gradually and track unique options
+      const seenOptionTexts = new Set();
+      let previousUniqueCount = 0;
+      let previousScrollTop = -1;
+      let stableCount = 0;
+      let scrollStuckCount = 0;
+      let attempts = 0;
+      const maxAttempts = 100;
+      const scrollStep = 2000; // Larger steps - 2000px at a time
+      const scrollDelay = 150; // Faster polling
 
-  console.log(`[Gemini Filler] After deduplication: ${uniqueFields.length} unique fields`);
+      console.log(`[Custom Dropdown] Initial options in DOM: ${listbox.querySelectorAll('[role="option"], [role="menuitem"]').length}`);
+      console.log(`[Custom Dropdown] Scroll container: ${scrollContainer.tagName}, scrollHeight=${scrollContainer.scrollHeight}, clientHeight=${scrollContainer.clientHeight}`);
 
-  // Suggest specific fields to add (only if there are missing fields)
-  const suggestions = uniqueFields.length > 0 ? getSuggestedFields(uniqueFields) : [];
+      do {
+        // Collect currently visible unique options
+        const currentOptions = Array.from(listbox.querySelectorAll('[role="option"], [role="menuitem"]'));
+        currentOptions.forEach(opt => {
+          if (opt && opt.textContent) {
+            const text = opt.textContent.trim();
+            if (text) seenOptionTexts.add(text);
+          }
+        });
 
-  // Create styled modal - ALWAYS show it (even for 100% completion)
-  console.log('[Gemini Filler] Creating summary modal...');
-  const modal = createSummaryModal(uniqueFields, suggestions, filledFields, totalFields, elapsedTime);
-  console.log('[Gemini Filler] Appending modal to document.body');
+        const currentUniqueCount = seenOptionTexts.size;
+        const currentScrollTop = scrollContainer.scrollTop;
+
+        // Check if new unique options appeared
+        if (currentUniqueCount > previousUniqueCount) {
+          stableCount = 0; // Reset stable counter
+          scrollStuckCount = 0; // Reset scroll stuck counter
+          previousUniqueCount = currentUniqueCount;
+        } else {
+          stableCount++;
+        }
+
+        // Check if scroll position changed
+        if (currentScrollTop > previousScrollTop) {
+          scrollStuckCount = 0; // Scroll is still moving
+        } else {
+          scrollStuckCount++; // Scroll stuck
+        }
+
+        attempts++;
+        console.log(`[Custom Dropdown] Scroll attempt ${attempts}: unique=${currentUniqueCount}, stable=${stableCount}, scrollTop=${currentScrollTop}, stuck=${scrollStuckCount}`);
+
+        // Stop conditions:
+        // 1. No new options for 5 attempts AND scroll is stuck (reached bottom)
+        // 2. Scroll stuck for 5 attempts (definitely at bottom)
+        if ((stableCount >= 5 && scrollStuckCount >= 2) || scrollStuckCount >= 5) {
+          console.log(`[Custom Dropdown] Stopping: stableCount=${stableCount}, scrollStuckCount=${scrollStuckCount}`);
+          break;
+        }
+
+        previousScrollTop = currentScrollTop;
+
+        // Scroll down gradually
+        scrollContainer.scrollTop += scrollStep;
+
+        // Wait for new options to render
+        await new Promise(resolve => setTimeout(resolve, scrollDelay));
+
+      } while (attempts < maxAttempts);
+
+      console.log(`[Custom Dropdown] Finished loading: ${seenOptionTexts.size} unique options after ${attempts} scroll attempts`);
+    }
+
+    // Find all options
+    const optionElements = Array.from(listbox.querySelectorAll('[role="option"], [role="menuitem"]'));
+
+    // Deduplicate options by text (some forms have duplicate option elements)
+    const seenTexts = new Set();
+    const options = [];
+    for (const opt of optionElements) {
+      // Validate option element has textContent
+      if (!opt || !opt.textContent) continue;
+
+      const text = opt.textContent.trim();
+      if (text && !seenTexts.has(text)) {
+        seenTexts.add(text);
+        options.push({ element: opt, text: text });
+      }
+    }
+
+    console.log(`[Custom Dropdown] Listbox contains ${options.length} unique options (${optionElements.length} total). First 5:`, options.slice(0, 5).map(o => o.text));
+
+    // Get AI response WITH OPTIONS (so it can translate Polish → English)
+    const optionTexts = options.map(o => o.text).filter(Boolean);
+    console.log(`[Custom Dropdown] Asking AI for answer with ${optionTexts.length} options`);
+
+    const result = await getAIResponse(question, userData, optionTexts);
+    const answer = result.answer;
+    const answerSource = result.source;
+
+    if (!answer || answer === '') {
+      console.warn(`[Custom Dropdown] ✗ No answer from AI for "${question}"`);
+      // Close dropdown
+      element.click();
+      return false;
+    }
+
+    console.log(`[Custom Dropdown] AI returned: "${answer}" (source: ${answerSource})`);
+
+    // Fuzzy match answer to options
+    const matchedText = fuzzyMatch(answer, optionTexts);
+
+    if (!matchedText) {
+      console.warn(`[Custom Dropdown] ✗ No match for "${answer}" in ${options.length} options for "${question}"`);
+      console.warn(`[Custom Dropdown] Available options:`, optionTexts);
+      // Close dropdown
+      element.click();
+      return false;
+    }
+
+    // Find and click the matched option with validation
+    const matchedOption = options.find(o => o && o.text === matchedText);
+    if (matchedOption && matchedOption.element) {
+      recordFieldState(element);
+      matchedOption.element.click();
+      console.log(`[Custom Dropdown] ✓ Selected "${matchedText}" for "${question}"`);
+
+      // Wait for dropdown to close
+      await new Promise(resolve => setTimeout(resolve, 200));
+      return true;
+    } else {
+      console.warn(`[Custom Dropdown] ✗ Matched option element not found for "${matchedText}"`);
+      return false;
+    }
+
+    return false;
+  } catch (error) {
+    console.error('[Custom Dropdown] Error:', error);
+    return false;
+  }
+}
+
+/**
+ * Whether a field already holds an answer (used when re-filling only the missing fields)
+ * Unticked checkboxes count as answered unless required - "no" is a valid answer
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function fieldHasValue(element) {
+  if (element.type === 'file') return !!(element.files && element.files.length > 0);
+  if (element.type === 'radio') {
+    return !!element.name && !!element.getRootNode().querySelector(`input[type="radio"][name="${CSS.escape(element.name)}"]:checked`);
+  }
+  if (element.type === 'checkbox') return element.checked || !element.required;
+  if (element.getAttribute('role') === 'radiogroup') return !!element.querySelector('[aria-checked="true"]');
+  if (element.isContentEditable) return element.textContent.trim() !== '';
+  return typeof element.value === 'string' && element.value.trim() !== '';
+}
+
+/**
+ * Fill the page: site adapter, repeatable sections and one batch AI call for every visible field,
+ * then a fill session answers the questions revealed by those answers until the form goes quiet
+ * @param {Object} userData - User data
+ * @param {Object} options - { showSummary: false to return stats instead of showing the modal (wizard mode), startTime,
+ *   missingOnly: leave fields that already have a value alone (re-fill shortcut) }
+ * @returns {Promise<Object|undefined>} { missingFields, filledFields, totalFields, frameResults } when showSummary is false
+ */
+async function fillFormWithAI(userData, options = {}) {
+  const startTime = options.startTime || Date.now();
+  const processedElements = new Set();
+  const missingFields = [];
+  // Wizard mode counts answer sources across all steps
+  if (options.showSummary !== false) {
+    resetAnswerSources();
+  }
+
+  if (options.missingOnly) {
+    const filledAlready = deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR).filter(fieldHasValue);
+    filledAlready.forEach(element => processedElements.add(element));
+    console.log(`[Gemini Filler] Re-filling missing fields only, ${filledAlready.length} field(s) already have a value`);
+  }
+
+  // FIRST: Process all file inputs for CV attachment BEFORE custom buttons
+  // This ensures file inputs have files before we check if custom buttons should be clicked
+  const fileInputsFirst = deepQuerySelectorAll('input[type="file"]');
+  for (const fileInput of fileInputsFirst) {
+    if (processedElements.has(fileInput)) continue;
+    if (!fileInput.isConnected) continue;
+
+    const question = getQuestionForInput(fileInput);
+    const inputName = fileInput.name?.toLowerCase() || '';
+    const inputId = fileInput.id?.toLowerCase() || '';
+    const accept = fileInput.accept?.toLowerCase() || '';
+
+    // Get container text for additional context
+    const container = fileInput.closest('.js-drag-and-drop, .drag-and-drop, .file-upload, .upload-container, [class*="upload"], [class*="file"], [class*="attachment"]') ||
+                     fileInput.parentElement?.parentElement?.parentElement;
+    const containerText = container?.textContent?.toLowerCase().substring(0, 200) || '';
+
+    const combinedText = `${question || ''} ${inputName} ${inputId} ${containerText}`.toLowerCase();
+    const keywords = ['cv', 'resume', 'życiorys', 'załącz', 'plik', 'upload', 'file', 'dokument', 'document', 'lebenslauf', 'attachment', 'add document', 'dodaj'];
+    const fileTypeIndicators = ['.doc', '.pdf', 'docx', 'pdf,', 'docx,'];
+
+    const hasKeyword = keywords.some(kw => combinedText.includes(kw));
+    const acceptsResume = fileTypeIndicators.some(ft => accept.includes(ft));
+
+    if (hasKeyword || acceptsResume) {
+      console.log(`[Gemini Filler] Early file input processing: question="${question}", name="${inputName}"`);
+      await handleFileInput(fileInput);
+      processedElements.add(fileInput);
+    }
+  }
+
+  // THEN: Handle custom upload buttons (only if no file was attached above)
+  await handleCustomResumeButtons(processedElements);
+
+  let formElements;
+  try {
+    formElements = deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR);
+  } catch (error) {
+    console.error('[Gemini Filler] Error querying form elements:', error);
+    throw new Error('Failed to find form elements');
+  }
+
+  // Site adapters (adapters.js) fill ATS-specific widgets first and mark them as processed
+  // (skipped when re-filling - they would overwrite fields or add repeatable blocks again)
+  let adapterStats = { filledFields: 0, totalFields: 0 };
+  const siteAdapter = options.missingOnly ? null : getSiteAdapter();
+  if (siteAdapter) {
+    console.log(`[Gemini Filler] Using site adapter: ${siteAdapter.name}`);
+    try {
+      adapterStats = await siteAdapter.fill(userData, { processedElements, missingFields });
+    } catch (error) {
+      console.error(`[Gemini Filler] Site adapter ${siteAdapter.name} failed, continuing with generic filling:`, error);
+    }
+  }
+
+  // "Add another" experience/education blocks, one per CV entry (ATS adapters may handle these themselves)
+  let repeatableStats = { filledFields: 0, totalFields: 0, blocksAdded: 0 };
+  if (!options.missingOnly && (!siteAdapter || !siteAdapter.fillsRepeatableSections)) {
+    try {
+      repeatableStats = await fillRepeatableSections(processedElements, missingFields);
+      if (repeatableStats.blocksAdded > 0) {
+        formElements = deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR);
+      }
+    } catch (error) {
+      console.error('[Gemini Filler] Repeatable sections failed, continuing with generic filling:', error);
+    }
+  }
+
+  const batchFields = collectBatchFields(formElements, processedElements);
+  const batchQuestions = batchFields.map(field => field.batchQuestion);
+
+  // Questions from child frames (iframes) join the same batch so one AI call covers the whole tab
+  const frameBatches = window === window.top ? await collectFrameFields() : [];
+  for (const frameBatch of frameBatches) {
+    frameBatch.offset = batchQuestions.length;
+    batchQuestions.push(...frameBatch.questions);
+  }
+
+  let batchAnswers = {};
+  let frameResults = [];
+
+  if (batchQuestions.length > 0) {
+    console.log(`[Gemini Filler] Collected ${batchQuestions.length} questions for batch processing (${frameBatches.length} child frame(s))`);
+
+    // Get batch answers from AI
+    batchAnswers = await getBatchAIResponse(batchQuestions, userData);
+  }
+
+  // Fill fields of this document, then dispatch the remaining answers to the frames that own them
+  const missingBefore = missingFields.length;
+  await fillBatchFields(batchFields, batchAnswers, userData, processedElements, missingFields);
+  const missingInTopFrame = missingFields.length - missingBefore;
+
+  if (frameBatches.length > 0) {
+    frameResults = [{
+      label: 'Strona główna',
+      filledFields: batchFields.length - missingInTopFrame,
+      totalFields: batchFields.length
+    }];
+    frameResults.push(...await applyFrameAnswers(frameBatches, batchAnswers, userData, missingFields));
+  }
+
+  // Now handle special types individually (file, radio, checkbox)
+  await fillSpecialFields(formElements, userData, processedElements);
+
+  // Custom dropdowns, Selectize and batch fields without an answer get one individual attempt
+  await fillIndividualFields(formElements, userData, processedElements, missingFields);
+
+  // Conditional questions ("If yes, please specify") revealed by the answers above
+  const sessionStats = await runFillSession(userData, processedElements, missingFields);
+
+  // Close any open dropdowns before finishing
+  const openDropdowns = document.querySelectorAll('[role="listbox"]:not([hidden]), [role="menu"]:not([hidden])');
+  if (openDropdowns.length > 0) {
+    console.log(`[Gemini Filler] Closing ${openDropdowns.length} open dropdown(s)`);
+    openDropdowns.forEach(dropdown => {
+      const trigger = document.querySelector(`[aria-owns="${dropdown.id}"]`);
+      if (trigger) {
+        trigger.click();
+      }
+    });
+  }
+
+  // Calculate elapsed time and total fields
+  const elapsedTime = Math.round((Date.now() - startTime) / 1000);
+  const totalFields = batchQuestions.length + adapterStats.totalFields + repeatableStats.totalFields + sessionStats.totalFields;
+  const filledFields = totalFields - missingFields.length;
+
+  console.log(`[Gemini Filler] Stats: filled=${filledFields}/${totalFields}, elapsed=${elapsedTime}s`);
+
+  // Wizard mode collects stats from every step and shows one combined summary at the end
+  if (options.showSummary === false) {
+    return { missingFields, filledFields, totalFields, frameResults };
+  }
+
+  // Show summary modal - always show it (even for 100% completion)
+  console.log(`[Gemini Filler] Stats summary: filled=${filledFields}/${totalFields}, missing=${missingFields.length}`);
+  showMissingFieldsSummary(missingFields, userData, filledFields, totalFields, elapsedTime, frameResults);
+
+}
+
+/**
+ * Fill fields one by one (learned answer, then mock, then a single-question AI call)
+ * Handles what the batch call leaves over: custom dropdowns, Selectize and batch fields without an answer
+ * @param {Array<HTMLElement>} formElements - Candidate fields
+ * @param {Object} userData - User data
+ * @param {Set} processedElements - Elements already handled in this run
+ * @param {Array|null} missingFields - Collector for the summary
+ * @returns {Promise<boolean>} Whether any field was changed
+ */
+async function fillIndividualFields(formElements, userData, processedElements, missingFields) {
+  let changed = false;
+  console.log(`[Gemini Filler] Individual processing of ${formElements.length} element(s)...`);
+
+  for (const element of formElements) {
+    if (processedElements.has(element)) {
+      continue;
+    }
+    // Hidden conditional questions stay pending until the fill session sees them revealed
+    if (!isFieldRendered(element)) {
+      continue;
+    }
+    processedElements.add(element);
+
+    try {
+      // Check if element is still in DOM
+      if (!element.isConnected) {
+        continue;
+      }
+
+      if (element.type === 'file') {
+        const question = getQuestionForInput(element);
+        const keywords = ['cv', 'resume', 'życiorys', 'załącz', 'plik'];
+        if (question && (keywords.some(keyword => question.toLowerCase().includes(keyword)) || classifyFileInputPurpose(question))) {
+          await handleFileInput(element);
+        }
+        continue;
+      }
+
+      // Handle radio buttons
+      if (element.type === 'radio') {
+        await handleRadioButton(element, userData, processedElements);
+        continue;
+      }
+
+      // Handle checkboxes
+      if (element.type === 'checkbox') {
+        await handleCheckbox(element, userData);
+        continue;
+      }
+
+      // Skip Selectize-generated inputs (they're created by Selectize.js and should be ignored)
+      if (element.tagName === 'INPUT' &&
+          (element.closest('.selectize-input') ||
+           element.closest('.selectize-control') ||
+           element.id.endsWith('-selectized'))) {
+        continue;
+      }
+
+      // Skip Select2/Chosen search boxes and phone country pickers - filled together with their field
+      if (isDropdownDriverInput(element) || isPhoneWidgetPart(element)) {
+        continue;
+      }
+
+      // Nested editable nodes and editor iframe bodies - only editor roots are fields
+      if (element.hasAttribute('contenteditable') && !isRichTextEditor(element)) {
+        continue;
+      }
+
+      const question = getQuestionForInput(element);
+      if (!question) {
+        continue;
+      }
+
+      // Detect field type and metadata
+      const fieldMetadata = detectFieldType(element);
+      const optionsText = fieldMetadata.options;
+
+      let answer;
+      let answerSource;
+      let questionHash;
+      try {
+        ({ answer, source: answerSource, questionHash } = await resolveFieldAnswer(element, question, optionsText, userData));
+      } catch (error) {
+        console.error(`[Gemini Filler] AI error for question "${question}":`, error);
+        // Continue to next field instead of failing completely
+        continue;
+      }
+
+      if (!answer) {
+        continue;
+      }
+
+      recordFieldState(element);
+
+      try {
+        const fieldChanged = await writeAnswerToField(element, fieldMetadata, answer, userData, question);
+
+        // Log successful filling
+        if (fieldChanged) {
+          changed = true;
+          recordAnswerSource(answerSource);
+          console.log(`[Gemini Filler] Individual processing: filled "${question}" = "${answer}" (source: ${answerSource})`);
+          // The batch call had no answer for this field, but the individual attempt found one
+          const staleIndex = missingFields ? missingFields.findIndex(field => field.element === element && !field.constraint) : -1;
+          if (staleIndex !== -1) {
+            missingFields.splice(staleIndex, 1);
+          }
+        }
+
+        if (fieldChanged && fieldMetadata.constraints && !['radio', 'checkbox', 'file'].includes(fieldMetadata.type)) {
+          const violation = await enforceFieldConstraints(element, question, fieldMetadata.constraints, userData);
+          if (violation && missingFields) {
+            missingFields.push({
+              question,
+              reason: `Odpowiedź niezgodna z wymaganiami pola: ${violation}`,
+              element,
+              constraint: true
+            });
+          }
+        }
+
+        await captureFieldAnswer(element, question, answer, answerSource, questionHash);
+      } catch (error) {
+        console.error(`[Gemini Filler] Error filling element for "${question}":`, error);
+        // Continue to next field
+      }
+    } catch (error) {
+      console.error('[Gemini Filler] Error processing element:', error);
+      // Continue to next element
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Answer for a single field: learned answer (confidence > 75%), then mock data, then a single-question AI call
+ * @param {HTMLElement} element - Field
+ * @param {string} question - Question text
+ * @param {Array<string>|null} optionsText - Options of choice fields
+ * @param {Object} userData - User data
+ * @param {Object} options - { mockFirst: ask mock data before learned answers (single-field fill) }
+ * @returns {Promise<Object>} { answer, source: 'learned' | 'mock' | 'ai' | 'empty', questionHash }
+ */
+async function resolveFieldAnswer(element, question, optionsText, userData, { mockFirst = false } = {}) {
+  if (mockFirst) {
+    const mockAnswer = getMockAIResponse(question, userData, optionsText);
+    if (mockAnswer) {
+      return { answer: mockAnswer, source: 'mock', questionHash: null };
+    }
+  }
+
+  let answer;
+  let questionHash = null;
+  let answerSource = null; // 'learned', 'mock', 'ai'
+
+  try {
+    const suggestion = await getSuggestionForFieldBridge(element);
+    if (suggestion && suggestion.confidence > 0.75) {
+      answer = suggestion.answer;
+      questionHash = suggestion.questionHash;
+      answerSource = 'learned';
+      console.log(`%c[SYSTEM UCZENIA] ✅ Używam nauczoneј odpowiedzi dla "${question}"`, 'color: green; font-weight: bold;');
+      console.log(`%c   Odpowiedź: "${answer}" | Pewność: ${(suggestion.confidence * 100).toFixed(0)}% | Źródło: ${suggestion.source}`, 'color: green;');
+    } else if (suggestion) {
+      console.log(`%c[SYSTEM UCZENIA] ⏳ Znaleziono odpowiedź dla "${question}" ale pewność zbyt niska: ${(suggestion.confidence * 100).toFixed(0)}% (wymaga ≥75%)`, 'color: orange;');
+    } else {
+      console.log(`%c[SYSTEM UCZENIA] ℹ️ Brak nauczoneј odpowiedzi dla "${question}" - używam AI`, 'color: blue;');
+    }
+  } catch (err) {
+    console.warn('[Gemini Filler] Error getting learned suggestion:', err);
+  }
+
+  if (answer) {
+    return { answer, source: answerSource, questionHash };
+  }
+
+  // No learned answer - mock data, then AI
+  const result = await getAIResponse(question, userData, optionsText);
+  return { answer: result.answer, source: result.source, questionHash: null };
+}
+
+/**
+ * Write an answer into a field according to its detected type
+ * Custom dropdowns and Selectize open their menus and ask for the answer themselves
+ * @param {HTMLElement} element - Field
+ * @param {Object} fieldMetadata - From detectFieldType()
+ * @param {string} answer - Answer to write
+ * @param {Object} userData - User data
+ * @param {string} question - Question text
+ * @returns {Promise<boolean>} Whether the field was changed
+ */
+async function writeAnswerToField(element, fieldMetadata, answer, userData, question) {
+  const optionsText = fieldMetadata.options;
+  let changed = false;
+
+  if (fieldMetadata.type === 'select') {
+    // Validate options before using
+    const validOptions = Array.isArray(optionsText) ? optionsText.filter(opt => typeof opt === 'string') : [];
+    const bestMatchText = fuzzyMatch(answer, validOptions);
+    const driver = bestMatchText && fieldMetadata.driver ? getDropdownDriver(element) : null;
+    if (driver && await selectWithDropdownDriver(driver, element, bestMatchText)) {
+      changed = true;
+    } else if (bestMatchText) {
+      const bestMatchOption = Array.from(element.options).find(o => o && o.text === bestMatchText);
+      if (bestMatchOption) {
+        changed = await writeFieldValue(element, bestMatchOption.value);
+      }
+    }
+  } else if (fieldMetadata.type === 'custom-dropdown') {
+    // Use new custom dropdown handler - it handles AI internally
+    const success = await fillCustomDropdown(element, userData, question);
+    if (success) {
+      changed = true;
+    }
+  } else if (fieldMetadata.type === 'radio' && element.getAttribute('role') === 'radiogroup') {
+    const radioButtons = Array.from(element.querySelectorAll('button[role="radio"]'));
+    const optionDetails = radioButtons.map(rb => {
+      const label = findLabelForDeep(rb) || rb.closest('div')?.querySelector('label');
+      return {
+        button: rb,
+        text: label ? label.textContent.trim() : rb.getAttribute('aria-label') || ''
+      };
+    });
+
+    const bestMatchText = fuzzyMatch(answer, optionDetails.map(o => o.text));
+    if (bestMatchText) {
+      const matchingOption = optionDetails.find(o => o.text === bestMatchText);
+      if (matchingOption) {
+        matchingOption.button.click();
+        changed = true;
+      }
+    }
+  } else if (fieldMetadata.type === 'richtext') {
+    changed = await fillRichTextEditor(element, answer);
+  } else if (fieldMetadata.type === 'phone') {
+    changed = await fillPhoneWidget(element, fieldMetadata.phoneWidget, answer, userData);
+  } else if (fieldMetadata.type === 'datepicker') {
+    const success = await fillDatepicker(element, answer);
+    if (success) {
+      changed = true;
+    }
+  } else if (fieldMetadata.type === 'selectize') {
+    // Handle Selectize.js dropdown - it handles AI internally
+    const success = await fillSelectize(element, userData, question);
+    if (success) {
+      changed = true;
+    }
+  } else {
+    // Text input, textarea, etc.
+    changed = await writeFieldValue(element, answer);
+  }
+
+  return changed;
+}
+
+/**
+ * Save an AI answer for the learning system and attach the 👍/👎 feedback button
+ * @param {HTMLElement} element - Filled field
+ * @param {string} question - Question text
+ * @param {string} answer - Answer written into the field
+ * @param {string} answerSource - 'learned' | 'mock' | 'ai'
+ * @param {string|null} questionHash - Hash of the learned question the answer came from
+ */
+async function captureFieldAnswer(element, question, answer, answerSource, questionHash) {
+  // Capture the question and answer for learning (only if from AI and not a placeholder)
+  if (answer && answerSource === 'ai' && !isPlaceholderAnswer(answer)) {
+    try {
+      console.log(`[DEBUG] Calling captureQuestion for "${question}"...`);
+      const capturedHash = await captureQuestionBridge(element, answer);
+      console.log(`[DEBUG] captureQuestion returned: ${capturedHash}`);
+      if (capturedHash && !questionHash) {
+        questionHash = capturedHash;
+        console.log(`%c[SYSTEM UCZENIA] 💾 Zapisano pytanie: "${question}" → "${answer}"`, 'color: purple; font-weight: bold;');
+        console.log(`%c   Kliknij 👍/👎 obok pola żeby zwiększyć pewność odpowiedzi!`, 'color: purple;');
+      }
+    } catch (err) {
+      console.warn('[Gemini Filler] Error capturing question for learning:', err);
+    }
+  } else if (answer && answerSource === 'ai' && isPlaceholderAnswer(answer)) {
+    console.log(`[Gemini Filler] Skipping learning capture for placeholder answer: "${answer}"`);
+  }
+
+  // Add feedback button for learned and AI answers (not for mock data)
+  if (questionHash && (answerSource === 'learned' || answerSource === 'ai')) {
+    try {
+      addFeedbackButtonBridge(element, questionHash);
+    } catch (err) {
+      console.warn('[Gemini Filler] Error adding feedback button:', err);
+    }
+  }
+}
+
+/**
+ * Checks whether an answer is a placeholder or an AI "I don't know" response
+ * @param {string} text - Answer to check
+ * @returns {boolean} True if the answer should not be used
+ */
+function isPlaceholderAnswer(text) {
+  if (!text) return true;
+  const trimmed = text.trim();
+  // Check for placeholder patterns like "-- Wybierz --", "Select", etc.
+  const placeholderPatterns = /^(--|select|choose|wybierz|seleccione|wählen)/i;
+  if (placeholderPatterns.test(trimmed)) return true;
+  // Check for AI's "I don't know" type responses in parentheses
+  if (trimmed.startsWith('(') && trimmed.endsWith(')')) return true;
+  // Check for AI's "I don't know" type responses
+  const invalidResponsePatterns = /(not available|please provide|information is not|cannot be answered|cannot be determined|brak danych|nie ma informacji|requires.*free-text|provided data)/i;
+  if (invalidResponsePatterns.test(trimmed)) return true;
+  return false;
+}
+
+/**
+ * Collects text-like fields for batch AI processing
+ * Special types (file, radio, checkbox) and custom dropdowns are left for individual handling
+ * @param {Iterable<HTMLElement>} formElements - Candidate form elements
+ * @param {Set} processedElements - Elements already handled in this run
+ * @returns {Array<Object>} Fields { element, question, metadata, batchQuestion }
+ */
+function collectBatchFields(formElements, processedElements) {
+  const fields = [];
+
+  // Collect all questions with metadata
+  for (const element of formElements) {
+    if (processedElements.has(element)) continue;
+    if (!element.isConnected) continue;
+    // Hidden conditional questions stay pending until the fill session sees them revealed
+    if (!isFieldRendered(element)) continue;
+
+    // Skip special types that need individual handling
+    if (element.type === 'file' || element.type === 'radio' || element.type === 'checkbox') {
+      continue;
+    }
+
+    // Skip Selectize-generated inputs (they're created by Selectize.js and should be ignored)
+    if (element.tagName === 'INPUT' &&
+        (element.closest('.selectize-input') ||
+         element.closest('.selectize-control') ||
+         element.id.endsWith('-selectized'))) {
+      console.log(`[Gemini Filler] Skipping Selectize-generated input: ${element.id}`);
+      continue;
+    }
+
+    // Skip Select2/Chosen search boxes and phone country pickers - filled together with their field
+    if (isDropdownDriverInput(element) || isPhoneWidgetPart(element)) {
+      continue;
+    }
+
+    // Nested editable nodes and editor iframe bodies - only editor roots are fields
+    if (element.hasAttribute('contenteditable') && !isRichTextEditor(element)) {
+      continue;
+    }
+
+    const question = getQuestionForInput(element);
+    if (!question) continue;
+
+    // Detect field type and metadata
+    const fieldMetadata = detectFieldType(element);
+
+    // Skip custom dropdowns in batch - they need individual handling
+    if (fieldMetadata.type === 'custom-dropdown') {
+      continue;
+    }
+
+    console.log(`[Gemini Filler] Field "${question}" detected as type: ${fieldMetadata.type}`, fieldMetadata);
+
+    fields.push({
+      element,
+      question,
+      metadata: fieldMetadata,
+      batchQuestion: {
+        question: question,
+        options: fieldMetadata.options,
+        type: fieldMetadata.type,
+        format: fieldMetadata.format,
+        constraints: fieldMetadata.constraints
+      }
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * Resolves the final answer for a batch field - empty/placeholder AI answers fall back to the
+ * mock (userData) answer, and AI answers matching userData are reported as 'mock'
+ * @param {Object} field - Field from collectBatchFields()
+ * @param {Object|undefined} batchAnswer - Entry from getBatchAIResponse { answer, confidence, unknown, cached }
+ * @param {Object} userData - User data
+ * @returns {Object} { answer, source: 'mock' | 'ai' | 'cache' } - answer is null when nothing usable was found
+ */
+function resolveBatchAnswer(field, batchAnswer, userData) {
+  let answer = batchAnswer && !batchAnswer.unknown ? batchAnswer.answer : '';
+  const metadata = field.metadata;
+  let answerSource = null; // Track if answer is from 'ai' or 'mock'
+
+  // If batch AI returned empty or placeholder, try mock response as fallback
+  if (!answer || answer === '' || isPlaceholderAnswer(answer)) {
+    if (isPlaceholderAnswer(answer)) {
+      console.log(`[Gemini Filler] Batch AI returned placeholder "${answer}" for: "${field.question}", trying mock fallback...`);
+    } else {
+      console.log(`[Gemini Filler] No batch answer for: "${field.question}", trying mock fallback...`);
+    }
+
+    const mockAnswer = getMockAIResponse(field.question, userData, metadata.optionsText);
+    if (mockAnswer && !isPlaceholderAnswer(mockAnswer)) {
+      answer = mockAnswer;
+      answerSource = 'mock';
+      console.log(`[Gemini Filler] Mock fallback found: "${answer}"`);
+    } else {
+      console.log(`[Gemini Filler] No mock fallback either, will retry individually`);
+      return { answer: null, source: null };
+    }
+  } else {
+    // Answer came from batch AI - check if it's actually from userData
+    // Check both exact match and partial match (e.g., "Wyższe" in userData matches "Wyższe - magister" from SELECT)
+    const answerLower = answer.toLowerCase();
+
+    // Debug: log all userData values for this check
+    console.log(`[Gemini Filler] Checking if answer "${answer}" matches any userData value...`);
+    const userDataValues = Object.entries(userData).map(([key, val]) => {
+      if (!val) return null;
+      return { key, value: val, valueLower: val.toString().toLowerCase() };
+    }).filter(Boolean);
+    console.log(`[Gemini Filler] userData values to check:`, userDataValues.map(v => `${v.key}="${v.value}"`).join(', '));
+
+    const isFromUserData = Object.values(userData).some(val => {
+      if (!val) return false;
+      const valStr = val.toString().toLowerCase();
+      // Exact match OR userData value is contained in answer OR answer is contained in userData value
+      // Use >= 3 instead of > 3 to catch values like "+48" (exactly 3 chars)
+      const matches = valStr === answerLower ||
+             (valStr.length >= 3 && answerLower.includes(valStr)) ||
+             (answerLower.length >= 3 && valStr.includes(answerLower));
+
+      if (matches) {
+        console.log(`[Gemini Filler] ✓ Match found! answer "${answer}" matches userData value "${val}"`);
+      }
+      return matches;
+    });
+
+    answerSource = isFromUserData ? 'mock' : 'ai';
+    if (isFromUserData) {
+      console.log(`[Gemini Filler] Answer "${answer}" matches userData value, marking as mock`);
+    } else {
+      console.log(`[Gemini Filler] Answer "${answer}" does NOT match any userData value, marking as ai`);
+
+      // SPECIAL CASE: If answer is a date but doesn't match userData, check if userData has availability/start date
+      // and convert it properly (e.g., "trzy miesiące od teraz" → "2026-02-20")
+      const questionLower = field.question.toLowerCase();
+      const isDateOrAvailability = metadata.type === 'datepicker' ||
+                                  questionLower.includes('dostępność') ||
+                                  questionLower.includes('availability') ||
+                                  questionLower.includes('kiedy') ||
+                                  questionLower.includes('start') ||
+                                  questionLower.includes('rozpocz') ||
+                                  questionLower.includes('data');
+
+      if (isDateOrAvailability && /^\d{4}-\d{2}-\d{2}$/.test(answer)) {
+        // Answer is a date, check if userData has a relative date phrase
+        const userDataStartDate = userData['Od kiedy mogę zacząć pracę'] ||
+                                 userData['startDate'] ||
+                                 userData['availability'] ||
+                                 userData['start'];
+
+        if (userDataStartDate && typeof userDataStartDate === 'string') {
+          const relativeDatePattern = /(od\s+)?teraz|natychmiast|immediately|miesiąc|miesięcy|miesiące|tydzień|tygodni|tygodnie|dzień|dni|rok|lata|lat|week|month|day|year/i;
+
+          if (relativeDatePattern.test(userDataStartDate)) {
+            // userData has relative date - parse it properly using our helper
+            console.log(`[Gemini Filler] Found relative date in userData: "${userDataStartDate}", re-processing...`);
+            const mockAnswer = getMockAIResponse(field.question, userData, metadata.optionsText);
+            if (mockAnswer && mockAnswer !== answer) {
+              console.log(`[Gemini Filler] Replacing AI date "${answer}" with correctly parsed date "${mockAnswer}" from userData`);
+              answer = mockAnswer;
+              answerSource = 'mock';
+            }
+          }
+        }
+      }
+    }
+  }
+
+  if (answerSource === 'ai' && batchAnswer.cached) {
+    answerSource = 'cache';
+  }
+
+  return { answer, source: answerSource };
+}
+
+/**
+ * Fills batch fields with the answers returned by getBatchAIResponse
+ * Falls back to mock answers when the AI answer is empty or a placeholder
+ * @param {Array<Object>} fields - Fields from collectBatchFields
+ * @param {Object|Array} batchAnswers - Answers keyed by field index
+ * @param {Object} userData - User data
+ * @param {Set} processedElements - Elements already handled in this run
+ * @param {Array|null} missingFields - Collector for fields without an answer
+ * @returns {Promise<boolean>} Whether any field was changed
+ */
+async function fillBatchFields(fields, batchAnswers, userData, processedElements, missingFields) {
+  let changed = false;
+
+  for (let i = 0; i < fields.length; i++) {
+    const element = fields[i].element;
+    const metadata = fields[i].metadata;
+    const resolved = resolveBatchAnswer(fields[i], batchAnswers[i], userData);
+    if (!resolved.answer) {
+      // Track this as potentially missing data
+      if (missingFields) {
+        console.log(`[Gemini Filler] Adding to missingFields: "${fields[i].question}" (missingFields.length before=${missingFields.length})`);
+        missingFields.push({
+          question: fields[i].question,
+          reason: 'Brak danych w bazie wiedzy',
+          element: element
+        });
+        console.log(`[Gemini Filler] missingFields.length after=${missingFields.length}`);
+      } else {
+        console.log('[Gemini Filler] NOT adding to missingFields: missingFields=null');
+      }
+      continue;  // Don't add to processedElements - let the individual pass retry with full AI
+    }
+    const answer = resolved.answer;
+    const answerSource = resolved.source;
+
+    recordFieldState(element);
+
+    try {
+      console.log(`[Gemini Filler] Batch filling: "${fields[i].question}" = "${answer}"`);
+
+      let filled = false;  // Track if we actually filled the field
+
+      // Handle different field types
+      if (metadata.type === 'select') {
+        // Validate options array before using
+        const validOptions = Array.isArray(metadata.options) ? metadata.options.filter(opt => typeof opt === 'string') : [];
+        const bestMatchText = fuzzyMatch(answer, validOptions);
+        console.log(`[Gemini Filler] fuzzyMatch("${answer}") -> "${bestMatchText}" from ${validOptions.length} options`);
+        const driver = bestMatchText && metadata.driver ? getDropdownDriver(element) : null;
+        if (driver && await selectWithDropdownDriver(driver, element, bestMatchText)) {
+          // Select2/Chosen keep their own UI in sync only when the option is picked through it
+          changed = true;
+          filled = true;
+        } else if (bestMatchText) {
+          const bestMatchOption = Array.from(element.options).find(o => o && o.text === bestMatchText);
+          if (bestMatchOption) {
+            const oldValue = element.value;
+            const stuck = await writeFieldValue(element, bestMatchOption.value);
+            console.log(`[Gemini Filler] SELECT: set value from "${oldValue}" to "${element.value}" (kept=${stuck}), selectedIndex=${element.selectedIndex}, text="${bestMatchOption.text}"`);
+
+            // Double-check: read selected option text with bounds checking
+            let currentSelectedOption = null;
+            if (element.selectedIndex >= 0 && element.selectedIndex < element.options.length) {
+              currentSelectedOption = element.options[element.selectedIndex];
+            }
+            console.log(`[Gemini Filler] SELECT: currently selected option text="${currentSelectedOption?.text}", visible in UI=${element.offsetParent !== null}`);
+
+            changed = changed || stuck;
+            filled = stuck;
+          } else {
+            console.warn(`[Gemini Filler] Matched text "${bestMatchText}" but option not found in SELECT`);
+          }
+        } else {
+          console.warn(`[Gemini Filler] fuzzyMatch failed for answer "${answer}" in SELECT with ${metadata.options?.length} options`);
+        }
+      } else if (metadata.type === 'radio' && element.getAttribute('role') === 'radiogroup') {
+        const radioButtons = Array.from(element.querySelectorAll('button[role="radio"]'));
+        const optionDetails = radioButtons.map(rb => {
+          const label = findLabelForDeep(rb) || rb.closest('div')?.querySelector('label');
+          return {
+            button: rb,
+            text: label ? label.textContent.trim() : rb.getAttribute('aria-label') || ''
+          };
+        });
+
+        const bestMatchText = fuzzyMatch(answer, optionDetails.map(o => o.text));
+        console.log(`[Gemini Filler] fuzzyMatch("${answer}") -> "${bestMatchText}" for radiogroup with ${optionDetails.length} options`);
+        if (bestMatchText) {
+          const matchingOption = optionDetails.find(o => o.text === bestMatchText);
+          if (matchingOption) {
+            matchingOption.button.click();
+            changed = true;
+            filled = true;
+          } else {
+            console.warn(`[Gemini Filler] Matched text "${bestMatchText}" but radio button not found`);
+          }
+        } else {
+          console.warn(`[Gemini Filler] fuzzyMatch failed for answer "${answer}" in radiogroup with ${optionDetails.length} options`);
+        }
+      } else if (metadata.type === 'richtext') {
+        filled = await fillRichTextEditor(element, answer);
+        changed = changed || filled;
+      } else if (metadata.type === 'phone') {
+        filled = await fillPhoneWidget(element, metadata.phoneWidget, answer, userData);
+        changed = changed || filled;
+        if (!filled) {
+          console.warn(`[Gemini Filler] Phone widget (${metadata.phoneWidget}) did not accept: "${answer}"`);
+        }
+      } else if (metadata.type === 'datepicker') {
+        // Handle datepicker
+        const success = await fillDatepicker(element, answer);
+        if (success) {
+          changed = true;
+          filled = true;
+        } else {
+          console.warn(`[Gemini Filler] Failed to fill datepicker with: "${answer}"`);
+        }
+      } else if (metadata.type === 'selectize') {
+        // Handle Selectize.js dropdown - it handles AI internally
+        const success = await fillSelectize(element, userData, fields[i].question);
+        if (success) {
+          changed = true;
+          filled = true;
+        } else {
+          console.warn(`[Gemini Filler] Failed to fill selectize for question: "${fields[i].question}"`);
+        }
+      } else {
+        // Text input, textarea, etc. - written through writeFieldValue() for React/Vue/Angular compatibility
+        // Check if this input might have autocomplete/dropdown behavior
+        const mightHaveDropdown =
+          element.getAttribute('role') === 'combobox' ||
+          element.getAttribute('aria-haspopup') ||
+          element.getAttribute('aria-autocomplete') ||
+          element.getAttribute('list') || // datalist
+          /autocomplete|dropdown|select|combobox/i.test(element.className || '');
+
+        // Check if this is a search/autocomplete field that needs special handling
+        // Be more restrictive - only detect as search field if explicitly indicated
+        const hasSearchPlaceholder = /search|szukaj|wyszukaj/i.test(element.placeholder || '');
+        const hasSearchClass = /search|location-search|city-search|autocomplete-search/i.test(element.className || '');
+        const hasAriaAutocomplete = element.getAttribute('aria-autocomplete') === 'list' &&
+                                   /search|location|miasto|city|lokalizacja/i.test(element.placeholder || element.className || '');
+        const isSearchField = hasSearchPlaceholder || hasSearchClass || hasAriaAutocomplete;
+
+        // For search fields, we need to type and then select from dropdown
+        if (isSearchField) {
+          console.log(`[Gemini Filler] Detected search/autocomplete field, using typeahead approach`);
+          element.focus();
+          await new Promise(resolve => setTimeout(resolve, 100));
+
+          // Set the value without blurring - the dropdown must stay open
+          setNativeValue(element, answer);
+
+          // Dispatch input event to trigger autocomplete
+          element.dispatchEvent(new InputEvent('input', { bubbles: true, data: answer, inputType: 'insertText' }));
+          await new Promise(resolve => setTimeout(resolve, 800)); // Wait for dropdown (longer for Angular)
+
+          // Try to find and click a matching option in dropdown
+          const dropdownSelectors = [
+            // Standard ARIA
+            '[role="listbox"] [role="option"]',
+            '[role="menu"] [role="menuitem"]',
+            // Angular Material
+            'mat-option',
+            '.mat-option',
+            '.mat-autocomplete-panel mat-option',
+            '.cdk-overlay-pane mat-option',
+            // Angular ng-select
+            '.ng-dropdown-panel .ng-option',
+            'ng-dropdown-panel ng-option',
+            // Custom address/location controls (e.g., Google Places alternatives)
+            '.addressControl > div > div.text-truncate',
+            '.addressControl .text-truncate',
+            '[class*="address"] .text-truncate',
+            '[class*="location"] .text-truncate',
+            // Bootstrap / generic
+            '.dropdown-menu li',
+            '.dropdown-menu a',
+            '.dropdown-item',
+            // Autocomplete results
+            '.autocomplete-results li',
+            '.autocomplete-suggestion',
+            '.suggestions li',
+            '.suggestion-item',
+            '.typeahead li',
+            '.typeahead-result',
+            // Google Places
+            '.pac-container .pac-item',
+            // Generic patterns
+            '[class*="dropdown"] [class*="option"]',
+            '[class*="dropdown"] li',
+            '[class*="dropdown"] a',
+            '[class*="menu"] li',
+            '[class*="autocomplete"] li',
+            '[class*="suggestion"] li',
+            '[class*="result"] li',
+            // Text-truncate items (common pattern for location dropdowns)
+            '.text-truncate[style*="cursor: pointer"]',
+            '.text-truncate[style*="cursor"]',
+            // List items in any visible overlay
+            '.overlay li',
+            '.popup li',
+            '[class*="popup"] li',
+            '[class*="overlay"] li'
+          ];
+
+          let optionClicked = false;
+          const answerLower = answer.toLowerCase();
+
+          // First, try known selectors
+          for (const selector of dropdownSelectors) {
+            const options = document.querySelectorAll(selector);
+            if (options.length > 0) {
+              console.log(`[Gemini Filler] Found ${options.length} dropdown options with selector: ${selector}`);
+              // Find best matching option
+              for (const opt of options) {
+                const optText = opt.textContent?.toLowerCase() || '';
+                if (optText.includes(answerLower) || answerLower.includes(optText.split(',')[0])) {
+                  console.log(`[Gemini Filler] Clicking autocomplete option: "${opt.textContent}"`);
+                  opt.click();
+                  optionClicked = true;
+                  break;
+                }
+              }
+              if (!optionClicked && options.length > 0) {
+                // If no match, click first option
+                console.log(`[Gemini Filler] No exact match, clicking first option: "${options[0].textContent}"`);
+                options[0].click();
+                optionClicked = true;
+              }
+              if (optionClicked) break;
+            }
+          }
+
+          // Fallback: Look for any visible element containing our answer text that appeared
+          if (!optionClicked) {
+            console.log(`[Gemini Filler] Known selectors failed, trying dynamic search...`);
+
+            // Find all visible clickable elements that contain our answer
+            const allElements = document.querySelectorAll('li, div[role], span[role], a, button, [class*="item"], [class*="option"], [class*="result"]');
+            const candidates = [];
+
+            for (const el of allElements) {
+              const text = el.textContent?.toLowerCase() || '';
+              const rect = el.getBoundingClientRect();
+
+              // CRITICAL: Skip file/CV related elements to avoid triggering file dialogs
+              const isFileRelated = /\.pdf|\.doc|\.docx|cv_|resume|upload|file|attachment/i.test(text) ||
+                                   el.closest('[data-test-id*="file"], [data-test-id*="cv"], [class*="file"], [class*="upload"], [class*="attachment"]');
+              if (isFileRelated) {
+                continue;
+              }
+
+              // Element must be visible and contain our search term
+              if (rect.width > 0 && rect.height > 0 && rect.height < 100 &&
+                  (text.includes(answerLower) || answerLower.includes(text.trim().split(',')[0]))) {
+                // Check if it's in a dropdown-like container (absolute/fixed positioned or in overlay)
+                const style = window.getComputedStyle(el.parentElement || el);
+                const parentRect = (el.parentElement || el).getBoundingClientRect();
+                if (style.position === 'absolute' || style.position === 'fixed' ||
+                    parentRect.top > element.getBoundingClientRect().bottom - 10) {
+                  candidates.push({ el, text: el.textContent, rect });
+                }
+              }
+            }
+
+            if (candidates.length > 0) {
+              console.log(`[Gemini Filler] Found ${candidates.length} candidate elements via dynamic search`);
+              // Sort by y position (prefer elements right below the input)
+              candidates.sort((a, b) => a.rect.top - b.rect.top);
+              console.log(`[Gemini Filler] Clicking dynamic candidate: "${candidates[0].text}"`);
+              candidates[0].el.click();
+              optionClicked = true;
+            }
+          }
+
+          if (!optionClicked) {
+            // Log what dropdowns exist for debugging
+            const possibleDropdowns = document.querySelectorAll('[class*="dropdown"]:not([style*="display: none"]), [class*="menu"]:not([style*="display: none"]), [class*="list"]:not([style*="display: none"]), [class*="popup"]:not([style*="display: none"]), [class*="overlay"]:not([style*="display: none"])');
+            if (possibleDropdowns.length > 0) {
+              console.log(`[Gemini Filler] Debug: Found ${possibleDropdowns.length} potential dropdown containers:`);
+              possibleDropdowns.forEach((d, i) => {
+                if (i < 3) console.log(`[Gemini Filler] Debug dropdown ${i}: class="${d.className}", children=${d.children.length}`);
+              });
+            }
+            console.log(`[Gemini Filler] No dropdown found, keeping typed value`);
+          }
+
+          changed = true;
+          filled = true;
+          console.log(`[Gemini Filler] Filled search field with: "${answer}"`);
+        } else {
+          // Regular text input handling
+          // For number inputs, extract only numeric value
+          let valueToSet = answer;
+          if (element.type === 'number') {
+            // "15 000 zł" -> "15000", "15 tysięcy" / "15k" -> "15000"
+            const num = parseNumberFromAnswer(answer);
+            if (num !== null) {
+              valueToSet = num.toString();
+              console.log(`[Gemini Filler] Converted "${answer}" to numeric value: ${valueToSet}`);
+            } else {
+              console.warn(`[Gemini Filler] Could not extract number from "${answer}" for number input`);
+              valueToSet = '';
+            }
+          }
+
+          // Focus/blur are skipped for potential dropdowns - they would open or commit a suggestion
+          const stuck = await writeFieldValue(element, valueToSet, { focus: !mightHaveDropdown, blur: !mightHaveDropdown });
+
+          changed = changed || stuck;
+          filled = stuck;
+          console.log(`[Gemini Filler] Filled text input with: "${answer}" (kept=${stuck})`);
+        }
+      }
+
+      // Post-fill validation against maxlength/pattern/min/max
+      if (filled && metadata.constraints && !['radio', 'checkbox', 'file'].includes(metadata.type)) {
+        const violation = await enforceFieldConstraints(element, fields[i].question, metadata.constraints, userData);
+        if (violation && missingFields) {
+          missingFields.push({
+            question: fields[i].question,
+            reason: `Odpowiedź niezgodna z wymaganiami pola: ${violation}`,
+            element: element,
+            constraint: true
+          });
+        }
+      }
+
+      // Only mark as processed if we actually filled it
+      if (filled) {
+        processedElements.add(element);
+        recordAnswerSource(answerSource);
+        console.log(`[Gemini Filler] Marked element as processed: "${fields[i].question}"`);
+      } else {
+        console.log(`[Gemini Filler] Element NOT marked as processed (will retry): "${fields[i].question}"`);
+      }
+
+      // Capture for learning (only if answer from AI, not mock, and not placeholder)
+      if (filled && answerSource === 'ai' && !isPlaceholderAnswer(answer)) {
+        try {
+          const capturedHash = await captureQuestionBridge(element, answer);
+          if (capturedHash) {
+            console.log(`%c[SYSTEM UCZENIA] 💾 Zapisano pytanie: "${fields[i].question}" → "${answer}"`, 'color: purple; font-weight: bold;');
+            console.log(`%c   Kliknij 👍/👎 obok pola żeby zwiększyć pewność odpowiedzi!`, 'color: purple;');
+            addFeedbackButtonBridge(element, capturedHash);
+          }
+        } catch (err) {
+          console.warn('[Gemini Filler] Error capturing batch question:', err);
+        }
+      } else if (filled && answerSource === 'ai' && isPlaceholderAnswer(answer)) {
+        console.log(`[Gemini Filler] Skipping learning capture for placeholder answer: "${answer}"`);
+      }
+    } catch (error) {
+      console.error(`[Gemini Filler] Error filling batch element:`, error);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Handles fields that need individual processing: file inputs, radios, checkboxes
+ * and legacy dialog-based dropdowns (button[aria-haspopup="dialog"])
+ * @param {Iterable<HTMLElement>} formElements - Candidate form elements
+ * @param {Object} userData - User data
+ * @param {Set} processedElements - Elements already handled in this run
+ * @returns {Promise<boolean>} Whether any field was changed
+ */
+async function fillSpecialFields(formElements, userData, processedElements) {
+  let changed = false;
+
+  const checkboxes = Array.from(formElements).filter(el => el.type === 'checkbox');
+  console.log(`[Gemini Filler] Special types loop: found ${checkboxes.length} checkboxes in formElements`);
+
+  for (const element of formElements) {
+    if (processedElements.has(element)) {
+      if (element.type === 'checkbox') {
+        console.log(`[Gemini Filler] Checkbox already processed, skipping: id="${element.id}"`);
+      }
+      continue;
+    }
+    if (!element.isConnected) {
+      if (element.type === 'checkbox') {
+        console.log(`[Gemini Filler] Checkbox not in DOM, skipping: id="${element.id}"`);
+      }
+      continue;
+    }
+
+    try {
+      if (element.type === 'file') {
+        // Check if this looks like a CV/resume upload field
+        const question = getQuestionForInput(element);
+        const inputName = (element.name || '').toLowerCase();
+        const inputId = (element.id || '').toLowerCase();
+        const accept = (element.accept || '').toLowerCase();
+
+        // Get surrounding container text for additional context - try multiple methods
+        let containerText = '';
+
+        // Method 1: Try specific upload-related container classes
+        let container = element.closest('.js-drag-and-drop, .drag-and-drop, .file-upload, .upload-container, [class*="upload"], [class*="file"], [class*="attachment"]');
+
+        // Method 2: If no specific container, use parent element (up to 3 levels)
+        if (!container) {
+          container = element.parentElement;
+          // Go up a few levels to find meaningful text
+          for (let i = 0; i < 3 && container; i++) {
+            if (container.textContent && container.textContent.trim().length > 5) {
+              break;
+            }
+            container = container.parentElement;
+          }
+        }
+
+        if (container) {
+          containerText = container.textContent.toLowerCase();
+        }
+
+        const combinedText = `${question || ''} ${inputName} ${inputId} ${containerText}`.toLowerCase();
+
+        // Extended keywords for CV/resume file uploads
+        const keywords = ['cv', 'resume', 'życiorys', 'załącz', 'plik', 'upload', 'file', 'dokument', 'document', 'lebenslauf', 'attachment', 'add document', 'dodaj'];
+        const fileTypeIndicators = ['.doc', '.pdf', 'docx', 'pdf,', 'docx,'];
+
+        // Check keywords in question/name/id OR check if it accepts doc/pdf files
+        const hasKeyword = keywords.some(kw => combinedText.includes(kw));
+        const acceptsResume = fileTypeIndicators.some(ft => accept.includes(ft));
+
+        if (hasKeyword || acceptsResume) {
+          console.log(`[Gemini Filler] File input detected as CV upload: question="${question}", name="${inputName}", accept="${accept}"`);
+          await handleFileInput(element);
+          processedElements.add(element);
+        } else {
+          console.log(`[Gemini Filler] File input skipped (not CV): question="${question}", name="${inputName}"`);
+        }
+        continue;
+      }
+
+      if (element.type === 'radio') {
+        await handleRadioButton(element, userData, processedElements);
+        continue;
+      }
+
+      if (element.type === 'checkbox') {
+        console.log(`[Gemini Filler] Found checkbox in special types loop: id="${element.id}", name="${element.name}", checked=${element.checked}`);
+        await handleCheckbox(element, userData);
+        processedElements.add(element);
+        continue;
+      }
+
+      // Custom dropdowns (LEGACY: aria-haspopup="dialog")
+      // Note: Newer custom dropdowns are handled by fillCustomDropdown() in individual processing
+      if (element.tagName === 'BUTTON' && element.getAttribute('aria-haspopup') === 'dialog') {
+        const question = getQuestionForInput(element);
+        if (!question) {
+          console.log('[Gemini Filler] Custom dropdown: no question found, skipping');
+          continue;
+        }
+
+        let filled = false;  // Track if we successfully filled this
+
+        try {
+          console.log(`[Gemini Filler] Processing custom dropdown (dialog): "${question}"`);
+
+          // IMPORTANT: Open dropdown FIRST to get options, THEN call getAIResponse with options
+          // This allows smart date-to-timeperiod conversion in getMockAIResponse
+          element.click();
+          await new Promise(resolve => setTimeout(resolve, 1000));
+
+          const dialogId = element.getAttribute('aria-controls');
+          let optionsInDialog = [];
+          if (dialogId) {
+            const dialog = getElementByIdDeep(dialogId, element);
+            if (dialog) {
+              optionsInDialog = Array.from(dialog.querySelectorAll('[role="option"]'));
+            }
+          } else {
+            optionsInDialog = Array.from(document.querySelectorAll('[role="option"]'));
+          }
+
+          console.log(`[Gemini Filler] Custom dropdown: found ${optionsInDialog.length} options in dialog`);
+
+          const optionsText = optionsInDialog.map(o => o.textContent.trim());
+          console.log(`[Gemini Filler] Custom dropdown: first 10 options:`, optionsText.slice(0, 10));
+
+          // NOW get AI response with options so date conversion works correctly
+          const result = await getAIResponse(question, userData, optionsText);
+          const answer = result.answer;
+          const answerSource = result.source;
+
+          if (!answer) {
+            console.log(`[Gemini Filler] Custom dropdown: no answer for "${question}"`);
+            // Close dropdown before continuing
+            element.click();
+            continue;  // Don't mark as processed - let the individual pass retry
+          }
+
+          console.log(`[Gemini Filler] Custom dropdown: got answer "${answer}" from ${answerSource}`);
+
+          const bestMatch = findBestMatch(answer, optionsText);
+          console.log(`[Gemini Filler] Custom dropdown: findBestMatch("${answer}") -> "${bestMatch}"`);
+
+          if (bestMatch) {
+            const bestMatchElement = optionsInDialog.find(o => o.textContent === bestMatch);
+            if (bestMatchElement) {
+              recordFieldState(element);
+              bestMatchElement.click();
+              changed = true;
+              filled = true;
+              recordAnswerSource(answerSource);
+              console.log(`[Gemini Filler] Custom dropdown: successfully clicked option "${bestMatch}"`);
+
+              // Capture for learning and add feedback button (only for AI answers, not placeholders)
+              if (answerSource === 'ai' && !isPlaceholderAnswer(answer)) {
+                try {
+                  const capturedHash = await captureQuestionBridge(element, answer);
+                  if (capturedHash) {
+                    addFeedbackButtonBridge(element, capturedHash);
+                  }
+                } catch (err) {
+                  console.warn('[Gemini Filler] Error capturing custom dropdown question:', err);
+                }
+              }
+            } else {
+              console.warn(`[Gemini Filler] Custom dropdown: matched text "${bestMatch}" but element not found`);
+            }
+          } else {
+            console.warn(`[Gemini Filler] Custom dropdown: no match for "${answer}" among ${optionsInDialog.length} options`);
+          }
+
+          // Only mark as processed if we successfully filled it
+          if (filled) {
+            processedElements.add(element);
+            console.log(`[Gemini Filler] Custom dropdown: marked as processed`);
+          } else {
+            console.log(`[Gemini Filler] Custom dropdown: NOT marked as processed (will retry individually)`);
+          }
+        } catch (e) {
+          console.error(`[Gemini Filler] Error with custom dropdown:`, e);
+          // Don't add to processedElements on error - allow retry
+        }
+        continue;
+      }
+    } catch (error) {
+      console.error('[Gemini Filler] Error processing special element:', error);
+    }
+  }
+
+  return changed;
+}
+
+// Where the answers of the current fill came from: { mock, ai, cache, learned } -> count, shown in the summary
+let fillAnswerSources = {};
+
+const ANSWER_SOURCE_LABELS = { mock: 'z Twoich danych', learned: 'nauczone', cache: 'z cache', ai: 'od AI' };
+
+function resetAnswerSources() {
+  fillAnswerSources = {};
+}
+
+/**
+ * Count a filled field by answer source
+ * @param {string} source - 'mock' | 'ai' | 'cache' | 'learned'
+ * @param {number} count - Fields to add (frames report their totals)
+ */
+function recordAnswerSource(source, count = 1) {
+  if (source && ANSWER_SOURCE_LABELS[source]) {
+    fillAnswerSources[source] = (fillAnswerSources[source] || 0) + count;
+  }
+}
+
+function showMissingFieldsSummary(missingFields, userData, filledFields, totalFields, elapsedTime, frameResults = [], stepResults = []) {
+  console.log('[Gemini Filler] showMissingFieldsSummary called with:', missingFields);
+
+  // Remove duplicates based on question
+  const uniqueFields = [];
+  const seen = new Set();
+
+  for (const field of missingFields) {
+    // Same question in different frames or wizard steps is a different field
+    const key = `${field.step || ''}|${field.frame || ''}|${field.question}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      uniqueFields.push(field);
+    }
+  }
+
+  console.log(`[Gemini Filler] After deduplication: ${uniqueFields.length} unique fields`);
+
+  // Suggest specific fields to add (only if there are missing fields)
+  const suggestions = uniqueFields.length > 0 ? getSuggestedFields(uniqueFields) : [];
+
+  // Create styled modal - ALWAYS show it (even for 100% completion)
+  console.log('[Gemini Filler] Creating summary modal...');
+  const modal = createSummaryModal(uniqueFields, suggestions, filledFields, totalFields, elapsedTime, frameResults, stepResults);
+  console.log('[Gemini Filler] Appending modal to document.body');
   document.body.appendChild(modal);
   console.log('[Gemini Filler] Modal appended successfully');
 
-  // Auto-close after 30 seconds
-  setTimeout(() => {
-    if (modal && modal.parentNode) {
-      console.log('[Gemini Filler] Auto-closing modal after 30s');
-      modal.remove();
+  // Auto-close after 30 seconds
+  setTimeout(() => {
+    if (modal && modal.parentNode) {
+      console.log('[Gemini Filler] Auto-closing modal after 30s');
+      modal.remove();
+    }
+  }, 30000);
+}
+
+function getSuggestedFields(missingFields) {
+  const suggestions = [];
+  const questionKeywords = {
+    'wykształcenie': 'Wykształcenie',
+    'education': 'Wykształcenie',
+    'doświadczenie': 'Lata doświadczenia',
+    'experience': 'Lata doświadczenia',
+    'lata': 'Lata doświadczenia',
+    'years': 'Lata doświadczenia',
+    'płeć': 'Płeć',
+    'gender': 'Płeć',
+    'wiek': 'Wiek',
+    'age': 'Wiek',
+    'data urodzenia': 'Data urodzenia',
+    'birth': 'Data urodzenia',
+    'obywatelstwo': 'Obywatelstwo',
+    'citizenship': 'Obywatelstwo',
+    'języki': 'Języki obce',
+    'languages': 'Języki obce',
+    'prawo jazdy': 'Prawo jazdy',
+    'driving': 'Prawo jazdy',
+    'linkedin': 'LinkedIn',
+    'github': 'GitHub',
+    'portfolio': 'Portfolio/Website'
+  };
+
+  const seen = new Set();
+
+  for (const field of missingFields) {
+    // Constraint violations have an answer - it just doesn't fit the field, no option to add
+    if (field.constraint) continue;
+    const lowerQuestion = field.question.toLowerCase();
+    for (const [keyword, suggestion] of Object.entries(questionKeywords)) {
+      if (lowerQuestion.includes(keyword) && !seen.has(suggestion)) {
+        suggestions.push(suggestion);
+        seen.add(suggestion);
+        break;
+      }
+    }
+  }
+
+  return suggestions;
+}
+
+function createSummaryModal(missingFields, suggestions, filledFields, totalFields, elapsedTime, frameResults = [], stepResults = []) {
+  const modal = document.createElement('div');
+  modal.id = 'gemini-filler-summary-modal';
+  modal.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    background: white;
+    border: 2px solid #4CAF50;
+    border-radius: 12px;
+    padding: 24px;
+    max-width: 500px;
+    max-height: 80vh;
+    overflow-y: auto;
+    box-shadow: 0 10px 40px rgba(0,0,0,0.3);
+    z-index: 999999;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    color: #333;
+  `;
+
+  // Calculate time savings
+  const manualTimeMinutes = totalFields * 0.5; // 0.5 minute per field
+  const savedMinutes = manualTimeMinutes - Math.round(elapsedTime / 60);
+  const percentage = Math.round((filledFields / totalFields) * 100);
+  const sourceSummary = Object.entries(ANSWER_SOURCE_LABELS)
+    .filter(([source]) => fillAnswerSources[source])
+    .map(([source, label]) => `${fillAnswerSources[source]} ${label}`)
+    .join(' • ');
+
+  let content = `
+    <div style="display: flex; align-items: center; margin-bottom: 16px;">
+      <span style="font-size: 32px; margin-right: 12px;">✓</span>
+      <h2 style="margin: 0; font-size: 20px; color: #4CAF50;">Formularz wypełniony!</h2>
+    </div>
+
+    <div style="margin-bottom: 20px; padding: 16px; background: #f1f8f4; border-left: 4px solid #4CAF50; border-radius: 4px;">
+      <div style="font-size: 24px; font-weight: bold; color: #4CAF50; margin-bottom: 8px;">${percentage}% wypełnione</div>
+      <div style="font-size: 14px; color: #666;">
+        ✓ ${filledFields} pól wypełnionych automatycznie<br>
+        ⚠ ${missingFields.length} pól wymaga uwagi
+      </div>
+      ${sourceSummary ? `<div style="font-size: 12px; color: #888; margin-top: 8px;">Źródła odpowiedzi: ${sourceSummary}</div>` : ''}
+    </div>
+
+    <div style="margin-bottom: 20px; padding: 16px; background: #e8f5e9; border-radius: 8px;">
+      <div style="font-size: 14px; color: #2e7d32; margin-bottom: 8px;"><strong>⏱ Czas wypełniania:</strong></div>
+      <div style="font-size: 32px; font-weight: bold; color: #4CAF50; text-align: center; margin: 8px 0;">${elapsedTime}s</div>
+      <div style="font-size: 13px; color: #666; text-align: center;">
+        Ręcznie zajęłoby to ~${manualTimeMinutes} minut<br>
+        <strong style="color: #4CAF50;">Zaoszczędzono ~${savedMinutes} minut!</strong>
+      </div>
+    </div>
+  `;
+
+  // Per-step results (only in wizard mode)
+  if (stepResults.length > 0) {
+    content += `
+      <div style="margin-bottom: 20px;">
+        <h3 style="font-size: 16px; margin-bottom: 12px; color: #2196f3;">🧭 Wyniki według kroków:</h3>
+        <ul style="margin: 0; padding-left: 20px; line-height: 1.8;">
+    `;
+
+    stepResults.forEach(step => {
+      content += `
+        <li><strong>Krok ${step.step}</strong>: ${step.filledFields}/${step.totalFields} pól</li>
+      `;
+    });
+
+    content += `</ul>`;
+
+    const lastStep = stepResults[stepResults.length - 1];
+    if (lastStep.stopReason) {
+      content += `<div style="font-size: 12px; color: #666;">↳ ${lastStep.stopReason}</div>`;
+    }
+
+    content += `</div>`;
+  }
+
+  // Per-frame results (only when the form spans iframes)
+  if (frameResults.length > 0) {
+    content += `
+      <div style="margin-bottom: 20px;">
+        <h3 style="font-size: 16px; margin-bottom: 12px; color: #2196f3;">🖼 Wyniki według ramek:</h3>
+        <ul style="margin: 0; padding-left: 20px; line-height: 1.8;">
+    `;
+
+    frameResults.forEach(frame => {
+      content += `
+        <li><strong>${frame.label}</strong>: ${frame.filledFields}/${frame.totalFields} pól</li>
+      `;
+    });
+
+    content += `</ul></div>`;
+  }
+
+  if (missingFields.length > 0) {
+    content += `
+      <div style="margin-bottom: 20px;">
+        <h3 style="font-size: 16px; margin-bottom: 12px; color: #ff9800;">⚠ Wymagają ręcznej weryfikacji:</h3>
+        <ul style="margin: 0; padding-left: 20px; line-height: 1.8; max-height: 150px; overflow-y: auto;">
+    `;
+
+    missingFields.forEach(field => {
+      content += `
+        <li style="margin-bottom: 8px;">
+          <strong>${field.question}</strong>
+          <div style="font-size: 12px; color: #666;">↳ ${field.reason}${field.frame ? ` (ramka: ${field.frame})` : ''}${field.step ? ` (krok ${field.step})` : ''}</div>
+        </li>
+      `;
+    });
+
+    content += `</ul></div>`;
+  }
+
+  if (suggestions.length > 0) {
+    content += `
+      <div style="margin-bottom: 20px; padding: 12px; background: #e3f2fd; border-left: 4px solid #2196f3; border-radius: 4px;">
+        <h3 style="font-size: 14px; margin-bottom: 8px; color: #1976d2;">💡 Dodaj do opcji rozszerzenia:</h3>
+        <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+    `;
+
+    suggestions.forEach(sug => {
+      content += `<code style="background: #fff; padding: 4px 8px; border-radius: 4px; font-size: 12px; border: 1px solid #ddd;">${sug}</code>`;
+    });
+
+    content += `
+        </div>
+      </div>
+    `;
+  }
+
+  // Tracker section
+  content += `
+    <div style="margin-top: 20px; padding-top: 16px; border-top: 1px solid #e0e0e0;">
+      <p style="font-size: 14px; margin-bottom: 12px; color: #666;">📋 Dodać tę aplikację do trackera?</p>
+      <div style="display: flex; gap: 10px;">
+        <button id="add-to-tracker-btn" style="
+          flex: 1;
+          background: #4CAF50;
+          color: white;
+          border: none;
+          padding: 10px 16px;
+          border-radius: 6px;
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: background 0.2s;
+        ">📋 Dodaj do trackera</button>
+
+        <button id="close-summary-modal" style="
+          flex: 1;
+          background: #999;
+          color: white;
+          border: none;
+          padding: 10px 16px;
+          border-radius: 6px;
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: background 0.2s;
+        ">Pomiń</button>
+      </div>
+
+      <button id="undo-fill-btn" style="
+        width: 100%;
+        margin-top: 10px;
+        background: white;
+        color: #e53935;
+        border: 1px solid #e53935;
+        padding: 8px 16px;
+        border-radius: 6px;
+        font-size: 12px;
+        cursor: pointer;
+        transition: background 0.2s;
+      ">↩ Cofnij wypełnienie</button>
+    </div>
+  `;
+
+  // Additional action buttons (only if there are missing fields or suggestions)
+  if (missingFields.length > 0 || suggestions.length > 0) {
+    content += `
+      <div style="display: flex; gap: 10px; margin-top: 12px;">
+        ${missingFields.length > 0 ? `
+        <button id="scroll-to-first-missing" style="
+          flex: 1;
+          background: #2196f3;
+          color: white;
+          border: none;
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 12px;
+          cursor: pointer;
+          transition: background 0.2s;
+        ">⬇ Przewiń do pierwszego</button>
+        ` : ''}
+
+        <button id="open-options" style="
+          flex: 1;
+          background: #ff9800;
+          color: white;
+          border: none;
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 12px;
+          cursor: pointer;
+          transition: background 0.2s;
+        ">⚙ Otwórz opcje</button>
+      </div>
+    `;
+  }
+
+  content += `
+    <div style="text-align: center; margin-top: 12px; font-size: 12px; color: #999;">
+      💡 Kliknij zielony badge ✓ obok pola aby ocenić poprawność
+    </div>
+  `;
+
+  modal.innerHTML = content;
+
+  // Add button handlers
+  setTimeout(() => {
+    // Add to tracker button
+    const trackerBtn = document.getElementById('add-to-tracker-btn');
+    if (trackerBtn) {
+      trackerBtn.addEventListener('click', () => {
+        modal.remove();
+        const overlay = document.getElementById('modal-overlay');
+        if (overlay) overlay.remove();
+        const jobInfo = extractJobInfoFromPage();
+        showAddApplicationModalFromContent(jobInfo);
+      });
+      trackerBtn.addEventListener('mouseenter', (e) => {
+        e.target.style.background = '#45a049';
+      });
+      trackerBtn.addEventListener('mouseleave', (e) => {
+        e.target.style.background = '#4CAF50';
+      });
+    }
+
+    // Close/Skip button
+    const closeBtn = document.getElementById('close-summary-modal');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        modal.remove();
+        const overlay = document.getElementById('modal-overlay');
+        if (overlay) overlay.remove();
+      });
+      closeBtn.addEventListener('mouseenter', (e) => {
+        e.target.style.background = '#777';
+      });
+      closeBtn.addEventListener('mouseleave', (e) => {
+        e.target.style.background = '#999';
+      });
+    }
+
+    // Undo button - reverts every field changed by this run
+    const undoBtn = document.getElementById('undo-fill-btn');
+    if (undoBtn) {
+      undoBtn.addEventListener('click', () => {
+        modal.remove();
+        const overlay = document.getElementById('modal-overlay');
+        if (overlay) overlay.remove();
+        undoLastFillWithOverlay();
+      });
+      undoBtn.addEventListener('mouseenter', (e) => {
+        e.target.style.background = '#ffebee';
+      });
+      undoBtn.addEventListener('mouseleave', (e) => {
+        e.target.style.background = 'white';
+      });
+    }
+
+    // Scroll to first missing field button
+    const scrollBtn = document.getElementById('scroll-to-first-missing');
+    if (scrollBtn && missingFields.length > 0) {
+      scrollBtn.addEventListener('click', () => {
+        // Find first missing field by question text
+        const firstQuestion = missingFields[0].question;
+        const labels = Array.from(document.querySelectorAll('label, .label, [for]'));
+        for (const label of labels) {
+          if (label.textContent.includes(firstQuestion) || label.textContent.includes(firstQuestion.split(':')[0])) {
+            label.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            // Highlight it
+            label.style.transition = 'background 0.3s';
+            label.style.background = '#fff59d';
+            setTimeout(() => {
+              label.style.background = '';
+            }, 2000);
+            break;
+          }
+        }
+        modal.remove();
+        const overlay = document.getElementById('modal-overlay');
+        if (overlay) overlay.remove();
+      });
+      scrollBtn.addEventListener('mouseenter', (e) => {
+        e.target.style.background = '#1976d2';
+      });
+      scrollBtn.addEventListener('mouseleave', (e) => {
+        e.target.style.background = '#2196f3';
+      });
+    }
+
+    // Open options button
+    const optionsBtn = document.getElementById('open-options');
+    if (optionsBtn) {
+      optionsBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'openOptions' });
+        modal.remove();
+        const overlay = document.getElementById('modal-overlay');
+        if (overlay) overlay.remove();
+      });
+      optionsBtn.addEventListener('mouseenter', (e) => {
+        e.target.style.background = '#f57c00';
+      });
+      optionsBtn.addEventListener('mouseleave', (e) => {
+        e.target.style.background = '#ff9800';
+      });
+    }
+  }, 0);
+
+  // Add overlay
+  const overlay = document.createElement('div');
+  overlay.id = 'modal-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.5);
+    z-index: 999998;
+  `;
+  overlay.addEventListener('click', () => {
+    modal.remove();
+    overlay.remove();
+  });
+  document.body.appendChild(overlay);
+
+  // Remove overlay when modal is removed
+  const observer = new MutationObserver((mutations) => {
+    if (!document.contains(modal)) {
+      overlay.remove();
+      observer.disconnect();
+    }
+  });
+  observer.observe(document.body, { childList: true, subtree: true });
+
+  return modal;
+}
+
+function findBestMatch(answer, options) {
+  if (!answer || !options || options.length === 0) {
+    return null;
+  }
+
+  // Ensure answer is a string
+  const answerStr = typeof answer === 'string' ? answer : String(answer);
+
+  // Polish to English country name mapping
+  const countryTranslations = {
+    'polska': 'poland',
+    'niemcy': 'germany',
+    'francja': 'france',
+    'wielka brytania': 'united kingdom',
+    'uk': 'united kingdom',
+    'usa': 'united states',
+    'stany zjednoczone': 'united states',
+    'hiszpania': 'spain',
+    'włochy': 'italy',
+    'holandia': 'netherlands',
+    'belgia': 'belgium',
+    'szwecja': 'sweden',
+    'norwegia': 'norway',
+    'dania': 'denmark',
+    'czechy': 'czech republic',
+    'słowacja': 'slovakia',
+    'austria': 'austria',
+    'szwajcaria': 'switzerland'
+  };
+
+  // Try to translate Polish country names to English
+  const lowerAnswer = answerStr.toLowerCase().trim();
+  const translatedAnswer = countryTranslations[lowerAnswer] || answerStr;
+  const wasTranslated = translatedAnswer !== answer;
+
+  // Normalize answer by removing special chars for better matching
+  const normalizedAnswer = translatedAnswer.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
+  const answerWords = normalizedAnswer.split(/\s+/).filter(w => w && w.length > 0);
+
+  // PASS 1: Look for exact match (highest priority)
+  // Try both translated and original if translation happened
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    if (optionText.toLowerCase() === translatedAnswer.toLowerCase()) {
+      return optionText;
+    }
+    // If translation occurred, also try original answer
+    if (wasTranslated && optionText.toLowerCase() === lowerAnswer) {
+      return optionText;
+    }
+  }
+
+  // PASS 2: Look for substring match (second priority)
+  let substringMatch = null;
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    const lowerOption = optionText.toLowerCase();
+    const lowerTranslatedAnswer = translatedAnswer.toLowerCase();
+
+    // Try translated answer
+    if (lowerOption.includes(lowerTranslatedAnswer) || lowerTranslatedAnswer.includes(lowerOption)) {
+      if (!substringMatch || optionText.length < substringMatch.length) {
+        substringMatch = optionText;
+      }
+    }
+
+    // If translation occurred, also try original
+    if (wasTranslated && (lowerOption.includes(lowerAnswer) || lowerAnswer.includes(lowerOption))) {
+      if (!substringMatch || optionText.length < substringMatch.length) {
+        substringMatch = optionText;
+      }
+    }
+  }
+
+  if (substringMatch) {
+    return substringMatch;
+  }
+
+  // PASS 3: Word-based scoring (fallback)
+  let bestMatch = null;
+  let maxScore = 0;
+
+  // Prepare original answer words if translation occurred
+  const originalNormalized = wasTranslated ? lowerAnswer.replace(/[^\w\s]/g, ' ').trim() : null;
+  const originalWords = wasTranslated ? originalNormalized.split(/\s+/).filter(w => w.length > 0) : null;
+
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    const normalizedOption = optionText.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
+    const optionWords = normalizedOption.split(/\s+/).filter(w => w && w.length > 0);
+
+    // Count matching words with translated answer
+    let score = answerWords.filter(word => optionWords.includes(word)).length;
+
+    // If translation occurred, also try original and use better score
+    if (wasTranslated && originalWords) {
+      const originalScore = originalWords.filter(word => optionWords.includes(word)).length;
+      score = Math.max(score, originalScore);
+    }
+
+    if (score > maxScore) {
+      maxScore = score;
+      bestMatch = optionText;
+    }
+  }
+
+  return bestMatch;
+}
+
+function getQuestionForInput(input) {
+  // Validate input element
+  if (!input) {
+    return null;
+  }
+
+  let questionText = null;
+  let matchStrategy = null;
+
+  // 1. Check for a wrapping label
+  if (input.parentElement && input.parentElement.tagName === 'LABEL') {
+    questionText = input.parentElement.textContent.trim();
+    matchStrategy = '1:wrapping-label';
+  }
+
+  // 2. Check for a `for` attribute
+  if (!questionText && input.id) {
+    const label = findLabelForDeep(input);
+    if (label) {
+      questionText = label.textContent.trim();
+      matchStrategy = `2:label-for[${input.id}]`;
+    }
+
+    // Special case: Selectize.js creates inputs with ID ending in '-selectized'
+    // and moves the label to point to that input, so for original SELECT elements
+    // with class 'selectized', also check for label pointing to ID + '-selectized'
+    if (!questionText && input.tagName === 'SELECT' && input.classList.contains('selectized')) {
+      const selectizeLabel = findLabelForDeep(input, `${input.id}-selectized`);
+      if (selectizeLabel) {
+        questionText = selectizeLabel.textContent.trim();
+        matchStrategy = `2:selectize-label-for[${input.id}-selectized]`;
+        console.log(`[Gemini Filler] Found Selectize label for SELECT: "${questionText}"`);
+      }
+    }
+  }
+
+  // 3. Check for aria-labelledby
+  if (!questionText && input.getAttribute('aria-labelledby')) {
+    const ariaLabelledBy = input.getAttribute('aria-labelledby');
+    const labelText = getAriaLabelledByText(input);
+    if (labelText) {
+      questionText = labelText;
+      matchStrategy = `3:aria-labelledby[${ariaLabelledBy}]`;
+    }
+  }
+
+  // 4. Traverse up the DOM to find a nearby label (continues past shadow roots into the host's tree)
+  if (!questionText) {
+    let current = input;
+    let depth = 0;
+    while (getParentAcrossShadow(current) && depth < 5) {
+      const parent = getParentAcrossShadow(current);
+      const parentTag = parent.tagName + (parent.className ? '.' + parent.className.split(' ')[0] : '');
+
+      const label = parent.querySelector('label');
+      if (label && label.contains(input)) {
+         questionText = label.textContent.trim();
+         matchStrategy = `4a:parent-label-contains[depth=${depth}, parent=${parentTag}]`;
+         break;
+      }
+
+      const labels = parent.querySelectorAll('label');
+
+      for(let i = 0; i < labels.length; i++) {
+          const l = labels[i];
+
+          if(l.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4b:label-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          if(l.nextElementSibling === input) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4c:label-nextSibling[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          // NEW: Check if label's next sibling is a container that contains the input
+          if (l.nextElementSibling && l.nextElementSibling.contains && l.nextElementSibling.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4d:label-nextSibling-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+      }
+      if (questionText) break;
+      current = parent;
+      depth++;
+    }
+  }
+
+  // 5. Fallback to aria-label or placeholder
+  if (!questionText && input.getAttribute('aria-label')) {
+    questionText = input.getAttribute('aria-label').trim();
+    matchStrategy = '5:aria-label';
+  }
+
+  // 5b. Web components often carry the label on the shadow host (e.g. <lightning-input label="...">)
+  if (!questionText) {
+    const host = input.getRootNode().host;
+    const hostLabel = host && (host.getAttribute('label') || host.getAttribute('aria-label'));
+    if (hostLabel && hostLabel.trim()) {
+      questionText = hostLabel.trim();
+      matchStrategy = `5b:shadow-host-label[${host.tagName.toLowerCase()}]`;
+    }
+  }
+
+  if (!questionText && input.getAttribute('placeholder')) {
+    const placeholder = input.getAttribute('placeholder').trim();
+
+    // Special handling for Od/Do (From/To) range fields - look for parent label
+    const rangePatterns = ['od', 'do', 'from', 'to', 'min', 'max', 'minimum', 'maximum'];
+    if (rangePatterns.includes(placeholder.toLowerCase())) {
+      // Look for a parent label that applies to the whole range
+      let current = input;
+      let depth = 0;
+      while (current.parentElement && depth < 6) {
+        const parent = current.parentElement;
+        const label = parent.querySelector('label');
+        if (label && !label.contains(input)) {
+          // Found a label at parent level - combine with placeholder
+          questionText = `${label.textContent.trim()} (${placeholder})`;
+          matchStrategy = `6:placeholder-with-parent-label[depth=${depth}]`;
+          break;
+        }
+        current = parent;
+        depth++;
+      }
+    }
+
+    if (!questionText) {
+      questionText = placeholder;
+      matchStrategy = '6:placeholder';
+    }
+  }
+
+  // 7. Rich-text editors: data-placeholder or the heading above the editor container
+  if (!questionText && isRichTextEditor(input)) {
+    questionText = getRichTextQuestion(input);
+    matchStrategy = '7:rich-text-editor';
+  }
+
+  return questionText;
+}
+
+async function handleRadioButton(radioElement, userData, processedElements) {
+  try {
+    // Skip if already processed or not in a group
+    const radioName = radioElement.name;
+    if (!radioName) {
+      return;
+    }
+
+    // Find all radio buttons in the same group (radio groups are scoped to their document or shadow root)
+    const radioGroup = radioElement.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(radioName)}"]`);
+    if (radioGroup.length === 0) {
+      return;
+    }
+
+    // Check if we've already processed this group
+    const groupKey = `radio-group-${radioName}`;
+    if (processedElements.has(groupKey)) {
+      return;
+    }
+    processedElements.add(groupKey);
+
+    // Get the question for this radio group
+    // Try to find from the first radio or from a group label
+    const question = getQuestionForInput(radioElement) || getRadioGroupLabel(radioElement);
+    if (!question) {
+      console.log('[Gemini Filler] No question found for radio group:', radioName);
+      return;
+    }
+
+    // Get all options
+    const options = getRadioGroupOptions(radioGroup);
+
+    if (options.length === 0) {
+      console.log('[Gemini Filler] No options found for radio group:', radioName);
+      return;
+    }
+
+    console.log(`[Gemini Filler] Processing radio group "${question}" with ${options.length} options`);
+
+    const optionsText = options.map(o => o.text);
+    let answer;
+
+    // Consent and EEO questions follow the configured policy instead of the AI
+    const consentCategory = classifyConsentText(question);
+    if (consentCategory) {
+      const policy = (await getConsentPolicies())[consentCategory];
+      answer = pickConsentOption(consentCategory, policy, optionsText);
+      console.log(`[Gemini Filler] Radio group "${question}" is ${consentCategory} (policy: ${policy}) -> ${answer || 'left unanswered'}`);
+      if (!answer && !(consentCategory === 'eeo' && policy === 'profile')) {
+        return;
+      }
+    }
+
+    // Get AI response
+    if (!answer) {
+      try {
+        const result = await getAIResponse(question, userData, optionsText);
+        answer = result.answer;
+      } catch (error) {
+        console.error(`[Gemini Filler] AI error for radio group "${question}":`, error);
+        return;
+      }
+    }
+
+    if (!answer) {
+      return;
+    }
+
+    // Find best match and select it
+    const bestMatchText = findBestMatch(answer, optionsText);
+    if (bestMatchText) {
+      const matchingOption = options.find(o => o.text === bestMatchText);
+      if (matchingOption && matchingOption.element) {
+        checkRadioOption(matchingOption.element);
+        console.log(`[Gemini Filler] Selected radio option: ${bestMatchText}`);
+      }
+    }
+  } catch (error) {
+    console.error('[Gemini Filler] Error handling radio button:', error);
+  }
+}
+
+/**
+ * Radios of a group with their label texts
+ * @param {Iterable<HTMLInputElement>} radioGroup - Radios sharing one name
+ * @returns {Array<Object>} Options { element, text }
+ */
+function getRadioGroupOptions(radioGroup) {
+  return Array.from(radioGroup).map(radio => {
+    // Try to find label
+    const label = findLabelForDeep(radio) ||
+                 radio.closest('label') ||
+                 (radio.nextElementSibling?.tagName === 'LABEL' ? radio.nextElementSibling : null) ||
+                 radio.parentElement?.querySelector('label') ||
+                 radio.closest('div')?.querySelector('label');
+
+    return {
+      element: radio,
+      text: label ? label.textContent.trim() : radio.getAttribute('aria-label') || radio.value
+    };
+  }).filter(opt => opt.text);
+}
+
+/**
+ * Select one radio of a group (change + click events, inline onclick handlers)
+ * @param {HTMLInputElement} radio
+ */
+function checkRadioOption(radio) {
+  recordFieldState(radio);
+  radio.checked = true;
+  radio.dispatchEvent(new Event('change', { bubbles: true }));
+  radio.dispatchEvent(new Event('click', { bubbles: true }));
+
+  // Trigger any onclick handlers
+  if (radio.onclick) {
+    radio.onclick.call(radio);
+  }
+}
+
+function getRadioGroupLabel(radioElement) {
+  // Try to find a group label by looking for aria-labelledby on a parent
+  let current = getParentAcrossShadow(radioElement);
+  let depth = 0;
+
+  while (current && depth < 5) {
+    const labelText = getAriaLabelledByText(current);
+    if (labelText) {
+      return labelText;
+    }
+
+    // Look for a label within the parent
+    const label = current.querySelector('label');
+    if (label && !label.getAttribute('for')) {
+      // This might be a group label
+      return label.textContent.trim();
+    }
+
+    current = getParentAcrossShadow(current);
+    depth++;
+  }
+
+  return null;
+}
+
+async function handleCheckbox(checkboxElement, userData) {
+  try {
+    const question = getQuestionForInput(checkboxElement);
+
+    console.log(`[Gemini Filler] Processing checkbox: question="${question}", name="${checkboxElement.name || ''}", id="${checkboxElement.id || ''}"`);
+
+    const decision = await getCheckboxPolicyDecision(checkboxElement, question);
+    if (decision) {
+      if (decision.checked !== null) {
+        setConsentCheckbox(checkboxElement, decision.checked);
+        console.log(`[Gemini Filler] Checkbox checked: ${checkboxElement.checked}, aria-checked: ${checkboxElement.getAttribute('aria-checked')}`);
+      }
+      return;
+    }
+
+    if (!question) {
+      console.log(`[Gemini Filler] Checkbox has no question, skipping AI decision`);
+      return;
+    }
+
+    // For other checkboxes, ask AI
+    const modifiedQuestion = `Should the following be checked/enabled? ${question}`;
+
+    let answer;
+    try {
+      const result = await getAIResponse(modifiedQuestion, userData, ['Yes', 'No']);
+      answer = result.answer;
+    } catch (error) {
+      console.error(`[Gemini Filler] AI error for checkbox "${question}":`, error);
+      return;
+    }
+
+    if (!answer) {
+      return;
+    }
+
+    // Check if answer is positive
+    const shouldCheck = answer.toLowerCase().includes('yes') ||
+                       answer.toLowerCase().includes('tak') ||
+                       answer.toLowerCase().includes('true');
+
+    if (shouldCheck !== checkboxElement.checked) {
+      recordFieldState(checkboxElement);
+      checkboxElement.checked = shouldCheck;
+      checkboxElement.dispatchEvent(new Event('change', { bubbles: true }));
+      checkboxElement.dispatchEvent(new Event('input', { bubbles: true }));
+      checkboxElement.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+      console.log(`[Gemini Filler] Checkbox "${question}" set to: ${shouldCheck}`);
+    }
+  } catch (error) {
+    console.error('[Gemini Filler] Error handling checkbox:', error);
+  }
+}
+
+/**
+ * Consent clauses (privacy, future recruitment, talent pool, marketing) and EEO boxes follow the configured policy
+ * @param {HTMLInputElement} checkboxElement
+ * @param {string|null} question - Label of the checkbox
+ * @returns {Promise<Object|null>} { category, policy, checked } - checked null leaves the box alone;
+ *   null for ordinary checkboxes (and EEO boxes answered from the profile)
+ */
+async function getCheckboxPolicyDecision(checkboxElement, question) {
+  // Get additional context from checkbox's surrounding area
+  const parentText = checkboxElement.closest('label, div, li')?.textContent?.toLowerCase() || '';
+  const checkboxName = (checkboxElement.name || '').toLowerCase();
+  const checkboxId = (checkboxElement.id || '').toLowerCase();
+
+  const consentText = [question, parentText, checkboxName, checkboxId].filter(Boolean).join(' ');
+  const isRequired = checkboxElement.required ||
+                     checkboxElement.closest('[class*="required"]') !== null ||
+                     checkboxElement.getAttribute('aria-required') === 'true';
+  const category = classifyConsentText(question) || classifyConsentText(consentText) ||
+    (GENERIC_CONSENT_PATTERN.test(consentText) || (isRequired && !question) ? 'required_privacy' : null);
+  if (!category) return null;
+
+  const policy = (await getConsentPolicies())[category];
+  console.log(`[Gemini Filler] Checkbox "${question || parentText.slice(0, 50)}" is ${category} (policy: ${policy})`);
+
+  if (category === 'eeo') {
+    if (policy === 'profile') return null;
+    // "I don't wish to answer" boxes are the only ones ticked when declining to self-identify
+    return { category, policy, checked: policy === 'decline' && EEO_DECLINE_PATTERN.test(question || '') ? true : null };
+  }
+  return { category, policy, checked: policy === 'accept' || policy === 'decline' ? policy === 'accept' : null };
+}
+
+async function handleCustomResumeButtons(processedElements) {
+  try {
+    // First check if ANY file input already has files - if so, skip all custom buttons
+    const allFileInputs = deepQuerySelectorAll('input[type="file"]');
+    for (const fi of allFileInputs) {
+      if (fi.files && fi.files.length > 0) {
+        console.log('[Gemini Filler] File input already has files, skipping all custom upload buttons');
+        return;
+      }
+    }
+
+    // Look for custom div-based upload buttons (like the one in the example)
+    // These are typically divs or spans with specific classes and text content
+    const customUploadSelectors = [
+      '.attachmentBtn',
+      '.addAttachments',
+      '[class*="upload"]',
+      'div[role="button"][aria-label*="Resume"]',
+      'div[role="button"][aria-label*="CV"]',
+      'span[role="button"][aria-label*="Resume"]',
+      'span[role="button"][aria-label*="CV"]'
+    ];
+
+    for (const selector of customUploadSelectors) {
+      const buttons = deepQuerySelectorAll(selector);
+
+      for (const button of buttons) {
+        // Skip if already processed
+        if (processedElements.has(button)) {
+          continue;
+        }
+
+        // Check if this looks like a resume upload button
+        const buttonText = button.textContent?.toLowerCase() || '';
+        const ariaLabel = button.getAttribute('aria-label')?.toLowerCase() || '';
+        const ariaLabelledBy = button.getAttribute('aria-labelledby');
+        let labelText = '';
+
+        if (ariaLabelledBy) {
+          labelText = getAriaLabelledByText(button)?.toLowerCase() || '';
+        }
+
+        const combinedText = `${buttonText} ${ariaLabel} ${labelText}`;
+        const resumeKeywords = ['resume', 'cv', 'curriculum', 'życiorys', 'załącz'];
+
+        // CRITICAL: Never click submit/send buttons!
+        const submitKeywords = ['submit', 'send', 'wyślij', 'aplikuj', 'apply', 'prześlij'];
+        const isSubmitButton = submitKeywords.some(keyword => combinedText.includes(keyword));
+
+        // Also check if it's an actual submit button element
+        const isSubmitElement = (button.tagName === 'BUTTON' && button.type === 'submit') ||
+                               (button.tagName === 'INPUT' && button.type === 'submit');
+
+        if (isSubmitButton || isSubmitElement) {
+          console.log('[Gemini Filler] SKIPPING button - appears to be a submit button:', combinedText);
+          continue;
+        }
+
+        if (resumeKeywords.some(keyword => combinedText.includes(keyword))) {
+          console.log('[Gemini Filler] Found custom resume upload button:', button);
+          console.log('[Gemini Filler] Combined text:', combinedText);
+
+          // Check if there's already a file input with files attached nearby
+          const nearbyFileInputs = button.closest('form, [class*="upload"], [class*="file"]')?.querySelectorAll('input[type="file"]') || [];
+          let alreadyHasFile = false;
+          for (const fi of nearbyFileInputs) {
+            if (fi.files && fi.files.length > 0) {
+              console.log('[Gemini Filler] File input already has files, skipping button click');
+              alreadyHasFile = true;
+              break;
+            }
+          }
+
+          if (alreadyHasFile) {
+            processedElements.add(button);
+            continue;
+          }
+
+          processedElements.add(button);
+
+          try {
+            // Click the button to open the file picker
+            button.click();
+            console.log('[Gemini Filler] Clicked custom upload button, waiting for file input...');
+
+            // Wait for file input to appear (it might be dynamically created)
+            await new Promise(resolve => setTimeout(resolve, 1500)); // Increased to 1.5s
+
+            // Look for any newly appeared file inputs
+            const fileInputs = deepQuerySelectorAll('input[type="file"]');
+            console.log(`[Gemini Filler] Found ${fileInputs.length} file inputs after click`);
+
+            let foundAndHandled = false;
+            for (const fileInput of fileInputs) {
+              const alreadyProcessed = processedElements.has(fileInput);
+              const inDom = fileInput.isConnected;
+              console.log('[Gemini Filler] Checking file input:', {
+                id: fileInput.id,
+                alreadyProcessed,
+                inDom,
+                offsetParent: fileInput.offsetParent,
+                displayStyle: fileInput.style.display
+              });
+
+              if (!alreadyProcessed && inDom) {
+                // Check if it's visible or in a modal/dialog
+                const isVisible = fileInput.offsetParent !== null ||
+                                 fileInput.closest('[role="dialog"]') !== null ||
+                                 fileInput.closest('.modal') !== null;
+
+                if (isVisible || fileInput.style.display !== 'none') {
+                  console.log('[Gemini Filler] Found valid file input, attempting to attach CV...');
+                  await handleFileInput(fileInput, 'cv');
+                  processedElements.add(fileInput);
+                  foundAndHandled = true;
+                  break; // Only handle the first one
+                } else {
+                  console.log('[Gemini Filler] File input not visible, skipping');
+                }
+              }
+            }
+
+            if (!foundAndHandled && fileInputs.length === 0) {
+              console.warn('[Gemini Filler] No file inputs found after clicking custom button. May need to manually trigger.');
+            }
+          } catch (error) {
+            console.error('[Gemini Filler] Error handling custom upload button:', error);
+          }
+        }
+      }
     }
-  }, 30000);
+  } catch (error) {
+    console.error('[Gemini Filler] Error in handleCustomResumeButtons:', error);
+  }
 }
 
-function getSuggestedFields(missingFields) {
-  const suggestions = [];
-  const questionKeywords = {
-    'wykształcenie': 'Wykształcenie',
-    'education': 'Wykształcenie',
-    'doświadczenie': 'Lata doświadczenia',
-    'experience': 'Lata doświadczenia',
-    'lata': 'Lata doświadczenia',
-    'years': 'Lata doświadczenia',
-    'płeć': 'Płeć',
-    'gender': 'Płeć',
-    'wiek': 'Wiek',
-    'age': 'Wiek',
-    'data urodzenia': 'Data urodzenia',
-    'birth': 'Data urodzenia',
-    'obywatelstwo': 'Obywatelstwo',
-    'citizenship': 'Obywatelstwo',
-    'języki': 'Języki obce',
-    'languages': 'Języki obce',
-    'prawo jazdy': 'Prawo jazdy',
-    'driving': 'Prawo jazdy',
-    'linkedin': 'LinkedIn',
-    'github': 'GitHub',
-    'portfolio': 'Portfolio/Website'
+/**
+ * Attach the document matching the input's purpose (CV, cover letter, portfolio...) from the library
+ * @param {HTMLInputElement} fileInputElement - input[type="file"]
+ * @param {string|null} purpose - Known purpose (e.g. 'cv' for resume buttons), detected from the label when null
+ */
+async function handleFileInput(fileInputElement, purpose = null) {
+  try {
+    const documents = await getDocumentLibrary();
+    if (documents.length === 0) {
+      console.log('[Gemini Filler] No documents found in storage.');
+      return;
+    }
+
+    // Validate file element is still valid
+    if (!fileInputElement.isConnected) {
+      console.warn('[Gemini Filler] File input element no longer in DOM');
+      return;
+    }
+
+    // Check if files already attached
+    if (fileInputElement.files && fileInputElement.files.length > 0) {
+      console.log('[Gemini Filler] File input already has files, skipping');
+      return;
+    }
+
+    const filePurpose = purpose || getFileInputPurpose(fileInputElement);
+    const documentEntry = selectDocumentForInput(documents, fileInputElement, filePurpose);
+    if (!documentEntry) {
+      console.log(`[Documents] No "${filePurpose}" document in the library, leaving the file input empty`);
+      return;
+    }
+
+    const file = await documentToFile(documentEntry);
+    const dataTransfer = new DataTransfer();
+    dataTransfer.items.add(file);
+    recordFieldState(fileInputElement);
+    fileInputElement.files = dataTransfer.files;
+
+    // Dispatch multiple events to ensure frameworks pick up the change
+    // Focus first for some frameworks
+    fileInputElement.focus();
+
+    // Standard change event
+    fileInputElement.dispatchEvent(new Event('change', { bubbles: true }));
+    fileInputElement.dispatchEvent(new Event('input', { bubbles: true }));
+
+    // Try React-specific approach
+    const reactKey = Object.keys(fileInputElement).find(key => key.startsWith('__reactProps'));
+    if (reactKey && fileInputElement[reactKey]?.onChange) {
+      console.log('[Gemini Filler] Triggering React onChange for file input');
+      fileInputElement[reactKey].onChange({ target: fileInputElement });
+    }
+
+    // Blur to trigger validation
+    fileInputElement.blur();
+
+    // Verify files were set
+    if (fileInputElement.files && fileInputElement.files.length > 0) {
+      console.log(`[Gemini Filler] ${filePurpose} "${documentEntry.name}" attached to file input. Files: ${fileInputElement.files.length}`);
+    } else {
+      console.warn('[Gemini Filler] Files property not updated after DataTransfer - framework may intercept');
+    }
+  } catch (error) {
+    console.error('[Gemini Filler] Failed to attach document:', error);
+    // Don't throw - just log the error and continue with other fields
+  }
+}
+
+
+// ==================== Document Library ====================
+// Several CVs (PL/EN), cover letters, certificates and a portfolio in chrome.storage.local 'documents'.
+// Each file input gets a purpose from its label; among the documents of that kind the one in the
+// page language whose tags match the job (title, company, heading) wins.
+
+// Checked in order - cover letter inputs often say "attach alongside your CV"
+const FILE_PURPOSE_PATTERNS = [
+  ['cover_letter', /cover(ing)?[\s_-]?letter|list\w*[\s_-]motywacyjn|motivation(al)?[\s_-]letter|anschreiben|lettre de motivation/i],
+  ['portfolio', /portfolio|work samples|próbk\w* prac/i],
+  ['certificate', /certyfikat|certificate|dyplom|diploma|świadectw|zaświadcz|referenc|transcript/i],
+  ['cv', /\bcv|resume|résumé|życiorys|curriculum|lebenslauf/i],
+  ['other', /\bother|\binne\b|dodatkow|additional|supporting/i]
+];
+
+// Document scoring: page language beats a single matching tag, the default document breaks ties
+const DOCUMENT_LANGUAGE_SCORE = 4;
+const DOCUMENT_TAG_SCORE = 2;
+const DOCUMENT_DEFAULT_SCORE = 1;
+
+/**
+ * Purpose of a file upload from its label text
+ * @param {string} text - Label, name, id...
+ * @returns {string|null} 'cover_letter' | 'portfolio' | 'certificate' | 'cv' | 'other' | null
+ */
+function classifyFileInputPurpose(text) {
+  const match = FILE_PURPOSE_PATTERNS.find(([, pattern]) => pattern.test(text || ''));
+  return match ? match[0] : null;
+}
+
+/**
+ * Document of the library that goes into this file input (page language, job tags, accepted types)
+ * @param {Array<Object>} documents - From getDocumentLibrary()
+ * @param {HTMLInputElement} fileInput
+ * @param {string} purpose - From getFileInputPurpose()
+ * @returns {Object|null} Document entry
+ */
+function selectDocumentForInput(documents, fileInput, purpose) {
+  return selectDocument(documents, purpose, {
+    language: detectPageLanguage(),
+    jobText: getJobKeywordText(),
+    accept: fileInput.getAttribute('accept')
+  });
+}
+
+/**
+ * Purpose of a file input - its own label first, a shared upload container may name several documents
+ * @param {HTMLInputElement} fileInput
+ * @returns {string} Purpose, 'cv' for generic "Załącz plik" uploads
+ */
+function getFileInputPurpose(fileInput) {
+  const ownText = [getQuestionForInput(fileInput), fileInput.name, fileInput.id, fileInput.getAttribute('aria-label')]
+    .filter(Boolean)
+    .join(' ');
+  const container = fileInput.closest('.file-upload, .upload-container, [class*="upload"], [class*="attachment"], fieldset');
+  return classifyFileInputPurpose(ownText) ||
+    classifyFileInputPurpose(container?.textContent.substring(0, 200)) ||
+    'cv';
+}
+
+/**
+ * Whether the input's accept attribute allows the document
+ * @param {string|null} accept - e.g. ".pdf,.docx" or "application/pdf,image/*"
+ * @param {Object} documentEntry - { name, type }
+ * @returns {boolean}
+ */
+function acceptsDocument(accept, documentEntry) {
+  const tokens = (accept || '').split(',').map(token => token.trim().toLowerCase()).filter(Boolean);
+  if (tokens.length === 0) return true;
+
+  const name = (documentEntry.name || '').toLowerCase();
+  const type = (documentEntry.type || '').toLowerCase();
+  return tokens.some(token => {
+    if (token.startsWith('.')) return name.endsWith(token);
+    if (token.endsWith('/*')) return type.startsWith(token.slice(0, -1));
+    return type === token;
+  });
+}
+
+/**
+ * Pick the document for a file input
+ * @param {Array<Object>} documents - Library entries { name, type, dataUrl, kind, language, tags, isDefault }
+ * @param {string} purpose - From getFileInputPurpose()
+ * @param {Object} context - { language: page language, jobText: job title/company text, accept }
+ * @returns {Object|null} Best document of that kind, null when the library has none
+ */
+function selectDocument(documents, purpose, { language = '', jobText = '', accept = null } = {}) {
+  const candidates = documents
+    .map((documentEntry, index) => ({ documentEntry, index }))
+    .filter(({ documentEntry }) => (documentEntry.kind || 'cv') === purpose && acceptsDocument(accept, documentEntry));
+  if (candidates.length === 0) return null;
+
+  const haystack = jobText.toLowerCase();
+  const score = documentEntry => {
+    const matchingTags = (documentEntry.tags || []).filter(tag => {
+      const escaped = tag.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return escaped && new RegExp(`(^|[^\\p{L}\\d])${escaped}($|[^\\p{L}\\d])`, 'u').test(haystack);
+    });
+    return (documentEntry.language && documentEntry.language === language ? DOCUMENT_LANGUAGE_SCORE : 0) +
+      matchingTags.length * DOCUMENT_TAG_SCORE +
+      (documentEntry.isDefault ? DOCUMENT_DEFAULT_SCORE : 0);
   };
 
-  const seen = new Set();
+  candidates.sort((a, b) => score(b.documentEntry) - score(a.documentEntry) || a.index - b.index);
+  return candidates[0].documentEntry;
+}
 
-  for (const field of missingFields) {
-    const lowerQuestion = field.question.toLowerCase();
-    for (const [keyword, suggestion] of Object.entries(questionKeywords)) {
-      if (lowerQuestion.includes(keyword) && !seen.has(suggestion)) {
-        suggestions.push(suggestion);
-        seen.add(suggestion);
-        break;
+/**
+ * Language of the page - <html lang>, otherwise Polish letters in the text
+ * @returns {string} Two-letter code, e.g. 'pl' or 'en'
+ */
+function detectPageLanguage() {
+  const lang = (document.documentElement.lang || '').trim().toLowerCase().slice(0, 2);
+  if (lang) return lang;
+
+  const text = (document.body?.textContent || '').substring(0, 5000);
+  return (text.match(/[ąćęłńśźż]/gi) || []).length > 10 ? 'pl' : 'en';
+}
+
+/**
+ * Text the document tags are matched against: job title, company, page title and main heading
+ * @returns {string}
+ */
+function getJobKeywordText() {
+  const jobPosting = findJsonLdJobPosting();
+  const organization = jobPosting?.hiringOrganization;
+  return [
+    jobPosting?.title,
+    organization && typeof organization === 'object' ? organization.name : organization,
+    document.title,
+    document.querySelector('h1')?.textContent
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Documents from the library; the CV from the "CV" card counts as a CV when the library has none
+ * @returns {Promise<Array<Object>>}
+ */
+function getDocumentLibrary() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get(['documents', 'userCV'], (result) => {
+      // Check for storage errors
+      if (chrome.runtime.lastError) {
+        console.error('[Gemini Filler] Storage error when getting documents:', chrome.runtime.lastError);
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+
+      const documents = (result.documents || []).filter(documentEntry => documentEntry && documentEntry.dataUrl);
+      if (result.userCV && result.userCV.dataUrl && !documents.some(documentEntry => (documentEntry.kind || 'cv') === 'cv')) {
+        documents.push({ ...result.userCV, kind: 'cv', language: '', tags: [] });
+      }
+      resolve(documents);
+    });
+  });
+}
+
+/**
+ * Convert a stored document (data URL) to a File for DataTransfer
+ * @param {Object} documentEntry - { name, type, dataUrl }
+ * @returns {Promise<File>}
+ */
+async function documentToFile(documentEntry) {
+  const res = await fetch(documentEntry.dataUrl);
+  if (!res.ok) {
+    throw new Error(`Failed to fetch document data: ${res.status}`);
+  }
+  const blob = await res.blob();
+  return new File([blob], documentEntry.name, { type: documentEntry.type });
+}
+
+// ==================== Page Classification ====================
+// Tells the popup (and the site rules) what kind of page this is, so filling is only offered on
+// application forms: field density, ATS fingerprints, JSON-LD JobPosting and submit button texts
+
+// Hosts of applicant tracking systems and job boards without a dedicated adapter in adapters.js
+const ATS_FINGERPRINTS = [
+  { name: 'SmartRecruiters', pattern: /(^|\.)smartrecruiters\.com$/i },
+  { name: 'Teamtailor', pattern: /(^|\.)teamtailor\.com$/i },
+  { name: 'Recruitee', pattern: /(^|\.)recruitee\.com$/i },
+  { name: 'Workable', pattern: /(^|\.)workable\.com$/i },
+  { name: 'Ashby', pattern: /(^|\.)ashbyhq\.com$/i },
+  { name: 'BambooHR', pattern: /(^|\.)bamboohr\.com$/i },
+  { name: 'SuccessFactors', pattern: /(^|\.)(successfactors\.(com|eu)|sapsf\.(com|eu))$/i },
+  { name: 'iCIMS', pattern: /(^|\.)icims\.com$/i },
+  { name: 'Taleo', pattern: /(^|\.)taleo\.net$/i },
+  { name: 'Jobvite', pattern: /(^|\.)jobvite\.com$/i },
+  { name: 'Personio', pattern: /(^|\.)personio\.(de|com)$/i },
+  { name: 'LinkedIn', pattern: /(^|\.)linkedin\.com$/i }
+];
+
+const APPLY_BUTTON_PATTERN = /aplikuj|apply|wyślij (aplikację|zgłoszenie|cv)|złóż aplikację|submit( your)? application|send application|bewerben/i;
+const LOGIN_BUTTON_PATTERN = /^(zaloguj( się)?|log ?in|sign ?in|anmelden)$/i;
+
+/**
+ * Find a schema.org JobPosting in the page's JSON-LD blocks (also inside @graph and arrays)
+ * @param {Document} doc
+ * @returns {Object|null} The JobPosting object
+ */
+function findJsonLdJobPosting(doc = document) {
+  const isJobPosting = (node) => {
+    const type = node && node['@type'];
+    return Array.isArray(type) ? type.includes('JobPosting') : type === 'JobPosting';
+  };
+  const search = (node) => {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        const found = search(item);
+        if (found) return found;
       }
+      return null;
+    }
+    if (isJobPosting(node)) return node;
+    return node['@graph'] ? search(node['@graph']) : null;
+  };
+
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const found = search(JSON.parse(script.textContent));
+      if (found) return found;
+    } catch (e) {
+      // Broken JSON-LD is common - ignore it
     }
   }
+  return null;
+}
 
-  return suggestions;
+/**
+ * Name of the ATS / job board the page belongs to
+ * @returns {string|null}
+ */
+function detectAtsPlatform() {
+  const adapter = typeof getSiteAdapter === 'function' ? getSiteAdapter() : null;
+  if (adapter) return adapter.name;
+
+  const host = window.location.hostname;
+  const fingerprint = ATS_FINGERPRINTS.find(ats => ats.pattern.test(host));
+  return fingerprint ? fingerprint.name : null;
 }
 
-function createSummaryModal(missingFields, suggestions, filledFields, totalFields, elapsedTime) {
-  const modal = document.createElement('div');
-  modal.id = 'gemini-filler-summary-modal';
-  modal.style.cssText = `
-    position: fixed;
-    top: 50%;
-    left: 50%;
-    transform: translate(-50%, -50%);
-    background: white;
-    border: 2px solid #4CAF50;
-    border-radius: 12px;
-    padding: 24px;
-    max-width: 500px;
-    max-height: 80vh;
-    overflow-y: auto;
-    box-shadow: 0 10px 40px rgba(0,0,0,0.3);
-    z-index: 999999;
-    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-    color: #333;
-  `;
+/**
+ * Classify the page from its signals (pure - the DOM is read by classifyPage)
+ * @param {Object} signals - { fieldCount, hasCvUpload, hasPassword, applySubmit, loginSubmit, applyLink, jobPosting, ats }
+ * @returns {Object} { type: 'application_form' | 'job_posting' | 'login' | 'other', confidence }
+ */
+function scorePageSignals(signals) {
+  // Login wall: password field and hardly anything else
+  if (signals.hasPassword && signals.fieldCount <= 3 && !signals.hasCvUpload) {
+    return { type: 'login', confidence: signals.loginSubmit ? 0.9 : 0.7 };
+  }
 
-  // Calculate time savings
-  const manualTimeMinutes = totalFields * 0.5; // 0.5 minute per field
-  const savedMinutes = manualTimeMinutes - Math.round(elapsedTime / 60);
-  const percentage = Math.round((filledFields / totalFields) * 100);
+  const formScore =
+    Math.min(signals.fieldCount, 6) / 6 * 0.45 +
+    (signals.hasCvUpload ? 0.25 : 0) +
+    (signals.applySubmit ? 0.2 : 0) +
+    (signals.ats ? 0.1 : 0);
+  if (formScore >= 0.45 || (signals.hasCvUpload && signals.fieldCount >= 2)) {
+    return { type: 'application_form', confidence: Math.min(1, Math.round(formScore * 100) / 100) };
+  }
 
-  let content = `
-    <div style="display: flex; align-items: center; margin-bottom: 16px;">
-      <span style="font-size: 32px; margin-right: 12px;">✓</span>
-      <h2 style="margin: 0; font-size: 20px; color: #4CAF50;">Formularz wypełniony!</h2>
-    </div>
+  if (signals.jobPosting || (signals.applyLink && signals.ats)) {
+    return { type: 'job_posting', confidence: signals.jobPosting ? 0.9 : 0.6 };
+  }
+
+  return { type: 'other', confidence: Math.round((1 - formScore) * 100) / 100 };
+}
+
+/**
+ * Classify the current document
+ * @returns {Object} { type, confidence, ats, fieldCount, signals }
+ */
+function classifyPage() {
+  const fields = deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR).filter(element =>
+    !['hidden', 'submit', 'button', 'search', 'reset', 'image'].includes(element.type) &&
+    !element.closest('[id^="gemini-filler"]') &&
+    isFieldRendered(element)
+  );
+  const questionFields = fields.filter(element =>
+    element.type !== 'file' && element.type !== 'password' && getQuestionForInput(element)
+  );
+  const buttonTexts = deepQuerySelectorAll('button, input[type="submit"], a[role="button"], a[href]')
+    .filter(button => button.getClientRects().length > 0 && !button.closest('[id^="gemini-filler"]'))
+    .map(button => (button.textContent || button.value || '').trim())
+    .filter(text => text && text.length < 60);
+  const submitTexts = deepQuerySelectorAll('form button, form input[type="submit"], button[type="submit"]')
+    .map(button => (button.textContent || button.value || '').trim());
+
+  const signals = {
+    fieldCount: questionFields.length,
+    hasCvUpload: fields.some(element => element.type === 'file'),
+    hasPassword: fields.some(element => element.type === 'password'),
+    applySubmit: submitTexts.some(text => APPLY_BUTTON_PATTERN.test(text)),
+    loginSubmit: submitTexts.some(text => LOGIN_BUTTON_PATTERN.test(text)),
+    applyLink: buttonTexts.some(text => APPLY_BUTTON_PATTERN.test(text)),
+    jobPosting: !!findJsonLdJobPosting(),
+    ats: detectAtsPlatform()
+  };
+
+  return { ...scorePageSignals(signals), ats: signals.ats, fieldCount: signals.fieldCount, signals };
+}
+
+/**
+ * Classify the tab - an application form embedded in an iframe (Greenhouse, Lever embeds) counts too
+ * @returns {Promise<Object>} classifyPage() result, with frame set when the form lives in a child frame
+ */
+async function classifyTab() {
+  const result = classifyPage();
+  if (result.type === 'application_form') return result;
+
+  const replies = await relayToFrames({ action: 'frame_classify' });
+  const frameForm = replies
+    .map(reply => reply.response && { ...reply.response, frame: getFrameLabel(reply.url) })
+    .filter(frameResult => frameResult && frameResult.type === 'application_form')
+    .sort((a, b) => b.fieldCount - a.fieldCount)[0];
 
-    <div style="margin-bottom: 20px; padding: 16px; background: #f1f8f4; border-left: 4px solid #4CAF50; border-radius: 4px;">
-      <div style="font-size: 24px; font-weight: bold; color: #4CAF50; margin-bottom: 8px;">${percentage}% wypełnione</div>
-      <div style="font-size: 14px; color: #666;">
-        ✓ ${filledFields} pól wypełnionych automatycznie<br>
-        ⚠ ${missingFields.length} pól wymaga uwagi
-      </div>
-    </div>
+  return frameForm ? { ...frameForm, ats: frameForm.ats || result.ats } : result;
+}
 
-    <div style="margin-bottom: 20px; padding: 16px; background: #e8f5e9; border-radius: 8px;">
-      <div style="font-size: 14px; color: #2e7d32; margin-bottom: 8px;"><strong>⏱ Czas wypełniania:</strong></div>
-      <div style="font-size: 32px; font-weight: bold; color: #4CAF50; text-align: center; margin: 8px 0;">${elapsedTime}s</div>
-      <div style="font-size: 13px; color: #666; text-align: center;">
-        Ręcznie zajęłoby to ~${manualTimeMinutes} minut<br>
-        <strong style="color: #4CAF50;">Zaoszczędzono ~${savedMinutes} minut!</strong>
-      </div>
-    </div>
-  `;
+// ==================== Site Rules ====================
+// Per-site rules from the options page: { pattern, mode: 'auto' | 'ask' | 'never', profile, wizard }
+// Evaluated in the top frame once an application form is detected on the page
 
-  if (missingFields.length > 0) {
-    content += `
-      <div style="margin-bottom: 20px;">
-        <h3 style="font-size: 16px; margin-bottom: 12px; color: #ff9800;">⚠ Wymagają ręcznej weryfikacji:</h3>
-        <ul style="margin: 0; padding-left: 20px; line-height: 1.8; max-height: 150px; overflow-y: auto;">
-    `;
+const APPLICATION_FORM_WAIT_MS = 15000;  // SPA portals render the form well after document_idle
 
-    missingFields.forEach(field => {
-      content += `
-        <li style="margin-bottom: 8px;">
-          <strong>${field.question}</strong>
-          <div style="font-size: 12px; color: #666;">↳ ${field.reason}</div>
-        </li>
-      `;
-    });
+/**
+ * Match a URL against a rule pattern - a bare domain matches the domain and its subdomains,
+ * a pattern with * or / is a glob over "host/path"
+ * @param {string} url - Page URL
+ * @param {string} pattern - e.g. "pracuj.pl", "*.myworkdayjobs.com/*\/apply*"
+ * @returns {boolean}
+ */
+function matchesSitePattern(url, pattern) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  const cleanPattern = pattern.trim().toLowerCase().replace(/^https?:\/\//, '');
+  if (!cleanPattern) return false;
 
-    content += `</ul></div>`;
+  const host = parsed.hostname.toLowerCase();
+  if (!cleanPattern.includes('*') && !cleanPattern.includes('/')) {
+    return host === cleanPattern || host.endsWith(`.${cleanPattern}`);
   }
 
-  if (suggestions.length > 0) {
-    content += `
-      <div style="margin-bottom: 20px; padding: 12px; background: #e3f2fd; border-left: 4px solid #2196f3; border-radius: 4px;">
-        <h3 style="font-size: 14px; margin-bottom: 8px; color: #1976d2;">💡 Dodaj do opcji rozszerzenia:</h3>
-        <div style="display: flex; flex-wrap: wrap; gap: 6px;">
-    `;
+  const glob = cleanPattern.replace(/\/$/, '').split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  // "pracuj.pl/praca" also matches deeper pages like "pracuj.pl/praca/oferta,123"
+  const regex = new RegExp(`^${glob}${cleanPattern.endsWith('*') ? '' : '(?:[/?].*)?'}$`);
+  return regex.test(`${host}${parsed.pathname}${parsed.search}`.toLowerCase());
+}
 
-    suggestions.forEach(sug => {
-      content += `<code style="background: #fff; padding: 4px 8px; border-radius: 4px; font-size: 12px; border: 1px solid #ddd;">${sug}</code>`;
+/**
+ * First rule whose pattern matches the URL
+ * @param {Array<Object>} rules - Rules from chrome.storage.sync 'siteRules'
+ * @param {string} url - Page URL
+ * @returns {Object|null}
+ */
+function findSiteRule(rules, url) {
+  return (rules || []).find(rule => rule && rule.pattern && matchesSitePattern(url, rule.pattern)) || null;
+}
+
+/**
+ * Rule for the current page
+ * @returns {Promise<Object|null>}
+ */
+function getSiteRule() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get('siteRules', (result) => {
+      resolve(chrome.runtime.lastError ? null : findSiteRule(result.siteRules, window.location.href));
     });
+  });
+}
 
-    content += `
-        </div>
-      </div>
-    `;
+/**
+ * User data of a profile - the default profile (or a deleted one) is chrome.storage.sync 'userData'
+ * @param {string} profile - Profile name ('' = default)
+ * @returns {Promise<Object|null>}
+ */
+async function loadProfileData(profile) {
+  if (profile) {
+    const { userProfiles } = await new Promise(resolve => chrome.storage.local.get('userProfiles', resolve));
+    if (userProfiles && userProfiles[profile] && Object.keys(userProfiles[profile]).length > 0) {
+      console.log(`[Site Rules] Using profile "${profile}"`);
+      return userProfiles[profile];
+    }
+    console.warn(`[Site Rules] Profile "${profile}" not found, using the default profile`);
   }
 
-  // Tracker section
-  content += `
-    <div style="margin-top: 20px; padding-top: 16px; border-top: 1px solid #e0e0e0;">
-      <p style="font-size: 14px; margin-bottom: 12px; color: #666;">📋 Dodać tę aplikację do trackera?</p>
-      <div style="display: flex; gap: 10px;">
-        <button id="add-to-tracker-btn" style="
-          flex: 1;
-          background: #4CAF50;
-          color: white;
-          border: none;
-          padding: 10px 16px;
-          border-radius: 6px;
-          font-size: 13px;
-          font-weight: 600;
-          cursor: pointer;
-          transition: background 0.2s;
-        ">📋 Dodaj do trackera</button>
+  const { userData } = await new Promise(resolve => chrome.storage.sync.get('userData', resolve));
+  return userData && Object.keys(userData).length > 0 ? userData : null;
+}
 
-        <button id="close-summary-modal" style="
-          flex: 1;
-          background: #999;
-          color: white;
-          border: none;
-          padding: 10px 16px;
-          border-radius: 6px;
-          font-size: 13px;
-          font-weight: 600;
-          cursor: pointer;
-          transition: background 0.2s;
-        ">Pomiń</button>
-      </div>
-    </div>
+/**
+ * Whether the page shows an application form
+ * @returns {boolean}
+ */
+function detectApplicationForm() {
+  return classifyPage().type === 'application_form';
+}
+
+/**
+ * Resolve once an application form shows up (SPA portals render it late)
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} False when no form appeared in time
+ */
+function waitForApplicationForm(timeoutMs = APPLICATION_FORM_WAIT_MS) {
+  if (detectApplicationForm()) return Promise.resolve(true);
+
+  return new Promise(resolve => {
+    let checkTimer = null;
+    const finish = (found) => {
+      observer.disconnect();
+      clearTimeout(timeoutTimer);
+      clearTimeout(checkTimer);
+      resolve(found);
+    };
+    const observer = new MutationObserver(() => {
+      // Throttled - detection walks the whole DOM
+      if (checkTimer) return;
+      checkTimer = setTimeout(() => {
+        checkTimer = null;
+        if (detectApplicationForm()) finish(true);
+      }, 500);
+    });
+    const timeoutTimer = setTimeout(() => finish(false), timeoutMs);
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+  });
+}
+
+/**
+ * In-page banner for rules in "ask" mode
+ * @param {Function} onAccept - Called when the user clicks "Wypełnij"
+ */
+function showSiteRuleBanner(onAccept) {
+  if (document.getElementById('gemini-filler-site-banner')) return;
+
+  const banner = document.createElement('div');
+  banner.id = 'gemini-filler-site-banner';
+  banner.style.cssText = `
+    position: fixed;
+    top: 16px;
+    right: 16px;
+    z-index: 2147483646;
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 12px 16px;
+    background: white;
+    border-left: 4px solid #4285f4;
+    border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+    font-family: Arial, sans-serif;
+    font-size: 14px;
+    color: #333;
+  `;
+  banner.innerHTML = `
+    <span>📝 Wykryto formularz aplikacyjny. Wypełnić go automatycznie?</span>
+    <button type="button" data-choice="fill" style="padding: 6px 14px; background: #4285f4; color: white; border: none; border-radius: 4px; cursor: pointer;">Wypełnij</button>
+    <button type="button" data-choice="dismiss" style="padding: 6px 14px; background: #f1f3f4; color: #333; border: none; border-radius: 4px; cursor: pointer;">Nie teraz</button>
   `;
 
-  // Additional action buttons (only if there are missing fields or suggestions)
-  if (missingFields.length > 0 || suggestions.length > 0) {
-    content += `
-      <div style="display: flex; gap: 10px; margin-top: 12px;">
-        ${missingFields.length > 0 ? `
-        <button id="scroll-to-first-missing" style="
-          flex: 1;
-          background: #2196f3;
-          color: white;
-          border: none;
-          padding: 8px 12px;
-          border-radius: 6px;
-          font-size: 12px;
-          cursor: pointer;
-          transition: background 0.2s;
-        ">⬇ Przewiń do pierwszego</button>
-        ` : ''}
+  banner.querySelector('[data-choice="fill"]').addEventListener('click', () => {
+    banner.remove();
+    onAccept();
+  });
+  banner.querySelector('[data-choice="dismiss"]').addEventListener('click', () => banner.remove());
 
-        <button id="open-options" style="
-          flex: 1;
-          background: #ff9800;
-          color: white;
-          border: none;
-          padding: 8px 12px;
-          border-radius: 6px;
-          font-size: 12px;
-          cursor: pointer;
-          transition: background 0.2s;
-        ">⚙ Otwórz opcje</button>
-      </div>
-    `;
+  document.body.appendChild(banner);
+}
+
+/**
+ * Apply the matching site rule once the page shows an application form (top frame only)
+ */
+async function initSiteRules() {
+  const rule = await getSiteRule();
+  if (!rule || rule.mode === 'never') {
+    if (rule) console.log(`[Site Rules] "${rule.pattern}": never fill automatically`);
+    return;
   }
 
-  content += `
-    <div style="text-align: center; margin-top: 12px; font-size: 12px; color: #999;">
-      💡 Kliknij zielony badge ✓ obok pola aby ocenić poprawność
-    </div>
-  `;
+  if (!await waitForApplicationForm()) {
+    console.log(`[Site Rules] "${rule.pattern}": no application form detected`);
+    return;
+  }
 
-  modal.innerHTML = content;
+  const options = { wizard: !!rule.wizard };
+  if (rule.mode === 'auto') {
+    console.log(`[Site Rules] "${rule.pattern}": auto-filling`);
+    await runFillWithOverlay(options);
+  } else {
+    console.log(`[Site Rules] "${rule.pattern}": asking via banner`);
+    showSiteRuleBanner(() => runFillWithOverlay(options));
+  }
+}
 
-  // Add button handlers
+if (window === window.top) {
+  // adapters.js/dropdowns.js are injected after this file - start once they are loaded too
   setTimeout(() => {
-    // Add to tracker button
-    const trackerBtn = document.getElementById('add-to-tracker-btn');
-    if (trackerBtn) {
-      trackerBtn.addEventListener('click', () => {
-        modal.remove();
-        const overlay = document.getElementById('modal-overlay');
-        if (overlay) overlay.remove();
-        const jobInfo = extractJobInfoFromPage();
-        showAddApplicationModalFromContent(jobInfo);
-      });
-      trackerBtn.addEventListener('mouseenter', (e) => {
-        e.target.style.background = '#45a049';
-      });
-      trackerBtn.addEventListener('mouseleave', (e) => {
-        e.target.style.background = '#4CAF50';
-      });
-    }
+    initSiteRules().catch(error => console.error('[Site Rules] Error:', error));
+  }, 0);
+}
 
-    // Close/Skip button
-    const closeBtn = document.getElementById('close-summary-modal');
-    if (closeBtn) {
-      closeBtn.addEventListener('click', () => {
-        modal.remove();
-        const overlay = document.getElementById('modal-overlay');
-        if (overlay) overlay.remove();
-      });
-      closeBtn.addEventListener('mouseenter', (e) => {
-        e.target.style.background = '#777';
-      });
-      closeBtn.addEventListener('mouseleave', (e) => {
-        e.target.style.background = '#999';
-      });
-    }
+// ==================== Single Field Fill ====================
+// The "fill focused field" shortcut and the "Wypełnij to pole" context menu entry fill one field
+// through the same pipeline as a full run: mock data first, then learned answers, then AI
 
-    // Scroll to first missing field button
-    const scrollBtn = document.getElementById('scroll-to-first-missing');
-    if (scrollBtn && missingFields.length > 0) {
-      scrollBtn.addEventListener('click', () => {
-        // Find first missing field by question text
-        const firstQuestion = missingFields[0].question;
-        const labels = Array.from(document.querySelectorAll('label, .label, [for]'));
-        for (const label of labels) {
-          if (label.textContent.includes(firstQuestion) || label.textContent.includes(firstQuestion.split(':')[0])) {
-            label.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            // Highlight it
-            label.style.transition = 'background 0.3s';
-            label.style.background = '#fff59d';
-            setTimeout(() => {
-              label.style.background = '';
-            }, 2000);
-            break;
-          }
-        }
-        modal.remove();
-        const overlay = document.getElementById('modal-overlay');
-        if (overlay) overlay.remove();
-      });
-      scrollBtn.addEventListener('mouseenter', (e) => {
-        e.target.style.background = '#1976d2';
-      });
-      scrollBtn.addEventListener('mouseleave', (e) => {
-        e.target.style.background = '#2196f3';
-      });
+let lastContextMenuTarget = null;  // Element the context menu was opened on
+
+document.addEventListener('contextmenu', (event) => {
+  // composedPath() reaches into open shadow roots, event.target stops at the host
+  lastContextMenuTarget = event.composedPath()[0] || event.target;
+}, true);
+
+/**
+ * Focused element, descending into open shadow roots
+ * @returns {Element|null}
+ */
+function getDeepActiveElement() {
+  let active = document.activeElement;
+  while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+  return active;
+}
+
+/**
+ * Form field for the node the user pointed at - a paragraph inside a rich-text editor resolves to the editor root
+ * @param {Node|null} node - Focused or right-clicked node
+ * @returns {HTMLElement|null} Fillable field, null when the node is not part of one
+ */
+function resolveFieldElement(node) {
+  const element = node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  if (!element) return null;
+
+  if (element.isContentEditable) {
+    let root = element;
+    while (root.parentElement && root.parentElement.isContentEditable) {
+      root = root.parentElement;
     }
+    return isRichTextEditor(root) ? root : null;
+  }
 
-    // Open options button
-    const optionsBtn = document.getElementById('open-options');
-    if (optionsBtn) {
-      optionsBtn.addEventListener('click', () => {
-        chrome.runtime.sendMessage({ action: 'openOptions' });
-        modal.remove();
-        const overlay = document.getElementById('modal-overlay');
-        if (overlay) overlay.remove();
-      });
-      optionsBtn.addEventListener('mouseenter', (e) => {
-        e.target.style.background = '#f57c00';
-      });
-      optionsBtn.addEventListener('mouseleave', (e) => {
-        e.target.style.background = '#ff9800';
-      });
+  if (element.matches(FORM_ELEMENTS_SELECTOR) && !['submit', 'button', 'hidden', 'reset', 'image'].includes(element.type)) {
+    return element;
+  }
+  return element.closest('div[role="radiogroup"]');
+}
+
+/**
+ * Fill one field: mock data, then learned answer, then a single-question AI call
+ * @param {HTMLElement} element - Field from resolveFieldElement()
+ * @param {Object} userData - User data
+ * @returns {Promise<Object>} { filled, question, answer, source, reason }
+ */
+async function fillSingleField(element, userData) {
+  const question = getQuestionForInput(element);
+
+  // Radios and checkboxes have their own matching (groups, consent clauses)
+  if (element.type === 'radio' || element.type === 'checkbox') {
+    const group = element.type === 'radio' && element.name
+      ? Array.from(element.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(element.name)}"]`))
+      : [element];
+    const before = group.map(input => input.checked).join();
+    if (element.type === 'radio') {
+      await handleRadioButton(element, userData, new Set());
+    } else {
+      await handleCheckbox(element, userData);
     }
-  }, 0);
+    const filled = group.map(input => input.checked).join() !== before;
+    return { filled, question, reason: filled ? null : 'Brak pasującej odpowiedzi' };
+  }
 
-  // Add overlay
-  const overlay = document.createElement('div');
-  overlay.id = 'modal-overlay';
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background: rgba(0, 0, 0, 0.5);
-    z-index: 999998;
-  `;
-  overlay.addEventListener('click', () => {
-    modal.remove();
-    overlay.remove();
-  });
-  document.body.appendChild(overlay);
+  if (!question) {
+    return { filled: false, question: null, reason: 'Nie rozpoznano pytania dla tego pola' };
+  }
 
-  // Remove overlay when modal is removed
-  const observer = new MutationObserver((mutations) => {
-    if (!document.contains(modal)) {
-      overlay.remove();
-      observer.disconnect();
-    }
-  });
-  observer.observe(document.body, { childList: true, subtree: true });
+  const fieldMetadata = detectFieldType(element);
+  const { answer, source, questionHash } = await resolveFieldAnswer(element, question, fieldMetadata.options, userData, { mockFirst: true });
+  if (!answer) {
+    return { filled: false, question, reason: 'Brak danych w bazie wiedzy' };
+  }
 
-  return modal;
+  recordFieldState(element);
+  const filled = await writeAnswerToField(element, fieldMetadata, answer, userData, question);
+  if (!filled) {
+    return { filled, question, answer, source, reason: 'Pole nie przyjęło odpowiedzi' };
+  }
+
+  console.log(`[Gemini Filler] Single field: filled "${question}" = "${answer}" (source: ${source})`);
+  const violation = fieldMetadata.constraints
+    ? await enforceFieldConstraints(element, question, fieldMetadata.constraints, userData)
+    : null;
+  await captureFieldAnswer(element, question, answer, source, questionHash);
+
+  return { filled, question, answer, source, reason: violation ? `Odpowiedź niezgodna z wymaganiami pola: ${violation}` : null };
 }
 
-function findBestMatch(answer, options) {
-  if (!answer || !options || options.length === 0) {
-    return null;
+// ==================== Fill Session ====================
+// After the initial pass, a MutationObserver watches for fields that are inserted or unhidden by the
+// answers given so far ("If yes, please specify") and fills them in follow-up rounds, one batch AI call
+// per burst of changes. The session ends once no field-related mutation happened for a while.
+
+const FILL_SESSION_SETTLE_MS = 300;     // Mutations closer than this are one burst - answered with one AI call
+const FILL_SESSION_QUIET_MS = 1500;     // No field changes for this long - the form is quiescent
+const FILL_SESSION_TIMEOUT_MS = 60000;  // Hard stop for pages that never settle (animations, live counters)
+
+/**
+ * Whether a field is rendered - hidden conditional questions wait until the page reveals them
+ * Widgets hide their original element on purpose (Select2/Chosen/Selectize selects, TinyMCE/CKEditor
+ * textareas, file inputs behind upload buttons, styled radios/checkboxes), so those count as rendered
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isFieldRendered(element) {
+  if (element.getClientRects().length > 0 || element.type === 'file') return true;
+  if ((element.type === 'radio' || element.type === 'checkbox') && element.parentElement?.getClientRects().length > 0) return true;
+  return element.classList.contains('selectized') || !!getDropdownDriver(element) || !!getEditorFrameBody(element);
+}
+
+/**
+ * Whether a mutation can add or reveal a form field (our own UI is ignored)
+ * @param {MutationRecord} mutation
+ * @returns {boolean}
+ */
+function isFieldMutation(mutation) {
+  const target = mutation.target;
+  if (target.nodeType !== Node.ELEMENT_NODE || target.closest('[id^="gemini-filler"]')) {
+    return false;
   }
 
-  // Ensure answer is a string
-  const answerStr = typeof answer === 'string' ? answer : String(answer);
+  if (mutation.type === 'childList') {
+    return Array.from(mutation.addedNodes).some(node =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      !node.id.startsWith('gemini-filler') &&
+      (node.matches(FORM_ELEMENTS_SELECTOR) || node.querySelector(FORM_ELEMENTS_SELECTOR) || node.shadowRoot)
+    );
+  }
 
-  // Polish to English country name mapping
-  const countryTranslations = {
-    'polska': 'poland',
-    'niemcy': 'germany',
-    'francja': 'france',
-    'wielka brytania': 'united kingdom',
-    'uk': 'united kingdom',
-    'usa': 'united states',
-    'stany zjednoczone': 'united states',
-    'hiszpania': 'spain',
-    'włochy': 'italy',
-    'holandia': 'netherlands',
-    'belgia': 'belgium',
-    'szwecja': 'sweden',
-    'norwegia': 'norway',
-    'dania': 'denmark',
-    'czechy': 'czech republic',
-    'słowacja': 'slovakia',
-    'austria': 'austria',
-    'szwajcaria': 'switzerland'
-  };
+  // style/class/hidden toggles on a field or on a container holding fields
+  return target.matches(FORM_ELEMENTS_SELECTOR) || !!target.querySelector(FORM_ELEMENTS_SELECTOR);
+}
 
-  // Try to translate Polish country names to English
-  const lowerAnswer = answerStr.toLowerCase().trim();
-  const translatedAnswer = countryTranslations[lowerAnswer] || answerStr;
-  const wasTranslated = translatedAnswer !== answer;
+/**
+ * Fields that appeared (or became visible) since the last round
+ * @param {Set} processedElements - Elements already handled in this run
+ * @returns {Array<HTMLElement>}
+ */
+function getPendingFields(processedElements) {
+  return deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR).filter(element =>
+    !processedElements.has(element) &&
+    element.isConnected &&
+    !element.disabled &&
+    isFieldRendered(element)
+  );
+}
 
-  // Normalize answer by removing special chars for better matching
-  const normalizedAnswer = translatedAnswer.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
-  const answerWords = normalizedAnswer.split(/\s+/).filter(w => w && w.length > 0);
+/**
+ * One follow-up round: batch AI call for the new fields, then special types and individual leftovers
+ * @param {Array<HTMLElement>} fields - Pending fields
+ * @param {Object} userData - User data
+ * @param {Set} processedElements - Elements already handled in this run
+ * @param {Array} missingFields - Collector for the summary
+ * @returns {Promise<number>} Number of batch questions asked (for the summary totals)
+ */
+async function fillFollowUpFields(fields, userData, processedElements, missingFields) {
+  const batchFields = collectBatchFields(fields, processedElements);
 
-  // PASS 1: Look for exact match (highest priority)
-  // Try both translated and original if translation happened
-  for (const optionText of options) {
-    // Skip if optionText is not a string
-    if (typeof optionText !== 'string') continue;
+  if (batchFields.length > 0) {
+    console.log(`[Fill Session] ${batchFields.length} new question(s):`, batchFields.map(field => field.question));
+    const batchAnswers = await getBatchAIResponse(batchFields.map(field => field.batchQuestion), userData);
+    await fillBatchFields(batchFields, batchAnswers, userData, processedElements, missingFields);
+  }
 
-    if (optionText.toLowerCase() === translatedAnswer.toLowerCase()) {
-      return optionText;
+  await fillSpecialFields(fields, userData, processedElements);
+  await fillIndividualFields(fields, userData, processedElements, missingFields);
+
+  return batchFields.length;
+}
+
+/**
+ * Keep filling fields revealed by earlier answers until the form is quiescent
+ * @param {Object} userData - User data
+ * @param {Set} processedElements - Elements already handled in this run
+ * @param {Array} missingFields - Collector for the summary
+ * @returns {Promise<Object>} { totalFields, rounds }
+ */
+async function runFillSession(userData, processedElements, missingFields) {
+  const sessionStart = Date.now();
+  const timedOut = () => Date.now() - sessionStart >= FILL_SESSION_TIMEOUT_MS;
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const stats = { totalFields: 0, rounds: 0 };
+
+  // The initial pass may already have revealed follow-up questions
+  let dirty = true;
+  let lastChange = Date.now();
+
+  // Mutations inside open shadow roots don't reach the document observer - each root is observed too,
+  // including roots of web components added during the session
+  const observedRoots = new Set();
+  const observeRoots = () => {
+    const shadowRoots = deepQuerySelectorAll('*').filter(element => element.shadowRoot).map(element => element.shadowRoot);
+    [document.documentElement, ...shadowRoots].forEach(root => {
+      if (observedRoots.has(root)) return;
+      observedRoots.add(root);
+      observer.observe(root, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['style', 'class', 'hidden', 'aria-hidden', 'disabled']
+      });
+    });
+  };
+
+  const observer = new MutationObserver(mutations => {
+    if (mutations.some(isFieldMutation)) {
+      dirty = true;
+      lastChange = Date.now();
+      observeRoots();
     }
-    // If translation occurred, also try original answer
-    if (wasTranslated && optionText.toLowerCase() === lowerAnswer) {
-      return optionText;
+  });
+  observeRoots();
+
+  try {
+    while (!timedOut()) {
+      if (!dirty) {
+        if (Date.now() - lastChange >= FILL_SESSION_QUIET_MS) break;
+        await wait(100);
+        continue;
+      }
+
+      // Let the burst finish so fields revealed together land in one AI call
+      while (Date.now() - lastChange < FILL_SESSION_SETTLE_MS && !timedOut()) {
+        await wait(50);
+      }
+      dirty = false;
+
+      const pending = getPendingFields(processedElements);
+      if (pending.length === 0) continue;
+
+      stats.rounds++;
+      console.log(`[Fill Session] Round ${stats.rounds}: ${pending.length} new field(s)`);
+      stats.totalFields += await fillFollowUpFields(pending, userData, processedElements, missingFields);
     }
+  } finally {
+    observer.disconnect();
   }
 
-  // PASS 2: Look for substring match (second priority)
-  let substringMatch = null;
-  for (const optionText of options) {
-    // Skip if optionText is not a string
-    if (typeof optionText !== 'string') continue;
+  if (timedOut()) {
+    console.warn(`[Fill Session] Page did not settle within ${FILL_SESSION_TIMEOUT_MS / 1000}s, stopping`);
+  }
+  console.log(`[Fill Session] Done after ${stats.rounds} follow-up round(s), ${Math.round((Date.now() - sessionStart) / 1000)}s`);
+  return stats;
+}
 
-    const lowerOption = optionText.toLowerCase();
-    const lowerTranslatedAnswer = translatedAnswer.toLowerCase();
+// ==================== Repeatable Sections ====================
+// "Add another position" / "Dodaj doświadczenie" groups: one block per CV entry from cvAnalyzedData
+
+const MAX_REPEATABLE_BLOCKS = 10;
+
+const REPEATABLE_SECTIONS = {
+  experience: {
+    addPattern: /add (another |more |new )?(position|job|experience|employment|employer|work)|dodaj (kolejn\S* |następn\S* |now\S* )?(doświadczeni|stanowisk|zatrudnieni|prac|pracodawc)/i,
+    // Checked in order - the first matching key wins
+    fields: [
+      ['company', /company|employer|organi[sz]ation|firma|firmy|pracodawc/i],
+      ['role', /title|position|role|stanowisk/i],
+      ['description', /description|responsibilit|duties|achievement|opis|obowiązk|osiągnię/i],
+      ['current', /current|presently|obecnie|nadal|aktualn/i],
+      ['startDate', /start|from|since|\bod\b|początek|rozpocz/i],
+      ['endDate', /end|\bto\b|until|\bdo\b|zakończ|koniec/i]
+    ]
+  },
+  education: {
+    addPattern: /add (another |more |new )?(education|school|degree|university)|dodaj (kolejn\S* |następn\S* |now\S* )?(wykształceni|edukacj|szkoł|uczelni|studia)/i,
+    fields: [
+      ['institution', /school|university|institution|college|uczelni|szkoł|instytucj/i],
+      ['degree', /degree|qualification|stopień|tytuł|poziom/i],
+      ['field', /field|major|discipline|kierun|specjalizac/i],
+      ['current', /current|presently|obecnie|nadal|w trakcie/i],
+      ['startDate', /start|from|since|\bod\b|początek|rozpocz/i],
+      ['endDate', /end|\bto\b|until|graduat|\bdo\b|zakończ|ukończ/i]
+    ]
+  }
+};
 
-    // Try translated answer
-    if (lowerOption.includes(lowerTranslatedAnswer) || lowerTranslatedAnswer.includes(lowerOption)) {
-      if (!substringMatch || optionText.length < substringMatch.length) {
-        substringMatch = optionText;
-      }
+/**
+ * Load the structured CV (experience/education) produced by analyzeCVWithAI
+ * @returns {Promise<Object|null>}
+ */
+function getCvAnalyzedData() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('cvAnalyzedData', (result) => {
+      resolve(result.cvAnalyzedData || null);
+    });
+  });
+}
+
+/**
+ * Split a CV date ("YYYY-MM", "YYYY-MM-DD", "YYYY", "present") into parts
+ * @param {string} value
+ * @returns {Object|null} { year, month, day } (strings, month/day zero-padded) or null for present/invalid
+ */
+function splitCvDate(value) {
+  if (!value || /present|obecnie|now|teraz/i.test(value)) return null;
+
+  const match = String(value).match(/(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  if (!match) return null;
+
+  return {
+    year: match[1],
+    month: match[2] ? match[2].padStart(2, '0') : '01',
+    day: match[3] ? match[3].padStart(2, '0') : '01'
+  };
+}
+
+/**
+ * Format a CV date for a concrete field - native month/date inputs, placeholder formats or year/month selects
+ * @param {HTMLElement} element - Date field
+ * @param {Object} parts - From splitCvDate()
+ * @returns {string} Value to write (for selects: text to match against the options)
+ */
+function formatCvDateForField(element, parts) {
+  if (element.type === 'month') return `${parts.year}-${parts.month}`;
+  if (element.type === 'date') return `${parts.year}-${parts.month}-${parts.day}`;
+
+  const hint = `${element.placeholder || ''} ${getQuestionForInput(element) || ''}`;
+  if (element.tagName === 'SELECT') {
+    // Separate month/year dropdowns
+    return /month|miesiąc/i.test(hint) && !/year|rok/i.test(hint) ? String(Number(parts.month)) : parts.year;
+  }
+  if (/dd[./-]mm[./-](rrrr|yyyy)/i.test(hint)) return `${parts.day}.${parts.month}.${parts.year}`;
+  if (/mm[./-]rrrr|mm[./-]yyyy/i.test(hint)) return `${parts.month}${hint.match(/mm([./-])/i)[1]}${parts.year}`;
+  return `${parts.year}-${parts.month}`;
+}
+
+/**
+ * Find the visible "Add another ..." button of a section
+ * @param {string} kind - 'experience' | 'education'
+ * @returns {HTMLElement|null}
+ */
+function findRepeatableAddButton(kind) {
+  const pattern = REPEATABLE_SECTIONS[kind].addPattern;
+  return deepQuerySelectorAll('button, a, [role="button"]').find(button =>
+    button.offsetParent !== null && pattern.test(`${button.textContent} ${button.getAttribute('aria-label') || ''}`)
+  ) || null;
+}
+
+/**
+ * Locate the repeated blocks next to an add button: sibling elements with the same tag/classes
+ * that contain fields of the section (company/role or school/degree labels)
+ * @param {HTMLElement} addButton
+ * @param {string} kind - 'experience' | 'education'
+ * @returns {Array<HTMLElement>} Blocks in document order
+ */
+function getRepeatableBlocks(addButton, kind) {
+  const [primaryKey, primaryPattern] = REPEATABLE_SECTIONS[kind].fields[0];
+  const mentionsSection = block => Array.from(block.querySelectorAll('input, textarea, select'))
+    .some(field => primaryPattern.test(`${getQuestionForInput(field) || ''} ${field.name || ''} ${field.id || ''}`));
+
+  let container = getParentAcrossShadow(addButton);
+  for (let depth = 0; container && depth < 6; depth++, container = getParentAcrossShadow(container)) {
+    const groups = new Map();
+    for (const child of container.children) {
+      if (child.contains(addButton) || !child.querySelector('input, textarea, select')) continue;
+      const signature = `${child.tagName}.${Array.from(child.classList).sort().join('.')}`;
+      if (!groups.has(signature)) groups.set(signature, []);
+      groups.get(signature).push(child);
     }
 
-    // If translation occurred, also try original
-    if (wasTranslated && (lowerOption.includes(lowerAnswer) || lowerAnswer.includes(lowerOption))) {
-      if (!substringMatch || optionText.length < substringMatch.length) {
-        substringMatch = optionText;
-      }
+    const blocks = Array.from(groups.values())
+      .filter(group => group.every(mentionsSection))
+      .sort((a, b) => b.length - a.length)[0];
+    if (blocks) {
+      console.log(`[Repeatable] Found ${blocks.length} ${kind} block(s) (matched by "${primaryKey}" fields)`);
+      return blocks;
     }
   }
+  return [];
+}
 
-  if (substringMatch) {
-    return substringMatch;
+/**
+ * Click the add button and wait until a new block is rendered
+ * @returns {Promise<Array<HTMLElement>>} Blocks after the click
+ */
+async function addRepeatableBlock(addButton, kind, previousCount) {
+  addButton.click();
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const blocks = getRepeatableBlocks(addButton, kind);
+    if (blocks.length > previousCount) return blocks;
   }
+  return getRepeatableBlocks(addButton, kind);
+}
 
-  // PASS 3: Word-based scoring (fallback)
-  let bestMatch = null;
-  let maxScore = 0;
+/**
+ * Fill one block with one CV entry. Fields that already have a value are left alone.
+ * @param {Array|null} missingFields - Fields whose value did not stick are reported here
+ * @returns {Promise<Object>} { filledFields, totalFields }
+ */
+async function fillRepeatableBlock(block, entry, kind, processedElements, missingFields) {
+  const stats = { filledFields: 0, totalFields: 0 };
+  const isCurrent = !entry.endDate || /present|obecnie|now|teraz/i.test(entry.endDate);
+  const values = {
+    ...entry,
+    description: entry.description || (Array.isArray(entry.achievements) ? entry.achievements.join('\n') : '')
+  };
 
-  // Prepare original answer words if translation occurred
-  const originalNormalized = wasTranslated ? lowerAnswer.replace(/[^\w\s]/g, ' ').trim() : null;
-  const originalWords = wasTranslated ? originalNormalized.split(/\s+/).filter(w => w.length > 0) : null;
+  for (const field of block.querySelectorAll('input, textarea, select')) {
+    if (processedElements.has(field) || field.type === 'hidden' || field.type === 'file' || field.disabled) continue;
 
-  for (const optionText of options) {
-    // Skip if optionText is not a string
-    if (typeof optionText !== 'string') continue;
+    const text = `${getQuestionForInput(field) || ''} ${field.name || ''} ${field.id || ''}`;
+    const match = REPEATABLE_SECTIONS[kind].fields.find(([, pattern]) => pattern.test(text));
+    if (!match) continue;
+    const key = match[0];
 
-    const normalizedOption = optionText.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
-    const optionWords = normalizedOption.split(/\s+/).filter(w => w && w.length > 0);
+    if (key === 'current') {
+      if (field.type === 'checkbox') {
+        processedElements.add(field);
+        if (field.checked !== isCurrent) {
+          recordFieldState(field);
+          field.click();
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+      }
+      continue;
+    }
 
-    // Count matching words with translated answer
-    let score = answerWords.filter(word => optionWords.includes(word)).length;
+    let value = values[key];
+    if (key === 'startDate' || key === 'endDate') {
+      const parts = splitCvDate(key === 'endDate' && isCurrent ? null : value);
+      value = parts ? formatCvDateForField(field, parts) : '';
+    }
+    if (!value || field.type === 'checkbox' || field.type === 'radio') continue;
 
-    // If translation occurred, also try original and use better score
-    if (wasTranslated && originalWords) {
-      const originalScore = originalWords.filter(word => optionWords.includes(word)).length;
-      score = Math.max(score, originalScore);
+    processedElements.add(field);
+    stats.totalFields++;
+    if (field.value && field.tagName !== 'SELECT') {
+      stats.filledFields++;
+      continue;
     }
 
-    if (score > maxScore) {
-      maxScore = score;
-      bestMatch = optionText;
+    recordFieldState(field);
+    let filled = false;
+    const driver = getDropdownDriver(field);
+    if (driver) {
+      filled = await selectWithDropdownDriver(driver, field, String(value));
+    } else if (field.tagName === 'SELECT') {
+      const optionTexts = Array.from(field.options).map(opt => opt.text.trim());
+      const matchedText = fuzzyMatch(String(value), optionTexts);
+      const option = Array.from(field.options).find(opt => opt.text.trim() === matchedText);
+      filled = option ? await writeFieldValue(field, option.value) : false;
+    } else {
+      filled = await writeFieldValue(field, String(value));
+    }
+    if (filled) {
+      stats.filledFields++;
+    } else if (missingFields) {
+      missingFields.push({ question: getQuestionForInput(field) || key, reason: `Nie udało się wpisać "${value}"`, element: field });
     }
   }
 
-  return bestMatch;
+  return stats;
 }
 
-function getQuestionForInput(input) {
-  // Validate input element
-  if (!input) {
-    return null;
+/**
+ * Detect "Add another" experience/education groups, add one block per CV entry and fill them in order
+ * @param {Set} processedElements - Filled blocks are added so the batch path skips them
+ * @param {Array|null} missingFields - Collector for the summary
+ * @returns {Promise<Object>} { filledFields, totalFields, blocksAdded }
+ */
+async function fillRepeatableSections(processedElements, missingFields) {
+  const stats = { filledFields: 0, totalFields: 0, blocksAdded: 0 };
+  const cvData = await getCvAnalyzedData();
+  if (!cvData) return stats;
+
+  for (const kind of Object.keys(REPEATABLE_SECTIONS)) {
+    const entries = (Array.isArray(cvData[kind]) ? cvData[kind] : []).slice(0, MAX_REPEATABLE_BLOCKS);
+    if (entries.length === 0) continue;
+
+    const addButton = findRepeatableAddButton(kind);
+    if (!addButton) continue;
+
+    let blocks = getRepeatableBlocks(addButton, kind);
+    while (blocks.length < entries.length) {
+      const previousCount = blocks.length;
+      blocks = await addRepeatableBlock(addButton, kind, previousCount);
+      if (blocks.length <= previousCount) {
+        console.warn(`[Repeatable] ${kind}: add button did not create a new block, stopping at ${blocks.length}`);
+        break;
+      }
+      stats.blocksAdded += blocks.length - previousCount;
+    }
+
+    for (let i = 0; i < Math.min(blocks.length, entries.length); i++) {
+      const blockStats = await fillRepeatableBlock(blocks[i], entries[i], kind, processedElements, missingFields);
+      stats.filledFields += blockStats.filledFields;
+      stats.totalFields += blockStats.totalFields;
+    }
+    console.log(`[Repeatable] ${kind}: ${entries.length} CV entries, ${blocks.length} block(s) on the form`);
   }
 
-  let questionText = null;
-  let matchStrategy = null;
+  return stats;
+}
 
-  // 1. Check for a wrapping label
-  if (input.parentElement && input.parentElement.tagName === 'LABEL') {
-    questionText = input.parentElement.textContent.trim();
-    matchStrategy = '1:wrapping-label';
+// ==================== Fill Journal (Undo) ====================
+// Every element touched during a fill run is recorded with its prior state,
+// so "Cofnij wypełnienie" can replay the journal backwards
+
+let fillJournal = null;      // Entries of the run in progress (null = not recording)
+let lastFillJournal = [];    // Entries of the last finished run
+
+function startFillJournal() {
+  fillJournal = [];
+}
+
+/**
+ * Stop recording - the finished run becomes the one "undo" reverts
+ * @returns {number} Number of recorded elements
+ */
+function finishFillJournal() {
+  if (fillJournal && fillJournal.length > 0) {
+    lastFillJournal = fillJournal;
   }
+  fillJournal = null;
+  return lastFillJournal.length;
+}
 
-  // 2. Check for a `for` attribute
-  if (!questionText && input.id) {
-    const label = document.querySelector(`label[for="${input.id}"]`);
-    if (label) {
-      questionText = label.textContent.trim();
-      matchStrategy = `2:label-for[${input.id}]`;
-    }
+/**
+ * Record the state of an element before it's modified (first write wins - that's the original value)
+ * @param {HTMLElement} element - Field about to be changed
+ */
+function recordFieldState(element) {
+  if (!fillJournal || !element) return;
+  if (fillJournal.some(entry => entry.element === element)) return;
 
-    // Special case: Selectize.js creates inputs with ID ending in '-selectized'
-    // and moves the label to point to that input, so for original SELECT elements
-    // with class 'selectized', also check for label pointing to ID + '-selectized'
-    if (!questionText && input.tagName === 'SELECT' && input.classList.contains('selectized')) {
-      const selectizeLabel = document.querySelector(`label[for="${input.id}-selectized"]`);
-      if (selectizeLabel) {
-        questionText = selectizeLabel.textContent.trim();
-        matchStrategy = `2:selectize-label-for[${input.id}-selectized]`;
-        console.log(`[Gemini Filler] Found Selectize label for SELECT: "${questionText}"`);
-      }
-    }
+  const entry = captureFieldState(element);
+  entry.question = getQuestionForInput(element) || element.name || element.id || element.tagName.toLowerCase();
+  fillJournal.push(entry);
+}
+
+function captureFieldState(element) {
+  if (element.type === 'radio') {
+    const group = element.name
+      ? Array.from(element.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(element.name)}"]`))
+      : [element];
+    return { kind: 'radio', element, radios: group.map(radio => ({ radio, checked: radio.checked })) };
+  }
+  if (element.type === 'checkbox') {
+    return { kind: 'checkbox', element, checked: element.checked };
+  }
+  if (element.type === 'file') {
+    return { kind: 'file', element, files: Array.from(element.files || []) };
+  }
+  if (element.getAttribute('role') === 'radiogroup') {
+    const checked = element.querySelector('[role="radio"][aria-checked="true"]');
+    return { kind: 'radiogroup', element, checked };
+  }
+  if (element.tagName === 'SELECT') {
+    const selected = Array.from(element.selectedOptions || []);
+    return {
+      kind: element.classList.contains('selectized') ? 'selectize' : 'select',
+      element,
+      values: selected.map(option => option.value),
+      text: selected.map(option => option.text.trim()).join(', ')
+    };
+  }
+  const richTextTarget = getRichTextTarget(element);
+  if (richTextTarget) {
+    return { kind: 'richtext', element, target: richTextTarget, html: richTextTarget.innerHTML };
+  }
+  const dropdownDriver = getDropdownDriver(element);
+  if (dropdownDriver) {
+    // React-Select/MUI/AntD inputs are empty search boxes - the selection lives in the library's UI
+    return { kind: 'dropdown-driver', element, text: dropdownDriver.getSelectedText(element) };
+  }
+  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+    return { kind: 'value', element, value: element.value };
   }
+  // Custom dropdown trigger - the only state we can see is the displayed text
+  return { kind: 'custom-dropdown', element, text: element.textContent.trim() };
+}
 
-  // 3. Check for aria-labelledby
-  if (!questionText && input.getAttribute('aria-labelledby')) {
-    const ariaLabelledBy = input.getAttribute('aria-labelledby');
-    const label = document.getElementById(ariaLabelledBy);
-    if (label) {
-      questionText = label.textContent.trim();
-      matchStrategy = `3:aria-labelledby[${ariaLabelledBy}]`;
-    }
+/**
+ * Whether the element differs from the recorded state
+ * @param {Object} entry - Journal entry
+ * @returns {boolean}
+ */
+function hasFieldChanged(entry) {
+  const current = captureFieldState(entry.element);
+  switch (entry.kind) {
+    case 'radio':
+      return entry.radios.some(({ radio, checked }) => radio.checked !== checked);
+    case 'checkbox':
+      return current.checked !== entry.checked;
+    case 'file':
+      return current.files.length !== entry.files.length || current.files.some((file, i) => file !== entry.files[i]);
+    case 'radiogroup':
+      return current.checked !== entry.checked;
+    case 'select':
+    case 'selectize':
+      return current.values.join('\u0000') !== entry.values.join('\u0000');
+    case 'value':
+      return current.value !== entry.value;
+    case 'richtext':
+      return current.html !== entry.html;
+    default:
+      return current.text !== entry.text;
   }
+}
 
-  // 4. Traverse up the DOM to find a nearby label
-  if (!questionText) {
-    let current = input;
-    let depth = 0;
-    while (current.parentElement && depth < 5) {
-      const parent = current.parentElement;
-      const parentTag = parent.tagName + (parent.className ? '.' + parent.className.split(' ')[0] : '');
+function dispatchUndoEvents(element, types = ['input', 'change']) {
+  types.forEach(type => {
+    const event = new Event(type, { bubbles: true });
+    event._autofilledByExtension = true;
+    element.dispatchEvent(event);
+  });
+}
 
-      const label = parent.querySelector('label');
-      if (label && label.contains(input)) {
-         questionText = label.textContent.trim();
-         matchStrategy = `4a:parent-label-contains[depth=${depth}, parent=${parentTag}]`;
-         break;
-      }
+/**
+ * Re-select an option of an open listbox by its text (custom dropdowns, Selectize)
+ * @param {HTMLElement} trigger - Element that opens the dropdown
+ * @param {string} text - Option text to select
+ * @param {string} optionSelector - Selector of option elements
+ * @returns {Promise<boolean>}
+ */
+async function reselectOptionByText(trigger, text, optionSelector) {
+  trigger.click();
+  await new Promise(resolve => setTimeout(resolve, 300));
+
+  const option = deepQuerySelectorAll(optionSelector)
+    .find(opt => opt.offsetParent !== null && opt.textContent.trim() === text);
+  if (option) {
+    option.click();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return true;
+  }
 
-      const labels = parent.querySelectorAll('label');
+  document.body.click();
+  return false;
+}
 
-      for(let i = 0; i < labels.length; i++) {
-          const l = labels[i];
+/**
+ * Restore one journal entry
+ * @param {Object} entry - Journal entry
+ * @returns {Promise<boolean>} False when the field has to be reset by hand
+ */
+async function restoreFieldState(entry) {
+  const element = entry.element;
 
-          if(l.contains(input)) {
-            questionText = l.textContent.trim();
-            matchStrategy = `4b:label-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
-            break;
-          }
+  switch (entry.kind) {
+    case 'value': {
+      setNativeValue(element, entry.value);
+      dispatchUndoEvents(element, ['input', 'change', 'blur']);
+      return true;
+    }
 
-          if(l.nextElementSibling === input) {
-            questionText = l.textContent.trim();
-            matchStrategy = `4c:label-nextSibling[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
-            break;
-          }
+    case 'select':
+      Array.from(element.options).forEach(option => {
+        option.selected = entry.values.includes(option.value);
+      });
+      dispatchUndoEvents(element);
+      return true;
 
-          // NEW: Check if label's next sibling is a container that contains the input
-          if (l.nextElementSibling && l.nextElementSibling.contains && l.nextElementSibling.contains(input)) {
-            questionText = l.textContent.trim();
-            matchStrategy = `4d:label-nextSibling-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
-            break;
+    case 'selectize': {
+      Array.from(element.options).forEach(option => {
+        option.selected = entry.values.includes(option.value);
+      });
+      dispatchUndoEvents(element, ['change']);
+      // Selectize keeps its own UI state - re-pick the old option, an empty selection can't be cleared from here
+      const selectizeInput = element.parentElement?.querySelector('.selectize-control .selectize-input input');
+      if (!entry.text || !selectizeInput) return false;
+      return reselectOptionByText(selectizeInput, entry.text, '.selectize-dropdown .option');
+    }
+
+    case 'checkbox':
+      if (element.checked !== entry.checked) {
+        element.click();
+        if (element.checked !== entry.checked) {
+          element.checked = entry.checked;
+          dispatchUndoEvents(element, ['change', 'input']);
+        }
+      }
+      if (element.hasAttribute('aria-checked')) {
+        element.setAttribute('aria-checked', String(entry.checked));
+      }
+      return true;
+
+    case 'radio': {
+      const previouslyChecked = entry.radios.find(({ checked }) => checked);
+      if (previouslyChecked) {
+        previouslyChecked.radio.click();
+        previouslyChecked.radio.checked = true;
+        dispatchUndoEvents(previouslyChecked.radio, ['change']);
+      } else {
+        entry.radios.forEach(({ radio }) => {
+          if (radio.checked) {
+            radio.checked = false;
+            dispatchUndoEvents(radio, ['change']);
           }
+        });
       }
-      if (questionText) break;
-      current = parent;
-      depth++;
+      return true;
     }
-  }
-
-  // 5. Fallback to aria-label or placeholder
-  if (!questionText && input.getAttribute('aria-label')) {
-    questionText = input.getAttribute('aria-label').trim();
-    matchStrategy = '5:aria-label';
-  }
 
-  if (!questionText && input.getAttribute('placeholder')) {
-    const placeholder = input.getAttribute('placeholder').trim();
+    case 'radiogroup':
+      // ARIA radio groups can't be unselected - only a previous choice can be restored
+      if (!entry.checked) return false;
+      entry.checked.click();
+      return true;
 
-    // Special handling for Od/Do (From/To) range fields - look for parent label
-    const rangePatterns = ['od', 'do', 'from', 'to', 'min', 'max', 'minimum', 'maximum'];
-    if (rangePatterns.includes(placeholder.toLowerCase())) {
-      // Look for a parent label that applies to the whole range
-      let current = input;
-      let depth = 0;
-      while (current.parentElement && depth < 6) {
-        const parent = current.parentElement;
-        const label = parent.querySelector('label');
-        if (label && !label.contains(input)) {
-          // Found a label at parent level - combine with placeholder
-          questionText = `${label.textContent.trim()} (${placeholder})`;
-          matchStrategy = `6:placeholder-with-parent-label[depth=${depth}]`;
-          break;
-        }
-        current = parent;
-        depth++;
+    case 'file': {
+      const dataTransfer = new DataTransfer();
+      entry.files.forEach(file => dataTransfer.items.add(file));
+      element.files = dataTransfer.files;
+      if (entry.files.length === 0) {
+        element.value = '';
       }
+      dispatchUndoEvents(element, ['change', 'input']);
+      return true;
     }
 
-    if (!questionText) {
-      questionText = placeholder;
-      matchStrategy = '6:placeholder';
+    case 'richtext':
+      // The editor model may keep the old text in its undo stack - the DOM is what gets submitted
+      entry.target.innerHTML = entry.html;
+      dispatchUndoEvents(entry.target, ['input']);
+      return true;
+
+    case 'dropdown-driver': {
+      // Multi-value and empty selections can't be rebuilt by typing - leave them to the user
+      const driver = getDropdownDriver(element);
+      if (!driver || !entry.text || entry.text.includes(', ')) return false;
+      return selectWithDropdownDriver(driver, element, entry.text);
     }
-  }
 
-  return questionText;
+    default:
+      if (!entry.text || isPlaceholderAnswer(entry.text)) return false;
+      return reselectOptionByText(element, entry.text, '[role="option"], [role="menuitem"]');
+  }
 }
 
-function getCvFromStorage() {
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.get('userCV', (result) => {
-      // Check for storage errors
-      if (chrome.runtime.lastError) {
-        console.error('[Gemini Filler] Storage error when getting CV:', chrome.runtime.lastError);
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
+/**
+ * Revert the last fill run in this document (and, from the top frame, in child frames)
+ * @returns {Promise<Object>} { restored, manual: [question] }
+ */
+async function undoLastFill() {
+  const journal = lastFillJournal;
+  lastFillJournal = [];
 
-      if (!result.userCV) {
-        resolve(null);
-        return;
+  let restored = 0;
+  const manual = [];
+
+  // Backwards, so a field touched by several handlers ends up with its original value
+  for (const entry of journal.slice().reverse()) {
+    if (!entry.element.isConnected || !hasFieldChanged(entry)) continue;
+
+    try {
+      if (await restoreFieldState(entry)) {
+        restored++;
+      } else {
+        manual.push(entry.question);
       }
+    } catch (error) {
+      console.error(`[Undo] Failed to restore "${entry.question}":`, error);
+      manual.push(entry.question);
+    }
+  }
 
-      // Convert data URL to Blob with error handling
-      fetch(result.userCV.dataUrl)
-        .then(res => {
-          if (!res.ok) {
-            throw new Error(`Failed to fetch CV data: ${res.status}`);
-          }
-          return res.blob();
-        })
-        .then(blob => {
-          resolve({
-            blob: blob,
-            name: result.userCV.name,
-            type: result.userCV.type
-          });
-        })
-        .catch(error => {
-          console.error('[Gemini Filler] Error converting CV data URL to blob:', error);
-          reject(new Error('Failed to load CV file'));
-        });
+  if (window === window.top) {
+    const frameResults = await relayToFrames({ action: 'frame_undo' });
+    frameResults.forEach(({ response }) => {
+      if (!response) return;
+      restored += response.restored;
+      manual.push(...response.manual);
     });
-  });
-}
+  }
 
-async function handleRadioButton(radioElement, userData, processedElements) {
-  try {
-    // Skip if already processed or not in a group
-    const radioName = radioElement.name;
-    if (!radioName) {
-      return;
-    }
+  console.log(`[Undo] Restored ${restored} field(s), ${manual.length} need manual reset`);
+  return { restored, manual };
+}
 
-    // Find all radio buttons in the same group
-    const radioGroup = document.querySelectorAll(`input[type="radio"][name="${radioName}"]`);
-    if (radioGroup.length === 0) {
-      return;
-    }
+/**
+ * Run undo behind the loading overlay and show the result
+ */
+async function undoLastFillWithOverlay() {
+  showOverlay('Cofanie wypełnienia...');
+  const result = await undoLastFill();
 
-    // Check if we've already processed this group
-    const groupKey = `radio-group-${radioName}`;
-    if (processedElements.has(groupKey)) {
-      return;
-    }
-    processedElements.add(groupKey);
+  const modal = document.getElementById('gemini-filler-modal');
+  if (modal) {
+    const manualText = result.manual.length > 0
+      ? `<br><small>Do ręcznej zmiany: ${result.manual.join(', ')}</small>`
+      : '';
+    modal.innerHTML = `
+      <div class="checkmark">↩</div>
+      <p>${result.restored > 0 ? `Przywrócono ${result.restored} pól` : 'Brak zmian do cofnięcia'}${manualText}</p>
+    `;
+  }
+  setTimeout(hideOverlay, result.manual.length > 0 ? 6000 : 2500);
+  return result;
+}
 
-    // Get the question for this radio group
-    // Try to find from the first radio or from a group label
-    const question = getQuestionForInput(radioElement) || getRadioGroupLabel(radioElement);
-    if (!question) {
-      console.log('[Gemini Filler] No question found for radio group:', radioName);
-      return;
-    }
+// ==================== Preview Mode ====================
+// Dry run: resolve answers for every field, let the user review/edit them in a side panel
+// and write only the approved rows to the page
 
-    // Get all options
-    const options = Array.from(radioGroup).map(radio => {
-      // Try to find label
-      const label = document.querySelector(`label[for="${radio.id}"]`) ||
-                   radio.nextElementSibling?.tagName === 'LABEL' ? radio.nextElementSibling :
-                   radio.parentElement?.querySelector('label') ||
-                   radio.closest('div')?.querySelector('label');
+// Mock answers come straight from userData, AI answers without a self-reported confidence are unverified
+// (cached ones were used before) - learned answers carry their own confidence, consent policies and
+// picked documents are settings, not guesses
+const PREVIEW_SOURCE_CONFIDENCE = { mock: 0.9, ai: 0.6, cache: 0.7, policy: 1, document: 1 };
 
-      return {
-        element: radio,
-        text: label ? label.textContent.trim() : radio.getAttribute('aria-label') || radio.value
-      };
-    }).filter(opt => opt.text);
+const PREVIEW_SOURCE_LABELS = { mock: 'dane', ai: 'AI', cache: 'cache', learned: 'nauczone', policy: 'zasady zgód', document: 'dokumenty' };
 
-    if (options.length === 0) {
-      console.log('[Gemini Filler] No options found for radio group:', radioName);
-      return;
-    }
+/**
+ * Collect every field the fill path would touch: batch fields plus radio groups, checkboxes,
+ * custom dropdowns and file inputs (handled one by one when filling)
+ * @param {Iterable<HTMLElement>} formElements - Candidate form elements
+ * @returns {Array<Object>} Fields { kind, element, question, metadata, batchQuestion, purpose? }
+ *   kind: 'batch' | 'radio' | 'checkbox' | 'custom-dropdown' | 'file'
+ */
+function collectPreviewFields(formElements) {
+  const fields = collectBatchFields(formElements, new Set()).map(field => ({ kind: 'batch', ...field }));
+  const batchElements = new Set(fields.map(field => field.element));
+  const radioGroups = new Set();
 
-    console.log(`[Gemini Filler] Processing radio group "${question}" with ${options.length} options`);
+  for (const element of formElements) {
+    if (batchElements.has(element) || !element.isConnected || !isFieldRendered(element)) continue;
 
-    // Get AI response
-    const optionsText = options.map(o => o.text);
-    let answer;
-    try {
-      const result = await getAIResponse(question, userData, optionsText);
-      answer = result.answer;
-    } catch (error) {
-      console.error(`[Gemini Filler] AI error for radio group "${question}":`, error);
-      return;
+    if (element.type === 'file') {
+      const question = getQuestionForInput(element) || element.getAttribute('aria-label') || element.name;
+      if (!question) continue;
+      fields.push({ kind: 'file', element, question, metadata: { type: 'file', options: null }, purpose: getFileInputPurpose(element) });
+      continue;
     }
 
-    if (!answer) {
-      return;
+    if (element.type === 'radio') {
+      if (!element.name || radioGroups.has(element.name)) continue;
+      radioGroups.add(element.name);
+
+      const question = getQuestionForInput(element) || getRadioGroupLabel(element);
+      const options = getRadioGroupOptions(element.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(element.name)}"]`));
+      if (!question || options.length === 0) continue;
+
+      const optionsText = options.map(option => option.text);
+      fields.push({
+        kind: 'radio',
+        element,
+        question,
+        metadata: { type: 'radio', options: optionsText, optionsText },
+        batchQuestion: { question, options: optionsText, type: 'radio' }
+      });
+      continue;
     }
 
-    // Find best match and select it
-    const bestMatchText = findBestMatch(answer, optionsText);
-    if (bestMatchText) {
-      const matchingOption = options.find(o => o.text === bestMatchText);
-      if (matchingOption && matchingOption.element) {
-        matchingOption.element.checked = true;
-        matchingOption.element.dispatchEvent(new Event('change', { bubbles: true }));
-        matchingOption.element.dispatchEvent(new Event('click', { bubbles: true }));
-
-        // Trigger any onclick handlers
-        if (matchingOption.element.onclick) {
-          matchingOption.element.onclick.call(matchingOption.element);
-        }
+    if (element.type === 'checkbox') {
+      const question = getQuestionForInput(element) ||
+        element.closest('label, div, li')?.textContent.trim().substring(0, 120);
+      if (!question) continue;
 
-        console.log(`[Gemini Filler] Selected radio option: ${bestMatchText}`);
-      }
+      // Same question as handleCheckbox() asks when filling
+      const options = ['Yes', 'No'];
+      fields.push({
+        kind: 'checkbox',
+        element,
+        question,
+        metadata: { type: 'checkbox', options, optionsText: options },
+        batchQuestion: { question: `Should the following be checked/enabled? ${question}`, options, type: 'checkbox' }
+      });
+      continue;
     }
-  } catch (error) {
-    console.error('[Gemini Filler] Error handling radio button:', error);
+
+    // Library-generated inputs and editor parts are filled together with their field
+    if ((element.tagName === 'INPUT' && element.closest('.selectize-control')) || isDropdownDriverInput(element) || isPhoneWidgetPart(element)) continue;
+    if (element.hasAttribute('contenteditable')) continue;
+
+    const question = getQuestionForInput(element);
+    if (!question) continue;
+    const metadata = detectFieldType(element);
+    if (metadata.type !== 'custom-dropdown') continue;
+
+    fields.push({
+      kind: 'custom-dropdown',
+      element,
+      question,
+      metadata,
+      batchQuestion: { question, options: metadata.options, type: metadata.type }
+    });
   }
+
+  return fields;
 }
 
-function getRadioGroupLabel(radioElement) {
-  // Try to find a group label by looking for aria-labelledby on a parent
-  let current = radioElement.parentElement;
-  let depth = 0;
+/**
+ * Answer known without the AI: document for file inputs, consent/EEO policy, learned answer
+ * @param {Object} field - Field from collectPreviewFields()
+ * @returns {Promise<Object|null>} { answer, source, confidence } (empty answer = the fill would leave it alone),
+ *   null when the field goes to the AI batch
+ */
+async function getLocalPreviewProposal(field) {
+  const none = { answer: '', source: null, confidence: 0 };
 
-  while (current && depth < 5) {
-    const labelledBy = current.getAttribute('aria-labelledby');
-    if (labelledBy) {
-      const labelElement = document.getElementById(labelledBy);
-      if (labelElement) {
-        return labelElement.textContent.trim();
-      }
-    }
+  if (field.kind === 'file') {
+    const documentEntry = selectDocumentForInput(await getDocumentLibrary(), field.element, field.purpose);
+    return documentEntry ? { answer: documentEntry.name, source: 'document', confidence: PREVIEW_SOURCE_CONFIDENCE.document } : none;
+  }
 
-    // Look for a label within the parent
-    const label = current.querySelector('label');
-    if (label && !label.getAttribute('for')) {
-      // This might be a group label
-      return label.textContent.trim();
+  if (field.kind === 'checkbox') {
+    const decision = await getCheckboxPolicyDecision(field.element, field.question);
+    if (decision) {
+      return decision.checked === null ? none : { answer: decision.checked ? 'Yes' : 'No', source: 'policy', confidence: PREVIEW_SOURCE_CONFIDENCE.policy };
     }
+    return null;
+  }
 
-    current = current.parentElement;
-    depth++;
+  if (field.kind === 'radio') {
+    const consentCategory = classifyConsentText(field.question);
+    if (!consentCategory) return null;
+    const policy = (await getConsentPolicies())[consentCategory];
+    const answer = pickConsentOption(consentCategory, policy, field.metadata.options);
+    if (answer) return { answer, source: 'policy', confidence: PREVIEW_SOURCE_CONFIDENCE.policy };
+    return consentCategory === 'eeo' && policy === 'profile' ? null : none;
   }
 
+  // Learned answers win over AI, same as in individual processing
+  try {
+    const suggestion = await getSuggestionForFieldBridge(field.element);
+    if (suggestion && suggestion.confidence > 0.75) {
+      return { answer: suggestion.answer, source: 'learned', confidence: suggestion.confidence };
+    }
+  } catch (err) {
+    console.warn('[Preview] Learning lookup failed:', err);
+  }
   return null;
 }
 
-async function handleCheckbox(checkboxElement, userData) {
-  try {
-    const question = getQuestionForInput(checkboxElement);
-
-    // Get additional context from checkbox's surrounding area
-    const parentText = checkboxElement.closest('label, div, li')?.textContent?.toLowerCase() || '';
-    const checkboxName = (checkboxElement.name || '').toLowerCase();
-    const checkboxId = (checkboxElement.id || '').toLowerCase();
-
-    console.log(`[Gemini Filler] Processing checkbox: question="${question}", name="${checkboxName}", id="${checkboxId}"`);
-
-    // Required consent checkboxes - auto-accept privacy policy, terms, regulations
-    const requiredConsentKeywords = [
-      'regulamin', 'polityka prywatności', 'polityki prywatności', 'privacy policy',
-      'terms', 'warunki', 'zgoda', 'consent', 'akceptuję', 'accept',
-      'zapoznałem', 'oświadczam', 'przyjmuję do wiadomości', 'acknowledge',
-      'przetwarzanie danych', 'data processing', 'rodo', 'gdpr'
-    ];
+/**
+ * Preview field without its DOM element - sent from a child frame to the top frame's panel
+ * @param {Object} field - Field from collectPreviewFields()
+ * @param {Object|null} proposal - From getLocalPreviewProposal()
+ * @returns {Object}
+ */
+function toPreviewFieldDescriptor(field, proposal) {
+  const { type, options, optionsText, format } = field.metadata;
+  return { kind: field.kind, question: field.question, metadata: { type, options, optionsText, format }, batchQuestion: field.batchQuestion, proposal };
+}
 
-    const isRequiredConsent = requiredConsentKeywords.some(keyword =>
-      (question && question.toLowerCase().includes(keyword)) ||
-      parentText.includes(keyword) ||
-      checkboxName.includes(keyword) ||
-      checkboxId.includes(keyword)
-    );
+/**
+ * Pick the option of a custom (div-based) dropdown closest to the answer
+ * @param {HTMLElement} element - Dropdown trigger
+ * @param {string} answer - Answer approved in the preview
+ * @returns {Promise<boolean>}
+ */
+async function selectCustomDropdownOption(element, answer) {
+  recordFieldState(element);
+  const driver = getDropdownDriver(element);
+  if (driver) {
+    return selectWithDropdownDriver(driver, element, answer);
+  }
 
-    // Check if checkbox is required
-    const isRequired = checkboxElement.required ||
-                       checkboxElement.closest('[class*="required"]') !== null ||
-                       checkboxElement.getAttribute('aria-required') === 'true';
+  element.click();
+  await new Promise(resolve => setTimeout(resolve, 500));
 
-    if (isRequiredConsent || (isRequired && !question)) {
-      // Auto-check required consent/regulatory checkboxes
-      if (!checkboxElement.checked) {
-        console.log(`[Gemini Filler] Auto-checking required consent checkbox: "${question || parentText.slice(0, 50)}..."`);
+  const optionElements = deepQuerySelectorAll('[role="option"], [role="menuitem"]').filter(opt => opt.offsetParent !== null);
+  const optionTexts = optionElements.map(opt => opt.textContent.trim());
+  const matchedText = fuzzyMatch(answer, optionTexts);
+  const option = matchedText && optionElements.find(opt => opt.textContent.trim() === matchedText);
+  if (!option) {
+    element.click();
+    return false;
+  }
 
-        // Method 1: Actually click the checkbox (triggers all native handlers)
-        checkboxElement.click();
+  option.click();
+  await new Promise(resolve => setTimeout(resolve, 200));
+  return true;
+}
 
-        // Method 2: If click didn't work, set properties directly
-        if (!checkboxElement.checked) {
-          checkboxElement.checked = true;
-          checkboxElement.dispatchEvent(new Event('change', { bubbles: true }));
-          checkboxElement.dispatchEvent(new Event('input', { bubbles: true }));
-        }
+/**
+ * Write an approved answer into a field that isn't filled through fillBatchFields()
+ * @param {Object} field - Field from collectPreviewFields() (kind other than 'batch')
+ * @param {string} answer
+ * @returns {Promise<boolean>} Whether the field was changed
+ */
+async function writePreviewAnswer(field, answer) {
+  switch (field.kind) {
+    case 'radio': {
+      const options = getRadioGroupOptions(field.element.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(field.element.name)}"]`));
+      const matchedText = findBestMatch(answer, options.map(option => option.text));
+      const option = matchedText && options.find(opt => opt.text === matchedText);
+      if (!option) return false;
+      checkRadioOption(option.element);
+      return true;
+    }
 
-        // Update aria-checked attribute if present
-        if (checkboxElement.hasAttribute('aria-checked')) {
-          checkboxElement.setAttribute('aria-checked', 'true');
-        }
+    case 'checkbox':
+      setConsentCheckbox(field.element, /^(yes|tak|true)/i.test(answer.trim()));
+      return true;
 
-        // Look for associated hidden field and update it
-        const container = checkboxElement.closest('.chkBox, .checkbox, .form-check, [class*="checkbox"]');
-        if (container) {
-          const hiddenField = container.querySelector('input[type="hidden"]');
-          if (hiddenField && (hiddenField.value === 'NO' || hiddenField.value === 'false' || hiddenField.value === '0')) {
-            hiddenField.value = 'YES';
-            hiddenField.dispatchEvent(new Event('change', { bubbles: true }));
-            console.log(`[Gemini Filler] Updated hidden field to YES: ${hiddenField.name}`);
-          }
-        }
+    case 'custom-dropdown':
+      return selectCustomDropdownOption(field.element, answer);
 
-        console.log(`[Gemini Filler] Checkbox checked: ${checkboxElement.checked}, aria-checked: ${checkboxElement.getAttribute('aria-checked')}`);
-      }
-      return;
-    }
+    case 'file':
+      await handleFileInput(field.element, field.purpose);
+      return !!(field.element.files && field.element.files.length > 0);
 
-    if (!question) {
-      console.log(`[Gemini Filler] Checkbox has no question, skipping AI decision`);
-      return;
-    }
+    default:
+      return false;
+  }
+}
 
-    // For other checkboxes, ask AI
-    const modifiedQuestion = `Should the following be checked/enabled? ${question}`;
+/**
+ * Write approved preview answers into fields of this document
+ * @param {Array<Object>} fields - Fields from collectPreviewFields()
+ * @param {Array<Object>} entries - Parallel answers { answer, confidence, source }
+ * @param {Object} userData - User data
+ * @param {Array} missingFields - Fields that did not take their answer are added here
+ */
+async function applyPreviewAnswers(fields, entries, userData, missingFields) {
+  const batchFields = [];
+  const batchAnswers = {};
+  fields.forEach((field, i) => {
+    if (field.kind !== 'batch') return;
+    batchAnswers[batchFields.length] = { answer: entries[i].answer, confidence: entries[i].confidence, unknown: false, cached: entries[i].source === 'cache' };
+    batchFields.push(field);
+  });
+  await fillBatchFields(batchFields, batchAnswers, userData, new Set(), missingFields);
 
-    let answer;
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (field.kind === 'batch') continue;
+
+    let written = false;
     try {
-      const result = await getAIResponse(modifiedQuestion, userData, ['Yes', 'No']);
-      answer = result.answer;
+      written = await writePreviewAnswer(field, entries[i].answer);
     } catch (error) {
-      console.error(`[Gemini Filler] AI error for checkbox "${question}":`, error);
-      return;
+      console.error(`[Preview] Failed to write "${field.question}":`, error);
     }
-
-    if (!answer) {
-      return;
+    if (written) {
+      recordAnswerSource(entries[i].source);
+    } else {
+      missingFields.push({ question: field.question, reason: `Nie udało się wpisać "${entries[i].answer}"`, element: field.element });
     }
+  }
+}
 
-    // Check if answer is positive
-    const shouldCheck = answer.toLowerCase().includes('yes') ||
-                       answer.toLowerCase().includes('tak') ||
-                       answer.toLowerCase().includes('true');
+/**
+ * Collect fields (this document and child frames) and resolve proposed answers without touching the form.
+ * Learned answers, consent policies and documents are looked up first - only the rest goes to one AI batch.
+ * @param {Object} userData - User data
+ */
+async function previewFormWithAI(userData) {
+  const entries = [];
+  for (const field of collectPreviewFields(deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR))) {
+    entries.push({ field, proposal: await getLocalPreviewProposal(field) });
+  }
 
-    if (shouldCheck !== checkboxElement.checked) {
-      checkboxElement.checked = shouldCheck;
-      checkboxElement.dispatchEvent(new Event('change', { bubbles: true }));
-      checkboxElement.dispatchEvent(new Event('input', { bubbles: true }));
-      checkboxElement.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  // Child frames resolve their local proposals themselves and send plain descriptors
+  const frameBatches = window === window.top ? await collectFrameFields({ preview: true }) : [];
+  for (const frameBatch of frameBatches) {
+    frameBatch.questions.forEach((descriptor, index) => {
+      entries.push({ field: { ...descriptor, frameBatch, frameIndex: index }, proposal: descriptor.proposal });
+    });
+  }
 
-      console.log(`[Gemini Filler] Checkbox "${question}" set to: ${shouldCheck}`);
-    }
-  } catch (error) {
-    console.error('[Gemini Filler] Error handling checkbox:', error);
+  if (entries.length === 0) {
+    throw new Error('Nie znaleziono pól do podglądu');
   }
-}
 
-async function handleCustomResumeButtons(processedElements) {
-  try {
-    // First check if ANY file input already has files - if so, skip all custom buttons
-    const allFileInputs = document.querySelectorAll('input[type="file"]');
-    for (const fi of allFileInputs) {
-      if (fi.files && fi.files.length > 0) {
-        console.log('[Gemini Filler] File input already has files, skipping all custom upload buttons');
-        return;
-      }
+  const pending = entries.filter(entry => !entry.proposal);
+  console.log(`[Preview] ${entries.length} field(s), ${pending.length} sent to the AI batch (${frameBatches.length} child frame(s))`);
+  const batchAnswers = pending.length > 0
+    ? await getBatchAIResponse(pending.map(entry => entry.field.batchQuestion), userData)
+    : {};
+
+  pending.forEach((entry, i) => {
+    const resolved = resolveBatchAnswer(entry.field, batchAnswers[i], userData);
+    if (!resolved.answer) {
+      entry.proposal = { answer: '', source: null, confidence: 0 };
+      return;
     }
+    const selfReported = (resolved.source === 'ai' || resolved.source === 'cache') && batchAnswers[i].confidence !== null;
+    const confidence = selfReported
+      ? batchAnswers[i].confidence
+      : PREVIEW_SOURCE_CONFIDENCE[resolved.source] || 0;
+    entry.proposal = { answer: resolved.answer, source: resolved.source, confidence };
+  });
 
-    // Look for custom div-based upload buttons (like the one in the example)
-    // These are typically divs or spans with specific classes and text content
-    const customUploadSelectors = [
-      '.attachmentBtn',
-      '.addAttachments',
-      '[class*="upload"]',
-      'div[role="button"][aria-label*="Resume"]',
-      'div[role="button"][aria-label*="CV"]',
-      'span[role="button"][aria-label*="Resume"]',
-      'span[role="button"][aria-label*="CV"]'
-    ];
+  const rows = entries.map(({ field, proposal }) => ({ field, ...proposal, approved: !!proposal.answer }));
+  showPreviewPanel(rows, userData);
+}
 
-    for (const selector of customUploadSelectors) {
-      const buttons = document.querySelectorAll(selector);
+/**
+ * Render the editable preview panel
+ * @param {Array<Object>} rows - { field, answer, source, confidence, approved }
+ * @param {Object} userData - User data
+ */
+function showPreviewPanel(rows, userData) {
+  document.getElementById('gemini-filler-preview-panel')?.remove();
 
-      for (const button of buttons) {
-        // Skip if already processed
-        if (processedElements.has(button)) {
-          continue;
-        }
+  const panel = document.createElement('div');
+  panel.id = 'gemini-filler-preview-panel';
+  panel.style.cssText = `
+    position: fixed;
+    top: 0;
+    right: 0;
+    width: 420px;
+    max-width: 100vw;
+    height: 100vh;
+    background: white;
+    border-left: 2px solid #4CAF50;
+    box-shadow: -6px 0 30px rgba(0,0,0,0.25);
+    z-index: 999999;
+    display: flex;
+    flex-direction: column;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    color: #333;
+  `;
 
-        // Check if this looks like a resume upload button
-        const buttonText = button.textContent?.toLowerCase() || '';
-        const ariaLabel = button.getAttribute('aria-label')?.toLowerCase() || '';
-        const ariaLabelledBy = button.getAttribute('aria-labelledby');
-        let labelText = '';
+  panel.innerHTML = `
+    <div style="padding: 16px 20px; border-bottom: 1px solid #e0e0e0;">
+      <h2 style="margin: 0 0 4px; font-size: 18px; color: #4CAF50;">👁 Podgląd odpowiedzi</h2>
+      <div style="font-size: 12px; color: #666;">Popraw odpowiedzi i odznacz te, których nie chcesz wpisywać. Nic nie zostało jeszcze zapisane w formularzu.</div>
+    </div>
+    <div class="preview-rows" style="flex: 1; overflow-y: auto; padding: 8px 20px;"></div>
+    <div style="padding: 12px 20px; border-top: 1px solid #e0e0e0; display: flex; gap: 8px;">
+      <button id="preview-apply-btn" style="flex: 1; padding: 10px; background: #4CAF50; color: white; border: none; border-radius: 6px; cursor: pointer; font-weight: bold;"></button>
+      <button id="preview-cancel-btn" style="padding: 10px 16px; background: #f5f5f5; color: #333; border: 1px solid #ddd; border-radius: 6px; cursor: pointer;">Anuluj</button>
+    </div>
+  `;
 
-        if (ariaLabelledBy) {
-          const labelElement = document.getElementById(ariaLabelledBy);
-          labelText = labelElement?.textContent?.toLowerCase() || '';
-        }
+  const list = panel.querySelector('.preview-rows');
+  const applyBtn = panel.querySelector('#preview-apply-btn');
+  const updateApplyLabel = () => {
+    applyBtn.textContent = `Zastosuj zaznaczone (${rows.filter(row => row.approved && row.answer).length})`;
+  };
 
-        const combinedText = `${buttonText} ${ariaLabel} ${labelText}`;
-        const resumeKeywords = ['resume', 'cv', 'curriculum', 'życiorys', 'załącz'];
+  rows.forEach(row => {
+    const item = document.createElement('div');
+    item.style.cssText = 'padding: 10px 0; border-bottom: 1px solid #f0f0f0;';
+
+    const header = document.createElement('label');
+    header.style.cssText = 'display: flex; align-items: flex-start; gap: 8px; font-size: 13px; font-weight: 600; cursor: pointer;';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = row.approved;
+    checkbox.addEventListener('change', () => {
+      row.approved = checkbox.checked;
+      updateApplyLabel();
+    });
+    const question = document.createElement('span');
+    question.textContent = row.field.frameBatch ? `${row.field.question} (ramka: ${row.field.frameBatch.label})` : row.field.question;
+    header.append(checkbox, question);
+
+    // Selects, radio groups and checkboxes get their own options so the edited answer always matches one of them
+    let editor;
+    const options = Array.isArray(row.field.metadata.options) ? row.field.metadata.options.filter(opt => typeof opt === 'string') : [];
+    if (['select', 'radio', 'checkbox'].includes(row.field.metadata.type) && options.length > 0) {
+      editor = document.createElement('select');
+      const matched = fuzzyMatch(row.answer, options);
+      ['', ...options].forEach(optionText => {
+        const option = document.createElement('option');
+        option.value = optionText;
+        option.textContent = optionText || '-- brak --';
+        option.selected = optionText === (matched || '');
+        editor.appendChild(option);
+      });
+      row.answer = matched || '';
+    } else {
+      const isLongText = row.field.element?.tagName === 'TEXTAREA' || ['textarea', 'richtext'].includes(row.field.metadata.type);
+      editor = document.createElement(isLongText ? 'textarea' : 'input');
+      editor.value = row.answer || '';
+      if (editor.tagName === 'TEXTAREA') editor.rows = 3;
+      // The document is picked from the library - it can only be approved or left out
+      if (row.field.kind === 'file') editor.readOnly = true;
+    }
+    editor.style.cssText = 'width: 100%; box-sizing: border-box; margin-top: 6px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 13px;';
+    editor.addEventListener(editor.tagName === 'SELECT' ? 'change' : 'input', () => {
+      row.answer = editor.value;
+      if (row.answer && !checkbox.checked) {
+        checkbox.checked = true;
+        row.approved = true;
+      }
+      updateApplyLabel();
+    });
 
-        // CRITICAL: Never click submit/send buttons!
-        const submitKeywords = ['submit', 'send', 'wyślij', 'aplikuj', 'apply', 'prześlij'];
-        const isSubmitButton = submitKeywords.some(keyword => combinedText.includes(keyword));
+    const meta = document.createElement('div');
+    meta.style.cssText = 'font-size: 11px; color: #888; margin-top: 4px;';
+    meta.textContent = row.source
+      ? `Źródło: ${PREVIEW_SOURCE_LABELS[row.source] || row.source} • Pewność: ${Math.round(row.confidence * 100)}%`
+      : 'Brak propozycji - wpisz odpowiedź ręcznie';
 
-        // Also check if it's an actual submit button element
-        const isSubmitElement = (button.tagName === 'BUTTON' && button.type === 'submit') ||
-                               (button.tagName === 'INPUT' && button.type === 'submit');
+    item.append(header, editor, meta);
+    list.appendChild(item);
+  });
 
-        if (isSubmitButton || isSubmitElement) {
-          console.log('[Gemini Filler] SKIPPING button - appears to be a submit button:', combinedText);
-          continue;
-        }
+  updateApplyLabel();
 
-        if (resumeKeywords.some(keyword => combinedText.includes(keyword))) {
-          console.log('[Gemini Filler] Found custom resume upload button:', button);
-          console.log('[Gemini Filler] Combined text:', combinedText);
+  applyBtn.addEventListener('click', async () => {
+    panel.remove();
+    await applyPreviewRows(rows, userData);
+  });
+  panel.querySelector('#preview-cancel-btn').addEventListener('click', () => {
+    console.log('[Preview] Cancelled - nothing was written to the form');
+    panel.remove();
+  });
 
-          // Check if there's already a file input with files attached nearby
-          const nearbyFileInputs = button.closest('form, [class*="upload"], [class*="file"]')?.querySelectorAll('input[type="file"]') || [];
-          let alreadyHasFile = false;
-          for (const fi of nearbyFileInputs) {
-            if (fi.files && fi.files.length > 0) {
-              console.log('[Gemini Filler] File input already has files, skipping button click');
-              alreadyHasFile = true;
-              break;
-            }
-          }
+  document.body.appendChild(panel);
+}
 
-          if (alreadyHasFile) {
-            processedElements.add(button);
-            continue;
-          }
+/**
+ * Write the approved preview rows to the form (and to the child frames that own them) and show the summary
+ * @param {Array<Object>} rows - Rows from showPreviewPanel
+ * @param {Object} userData - User data
+ */
+async function applyPreviewRows(rows, userData) {
+  const startTime = Date.now();
+  const isApproved = row => row.approved && row.answer;
+  const approvedLocal = rows.filter(row => isApproved(row) && !row.field.frameBatch);
+
+  const missingFields = rows
+    .filter(row => !isApproved(row))
+    .map(row => ({
+      question: row.field.question,
+      reason: row.answer ? 'Odrzucone w podglądzie' : 'Brak danych w bazie wiedzy',
+      element: row.field.element,
+      frame: row.field.frameBatch ? row.field.frameBatch.label : undefined
+    }));
 
-          processedElements.add(button);
+  // Frame rows travel as one answer array per frame, unapproved ones stay null
+  const frameBatches = [...new Set(rows.filter(row => row.field.frameBatch).map(row => row.field.frameBatch))];
+  const frameAnswers = [];
+  frameBatches.forEach(frameBatch => {
+    frameBatch.offset = frameAnswers.length;
+    frameAnswers.push(...frameBatch.questions.map(() => null));
+  });
+  rows.filter(row => isApproved(row) && row.field.frameBatch).forEach(row => {
+    frameAnswers[row.field.frameBatch.offset + row.field.frameIndex] = { answer: row.answer, confidence: row.confidence, source: row.source };
+  });
 
-          try {
-            // Click the button to open the file picker
-            button.click();
-            console.log('[Gemini Filler] Clicked custom upload button, waiting for file input...');
+  console.log(`[Preview] Applying ${rows.filter(isApproved).length}/${rows.length} approved answer(s)`);
+  resetAnswerSources();
+  showOverlay('Wypełnianie w toku...');
+  startFillJournal();
+  let frameResults = [];
+  try {
+    const missingBefore = missingFields.length;
+    await applyPreviewAnswers(approvedLocal.map(row => row.field), approvedLocal, userData, missingFields);
+
+    if (frameBatches.length > 0) {
+      frameResults = [{
+        label: 'Strona główna',
+        filledFields: approvedLocal.length - (missingFields.length - missingBefore),
+        totalFields: approvedLocal.length
+      }];
+      frameResults.push(...await applyFrameAnswers(frameBatches, frameAnswers, userData, missingFields, { preview: true }));
+    }
+  } finally {
+    finishFillJournal();
+    hideOverlay();
+  }
 
-            // Wait for file input to appear (it might be dynamically created)
-            await new Promise(resolve => setTimeout(resolve, 1500)); // Increased to 1.5s
+  const elapsedTime = Math.round((Date.now() - startTime) / 1000);
+  showMissingFieldsSummary(missingFields, userData, rows.length - missingFields.length, rows.length, elapsedTime, frameResults);
+}
 
-            // Look for any newly appeared file inputs
-            const fileInputs = document.querySelectorAll('input[type="file"]');
-            console.log(`[Gemini Filler] Found ${fileInputs.length} file inputs after click`);
+// ==================== Wizard Mode ====================
+// Paginated applications (Workday, SuccessFactors, Teamtailor) show 3-6 steps behind a "Next" button.
+// Wizard mode fills a step, advances with the Next button and repeats - it never clicks the final Submit
 
-            let foundAndHandled = false;
-            for (const fileInput of fileInputs) {
-              const alreadyProcessed = processedElements.has(fileInput);
-              const inDom = document.contains(fileInput);
-              console.log('[Gemini Filler] Checking file input:', {
-                id: fileInput.id,
-                alreadyProcessed,
-                inDom,
-                offsetParent: fileInput.offsetParent,
-                displayStyle: fileInput.style.display
-              });
+const MAX_WIZARD_STEPS = 10;
+const WIZARD_STEP_TIMEOUT = 15000;
 
-              if (!alreadyProcessed && inDom) {
-                // Check if it's visible or in a modal/dialog
-                const isVisible = fileInput.offsetParent !== null ||
-                                 fileInput.closest('[role="dialog"]') !== null ||
-                                 fileInput.closest('.modal') !== null;
+// Site-specific Next buttons, checked before the generic text match
+const WIZARD_NEXT_SELECTORS = [
+  '[data-automation-id="bottom-navigation-next-button"]',  // Workday
+  '[data-automation-id="pageFooterNextButton"]',            // Workday (older)
+  'button[data-qa="next-step"]',
+  'button[name="next"]'
+];
 
-                if (isVisible || fileInput.style.display !== 'none') {
-                  console.log('[Gemini Filler] Found valid file input, attempting to attach CV...');
-                  await handleFileInput(fileInput);
-                  processedElements.add(fileInput);
-                  foundAndHandled = true;
-                  break; // Only handle the first one
-                } else {
-                  console.log('[Gemini Filler] File input not visible, skipping');
-                }
-              }
-            }
+const WIZARD_NEXT_KEYWORDS = ['next', 'continue', 'dalej', 'następny', 'następna', 'kontynuuj', 'przejdź dalej', 'weiter', 'siguiente'];
 
-            if (!foundAndHandled && fileInputs.length === 0) {
-              console.warn('[Gemini Filler] No file inputs found after clicking custom button. May need to manually trigger.');
-            }
-          } catch (error) {
-            console.error('[Gemini Filler] Error handling custom upload button:', error);
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error('[Gemini Filler] Error in handleCustomResumeButtons:', error);
-  }
-}
+// Anything that could send the application - wizard mode must never click these
+const WIZARD_SUBMIT_KEYWORDS = ['submit', 'send', 'wyślij', 'aplikuj', 'apply', 'prześlij', 'złóż', 'zatwierdź', 'finish', 'zakończ', 'bewerben', 'absenden'];
 
-async function handleFileInput(fileInputElement) {
-  try {
-    const cvData = await getCvFromStorage();
-    if (!cvData) {
-      console.log('[Gemini Filler] No CV found in storage.');
-      return;
+/**
+ * Fill a multi-step application: every step is filled with fillFormWithAI, then the wizard advances
+ * until there is no Next button, the step doesn't change (e.g. validation errors) or the step limit is hit
+ * @param {Object} userData - User data
+ */
+async function fillWizardForm(userData) {
+  const startTime = Date.now();
+  const missingFields = [];
+  resetAnswerSources();
+  const stepResults = [];
+  let filledFields = 0;
+  let totalFields = 0;
+
+  for (let step = 1; step <= MAX_WIZARD_STEPS; step++) {
+    updateOverlayText(`Wypełnianie w toku... (krok ${step})`);
+    console.log(`[Wizard] Filling step ${step}`);
+
+    const stats = await fillFormWithAI(userData, { showSummary: false, startTime });
+    const stepMissing = stats ? stats.missingFields : [];
+    stepMissing.forEach(field => missingFields.push({ ...field, step }));
+    filledFields += stats ? stats.filledFields : 0;
+    totalFields += stats ? stats.totalFields : 0;
+
+    const stepResult = {
+      step,
+      filledFields: stats ? stats.filledFields : 0,
+      totalFields: stats ? stats.totalFields : 0
+    };
+    stepResults.push(stepResult);
+
+    const nextButton = findWizardNextButton();
+    if (!nextButton) {
+      console.log(`[Wizard] No Next button on step ${step} - last step reached`);
+      stepResult.stopReason = 'Ostatni krok - sprawdź dane i wyślij formularz ręcznie';
+      break;
     }
 
-    // Validate file element is still valid
-    if (!document.contains(fileInputElement)) {
-      console.warn('[Gemini Filler] File input element no longer in DOM');
-      return;
+    if (step === MAX_WIZARD_STEPS) {
+      console.warn(`[Wizard] Step limit (${MAX_WIZARD_STEPS}) reached`);
+      stepResult.stopReason = `Osiągnięto limit ${MAX_WIZARD_STEPS} kroków`;
+      break;
     }
 
-    // Check if files already attached
-    if (fileInputElement.files && fileInputElement.files.length > 0) {
-      console.log('[Gemini Filler] File input already has files, skipping');
-      return;
+    const signature = getWizardStepSignature();
+    console.log(`[Wizard] Clicking Next: "${getButtonText(nextButton)}"`);
+    nextButton.click();
+
+    const advanced = await waitForWizardStep(signature);
+    if (!advanced) {
+      console.warn(`[Wizard] Step ${step} did not change after clicking Next - stopping`);
+      stepResult.stopReason = `Kreator zatrzymał się na kroku ${step} - sprawdź błędy walidacji na stronie`;
+      break;
     }
+  }
 
-    const file = new File([cvData.blob], cvData.name, { type: cvData.type });
-    const dataTransfer = new DataTransfer();
-    dataTransfer.items.add(file);
-    fileInputElement.files = dataTransfer.files;
+  const elapsedTime = Math.round((Date.now() - startTime) / 1000);
+  console.log(`[Wizard] Done: ${stepResults.length} step(s), filled=${filledFields}/${totalFields}, elapsed=${elapsedTime}s`);
+  showMissingFieldsSummary(missingFields, userData, filledFields, totalFields, elapsedTime, [], stepResults);
+}
 
-    // Dispatch multiple events to ensure frameworks pick up the change
-    // Focus first for some frameworks
-    fileInputElement.focus();
+/**
+ * Visible text of a button-like element
+ * @param {HTMLElement} button
+ * @returns {string}
+ */
+function getButtonText(button) {
+  return (button.textContent || button.value || button.getAttribute('aria-label') || '').trim();
+}
 
-    // Standard change event
-    fileInputElement.dispatchEvent(new Event('change', { bubbles: true }));
-    fileInputElement.dispatchEvent(new Event('input', { bubbles: true }));
+/**
+ * Find the button that advances the wizard to the next step (never a Submit button)
+ * @returns {HTMLElement|null}
+ */
+function findWizardNextButton() {
+  const isUsable = (button) => button.offsetParent !== null &&
+    !button.disabled &&
+    button.getAttribute('aria-disabled') !== 'true' &&
+    !button.closest('#gemini-filler-overlay, #gemini-filler-summary-modal');
+
+  const isSubmit = (button) => {
+    const text = getButtonText(button).toLowerCase();
+    if (WIZARD_SUBMIT_KEYWORDS.some(keyword => text.includes(keyword))) return true;
+    // A submit-type button without a Next label ("OK", an icon) sends the form on the last step
+    const submitsForm = (button.tagName === 'BUTTON' || button.tagName === 'INPUT') && button.type === 'submit';
+    return submitsForm && !WIZARD_NEXT_KEYWORDS.some(keyword => text.includes(keyword));
+  };
 
-    // Try React-specific approach
-    const reactKey = Object.keys(fileInputElement).find(key => key.startsWith('__reactProps'));
-    if (reactKey && fileInputElement[reactKey]?.onChange) {
-      console.log('[Gemini Filler] Triggering React onChange for file input');
-      fileInputElement[reactKey].onChange({ target: fileInputElement });
+  for (const selector of WIZARD_NEXT_SELECTORS) {
+    const button = deepQuerySelectorAll(selector).find(isUsable);
+    if (button && !isSubmit(button)) {
+      return button;
     }
+  }
 
-    // Blur to trigger validation
-    fileInputElement.blur();
+  const candidates = deepQuerySelectorAll('button, input[type="submit"], input[type="button"], a[role="button"], [role="button"]')
+    .filter(button => isUsable(button) && !isSubmit(button));
 
-    // Verify files were set
-    if (fileInputElement.files && fileInputElement.files.length > 0) {
-      console.log(`[Gemini Filler] CV "${cvData.name}" attached to file input. Files: ${fileInputElement.files.length}`);
-    } else {
-      console.warn('[Gemini Filler] Files property not updated after DataTransfer - framework may intercept');
+  for (const button of candidates) {
+    const text = getButtonText(button).toLowerCase();
+    // Short labels only - long texts are usually content links mentioning "continue"
+    if (text.length > 0 && text.length <= 30 && WIZARD_NEXT_KEYWORDS.some(keyword => text.includes(keyword))) {
+      return button;
     }
-  } catch (error) {
-    console.error('[Gemini Filler] Failed to attach CV:', error);
-    // Don't throw - just log the error and continue with other fields
   }
+
+  return null;
 }
 
+/**
+ * Signature of the current step - URL plus the set of visible fields
+ * @returns {string}
+ */
+function getWizardStepSignature() {
+  const fields = deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR)
+    .filter(element => element.offsetParent !== null)
+    .map(element => `${element.tagName}:${element.name || element.id || getQuestionForInput(element) || ''}`);
+
+  return `${location.href}|${fields.join(',')}`;
+}
+
+/**
+ * Wait until the wizard renders a different step
+ * @param {string} previousSignature - Signature of the step before clicking Next
+ * @param {number} timeout - Max wait in ms
+ * @returns {Promise<boolean>} True if the step changed, false on timeout
+ */
+function waitForWizardStep(previousSignature, timeout = WIZARD_STEP_TIMEOUT) {
+  return new Promise((resolve) => {
+    let settleTimer = null;
+
+    const finish = (advanced) => {
+      clearTimeout(settleTimer);
+      clearTimeout(timeoutId);
+      observer.disconnect();
+      resolve(advanced);
+    };
+
+    // Wait for the DOM to settle before comparing - SPAs render a step in several passes
+    const check = () => {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => {
+        if (getWizardStepSignature() !== previousSignature) {
+          finish(true);
+        }
+      }, 800);
+    };
+
+    const observer = new MutationObserver(check);
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['style', 'class', 'hidden'] });
+
+    const timeoutId = setTimeout(() => finish(getWizardStepSignature() !== previousSignature), timeout);
+    check();
+  });
+}
 
 // --- Overlay Functions ---
 
@@ -3209,6 +6658,24 @@ function extractJobInfoFromPage() {
     source: window.location.hostname
   };
 
+  // schema.org JobPosting is more reliable than guessing from class names
+  const jobPosting = findJsonLdJobPosting();
+  if (jobPosting) {
+    const organization = jobPosting.hiringOrganization;
+    const place = [].concat(jobPosting.jobLocation || [])[0];
+    const salary = jobPosting.baseSalary;
+    const salaryValue = salary && typeof salary.value === 'object' ? salary.value : { value: salary && salary.value };
+
+    jobInfo.job_title = String(jobPosting.title || '').trim();
+    jobInfo.company = String((organization && typeof organization === 'object' ? organization.name : organization) || '').trim();
+    const address = place && place.address;
+    jobInfo.location = String((address && typeof address === 'object' ? address.addressLocality : address) || '').trim();
+    if (salaryValue.minValue || salaryValue.value) {
+      const range = salaryValue.maxValue ? `${salaryValue.minValue}-${salaryValue.maxValue}` : `${salaryValue.minValue || salaryValue.value}`;
+      jobInfo.salary = [range, salary.currency, salaryValue.unitText].filter(Boolean).join(' ');
+    }
+  }
+
   // Try to extract job title
   const titleSelectors = [
     'h1[class*="job"]',
@@ -3221,6 +6688,7 @@ function extractJobInfoFromPage() {
   ];
 
   for (const selector of titleSelectors) {
+    if (jobInfo.job_title) break;
     const elem = document.querySelector(selector);
     if (elem && elem.textContent.trim()) {
       jobInfo.job_title = elem.textContent.trim();
@@ -3239,6 +6707,7 @@ function extractJobInfoFromPage() {
   ];
 
   for (const selector of companySelectors) {
+    if (jobInfo.company) break;
     const elem = document.querySelector(selector);
     if (elem && elem.textContent.trim()) {
       jobInfo.company = elem.textContent.trim();
@@ -3255,6 +6724,7 @@ function extractJobInfoFromPage() {
   ];
 
   for (const selector of locationSelectors) {
+    if (jobInfo.location) break;
     const elem = document.querySelector(selector);
     if (elem && elem.textContent.trim()) {
       jobInfo.location = elem.textContent.trim();
@@ -3271,6 +6741,7 @@ function extractJobInfoFromPage() {
   ];
 
   for (const selector of salarySelectors) {
+    if (jobInfo.salary) break;
     const elem = document.querySelector(selector);
     if (elem && elem.textContent.trim()) {
       jobInfo.salary = elem.textContent.trim();
@@ -3456,6 +6927,13 @@ function showErrorOverlay(errorMessage) {
   }
 }
 
+function updateOverlayText(text) {
+  const message = document.querySelector('#gemini-filler-modal p');
+  if (message) {
+    message.textContent = text;
+  }
+}
+
 function hideOverlay() {
   const overlay = document.getElementById('gemini-filler-overlay');
   if (overlay) {
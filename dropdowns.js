@@ -0,0 +1,390 @@
+// ==================== Dropdown Drivers ====================
+// Library-specific handlers for searchable selects (React-Select, MUI Autocomplete, Select2, Chosen, Ant Design).
+// These render options only after the control is opened or after typing, so the generic
+// fillCustomDropdown() "click, wait 500 ms, scan [role=listbox]" approach misses them.
+// Loaded after content.js - getAIResponse, findBestMatch and recordFieldState are used from there.
+
+const DROPDOWN_DRIVERS = [];
+
+const DROPDOWN_OPTIONS_TIMEOUT = 3000;
+const DROPDOWN_SETTLE_DELAY = 250;
+
+/**
+ * Register a dropdown driver
+ * @param {Object} driver - {
+ *   name,
+ *   matches(element): boolean - element is the field seen by the form scan (input or hidden <select>),
+ *   isInternal(element): boolean - library-generated inputs the form scan must skip (optional),
+ *   open(element), getSearchInput(element): HTMLInputElement|null,
+ *   getOptionElements(element): Array<HTMLElement>, choose(option) (optional, defaults to click),
+ *   getSelectedText(element): string
+ * }
+ */
+function registerDropdownDriver(driver) {
+  DROPDOWN_DRIVERS.push(driver);
+}
+
+/**
+ * Find the driver that handles this field
+ * @param {HTMLElement} element
+ * @returns {Object|null} Matching driver
+ */
+function getDropdownDriver(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+  return DROPDOWN_DRIVERS.find(driver => {
+    try {
+      return driver.matches(element);
+    } catch (error) {
+      console.warn(`[Dropdown Driver] ${driver.name}: matches() failed`, error);
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Whether the element is a search box generated by a dropdown library (filled through the driver instead)
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isDropdownDriverInput(element) {
+  return DROPDOWN_DRIVERS.some(driver => driver.isInternal && driver.isInternal(element));
+}
+
+// ==================== Driver Engine ====================
+
+function dispatchMouse(element, types) {
+  types.forEach(type => {
+    element.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window, button: 0 }));
+  });
+}
+
+/**
+ * Type into a dropdown search box - native setter so React/MUI/AntD see the change, keyup for jQuery plugins
+ * @param {HTMLInputElement} input
+ * @param {string} text
+ */
+function typeDropdownSearch(input, text) {
+  input.focus();
+  setNativeValue(input, text);
+
+  const inputEvent = new Event('input', { bubbles: true });
+  inputEvent._autofilledByExtension = true;
+  input.dispatchEvent(inputEvent);
+  input.dispatchEvent(new KeyboardEvent('keyup', { key: text.slice(-1) || 'a', bubbles: true }));
+}
+
+/**
+ * Wait until the driver reports options and the DOM has stopped changing (async search results)
+ * @param {Object} driver
+ * @param {HTMLElement} element
+ * @param {number} timeout - Max wait in ms
+ * @returns {Promise<Array<HTMLElement>>} Option elements (empty on timeout)
+ */
+function waitForDropdownOptions(driver, element, timeout = DROPDOWN_OPTIONS_TIMEOUT) {
+  return new Promise((resolve) => {
+    let settleTimer = null;
+
+    const finish = () => {
+      observer.disconnect();
+      clearTimeout(timeoutId);
+      clearTimeout(settleTimer);
+      resolve(driver.getOptionElements(element));
+    };
+
+    const check = () => {
+      clearTimeout(settleTimer);
+      if (driver.getOptionElements(element).length > 0) {
+        settleTimer = setTimeout(finish, DROPDOWN_SETTLE_DELAY);
+      }
+    };
+
+    const observer = new MutationObserver(check);
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    const timeoutId = setTimeout(finish, timeout);
+    check();
+  });
+}
+
+function getOptionTexts(optionElements) {
+  return optionElements
+    .map(opt => opt && opt.textContent ? opt.textContent.trim() : '')
+    .filter(Boolean);
+}
+
+function closeDropdown(element) {
+  element.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+  document.body.click();
+}
+
+/**
+ * Open the control, type the answer to filter and click the option chosen by findBestMatch
+ * @param {Object} driver
+ * @param {HTMLElement} element - Field matched by the driver
+ * @param {string} answer - Text to select
+ * @param {boolean} alreadyOpen - Skip opening (fillWithDropdownDriver opened it to read options)
+ * @returns {Promise<boolean>} Success status
+ */
+async function selectWithDropdownDriver(driver, element, answer, alreadyOpen = false) {
+  if (!alreadyOpen) {
+    driver.open(element);
+    await waitForDropdownOptions(driver, element, 1000);
+  }
+
+  const searchInput = driver.getSearchInput(element);
+  let optionElements = driver.getOptionElements(element);
+
+  if (searchInput) {
+    // Full answer first, then its first word - async sources often match only a prefix
+    const firstWord = String(answer).split(/[\s,(/-]+/)[0];
+    const searchTerms = [String(answer), firstWord].filter((term, i, all) => term && term.length >= 2 && all.indexOf(term) === i);
+
+    for (const term of searchTerms) {
+      typeDropdownSearch(searchInput, term);
+      optionElements = await waitForDropdownOptions(driver, element);
+      if (optionElements.length > 0) break;
+    }
+  }
+
+  const optionTexts = getOptionTexts(optionElements);
+  const matchedText = findBestMatch(answer, optionTexts);
+  const matchedOption = matchedText && optionElements.find(opt => opt.textContent.trim() === matchedText);
+
+  if (!matchedOption) {
+    console.warn(`[Dropdown Driver] ${driver.name}: no option for "${answer}" in`, optionTexts.slice(0, 10));
+    if (searchInput) typeDropdownSearch(searchInput, '');
+    closeDropdown(element);
+    return false;
+  }
+
+  matchedOption.scrollIntoView({ block: 'nearest' });
+  if (driver.choose) {
+    driver.choose(matchedOption);
+  } else {
+    matchedOption.click();
+  }
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  console.log(`[Dropdown Driver] ${driver.name}: selected "${matchedText}" for answer "${answer}"`);
+  return true;
+}
+
+/**
+ * Fill a driver-handled dropdown: read the options, ask for an answer, select it
+ * @param {Object} driver
+ * @param {HTMLElement} element - Field matched by the driver
+ * @param {Object} userData - User data for AI
+ * @param {string} question - Question text for the field
+ * @returns {Promise<boolean>} Success status
+ */
+async function fillWithDropdownDriver(driver, element, userData, question) {
+  try {
+    console.log(`[Dropdown Driver] ${driver.name}: opening for "${question}"`);
+    recordFieldState(element);
+    driver.open(element);
+
+    // Search-only controls (async options) show nothing until typing - ask without options then
+    const optionTexts = getOptionTexts(await waitForDropdownOptions(driver, element, 1500));
+    const result = await getAIResponse(question, userData, optionTexts.length > 0 ? optionTexts : null);
+
+    if (!result.answer) {
+      console.warn(`[Dropdown Driver] ${driver.name}: no answer for "${question}"`);
+      closeDropdown(element);
+      return false;
+    }
+
+    console.log(`[Dropdown Driver] ${driver.name}: answer "${result.answer}" (source: ${result.source})`);
+    return await selectWithDropdownDriver(driver, element, result.answer, true);
+  } catch (error) {
+    console.error(`[Dropdown Driver] ${driver.name} error:`, error);
+    return false;
+  }
+}
+
+// ==================== React-Select ====================
+
+registerDropdownDriver({
+  name: 'React-Select',
+
+  matches(element) {
+    return element.tagName === 'INPUT' && /^react-select-[\w-]+-input$/.test(element.id);
+  },
+
+  open(element) {
+    const control = element.closest('[class*="control"]') || element.parentElement;
+    element.focus();
+    dispatchMouse(control, ['mousedown']);
+  },
+
+  getSearchInput(element) {
+    return element.readOnly ? null : element;
+  },
+
+  getOptionElements(element) {
+    // Options are "<instanceId>-option-<n>", also when rendered in a menu portal
+    const prefix = element.id.replace(/-input$/, '-option-');
+    return Array.from(document.querySelectorAll(`[id^="${CSS.escape(prefix)}"]`));
+  },
+
+  getSelectedText(element) {
+    const container = element.closest('[class*="container"]');
+    const values = container ? container.querySelectorAll('[class*="singleValue"], [class*="multiValue"] [class*="label"]') : [];
+    return Array.from(values).map(value => value.textContent.trim()).join(', ');
+  }
+});
+
+// ==================== MUI Autocomplete ====================
+
+registerDropdownDriver({
+  name: 'MUI Autocomplete',
+
+  matches(element) {
+    return element.tagName === 'INPUT' &&
+      (element.classList.contains('MuiAutocomplete-input') || !!element.closest('.MuiAutocomplete-root'));
+  },
+
+  open(element) {
+    element.focus();
+    dispatchMouse(element, ['mousedown']);
+  },
+
+  getSearchInput(element) {
+    return element;
+  },
+
+  getOptionElements(element) {
+    const listbox = (element.id && getElementByIdDeep(`${element.id}-listbox`, element)) ||
+      document.querySelector('.MuiAutocomplete-popper [role="listbox"]');
+    return listbox ? Array.from(listbox.querySelectorAll('[role="option"]')) : [];
+  },
+
+  getSelectedText(element) {
+    const chips = element.closest('.MuiAutocomplete-root')?.querySelectorAll('.MuiChip-label') || [];
+    return chips.length > 0 ? Array.from(chips).map(chip => chip.textContent.trim()).join(', ') : element.value;
+  }
+});
+
+// ==================== Select2 ====================
+
+function getSelect2Container(select) {
+  const sibling = select.nextElementSibling;
+  return sibling && sibling.classList.contains('select2-container') ? sibling : null;
+}
+
+registerDropdownDriver({
+  name: 'Select2',
+
+  matches(element) {
+    return element.tagName === 'SELECT' && element.classList.contains('select2-hidden-accessible') && !!getSelect2Container(element);
+  },
+
+  isInternal(element) {
+    return element.tagName === 'INPUT' && !!element.closest('.select2-container');
+  },
+
+  open(element) {
+    const selection = getSelect2Container(element)?.querySelector('.select2-selection');
+    if (!selection) return;
+    // Single selection toggles on mousedown, multiple on click
+    dispatchMouse(selection, selection.classList.contains('select2-selection--multiple') ? ['click'] : ['mousedown']);
+  },
+
+  getSearchInput(element) {
+    return document.querySelector('.select2-container--open .select2-search__field') ||
+      getSelect2Container(element)?.querySelector('.select2-search__field') || null;
+  },
+
+  getOptionElements(element) {
+    const results = (element.id && document.getElementById(`select2-${element.id}-results`)) ||
+      document.querySelector('.select2-container--open .select2-results__options');
+    return results
+      ? Array.from(results.querySelectorAll('.select2-results__option')).filter(opt =>
+        !opt.classList.contains('loading-results') && !opt.classList.contains('select2-results__message') && opt.getAttribute('aria-disabled') !== 'true')
+      : [];
+  },
+
+  choose(option) {
+    dispatchMouse(option, ['mouseup', 'click']);
+  },
+
+  getSelectedText(element) {
+    return Array.from(element.selectedOptions).map(opt => opt.text.trim()).join(', ');
+  }
+});
+
+// ==================== Chosen ====================
+
+function getChosenContainer(select) {
+  const sibling = select.nextElementSibling;
+  return sibling && sibling.classList.contains('chosen-container') ? sibling : null;
+}
+
+registerDropdownDriver({
+  name: 'Chosen',
+
+  matches(element) {
+    return element.tagName === 'SELECT' && !!getChosenContainer(element);
+  },
+
+  isInternal(element) {
+    return element.tagName === 'INPUT' && !!element.closest('.chosen-container');
+  },
+
+  open(element) {
+    const container = getChosenContainer(element);
+    const trigger = container?.querySelector('.chosen-single, .chosen-choices');
+    if (trigger) dispatchMouse(trigger, ['mousedown']);
+  },
+
+  getSearchInput(element) {
+    return getChosenContainer(element)?.querySelector('.chosen-search input, .chosen-search-input') || null;
+  },
+
+  getOptionElements(element) {
+    const container = getChosenContainer(element);
+    return container ? Array.from(container.querySelectorAll('.chosen-results li.active-result')) : [];
+  },
+
+  choose(option) {
+    dispatchMouse(option, ['mouseup']);
+  },
+
+  getSelectedText(element) {
+    return Array.from(element.selectedOptions).map(opt => opt.text.trim()).join(', ');
+  }
+});
+
+// ==================== Ant Design Select ====================
+
+registerDropdownDriver({
+  name: 'Ant Design Select',
+
+  matches(element) {
+    return element.tagName === 'INPUT' && element.classList.contains('ant-select-selection-search-input');
+  },
+
+  open(element) {
+    const selector = element.closest('.ant-select')?.querySelector('.ant-select-selector');
+    element.focus();
+    if (selector) dispatchMouse(selector, ['mousedown']);
+  },
+
+  getSearchInput(element) {
+    // Non-searchable AntD selects render a readonly input
+    return element.readOnly ? null : element;
+  },
+
+  getOptionElements(element) {
+    const dropdown = (element.id && document.getElementById(`${element.id}_list`)?.closest('.ant-select-dropdown')) ||
+      document.querySelector('.ant-select-dropdown:not(.ant-select-dropdown-hidden)');
+    return dropdown
+      ? Array.from(dropdown.querySelectorAll('.ant-select-item-option:not(.ant-select-item-option-disabled)'))
+      : [];
+  },
+
+  getSelectedText(element) {
+    const items = element.closest('.ant-select')?.querySelectorAll('.ant-select-selection-item') || [];
+    return Array.from(items).map(item => item.textContent.trim()).join(', ');
+  }
+});
+
+console.log('[Dropdown Driver] Registered drivers:', DROPDOWN_DRIVERS.map(driver => driver.name).join(', '));
@@ -8,10 +8,24 @@ const cvUpload = document.getElementById('cv-upload');
 const cvStatusEl = document.getElementById('cv-status');
 const apiKeyInput = document.getElementById('api-key');
 const apiKeyStatusEl = document.getElementById('api-key-status');
+const answerCacheInfoEl = document.getElementById('answer-cache-info');
+const budgetRequestsInput = document.getElementById('budget-requests');
+const budgetCostInput = document.getElementById('budget-cost');
+const budgetStatusEl = document.getElementById('budget-status');
 const toggleApiKeyBtn = document.getElementById('toggle-api-key');
+const apiKeyLink = document.getElementById('api-key-link');
+const aiProviderSelect = document.getElementById('ai-provider');
+const aiBaseUrlGroup = document.getElementById('ai-base-url-group');
+const aiBaseUrlInput = document.getElementById('ai-base-url');
+const aiModelsInput = document.getElementById('ai-models');
 const useCustomPromptCheckbox = document.getElementById('use-custom-prompt');
 const customPromptContainer = document.getElementById('custom-prompt-container');
 const customPromptTextarea = document.getElementById('custom-prompt');
+const profileSelect = document.getElementById('profile-select');
+const siteRulesContainer = document.getElementById('site-rules-container');
+const consentPoliciesContainer = document.getElementById('consent-policies-container');
+const documentsContainer = document.getElementById('documents-container');
+const documentUpload = document.getElementById('document-upload');
 
 // --- Theme Management ---
 
@@ -234,7 +248,19 @@ function saveData() {
     statusEl.style.color = 'orange';
   }
 
-  chrome.storage.sync.set({ userData: newData }, () => {
+  // Default profile lives in chrome.storage.sync, the others in chrome.storage.local (sync items are capped at 8KB)
+  const storeData = (callback) => {
+    if (currentProfile === DEFAULT_PROFILE) {
+      chrome.storage.sync.set({ userData: newData }, callback);
+      return;
+    }
+    getUserProfiles().then(profiles => {
+      profiles[currentProfile] = newData;
+      chrome.storage.local.set({ userProfiles: profiles }, callback);
+    });
+  };
+
+  storeData(() => {
     // Check for storage errors
     if (chrome.runtime.lastError) {
       console.error('Error saving data:', chrome.runtime.lastError);
@@ -256,6 +282,215 @@ function saveData() {
   });
 }
 
+// --- Profiles ---
+// Named variants of "Twoje dane" (e.g. English CV data for international portals), picked per site by the site rules
+
+const DEFAULT_PROFILE = '';  // Stored as chrome.storage.sync 'userData'
+let currentProfile = DEFAULT_PROFILE;
+let profileNames = [];
+
+function getUserProfiles() {
+  return new Promise(resolve => {
+    chrome.storage.local.get('userProfiles', (result) => resolve(result.userProfiles || {}));
+  });
+}
+
+function showStatus(message, color, timeout = 3000) {
+  statusEl.textContent = message;
+  statusEl.style.color = color;
+  setTimeout(() => {
+    statusEl.textContent = '';
+    statusEl.style.color = '';
+  }, timeout);
+}
+
+function fillProfileSelect(select, selected) {
+  select.innerHTML = '';
+  [DEFAULT_PROFILE, ...profileNames].forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name || 'Domyślny';
+    select.appendChild(option);
+  });
+  // Rules pointing to a deleted profile fall back to the default one
+  select.value = profileNames.includes(selected) ? selected : DEFAULT_PROFILE;
+}
+
+async function loadProfiles() {
+  const profiles = await getUserProfiles();
+  profileNames = Object.keys(profiles).sort();
+  fillProfileSelect(profileSelect, currentProfile);
+  document.querySelectorAll('.site-rule-row .rule-profile').forEach(select => fillProfileSelect(select, select.value));
+}
+
+async function switchProfile(name) {
+  currentProfile = name;
+  if (name === DEFAULT_PROFILE) {
+    loadData();
+    return;
+  }
+
+  const profiles = await getUserProfiles();
+  const data = profiles[name] || {};
+  dataContainer.innerHTML = '';
+  for (const key in data) {
+    createDataRow(key, data[key]);
+  }
+}
+
+async function addProfile() {
+  const name = (prompt('Nazwa nowego profilu (np. "Frontend EN"):') || '').trim();
+  if (!name) return;
+
+  const profiles = await getUserProfiles();
+  if (profiles[name] || name === 'Domyślny') {
+    showStatus(`Błąd: Profil "${name}" już istnieje.`, 'red');
+    return;
+  }
+
+  // New profile starts as a copy of the data shown on screen
+  const data = {};
+  document.querySelectorAll('.data-row').forEach(row => {
+    const key = row.querySelector('.data-key').value.trim();
+    if (key) data[key] = row.querySelector('.data-value').value.trim();
+  });
+  profiles[name] = data;
+
+  await chrome.storage.local.set({ userProfiles: profiles });
+  currentProfile = name;
+  await loadProfiles();
+  showStatus(`Utworzono profil "${name}".`, 'green', 2000);
+}
+
+async function deleteProfile() {
+  if (currentProfile === DEFAULT_PROFILE) {
+    showStatus('Nie można usunąć profilu domyślnego.', 'red');
+    return;
+  }
+  if (!confirm(`Usunąć profil "${currentProfile}"?`)) return;
+
+  const profiles = await getUserProfiles();
+  delete profiles[currentProfile];
+  await chrome.storage.local.set({ userProfiles: profiles });
+
+  await switchProfile(DEFAULT_PROFILE);
+  await loadProfiles();
+}
+
+// --- Site Rules ---
+// Evaluated by content.js when an application form is detected (first matching pattern wins)
+
+const SITE_RULE_MODES = {
+  auto: 'Wypełnij automatycznie',
+  ask: 'Zapytaj (baner)',
+  never: 'Nigdy'
+};
+
+function createSiteRuleRow(rule = { pattern: '', mode: 'ask', profile: DEFAULT_PROFILE, wizard: false }) {
+  const row = document.createElement('div');
+  row.className = 'site-rule-row';
+  row.innerHTML = `
+    <input type="text" class="rule-pattern" placeholder="np. pracuj.pl">
+    <select class="rule-mode">
+      ${Object.entries(SITE_RULE_MODES).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+    </select>
+    <select class="rule-profile" title="Profil"></select>
+    <label><input type="checkbox" class="rule-wizard"> Kreator</label>
+    <button class="btn btn-danger btn-sm remove-rule">🗑️</button>
+  `;
+  row.querySelector('.rule-pattern').value = rule.pattern;
+  row.querySelector('.rule-mode').value = rule.mode;
+  row.querySelector('.rule-wizard').checked = !!rule.wizard;
+  fillProfileSelect(row.querySelector('.rule-profile'), rule.profile);
+  siteRulesContainer.appendChild(row);
+
+  row.querySelector('.remove-rule').addEventListener('click', () => {
+    row.remove();
+  });
+}
+
+function loadSiteRules() {
+  chrome.storage.sync.get('siteRules', (result) => {
+    siteRulesContainer.innerHTML = '';
+    (result.siteRules || []).forEach(rule => createSiteRuleRow(rule));
+  });
+}
+
+function saveSiteRules() {
+  const rules = Array.from(document.querySelectorAll('.site-rule-row'))
+    .map(row => ({
+      pattern: row.querySelector('.rule-pattern').value.trim(),
+      mode: row.querySelector('.rule-mode').value,
+      profile: row.querySelector('.rule-profile').value,
+      wizard: row.querySelector('.rule-wizard').checked
+    }))
+    .filter(rule => rule.pattern);
+
+  chrome.storage.sync.set({ siteRules: rules }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error saving site rules:', chrome.runtime.lastError);
+    }
+  });
+}
+
+// --- Consent Policies ---
+// Read by content.js handleCheckbox/handleRadioButton (defaults: DEFAULT_CONSENT_POLICIES there)
+
+const CONSENT_POLICY_OPTIONS = {
+  accept: 'Zaznacz',
+  decline: 'Odznacz / odmow',
+  skip: 'Pomin'
+};
+
+const CONSENT_CATEGORIES = {
+  required_privacy: { label: 'Wymagane zgody (RODO, regulamin, polityka prywatnosci)', default: 'accept', options: CONSENT_POLICY_OPTIONS },
+  future_recruitment: { label: 'Przyszle procesy rekrutacyjne', default: 'accept', options: CONSENT_POLICY_OPTIONS },
+  talent_pool: { label: 'Baza talentow / powiadomienia o ofertach', default: 'skip', options: CONSENT_POLICY_OPTIONS },
+  marketing: { label: 'Marketing i newsletter', default: 'decline', options: CONSENT_POLICY_OPTIONS },
+  eeo: {
+    label: 'Pytania EEO (plec, rasa, weteran, niepelnosprawnosc)',
+    default: 'decline',
+    options: {
+      decline: 'Decline to self-identify',
+      profile: 'Odpowiedz na podstawie profilu',
+      skip: 'Pomin'
+    }
+  }
+};
+
+function loadConsentPolicies() {
+  chrome.storage.sync.get('consentPolicies', (result) => {
+    const policies = result.consentPolicies || {};
+    consentPoliciesContainer.innerHTML = '';
+
+    Object.entries(CONSENT_CATEGORIES).forEach(([category, config]) => {
+      const row = document.createElement('div');
+      row.className = 'consent-policy-row';
+      row.innerHTML = `
+        <span>${config.label}</span>
+        <select class="consent-policy" data-category="${category}">
+          ${Object.entries(config.options).map(([policy, label]) => `<option value="${policy}">${label}</option>`).join('')}
+        </select>
+      `;
+      row.querySelector('select').value = policies[category] || config.default;
+      consentPoliciesContainer.appendChild(row);
+    });
+  });
+}
+
+function saveConsentPolicies() {
+  const policies = {};
+  document.querySelectorAll('.consent-policy').forEach(select => {
+    policies[select.dataset.category] = select.value;
+  });
+
+  chrome.storage.sync.set({ consentPolicies: policies }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error saving consent policies:', chrome.runtime.lastError);
+    }
+  });
+}
+
 // --- Custom Prompt Management ---
 
 function saveCustomPrompt() {
@@ -419,6 +654,145 @@ function handleCvUpload(event) {
     reader.readAsDataURL(file);
 }
 
+// --- Document Library ---
+// chrome.storage.local 'documents'; content.js picks one per file input by kind, page language and tags
+
+const DOCUMENT_KINDS = {
+  cv: 'CV',
+  cover_letter: 'List motywacyjny',
+  portfolio: 'Portfolio',
+  certificate: 'Certyfikat / dyplom',
+  other: 'Inny'
+};
+
+const DOCUMENT_LANGUAGES = {
+  '': 'Dowolny jezyk',
+  pl: 'PL',
+  en: 'EN',
+  de: 'DE'
+};
+
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024; // 5MB, same as the CV
+
+let documentLibrary = [];
+
+// Starting values from the file name, e.g. "List_motywacyjny_EN.pdf"
+function guessDocumentKind(fileName) {
+  if (/cover|motywac|letter/i.test(fileName)) return 'cover_letter';
+  if (/portfolio/i.test(fileName)) return 'portfolio';
+  if (/certyfik|certific|dyplom|diplom|zaswiad|zaświad/i.test(fileName)) return 'certificate';
+  return 'cv';
+}
+
+function guessDocumentLanguage(fileName) {
+  const match = fileName.match(/(?:^|[\s_.-])(pl|en|de)(?=[\s_.-]|$)/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+function saveDocuments() {
+  chrome.storage.local.set({ documents: documentLibrary }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error saving documents:', chrome.runtime.lastError);
+      showStatus('Błąd zapisu dokumentów: ' + chrome.runtime.lastError.message, 'red');
+    }
+  });
+}
+
+function renderDocuments() {
+  documentsContainer.innerHTML = '';
+  document.getElementById('documents-empty').style.display = documentLibrary.length ? 'none' : '';
+
+  documentLibrary.forEach(doc => {
+    const row = document.createElement('div');
+    row.className = 'document-row';
+    row.innerHTML = `
+      <span class="document-name"></span>
+      <select class="document-kind">
+        ${Object.entries(DOCUMENT_KINDS).map(([kind, label]) => `<option value="${kind}">${label}</option>`).join('')}
+      </select>
+      <select class="document-language">
+        ${Object.entries(DOCUMENT_LANGUAGES).map(([lang, label]) => `<option value="${lang}">${label}</option>`).join('')}
+      </select>
+      <input type="text" class="document-tags" placeholder="tagi, np. frontend, react">
+      <label><input type="checkbox" class="document-default"> Domyslny</label>
+      <button class="btn btn-danger btn-sm remove-document">🗑️</button>
+    `;
+    row.querySelector('.document-name').textContent = doc.name;
+    row.querySelector('.document-name').title = doc.name;
+    row.querySelector('.document-kind').value = doc.kind;
+    row.querySelector('.document-language').value = doc.language || '';
+    row.querySelector('.document-tags').value = (doc.tags || []).join(', ');
+    row.querySelector('.document-default').checked = !!doc.isDefault;
+
+    row.addEventListener('change', () => {
+      doc.kind = row.querySelector('.document-kind').value;
+      doc.language = row.querySelector('.document-language').value;
+      doc.tags = row.querySelector('.document-tags').value.split(',').map(tag => tag.trim()).filter(Boolean);
+      doc.isDefault = row.querySelector('.document-default').checked;
+      saveDocuments();
+    });
+    row.querySelector('.remove-document').addEventListener('click', () => {
+      documentLibrary = documentLibrary.filter(entry => entry !== doc);
+      saveDocuments();
+      renderDocuments();
+    });
+
+    documentsContainer.appendChild(row);
+  });
+}
+
+function loadDocuments() {
+  chrome.storage.local.get('documents', (result) => {
+    documentLibrary = result.documents || [];
+    renderDocuments();
+  });
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+async function handleDocumentUpload(event) {
+  const files = Array.from(event.target.files || []);
+  event.target.value = ''; // Allow picking the same file again
+
+  let added = 0;
+  for (const file of files) {
+    if (file.size > MAX_DOCUMENT_SIZE) {
+      showStatus(`Błąd: ${file.name} jest za duży (${(file.size / 1024 / 1024).toFixed(2)}MB). Maksymalny rozmiar to 5MB.`, 'red');
+      continue;
+    }
+
+    try {
+      documentLibrary.push({
+        id: generateId(),
+        name: file.name,
+        type: file.type,
+        dataUrl: await readFileAsDataUrl(file),
+        kind: guessDocumentKind(file.name),
+        language: guessDocumentLanguage(file.name),
+        tags: [],
+        isDefault: false
+      });
+      added++;
+    } catch (error) {
+      console.error('Error reading document:', error);
+      showStatus(`Błąd odczytu pliku ${file.name}`, 'red');
+    }
+  }
+
+  if (added > 0) {
+    saveDocuments();
+    renderDocuments();
+    showStatus(`Dodano dokumenty: ${added}`, 'green', 2000);
+  }
+}
+
 // --- CV Analysis Functions ---
 
 function loadCvSettings() {
@@ -478,13 +852,9 @@ async function analyzeCVData() {
             return;
         }
 
-        // Check if API key exists
-        const apiKeyResult = await new Promise(resolve => {
-            chrome.storage.sync.get('geminiApiKey', resolve);
-        });
-
-        if (!apiKeyResult.geminiApiKey || apiKeyResult.geminiApiKey === 'YOUR_API_KEY_HERE') {
-            infoDiv.textContent = '❌ Najpierw skonfiguruj klucz API Gemini';
+        // Check if the AI provider is configured
+        if (!await getLLMConfig()) {
+            infoDiv.textContent = '❌ Najpierw skonfiguruj dostawcę AI';
             infoDiv.style.color = 'red';
             statusDiv.style.display = 'block';
             setTimeout(() => {
@@ -675,62 +1045,132 @@ document.getElementById('cv-data-modal').addEventListener('click', (e) => {
 });
 
 
-// --- API Key Management ---
+// --- AI Provider Management ---
+// chrome.storage.sync 'aiProvider' + 'aiProviders' { id: { apiKey, baseUrl, models } }, read by providers.js
+
+let aiProviderSettings = {};
+let selectedAiProvider = DEFAULT_LLM_PROVIDER;
+
+function showApiKeyStatus(message, color) {
+    apiKeyStatusEl.textContent = message;
+    apiKeyStatusEl.style.color = color;
+}
+
+function fillAiProviderSelect() {
+    aiProviderSelect.innerHTML = '';
+    Object.entries(LLM_PROVIDERS).forEach(([id, provider]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = provider.label;
+        aiProviderSelect.appendChild(option);
+    });
+}
 
-function loadApiKey() {
-    chrome.storage.sync.get('geminiApiKey', (result) => {
+function fillAiProviderForm() {
+    const provider = LLM_PROVIDERS[selectedAiProvider];
+    const stored = aiProviderSettings[selectedAiProvider] || {};
+
+    aiProviderSelect.value = selectedAiProvider;
+    apiKeyInput.value = stored.apiKey || '';
+    apiKeyInput.placeholder = provider.keyHint;
+    apiKeyLink.href = provider.keyUrl;
+    apiKeyLink.textContent = provider.label;
+    aiBaseUrlGroup.style.display = provider.defaultBaseUrl ? '' : 'none';
+    aiBaseUrlInput.value = stored.baseUrl || '';
+    aiBaseUrlInput.placeholder = provider.defaultBaseUrl || '';
+    aiModelsInput.value = (stored.models || []).join(', ');
+    aiModelsInput.placeholder = provider.models.join(', ');
+
+    if (stored.apiKey) {
+        showApiKeyStatus('✓ Klucz API zapisany', 'green');
+    } else if (!provider.requiresApiKey) {
+        showApiKeyStatus('✓ Ten dostawca nie wymaga klucza API', 'green');
+    } else {
+        showApiKeyStatus('Brak klucza API - rozszerzenie będzie działać w trybie podstawowym', 'orange');
+    }
+}
+
+function loadAiProviderSettings() {
+    fillAiProviderSelect();
+    chrome.storage.sync.get(['aiProvider', 'aiProviders', 'geminiApiKey'], (result) => {
         if (chrome.runtime.lastError) {
-            console.error('Error loading API key:', chrome.runtime.lastError);
-            apiKeyStatusEl.textContent = 'Błąd ładowania klucza API';
-            apiKeyStatusEl.style.color = 'red';
+            console.error('Error loading AI provider settings:', chrome.runtime.lastError);
+            showApiKeyStatus('Błąd ładowania ustawień dostawcy AI', 'red');
             return;
         }
 
-        if (result.geminiApiKey && result.geminiApiKey !== 'YOUR_API_KEY_HERE') {
-            apiKeyInput.value = result.geminiApiKey;
-            apiKeyStatusEl.textContent = '✓ Klucz API zapisany';
-            apiKeyStatusEl.style.color = 'green';
-        } else {
-            apiKeyStatusEl.textContent = 'Brak klucza API - rozszerzenie będzie działać w trybie podstawowym';
-            apiKeyStatusEl.style.color = 'orange';
+        aiProviderSettings = result.aiProviders || {};
+        // The Gemini key saved before providers existed moves into the Gemini settings on the next save
+        if (isUsableApiKey(result.geminiApiKey) && !aiProviderSettings.gemini?.apiKey) {
+            aiProviderSettings.gemini = { ...aiProviderSettings.gemini, apiKey: result.geminiApiKey };
         }
+        selectedAiProvider = LLM_PROVIDERS[result.aiProvider] ? result.aiProvider : DEFAULT_LLM_PROVIDER;
+        fillAiProviderForm();
     });
 }
 
-function saveApiKey() {
-    const apiKey = apiKeyInput.value.trim();
-
-    if (!apiKey) {
-        apiKeyStatusEl.textContent = 'Ostrzeżenie: Brak klucza API - rozszerzenie będzie działać w trybie podstawowym';
-        apiKeyStatusEl.style.color = 'orange';
-        // Still save empty key to clear it
-        chrome.storage.sync.set({ geminiApiKey: '' }, () => {
-            if (chrome.runtime.lastError) {
-                console.error('Error saving API key:', chrome.runtime.lastError);
-            }
-        });
-        return;
-    }
+function readAiProviderForm() {
+    aiProviderSettings[selectedAiProvider] = {
+        apiKey: apiKeyInput.value.trim(),
+        baseUrl: aiBaseUrlInput.value.trim(),
+        models: aiModelsInput.value.split(',').map(model => model.trim()).filter(Boolean)
+    };
+}
 
-    // Basic validation - Google API keys typically start with "AIza"
-    if (!apiKey.startsWith('AIza')) {
-        apiKeyStatusEl.textContent = 'Ostrzeżenie: Klucz API wydaje się nieprawidłowy (powinien zaczynać się od "AIza")';
-        apiKeyStatusEl.style.color = 'orange';
-    }
+function persistAiProviderSettings() {
+    const { apiKey } = aiProviderSettings[selectedAiProvider];
+    const provider = LLM_PROVIDERS[selectedAiProvider];
 
-    chrome.storage.sync.set({ geminiApiKey: apiKey }, () => {
+    chrome.storage.sync.set({ aiProvider: selectedAiProvider, aiProviders: aiProviderSettings }, () => {
         if (chrome.runtime.lastError) {
-            console.error('Error saving API key:', chrome.runtime.lastError);
-            apiKeyStatusEl.textContent = 'Błąd zapisu klucza API: ' + chrome.runtime.lastError.message;
-            apiKeyStatusEl.style.color = 'red';
+            console.error('Error saving AI provider settings:', chrome.runtime.lastError);
+            showApiKeyStatus('Błąd zapisu klucza API: ' + chrome.runtime.lastError.message, 'red');
             return;
         }
+        chrome.storage.sync.remove('geminiApiKey');
 
-        apiKeyStatusEl.textContent = '✓ Klucz API zapisany';
-        apiKeyStatusEl.style.color = 'green';
+        if (provider.requiresApiKey && !apiKey) {
+            showApiKeyStatus('Ostrzeżenie: Brak klucza API - rozszerzenie będzie działać w trybie podstawowym', 'orange');
+        } else if (selectedAiProvider === 'gemini' && !apiKey.startsWith('AIza')) {
+            // Basic validation - Google API keys typically start with "AIza"
+            showApiKeyStatus('Ostrzeżenie: Klucz API wydaje się nieprawidłowy (powinien zaczynać się od "AIza")', 'orange');
+        } else {
+            showApiKeyStatus('✓ Ustawienia dostawcy AI zapisane', 'green');
+        }
+    });
+}
+
+function saveAiProviderSettings() {
+    readAiProviderForm();
+    const { baseUrl } = aiProviderSettings[selectedAiProvider];
+    if (!baseUrl) {
+        persistAiProviderSettings();
+        return;
+    }
+
+    // Self-hosted servers are outside the manifest host permissions - ask for the origin (needs the click/change gesture)
+    let origin;
+    try {
+        origin = `${new URL(baseUrl).origin}/*`;
+    } catch (error) {
+        showApiKeyStatus('Błąd: Nieprawidłowy adres serwera', 'red');
+        return;
+    }
+    chrome.permissions.request({ origins: [origin] }, (granted) => {
+        persistAiProviderSettings();
+        if (!granted) {
+            showApiKeyStatus(`Ostrzeżenie: Brak dostępu do ${origin} - rozszerzenie nie połączy się z serwerem`, 'orange');
+        }
     });
 }
 
+function switchAiProvider() {
+    readAiProviderForm();
+    selectedAiProvider = aiProviderSelect.value;
+    fillAiProviderForm();
+    persistAiProviderSettings();
+}
+
 function toggleApiKeyVisibility() {
     if (apiKeyInput.type === 'password') {
         apiKeyInput.type = 'text';
@@ -741,6 +1181,151 @@ function toggleApiKeyVisibility() {
     }
 }
 
+// --- AI Answer Cache ---
+// chrome.storage.local 'aiAnswerCache', filled by ai.js
+
+function loadAnswerCacheInfo() {
+    chrome.storage.local.get(['aiAnswerCache'], (result) => {
+        const count = Object.keys(result.aiAnswerCache || {}).length;
+        answerCacheInfoEl.textContent = count > 0 ? `Zapamiętane odpowiedzi: ${count}` : 'Brak zapamiętanych odpowiedzi';
+    });
+}
+
+function clearAnswerCache() {
+    chrome.storage.local.remove('aiAnswerCache', () => {
+        loadAnswerCacheInfo();
+        statusEl.textContent = 'Pamięć odpowiedzi AI wyczyszczona';
+        statusEl.style.color = 'green';
+        setTimeout(() => { statusEl.textContent = ''; statusEl.style.color = ''; }, 2000);
+    });
+}
+
+// --- AI Usage Dashboard ---
+// chrome.storage.local 'aiUsage' { day: { 'site|provider|model': totals } } written by background.js,
+// chrome.storage.sync 'aiBudget' { dailyRequests, dailyCost } checked there before every AI call
+
+const USAGE_DAYS_SHOWN = 14;
+const USAGE_SUMMARY_DAYS = 30;
+
+function emptyUsageTotals() {
+    return { requests: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, latencyMs: 0, retries: 0, rateLimited: 0 };
+}
+
+/**
+ * Sum usage of the given days grouped by a part of the record
+ * @param {Object} aiUsage - From storage
+ * @param {Array<string>} days - Day keys to include
+ * @param {Function} groupOf - (day, site, provider, model) => group label
+ * @returns {Array} [label, totals] sorted by cost, then requests
+ */
+function aggregateUsage(aiUsage, days, groupOf) {
+    const groups = {};
+    days.forEach(day => {
+        Object.entries(aiUsage[day] || {}).forEach(([key, totals]) => {
+            const [site, provider, model] = key.split('|');
+            const label = groupOf(day, site, provider, model);
+            const sum = groups[label] || (groups[label] = emptyUsageTotals());
+            Object.keys(sum).forEach(field => { sum[field] += totals[field] || 0; });
+        });
+    });
+    return Object.entries(groups).sort((a, b) => b[1].cost - a[1].cost || b[1].requests - a[1].requests);
+}
+
+function formatUsageCost(cost) {
+    return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+function renderUsageTable(container, rows, firstColumn) {
+    container.innerHTML = '';
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'form-hint';
+        empty.textContent = 'Brak danych';
+        container.appendChild(empty);
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'usage-table';
+    const header = table.insertRow();
+    [firstColumn, 'Zapytania', 'Błędy', '429', 'Tokeny we', 'Tokeny wy', 'Śr. czas', 'Koszt'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+
+    rows.forEach(([label, totals]) => {
+        const row = table.insertRow();
+        [
+            label,
+            totals.requests,
+            totals.errors,
+            totals.rateLimited,
+            totals.inputTokens.toLocaleString('pl-PL'),
+            totals.outputTokens.toLocaleString('pl-PL'),
+            totals.requests > 0 ? `${(totals.latencyMs / totals.requests / 1000).toFixed(1)}s` : '-',
+            formatUsageCost(totals.cost)
+        ].forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+
+    container.appendChild(table);
+}
+
+function getLastUsageDays(count) {
+    return Array.from({ length: count }, (_, i) => getUsageDayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000)));
+}
+
+function loadUsageDashboard() {
+    chrome.storage.local.get(['aiUsage'], (result) => {
+        const aiUsage = result.aiUsage || {};
+
+        const [today] = aggregateUsage(aiUsage, [getUsageDayKey()], () => 'today');
+        const todayTotals = today ? today[1] : emptyUsageTotals();
+        document.getElementById('usage-today-requests').textContent = todayTotals.requests;
+        document.getElementById('usage-today-tokens').textContent = (todayTotals.inputTokens + todayTotals.outputTokens).toLocaleString('pl-PL');
+        document.getElementById('usage-today-cost').textContent = formatUsageCost(todayTotals.cost);
+        document.getElementById('usage-today-rate-limited').textContent = todayTotals.rateLimited;
+
+        const byDay = aggregateUsage(aiUsage, getLastUsageDays(USAGE_DAYS_SHOWN), day => day)
+            .sort((a, b) => b[0].localeCompare(a[0]));
+        renderUsageTable(document.getElementById('usage-by-day'), byDay, 'Dzień');
+
+        const summaryDays = getLastUsageDays(USAGE_SUMMARY_DAYS);
+        renderUsageTable(document.getElementById('usage-by-site'),
+            aggregateUsage(aiUsage, summaryDays, (day, site) => site === 'extension' ? 'Ustawienia rozszerzenia' : site), 'Strona');
+        renderUsageTable(document.getElementById('usage-by-model'),
+            aggregateUsage(aiUsage, summaryDays, (day, site, provider, model) => `${LLM_PROVIDERS[provider]?.label || provider}: ${model}`), 'Model');
+    });
+
+    chrome.storage.sync.get(['aiBudget'], (result) => {
+        const aiBudget = result.aiBudget || {};
+        budgetRequestsInput.value = aiBudget.dailyRequests || '';
+        budgetCostInput.value = aiBudget.dailyCost || '';
+    });
+}
+
+function saveAiBudget() {
+    const dailyRequests = parseInt(budgetRequestsInput.value, 10);
+    const dailyCost = parseFloat(budgetCostInput.value);
+    const aiBudget = {
+        dailyRequests: dailyRequests > 0 ? dailyRequests : null,
+        dailyCost: dailyCost > 0 ? dailyCost : null
+    };
+
+    chrome.storage.sync.set({ aiBudget }, () => {
+        if (chrome.runtime.lastError) {
+            budgetStatusEl.textContent = 'Błąd zapisu budżetu: ' + chrome.runtime.lastError.message;
+            budgetStatusEl.style.color = 'red';
+            return;
+        }
+        budgetStatusEl.textContent = '✓ Budżet AI zapisany';
+        budgetStatusEl.style.color = 'green';
+        setTimeout(() => { budgetStatusEl.textContent = ''; }, 2000);
+    });
+}
+
 // --- Learned Questions Management ---
 
 // Direct storage access (options.html is extension page, not page context)
@@ -1580,6 +2165,8 @@ function initTabs() {
         loadApplications();
       } else if (tabName === 'learning') {
         displayLearnedQuestions();
+      } else if (tabName === 'usage') {
+        loadUsageDashboard();
       }
     });
   });
@@ -1590,8 +2177,12 @@ function initTabs() {
 document.addEventListener('DOMContentLoaded', () => {
     initTheme();
     initDropzone();
-    loadApiKey();
+    loadAiProviderSettings();
+    loadAnswerCacheInfo();
     loadData();
+    loadProfiles().then(loadSiteRules);
+    loadConsentPolicies();
+    loadDocuments();
     loadCvStatus();
     loadCvSettings();
     loadCustomPrompt();
@@ -1600,15 +2191,30 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 addRowBtn.addEventListener('click', () => createDataRow());
 saveBtn.addEventListener('click', () => {
-    saveApiKey();
+    saveAiProviderSettings();
     saveData();
+    saveSiteRules();
+    saveConsentPolicies();
     saveCustomPrompt();
 });
+profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+document.getElementById('add-profile').addEventListener('click', addProfile);
+document.getElementById('delete-profile').addEventListener('click', deleteProfile);
+document.getElementById('add-site-rule').addEventListener('click', () => createSiteRuleRow());
+consentPoliciesContainer.addEventListener('change', saveConsentPolicies);
+document.getElementById('add-documents').addEventListener('click', () => documentUpload.click());
+documentUpload.addEventListener('change', handleDocumentUpload);
 useCustomPromptCheckbox.addEventListener('change', toggleCustomPromptVisibility);
 customPromptTextarea.addEventListener('change', saveCustomPrompt);
 cvUpload.addEventListener('change', handleCvUpload);
-apiKeyInput.addEventListener('change', saveApiKey);
+aiProviderSelect.addEventListener('change', switchAiProvider);
+apiKeyInput.addEventListener('change', saveAiProviderSettings);
+aiBaseUrlInput.addEventListener('change', saveAiProviderSettings);
+aiModelsInput.addEventListener('change', saveAiProviderSettings);
 toggleApiKeyBtn.addEventListener('click', toggleApiKeyVisibility);
+document.getElementById('clear-answer-cache').addEventListener('click', clearAnswerCache);
+budgetRequestsInput.addEventListener('change', saveAiBudget);
+budgetCostInput.addEventListener('change', saveAiBudget);
 
 // Learned questions event listeners
 document.getElementById('refresh-questions').addEventListener('click', () => displayLearnedQuestions());
@@ -20,17 +20,88 @@ function updateStatus() {
   const title = document.getElementById('status-title');
   const message = document.getElementById('status-message');
 
-  chrome.storage.sync.get(['geminiApiKey'], (result) => {
-    if (result.geminiApiKey && result.geminiApiKey.startsWith('AIza')) {
+  getLLMConfig().then(llm => {
+    const hasApiKey = !!llm;
+    if (hasApiKey) {
       indicator.className = 'status-indicator ready';
       title.textContent = 'Gotowy do pracy';
-      message.textContent = 'Klucz API skonfigurowany';
+      message.textContent = `Dostawca AI: ${llm.provider.label}`;
     } else {
       indicator.className = 'status-indicator warning';
       title.textContent = 'Wymaga konfiguracji';
       message.textContent = 'Ustaw klucz API w ustawieniach';
     }
+
+    // A missing API key stays the headline - the page type only drives the buttons then
+    classifyActiveTab().then(classification => {
+      applyPageClassification(classification);
+      if (hasApiKey && classification) {
+        showPageClassification(classification);
+      }
+    });
+  });
+}
+
+// Page Classification
+const PAGE_TYPES = {
+  application_form: { title: 'Formularz aplikacyjny', indicator: 'ready' },
+  job_posting: { title: 'Oferta pracy', indicator: 'warning' },
+  login: { title: 'Strona logowania', indicator: 'warning' },
+  other: { title: 'Brak formularza', indicator: 'warning' }
+};
+
+// Resolves to null on pages without the content script (chrome://, Web Store, not yet reloaded tabs)
+function classifyActiveTab() {
+  return new Promise(resolve => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (chrome.runtime.lastError || !tabs || tabs.length === 0) {
+        resolve(null);
+        return;
+      }
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'classify_page' }, (response) => {
+        resolve(chrome.runtime.lastError || !response || !response.type ? null : response);
+      });
+    });
+  });
+}
+
+function showPageClassification(classification) {
+  const pageType = PAGE_TYPES[classification.type] || PAGE_TYPES.other;
+  const details = {
+    application_form: [
+      `${classification.fieldCount} pol`,
+      classification.ats,
+      classification.frame ? `ramka: ${classification.frame}` : null
+    ].filter(Boolean).join(' • '),
+    job_posting: 'Otworz formularz aplikacji, aby go wypelnic',
+    login: 'Zaloguj sie, aby przejsc do formularza',
+    other: 'Ta strona nie wyglada na formularz aplikacyjny'
+  };
+
+  document.getElementById('status-indicator').className = `status-indicator ${pageType.indicator}`;
+  document.getElementById('status-title').textContent = classification.ats && classification.type !== 'application_form'
+    ? `${pageType.title} (${classification.ats})`
+    : pageType.title;
+  document.getElementById('status-message').textContent = details[classification.type] || details.other;
+}
+
+let fillButtonsForced = false;  // "Pokaz przyciski wypelniania" clicked - keep them after status refreshes
+
+// Fill buttons only on application forms (unknown pages keep them), tracker on forms and job postings
+function applyPageClassification(classification) {
+  const isForm = fillButtonsForced || !classification || classification.type === 'application_form';
+  setFillButtonsVisible(isForm);
+  document.getElementById('show-fill-buttons').classList.toggle('is-hidden', isForm);
+
+  const canTrack = !!classification && ['application_form', 'job_posting'].includes(classification.type);
+  document.getElementById('track-application').classList.toggle('is-hidden', !canTrack);
+}
+
+function setFillButtonsVisible(visible) {
+  ['fill-form', 'preview-form'].forEach(id => {
+    document.getElementById(id).classList.toggle('is-hidden', !visible);
   });
+  document.querySelector('.wizard-toggle').classList.toggle('is-hidden', !visible);
 }
 
 // Statistics
@@ -45,10 +116,20 @@ function loadStats() {
   });
 }
 
-// Fill Form Handler
-document.getElementById('fill-form').addEventListener('click', () => {
-  const fillButton = document.getElementById('fill-form');
+// Wizard Mode Toggle
+function initWizardMode() {
+  const checkbox = document.getElementById('wizard-mode');
+  chrome.storage.local.get(['wizardMode'], (result) => {
+    checkbox.checked = !!result.wizardMode;
+  });
+  checkbox.addEventListener('change', () => {
+    chrome.storage.local.set({ wizardMode: checkbox.checked });
+  });
+}
 
+// Fill Form Handler
+// extraOptions are merged into the fill_form message (e.g. { preview: true })
+function startFill(fillButton, extraOptions = {}) {
   // Add loading state
   fillButton.classList.add('loading');
   fillButton.disabled = true;
@@ -79,7 +160,9 @@ document.getElementById('fill-form').addEventListener('click', () => {
       return;
     }
 
-    chrome.tabs.sendMessage(tab.id, { action: 'fill_form' }, (response) => {
+    const wizard = document.getElementById('wizard-mode').checked;
+
+    chrome.tabs.sendMessage(tab.id, { action: 'fill_form', wizard, ...extraOptions }, (response) => {
       resetButton(fillButton);
 
       if (chrome.runtime.lastError) {
@@ -104,6 +187,73 @@ document.getElementById('fill-form').addEventListener('click', () => {
       }
     });
   });
+}
+
+document.getElementById('fill-form').addEventListener('click', (e) => {
+  startFill(e.currentTarget);
+});
+
+// Preview Handler - answers are shown in an editable panel on the page before anything is written
+document.getElementById('preview-form').addEventListener('click', (e) => {
+  startFill(e.currentTarget, { preview: true });
+});
+
+// Misclassified page - the user can still fill it
+document.getElementById('show-fill-buttons').addEventListener('click', (e) => {
+  e.preventDefault();
+  fillButtonsForced = true;
+  setFillButtonsVisible(true);
+  e.currentTarget.classList.add('is-hidden');
+});
+
+// Track Handler - opens the tracker modal on the page, prefilled from the job posting
+document.getElementById('track-application').addEventListener('click', () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs || tabs.length === 0) {
+      showError('Brak aktywnej karty.');
+      return;
+    }
+
+    chrome.tabs.sendMessage(tabs[0].id, { action: 'track_application' }, () => {
+      if (chrome.runtime.lastError) {
+        showError('Odswiez strone i sprobuj ponownie.');
+        return;
+      }
+      window.close();
+    });
+  });
+});
+
+// Undo Handler - reverts the last fill run on the active tab
+document.getElementById('undo-fill').addEventListener('click', () => {
+  const undoButton = document.getElementById('undo-fill');
+  undoButton.classList.add('loading');
+  undoButton.disabled = true;
+
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs || tabs.length === 0) {
+      showError('Brak aktywnej karty.');
+      resetButton(undoButton);
+      return;
+    }
+
+    chrome.tabs.sendMessage(tabs[0].id, { action: 'undo_fill' }, (response) => {
+      resetButton(undoButton);
+
+      if (chrome.runtime.lastError) {
+        console.error('Error sending message:', chrome.runtime.lastError);
+        showError('Brak wypełnienia do cofnięcia na tej stronie.');
+        return;
+      }
+
+      if (response && response.status === 'success') {
+        const manualInfo = response.manual.length > 0 ? `, ${response.manual.length} do ręcznej zmiany` : '';
+        showInfo('Cofnięto wypełnienie', `Przywrócono ${response.restored} pól${manualInfo}`);
+      } else {
+        showError('Nieoczekiwana odpowiedz.');
+      }
+    });
+  });
 });
 
 // Settings Handler
@@ -144,9 +294,23 @@ function showError(message) {
   setTimeout(updateStatus, 5000);
 }
 
+function showInfo(titleText, message) {
+  const indicator = document.getElementById('status-indicator');
+  const title = document.getElementById('status-title');
+  const statusMessage = document.getElementById('status-message');
+
+  indicator.className = 'status-indicator ready';
+  title.textContent = titleText;
+  statusMessage.textContent = message;
+
+  // Reset status after 5 seconds
+  setTimeout(updateStatus, 5000);
+}
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   initTheme();
   updateStatus();
   loadStats();
+  initWizardMode();
 });
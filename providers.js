@@ -0,0 +1,485 @@
+// ==================== AI Providers ====================
+// Every AI call goes through callLLM(). A provider turns the neutral request
+// { prompt, files: [{ mimeType, data (base64), name }], schema } into its own HTTP request and its response back into text.
+// schema is a JSON Schema for structured output - the response text is then a JSON document matching it.
+// Settings: chrome.storage.sync 'aiProvider' (id) and 'aiProviders' { id: { apiKey, baseUrl, models } }
+
+const DEFAULT_LLM_PROVIDER = 'gemini';
+
+// Values shipped in config.js / data.json examples - never sent as a real key
+const PLACEHOLDER_API_KEYS = ['TWOJ_KLUCZ_API', 'YOUR_API_KEY_HERE'];
+
+// HTTP statuses that rotate to the next model: rate limit, Anthropic "overloaded"
+const LLM_RATE_LIMIT_STATUSES = [429, 529];
+
+const LLM_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    // Lite models first for faster responses
+    models: ['gemini-2.0-flash-lite', 'gemini-2.5-flash-lite', 'gemini-2.0-flash', 'gemini-2.5-flash'],
+    requiresApiKey: true,
+    supportsFiles: true,
+    keyHint: 'AIza...',
+    keyUrl: 'https://aistudio.google.com/app/apikey',
+
+    buildRequest({ prompt, files, model, apiKey, schema }) {
+      const body = {
+        contents: [{
+          parts: [
+            ...files.map(file => ({ inline_data: { mime_type: file.mimeType, data: file.data } })),
+            { text: prompt }
+          ]
+        }]
+      };
+      if (schema) {
+        body.generationConfig = { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) };
+      }
+      // responseSchema is only available in v1beta
+      return {
+        url: `https://generativelanguage.googleapis.com/${schema ? 'v1beta' : 'v1'}/models/${model}:generateContent?key=${apiKey}`,
+        headers: {},
+        body
+      };
+    },
+
+    parseResponse(data) {
+      return data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    },
+
+    parseUsage(data) {
+      return { inputTokens: data?.usageMetadata?.promptTokenCount, outputTokens: data?.usageMetadata?.candidatesTokenCount };
+    }
+  },
+
+  // OpenAI and anything speaking its chat completions API (vLLM, LM Studio, OpenRouter...)
+  openai: {
+    label: 'OpenAI / zgodny endpoint (vLLM, LM Studio)',
+    models: ['gpt-4o-mini', 'gpt-4o'],
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    // Self-hosted servers usually run without a key
+    requiresApiKey: false,
+    supportsFiles: true,
+    keyHint: 'sk-... (puste dla serwera lokalnego)',
+    keyUrl: 'https://platform.openai.com/api-keys',
+
+    buildRequest({ prompt, files, model, apiKey, baseUrl, schema }) {
+      const content = files.length > 0
+        ? [
+          ...files.map(file => ({ type: 'file', file: { filename: file.name || 'document.pdf', file_data: `data:${file.mimeType};base64,${file.data}` } })),
+          { type: 'text', text: prompt }
+        ]
+        : prompt;
+      const body = { model, messages: [{ role: 'user', content }] };
+      if (schema) {
+        body.response_format = { type: 'json_schema', json_schema: { name: 'answers', strict: true, schema } };
+      }
+      return {
+        url: `${baseUrl}/chat/completions`,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body
+      };
+    },
+
+    parseResponse(data) {
+      return data?.choices?.[0]?.message?.content;
+    },
+
+    parseUsage(data) {
+      return { inputTokens: data?.usage?.prompt_tokens, outputTokens: data?.usage?.completion_tokens };
+    }
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    models: ['claude-3-5-haiku-latest', 'claude-sonnet-4-20250514'],
+    requiresApiKey: true,
+    supportsFiles: true,
+    keyHint: 'sk-ant-...',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+
+    buildRequest({ prompt, files, model, apiKey, schema }) {
+      const body = {
+        model,
+        max_tokens: 8192,
+        messages: [{
+          role: 'user',
+          content: [
+            ...files.map(file => ({ type: 'document', source: { type: 'base64', media_type: file.mimeType, data: file.data } })),
+            { type: 'text', text: prompt }
+          ]
+        }]
+      };
+      // No JSON mode - a forced tool call gets input matching the schema
+      if (schema) {
+        body.tools = [{ name: 'submit_answers', description: 'Submit the answers in the required structure', input_schema: schema }];
+        body.tool_choice = { type: 'tool', name: 'submit_answers' };
+      }
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          // Required for calls made from a browser context
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body
+      };
+    },
+
+    parseResponse(data) {
+      const toolUse = (data?.content || []).find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input);
+      }
+      const blocks = (data?.content || []).filter(block => block.type === 'text');
+      return blocks.length > 0 ? blocks.map(block => block.text).join('') : undefined;
+    },
+
+    parseUsage(data) {
+      return { inputTokens: data?.usage?.input_tokens, outputTokens: data?.usage?.output_tokens };
+    }
+  },
+
+  ollama: {
+    label: 'Ollama (lokalnie)',
+    models: ['llama3.1'],
+    defaultBaseUrl: 'http://localhost:11434',
+    requiresApiKey: false,
+    supportsFiles: false,
+    keyHint: 'niepotrzebny',
+    keyUrl: 'https://ollama.com/library',
+
+    buildRequest({ prompt, model, baseUrl, schema }) {
+      const body = { model, messages: [{ role: 'user', content: prompt }], stream: false };
+      if (schema) {
+        body.format = schema;
+      }
+      return {
+        url: `${baseUrl}/api/chat`,
+        headers: {},
+        body
+      };
+    },
+
+    parseResponse(data) {
+      return data?.message?.content;
+    },
+
+    parseUsage(data) {
+      return { inputTokens: data?.prompt_eval_count, outputTokens: data?.eval_count };
+    }
+  }
+};
+
+// List prices in USD per 1M tokens [input, output], matched by the longest model name prefix.
+// Models missing here (self-hosted, Ollama) count as free
+const LLM_MODEL_PRICES = {
+  'gemini-2.0-flash-lite': [0.075, 0.30],
+  'gemini-2.0-flash': [0.10, 0.40],
+  'gemini-2.5-flash-lite': [0.10, 0.40],
+  'gemini-2.5-flash': [0.30, 2.50],
+  'gemini-2.5-pro': [1.25, 10.00],
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00],
+  'gpt-4.1-mini': [0.40, 1.60],
+  'gpt-4.1': [2.00, 8.00],
+  'claude-3-5-haiku': [0.80, 4.00],
+  'claude-haiku-4': [1.00, 5.00],
+  'claude-sonnet-4': [3.00, 15.00],
+  'claude-opus-4': [15.00, 75.00]
+};
+
+/**
+ * Estimated cost of a call from the list prices
+ * @param {string} model - Model name as sent to the provider
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number} USD, 0 for models without a price
+ */
+function estimateLLMCost(model, inputTokens, outputTokens) {
+  const priceKey = Object.keys(LLM_MODEL_PRICES)
+    .filter(key => (model || '').startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!priceKey) return 0;
+
+  const [inputPrice, outputPrice] = LLM_MODEL_PRICES[priceKey];
+  return (inputTokens * inputPrice + outputTokens * outputPrice) / 1e6;
+}
+
+/**
+ * Key of the usage statistics day (local calendar day)
+ * @param {Date} date
+ * @returns {string} e.g. "2026-10-19"
+ */
+function getUsageDayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Gemini takes an OpenAPI-style subset of JSON Schema: upper-case types, no additionalProperties
+ * @param {Object} schema - JSON Schema
+ * @returns {Object}
+ */
+function toGeminiSchema(schema) {
+  const { additionalProperties, ...converted } = schema;
+  converted.type = String(schema.type).toUpperCase();
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+  return converted;
+}
+
+// Current model per provider - rotates through the model list on rate limiting
+const llmModelIndexes = {};
+
+// 'provider:model' -> timestamp until which the model is skipped after a 429
+const llmRateLimitedUntil = {};
+
+// Cooldown after a 429 without a Retry-After header
+const LLM_RATE_LIMIT_COOLDOWN_MS = 60000;
+
+/**
+ * Current model of a provider, skipping models still cooling down after a 429
+ * (unless every model is)
+ * @param {Object} llm - From getLLMConfig()
+ * @returns {number} Index into llm.models
+ */
+function pickLLMModelIndex(llm) {
+  const start = (llmModelIndexes[llm.id] || 0) % llm.models.length;
+  for (let offset = 0; offset < llm.models.length; offset++) {
+    const index = (start + offset) % llm.models.length;
+    if (!(llmRateLimitedUntil[`${llm.id}:${llm.models[index]}`] > Date.now())) {
+      return index;
+    }
+  }
+  return start;
+}
+
+function isUsableApiKey(apiKey) {
+  return !!apiKey && apiKey.trim().length > 0 && !PLACEHOLDER_API_KEYS.includes(apiKey.trim());
+}
+
+/**
+ * Gemini key from config.js (kept for backward compatibility)
+ * @returns {Promise<string|null>}
+ */
+async function getConfigFileApiKey() {
+  try {
+    const response = await fetch(chrome.runtime.getURL('config.js'));
+    if (!response.ok) {
+      return null;
+    }
+    const text = await response.text();
+    const match = text.match(/const\s+GEMINI_API_KEY\s*=\s*["'](.*)["']/);
+    return match && isUsableApiKey(match[1]) ? match[1] : null;
+  } catch (error) {
+    console.warn('Error reading config.js:', error);
+    return null;
+  }
+}
+
+/**
+ * Resolve provider settings into a ready-to-call configuration
+ * @param {Object} settings - { aiProvider, aiProviders, geminiApiKey } from chrome.storage.sync
+ * @returns {Object} { id, provider, apiKey, baseUrl, models }
+ */
+function resolveLLMConfig(settings) {
+  const id = LLM_PROVIDERS[settings.aiProvider] ? settings.aiProvider : DEFAULT_LLM_PROVIDER;
+  const provider = LLM_PROVIDERS[id];
+  const stored = (settings.aiProviders || {})[id] || {};
+
+  let apiKey = isUsableApiKey(stored.apiKey) ? stored.apiKey.trim() : '';
+  // The Gemini key used to live on its own
+  if (!apiKey && id === 'gemini' && isUsableApiKey(settings.geminiApiKey)) {
+    apiKey = settings.geminiApiKey.trim();
+  }
+
+  const models = (stored.models || []).map(model => model.trim()).filter(Boolean);
+  return {
+    id,
+    provider,
+    apiKey,
+    baseUrl: (stored.baseUrl || provider.defaultBaseUrl || '').trim().replace(/\/+$/, ''),
+    models: models.length > 0 ? models : provider.models
+  };
+}
+
+/**
+ * Configuration of the selected provider
+ * @returns {Promise<Object|null>} From resolveLLMConfig(), null when the provider needs a key and has none
+ */
+async function getLLMConfig() {
+  const settings = await new Promise(resolve => {
+    chrome.storage.sync.get(['aiProvider', 'aiProviders', 'geminiApiKey'], (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error reading AI provider settings:', chrome.runtime.lastError);
+        resolve({});
+      } else {
+        resolve(result);
+      }
+    });
+  });
+
+  const llm = resolveLLMConfig(settings);
+  if (!llm.apiKey && llm.id === 'gemini') {
+    llm.apiKey = await getConfigFileApiKey() || '';
+  }
+  if (llm.provider.requiresApiKey && !llm.apiKey) {
+    return null;
+  }
+  return llm;
+}
+
+/**
+ * Error text from a provider error body ({ error: { message } }, { error: "..." } or { message })
+ * @param {Object} errorData - Parsed error response
+ * @returns {string}
+ */
+function getLLMErrorMessage(errorData) {
+  const error = errorData?.error;
+  return (typeof error === 'string' ? error : error?.message) || errorData?.message || 'Unknown error';
+}
+
+/**
+ * Send a prompt to the configured provider, rotating models on rate limits and retrying network errors
+ * @param {Object} llm - From getLLMConfig()
+ * @param {Object} request - { prompt, files?, schema? }
+ * @param {number} timeoutMs - Timeout per attempt
+ * @returns {Promise<Object>} { text (trimmed), usage: { provider, model, inputTokens, outputTokens, latencyMs, retries, rateLimited } }.
+ *   Errors after a request was sent carry the same usage as error.usage
+ */
+async function callLLM(llm, request, timeoutMs = 15000) {
+  const files = request.files || [];
+  if (files.length > 0 && !llm.provider.supportsFiles) {
+    throw new Error(`${llm.provider.label} nie obsługuje plików PDF. Wybierz innego dostawcę AI do analizy CV.`);
+  }
+
+  const maxRetries = 3;
+  let lastError = null;
+  const modelsAttempted = new Set(); // Track which models we've tried
+
+  const startedAt = Date.now();
+  const usage = { provider: llm.id, model: null, inputTokens: 0, outputTokens: 0, latencyMs: 0, retries: 0, rateLimited: 0 };
+  const withUsage = (error) => {
+    usage.latencyMs = Date.now() - startedAt;
+    error.usage = usage;
+    return error;
+  };
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      const modelIndex = pickLLMModelIndex(llm);
+      const model = llm.models[modelIndex];
+      modelsAttempted.add(model);
+      usage.model = model;
+      usage.retries = attempt;
+
+      console.log(`[AI Provider] ${llm.provider.label}: using model ${model} (attempt ${attempt + 1}/${maxRetries})`);
+
+      const { url, headers, body } = llm.provider.buildRequest({
+        prompt: request.prompt,
+        files,
+        model,
+        apiKey: llm.apiKey,
+        baseUrl: llm.baseUrl,
+        schema: request.schema || null
+      });
+
+      // Create abort controller for timeout
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      }).finally(() => clearTimeout(timeoutId));
+
+      // Handle specific HTTP error codes
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        if (LLM_RATE_LIMIT_STATUSES.includes(response.status)) {
+          // Rate limiting - rotate to next model
+          console.warn(`[AI Provider] Rate limited on ${model}. Rotating to next model...`);
+          usage.rateLimited++;
+          const retryAfter = parseInt(response.headers?.get('retry-after'), 10);
+          llmRateLimitedUntil[`${llm.id}:${model}`] = Date.now() + (retryAfter > 0 ? retryAfter * 1000 : LLM_RATE_LIMIT_COOLDOWN_MS);
+          llmModelIndexes[llm.id] = (modelIndex + 1) % llm.models.length;
+          const nextModel = llm.models[llmModelIndexes[llm.id]];
+
+          // If we've tried all models, wait before continuing
+          if (modelsAttempted.has(nextModel)) {
+            const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
+            console.warn(`[AI Provider] All models attempted. Waiting ${waitTime}ms before retry...`);
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+          } else {
+            // Just a short delay before trying the next model
+            await new Promise(resolve => setTimeout(resolve, 500));
+          }
+
+          lastError = new Error(`Rate limited on ${model}`);
+          continue;
+        }
+
+        if (response.status === 400) {
+          throw Object.assign(new Error(`Invalid API request: ${getLLMErrorMessage(errorData)}`), { status: response.status });
+        }
+
+        if (response.status === 401 || response.status === 403) {
+          throw Object.assign(new Error('API key is invalid or has insufficient permissions'), { status: response.status });
+        }
+
+        if (response.status === 404) {
+          throw Object.assign(new Error(`API endpoint or model "${model}" not found. Check the model list in settings.`), { status: response.status });
+        }
+
+        throw Object.assign(new Error(`HTTP error! status: ${response.status}, message: ${getLLMErrorMessage(errorData)}`), { status: response.status });
+      }
+
+      const data = await response.json();
+      const text = llm.provider.parseResponse(data);
+
+      if (typeof text !== 'string') {
+        throw new Error('Invalid API response: no text returned');
+      }
+
+      const tokens = llm.provider.parseUsage(data);
+      usage.inputTokens = tokens.inputTokens || 0;
+      usage.outputTokens = tokens.outputTokens || 0;
+      usage.latencyMs = Date.now() - startedAt;
+      return { text: text.trim(), usage };
+
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry on these errors
+      if (error.name === 'AbortError') {
+        console.error(`API request timed out after ${timeoutMs / 1000} seconds`);
+        throw withUsage(new Error(`Request timed out after ${timeoutMs / 1000} seconds`));
+      }
+
+      // Bad request, auth and unknown model fail the same way on every attempt - server errors are retried
+      if (error.status >= 400 && error.status < 500) {
+        console.error('API error:', error.message);
+        throw withUsage(error); // Don't retry on request/auth/config errors
+      }
+
+      // For network errors, retry with exponential backoff
+      if (attempt < maxRetries - 1) {
+        const waitTime = Math.pow(2, attempt) * 1000;
+        console.warn(`Attempt ${attempt + 1} failed. Retrying in ${waitTime}ms...`, error.message);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  // All retries failed
+  console.error(`Error calling ${llm.provider.label} after`, maxRetries, 'attempts:', lastError);
+  throw withUsage(lastError || new Error('Failed to get AI response after multiple attempts'));
+}
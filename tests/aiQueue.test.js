@@ -0,0 +1,72 @@
+/**
+ * Tests for the background AI request queue
+ * Concurrency limit across tabs, FIFO order, failures freeing their slot
+ */
+
+// Extract helpers from background.js
+// Provider calls in flight across all tabs - more parallel calls only trigger 429s
+const AI_MAX_CONCURRENT_REQUESTS = 2;
+
+const aiRequestQueue = [];
+let activeAIRequests = 0;
+
+// Run a provider call once a slot is free
+function enqueueAIRequest(task) {
+  return new Promise((resolve, reject) => {
+    aiRequestQueue.push({ task, resolve, reject });
+    if (activeAIRequests >= AI_MAX_CONCURRENT_REQUESTS) {
+      console.log('[AI Queue] Request queued,', aiRequestQueue.length, 'waiting');
+    }
+    runQueuedAIRequests();
+  });
+}
+
+function runQueuedAIRequests() {
+  while (activeAIRequests < AI_MAX_CONCURRENT_REQUESTS && aiRequestQueue.length > 0) {
+    const { task, resolve, reject } = aiRequestQueue.shift();
+    activeAIRequests++;
+    task().then(resolve, reject).finally(() => {
+      activeAIRequests--;
+      runQueuedAIRequests();
+    });
+  }
+}
+
+describe('enqueueAIRequest', () => {
+  const deferred = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+  };
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  test('runs at most AI_MAX_CONCURRENT_REQUESTS calls at once, in order', async () => {
+    const calls = [deferred(), deferred(), deferred()];
+    const started = [];
+    const results = calls.map((call, idx) => enqueueAIRequest(() => {
+      started.push(idx);
+      return call.promise;
+    }));
+
+    expect(started).toEqual([0, 1]);
+    expect(activeAIRequests).toBe(AI_MAX_CONCURRENT_REQUESTS);
+
+    calls[1].resolve('b');
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+
+    calls[0].resolve('a');
+    calls[2].resolve('c');
+    await expect(Promise.all(results)).resolves.toEqual(['a', 'b', 'c']);
+    await flush();
+    expect(activeAIRequests).toBe(0);
+  });
+
+  test('a failed call rejects its caller and frees the slot', async () => {
+    const failing = enqueueAIRequest(() => Promise.reject(new Error('Rate limited on m1')));
+    await expect(failing).rejects.toThrow('Rate limited');
+    await flush();
+    expect(activeAIRequests).toBe(0);
+    await expect(enqueueAIRequest(() => Promise.resolve('ok'))).resolves.toBe('ok');
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests for AI usage accounting
+ * Cost estimate from list prices, per day/site/model totals, daily budget totals
+ */
+
+// Extract helpers from providers.js
+// List prices in USD per 1M tokens [input, output], matched by the longest model name prefix.
+// Models missing here (self-hosted, Ollama) count as free
+const LLM_MODEL_PRICES = {
+  'gemini-2.0-flash-lite': [0.075, 0.30],
+  'gemini-2.0-flash': [0.10, 0.40],
+  'gemini-2.5-flash-lite': [0.10, 0.40],
+  'gemini-2.5-flash': [0.30, 2.50],
+  'gemini-2.5-pro': [1.25, 10.00],
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00],
+  'gpt-4.1-mini': [0.40, 1.60],
+  'gpt-4.1': [2.00, 8.00],
+  'claude-3-5-haiku': [0.80, 4.00],
+  'claude-haiku-4': [1.00, 5.00],
+  'claude-sonnet-4': [3.00, 15.00],
+  'claude-opus-4': [15.00, 75.00]
+};
+
+function estimateLLMCost(model, inputTokens, outputTokens) {
+  const priceKey = Object.keys(LLM_MODEL_PRICES)
+    .filter(key => (model || '').startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!priceKey) return 0;
+
+  const [inputPrice, outputPrice] = LLM_MODEL_PRICES[priceKey];
+  return (inputTokens * inputPrice + outputTokens * outputPrice) / 1e6;
+}
+
+function getUsageDayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Extract helpers from background.js
+// Add one call to the usage totals (returns the updated aiUsage object)
+function addAIUsageRecord(aiUsage, day, site, usage, success) {
+  const dayUsage = aiUsage[day] || (aiUsage[day] = {});
+  const key = `${site}|${usage.provider}|${usage.model}`;
+  const totals = dayUsage[key] || (dayUsage[key] = {
+    requests: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, latencyMs: 0, retries: 0, rateLimited: 0
+  });
+
+  totals.requests++;
+  if (!success) totals.errors++;
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+  totals.cost += estimateLLMCost(usage.model, usage.inputTokens, usage.outputTokens);
+  totals.latencyMs += usage.latencyMs;
+  totals.retries += usage.retries;
+  totals.rateLimited += usage.rateLimited;
+  return aiUsage;
+}
+
+// Sum of all sites and models of one day
+function getDayUsageTotals(dayUsage) {
+  return Object.values(dayUsage || {}).reduce((sum, totals) => {
+    sum.requests += totals.requests;
+    sum.cost += totals.cost;
+    return sum;
+  }, { requests: 0, cost: 0 });
+}
+
+let syncData = {};
+let localData = {};
+
+global.chrome = {
+  storage: {
+    sync: { get: async (keys) => Object.fromEntries(keys.filter(key => key in syncData).map(key => [key, syncData[key]])) },
+    local: { get: async (keys) => Object.fromEntries(keys.filter(key => key in localData).map(key => [key, localData[key]])) }
+  }
+};
+
+// Calls that passed the budget check but have no usage record yet. Up to AI_MAX_CONCURRENT_REQUESTS
+// run at once, so the stored totals alone would let each of them through on the same numbers
+const aiUsageInFlight = { requests: 0, cost: 0 };
+
+// Output size assumed for the cost estimate of a call that hasn't run yet
+const AI_ESTIMATED_OUTPUT_TOKENS = 1000;
+
+// Estimated cost of a call before it runs (~4 characters per input token), priced with the most
+// expensive configured model - rate limits can rotate the call to any of them
+function estimateAIRequestCost(llm, request) {
+  const inputTokens = Math.ceil((request.prompt || '').length / 4);
+  return Math.max(0, ...llm.models.map(model => estimateLLMCost(model, inputTokens, AI_ESTIMATED_OUTPUT_TOKENS)));
+}
+
+// Error message when today's budget is used up, null otherwise - then the call counts as in flight
+// until releaseAIBudget() (calls in flight are included in the check)
+async function reserveAIBudget(estimatedCost) {
+  const [{ aiBudget = {} }, { aiUsage = {} }] = await Promise.all([
+    chrome.storage.sync.get(['aiBudget']),
+    chrome.storage.local.get(['aiUsage'])
+  ]);
+  const today = getDayUsageTotals(aiUsage[getUsageDayKey()]);
+  const requests = today.requests + aiUsageInFlight.requests;
+  const cost = today.cost + aiUsageInFlight.cost;
+
+  if (aiBudget.dailyRequests > 0 && requests >= aiBudget.dailyRequests) {
+    return `Osiągnięto dzienny limit zapytań AI (${aiBudget.dailyRequests}). Zmień go w ustawieniach lub spróbuj jutro.`;
+  }
+  if (aiBudget.dailyCost > 0 && cost >= aiBudget.dailyCost) {
+    return `Osiągnięto dzienny budżet AI ($${aiBudget.dailyCost}). Zmień go w ustawieniach lub spróbuj jutro.`;
+  }
+
+  // Same synchronous step as the check - a parallel call sees this one when it gets here
+  aiUsageInFlight.requests++;
+  aiUsageInFlight.cost += estimatedCost;
+  return null;
+}
+
+function releaseAIBudget(estimatedCost) {
+  aiUsageInFlight.requests--;
+  aiUsageInFlight.cost = Math.max(0, aiUsageInFlight.cost - estimatedCost);
+}
+
+const usage = (model, inputTokens, outputTokens, extra = {}) => ({
+  provider: 'gemini', model, inputTokens, outputTokens, latencyMs: 800, retries: 0, rateLimited: 0, ...extra
+});
+
+describe('estimateLLMCost', () => {
+  test('uses the longest matching model prefix', () => {
+    expect(estimateLLMCost('gpt-4o-mini-2024-07-18', 1e6, 1e6)).toBeCloseTo(0.75);
+    expect(estimateLLMCost('gpt-4o', 1e6, 0)).toBeCloseTo(2.5);
+    expect(estimateLLMCost('gemini-2.0-flash-lite', 2000, 100)).toBeCloseTo(0.00018);
+  });
+
+  test('unknown and self-hosted models are free', () => {
+    expect(estimateLLMCost('llama3.1', 5000, 500)).toBe(0);
+    expect(estimateLLMCost(null, 5000, 500)).toBe(0);
+  });
+});
+
+describe('estimateAIRequestCost', () => {
+  test('priced with the most expensive configured model', () => {
+    const request = { prompt: 'x'.repeat(4000) };
+    expect(estimateAIRequestCost({ models: ['gpt-4o-mini', 'gpt-4o'] }, request)).toBeCloseTo(0.0125);
+    expect(estimateAIRequestCost({ models: ['llama3.1'] }, request)).toBe(0);
+  });
+});
+
+describe('getUsageDayKey', () => {
+  test('local calendar day with zero padding', () => {
+    expect(getUsageDayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+  });
+});
+
+describe('addAIUsageRecord', () => {
+  test('totals per day, site, provider and model', () => {
+    const aiUsage = {};
+    addAIUsageRecord(aiUsage, '2026-10-19', 'pracuj.pl', usage('gemini-2.0-flash', 1000, 100), true);
+    addAIUsageRecord(aiUsage, '2026-10-19', 'pracuj.pl', usage('gemini-2.0-flash', 500, 50, { retries: 1, rateLimited: 1 }), false);
+    addAIUsageRecord(aiUsage, '2026-10-19', 'extension', usage('gemini-2.5-flash', 10, 10), true);
+
+    const totals = aiUsage['2026-10-19']['pracuj.pl|gemini|gemini-2.0-flash'];
+    expect(totals).toMatchObject({ requests: 2, errors: 1, inputTokens: 1500, outputTokens: 150, latencyMs: 1600, retries: 1, rateLimited: 1 });
+    expect(totals.cost).toBeCloseTo(0.00021);
+    expect(Object.keys(aiUsage['2026-10-19'])).toHaveLength(2);
+  });
+});
+
+describe('getDayUsageTotals', () => {
+  test('sums requests and cost over all sites and models', () => {
+    const aiUsage = {};
+    addAIUsageRecord(aiUsage, '2026-10-19', 'a.pl', usage('gpt-4o', 1e6, 0), true);
+    addAIUsageRecord(aiUsage, '2026-10-19', 'b.pl', usage('llama3.1', 100, 10), true);
+
+    const totals = getDayUsageTotals(aiUsage['2026-10-19']);
+    expect(totals.requests).toBe(2);
+    expect(totals.cost).toBeCloseTo(2.5);
+    expect(getDayUsageTotals(undefined)).toEqual({ requests: 0, cost: 0 });
+  });
+});
+
+describe('reserveAIBudget', () => {
+  const llm = { models: ['gpt-4o'] };
+  const today = getUsageDayKey();
+
+  beforeEach(() => {
+    syncData = {};
+    localData = { aiUsage: {} };
+    aiUsageInFlight.requests = 0;
+    aiUsageInFlight.cost = 0;
+  });
+
+  test('parallel calls can not overshoot the request limit', async () => {
+    syncData.aiBudget = { dailyRequests: 3 };
+    addAIUsageRecord(localData.aiUsage, today, 'a.pl', usage('gpt-4o', 100, 10), true);
+    addAIUsageRecord(localData.aiUsage, today, 'a.pl', usage('gpt-4o', 100, 10), true);
+
+    const results = await Promise.all([reserveAIBudget(0), reserveAIBudget(0)]);
+
+    expect(results[0]).toBeNull();
+    expect(results[1]).toMatch(/dzienny limit zapytań AI \(3\)/);
+    expect(aiUsageInFlight.requests).toBe(1);
+  });
+
+  test('in-flight estimated cost counts against the daily budget', async () => {
+    syncData.aiBudget = { dailyCost: 0.01 };
+    const estimatedCost = estimateAIRequestCost(llm, { prompt: 'x'.repeat(4000) });
+    expect(estimatedCost).toBeCloseTo(0.0125);
+
+    expect(await reserveAIBudget(estimatedCost)).toBeNull();
+    expect(await reserveAIBudget(estimatedCost)).toMatch(/dzienny budżet AI/);
+
+    releaseAIBudget(estimatedCost);
+    expect(aiUsageInFlight).toEqual({ requests: 0, cost: 0 });
+    expect(await reserveAIBudget(estimatedCost)).toBeNull();
+  });
+
+  test('no budget set - every call passes', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await reserveAIBudget(1)).toBeNull();
+    }
+  });
+});
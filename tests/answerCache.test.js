@@ -0,0 +1,168 @@
+/**
+ * Tests for the AI answer cache
+ * Question/option normalization, what may be cached, profile-bound entries, TTL
+ */
+
+// Extract helpers from ai.js
+const ANSWER_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;  // 30 days
+const ANSWER_CACHE_MAX_ENTRIES = 500;
+
+function hashAnswerCacheText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash).toString(36);
+}
+
+function normalizeAnswerCacheText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function getAnswerCacheKey(q) {
+  const options = (q.options || [])
+    .filter(opt => typeof opt === 'string')
+    .map(normalizeAnswerCacheText)
+    .sort();
+  return hashAnswerCacheText(`${normalizeAnswerCacheText(q.question)}|${options.join('|')}`);
+}
+
+function isCacheableAnswer(q, entry) {
+  if (!entry || entry.unknown || !entry.answer) return false;
+  // Dates like "available from" are computed relative to today
+  if (q.type === 'datepicker') return false;
+  // Selectize without loaded options - the same question later has options
+  if (q.type === 'selectize' && !(q.options || []).length) return false;
+  const options = (q.options || []).filter(opt => typeof opt === 'string');
+  return options.length === 0 || options.includes(entry.answer);
+}
+
+async function getAnswerCacheContextHash(userData) {
+  const settings = await new Promise(resolve => {
+    chrome.storage.local.get(['useCvData', 'cvAnalyzedData', 'useCustomPrompt', 'customPrompt'], resolve);
+  });
+  return hashAnswerCacheText(JSON.stringify({
+    userData,
+    cv: settings.useCvData ? settings.cvAnalyzedData || null : null,
+    prompt: settings.useCustomPrompt ? settings.customPrompt || null : null
+  }));
+}
+
+async function readCachedAnswers(contextHash, questions) {
+  const { aiAnswerCache = {} } = await new Promise(resolve => {
+    chrome.storage.local.get(['aiAnswerCache'], resolve);
+  });
+
+  const now = Date.now();
+  const hits = {};
+  questions.forEach((q, idx) => {
+    const entry = aiAnswerCache[getAnswerCacheKey(q)];
+    if (entry && entry.contextHash === contextHash && now - entry.storedAt < ANSWER_CACHE_TTL_MS) {
+      hits[idx] = { answer: entry.answer, confidence: entry.confidence, unknown: false, cached: true };
+    }
+  });
+  return hits;
+}
+
+async function storeCachedAnswers(contextHash, questions, answers) {
+  const { aiAnswerCache = {} } = await new Promise(resolve => {
+    chrome.storage.local.get(['aiAnswerCache'], resolve);
+  });
+
+  const now = Date.now();
+  let stored = 0;
+  questions.forEach((q, idx) => {
+    if (isCacheableAnswer(q, answers[idx])) {
+      aiAnswerCache[getAnswerCacheKey(q)] = {
+        answer: answers[idx].answer,
+        confidence: answers[idx].confidence ?? null,
+        contextHash,
+        storedAt: now
+      };
+      stored++;
+    }
+  });
+  if (stored === 0) return;
+
+  const kept = Object.entries(aiAnswerCache)
+    .filter(([, entry]) => entry.contextHash === contextHash && now - entry.storedAt < ANSWER_CACHE_TTL_MS)
+    .sort((a, b) => b[1].storedAt - a[1].storedAt)
+    .slice(0, ANSWER_CACHE_MAX_ENTRIES);
+
+  await new Promise(resolve => {
+    chrome.storage.local.set({ aiAnswerCache: Object.fromEntries(kept) }, resolve);
+  });
+  console.log(`[Answer Cache] Stored ${stored} answer(s), ${kept.length} in cache`);
+}
+
+// In-memory chrome.storage.local
+let storage = {};
+global.chrome = {
+  storage: {
+    local: {
+      get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]]))),
+      set: (items, callback) => { Object.assign(storage, items); callback && callback(); }
+    }
+  }
+};
+
+beforeEach(() => {
+  storage = {};
+});
+
+describe('getAnswerCacheKey', () => {
+  test('ignores case, punctuation and option order', () => {
+    const a = getAnswerCacheKey({ question: 'Do you require visa sponsorship? *', options: ['Yes', 'No'] });
+    const b = getAnswerCacheKey({ question: 'do you require  visa sponsorship', options: ['no', 'yes'] });
+    expect(a).toBe(b);
+  });
+
+  test('different option sets are different questions', () => {
+    expect(getAnswerCacheKey({ question: 'Notice period', options: ['1 month', '3 months'] }))
+      .not.toBe(getAnswerCacheKey({ question: 'Notice period', options: [] }));
+  });
+});
+
+describe('isCacheableAnswer', () => {
+  test('only known answers that are one of the options', () => {
+    const q = { question: 'Gender', options: ['Male', 'Female'] };
+    expect(isCacheableAnswer(q, { answer: 'Female', unknown: false })).toBe(true);
+    expect(isCacheableAnswer(q, { answer: 'Kobieta', unknown: false })).toBe(false);
+    expect(isCacheableAnswer(q, { answer: '', unknown: true })).toBe(false);
+  });
+
+  test('dates and Selectize fields without options are not cached', () => {
+    expect(isCacheableAnswer({ question: 'Start date', type: 'datepicker' }, { answer: '2026-11-01' })).toBe(false);
+    expect(isCacheableAnswer({ question: 'City', type: 'selectize', options: [] }, { answer: 'Kraków' })).toBe(false);
+    expect(isCacheableAnswer({ question: 'Salary expectations' }, { answer: '15000 PLN' })).toBe(true);
+  });
+});
+
+describe('readCachedAnswers / storeCachedAnswers', () => {
+  const questions = [{ question: 'Salary expectations' }, { question: 'Gender', options: ['Male', 'Female'] }];
+
+  test('stored answers come back marked as cached', async () => {
+    await storeCachedAnswers('profile1', questions, { 0: { answer: '15000 PLN', confidence: 0.7, unknown: false }, 1: { answer: '', confidence: 0, unknown: true } });
+    const hits = await readCachedAnswers('profile1', [{ question: 'Gender', options: ['Female', 'Male'] }, { question: 'salary expectations:' }]);
+    expect(hits).toEqual({ 1: { answer: '15000 PLN', confidence: 0.7, unknown: false, cached: true } });
+  });
+
+  test('a different profile hash misses and drops the old entries on the next write', async () => {
+    await storeCachedAnswers('profile1', questions, { 0: { answer: '15000 PLN' } });
+    expect(await readCachedAnswers('profile2', questions)).toEqual({});
+
+    await storeCachedAnswers('profile2', questions, { 1: { answer: 'Male' } });
+    expect(Object.values(storage.aiAnswerCache).map(entry => entry.contextHash)).toEqual(['profile2']);
+  });
+
+  test('expired entries are ignored', async () => {
+    await storeCachedAnswers('profile1', questions, { 0: { answer: '15000 PLN' } });
+    Object.values(storage.aiAnswerCache).forEach(entry => { entry.storedAt -= ANSWER_CACHE_TTL_MS + 1; });
+    expect(await readCachedAnswers('profile1', questions)).toEqual({});
+  });
+});
@@ -0,0 +1,454 @@
+/**
+ * Tests for the Greenhouse and Lever site adapters
+ * Boards are recognised by host or form markup, known fields are filled from the profile and the rest is left for the AI batch
+ */
+
+const {
+  installExtensionMocks,
+  getMockAIResponse,
+  getQuestionForInput,
+  fuzzyMatch,
+  isPlaceholderAnswer,
+  writeFieldValue
+} = require('./helpers/adapterFixtures');
+
+const storage = installExtensionMocks();
+
+// Extract consent and CV helpers from content.js
+const EEO_DECLINE_PATTERN = /decline|prefer not|(don.?t|do not) wish|not (to )?(answer|disclose|say|specify)|choose not|wolę nie|nie chcę|odmawiam/i;
+
+const DEFAULT_CONSENT_POLICIES = {
+  required_privacy: 'accept',
+  future_recruitment: 'accept',
+  talent_pool: 'skip',
+  marketing: 'decline',
+  eeo: 'decline'
+};
+
+function getConsentPolicies() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get('consentPolicies', (result) => {
+      resolve({ ...DEFAULT_CONSENT_POLICIES, ...(chrome.runtime.lastError ? {} : result.consentPolicies) });
+    });
+  });
+}
+
+function getCvAnalyzedData() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get('cvAnalyzedData', (result) => {
+      resolve(result.cvAnalyzedData || null);
+    });
+  });
+}
+
+// Undo journal is not recorded in these tests (fillJournal.test.js)
+function recordFieldState() {}
+
+// Uploads go through the document library (documentLibrary.test.js) - here only the purpose matters
+const handleFileInput = jest.fn(async () => {});
+
+// Extract adapter registry, helpers and the Greenhouse/Lever adapters from adapters.js
+const SITE_ADAPTERS = [];
+
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS.push(adapter);
+}
+
+function getSiteAdapter() {
+  return SITE_ADAPTERS.find(adapter => {
+    try {
+      return adapter.matches();
+    } catch (error) {
+      console.warn(`[Site Adapter] ${adapter.name}: matches() failed`, error);
+      return false;
+    }
+  }) || null;
+}
+
+async function setAdapterInputValue(element, value, options = {}) {
+  recordFieldState(element);
+  return writeFieldValue(element, value, options);
+}
+
+function waitForElement(selector, timeout = 3000, root = document) {
+  const findVisible = () => Array.from(root.querySelectorAll(selector)).find(el => el.offsetParent !== null) || null;
+
+  return new Promise((resolve) => {
+    const found = findVisible();
+    if (found) {
+      resolve(found);
+      return;
+    }
+
+    const observer = new MutationObserver(() => {
+      const element = findVisible();
+      if (element) {
+        clearTimeout(timeoutId);
+        observer.disconnect();
+        resolve(element);
+      }
+    });
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true });
+
+    const timeoutId = setTimeout(() => {
+      observer.disconnect();
+      resolve(null);
+    }, timeout);
+  });
+}
+
+async function fillAutocompleteInput(input, value, optionSelector) {
+  if (!await setAdapterInputValue(input, value, { blur: false })) return false;
+  input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40, bubbles: true }));
+
+  if (!await waitForElement(optionSelector, 4000)) {
+    console.warn(`[Site Adapter] No suggestions for "${value}"`);
+    return false;
+  }
+
+  const suggestions = Array.from(document.querySelectorAll(optionSelector)).filter(el => el.offsetParent !== null);
+  const texts = suggestions.map(el => el.textContent.trim());
+  const matchedText = fuzzyMatch(value, texts) || texts[0];
+  const suggestion = suggestions.find(el => el.textContent.trim() === matchedText);
+  if (!suggestion) return false;
+
+  suggestion.click();
+  await new Promise(resolve => setTimeout(resolve, 300));
+  return true;
+}
+
+async function selectAdapterOption(select, text) {
+  const option = Array.from(select.options).find(opt => opt.text.trim() === text);
+  if (!option) return false;
+
+  recordFieldState(select);
+  return writeFieldValue(select, option.value);
+}
+
+async function fillMappedFields(fieldMap, userData, cvData, { processedElements, missingFields }) {
+  let filledFields = 0;
+  let totalFields = 0;
+
+  for (const entry of fieldMap) {
+    const elements = Array.from(document.querySelectorAll(entry.selector)).filter(el => !processedElements.has(el));
+
+    for (const element of elements) {
+      const kind = entry.kind || (element.tagName === 'SELECT' ? 'select' : 'text');
+      const question = entry.question || getQuestionForInput(element) || element.name;
+
+      if (kind === 'file') {
+        processedElements.add(element);
+        totalFields++;
+        await handleFileInput(element, entry.purpose || 'cv');
+        if (element.files && element.files.length > 0) filledFields++;
+        continue;
+      }
+
+      if (kind === 'eeo') {
+        const eeoPolicy = (await getConsentPolicies()).eeo;
+        if (eeoPolicy === 'profile') continue;
+
+        processedElements.add(element);
+        totalFields++;
+        let declined = false;
+        // 'skip' leaves it for the user (reported below)
+        if (eeoPolicy === 'decline') {
+          if (element.tagName === 'SELECT') {
+            const declineText = Array.from(element.options).map(opt => opt.text.trim()).find(text => EEO_DECLINE_PATTERN.test(text));
+            declined = !!declineText && (element.options[element.selectedIndex]?.text.trim() === declineText || await selectAdapterOption(element, declineText));
+          } else {
+            element.click();
+            if (await waitForElement(entry.optionSelector || '[role="option"]')) {
+              const decline = Array.from(document.querySelectorAll(entry.optionSelector || '[role="option"]'))
+                .find(opt => opt.offsetParent !== null && EEO_DECLINE_PATTERN.test(opt.textContent));
+              if (decline) {
+                recordFieldState(element);
+                decline.click();
+                declined = true;
+              } else {
+                element.click();
+              }
+            }
+          }
+        }
+        if (declined) {
+          filledFields++;
+        } else if (missingFields) {
+          missingFields.push({ question, reason: 'Pytanie EEO - odpowiedz samodzielnie', element });
+        }
+        continue;
+      }
+
+      const options = element.tagName === 'SELECT'
+        ? Array.from(element.options).map(opt => opt.text.trim()).filter(text => text && !isPlaceholderAnswer(text))
+        : null;
+      const answer = entry.value ? entry.value(userData, cvData) : getMockAIResponse(question, userData, options);
+      if (!answer) continue;
+
+      processedElements.add(element);
+      totalFields++;
+
+      let filled = false;
+      if (kind === 'select') {
+        const matchedText = fuzzyMatch(answer, options);
+        filled = !!matchedText && await selectAdapterOption(element, matchedText);
+      } else if (kind === 'autocomplete') {
+        filled = !!element.value || await fillAutocompleteInput(element, answer, entry.optionSelector || '[role="option"]');
+      } else {
+        filled = !!element.value || await setAdapterInputValue(element, answer);
+      }
+
+      if (filled) {
+        filledFields++;
+      } else if (missingFields) {
+        missingFields.push({ question, reason: `Nie udało się wybrać "${answer}"`, element });
+      }
+    }
+  }
+
+  return { filledFields, totalFields };
+}
+
+function getCurrentExperience(cvData) {
+  const experience = cvData?.experience;
+  if (!Array.isArray(experience) || experience.length === 0) return null;
+  return experience.find(entry => !entry.endDate || /present|obecnie/i.test(entry.endDate)) || experience[0];
+}
+
+const GREENHOUSE_HOST_PATTERN = /(^|\.)greenhouse\.io$/i;
+
+const GREENHOUSE_FIELDS = [
+  { selector: '#first_name, input[name="job_application[first_name]"]', question: 'First name' },
+  { selector: '#last_name, input[name="job_application[last_name]"]', question: 'Last name' },
+  { selector: '#email, input[name="job_application[email]"]', question: 'Email' },
+  { selector: '#phone, input[name="job_application[phone]"]', question: 'Phone' },
+  { selector: '#job_application_location, #candidate-location', question: 'City', kind: 'autocomplete',
+    optionSelector: '#location_autocomplete-items-popup li, .ui-autocomplete li, [role="listbox"] [role="option"]' },
+  { selector: 'input[type="file"]#resume, #resume_fieldset input[type="file"], input[type="file"][name="job_application[resume]"]', kind: 'file' },
+  { selector: 'input[type="file"]#cover_letter, #cover_letter_fieldset input[type="file"], input[type="file"][name="job_application[cover_letter]"]', kind: 'file', purpose: 'cover_letter' },
+  { selector: 'input[id*="linkedin" i], input[name*="linkedin" i]', question: 'LinkedIn' },
+  { selector: 'input[id*="website" i], input[id*="portfolio" i]', question: 'Website' },
+  { selector: 'input[id*="github" i]', question: 'GitHub' },
+  { selector: '#job_application_gender, #job_application_race, #job_application_hispanic_ethnicity, #job_application_veteran_status, #job_application_disability_status', kind: 'eeo' },
+  { selector: 'input#gender, input#race, input#hispanic_ethnicity, input#veteran_status, input#disability_status', kind: 'eeo' }
+];
+
+registerSiteAdapter({
+  name: 'Greenhouse',
+
+  matches() {
+    return GREENHOUSE_HOST_PATTERN.test(location.hostname) ||
+      !!document.querySelector('#application_form[action*="greenhouse"], form#application-form input[name="job_application[first_name]"]');
+  },
+
+  async fill(userData, context) {
+    const cvData = await getCvAnalyzedData();
+    const stats = await fillMappedFields(GREENHOUSE_FIELDS, userData, cvData, context);
+    console.log(`[Greenhouse] Filled ${stats.filledFields}/${stats.totalFields} known fields`);
+    return stats;
+  }
+});
+
+const LEVER_HOST_PATTERN = /(^|\.)lever\.co$/i;
+
+const LEVER_FIELDS = [
+  { selector: 'input[name="name"]', question: 'Full name' },
+  { selector: 'input[name="email"]', question: 'Email' },
+  { selector: 'input[name="phone"]', question: 'Phone' },
+  { selector: 'input[name="location"]', question: 'City', kind: 'autocomplete',
+    optionSelector: '.dropdown-results .dropdown-location, .dropdown-results div' },
+  { selector: 'input[name="org"]', value: (userData, cvData) => getCurrentExperience(cvData)?.company || '' },
+  { selector: 'input[name="urls[LinkedIn]"]', question: 'LinkedIn' },
+  { selector: 'input[name="urls[GitHub]"]', question: 'GitHub' },
+  { selector: 'input[name="urls[Portfolio]"], input[name="urls[Other]"]', question: 'Website' },
+  { selector: 'input[type="file"][name="resume"], #resume-upload-input', kind: 'file' },
+  { selector: 'select[name^="eeo["]', kind: 'eeo' }
+];
+
+registerSiteAdapter({
+  name: 'Lever',
+
+  matches() {
+    return LEVER_HOST_PATTERN.test(location.hostname) ||
+      !!document.querySelector('form#application-form input[name="urls[LinkedIn]"]');
+  },
+
+  async fill(userData, context) {
+    const cvData = await getCvAnalyzedData();
+    const stats = await fillMappedFields(LEVER_FIELDS, userData, cvData, context);
+    console.log(`[Lever] Filled ${stats.filledFields}/${stats.totalFields} known fields`);
+    return stats;
+  }
+});
+
+const userData = {
+  'Imię': 'Anna',
+  'Nazwisko': 'Kowalska',
+  'Email': 'anna.kowalska@example.com',
+  'Telefon': '+48 600 100 200',
+  'LinkedIn': 'https://www.linkedin.com/in/annakowalska'
+};
+
+const cvAnalyzedData = {
+  experience: [
+    { company: 'Allegro', position: 'Senior Developer', startDate: '2021-03', endDate: 'present' },
+    { company: 'Comarch', position: 'Developer', startDate: '2017-09', endDate: '2021-02' }
+  ]
+};
+
+beforeEach(() => {
+  Object.keys(storage).forEach(key => delete storage[key]);
+  storage.cvAnalyzedData = cvAnalyzedData;
+  handleFileInput.mockClear();
+});
+
+describe('site adapter detection', () => {
+  test('host patterns cover the board domains and nothing else', () => {
+    expect(GREENHOUSE_HOST_PATTERN.test('boards.greenhouse.io')).toBe(true);
+    expect(GREENHOUSE_HOST_PATTERN.test('job-boards.greenhouse.io')).toBe(true);
+    expect(GREENHOUSE_HOST_PATTERN.test('greenhouse.io.example.com')).toBe(false);
+    expect(LEVER_HOST_PATTERN.test('jobs.lever.co')).toBe(true);
+    expect(LEVER_HOST_PATTERN.test('clever.co')).toBe(false);
+  });
+
+  test('embedded boards are recognised by their form markup', () => {
+    document.body.innerHTML = '<form id="application_form" action="https://boards.greenhouse.io/acme/jobs/1"></form>';
+    expect(getSiteAdapter().name).toBe('Greenhouse');
+
+    document.body.innerHTML = '<form id="application-form"><input name="urls[LinkedIn]"></form>';
+    expect(getSiteAdapter().name).toBe('Lever');
+
+    document.body.innerHTML = '<form id="application-form"><input name="email"></form>';
+    expect(getSiteAdapter()).toBeNull();
+  });
+});
+
+describe('Greenhouse adapter', () => {
+  const greenhouse = () => SITE_ADAPTERS.find(adapter => adapter.name === 'Greenhouse');
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="application_form" action="https://boards.greenhouse.io/acme/jobs/1">
+        <input name="job_application[first_name]">
+        <input name="job_application[last_name]">
+        <input name="job_application[email]">
+        <input name="job_application[phone]" value="600 999 999">
+        <input type="file" name="job_application[resume]">
+        <input type="file" name="job_application[cover_letter]">
+        <label for="question_1">LinkedIn Profile</label><input id="question_1_linkedin" name="job_application[answers_attributes][0][text_value]">
+        <label for="question_2">Why do you want to work here?</label><textarea id="question_2" name="job_application[answers_attributes][1][text_value]"></textarea>
+        <label for="job_application_gender">Gender</label>
+        <select id="job_application_gender">
+          <option value="">Please select</option>
+          <option value="1">Female</option>
+          <option value="2">Male</option>
+          <option value="3">Decline To Self Identify</option>
+        </select>
+      </form>`;
+  });
+
+  test('fills the contact block from the profile and keeps values already there', async () => {
+    const context = { processedElements: new Set(), missingFields: [] };
+    await greenhouse().fill(userData, context);
+
+    const field = name => document.querySelector(`[name="job_application[${name}]"]`);
+    expect(field('first_name').value).toBe('Anna');
+    expect(field('last_name').value).toBe('Kowalska');
+    expect(field('email').value).toBe('anna.kowalska@example.com');
+    expect(field('phone').value).toBe('600 999 999');
+    expect(document.getElementById('question_1_linkedin').value).toBe('https://www.linkedin.com/in/annakowalska');
+  });
+
+  test('leaves custom questions to the AI batch', async () => {
+    const context = { processedElements: new Set(), missingFields: [] };
+    await greenhouse().fill(userData, context);
+
+    expect(context.processedElements.has(document.getElementById('question_2'))).toBe(false);
+    expect(document.getElementById('question_2').value).toBe('');
+  });
+
+  test('uploads the CV and the cover letter to their own inputs', async () => {
+    const context = { processedElements: new Set(), missingFields: [] };
+    await greenhouse().fill(userData, context);
+
+    expect(handleFileInput.mock.calls.map(([element, purpose]) => [element.name, purpose])).toEqual([
+      ['job_application[resume]', 'cv'],
+      ['job_application[cover_letter]', 'cover_letter']
+    ]);
+  });
+
+  test('declines EEO questions by default', async () => {
+    const context = { processedElements: new Set(), missingFields: [] };
+    const stats = await greenhouse().fill(userData, context);
+
+    const gender = document.getElementById('job_application_gender');
+    expect(gender.options[gender.selectedIndex].text).toBe('Decline To Self Identify');
+    expect(context.missingFields).toEqual([]);
+    // first/last name, email, phone, LinkedIn, gender, CV, cover letter
+    expect(stats.totalFields).toBe(8);
+  });
+
+  test('EEO "skip" policy reports the question, "profile" leaves it to the generic path', async () => {
+    const gender = document.getElementById('job_application_gender');
+
+    storage.consentPolicies = { eeo: 'skip' };
+    const skipped = { processedElements: new Set(), missingFields: [] };
+    await greenhouse().fill(userData, skipped);
+    expect(gender.value).toBe('');
+    expect(skipped.missingFields).toEqual([{ question: 'Gender', reason: 'Pytanie EEO - odpowiedz samodzielnie', element: gender }]);
+
+    storage.consentPolicies = { eeo: 'profile' };
+    const profile = { processedElements: new Set(), missingFields: [] };
+    await greenhouse().fill(userData, profile);
+    expect(profile.processedElements.has(gender)).toBe(false);
+  });
+});
+
+describe('Lever adapter', () => {
+  const lever = () => SITE_ADAPTERS.find(adapter => adapter.name === 'Lever');
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="application-form">
+        <input name="name">
+        <input name="email">
+        <input name="phone">
+        <input name="org">
+        <input name="urls[LinkedIn]">
+        <input name="urls[GitHub]">
+        <label for="card">What is your notice period?</label><input id="card" name="cards[0b6e][field0]">
+        <select name="eeo[gender]">
+          <option value="">Select ...</option>
+          <option value="Female">Female</option>
+          <option value="Decline to self-identify">Decline to self-identify</option>
+        </select>
+      </form>`;
+  });
+
+  test('fills the full name, contact block and current company', async () => {
+    const context = { processedElements: new Set(), missingFields: [] };
+    await lever().fill(userData, context);
+
+    const field = name => document.querySelector(`[name="${name}"]`);
+    expect(field('name').value).toBe('Anna Kowalska');
+    expect(field('email').value).toBe('anna.kowalska@example.com');
+    expect(field('phone').value).toBe('+48 600 100 200');
+    expect(field('org').value).toBe('Allegro');
+    expect(field('urls[LinkedIn]').value).toBe('https://www.linkedin.com/in/annakowalska');
+    expect(field('eeo[gender]').value).toBe('Decline to self-identify');
+  });
+
+  test('fields without profile data and custom cards stay for the generic path', async () => {
+    const context = { processedElements: new Set(), missingFields: [] };
+    await lever().fill(userData, context);
+
+    expect(context.processedElements.has(document.querySelector('[name="urls[GitHub]"]'))).toBe(false);
+    expect(context.processedElements.has(document.getElementById('card'))).toBe(false);
+    expect(context.missingFields).toEqual([]);
+  });
+
+  test('current company falls back to the first CV entry', () => {
+    expect(getCurrentExperience({ experience: [{ company: 'Comarch', endDate: '2021-02' }] }).company).toBe('Comarch');
+    expect(getCurrentExperience(null)).toBeNull();
+  });
+});
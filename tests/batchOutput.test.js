@@ -0,0 +1,196 @@
+/**
+ * Tests for structured batch output
+ * Response schema per question index and the repair parser for free-form JSON
+ */
+
+// Extract helpers from ai.js
+// Longer option lists (countries, universities) go to the model as plain strings - keeps the schema small
+const BATCH_SCHEMA_MAX_ENUM_OPTIONS = 50;
+
+function buildBatchAnswerSchema(questions) {
+  const properties = {};
+  questions.forEach((q, idx) => {
+    const options = [...new Set((q.options || []).filter(opt => typeof opt === 'string' && opt))];
+    const answer = options.length > 0 && options.length <= BATCH_SCHEMA_MAX_ENUM_OPTIONS
+      ? { type: 'string', enum: options }
+      : { type: 'string' };
+    properties[idx] = {
+      type: 'object',
+      properties: {
+        answer,
+        confidence: { type: 'number' },
+        unknown: { type: 'boolean' }
+      },
+      required: ['answer', 'confidence', 'unknown'],
+      additionalProperties: false
+    };
+  });
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+function repairJsonText(json) {
+  let escaped = '';
+  let inString = false;
+  let afterBackslash = false;
+  for (const ch of json) {
+    if (inString) {
+      if (afterBackslash) {
+        afterBackslash = false;
+      } else if (ch === '\\') {
+        afterBackslash = true;
+      } else if (ch === '"') {
+        inString = false;
+      } else if (ch === '\n' || ch === '\r' || ch === '\t') {
+        escaped += ch === '\n' ? '\\n' : ch === '\r' ? '\\r' : '\\t';
+        continue;
+      }
+    } else if (ch === '"') {
+      inString = true;
+    }
+    escaped += ch;
+  }
+
+  return escaped
+    .replace(/,(\s*[}\]])/g, '$1')
+    .replace(/([{,]\s*)(\d+)\s*:/g, '$1"$2":');
+}
+
+function normalizeBatchAnswers(parsed) {
+  // Unwrap {"answers": {...}}
+  if (parsed && !Array.isArray(parsed) && typeof parsed.answers === 'object' &&
+      !Object.keys(parsed).some(key => /^\d+$/.test(key))) {
+    parsed = parsed.answers;
+  }
+
+  const entries = Array.isArray(parsed)
+    ? parsed.map((value, idx) => [String(idx), value])
+    : Object.entries(parsed || {});
+
+  const result = {};
+  entries.forEach(([key, value]) => {
+    if (!/^\d+$/.test(key)) {
+      return;
+    }
+    const entry = value && typeof value === 'object' ? value : { answer: value };
+    const unknown = entry.unknown === true || entry.unknown === 'true';
+    const answer = unknown || entry.answer === null || entry.answer === undefined ? '' : String(entry.answer).trim();
+
+    let confidence = parseFloat(entry.confidence);
+    if (Number.isFinite(confidence)) {
+      // Some models answer in percent
+      confidence = Math.min(1, Math.max(0, confidence > 1 ? confidence / 100 : confidence));
+    } else {
+      confidence = null;
+    }
+
+    result[key] = { answer, confidence, unknown: unknown || answer === '' };
+  });
+  return result;
+}
+
+function parseBatchAIResponse(response) {
+  if (!response) {
+    return null;
+  }
+
+  const text = response.replace(/```(?:json)?/gi, '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  const json = start !== -1 && end > start ? text.slice(start, end + 1) : text;
+
+  for (const candidate of [json, repairJsonText(json)]) {
+    try {
+      return normalizeBatchAnswers(JSON.parse(candidate));
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  // Truncated or badly broken output - keep each entry that still parses
+  const salvaged = {};
+  const body = start !== -1 ? text.slice(start) : text;
+  const entryPattern = /"?(\d+)"?\s*:\s*(\{[^{}]*\}|"(?:[^"\\]|\\.)*")/g;
+  let match;
+  while ((match = entryPattern.exec(body)) !== null) {
+    try {
+      salvaged[match[1]] = JSON.parse(repairJsonText(match[2]));
+    } catch (error) {
+      // Skip this entry
+    }
+  }
+
+  if (Object.keys(salvaged).length === 0) {
+    return null;
+  }
+  console.warn(`[Gemini Filler] Batch response was not valid JSON, salvaged ${Object.keys(salvaged).length} answers`);
+  return normalizeBatchAnswers(salvaged);
+}
+
+describe('buildBatchAnswerSchema', () => {
+  test('one required entry per question index', () => {
+    const schema = buildBatchAnswerSchema([{ question: 'Name' }, { question: 'Gender', options: ['Male', 'Female', 'Male'] }]);
+    expect(schema.required).toEqual(['0', '1']);
+    expect(schema.additionalProperties).toBe(false);
+    expect(schema.properties[0].required).toEqual(['answer', 'confidence', 'unknown']);
+    expect(schema.properties[0].properties.answer).toEqual({ type: 'string' });
+    expect(schema.properties[1].properties.answer).toEqual({ type: 'string', enum: ['Male', 'Female'] });
+  });
+
+  test('long option lists are not turned into an enum', () => {
+    const options = Array.from({ length: BATCH_SCHEMA_MAX_ENUM_OPTIONS + 1 }, (_, i) => `Country ${i}`);
+    const schema = buildBatchAnswerSchema([{ question: 'Country', options }]);
+    expect(schema.properties[0].properties.answer).toEqual({ type: 'string' });
+  });
+});
+
+describe('parseBatchAIResponse', () => {
+  test('structured answers with confidence and unknown markers', () => {
+    const parsed = parseBatchAIResponse('{"0": {"answer": "Jan Kowalski", "confidence": 0.95, "unknown": false}, "1": {"answer": "Male", "confidence": 0.3, "unknown": true}}');
+    expect(parsed).toEqual({
+      0: { answer: 'Jan Kowalski', confidence: 0.95, unknown: false },
+      1: { answer: '', confidence: 0.3, unknown: true }
+    });
+  });
+
+  test('legacy string values from custom prompts', () => {
+    expect(parseBatchAIResponse('{"0": "Yes", "1": ""}')).toEqual({
+      0: { answer: 'Yes', confidence: null, unknown: false },
+      1: { answer: '', confidence: null, unknown: true }
+    });
+  });
+
+  test('markdown fences and prose around the JSON', () => {
+    const parsed = parseBatchAIResponse('Here are the answers:\n```json\n{"0": "Yes"}\n```\nLet me know!');
+    expect(parsed[0].answer).toBe('Yes');
+  });
+
+  test('trailing commas, bare keys and raw line breaks are repaired', () => {
+    const parsed = parseBatchAIResponse('{0: {"answer": "Line one\nline two", "confidence": 80, "unknown": false,}, 1: "No",}');
+    expect(parsed[0]).toEqual({ answer: 'Line one\nline two', confidence: 0.8, unknown: false });
+    expect(parsed[1].answer).toBe('No');
+  });
+
+  test('truncated output keeps the complete entries', () => {
+    const parsed = parseBatchAIResponse('{"0": {"answer": "Yes", "confidence": 1, "unknown": false}, "1": "Warszawa", "2": {"answer": "Sen');
+    expect(Object.keys(parsed)).toEqual(['0', '1']);
+    expect(parsed[1].answer).toBe('Warszawa');
+  });
+
+  test('wrapped answers and arrays', () => {
+    expect(parseBatchAIResponse('{"answers": {"0": "Yes"}}')[0].answer).toBe('Yes');
+    expect(parseBatchAIResponse('["Yes", "No"]')).toEqual({
+      0: { answer: 'Yes', confidence: null, unknown: false },
+      1: { answer: 'No', confidence: null, unknown: false }
+    });
+  });
+
+  test('nothing readable returns null', () => {
+    expect(parseBatchAIResponse('')).toBeNull();
+    expect(parseBatchAIResponse('I cannot help with that.')).toBeNull();
+  });
+});
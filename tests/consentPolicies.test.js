@@ -0,0 +1,678 @@
+/**
+ * Tests for consent policies
+ * Checkbox labels and radio questions classified into consent / EEO categories, option picked per policy
+ */
+
+// Extract helpers from content.js
+// Wording that turns a label into an opt-in ("Chcę otrzymywać...", "Add me to...", "Subscribe...")
+const CONSENT_CONTEXT_PATTERN = /zgod|consent|akceptuj|\baccept|\bagree|wyrażam|chcę|otrzymywa|przesyła|informowa|subscri|subskryb|zapisz|receive|\badd me|dodaj|\bjoin|opt.?in|keep me|contact me|kontakt/i;
+
+// Wording of an EEO survey - a plain "Gender" / "Race" question is answered from the profile
+const EEO_CONTEXT_PATTERN = /self[- ]?identif|\beeo(c)?\b|equal (employment )?opportunit|voluntary|affirmative action|ofccp/i;
+
+// Checked in order - a marketing clause that also mentions RODO is still marketing.
+// Entries with a context pattern need it too, so "Do you have marketing experience?" stays an ordinary question
+const CONSENT_CATEGORY_PATTERNS = [
+  ['eeo', /self[- ]?identif|ethnicit|hispanic|latin[oax]\b|veteran|disabilit|sexual orientation|transgender/i],
+  ['eeo', /\bgender\b|\brace\b/i, EEO_CONTEXT_PATTERN],
+  ['marketing', /marketing|newsletter|handlow|promocyj|promotional|commercial information|special offers|ofert\w* partner/i, CONSENT_CONTEXT_PATTERN],
+  ['talent_pool', /talent pool|talent community|baz\w* (kandydat|talent|cv)|job alert|powiadomie\w* o (nowych )?ofert|similar (roles|positions|jobs)/i, CONSENT_CONTEXT_PATTERN],
+  ['future_recruitment', /przyszł\w* (proces|rekrut)|kolejn\w* (proces|rekrut)|innych (proces|rekrut)|future (recruit|job|opportunit|vacanc|position)|other (positions|vacancies|openings)/i, CONSENT_CONTEXT_PATTERN],
+  ['required_privacy', /regulamin|polityk\w* prywatności|privacy|terms (of|and)|warunk\w* (korzystania|uczestnictwa)|rodo|gdpr|przetwarzani\w* (moich )?danych|danych osobowych|klauzul\w* informacyjn|data processing|personal data/i]
+];
+
+// Generic wording that used to auto-accept any checkbox - still treated as a required clause when nothing more specific matches
+const GENERIC_CONSENT_PATTERN = /zgod|consent|akceptuj|\baccept|zapoznał|oświadczam|przyjmuję do wiadomości|acknowledge/i;
+
+// EEO answer that declines to self-identify ("Decline to self-identify", "I don't wish to answer")
+const EEO_DECLINE_PATTERN = /decline|prefer not|(don.?t|do not) wish|not (to )?(answer|disclose|say|specify)|choose not|wolę nie|nie chcę|odmawiam/i;
+
+const CONSENT_YES_PATTERN = /^(tak|yes|zgadzam|wyrażam zgodę|i agree|i accept|i consent|akceptuję)/i;
+const CONSENT_NO_PATTERN = /^(nie|no\b|i do not|i don't|decline|odmawiam)/i;
+
+// accept / decline / skip (leave it to the user); EEO: decline (self-identify) / profile (answer from profile) / skip
+const DEFAULT_CONSENT_POLICIES = {
+  required_privacy: 'accept',
+  future_recruitment: 'accept',
+  talent_pool: 'skip',
+  marketing: 'decline',
+  eeo: 'decline'
+};
+
+function classifyConsentText(text) {
+  const match = CONSENT_CATEGORY_PATTERNS.find(([, pattern, contextPattern]) =>
+    pattern.test(text || '') && (!contextPattern || contextPattern.test(text)));
+  return match ? match[0] : null;
+}
+
+function pickConsentOption(category, policy, optionsText) {
+  if (category === 'eeo') {
+    return policy === 'decline' ? optionsText.find(text => EEO_DECLINE_PATTERN.test(text)) || null : null;
+  }
+  if (policy === 'accept') return optionsText.find(text => CONSENT_YES_PATTERN.test(text.trim())) || null;
+  if (policy === 'decline') return optionsText.find(text => CONSENT_NO_PATTERN.test(text.trim())) || null;
+  return null;
+}
+
+describe('classifyConsentText', () => {
+  test('required clauses', () => {
+    expect(classifyConsentText('Wyrażam zgodę na przetwarzanie moich danych osobowych dla potrzeb niezbędnych do realizacji procesu rekrutacji')).toBe('required_privacy');
+    expect(classifyConsentText('I have read and accept the Privacy Policy')).toBe('required_privacy');
+    expect(classifyConsentText('Akceptuję regulamin serwisu')).toBe('required_privacy');
+  });
+
+  test('future recruitment wins over the RODO wording it contains', () => {
+    expect(classifyConsentText('Wyrażam zgodę na przetwarzanie moich danych osobowych w celu przyszłych procesów rekrutacyjnych')).toBe('future_recruitment');
+    expect(classifyConsentText('I consent to being contacted about future job opportunities')).toBe('future_recruitment');
+  });
+
+  test('marketing and talent pool', () => {
+    expect(classifyConsentText('Chcę otrzymywać informacje handlowe drogą elektroniczną')).toBe('marketing');
+    expect(classifyConsentText('Subscribe me to the newsletter')).toBe('marketing');
+    expect(classifyConsentText('Add me to your talent community')).toBe('talent_pool');
+    expect(classifyConsentText('Dodaj moje CV do bazy kandydatów')).toBe('talent_pool');
+  });
+
+  test('EEO questions', () => {
+    expect(classifyConsentText('Voluntary Self-Identification: Gender')).toBe('eeo');
+    expect(classifyConsentText('Race (EEO survey)')).toBe('eeo');
+    expect(classifyConsentText('Are you Hispanic/Latino?')).toBe('eeo');
+    expect(classifyConsentText('Veteran Status')).toBe('eeo');
+    expect(classifyConsentText('Voluntary Self-Identification of Disability')).toBe('eeo');
+  });
+
+  test('ordinary questions are not consents', () => {
+    expect(classifyConsentText('Do you have marketing automation experience?')).toBeNull();
+    expect(classifyConsentText('Are you interested in other positions?')).toBeNull();
+    expect(classifyConsentText('Czy posiadasz prawo jazdy?')).toBeNull();
+    expect(classifyConsentText('Would you accept a B2B contract?')).toBeNull();
+    expect(classifyConsentText('Tracking races')).toBeNull();
+    expect(classifyConsentText('Gender')).toBeNull();
+    expect(classifyConsentText('Płeć')).toBeNull();
+  });
+
+  test('generic consent wording is left to the fallback', () => {
+    expect(classifyConsentText('Oświadczam, że podane dane są prawdziwe')).toBeNull();
+    expect(GENERIC_CONSENT_PATTERN.test('Oświadczam, że podane dane są prawdziwe')).toBe(true);
+  });
+});
+
+describe('pickConsentOption', () => {
+  const yesNo = ['Tak', 'Nie'];
+  const gender = ['Male', 'Female', 'Decline To Self Identify'];
+
+  test('accept and decline pick yes / no', () => {
+    expect(pickConsentOption('marketing', 'accept', yesNo)).toBe('Tak');
+    expect(pickConsentOption('marketing', 'decline', yesNo)).toBe('Nie');
+    expect(pickConsentOption('required_privacy', 'accept', ['I agree', 'I do not agree'])).toBe('I agree');
+    expect(pickConsentOption('required_privacy', 'decline', ['I agree', 'I do not agree'])).toBe('I do not agree');
+  });
+
+  test('skip leaves the group alone', () => {
+    expect(pickConsentOption('talent_pool', 'skip', yesNo)).toBeNull();
+  });
+
+  test('EEO decline picks the self-identification opt-out', () => {
+    expect(pickConsentOption('eeo', 'decline', gender)).toBe('Decline To Self Identify');
+    expect(pickConsentOption('eeo', 'decline', ['Yes', 'No', "I don't wish to answer"])).toBe("I don't wish to answer");
+    expect(pickConsentOption('eeo', 'decline', ['Male', 'Female'])).toBeNull();
+  });
+
+  test('EEO profile and skip never pick an option themselves', () => {
+    expect(pickConsentOption('eeo', 'profile', gender)).toBeNull();
+    expect(pickConsentOption('eeo', 'skip', gender)).toBeNull();
+  });
+});
+
+// Radio groups: extract the handler and its helpers from content.js
+global.CSS = global.CSS || { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+
+let consentPolicies;
+
+global.chrome = {
+  runtime: { lastError: null },
+  storage: { sync: { get: (key, callback) => callback({ consentPolicies }) } }
+};
+
+// Undo journal is not recorded in these tests (fillJournal.test.js)
+function recordFieldState() {}
+
+// ai.js answers profile questions from userData before asking the model
+const getAIResponse = jest.fn(async (question, userData) => ({ answer: userData[question] || '' }));
+
+const RICH_TEXT_ROOT_SELECTOR = '.ql-container, .DraftEditor-root, .ProseMirror-container, .ck-editor, .tox-tinymce, .cke, [class*="editor" i]';
+
+function deepQuerySelector(selector, root = document) {
+  const direct = root.querySelector(selector);
+  if (direct) return direct;
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      const found = deepQuerySelector(selector, element.shadowRoot);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function getElementByIdDeep(id, contextNode = document) {
+  if (!id) return null;
+
+  const root = contextNode.getRootNode ? contextNode.getRootNode() : document;
+  if (root !== document && root.getElementById) {
+    const inRoot = root.getElementById(id);
+    if (inRoot) return inRoot;
+  }
+
+  return document.getElementById(id) || deepQuerySelector(`[id="${CSS.escape(id)}"]`);
+}
+
+function findLabelForDeep(element, id = element.id) {
+  if (!id) return null;
+
+  const selector = `label[for="${CSS.escape(id)}"]`;
+  const root = element.getRootNode();
+  if (root !== document && root.querySelector) {
+    const inRoot = root.querySelector(selector);
+    if (inRoot) return inRoot;
+  }
+
+  return document.querySelector(selector);
+}
+
+function getAriaLabelledByText(element) {
+  const ariaLabelledBy = element.getAttribute('aria-labelledby');
+  if (!ariaLabelledBy) return null;
+
+  const text = ariaLabelledBy.split(/\s+/)
+    .map(id => getElementByIdDeep(id, element))
+    .filter(Boolean)
+    .map(label => label.textContent.trim())
+    .filter(Boolean)
+    .join(' ');
+
+  return text || null;
+}
+
+function getParentAcrossShadow(node) {
+  if (node.parentElement) return node.parentElement;
+
+  const root = node.getRootNode ? node.getRootNode() : null;
+  return root && root.host ? root.host : null;
+}
+
+function isRichTextEditor(element) {
+  if (!element || !element.isContentEditable || element.getAttribute('contenteditable') === null) return false;
+  // Iframe bodies (TinyMCE, CKEditor 4) are filled from the parent through their textarea
+  if (element === element.ownerDocument.body) return false;
+  // Nested editable nodes belong to the outer editor
+  return !element.parentElement || !element.parentElement.isContentEditable;
+}
+
+function getRichTextQuestion(element) {
+  const placeholder = element.getAttribute('data-placeholder') || element.getAttribute('aria-placeholder') ||
+    element.querySelector('[data-placeholder]')?.getAttribute('data-placeholder') ||
+    element.closest('.DraftEditor-root')?.querySelector('.public-DraftEditorPlaceholder-inner')?.textContent;
+  if (placeholder && placeholder.trim()) return placeholder.trim();
+
+  let current = element.closest(RICH_TEXT_ROOT_SELECTOR) || element;
+  for (let depth = 0; current && depth < 3; depth++, current = current.parentElement) {
+    let sibling = current.previousElementSibling;
+    while (sibling) {
+      const isToolbar = sibling.matches('.ql-toolbar, [role="toolbar"]') || sibling.querySelector('[role="toolbar"], button');
+      const text = sibling.textContent.trim();
+      if (!isToolbar && text && text.length < 200 && !sibling.querySelector('input, textarea, select')) {
+        return text;
+      }
+      sibling = sibling.previousElementSibling;
+    }
+  }
+  return null;
+}
+
+function getQuestionForInput(input) {
+  // Validate input element
+  if (!input) {
+    return null;
+  }
+
+  let questionText = null;
+  let matchStrategy = null;
+
+  // 1. Check for a wrapping label
+  if (input.parentElement && input.parentElement.tagName === 'LABEL') {
+    questionText = input.parentElement.textContent.trim();
+    matchStrategy = '1:wrapping-label';
+  }
+
+  // 2. Check for a `for` attribute
+  if (!questionText && input.id) {
+    const label = findLabelForDeep(input);
+    if (label) {
+      questionText = label.textContent.trim();
+      matchStrategy = `2:label-for[${input.id}]`;
+    }
+
+    // Special case: Selectize.js creates inputs with ID ending in '-selectized'
+    // and moves the label to point to that input, so for original SELECT elements
+    // with class 'selectized', also check for label pointing to ID + '-selectized'
+    if (!questionText && input.tagName === 'SELECT' && input.classList.contains('selectized')) {
+      const selectizeLabel = findLabelForDeep(input, `${input.id}-selectized`);
+      if (selectizeLabel) {
+        questionText = selectizeLabel.textContent.trim();
+        matchStrategy = `2:selectize-label-for[${input.id}-selectized]`;
+        console.log(`[Gemini Filler] Found Selectize label for SELECT: "${questionText}"`);
+      }
+    }
+  }
+
+  // 3. Check for aria-labelledby
+  if (!questionText && input.getAttribute('aria-labelledby')) {
+    const ariaLabelledBy = input.getAttribute('aria-labelledby');
+    const labelText = getAriaLabelledByText(input);
+    if (labelText) {
+      questionText = labelText;
+      matchStrategy = `3:aria-labelledby[${ariaLabelledBy}]`;
+    }
+  }
+
+  // 4. Traverse up the DOM to find a nearby label (continues past shadow roots into the host's tree)
+  if (!questionText) {
+    let current = input;
+    let depth = 0;
+    while (getParentAcrossShadow(current) && depth < 5) {
+      const parent = getParentAcrossShadow(current);
+      const parentTag = parent.tagName + (parent.className ? '.' + parent.className.split(' ')[0] : '');
+
+      const label = parent.querySelector('label');
+      if (label && label.contains(input)) {
+         questionText = label.textContent.trim();
+         matchStrategy = `4a:parent-label-contains[depth=${depth}, parent=${parentTag}]`;
+         break;
+      }
+
+      const labels = parent.querySelectorAll('label');
+
+      for(let i = 0; i < labels.length; i++) {
+          const l = labels[i];
+
+          if(l.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4b:label-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          if(l.nextElementSibling === input) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4c:label-nextSibling[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          // NEW: Check if label's next sibling is a container that contains the input
+          if (l.nextElementSibling && l.nextElementSibling.contains && l.nextElementSibling.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4d:label-nextSibling-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+      }
+      if (questionText) break;
+      current = parent;
+      depth++;
+    }
+  }
+
+  // 5. Fallback to aria-label or placeholder
+  if (!questionText && input.getAttribute('aria-label')) {
+    questionText = input.getAttribute('aria-label').trim();
+    matchStrategy = '5:aria-label';
+  }
+
+  // 5b. Web components often carry the label on the shadow host (e.g. <lightning-input label="...">)
+  if (!questionText) {
+    const host = input.getRootNode().host;
+    const hostLabel = host && (host.getAttribute('label') || host.getAttribute('aria-label'));
+    if (hostLabel && hostLabel.trim()) {
+      questionText = hostLabel.trim();
+      matchStrategy = `5b:shadow-host-label[${host.tagName.toLowerCase()}]`;
+    }
+  }
+
+  if (!questionText && input.getAttribute('placeholder')) {
+    const placeholder = input.getAttribute('placeholder').trim();
+
+    // Special handling for Od/Do (From/To) range fields - look for parent label
+    const rangePatterns = ['od', 'do', 'from', 'to', 'min', 'max', 'minimum', 'maximum'];
+    if (rangePatterns.includes(placeholder.toLowerCase())) {
+      // Look for a parent label that applies to the whole range
+      let current = input;
+      let depth = 0;
+      while (current.parentElement && depth < 6) {
+        const parent = current.parentElement;
+        const label = parent.querySelector('label');
+        if (label && !label.contains(input)) {
+          // Found a label at parent level - combine with placeholder
+          questionText = `${label.textContent.trim()} (${placeholder})`;
+          matchStrategy = `6:placeholder-with-parent-label[depth=${depth}]`;
+          break;
+        }
+        current = parent;
+        depth++;
+      }
+    }
+
+    if (!questionText) {
+      questionText = placeholder;
+      matchStrategy = '6:placeholder';
+    }
+  }
+
+  // 7. Rich-text editors: data-placeholder or the heading above the editor container
+  if (!questionText && isRichTextEditor(input)) {
+    questionText = getRichTextQuestion(input);
+    matchStrategy = '7:rich-text-editor';
+  }
+
+  return questionText;
+}
+
+function getRadioGroupLabel(radioElement) {
+  // Try to find a group label by looking for aria-labelledby on a parent
+  let current = getParentAcrossShadow(radioElement);
+  let depth = 0;
+
+  while (current && depth < 5) {
+    const labelText = getAriaLabelledByText(current);
+    if (labelText) {
+      return labelText;
+    }
+
+    // Look for a label within the parent
+    const label = current.querySelector('label');
+    if (label && !label.getAttribute('for')) {
+      // This might be a group label
+      return label.textContent.trim();
+    }
+
+    current = getParentAcrossShadow(current);
+    depth++;
+  }
+
+  return null;
+}
+
+function getRadioGroupOptions(radioGroup) {
+  return Array.from(radioGroup).map(radio => {
+    // Try to find label
+    const label = findLabelForDeep(radio) ||
+                 radio.closest('label') ||
+                 (radio.nextElementSibling?.tagName === 'LABEL' ? radio.nextElementSibling : null) ||
+                 radio.parentElement?.querySelector('label') ||
+                 radio.closest('div')?.querySelector('label');
+
+    return {
+      element: radio,
+      text: label ? label.textContent.trim() : radio.getAttribute('aria-label') || radio.value
+    };
+  }).filter(opt => opt.text);
+}
+
+function checkRadioOption(radio) {
+  recordFieldState(radio);
+  radio.checked = true;
+  radio.dispatchEvent(new Event('change', { bubbles: true }));
+  radio.dispatchEvent(new Event('click', { bubbles: true }));
+
+  // Trigger any onclick handlers
+  if (radio.onclick) {
+    radio.onclick.call(radio);
+  }
+}
+
+function findBestMatch(answer, options) {
+  if (!answer || !options || options.length === 0) {
+    return null;
+  }
+
+  // Ensure answer is a string
+  const answerStr = typeof answer === 'string' ? answer : String(answer);
+
+  // Polish to English country name mapping
+  const countryTranslations = {
+    'polska': 'poland',
+    'niemcy': 'germany',
+    'francja': 'france',
+    'wielka brytania': 'united kingdom',
+    'uk': 'united kingdom',
+    'usa': 'united states',
+    'stany zjednoczone': 'united states',
+    'hiszpania': 'spain',
+    'włochy': 'italy',
+    'holandia': 'netherlands',
+    'belgia': 'belgium',
+    'szwecja': 'sweden',
+    'norwegia': 'norway',
+    'dania': 'denmark',
+    'czechy': 'czech republic',
+    'słowacja': 'slovakia',
+    'austria': 'austria',
+    'szwajcaria': 'switzerland'
+  };
+
+  // Try to translate Polish country names to English
+  const lowerAnswer = answerStr.toLowerCase().trim();
+  const translatedAnswer = countryTranslations[lowerAnswer] || answerStr;
+  const wasTranslated = translatedAnswer !== answer;
+
+  // Normalize answer by removing special chars for better matching
+  const normalizedAnswer = translatedAnswer.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
+  const answerWords = normalizedAnswer.split(/\s+/).filter(w => w && w.length > 0);
+
+  // PASS 1: Look for exact match (highest priority)
+  // Try both translated and original if translation happened
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    if (optionText.toLowerCase() === translatedAnswer.toLowerCase()) {
+      return optionText;
+    }
+    // If translation occurred, also try original answer
+    if (wasTranslated && optionText.toLowerCase() === lowerAnswer) {
+      return optionText;
+    }
+  }
+
+  // PASS 2: Look for substring match (second priority)
+  let substringMatch = null;
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    const lowerOption = optionText.toLowerCase();
+    const lowerTranslatedAnswer = translatedAnswer.toLowerCase();
+
+    // Try translated answer
+    if (lowerOption.includes(lowerTranslatedAnswer) || lowerTranslatedAnswer.includes(lowerOption)) {
+      if (!substringMatch || optionText.length < substringMatch.length) {
+        substringMatch = optionText;
+      }
+    }
+
+    // If translation occurred, also try original
+    if (wasTranslated && (lowerOption.includes(lowerAnswer) || lowerAnswer.includes(lowerOption))) {
+      if (!substringMatch || optionText.length < substringMatch.length) {
+        substringMatch = optionText;
+      }
+    }
+  }
+
+  if (substringMatch) {
+    return substringMatch;
+  }
+
+  // PASS 3: Word-based scoring (fallback)
+  let bestMatch = null;
+  let maxScore = 0;
+
+  // Prepare original answer words if translation occurred
+  const originalNormalized = wasTranslated ? lowerAnswer.replace(/[^\w\s]/g, ' ').trim() : null;
+  const originalWords = wasTranslated ? originalNormalized.split(/\s+/).filter(w => w.length > 0) : null;
+
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    const normalizedOption = optionText.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
+    const optionWords = normalizedOption.split(/\s+/).filter(w => w && w.length > 0);
+
+    // Count matching words with translated answer
+    let score = answerWords.filter(word => optionWords.includes(word)).length;
+
+    // If translation occurred, also try original and use better score
+    if (wasTranslated && originalWords) {
+      const originalScore = originalWords.filter(word => optionWords.includes(word)).length;
+      score = Math.max(score, originalScore);
+    }
+
+    if (score > maxScore) {
+      maxScore = score;
+      bestMatch = optionText;
+    }
+  }
+
+  return bestMatch;
+}
+
+function getConsentPolicies() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get('consentPolicies', (result) => {
+      resolve({ ...DEFAULT_CONSENT_POLICIES, ...(chrome.runtime.lastError ? {} : result.consentPolicies) });
+    });
+  });
+}
+
+async function handleRadioButton(radioElement, userData, processedElements) {
+  try {
+    // Skip if already processed or not in a group
+    const radioName = radioElement.name;
+    if (!radioName) {
+      return;
+    }
+
+    // Find all radio buttons in the same group (radio groups are scoped to their document or shadow root)
+    const radioGroup = radioElement.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(radioName)}"]`);
+    if (radioGroup.length === 0) {
+      return;
+    }
+
+    // Check if we've already processed this group
+    const groupKey = `radio-group-${radioName}`;
+    if (processedElements.has(groupKey)) {
+      return;
+    }
+    processedElements.add(groupKey);
+
+    // Get the question for this radio group
+    // Try to find from the first radio or from a group label
+    const question = getQuestionForInput(radioElement) || getRadioGroupLabel(radioElement);
+    if (!question) {
+      console.log('[Gemini Filler] No question found for radio group:', radioName);
+      return;
+    }
+
+    // Get all options
+    const options = getRadioGroupOptions(radioGroup);
+
+    if (options.length === 0) {
+      console.log('[Gemini Filler] No options found for radio group:', radioName);
+      return;
+    }
+
+    console.log(`[Gemini Filler] Processing radio group "${question}" with ${options.length} options`);
+
+    const optionsText = options.map(o => o.text);
+    let answer;
+
+    // Consent and EEO questions follow the configured policy instead of the AI
+    const consentCategory = classifyConsentText(question);
+    if (consentCategory) {
+      const policy = (await getConsentPolicies())[consentCategory];
+      answer = pickConsentOption(consentCategory, policy, optionsText);
+      console.log(`[Gemini Filler] Radio group "${question}" is ${consentCategory} (policy: ${policy}) -> ${answer || 'left unanswered'}`);
+      if (!answer && !(consentCategory === 'eeo' && policy === 'profile')) {
+        return;
+      }
+    }
+
+    // Get AI response
+    if (!answer) {
+      try {
+        const result = await getAIResponse(question, userData, optionsText);
+        answer = result.answer;
+      } catch (error) {
+        console.error(`[Gemini Filler] AI error for radio group "${question}":`, error);
+        return;
+      }
+    }
+
+    if (!answer) {
+      return;
+    }
+
+    // Find best match and select it
+    const bestMatchText = findBestMatch(answer, optionsText);
+    if (bestMatchText) {
+      const matchingOption = options.find(o => o.text === bestMatchText);
+      if (matchingOption && matchingOption.element) {
+        checkRadioOption(matchingOption.element);
+        console.log(`[Gemini Filler] Selected radio option: ${bestMatchText}`);
+      }
+    }
+  } catch (error) {
+    console.error('[Gemini Filler] Error handling radio button:', error);
+  }
+}
+
+describe('handleRadioButton', () => {
+  const userData = { Gender: 'Female' };
+
+  const renderGenderGroup = (question, options) => {
+    document.body.innerHTML = `<p id="gender-question">${question}</p>` + options
+      .map(option => `<input type="radio" name="gender" value="${option}" aria-labelledby="gender-question" aria-label="${option}">`)
+      .join('');
+  };
+  const checkedOption = () => document.querySelector('input[name="gender"]:checked')?.value || null;
+
+  beforeEach(() => {
+    consentPolicies = undefined;
+    getAIResponse.mockClear();
+  });
+
+  test('plain "Gender" question gets the profile answer', async () => {
+    renderGenderGroup('Gender', ['Male', 'Female']);
+
+    await handleRadioButton(document.querySelector('input[name="gender"]'), userData, new Set());
+
+    expect(getAIResponse).toHaveBeenCalledWith('Gender', userData, ['Male', 'Female']);
+    expect(checkedOption()).toBe('Female');
+  });
+
+  test('self-identification survey declines by default', async () => {
+    renderGenderGroup('Voluntary Self-Identification: Gender', ['Male', 'Female', 'Decline To Self Identify']);
+
+    await handleRadioButton(document.querySelector('input[name="gender"]'), userData, new Set());
+
+    expect(getAIResponse).not.toHaveBeenCalled();
+    expect(checkedOption()).toBe('Decline To Self Identify');
+  });
+
+  test('EEO "profile" policy answers the survey from the profile', async () => {
+    consentPolicies = { eeo: 'profile' };
+    const surveyData = { 'Voluntary Self-Identification: Gender': 'Female' };
+    renderGenderGroup('Voluntary Self-Identification: Gender', ['Male', 'Female', 'Decline To Self Identify']);
+
+    await handleRadioButton(document.querySelector('input[name="gender"]'), surveyData, new Set());
+
+    expect(checkedOption()).toBe('Female');
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for field constraint handling
+ * Answers must fit maxlength/pattern/min/max - reformatted locally before the AI is asked again
+ */
+
+// Extract helpers from content.js
+function getElementByIdDeep(id) {
+  return document.getElementById(id);
+}
+
+function getFieldConstraints(element) {
+  const constraints = {};
+  const readInt = name => {
+    const value = parseInt(element.getAttribute(name), 10);
+    return Number.isFinite(value) && value > 0 ? value : null;
+  };
+
+  const maxLength = readInt('maxlength');
+  if (maxLength) constraints.maxLength = maxLength;
+  const minLength = readInt('minlength');
+  if (minLength) constraints.minLength = minLength;
+
+  const pattern = element.getAttribute('pattern');
+  if (pattern) constraints.pattern = pattern;
+
+  const min = element.getAttribute('min') ?? element.getAttribute('aria-valuemin');
+  if (min !== null && min !== '') constraints.min = min;
+  const max = element.getAttribute('max') ?? element.getAttribute('aria-valuemax');
+  if (max !== null && max !== '') constraints.max = max;
+  const step = element.getAttribute('step');
+  if (step && step !== 'any') constraints.step = step;
+
+  if (element.required || element.getAttribute('aria-required') === 'true') constraints.required = true;
+
+  if (['email', 'url', 'number', 'tel'].includes(element.type)) {
+    constraints.format = element.type;
+  } else if (['numeric', 'decimal'].includes(element.getAttribute('inputmode'))) {
+    constraints.format = 'number';
+  }
+
+  // Format hints like "max. 500 znaków" or "Format: 00-000"
+  const hint = element.getAttribute('title') || (element.getAttribute('aria-describedby') || '')
+    .split(/\s+/)
+    .map(id => id && getElementByIdDeep(id, element)?.textContent.trim())
+    .filter(Boolean)
+    .join(' ');
+  if (hint && hint.length <= 150) constraints.hint = hint;
+
+  return Object.keys(constraints).length > 0 ? constraints : null;
+}
+
+function getConstraintViolation(element, constraints) {
+  if (!constraints || !['INPUT', 'TEXTAREA'].includes(element.tagName)) return null;
+
+  const value = element.value || '';
+  // validity.tooLong/tooShort are only set for user edits - programmatic values are checked by hand
+  if (constraints.maxLength && value.length > constraints.maxLength) return `maks. ${constraints.maxLength} znaków`;
+  if (constraints.minLength && value && value.length < constraints.minLength) return `min. ${constraints.minLength} znaków`;
+
+  const validity = element.validity;
+  if (!validity) return null;
+  if (validity.valueMissing) return 'pole wymagane';
+  if (validity.badInput || (validity.typeMismatch && constraints.format)) return `niepoprawny format (${constraints.format || 'liczba'})`;
+  if (validity.patternMismatch) return `format niezgodny ze wzorcem ${constraints.pattern}`;
+  if (validity.rangeOverflow) return `maksymalnie ${constraints.max}`;
+  if (validity.rangeUnderflow) return `minimalnie ${constraints.min}`;
+  if (validity.stepMismatch) return `krok ${constraints.step}`;
+  return null;
+}
+
+/**
+ * Extract a number from a free-text answer ("15 tysięcy" -> 15000, "15k" -> 15000)
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseNumberFromAnswer(text) {
+  // Drop thousands separators: "15 000", "15,000", "15.000" -> "15000"
+  const normalized = String(text).replace(/(\d)[\s,.](?=\d{3}(?!\d))/g, '$1');
+  const numericMatch = normalized.match(/-?\d+(?:[.,]\d+)?/);
+  if (!numericMatch) return null;
+
+  let num = parseFloat(numericMatch[0].replace(',', '.'));
+  // "15 tysięcy", "15k" - the unit has to follow the number itself
+  const rest = normalized.slice(numericMatch.index + numericMatch[0].length);
+  if (/^\s*(?:k\b|tys)/i.test(rest) && Math.abs(num) < 1000) {
+    num = num * 1000;
+  }
+  return Number.isFinite(num) ? num : null;
+}
+
+function truncateAtBoundary(text, maxLength) {
+  if (text.length <= maxLength) return text;
+
+  const cut = text.substring(0, maxLength);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '), cut.endsWith('.') ? cut.length - 1 : -1);
+  if (sentenceEnd >= maxLength * 0.6) return cut.substring(0, sentenceEnd + 1);
+
+  const wordEnd = cut.lastIndexOf(' ');
+  return (wordEnd >= maxLength * 0.6 ? cut.substring(0, wordEnd) : cut).trim();
+}
+
+function reformatForConstraints(value, constraints) {
+  if (!constraints || value == null) return null;
+  let text = String(value).trim();
+
+  const isNumeric = constraints.format === 'number' ||
+    (constraints.min !== undefined && !isNaN(parseFloat(constraints.min)) && !/\d{4}-\d{2}/.test(constraints.min));
+  if (isNumeric) {
+    let num = parseNumberFromAnswer(text);
+    if (num === null) return null;
+    if (constraints.min !== undefined && num < parseFloat(constraints.min)) num = parseFloat(constraints.min);
+    if (constraints.max !== undefined && num > parseFloat(constraints.max)) num = parseFloat(constraints.max);
+    if (constraints.step && parseFloat(constraints.step) > 0) {
+      const step = parseFloat(constraints.step);
+      const base = constraints.min !== undefined ? parseFloat(constraints.min) : 0;
+      num = base + Math.round((num - base) / step) * step;
+    }
+    text = String(Math.round(num * 100) / 100);
+  }
+
+  if (constraints.pattern) {
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${constraints.pattern})$`, 'u');
+    } catch (e) {
+      regex = null;
+    }
+    if (regex && !regex.test(text)) {
+      const digits = text.replace(/\D/g, '');
+      const candidates = [
+        text.replace(/\s+/g, ''),
+        digits,
+        digits.length === 5 ? `${digits.slice(0, 2)}-${digits.slice(2)}` : null, // Polish postal code 00-000
+        digits.length === 9 ? digits.replace(/(\d{3})(\d{3})(\d{3})/, '$1 $2 $3') : null,
+        digits.length === 9 ? digits.replace(/(\d{3})(\d{3})(\d{3})/, '$1-$2-$3') : null,
+        text.toUpperCase(),
+        text.toLowerCase()
+      ].filter(Boolean);
+      const match = candidates.find(candidate => regex.test(candidate));
+      if (!match) return null;
+      text = match;
+    }
+  }
+
+  if (constraints.maxLength) {
+    text = truncateAtBoundary(text, constraints.maxLength);
+  }
+
+  return text;
+}
+
+describe('getFieldConstraints', () => {
+  test('reads length, pattern and required attributes', () => {
+    document.body.innerHTML = '<input id="zip" maxlength="6" pattern="\\d{2}-\\d{3}" required>';
+    expect(getFieldConstraints(document.getElementById('zip'))).toEqual({
+      maxLength: 6,
+      pattern: '\\d{2}-\\d{3}',
+      required: true
+    });
+  });
+
+  test('reads number range and ARIA hints', () => {
+    document.body.innerHTML = `
+      <input id="years" type="number" min="0" max="50" step="1" aria-required="true" aria-describedby="years-hint">
+      <span id="years-hint">Podaj liczbę lat</span>`;
+    expect(getFieldConstraints(document.getElementById('years'))).toEqual({
+      min: '0',
+      max: '50',
+      step: '1',
+      required: true,
+      format: 'number',
+      hint: 'Podaj liczbę lat'
+    });
+  });
+
+  test('returns null for an unconstrained field', () => {
+    document.body.innerHTML = '<input id="name" type="text">';
+    expect(getFieldConstraints(document.getElementById('name'))).toBeNull();
+  });
+});
+
+describe('getConstraintViolation', () => {
+  test('reports values longer than maxlength set programmatically', () => {
+    document.body.innerHTML = '<textarea id="about" maxlength="10"></textarea>';
+    const textarea = document.getElementById('about');
+    textarea.value = 'Zbyt długa odpowiedź';
+    expect(getConstraintViolation(textarea, { maxLength: 10 })).toBe('maks. 10 znaków');
+  });
+
+  test('reports pattern mismatch from validity', () => {
+    document.body.innerHTML = '<input id="zip" pattern="\\d{2}-\\d{3}">';
+    const input = document.getElementById('zip');
+    input.value = '00 950';
+    expect(getConstraintViolation(input, { pattern: '\\d{2}-\\d{3}' })).toMatch(/wzorcem/);
+    input.value = '00-950';
+    expect(getConstraintViolation(input, { pattern: '\\d{2}-\\d{3}' })).toBeNull();
+  });
+});
+
+describe('parseNumberFromAnswer', () => {
+  test('treats comma, dot and space as thousands separators', () => {
+    expect(parseNumberFromAnswer('15,000')).toBe(15000);
+    expect(parseNumberFromAnswer('15.000')).toBe(15000);
+    expect(parseNumberFromAnswer('15 000 zł')).toBe(15000);
+  });
+
+  test('keeps decimal fractions', () => {
+    expect(parseNumberFromAnswer('7,5')).toBe(7.5);
+    expect(parseNumberFromAnswer('1.5k')).toBe(1500);
+  });
+
+  test('multiplies only when the unit follows the number', () => {
+    expect(parseNumberFromAnswer('15k')).toBe(15000);
+    expect(parseNumberFromAnswer('15 tysięcy')).toBe(15000);
+    expect(parseNumberFromAnswer('2 lata, rok')).toBe(2);
+    expect(parseNumberFromAnswer('3 ok')).toBe(3);
+  });
+});
+
+describe('reformatForConstraints', () => {
+  test('extracts and clamps numbers', () => {
+    expect(reformatForConstraints('15 tysięcy', { format: 'number' })).toBe('15000');
+    expect(reformatForConstraints('60 lat', { format: 'number', min: '0', max: '50' })).toBe('50');
+    expect(reformatForConstraints('7.3', { format: 'number', min: '0', step: '0.5' })).toBe('7.5');
+  });
+
+  test('returns null when no number can be found', () => {
+    expect(reformatForConstraints('brak', { format: 'number' })).toBeNull();
+  });
+
+  test('truncates long text at a sentence boundary', () => {
+    const text = 'Pierwsze zdanie jest krótkie. Drugie zdanie jest znacznie dłuższe i nie zmieści się.';
+    expect(reformatForConstraints(text, { maxLength: 40 })).toBe('Pierwsze zdanie jest krótkie.');
+  });
+
+  test('reformats postal code and phone to the pattern', () => {
+    expect(reformatForConstraints('00950', { pattern: '\\d{2}-\\d{3}' })).toBe('00-950');
+    expect(reformatForConstraints('600 100 200', { pattern: '\\d{9}' })).toBe('600100200');
+  });
+
+  test('returns null when the pattern cannot be satisfied', () => {
+    expect(reformatForConstraints('Warszawa', { pattern: '\\d{5}' })).toBeNull();
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the document library
+ * File inputs classified by purpose, document chosen by kind, accept, page language and tags
+ */
+
+// Extract helpers from content.js
+// Checked in order - cover letter inputs often say "attach alongside your CV"
+const FILE_PURPOSE_PATTERNS = [
+  ['cover_letter', /cover(ing)?[\s_-]?letter|list\w*[\s_-]motywacyjn|motivation(al)?[\s_-]letter|anschreiben|lettre de motivation/i],
+  ['portfolio', /portfolio|work samples|próbk\w* prac/i],
+  ['certificate', /certyfikat|certificate|dyplom|diploma|świadectw|zaświadcz|referenc|transcript/i],
+  ['cv', /\bcv|resume|résumé|życiorys|curriculum|lebenslauf/i],
+  ['other', /\bother|\binne\b|dodatkow|additional|supporting/i]
+];
+
+// Document scoring: page language beats a single matching tag, the default document breaks ties
+const DOCUMENT_LANGUAGE_SCORE = 4;
+const DOCUMENT_TAG_SCORE = 2;
+const DOCUMENT_DEFAULT_SCORE = 1;
+
+function classifyFileInputPurpose(text) {
+  const match = FILE_PURPOSE_PATTERNS.find(([, pattern]) => pattern.test(text || ''));
+  return match ? match[0] : null;
+}
+
+function acceptsDocument(accept, documentEntry) {
+  const tokens = (accept || '').split(',').map(token => token.trim().toLowerCase()).filter(Boolean);
+  if (tokens.length === 0) return true;
+
+  const name = (documentEntry.name || '').toLowerCase();
+  const type = (documentEntry.type || '').toLowerCase();
+  return tokens.some(token => {
+    if (token.startsWith('.')) return name.endsWith(token);
+    if (token.endsWith('/*')) return type.startsWith(token.slice(0, -1));
+    return type === token;
+  });
+}
+
+function selectDocument(documents, purpose, { language = '', jobText = '', accept = null } = {}) {
+  const candidates = documents
+    .map((documentEntry, index) => ({ documentEntry, index }))
+    .filter(({ documentEntry }) => (documentEntry.kind || 'cv') === purpose && acceptsDocument(accept, documentEntry));
+  if (candidates.length === 0) return null;
+
+  const haystack = jobText.toLowerCase();
+  const score = documentEntry => {
+    const matchingTags = (documentEntry.tags || []).filter(tag => {
+      const escaped = tag.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return escaped && new RegExp(`(^|[^\\p{L}\\d])${escaped}($|[^\\p{L}\\d])`, 'u').test(haystack);
+    });
+    return (documentEntry.language && documentEntry.language === language ? DOCUMENT_LANGUAGE_SCORE : 0) +
+      matchingTags.length * DOCUMENT_TAG_SCORE +
+      (documentEntry.isDefault ? DOCUMENT_DEFAULT_SCORE : 0);
+  };
+
+  candidates.sort((a, b) => score(b.documentEntry) - score(a.documentEntry) || a.index - b.index);
+  return candidates[0].documentEntry;
+}
+
+describe('classifyFileInputPurpose', () => {
+  test('resume uploads', () => {
+    expect(classifyFileInputPurpose('Resume/CV')).toBe('cv');
+    expect(classifyFileInputPurpose('Załącz CV')).toBe('cv');
+    expect(classifyFileInputPurpose('cvFile')).toBe('cv');
+  });
+
+  test('cover letters, portfolio and certificates', () => {
+    expect(classifyFileInputPurpose('Cover Letter')).toBe('cover_letter');
+    expect(classifyFileInputPurpose('job_application[cover_letter]')).toBe('cover_letter');
+    expect(classifyFileInputPurpose('List motywacyjny (opcjonalnie)')).toBe('cover_letter');
+    expect(classifyFileInputPurpose('Portfolio (PDF)')).toBe('portfolio');
+    expect(classifyFileInputPurpose('Certyfikaty i dyplomy')).toBe('certificate');
+  });
+
+  test('cover letter wins when the label also mentions the CV', () => {
+    expect(classifyFileInputPurpose('Cover letter (in addition to your CV)')).toBe('cover_letter');
+  });
+
+  test('other documents and unlabeled inputs', () => {
+    expect(classifyFileInputPurpose('Inne dokumenty')).toBe('other');
+    expect(classifyFileInputPurpose('Additional documents')).toBe('other');
+    expect(classifyFileInputPurpose('Załącz plik')).toBeNull();
+  });
+});
+
+describe('acceptsDocument', () => {
+  const pdf = { name: 'CV_EN.pdf', type: 'application/pdf' };
+
+  test('extensions, MIME types and wildcards', () => {
+    expect(acceptsDocument('.pdf,.docx', pdf)).toBe(true);
+    expect(acceptsDocument('.docx', pdf)).toBe(false);
+    expect(acceptsDocument('application/pdf', pdf)).toBe(true);
+    expect(acceptsDocument('image/*', pdf)).toBe(false);
+    expect(acceptsDocument('image/*', { name: 'cert.png', type: 'image/png' })).toBe(true);
+  });
+
+  test('no accept attribute allows everything', () => {
+    expect(acceptsDocument(null, pdf)).toBe(true);
+    expect(acceptsDocument('', pdf)).toBe(true);
+  });
+});
+
+describe('selectDocument', () => {
+  const documents = [
+    { name: 'CV_PL.pdf', type: 'application/pdf', kind: 'cv', language: 'pl', tags: [] },
+    { name: 'CV_EN.pdf', type: 'application/pdf', kind: 'cv', language: 'en', tags: [] },
+    { name: 'CV_EN_frontend.pdf', type: 'application/pdf', kind: 'cv', language: 'en', tags: ['frontend', 'react'] },
+    { name: 'List_PL.docx', type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', kind: 'cover_letter', language: 'pl', tags: [] }
+  ];
+
+  test('picks the document in the page language', () => {
+    expect(selectDocument(documents, 'cv', { language: 'pl' }).name).toBe('CV_PL.pdf');
+    expect(selectDocument(documents, 'cv', { language: 'en' }).name).toBe('CV_EN.pdf');
+  });
+
+  test('tags matching the job title win among documents in the same language', () => {
+    expect(selectDocument(documents, 'cv', { language: 'en', jobText: 'Senior React Developer - Acme' }).name).toBe('CV_EN_frontend.pdf');
+    // Whole words only - "reactor" is not "react"
+    expect(selectDocument(documents, 'cv', { language: 'en', jobText: 'Reactor engineer' }).name).toBe('CV_EN.pdf');
+  });
+
+  test('page language beats a single matching tag', () => {
+    expect(selectDocument(documents, 'cv', { language: 'pl', jobText: 'Frontend Developer' }).name).toBe('CV_PL.pdf');
+  });
+
+  test('default document breaks ties', () => {
+    const docs = [
+      { name: 'a.pdf', kind: 'cv', tags: [] },
+      { name: 'b.pdf', kind: 'cv', tags: [], isDefault: true }
+    ];
+    expect(selectDocument(docs, 'cv').name).toBe('b.pdf');
+  });
+
+  test('never falls back to a document of another kind', () => {
+    expect(selectDocument(documents, 'portfolio', { language: 'en' })).toBeNull();
+    expect(selectDocument(documents, 'cover_letter', { language: 'pl' }).name).toBe('List_PL.docx');
+    expect(selectDocument(documents, 'cover_letter', { accept: '.pdf' })).toBeNull();
+  });
+});
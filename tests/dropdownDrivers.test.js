@@ -0,0 +1,753 @@
+/**
+ * Tests for the dropdown drivers
+ * Searchable select libraries are recognised by their markup, their own search boxes are skipped by the form scan,
+ * and options are picked through the library UI (async React-Select results, Select2/Chosen hidden <select>)
+ */
+
+global.CSS = global.CSS || { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+// jsdom has no layout
+Element.prototype.scrollIntoView = () => {};
+
+// Extract registry, engine and drivers from dropdowns.js
+const DROPDOWN_DRIVERS = [];
+
+const DROPDOWN_OPTIONS_TIMEOUT = 3000;
+const DROPDOWN_SETTLE_DELAY = 250;
+
+function registerDropdownDriver(driver) {
+  DROPDOWN_DRIVERS.push(driver);
+}
+
+function getDropdownDriver(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+  return DROPDOWN_DRIVERS.find(driver => {
+    try {
+      return driver.matches(element);
+    } catch (error) {
+      console.warn(`[Dropdown Driver] ${driver.name}: matches() failed`, error);
+      return false;
+    }
+  }) || null;
+}
+
+function isDropdownDriverInput(element) {
+  return DROPDOWN_DRIVERS.some(driver => driver.isInternal && driver.isInternal(element));
+}
+
+function dispatchMouse(element, types) {
+  types.forEach(type => {
+    element.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window, button: 0 }));
+  });
+}
+
+function typeDropdownSearch(input, text) {
+  input.focus();
+  setNativeValue(input, text);
+
+  const inputEvent = new Event('input', { bubbles: true });
+  inputEvent._autofilledByExtension = true;
+  input.dispatchEvent(inputEvent);
+  input.dispatchEvent(new KeyboardEvent('keyup', { key: text.slice(-1) || 'a', bubbles: true }));
+}
+
+function waitForDropdownOptions(driver, element, timeout = DROPDOWN_OPTIONS_TIMEOUT) {
+  return new Promise((resolve) => {
+    let settleTimer = null;
+
+    const finish = () => {
+      observer.disconnect();
+      clearTimeout(timeoutId);
+      clearTimeout(settleTimer);
+      resolve(driver.getOptionElements(element));
+    };
+
+    const check = () => {
+      clearTimeout(settleTimer);
+      if (driver.getOptionElements(element).length > 0) {
+        settleTimer = setTimeout(finish, DROPDOWN_SETTLE_DELAY);
+      }
+    };
+
+    const observer = new MutationObserver(check);
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    const timeoutId = setTimeout(finish, timeout);
+    check();
+  });
+}
+
+function getOptionTexts(optionElements) {
+  return optionElements
+    .map(opt => opt && opt.textContent ? opt.textContent.trim() : '')
+    .filter(Boolean);
+}
+
+function closeDropdown(element) {
+  element.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+  document.body.click();
+}
+
+async function selectWithDropdownDriver(driver, element, answer, alreadyOpen = false) {
+  if (!alreadyOpen) {
+    driver.open(element);
+    await waitForDropdownOptions(driver, element, 1000);
+  }
+
+  const searchInput = driver.getSearchInput(element);
+  let optionElements = driver.getOptionElements(element);
+
+  if (searchInput) {
+    // Full answer first, then its first word - async sources often match only a prefix
+    const firstWord = String(answer).split(/[\s,(/-]+/)[0];
+    const searchTerms = [String(answer), firstWord].filter((term, i, all) => term && term.length >= 2 && all.indexOf(term) === i);
+
+    for (const term of searchTerms) {
+      typeDropdownSearch(searchInput, term);
+      optionElements = await waitForDropdownOptions(driver, element);
+      if (optionElements.length > 0) break;
+    }
+  }
+
+  const optionTexts = getOptionTexts(optionElements);
+  const matchedText = findBestMatch(answer, optionTexts);
+  const matchedOption = matchedText && optionElements.find(opt => opt.textContent.trim() === matchedText);
+
+  if (!matchedOption) {
+    console.warn(`[Dropdown Driver] ${driver.name}: no option for "${answer}" in`, optionTexts.slice(0, 10));
+    if (searchInput) typeDropdownSearch(searchInput, '');
+    closeDropdown(element);
+    return false;
+  }
+
+  matchedOption.scrollIntoView({ block: 'nearest' });
+  if (driver.choose) {
+    driver.choose(matchedOption);
+  } else {
+    matchedOption.click();
+  }
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  console.log(`[Dropdown Driver] ${driver.name}: selected "${matchedText}" for answer "${answer}"`);
+  return true;
+}
+
+registerDropdownDriver({
+  name: 'React-Select',
+
+  matches(element) {
+    return element.tagName === 'INPUT' && /^react-select-[\w-]+-input$/.test(element.id);
+  },
+
+  open(element) {
+    const control = element.closest('[class*="control"]') || element.parentElement;
+    element.focus();
+    dispatchMouse(control, ['mousedown']);
+  },
+
+  getSearchInput(element) {
+    return element.readOnly ? null : element;
+  },
+
+  getOptionElements(element) {
+    // Options are "<instanceId>-option-<n>", also when rendered in a menu portal
+    const prefix = element.id.replace(/-input$/, '-option-');
+    return Array.from(document.querySelectorAll(`[id^="${CSS.escape(prefix)}"]`));
+  },
+
+  getSelectedText(element) {
+    const container = element.closest('[class*="container"]');
+    const values = container ? container.querySelectorAll('[class*="singleValue"], [class*="multiValue"] [class*="label"]') : [];
+    return Array.from(values).map(value => value.textContent.trim()).join(', ');
+  }
+});
+
+function getSelect2Container(select) {
+  const sibling = select.nextElementSibling;
+  return sibling && sibling.classList.contains('select2-container') ? sibling : null;
+}
+
+registerDropdownDriver({
+  name: 'Select2',
+
+  matches(element) {
+    return element.tagName === 'SELECT' && element.classList.contains('select2-hidden-accessible') && !!getSelect2Container(element);
+  },
+
+  isInternal(element) {
+    return element.tagName === 'INPUT' && !!element.closest('.select2-container');
+  },
+
+  open(element) {
+    const selection = getSelect2Container(element)?.querySelector('.select2-selection');
+    if (!selection) return;
+    // Single selection toggles on mousedown, multiple on click
+    dispatchMouse(selection, selection.classList.contains('select2-selection--multiple') ? ['click'] : ['mousedown']);
+  },
+
+  getSearchInput(element) {
+    return document.querySelector('.select2-container--open .select2-search__field') ||
+      getSelect2Container(element)?.querySelector('.select2-search__field') || null;
+  },
+
+  getOptionElements(element) {
+    const results = (element.id && document.getElementById(`select2-${element.id}-results`)) ||
+      document.querySelector('.select2-container--open .select2-results__options');
+    return results
+      ? Array.from(results.querySelectorAll('.select2-results__option')).filter(opt =>
+        !opt.classList.contains('loading-results') && !opt.classList.contains('select2-results__message') && opt.getAttribute('aria-disabled') !== 'true')
+      : [];
+  },
+
+  choose(option) {
+    dispatchMouse(option, ['mouseup', 'click']);
+  },
+
+  getSelectedText(element) {
+    return Array.from(element.selectedOptions).map(opt => opt.text.trim()).join(', ');
+  }
+});
+
+function getChosenContainer(select) {
+  const sibling = select.nextElementSibling;
+  return sibling && sibling.classList.contains('chosen-container') ? sibling : null;
+}
+
+registerDropdownDriver({
+  name: 'Chosen',
+
+  matches(element) {
+    return element.tagName === 'SELECT' && !!getChosenContainer(element);
+  },
+
+  isInternal(element) {
+    return element.tagName === 'INPUT' && !!element.closest('.chosen-container');
+  },
+
+  open(element) {
+    const container = getChosenContainer(element);
+    const trigger = container?.querySelector('.chosen-single, .chosen-choices');
+    if (trigger) dispatchMouse(trigger, ['mousedown']);
+  },
+
+  getSearchInput(element) {
+    return getChosenContainer(element)?.querySelector('.chosen-search input, .chosen-search-input') || null;
+  },
+
+  getOptionElements(element) {
+    const container = getChosenContainer(element);
+    return container ? Array.from(container.querySelectorAll('.chosen-results li.active-result')) : [];
+  },
+
+  choose(option) {
+    dispatchMouse(option, ['mouseup']);
+  },
+
+  getSelectedText(element) {
+    return Array.from(element.selectedOptions).map(opt => opt.text.trim()).join(', ');
+  }
+});
+
+// Extract helpers from content.js
+function setNativeValue(element, value) {
+  const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+    : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : element instanceof HTMLInputElement ? HTMLInputElement.prototype
+        : null;
+  const nativeValueSetter = prototype && Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+  if (nativeValueSetter) {
+    nativeValueSetter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+function findBestMatch(answer, options) {
+  if (!answer || !options || options.length === 0) {
+    return null;
+  }
+
+  // Ensure answer is a string
+  const answerStr = typeof answer === 'string' ? answer : String(answer);
+
+  // Polish to English country name mapping
+  const countryTranslations = {
+    'polska': 'poland',
+    'niemcy': 'germany',
+    'francja': 'france',
+    'wielka brytania': 'united kingdom',
+    'uk': 'united kingdom',
+    'usa': 'united states',
+    'stany zjednoczone': 'united states',
+    'hiszpania': 'spain',
+    'włochy': 'italy',
+    'holandia': 'netherlands',
+    'belgia': 'belgium',
+    'szwecja': 'sweden',
+    'norwegia': 'norway',
+    'dania': 'denmark',
+    'czechy': 'czech republic',
+    'słowacja': 'slovakia',
+    'austria': 'austria',
+    'szwajcaria': 'switzerland'
+  };
+
+  // Try to translate Polish country names to English
+  const lowerAnswer = answerStr.toLowerCase().trim();
+  const translatedAnswer = countryTranslations[lowerAnswer] || answerStr;
+  const wasTranslated = translatedAnswer !== answer;
+
+  // Normalize answer by removing special chars for better matching
+  const normalizedAnswer = translatedAnswer.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
+  const answerWords = normalizedAnswer.split(/\s+/).filter(w => w && w.length > 0);
+
+  // PASS 1: Look for exact match (highest priority)
+  // Try both translated and original if translation happened
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    if (optionText.toLowerCase() === translatedAnswer.toLowerCase()) {
+      return optionText;
+    }
+    // If translation occurred, also try original answer
+    if (wasTranslated && optionText.toLowerCase() === lowerAnswer) {
+      return optionText;
+    }
+  }
+
+  // PASS 2: Look for substring match (second priority)
+  let substringMatch = null;
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    const lowerOption = optionText.toLowerCase();
+    const lowerTranslatedAnswer = translatedAnswer.toLowerCase();
+
+    // Try translated answer
+    if (lowerOption.includes(lowerTranslatedAnswer) || lowerTranslatedAnswer.includes(lowerOption)) {
+      if (!substringMatch || optionText.length < substringMatch.length) {
+        substringMatch = optionText;
+      }
+    }
+
+    // If translation occurred, also try original
+    if (wasTranslated && (lowerOption.includes(lowerAnswer) || lowerAnswer.includes(lowerOption))) {
+      if (!substringMatch || optionText.length < substringMatch.length) {
+        substringMatch = optionText;
+      }
+    }
+  }
+
+  if (substringMatch) {
+    return substringMatch;
+  }
+
+  // PASS 3: Word-based scoring (fallback)
+  let bestMatch = null;
+  let maxScore = 0;
+
+  // Prepare original answer words if translation occurred
+  const originalNormalized = wasTranslated ? lowerAnswer.replace(/[^\w\s]/g, ' ').trim() : null;
+  const originalWords = wasTranslated ? originalNormalized.split(/\s+/).filter(w => w.length > 0) : null;
+
+  for (const optionText of options) {
+    // Skip if optionText is not a string
+    if (typeof optionText !== 'string') continue;
+
+    const normalizedOption = optionText.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
+    const optionWords = normalizedOption.split(/\s+/).filter(w => w && w.length > 0);
+
+    // Count matching words with translated answer
+    let score = answerWords.filter(word => optionWords.includes(word)).length;
+
+    // If translation occurred, also try original and use better score
+    if (wasTranslated && originalWords) {
+      const originalScore = originalWords.filter(word => optionWords.includes(word)).length;
+      score = Math.max(score, originalScore);
+    }
+
+    if (score > maxScore) {
+      maxScore = score;
+      bestMatch = optionText;
+    }
+  }
+
+  return bestMatch;
+}
+
+function dispatchUndoEvents(element, types = ['input', 'change']) {
+  types.forEach(type => {
+    const event = new Event(type, { bubbles: true });
+    event._autofilledByExtension = true;
+    element.dispatchEvent(event);
+  });
+}
+
+async function restoreFieldState(entry) {
+  const element = entry.element;
+
+  switch (entry.kind) {
+    case 'value': {
+      setNativeValue(element, entry.value);
+      dispatchUndoEvents(element, ['input', 'change', 'blur']);
+      return true;
+    }
+
+    case 'select':
+      Array.from(element.options).forEach(option => {
+        option.selected = entry.values.includes(option.value);
+      });
+      dispatchUndoEvents(element);
+      return true;
+
+    case 'selectize': {
+      Array.from(element.options).forEach(option => {
+        option.selected = entry.values.includes(option.value);
+      });
+      dispatchUndoEvents(element, ['change']);
+      // Selectize keeps its own UI state - re-pick the old option, an empty selection can't be cleared from here
+      const selectizeInput = element.parentElement?.querySelector('.selectize-control .selectize-input input');
+      if (!entry.text || !selectizeInput) return false;
+      return reselectOptionByText(selectizeInput, entry.text, '.selectize-dropdown .option');
+    }
+
+    case 'checkbox':
+      if (element.checked !== entry.checked) {
+        element.click();
+        if (element.checked !== entry.checked) {
+          element.checked = entry.checked;
+          dispatchUndoEvents(element, ['change', 'input']);
+        }
+      }
+      if (element.hasAttribute('aria-checked')) {
+        element.setAttribute('aria-checked', String(entry.checked));
+      }
+      return true;
+
+    case 'radio': {
+      const previouslyChecked = entry.radios.find(({ checked }) => checked);
+      if (previouslyChecked) {
+        previouslyChecked.radio.click();
+        previouslyChecked.radio.checked = true;
+        dispatchUndoEvents(previouslyChecked.radio, ['change']);
+      } else {
+        entry.radios.forEach(({ radio }) => {
+          if (radio.checked) {
+            radio.checked = false;
+            dispatchUndoEvents(radio, ['change']);
+          }
+        });
+      }
+      return true;
+    }
+
+    case 'radiogroup':
+      // ARIA radio groups can't be unselected - only a previous choice can be restored
+      if (!entry.checked) return false;
+      entry.checked.click();
+      return true;
+
+    case 'file': {
+      const dataTransfer = new DataTransfer();
+      entry.files.forEach(file => dataTransfer.items.add(file));
+      element.files = dataTransfer.files;
+      if (entry.files.length === 0) {
+        element.value = '';
+      }
+      dispatchUndoEvents(element, ['change', 'input']);
+      return true;
+    }
+
+    case 'richtext':
+      // The editor model may keep the old text in its undo stack - the DOM is what gets submitted
+      entry.target.innerHTML = entry.html;
+      dispatchUndoEvents(entry.target, ['input']);
+      return true;
+
+    case 'dropdown-driver': {
+      // Multi-value and empty selections can't be rebuilt by typing - leave them to the user
+      const driver = getDropdownDriver(element);
+      if (!driver || !entry.text || entry.text.includes(', ')) return false;
+      return selectWithDropdownDriver(driver, element, entry.text);
+    }
+
+    default:
+      if (!entry.text || isPlaceholderAnswer(entry.text)) return false;
+      return reselectOptionByText(element, entry.text, '[role="option"], [role="menuitem"]');
+  }
+}
+
+registerDropdownDriver({
+  name: 'Broken',
+  matches() {
+    throw new Error('boom');
+  }
+});
+
+const CITIES = ['Gdańsk', 'Kraków', 'Warszawa', 'Wrocław'];
+
+// React-Select with an async source: the menu is empty until the user types, results arrive later
+function createReactSelect(instance, value = '') {
+  document.body.insertAdjacentHTML('beforeend', `
+    <div class="select__container">
+      <div class="select__control">
+        <div class="select__singleValue">${value}</div>
+        <input id="react-select-${instance}-input" role="combobox">
+      </div>
+    </div>
+  `);
+  const input = document.getElementById(`react-select-${instance}-input`);
+  const container = input.closest('.select__container');
+  const searches = [];
+
+  const closeMenu = () => container.querySelector('.select__menu')?.remove();
+  input.closest('.select__control').addEventListener('mousedown', () => {
+    closeMenu();
+    container.insertAdjacentHTML('beforeend', '<div class="select__menu"></div>');
+  });
+  input.addEventListener('input', () => {
+    const term = input.value;
+    searches.push(term);
+    setTimeout(() => {
+      const menu = container.querySelector('.select__menu');
+      if (!menu || input.value !== term) return;
+      menu.innerHTML = CITIES
+        .filter(city => term && city.toLowerCase().startsWith(term.toLowerCase()))
+        .map((city, i) => `<div id="react-select-${instance}-option-${i}">${city}</div>`)
+        .join('');
+    }, 50);
+  });
+  container.addEventListener('click', (event) => {
+    if (!event.target.id.includes('-option-')) return;
+    container.querySelector('.select__singleValue').textContent = event.target.textContent;
+    input.value = '';
+    closeMenu();
+  });
+
+  return { input, searches };
+}
+
+// Select2: the <select> is hidden, the dropdown with its search box is appended to <body> on mousedown
+function createSelect2(id, options) {
+  document.body.insertAdjacentHTML('beforeend', `
+    <select id="${id}" class="select2-hidden-accessible">
+      <option value=""></option>
+      ${options.map(text => `<option value="${text.toLowerCase()}">${text}</option>`).join('')}
+    </select>
+    <span class="select2-container"><span class="select2-selection select2-selection--single"></span></span>
+  `);
+  const select = document.getElementById(id);
+  const changes = [];
+  select.addEventListener('change', () => changes.push(select.value));
+
+  select.nextElementSibling.querySelector('.select2-selection').addEventListener('mousedown', () => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <span class="select2-container select2-container--open">
+        <input class="select2-search__field">
+        <ul id="select2-${id}-results" class="select2-results__options"></ul>
+      </span>
+    `);
+    const dropdown = document.body.lastElementChild;
+    const search = dropdown.querySelector('.select2-search__field');
+    const results = dropdown.querySelector('.select2-results__options');
+    const render = () => {
+      const matching = options.filter(text => text.toLowerCase().includes(search.value.toLowerCase()));
+      results.innerHTML = matching.length > 0
+        ? matching.map(text => `<li class="select2-results__option">${text}</li>`).join('')
+        : '<li class="select2-results__option select2-results__message">No results found</li>';
+    };
+    search.addEventListener('keyup', render);
+    results.addEventListener('mouseup', (event) => {
+      select.value = event.target.textContent.toLowerCase();
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      dropdown.remove();
+    });
+    render();
+  });
+
+  return { select, changes };
+}
+
+// Chosen: the container follows the <select>, results are filled on mousedown and filtered on keyup
+function createChosen(id, options) {
+  document.body.insertAdjacentHTML('beforeend', `
+    <select id="${id}">
+      <option value=""></option>
+      ${options.map(text => `<option value="${text.toLowerCase()}">${text}</option>`).join('')}
+    </select>
+    <div class="chosen-container">
+      <a class="chosen-single"><span></span></a>
+      <div class="chosen-drop">
+        <div class="chosen-search"><input class="chosen-search-input"></div>
+        <ul class="chosen-results"></ul>
+      </div>
+    </div>
+  `);
+  const select = document.getElementById(id);
+  const container = select.nextElementSibling;
+  const search = container.querySelector('.chosen-search-input');
+  const results = container.querySelector('.chosen-results');
+
+  const render = () => {
+    results.innerHTML = options
+      .filter(text => text.toLowerCase().includes(search.value.toLowerCase()))
+      .map(text => `<li class="active-result">${text}</li>`)
+      .join('');
+  };
+  container.querySelector('.chosen-single').addEventListener('mousedown', render);
+  search.addEventListener('keyup', render);
+  results.addEventListener('mouseup', (event) => {
+    select.value = event.target.textContent.toLowerCase();
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    container.querySelector('.chosen-single span').textContent = event.target.textContent;
+    results.innerHTML = '';
+  });
+
+  return { select, search };
+}
+
+describe('getDropdownDriver', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="react-select-3-input" role="combobox">
+      <select id="country" class="select2-hidden-accessible"><option>Polska</option></select>
+      <span class="select2-container"><input class="select2-search__field"></span>
+      <select id="plain"><option>A</option></select>
+      <input id="name">
+    `;
+  });
+
+  test('recognises library markup', () => {
+    expect(getDropdownDriver(document.getElementById('react-select-3-input')).name).toBe('React-Select');
+    expect(getDropdownDriver(document.getElementById('country')).name).toBe('Select2');
+  });
+
+  test('plain fields and throwing drivers give null', () => {
+    expect(getDropdownDriver(document.getElementById('plain'))).toBeNull();
+    expect(getDropdownDriver(document.getElementById('name'))).toBeNull();
+    expect(getDropdownDriver(null)).toBeNull();
+  });
+
+  test('library search boxes are internal', () => {
+    expect(isDropdownDriverInput(document.querySelector('.select2-search__field'))).toBe(true);
+    expect(isDropdownDriverInput(document.getElementById('name'))).toBe(false);
+  });
+});
+
+describe('waitForDropdownOptions', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('resolves with the options once async results have rendered', async () => {
+    const { input } = createReactSelect(1);
+    const driver = getDropdownDriver(input);
+
+    driver.open(input);
+    typeDropdownSearch(input, 'Kr');
+    const options = await waitForDropdownOptions(driver, input);
+
+    expect(getOptionTexts(options)).toEqual(['Kraków']);
+  });
+
+  test('resolves empty when no options show up in time', async () => {
+    const { input } = createReactSelect(1);
+    const driver = getDropdownDriver(input);
+
+    driver.open(input);
+    expect(await waitForDropdownOptions(driver, input, 100)).toEqual([]);
+  });
+});
+
+describe('selectWithDropdownDriver', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('React-Select: types into the search box and clicks the async result', async () => {
+    const { input, searches } = createReactSelect(1);
+    const driver = getDropdownDriver(input);
+
+    expect(await selectWithDropdownDriver(driver, input, 'Kraków')).toBe(true);
+    expect(searches).toEqual(['Kraków']);
+    expect(driver.getSelectedText(input)).toBe('Kraków');
+  });
+
+  test('React-Select: falls back to the first word when the full answer finds nothing', async () => {
+    const { input, searches } = createReactSelect(1);
+    const driver = getDropdownDriver(input);
+
+    expect(await selectWithDropdownDriver(driver, input, 'Warszawa, Polska')).toBe(true);
+    expect(searches).toEqual(['Warszawa, Polska', 'Warszawa']);
+    expect(driver.getSelectedText(input)).toBe('Warszawa');
+  }, 10000);
+
+  test('Select2: the hidden <select> is set through the library dropdown', async () => {
+    const { select, changes } = createSelect2('country', ['Niemcy', 'Polska', 'Czechy']);
+    const driver = getDropdownDriver(select);
+    expect(driver.name).toBe('Select2');
+
+    expect(await selectWithDropdownDriver(driver, select, 'Polska')).toBe(true);
+    expect(select.value).toBe('polska');
+    expect(changes).toEqual(['polska']);
+    expect(driver.getSelectedText(select)).toBe('Polska');
+    expect(document.querySelector('.select2-container--open')).toBeNull();
+  });
+
+  test('Select2: message rows are not options', async () => {
+    const { select } = createSelect2('country', ['Niemcy', 'Polska']);
+    const driver = getDropdownDriver(select);
+
+    driver.open(select);
+    typeDropdownSearch(driver.getSearchInput(select), 'xyz');
+    expect(driver.getOptionElements(select)).toEqual([]);
+    typeDropdownSearch(driver.getSearchInput(select), 'pol');
+    expect(getOptionTexts(driver.getOptionElements(select))).toEqual(['Polska']);
+  });
+
+  test('Chosen: the option is picked with mouseup and the <select> follows', async () => {
+    const { select } = createChosen('city', CITIES);
+    const driver = getDropdownDriver(select);
+    expect(driver.name).toBe('Chosen');
+
+    expect(await selectWithDropdownDriver(driver, select, 'wrocław')).toBe(true);
+    expect(select.value).toBe('wrocław');
+    expect(driver.getSelectedText(select)).toBe('Wrocław');
+  });
+
+  test('no matching option clears the search and gives false', async () => {
+    const { select, search } = createChosen('city', CITIES);
+    const driver = getDropdownDriver(select);
+
+    expect(await selectWithDropdownDriver(driver, select, 'Poznań')).toBe(false);
+    expect(select.value).toBe('');
+    expect(search.value).toBe('');
+  }, 10000);
+});
+
+describe('restoreFieldState - dropdown-driver', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('re-selects the recorded option through the driver', async () => {
+    const { input } = createReactSelect(1, 'Gdańsk');
+    const driver = getDropdownDriver(input);
+    const entry = { kind: 'dropdown-driver', element: input, text: driver.getSelectedText(input) };
+
+    await selectWithDropdownDriver(driver, input, 'Kraków');
+    expect(driver.getSelectedText(input)).toBe('Kraków');
+
+    expect(await restoreFieldState(entry)).toBe(true);
+    expect(driver.getSelectedText(input)).toBe('Gdańsk');
+  });
+
+  test('empty and multi-value selections are left to the user', async () => {
+    const { select } = createSelect2('country', ['Niemcy', 'Polska']);
+
+    expect(await restoreFieldState({ kind: 'dropdown-driver', element: select, text: '' })).toBe(false);
+    expect(await restoreFieldState({ kind: 'dropdown-driver', element: select, text: 'Niemcy, Polska' })).toBe(false);
+    expect(select.value).toBe('');
+  });
+});
@@ -0,0 +1,630 @@
+/**
+ * Tests for the fill journal
+ * Every field touched by a fill run is recorded first, so undo puts back exactly what the user had
+ */
+
+global.CSS = global.CSS || { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+
+// jsdom doesn't implement isContentEditable
+Object.defineProperty(HTMLElement.prototype, 'isContentEditable', {
+  configurable: true,
+  get() {
+    const editable = this.closest('[contenteditable]');
+    return !!editable && editable.getAttribute('contenteditable') !== 'false';
+  }
+});
+
+// Extract helpers from content.js
+const RICH_TEXT_ROOT_SELECTOR = '.ql-container, .DraftEditor-root, .ProseMirror-container, .ck-editor, .tox-tinymce, .cke, [class*="editor" i]';
+
+function deepQuerySelector(selector, root = document) {
+  const direct = root.querySelector(selector);
+  if (direct) return direct;
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      const found = deepQuerySelector(selector, element.shadowRoot);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function deepQuerySelectorAll(selector, root = document) {
+  const results = [];
+
+  const visit = (node) => {
+    for (const element of node.querySelectorAll('*')) {
+      if (element.matches(selector)) {
+        results.push(element);
+      }
+      if (element.shadowRoot) {
+        visit(element.shadowRoot);
+      }
+    }
+  };
+
+  visit(root);
+  return results;
+}
+
+function getElementByIdDeep(id, contextNode = document) {
+  if (!id) return null;
+
+  const root = contextNode.getRootNode ? contextNode.getRootNode() : document;
+  if (root !== document && root.getElementById) {
+    const inRoot = root.getElementById(id);
+    if (inRoot) return inRoot;
+  }
+
+  return document.getElementById(id) || deepQuerySelector(`[id="${CSS.escape(id)}"]`);
+}
+
+function findLabelForDeep(element, id = element.id) {
+  if (!id) return null;
+
+  const selector = `label[for="${CSS.escape(id)}"]`;
+  const root = element.getRootNode();
+  if (root !== document && root.querySelector) {
+    const inRoot = root.querySelector(selector);
+    if (inRoot) return inRoot;
+  }
+
+  return document.querySelector(selector);
+}
+
+function getAriaLabelledByText(element) {
+  const ariaLabelledBy = element.getAttribute('aria-labelledby');
+  if (!ariaLabelledBy) return null;
+
+  const text = ariaLabelledBy.split(/\s+/)
+    .map(id => getElementByIdDeep(id, element))
+    .filter(Boolean)
+    .map(label => label.textContent.trim())
+    .filter(Boolean)
+    .join(' ');
+
+  return text || null;
+}
+
+function getParentAcrossShadow(node) {
+  if (node.parentElement) return node.parentElement;
+
+  const root = node.getRootNode ? node.getRootNode() : null;
+  return root && root.host ? root.host : null;
+}
+
+function isRichTextEditor(element) {
+  if (!element || !element.isContentEditable || element.getAttribute('contenteditable') === null) return false;
+  // Iframe bodies (TinyMCE, CKEditor 4) are filled from the parent through their textarea
+  if (element === element.ownerDocument.body) return false;
+  // Nested editable nodes belong to the outer editor
+  return !element.parentElement || !element.parentElement.isContentEditable;
+}
+
+function getRichTextQuestion(element) {
+  const placeholder = element.getAttribute('data-placeholder') || element.getAttribute('aria-placeholder') ||
+    element.querySelector('[data-placeholder]')?.getAttribute('data-placeholder') ||
+    element.closest('.DraftEditor-root')?.querySelector('.public-DraftEditorPlaceholder-inner')?.textContent;
+  if (placeholder && placeholder.trim()) return placeholder.trim();
+
+  let current = element.closest(RICH_TEXT_ROOT_SELECTOR) || element;
+  for (let depth = 0; current && depth < 3; depth++, current = current.parentElement) {
+    let sibling = current.previousElementSibling;
+    while (sibling) {
+      const isToolbar = sibling.matches('.ql-toolbar, [role="toolbar"]') || sibling.querySelector('[role="toolbar"], button');
+      const text = sibling.textContent.trim();
+      if (!isToolbar && text && text.length < 200 && !sibling.querySelector('input, textarea, select')) {
+        return text;
+      }
+      sibling = sibling.previousElementSibling;
+    }
+  }
+  return null;
+}
+
+function getQuestionForInput(input) {
+  // Validate input element
+  if (!input) {
+    return null;
+  }
+
+  let questionText = null;
+  let matchStrategy = null;
+
+  // 1. Check for a wrapping label
+  if (input.parentElement && input.parentElement.tagName === 'LABEL') {
+    questionText = input.parentElement.textContent.trim();
+    matchStrategy = '1:wrapping-label';
+  }
+
+  // 2. Check for a `for` attribute
+  if (!questionText && input.id) {
+    const label = findLabelForDeep(input);
+    if (label) {
+      questionText = label.textContent.trim();
+      matchStrategy = `2:label-for[${input.id}]`;
+    }
+
+    // Special case: Selectize.js creates inputs with ID ending in '-selectized'
+    // and moves the label to point to that input, so for original SELECT elements
+    // with class 'selectized', also check for label pointing to ID + '-selectized'
+    if (!questionText && input.tagName === 'SELECT' && input.classList.contains('selectized')) {
+      const selectizeLabel = findLabelForDeep(input, `${input.id}-selectized`);
+      if (selectizeLabel) {
+        questionText = selectizeLabel.textContent.trim();
+        matchStrategy = `2:selectize-label-for[${input.id}-selectized]`;
+        console.log(`[Gemini Filler] Found Selectize label for SELECT: "${questionText}"`);
+      }
+    }
+  }
+
+  // 3. Check for aria-labelledby
+  if (!questionText && input.getAttribute('aria-labelledby')) {
+    const ariaLabelledBy = input.getAttribute('aria-labelledby');
+    const labelText = getAriaLabelledByText(input);
+    if (labelText) {
+      questionText = labelText;
+      matchStrategy = `3:aria-labelledby[${ariaLabelledBy}]`;
+    }
+  }
+
+  // 4. Traverse up the DOM to find a nearby label (continues past shadow roots into the host's tree)
+  if (!questionText) {
+    let current = input;
+    let depth = 0;
+    while (getParentAcrossShadow(current) && depth < 5) {
+      const parent = getParentAcrossShadow(current);
+      const parentTag = parent.tagName + (parent.className ? '.' + parent.className.split(' ')[0] : '');
+
+      const label = parent.querySelector('label');
+      if (label && label.contains(input)) {
+         questionText = label.textContent.trim();
+         matchStrategy = `4a:parent-label-contains[depth=${depth}, parent=${parentTag}]`;
+         break;
+      }
+
+      const labels = parent.querySelectorAll('label');
+
+      for(let i = 0; i < labels.length; i++) {
+          const l = labels[i];
+
+          if(l.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4b:label-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          if(l.nextElementSibling === input) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4c:label-nextSibling[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          // NEW: Check if label's next sibling is a container that contains the input
+          if (l.nextElementSibling && l.nextElementSibling.contains && l.nextElementSibling.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4d:label-nextSibling-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+      }
+      if (questionText) break;
+      current = parent;
+      depth++;
+    }
+  }
+
+  // 5. Fallback to aria-label or placeholder
+  if (!questionText && input.getAttribute('aria-label')) {
+    questionText = input.getAttribute('aria-label').trim();
+    matchStrategy = '5:aria-label';
+  }
+
+  // 5b. Web components often carry the label on the shadow host (e.g. <lightning-input label="...">)
+  if (!questionText) {
+    const host = input.getRootNode().host;
+    const hostLabel = host && (host.getAttribute('label') || host.getAttribute('aria-label'));
+    if (hostLabel && hostLabel.trim()) {
+      questionText = hostLabel.trim();
+      matchStrategy = `5b:shadow-host-label[${host.tagName.toLowerCase()}]`;
+    }
+  }
+
+  if (!questionText && input.getAttribute('placeholder')) {
+    const placeholder = input.getAttribute('placeholder').trim();
+
+    // Special handling for Od/Do (From/To) range fields - look for parent label
+    const rangePatterns = ['od', 'do', 'from', 'to', 'min', 'max', 'minimum', 'maximum'];
+    if (rangePatterns.includes(placeholder.toLowerCase())) {
+      // Look for a parent label that applies to the whole range
+      let current = input;
+      let depth = 0;
+      while (current.parentElement && depth < 6) {
+        const parent = current.parentElement;
+        const label = parent.querySelector('label');
+        if (label && !label.contains(input)) {
+          // Found a label at parent level - combine with placeholder
+          questionText = `${label.textContent.trim()} (${placeholder})`;
+          matchStrategy = `6:placeholder-with-parent-label[depth=${depth}]`;
+          break;
+        }
+        current = parent;
+        depth++;
+      }
+    }
+
+    if (!questionText) {
+      questionText = placeholder;
+      matchStrategy = '6:placeholder';
+    }
+  }
+
+  // 7. Rich-text editors: data-placeholder or the heading above the editor container
+  if (!questionText && isRichTextEditor(input)) {
+    questionText = getRichTextQuestion(input);
+    matchStrategy = '7:rich-text-editor';
+  }
+
+  return questionText;
+}
+
+function getEditorFrameBody(element) {
+  if (element.tagName !== 'TEXTAREA') return null;
+
+  const frame = (element.id && document.getElementById(`${element.id}_ifr`)) ||
+    element.nextElementSibling?.querySelector('iframe.tox-edit-area__iframe, iframe.cke_wysiwyg_frame');
+  try {
+    const body = frame && frame.contentDocument && frame.contentDocument.body;
+    return body && body.isContentEditable ? body : null;
+  } catch (e) {
+    // Cross-origin editor frame
+    return null;
+  }
+}
+
+function getRichTextTarget(element) {
+  return isRichTextEditor(element) ? element : getEditorFrameBody(element);
+}
+
+function setNativeValue(element, value) {
+  const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+    : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : element instanceof HTMLInputElement ? HTMLInputElement.prototype
+        : null;
+  const nativeValueSetter = prototype && Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+  if (nativeValueSetter) {
+    nativeValueSetter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+// Extract driver lookup from dropdowns.js (no drivers registered - plain fields only)
+const DROPDOWN_DRIVERS = [];
+
+function getDropdownDriver(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+  return DROPDOWN_DRIVERS.find(driver => {
+    try {
+      return driver.matches(element);
+    } catch (error) {
+      console.warn(`[Dropdown Driver] ${driver.name}: matches() failed`, error);
+      return false;
+    }
+  }) || null;
+}
+
+let fillJournal = null;      // Entries of the run in progress (null = not recording)
+
+let lastFillJournal = [];    // Entries of the last finished run
+
+function startFillJournal() {
+  fillJournal = [];
+}
+
+function finishFillJournal() {
+  if (fillJournal && fillJournal.length > 0) {
+    lastFillJournal = fillJournal;
+  }
+  fillJournal = null;
+  return lastFillJournal.length;
+}
+
+function recordFieldState(element) {
+  if (!fillJournal || !element) return;
+  if (fillJournal.some(entry => entry.element === element)) return;
+
+  const entry = captureFieldState(element);
+  entry.question = getQuestionForInput(element) || element.name || element.id || element.tagName.toLowerCase();
+  fillJournal.push(entry);
+}
+
+function captureFieldState(element) {
+  if (element.type === 'radio') {
+    const group = element.name
+      ? Array.from(element.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(element.name)}"]`))
+      : [element];
+    return { kind: 'radio', element, radios: group.map(radio => ({ radio, checked: radio.checked })) };
+  }
+  if (element.type === 'checkbox') {
+    return { kind: 'checkbox', element, checked: element.checked };
+  }
+  if (element.type === 'file') {
+    return { kind: 'file', element, files: Array.from(element.files || []) };
+  }
+  if (element.getAttribute('role') === 'radiogroup') {
+    const checked = element.querySelector('[role="radio"][aria-checked="true"]');
+    return { kind: 'radiogroup', element, checked };
+  }
+  if (element.tagName === 'SELECT') {
+    const selected = Array.from(element.selectedOptions || []);
+    return {
+      kind: element.classList.contains('selectized') ? 'selectize' : 'select',
+      element,
+      values: selected.map(option => option.value),
+      text: selected.map(option => option.text.trim()).join(', ')
+    };
+  }
+  const richTextTarget = getRichTextTarget(element);
+  if (richTextTarget) {
+    return { kind: 'richtext', element, target: richTextTarget, html: richTextTarget.innerHTML };
+  }
+  const dropdownDriver = getDropdownDriver(element);
+  if (dropdownDriver) {
+    // React-Select/MUI/AntD inputs are empty search boxes - the selection lives in the library's UI
+    return { kind: 'dropdown-driver', element, text: dropdownDriver.getSelectedText(element) };
+  }
+  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+    return { kind: 'value', element, value: element.value };
+  }
+  // Custom dropdown trigger - the only state we can see is the displayed text
+  return { kind: 'custom-dropdown', element, text: element.textContent.trim() };
+}
+
+function hasFieldChanged(entry) {
+  const current = captureFieldState(entry.element);
+  switch (entry.kind) {
+    case 'radio':
+      return entry.radios.some(({ radio, checked }) => radio.checked !== checked);
+    case 'checkbox':
+      return current.checked !== entry.checked;
+    case 'file':
+      return current.files.length !== entry.files.length || current.files.some((file, i) => file !== entry.files[i]);
+    case 'radiogroup':
+      return current.checked !== entry.checked;
+    case 'select':
+    case 'selectize':
+      return current.values.join('\u0000') !== entry.values.join('\u0000');
+    case 'value':
+      return current.value !== entry.value;
+    case 'richtext':
+      return current.html !== entry.html;
+    default:
+      return current.text !== entry.text;
+  }
+}
+
+function dispatchUndoEvents(element, types = ['input', 'change']) {
+  types.forEach(type => {
+    const event = new Event(type, { bubbles: true });
+    event._autofilledByExtension = true;
+    element.dispatchEvent(event);
+  });
+}
+
+async function restoreFieldState(entry) {
+  const element = entry.element;
+
+  switch (entry.kind) {
+    case 'value': {
+      setNativeValue(element, entry.value);
+      dispatchUndoEvents(element, ['input', 'change', 'blur']);
+      return true;
+    }
+
+    case 'select':
+      Array.from(element.options).forEach(option => {
+        option.selected = entry.values.includes(option.value);
+      });
+      dispatchUndoEvents(element);
+      return true;
+
+    case 'selectize': {
+      Array.from(element.options).forEach(option => {
+        option.selected = entry.values.includes(option.value);
+      });
+      dispatchUndoEvents(element, ['change']);
+      // Selectize keeps its own UI state - re-pick the old option, an empty selection can't be cleared from here
+      const selectizeInput = element.parentElement?.querySelector('.selectize-control .selectize-input input');
+      if (!entry.text || !selectizeInput) return false;
+      return reselectOptionByText(selectizeInput, entry.text, '.selectize-dropdown .option');
+    }
+
+    case 'checkbox':
+      if (element.checked !== entry.checked) {
+        element.click();
+        if (element.checked !== entry.checked) {
+          element.checked = entry.checked;
+          dispatchUndoEvents(element, ['change', 'input']);
+        }
+      }
+      if (element.hasAttribute('aria-checked')) {
+        element.setAttribute('aria-checked', String(entry.checked));
+      }
+      return true;
+
+    case 'radio': {
+      const previouslyChecked = entry.radios.find(({ checked }) => checked);
+      if (previouslyChecked) {
+        previouslyChecked.radio.click();
+        previouslyChecked.radio.checked = true;
+        dispatchUndoEvents(previouslyChecked.radio, ['change']);
+      } else {
+        entry.radios.forEach(({ radio }) => {
+          if (radio.checked) {
+            radio.checked = false;
+            dispatchUndoEvents(radio, ['change']);
+          }
+        });
+      }
+      return true;
+    }
+
+    case 'radiogroup':
+      // ARIA radio groups can't be unselected - only a previous choice can be restored
+      if (!entry.checked) return false;
+      entry.checked.click();
+      return true;
+
+    case 'file': {
+      const dataTransfer = new DataTransfer();
+      entry.files.forEach(file => dataTransfer.items.add(file));
+      element.files = dataTransfer.files;
+      if (entry.files.length === 0) {
+        element.value = '';
+      }
+      dispatchUndoEvents(element, ['change', 'input']);
+      return true;
+    }
+
+    case 'richtext':
+      // The editor model may keep the old text in its undo stack - the DOM is what gets submitted
+      entry.target.innerHTML = entry.html;
+      dispatchUndoEvents(entry.target, ['input']);
+      return true;
+
+    case 'dropdown-driver': {
+      // Multi-value and empty selections can't be rebuilt by typing - leave them to the user
+      const driver = getDropdownDriver(element);
+      if (!driver || !entry.text || entry.text.includes(', ')) return false;
+      return selectWithDropdownDriver(driver, element, entry.text);
+    }
+
+    default:
+      if (!entry.text || isPlaceholderAnswer(entry.text)) return false;
+      return reselectOptionByText(element, entry.text, '[role="option"], [role="menuitem"]');
+  }
+}
+
+async function undoLastFill() {
+  const journal = lastFillJournal;
+  lastFillJournal = [];
+
+  let restored = 0;
+  const manual = [];
+
+  // Backwards, so a field touched by several handlers ends up with its original value
+  for (const entry of journal.slice().reverse()) {
+    if (!entry.element.isConnected || !hasFieldChanged(entry)) continue;
+
+    try {
+      if (await restoreFieldState(entry)) {
+        restored++;
+      } else {
+        manual.push(entry.question);
+      }
+    } catch (error) {
+      console.error(`[Undo] Failed to restore "${entry.question}":`, error);
+      manual.push(entry.question);
+    }
+  }
+
+  if (window === window.top) {
+    const frameResults = await relayToFrames({ action: 'frame_undo' });
+    frameResults.forEach(({ response }) => {
+      if (!response) return;
+      restored += response.restored;
+      manual.push(...response.manual);
+    });
+  }
+
+  console.log(`[Undo] Restored ${restored} field(s), ${manual.length} need manual reset`);
+  return { restored, manual };
+}
+
+// Single document - no child frames to relay the undo to
+async function relayToFrames() {
+  return [];
+}
+
+describe('fill journal round trip', () => {
+  beforeEach(() => {
+    lastFillJournal = [];
+    document.body.innerHTML = `
+      <label for="name">Imię</label><input id="name" value="Jan">
+      <label for="city">Miasto</label>
+      <select id="city">
+        <option value="">Wybierz</option>
+        <option value="waw">Warszawa</option>
+        <option value="krk">Kraków</option>
+      </select>
+      <label><input type="checkbox" id="newsletter"> Newsletter</label>
+      <label for="letter">List motywacyjny</label>
+      <div class="ql-container"><div id="letter" class="ql-editor" contenteditable="true"><p>Szanowni Państwo</p></div></div>`;
+  });
+
+  test('undo restores text, select, checkbox and contenteditable values', async () => {
+    const name = document.getElementById('name');
+    const city = document.getElementById('city');
+    const newsletter = document.getElementById('newsletter');
+    const letter = document.getElementById('letter');
+
+    startFillJournal();
+    [name, city, newsletter, letter].forEach(recordFieldState);
+    name.value = 'Anna';
+    city.value = 'krk';
+    newsletter.checked = true;
+    letter.innerHTML = '<p>Dzień dobry</p>';
+    expect(finishFillJournal()).toBe(4);
+
+    const result = await undoLastFill();
+
+    expect(result).toEqual({ restored: 4, manual: [] });
+    expect(name.value).toBe('Jan');
+    expect(city.value).toBe('');
+    expect(newsletter.checked).toBe(false);
+    expect(letter.innerHTML).toBe('<p>Szanowni Państwo</p>');
+  });
+
+  test('first recorded state wins and untouched fields are left alone', async () => {
+    const name = document.getElementById('name');
+    const city = document.getElementById('city');
+
+    startFillJournal();
+    recordFieldState(name);
+    name.value = 'Anna';
+    recordFieldState(name);
+    name.value = 'Ewa';
+    recordFieldState(city);
+    finishFillJournal();
+
+    const changes = [];
+    city.addEventListener('change', () => changes.push('city'));
+    const result = await undoLastFill();
+
+    expect(result.restored).toBe(1);
+    expect(name.value).toBe('Jan');
+    expect(changes).toEqual([]);
+  });
+
+  test('undo runs once per fill', async () => {
+    const name = document.getElementById('name');
+
+    startFillJournal();
+    recordFieldState(name);
+    name.value = 'Anna';
+    finishFillJournal();
+
+    await undoLastFill();
+    name.value = 'Ewa';
+
+    expect(await undoLastFill()).toEqual({ restored: 0, manual: [] });
+    expect(name.value).toBe('Ewa');
+  });
+
+  test('nothing is recorded outside a fill run', () => {
+    recordFieldState(document.getElementById('name'));
+    expect(finishFillJournal()).toBe(0);
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * Tests for the fill session
+ * Fields inserted or unhidden after the initial pass are filled in follow-up rounds until the form is quiet
+ */
+
+// Extract helpers from content.js
+const FORM_ELEMENTS_SELECTOR = 'input, textarea, select, button[aria-haspopup="dialog"], div[role="radiogroup"], [contenteditable]:not([contenteditable="false"])';
+
+const FILL_SESSION_SETTLE_MS = 300;     // Mutations closer than this are one burst - answered with one AI call
+const FILL_SESSION_QUIET_MS = 1500;     // No field changes for this long - the form is quiescent
+const FILL_SESSION_TIMEOUT_MS = 60000;  // Hard stop for pages that never settle (animations, live counters)
+
+function isFieldMutation(mutation) {
+  const target = mutation.target;
+  if (target.nodeType !== Node.ELEMENT_NODE || target.closest('[id^="gemini-filler"]')) {
+    return false;
+  }
+
+  if (mutation.type === 'childList') {
+    return Array.from(mutation.addedNodes).some(node =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      !node.id.startsWith('gemini-filler') &&
+      (node.matches(FORM_ELEMENTS_SELECTOR) || node.querySelector(FORM_ELEMENTS_SELECTOR) || node.shadowRoot)
+    );
+  }
+
+  // style/class/hidden toggles on a field or on a container holding fields
+  return target.matches(FORM_ELEMENTS_SELECTOR) || !!target.querySelector(FORM_ELEMENTS_SELECTOR);
+}
+
+async function runFillSession(userData, processedElements, missingFields) {
+  const sessionStart = Date.now();
+  const timedOut = () => Date.now() - sessionStart >= FILL_SESSION_TIMEOUT_MS;
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const stats = { totalFields: 0, rounds: 0 };
+
+  // The initial pass may already have revealed follow-up questions
+  let dirty = true;
+  let lastChange = Date.now();
+
+  // Mutations inside open shadow roots don't reach the document observer - each root is observed too,
+  // including roots of web components added during the session
+  const observedRoots = new Set();
+  const observeRoots = () => {
+    const shadowRoots = deepQuerySelectorAll('*').filter(element => element.shadowRoot).map(element => element.shadowRoot);
+    [document.documentElement, ...shadowRoots].forEach(root => {
+      if (observedRoots.has(root)) return;
+      observedRoots.add(root);
+      observer.observe(root, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['style', 'class', 'hidden', 'aria-hidden', 'disabled']
+      });
+    });
+  };
+
+  const observer = new MutationObserver(mutations => {
+    if (mutations.some(isFieldMutation)) {
+      dirty = true;
+      lastChange = Date.now();
+      observeRoots();
+    }
+  });
+  observeRoots();
+
+  try {
+    while (!timedOut()) {
+      if (!dirty) {
+        if (Date.now() - lastChange >= FILL_SESSION_QUIET_MS) break;
+        await wait(100);
+        continue;
+      }
+
+      // Let the burst finish so fields revealed together land in one AI call
+      while (Date.now() - lastChange < FILL_SESSION_SETTLE_MS && !timedOut()) {
+        await wait(50);
+      }
+      dirty = false;
+
+      const pending = getPendingFields(processedElements);
+      if (pending.length === 0) continue;
+
+      stats.rounds++;
+      console.log(`[Fill Session] Round ${stats.rounds}: ${pending.length} new field(s)`);
+      stats.totalFields += await fillFollowUpFields(pending, userData, processedElements, missingFields);
+    }
+  } finally {
+    observer.disconnect();
+  }
+
+  if (timedOut()) {
+    console.warn(`[Fill Session] Page did not settle within ${FILL_SESSION_TIMEOUT_MS / 1000}s, stopping`);
+  }
+  console.log(`[Fill Session] Done after ${stats.rounds} follow-up round(s), ${Math.round((Date.now() - sessionStart) / 1000)}s`);
+  return stats;
+}
+
+// Extract driver lookup from dropdowns.js (no drivers registered - plain fields only)
+const DROPDOWN_DRIVERS = [];
+
+function getDropdownDriver(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+  return DROPDOWN_DRIVERS.find(driver => {
+    try {
+      return driver.matches(element);
+    } catch (error) {
+      console.warn(`[Dropdown Driver] ${driver.name}: matches() failed`, error);
+      return false;
+    }
+  }) || null;
+}
+
+function deepQuerySelectorAll(selector, root = document) {
+  const results = [];
+
+  const visit = (node) => {
+    for (const element of node.querySelectorAll('*')) {
+      if (element.matches(selector)) {
+        results.push(element);
+      }
+      if (element.shadowRoot) {
+        visit(element.shadowRoot);
+      }
+    }
+  };
+
+  visit(root);
+  return results;
+}
+
+function getEditorFrameBody(element) {
+  if (element.tagName !== 'TEXTAREA') return null;
+
+  const frame = (element.id && document.getElementById(`${element.id}_ifr`)) ||
+    element.nextElementSibling?.querySelector('iframe.tox-edit-area__iframe, iframe.cke_wysiwyg_frame');
+  try {
+    const body = frame && frame.contentDocument && frame.contentDocument.body;
+    return body && body.isContentEditable ? body : null;
+  } catch (e) {
+    // Cross-origin editor frame
+    return null;
+  }
+}
+
+function isFieldRendered(element) {
+  if (element.getClientRects().length > 0 || element.type === 'file') return true;
+  if ((element.type === 'radio' || element.type === 'checkbox') && element.parentElement?.getClientRects().length > 0) return true;
+  return element.classList.contains('selectized') || !!getDropdownDriver(element) || !!getEditorFrameBody(element);
+}
+
+function getPendingFields(processedElements) {
+  return deepQuerySelectorAll(FORM_ELEMENTS_SELECTOR).filter(element =>
+    !processedElements.has(element) &&
+    element.isConnected &&
+    !element.disabled &&
+    isFieldRendered(element)
+  );
+}
+
+async function fillFollowUpFields(fields, userData, processedElements, missingFields) {
+  const batchFields = collectBatchFields(fields, processedElements);
+
+  if (batchFields.length > 0) {
+    console.log(`[Fill Session] ${batchFields.length} new question(s):`, batchFields.map(field => field.question));
+    const batchAnswers = await getBatchAIResponse(batchFields.map(field => field.batchQuestion), userData);
+    await fillBatchFields(batchFields, batchAnswers, userData, processedElements, missingFields);
+  }
+
+  await fillSpecialFields(fields, userData, processedElements);
+  await fillIndividualFields(fields, userData, processedElements, missingFields);
+
+  return batchFields.length;
+}
+
+// The fill stages have their own coverage - here they record what each round was given.
+// The batch stage follows the real contract: fields without an answer go to missingFields
+// and stay unprocessed so the individual pass can retry them.
+const rounds = [];
+let aiAnswers = {};
+
+function collectBatchFields(formElements, processedElements) {
+  return formElements
+    .filter(element => !processedElements.has(element) && isFieldRendered(element))
+    .map(element => {
+      const question = element.closest('label')?.textContent.trim() || element.id;
+      return { element, question, batchQuestion: { question } };
+    });
+}
+
+async function getBatchAIResponse(questions, userData) {
+  rounds.push(questions.map(batchQuestion => batchQuestion.question));
+  return questions.map(batchQuestion => aiAnswers[batchQuestion.question]
+    ? { answer: aiAnswers[batchQuestion.question] }
+    : { answer: '', unknown: true });
+}
+
+async function fillBatchFields(fields, batchAnswers, userData, processedElements, missingFields) {
+  fields.forEach((field, i) => {
+    if (batchAnswers[i].unknown) {
+      missingFields.push({ question: field.question, reason: 'Brak danych w bazie wiedzy', element: field.element });
+      return;
+    }
+    field.element.value = batchAnswers[i].answer;
+    processedElements.add(field.element);
+  });
+}
+
+const fillSpecialFields = jest.fn(async () => false);
+
+const fillIndividualFields = jest.fn(async (formElements, userData, processedElements) => {
+  formElements.forEach(element => processedElements.add(element));
+  return false;
+});
+
+// jsdom has no layout - fields inside display: none containers have no client rects
+HTMLElement.prototype.getClientRects = function () {
+  for (let node = this; node; node = node.parentElement) {
+    if (node.style.display === 'none' || node.hidden) return [];
+  }
+  return [{}];
+};
+
+function collectMutations(change) {
+  return new Promise(resolve => {
+    const observer = new MutationObserver(mutations => {
+      observer.disconnect();
+      resolve(mutations);
+    });
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true });
+    change();
+  });
+}
+
+describe('isFieldMutation', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="group" style="display: none"><input id="details"></div><div id="text"></div>';
+  });
+
+  test('inserted field counts', async () => {
+    const mutations = await collectMutations(() => {
+      document.getElementById('text').innerHTML = '<label>Jeśli tak, podaj szczegóły <input></label>';
+    });
+    expect(mutations.some(isFieldMutation)).toBe(true);
+  });
+
+  test('unhiding a container with fields counts', async () => {
+    const mutations = await collectMutations(() => {
+      document.getElementById('group').style.display = '';
+    });
+    expect(mutations.some(isFieldMutation)).toBe(true);
+  });
+
+  test('plain text changes and our own UI are ignored', async () => {
+    const textMutations = await collectMutations(() => {
+      document.getElementById('text').innerHTML = '<p>Dziękujemy</p>';
+    });
+    expect(textMutations.some(isFieldMutation)).toBe(false);
+
+    const uiMutations = await collectMutations(() => {
+      const panel = document.createElement('div');
+      panel.id = 'gemini-filler-summary-modal';
+      document.body.appendChild(panel);
+      panel.innerHTML = '<input type="checkbox">';
+    });
+    expect(uiMutations.some(isFieldMutation)).toBe(false);
+  });
+});
+
+describe('getPendingFields', () => {
+  test('returns rendered, enabled fields that were not handled yet', () => {
+    document.body.innerHTML = `
+      <label>Imię <input id="name"></label>
+      <label>Nazwisko <input id="surname"></label>
+      <div id="group" style="display: none"><label>Jeśli tak, podaj szczegóły <input id="details"></label></div>
+      <input id="locked" disabled>`;
+    const processed = new Set([document.getElementById('name')]);
+
+    expect(getPendingFields(processed).map(element => element.id)).toEqual(['surname']);
+
+    document.getElementById('group').style.display = '';
+    expect(getPendingFields(processed).map(element => element.id)).toEqual(['surname', 'details']);
+  });
+});
+
+describe('runFillSession', () => {
+  beforeEach(() => {
+    rounds.length = 0;
+    aiAnswers = {};
+    fillIndividualFields.mockClear();
+    document.body.innerHTML = `
+      <label>Czy masz prawo jazdy? <input id="license"></label>
+      <div id="group" style="display: none"><label>Jeśli tak, podaj kategorię <input id="category"></label></div>`;
+  });
+
+  test('fills a conditional field revealed 500 ms later in a follow-up round', async () => {
+    aiAnswers = { 'Czy masz prawo jazdy?': 'Tak', 'Jeśli tak, podaj kategorię': 'B' };
+    setTimeout(() => {
+      document.getElementById('group').style.display = '';
+    }, 500);
+
+    const missingFields = [];
+    const stats = await runFillSession({}, new Set(), missingFields);
+
+    expect(rounds).toEqual([['Czy masz prawo jazdy?'], ['Jeśli tak, podaj kategorię']]);
+    expect(document.getElementById('license').value).toBe('Tak');
+    expect(document.getElementById('category').value).toBe('B');
+    expect(stats).toEqual({ totalFields: 2, rounds: 2 });
+    expect(missingFields).toEqual([]);
+  });
+
+  test('reports a revealed field without an answer in missingFields', async () => {
+    const license = document.getElementById('license');
+    setTimeout(() => {
+      document.getElementById('group').style.display = '';
+    }, 500);
+
+    const missingFields = [];
+    const stats = await runFillSession({}, new Set([license]), missingFields);
+
+    const category = document.getElementById('category');
+    expect(stats).toEqual({ totalFields: 1, rounds: 1 });
+    expect(missingFields).toEqual([
+      { question: 'Jeśli tak, podaj kategorię', reason: 'Brak danych w bazie wiedzy', element: category }
+    ]);
+    // The individual pass gets the same collector so it can retry and clear the entry
+    expect(fillIndividualFields).toHaveBeenCalledWith([category], {}, expect.any(Set), missingFields);
+  });
+
+  test('fills a field revealed inside an open shadow root', async () => {
+    const host = document.createElement('div');
+    document.body.appendChild(host);
+    host.attachShadow({ mode: 'open' }).innerHTML =
+      '<div id="shadow-group" style="display: none"><label>Numer prawa jazdy <input id="number"></label></div>';
+    aiAnswers = { 'Numer prawa jazdy': 'ABC123' };
+    setTimeout(() => {
+      host.shadowRoot.getElementById('shadow-group').style.display = '';
+    }, 500);
+
+    const processed = new Set([document.getElementById('license'), document.getElementById('category')]);
+    const stats = await runFillSession({}, processed, []);
+
+    expect(rounds).toEqual([['Numer prawa jazdy']]);
+    expect(host.shadowRoot.getElementById('number').value).toBe('ABC123');
+    expect(stats).toEqual({ totalFields: 1, rounds: 1 });
+  });
+
+  test('ends when the form is quiet', async () => {
+    const started = Date.now();
+    const stats = await runFillSession({}, new Set([document.getElementById('license')]), []);
+
+    expect(stats.rounds).toBe(0);
+    expect(Date.now() - started).toBeLessThan(FILL_SESSION_QUIET_MS + 1000);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Tests for filling forms inside iframes
+ * Child frame questions join the top frame's batch and the answers go back to the frame that owns them
+ */
+
+// Background relay with fake child frames - each frame answers frame_collect/frame_apply like content.js does
+let frames = [];
+const relayed = [];
+
+global.chrome = {
+  runtime: {
+    lastError: null,
+    sendMessage: (request, callback) => {
+      relayed.push(request);
+      const targets = frames.filter(frame => !request.frameIds || request.frameIds.includes(frame.frameId));
+      Promise.resolve().then(() => callback({
+        results: targets.map(frame => ({ frameId: frame.frameId, url: frame.url, response: frame.respond(request.message) }))
+      }));
+    }
+  }
+};
+
+function createFrame(frameId, url, questions, { specialFields = 0, unanswered = [] } = {}) {
+  return {
+    frameId,
+    url,
+    received: null,
+    respond(message) {
+      if (message.action === 'frame_collect') {
+        return { questions, specialFields };
+      }
+      this.received = message.answers;
+      // Preview applies only the approved rows, the batch fill reports what it had no answer for
+      const missingFields = message.preview ? [] : questions
+        .filter((question, index) => !message.answers[index] || unanswered.includes(question.question))
+        .map(question => ({ question: question.question, reason: 'Brak danych w bazie wiedzy' }));
+      const totalFields = message.preview ? message.answers.filter(Boolean).length : questions.length;
+      return {
+        filledFields: totalFields - missingFields.length,
+        totalFields,
+        missingFields,
+        answerSources: { ai: totalFields - missingFields.length }
+      };
+    }
+  };
+}
+
+// Extract helpers from content.js
+let fillAnswerSources = {};
+
+const ANSWER_SOURCE_LABELS = { mock: 'z Twoich danych', learned: 'nauczone', cache: 'z cache', ai: 'od AI' };
+
+function recordAnswerSource(source, count = 1) {
+  if (source && ANSWER_SOURCE_LABELS[source]) {
+    fillAnswerSources[source] = (fillAnswerSources[source] || 0) + count;
+  }
+}
+
+function relayToFrames(message, frameIds = null) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'relayToFrames', message, frameIds }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn('[Frame Filler] Relay failed:', chrome.runtime.lastError.message);
+        resolve([]);
+        return;
+      }
+      resolve((response && response.results) || []);
+    });
+  });
+}
+
+function getFrameLabel(url) {
+  try {
+    return new URL(url).hostname || 'ramka';
+  } catch (error) {
+    return 'ramka';
+  }
+}
+
+async function collectFrameFields({ preview = false } = {}) {
+  const replies = await relayToFrames({ action: 'frame_collect', preview });
+
+  const frameBatches = replies
+    .filter(reply => reply.response && Array.isArray(reply.response.questions) &&
+                     (reply.response.questions.length > 0 || (!preview && reply.response.specialFields > 0)))
+    .map(reply => ({
+      frameId: reply.frameId,
+      url: reply.url,
+      label: getFrameLabel(reply.url),
+      questions: reply.response.questions
+    }));
+
+  if (frameBatches.length > 0) {
+    console.log(`[Frame Filler] Found questions in ${frameBatches.length} child frame(s):`, frameBatches.map(f => `${f.label} (${f.questions.length})`));
+  }
+  return frameBatches;
+}
+
+async function applyFrameAnswers(frameBatches, batchAnswers, userData, missingFields, { preview = false } = {}) {
+  const results = [];
+
+  for (const frameBatch of frameBatches) {
+    const answers = frameBatch.questions.map((_, idx) => batchAnswers[frameBatch.offset + idx]);
+    const [reply] = await relayToFrames({ action: 'frame_apply', answers, userData, preview }, [frameBatch.frameId]);
+    const response = reply && reply.response;
+
+    if (!response) {
+      console.warn(`[Frame Filler] No response from frame ${frameBatch.label}`);
+      const unanswered = frameBatch.questions.filter((_, idx) => !preview || answers[idx]);
+      results.push({ label: frameBatch.label, filledFields: 0, totalFields: unanswered.length });
+      if (missingFields) {
+        unanswered.forEach(q => missingFields.push({ question: q.question, reason: 'Ramka nie odpowiedziała', frame: frameBatch.label }));
+      }
+      continue;
+    }
+
+    results.push({ label: frameBatch.label, filledFields: response.filledFields, totalFields: response.totalFields });
+    Object.entries(response.answerSources || {}).forEach(([source, count]) => recordAnswerSource(source, count));
+    if (missingFields) {
+      response.missingFields.forEach(field => missingFields.push({ ...field, frame: frameBatch.label }));
+    }
+  }
+
+  return results;
+}
+
+// Same merge as fillForm(): frame questions are appended to the top frame's batch
+function mergeFrameQuestions(batchQuestions, frameBatches) {
+  for (const frameBatch of frameBatches) {
+    frameBatch.offset = batchQuestions.length;
+    batchQuestions.push(...frameBatch.questions);
+  }
+  return batchQuestions;
+}
+
+const question = text => ({ question: text, type: 'text' });
+
+beforeEach(() => {
+  relayed.length = 0;
+  fillAnswerSources = {};
+  frames = [
+    createFrame(3, 'https://boards.greenhouse.io/embed/job_app?token=1', [question('Imię'), question('Nazwisko')]),
+    createFrame(5, 'https://ads.example.com/banner', []),
+    createFrame(7, 'https://apply.workable.com/form', [question('Oczekiwania finansowe')], { unanswered: ['Oczekiwania finansowe'] })
+  ];
+});
+
+describe('collectFrameFields', () => {
+  test('keeps frames with questions and labels them by host', async () => {
+    const frameBatches = await collectFrameFields();
+
+    expect(relayed[0]).toEqual({ action: 'relayToFrames', message: { action: 'frame_collect', preview: false }, frameIds: null });
+    expect(frameBatches.map(batch => [batch.frameId, batch.label, batch.questions.length])).toEqual([
+      [3, 'boards.greenhouse.io', 2],
+      [7, 'apply.workable.com', 1]
+    ]);
+  });
+
+  test('keeps a frame with only radios/checkboxes/files outside preview', async () => {
+    frames[1] = createFrame(5, 'https://consents.example.com/form', [], { specialFields: 2 });
+
+    expect((await collectFrameFields()).map(batch => batch.frameId)).toEqual([3, 5, 7]);
+    expect((await collectFrameFields({ preview: true })).map(batch => batch.frameId)).toEqual([3, 7]);
+  });
+
+  test('falls back to an empty list when the relay fails', async () => {
+    chrome.runtime.lastError = { message: 'Could not establish connection' };
+    try {
+      expect(await collectFrameFields()).toEqual([]);
+    } finally {
+      chrome.runtime.lastError = null;
+    }
+  });
+});
+
+describe('applyFrameAnswers', () => {
+  test('merges frame questions into one batch and sends each frame its own answers', async () => {
+    const frameBatches = await collectFrameFields();
+    const batchQuestions = mergeFrameQuestions([question('E-mail')], frameBatches);
+    expect(batchQuestions.map(q => q.question)).toEqual(['E-mail', 'Imię', 'Nazwisko', 'Oczekiwania finansowe']);
+    expect(frameBatches.map(batch => batch.offset)).toEqual([1, 3]);
+
+    const batchAnswers = {
+      0: { answer: 'jan@example.com' },
+      1: { answer: 'Jan' },
+      2: { answer: 'Kowalski' },
+      3: { answer: '', unknown: true }
+    };
+    const missingFields = [];
+    const results = await applyFrameAnswers(frameBatches, batchAnswers, {}, missingFields);
+
+    expect(frames[0].received).toEqual([{ answer: 'Jan' }, { answer: 'Kowalski' }]);
+    expect(frames[2].received).toEqual([{ answer: '', unknown: true }]);
+    expect(relayed.slice(1).map(request => request.frameIds)).toEqual([[3], [7]]);
+    expect(results).toEqual([
+      { label: 'boards.greenhouse.io', filledFields: 2, totalFields: 2 },
+      { label: 'apply.workable.com', filledFields: 0, totalFields: 1 }
+    ]);
+    expect(missingFields).toEqual([
+      { question: 'Oczekiwania finansowe', reason: 'Brak danych w bazie wiedzy', frame: 'apply.workable.com' }
+    ]);
+    expect(fillAnswerSources).toEqual({ ai: 2 });
+  });
+
+  test('reports the questions of a frame that stopped answering', async () => {
+    const frameBatches = await collectFrameFields();
+    mergeFrameQuestions([], frameBatches);
+    frames = frames.filter(frame => frame.frameId !== 7);
+
+    const missingFields = [];
+    const results = await applyFrameAnswers(frameBatches, { 0: { answer: 'Jan' }, 1: { answer: 'Kowalski' } }, {}, missingFields);
+
+    expect(results[1]).toEqual({ label: 'apply.workable.com', filledFields: 0, totalFields: 1 });
+    expect(missingFields).toEqual([
+      { question: 'Oczekiwania finansowe', reason: 'Ramka nie odpowiedziała', frame: 'apply.workable.com' }
+    ]);
+  });
+
+  test('preview counts only the approved rows', async () => {
+    const frameBatches = await collectFrameFields({ preview: true });
+    mergeFrameQuestions([], frameBatches);
+
+    const results = await applyFrameAnswers(frameBatches, { 0: { answer: 'Jan' } }, {}, [], { preview: true });
+
+    expect(relayed[1].message).toEqual({ action: 'frame_apply', answers: [{ answer: 'Jan' }, undefined], userData: {}, preview: true });
+    expect(results).toEqual([
+      { label: 'boards.greenhouse.io', filledFields: 1, totalFields: 1 },
+      { label: 'apply.workable.com', filledFields: 0, totalFields: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,993 @@
+/**
+ * Shared fixtures for the site adapter tests (atsAdapters, polishPortals)
+ * One copy of the content.js / ai.js helpers the adapters call, plus the extension environment they expect
+ */
+
+/**
+ * jsdom shims (CSS.escape, offsetParent) and a chrome.storage mock
+ * @returns {Object} Storage contents - sync and local read from the same object
+ */
+function installExtensionMocks() {
+  // jsdom doesn't implement CSS.escape - ids used in the tests are plain identifiers
+  global.CSS = global.CSS || { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+
+  // jsdom has no layout - treat every attached element as visible
+  Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+    configurable: true,
+    get() { return this.isConnected ? this.parentElement : null; }
+  });
+
+  const storage = {};
+  global.chrome = {
+    runtime: { lastError: null },
+    storage: {
+      sync: { get: (key, callback) => callback({ [key]: storage[key] }) },
+      local: { get: (key, callback) => callback({ [key]: storage[key] }) }
+    }
+  };
+  return storage;
+}
+
+// Extract label lookup and value writing from content.js
+const RICH_TEXT_ROOT_SELECTOR = '.ql-container, .DraftEditor-root, .ProseMirror-container, .ck-editor, .tox-tinymce, .cke, [class*="editor" i]';
+
+function deepQuerySelector(selector, root = document) {
+  const direct = root.querySelector(selector);
+  if (direct) return direct;
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      const found = deepQuerySelector(selector, element.shadowRoot);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function getElementByIdDeep(id, contextNode = document) {
+  if (!id) return null;
+
+  const root = contextNode.getRootNode ? contextNode.getRootNode() : document;
+  if (root !== document && root.getElementById) {
+    const inRoot = root.getElementById(id);
+    if (inRoot) return inRoot;
+  }
+
+  return document.getElementById(id) || deepQuerySelector(`[id="${CSS.escape(id)}"]`);
+}
+
+function findLabelForDeep(element, id = element.id) {
+  if (!id) return null;
+
+  const selector = `label[for="${CSS.escape(id)}"]`;
+  const root = element.getRootNode();
+  if (root !== document && root.querySelector) {
+    const inRoot = root.querySelector(selector);
+    if (inRoot) return inRoot;
+  }
+
+  return document.querySelector(selector);
+}
+
+function getAriaLabelledByText(element) {
+  const ariaLabelledBy = element.getAttribute('aria-labelledby');
+  if (!ariaLabelledBy) return null;
+
+  const text = ariaLabelledBy.split(/\s+/)
+    .map(id => getElementByIdDeep(id, element))
+    .filter(Boolean)
+    .map(label => label.textContent.trim())
+    .filter(Boolean)
+    .join(' ');
+
+  return text || null;
+}
+
+function getParentAcrossShadow(node) {
+  if (node.parentElement) return node.parentElement;
+
+  const root = node.getRootNode ? node.getRootNode() : null;
+  return root && root.host ? root.host : null;
+}
+
+function isRichTextEditor(element) {
+  if (!element || !element.isContentEditable || element.getAttribute('contenteditable') === null) return false;
+  // Iframe bodies (TinyMCE, CKEditor 4) are filled from the parent through their textarea
+  if (element === element.ownerDocument.body) return false;
+  // Nested editable nodes belong to the outer editor
+  return !element.parentElement || !element.parentElement.isContentEditable;
+}
+
+function getRichTextQuestion(element) {
+  const placeholder = element.getAttribute('data-placeholder') || element.getAttribute('aria-placeholder') ||
+    element.querySelector('[data-placeholder]')?.getAttribute('data-placeholder') ||
+    element.closest('.DraftEditor-root')?.querySelector('.public-DraftEditorPlaceholder-inner')?.textContent;
+  if (placeholder && placeholder.trim()) return placeholder.trim();
+
+  let current = element.closest(RICH_TEXT_ROOT_SELECTOR) || element;
+  for (let depth = 0; current && depth < 3; depth++, current = current.parentElement) {
+    let sibling = current.previousElementSibling;
+    while (sibling) {
+      const isToolbar = sibling.matches('.ql-toolbar, [role="toolbar"]') || sibling.querySelector('[role="toolbar"], button');
+      const text = sibling.textContent.trim();
+      if (!isToolbar && text && text.length < 200 && !sibling.querySelector('input, textarea, select')) {
+        return text;
+      }
+      sibling = sibling.previousElementSibling;
+    }
+  }
+  return null;
+}
+
+function getQuestionForInput(input) {
+  // Validate input element
+  if (!input) {
+    return null;
+  }
+
+  let questionText = null;
+  let matchStrategy = null;
+
+  // 1. Check for a wrapping label
+  if (input.parentElement && input.parentElement.tagName === 'LABEL') {
+    questionText = input.parentElement.textContent.trim();
+    matchStrategy = '1:wrapping-label';
+  }
+
+  // 2. Check for a `for` attribute
+  if (!questionText && input.id) {
+    const label = findLabelForDeep(input);
+    if (label) {
+      questionText = label.textContent.trim();
+      matchStrategy = `2:label-for[${input.id}]`;
+    }
+
+    // Special case: Selectize.js creates inputs with ID ending in '-selectized'
+    // and moves the label to point to that input, so for original SELECT elements
+    // with class 'selectized', also check for label pointing to ID + '-selectized'
+    if (!questionText && input.tagName === 'SELECT' && input.classList.contains('selectized')) {
+      const selectizeLabel = findLabelForDeep(input, `${input.id}-selectized`);
+      if (selectizeLabel) {
+        questionText = selectizeLabel.textContent.trim();
+        matchStrategy = `2:selectize-label-for[${input.id}-selectized]`;
+        console.log(`[Gemini Filler] Found Selectize label for SELECT: "${questionText}"`);
+      }
+    }
+  }
+
+  // 3. Check for aria-labelledby
+  if (!questionText && input.getAttribute('aria-labelledby')) {
+    const ariaLabelledBy = input.getAttribute('aria-labelledby');
+    const labelText = getAriaLabelledByText(input);
+    if (labelText) {
+      questionText = labelText;
+      matchStrategy = `3:aria-labelledby[${ariaLabelledBy}]`;
+    }
+  }
+
+  // 4. Traverse up the DOM to find a nearby label (continues past shadow roots into the host's tree)
+  if (!questionText) {
+    let current = input;
+    let depth = 0;
+    while (getParentAcrossShadow(current) && depth < 5) {
+      const parent = getParentAcrossShadow(current);
+      const parentTag = parent.tagName + (parent.className ? '.' + parent.className.split(' ')[0] : '');
+
+      const label = parent.querySelector('label');
+      if (label && label.contains(input)) {
+         questionText = label.textContent.trim();
+         matchStrategy = `4a:parent-label-contains[depth=${depth}, parent=${parentTag}]`;
+         break;
+      }
+
+      const labels = parent.querySelectorAll('label');
+
+      for(let i = 0; i < labels.length; i++) {
+          const l = labels[i];
+
+          if(l.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4b:label-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          if(l.nextElementSibling === input) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4c:label-nextSibling[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          // NEW: Check if label's next sibling is a container that contains the input
+          if (l.nextElementSibling && l.nextElementSibling.contains && l.nextElementSibling.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4d:label-nextSibling-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+      }
+      if (questionText) break;
+      current = parent;
+      depth++;
+    }
+  }
+
+  // 5. Fallback to aria-label or placeholder
+  if (!questionText && input.getAttribute('aria-label')) {
+    questionText = input.getAttribute('aria-label').trim();
+    matchStrategy = '5:aria-label';
+  }
+
+  // 5b. Web components often carry the label on the shadow host (e.g. <lightning-input label="...">)
+  if (!questionText) {
+    const host = input.getRootNode().host;
+    const hostLabel = host && (host.getAttribute('label') || host.getAttribute('aria-label'));
+    if (hostLabel && hostLabel.trim()) {
+      questionText = hostLabel.trim();
+      matchStrategy = `5b:shadow-host-label[${host.tagName.toLowerCase()}]`;
+    }
+  }
+
+  if (!questionText && input.getAttribute('placeholder')) {
+    const placeholder = input.getAttribute('placeholder').trim();
+
+    // Special handling for Od/Do (From/To) range fields - look for parent label
+    const rangePatterns = ['od', 'do', 'from', 'to', 'min', 'max', 'minimum', 'maximum'];
+    if (rangePatterns.includes(placeholder.toLowerCase())) {
+      // Look for a parent label that applies to the whole range
+      let current = input;
+      let depth = 0;
+      while (current.parentElement && depth < 6) {
+        const parent = current.parentElement;
+        const label = parent.querySelector('label');
+        if (label && !label.contains(input)) {
+          // Found a label at parent level - combine with placeholder
+          questionText = `${label.textContent.trim()} (${placeholder})`;
+          matchStrategy = `6:placeholder-with-parent-label[depth=${depth}]`;
+          break;
+        }
+        current = parent;
+        depth++;
+      }
+    }
+
+    if (!questionText) {
+      questionText = placeholder;
+      matchStrategy = '6:placeholder';
+    }
+  }
+
+  // 7. Rich-text editors: data-placeholder or the heading above the editor container
+  if (!questionText && isRichTextEditor(input)) {
+    questionText = getRichTextQuestion(input);
+    matchStrategy = '7:rich-text-editor';
+  }
+
+  return questionText;
+}
+
+function fuzzyMatch(answer, options) {
+  if (!answer || !options || options.length === 0) return null;
+
+  // Ensure answer is a string
+  const answerStr = typeof answer === 'string' ? answer : String(answer);
+  const answerLower = answerStr.toLowerCase().trim();
+
+  // 1. Exact match (case insensitive)
+  const exactMatch = options.find(opt => opt.toLowerCase().trim() === answerLower);
+  if (exactMatch) return exactMatch;
+
+  // 2. Substring match (answer contains option or vice versa)
+  // Require minimum 4 characters to avoid false positives with short fragments
+  const substringMatch = options.find(opt => {
+    // Skip non-string options
+    if (typeof opt !== 'string') return false;
+
+    const optLower = opt.toLowerCase().trim();
+    // Only match if substring is at least 4 characters long
+    if (answerLower.length >= 4 && optLower.includes(answerLower)) return true;
+    if (optLower.length >= 4 && answerLower.includes(optLower)) return true;
+    return false;
+  });
+  if (substringMatch) return substringMatch;
+
+  // 3. Word overlap (count matching words)
+  const answerWords = answerLower.split(/\s+/).filter(w => w && w.length > 2);
+  const optionScores = options.map(opt => {
+    // Skip non-string options
+    if (typeof opt !== 'string') {
+      return { option: opt, score: 0 };
+    }
+
+    const optWords = opt.toLowerCase().split(/\s+/).filter(w => w && w.length > 2);
+    const matches = answerWords.filter(aw => optWords.includes(aw));
+    return { option: opt, score: matches.length };
+  });
+
+  const bestMatch = optionScores.reduce((best, curr) =>
+    curr.score > best.score ? curr : best
+  );
+
+  if (bestMatch.score > 0) return bestMatch.option;
+
+  // 4. Semantic matching for common cases
+  const semanticMappings = {
+    'remote': ['zdalnie', 'zdalna', 'remote', 'remotely', 'home office'],
+    'hybrid': ['hybrydowo', 'hybrydowa', 'hybrid', 'częściowo zdalnie'],
+    'office': ['stacjonarnie', 'stacjonarna', 'office', 'on-site', 'biuro'],
+    'full-time': ['pełny etat', 'full time', 'full-time', 'pełen etat'],
+    'part-time': ['część etatu', 'part time', 'part-time', 'niepełny etat'],
+    'b2b': ['b2b', 'kontrakt', 'contract', 'samozatrudnienie'],
+    'uop': ['umowa o pracę', 'uop', 'employment contract'],
+    // Country name translations (Polish ↔ English)
+    // NOTE: Removed 2-letter country codes to avoid false matches (e.g. 'pl' matching 'plurinational')
+    'poland': ['polska', 'poland'],
+    'germany': ['niemcy', 'germany'],
+    'france': ['francja', 'france'],
+    'spain': ['hiszpania', 'spain'],
+    'italy': ['włochy', 'italy'],
+    'united kingdom': ['wielka brytania', 'united kingdom', 'great britain'],
+    'united states': ['stany zjednoczone', 'united states', 'usa', 'america'],
+    'netherlands': ['holandia', 'netherlands'],
+    'belgium': ['belgia', 'belgium'],
+    'switzerland': ['szwajcaria', 'switzerland'],
+    'austria': ['austria', 'austria'],
+    'czech republic': ['czechy', 'czech republic', 'czechia'],
+    'sweden': ['szwecja', 'sweden'],
+    'norway': ['norwegia', 'norway'],
+    'denmark': ['dania', 'denmark'],
+    'finland': ['finlandia', 'finland'],
+    'ireland': ['irlandia', 'ireland'],
+    'portugal': ['portugalia', 'portugal'],
+    'greece': ['grecja', 'greece'],
+    'hungary': ['węgry', 'hungary'],
+    'romania': ['rumunia', 'romania'],
+    'bulgaria': ['bułgaria', 'bulgaria'],
+    'croatia': ['chorwacja', 'croatia'],
+    'slovakia': ['słowacja', 'slovakia'],
+    'lithuania': ['litwa', 'lithuania'],
+    'latvia': ['łotwa', 'latvia'],
+    'estonia': ['estonia', 'estonia'],
+    'ukraine': ['ukraina', 'ukraine'],
+    'russia': ['rosja', 'russia'],
+    'canada': ['kanada', 'canada'],
+    'australia': ['australia', 'australia'],
+    'new zealand': ['nowa zelandia', 'new zealand'],
+    'japan': ['japonia', 'japan'],
+    'china': ['chiny', 'china'],
+    'india': ['indie', 'india'],
+    'brazil': ['brazylia', 'brazil'],
+    'mexico': ['meksyk', 'mexico'],
+    'argentina': ['argentyna', 'argentina']
+  };
+
+  for (const [key, variants] of Object.entries(semanticMappings)) {
+    if (variants.some(v => answerLower.includes(v))) {
+      const match = options.find(opt => variants.some(v => opt.toLowerCase().includes(v)));
+      if (match) return match;
+    }
+  }
+
+  // No match found
+  console.log(`[Fuzzy Match] No match for "${answer}" in options:`, options);
+  return null;
+}
+
+function isPlaceholderAnswer(text) {
+  if (!text) return true;
+  const trimmed = text.trim();
+  // Check for placeholder patterns like "-- Wybierz --", "Select", etc.
+  const placeholderPatterns = /^(--|select|choose|wybierz|seleccione|wählen)/i;
+  if (placeholderPatterns.test(trimmed)) return true;
+  // Check for AI's "I don't know" type responses in parentheses
+  if (trimmed.startsWith('(') && trimmed.endsWith(')')) return true;
+  // Check for AI's "I don't know" type responses
+  const invalidResponsePatterns = /(not available|please provide|information is not|cannot be answered|cannot be determined|brak danych|nie ma informacji|requires.*free-text|provided data)/i;
+  if (invalidResponsePatterns.test(trimmed)) return true;
+  return false;
+}
+
+function setNativeValue(element, value) {
+  const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+    : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : element instanceof HTMLInputElement ? HTMLInputElement.prototype
+        : null;
+  const nativeValueSetter = prototype && Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+  if (nativeValueSetter) {
+    nativeValueSetter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+function dispatchFillEvent(element, event) {
+  event._autofilledByExtension = true;
+  element.dispatchEvent(event);
+}
+
+function valueStuck(element, value) {
+  const normalize = text => String(text ?? '').replace(/[\s\-().]/g, '').toLowerCase();
+  if (element.type === 'number' && value !== '') {
+    return parseFloat(element.value) === parseFloat(value);
+  }
+  return normalize(element.value) === normalize(value);
+}
+
+async function typeFieldValue(element, value) {
+  element.focus();
+  setNativeValue(element, '');
+  dispatchFillEvent(element, new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+
+  let typed = '';
+  for (const char of value) {
+    dispatchFillEvent(element, new KeyboardEvent('keydown', { key: char, bubbles: true, cancelable: true }));
+    dispatchFillEvent(element, new KeyboardEvent('keypress', { key: char, bubbles: true, cancelable: true }));
+    typed += char;
+    setNativeValue(element, typed);
+    dispatchFillEvent(element, new InputEvent('input', { bubbles: true, inputType: 'insertText', data: char }));
+    dispatchFillEvent(element, new KeyboardEvent('keyup', { key: char, bubbles: true }));
+
+    // Let masks and async validators run on long answers
+    if (typed.length % 20 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  dispatchFillEvent(element, new Event('change', { bubbles: true }));
+}
+
+async function writeFieldValue(element, value, { focus = true, blur = true, verify = valueStuck } = {}) {
+  const text = value == null ? '' : String(value);
+
+  if (focus) {
+    element.focus();
+  }
+  dispatchFillEvent(element, new KeyboardEvent('keydown', { key: text.slice(-1) || 'Unidentified', bubbles: true, cancelable: true }));
+  setNativeValue(element, text);
+  dispatchFillEvent(element, element.tagName === 'SELECT'
+    ? new Event('input', { bubbles: true })
+    : new InputEvent('input', { bubbles: true, cancelable: true, inputType: 'insertText', data: text }));
+  dispatchFillEvent(element, new Event('change', { bubbles: true, cancelable: true }));
+  if (blur) {
+    element.blur();
+  }
+
+  // Controlled components re-render on the next tick - only then we know whether the value was accepted
+  await new Promise(resolve => setTimeout(resolve, 50));
+  if (verify(element, text)) {
+    return true;
+  }
+  if (element.tagName === 'SELECT') {
+    return false;
+  }
+
+  console.warn(`[Gemini Filler] Value reverted to "${element.value}", retrying with typing: "${text.substring(0, 30)}"`);
+  await typeFieldValue(element, text);
+  if (blur) {
+    element.blur();
+  }
+  await new Promise(resolve => setTimeout(resolve, 50));
+  if (verify(element, text)) {
+    return true;
+  }
+
+  const reactPropsKey = Object.keys(element).find(key => key.startsWith('__reactProps$') || key.startsWith('__reactEventHandlers$'));
+  if (reactPropsKey && element[reactPropsKey]?.onChange) {
+    try {
+      setNativeValue(element, text);
+      element[reactPropsKey].onChange({ target: element, currentTarget: element, type: 'change' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+    } catch (e) {
+      // Ignore errors from React handler
+    }
+  }
+
+  const stuck = verify(element, text);
+  if (!stuck) {
+    console.warn(`[Gemini Filler] Field did not keep the value "${text.substring(0, 30)}" (now "${element.value}")`);
+  }
+  return stuck;
+}
+
+// Extract profile lookup from ai.js (parseDateFromText from content.js, which wins in the content script scope)
+function parseDateFromText(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const textLower = text.toLowerCase().trim();
+
+  // Try to parse as ISO date first
+  const isoMatch = textLower.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return new Date(isoMatch[0]);
+  }
+
+  // Try to parse DD/MM/YYYY or MM/DD/YYYY
+  const dateMatch = textLower.match(/(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})/);
+  if (dateMatch) {
+    // Assume DD/MM/YYYY for European formats
+    return new Date(dateMatch[3], dateMatch[2] - 1, dateMatch[1]);
+  }
+
+  const now = new Date();
+
+  // Word to number mapping (Polish and English)
+  const wordToNumber = {
+    'jeden': 1, 'jedna': 1, 'jedno': 1, 'one': 1,
+    'dwa': 2, 'dwie': 2, 'two': 2,
+    'trzy': 3, 'three': 3,
+    'cztery': 4, 'four': 4,
+    'pięć': 5, 'five': 5,
+    'sześć': 6, 'six': 6,
+    'siedem': 7, 'seven': 7,
+    'osiem': 8, 'eight': 8,
+    'dziewięć': 9, 'nine': 9,
+    'dziesięć': 10, 'ten': 10,
+    'jedenaście': 11, 'eleven': 11,
+    'dwanaście': 12, 'twelve': 12
+  };
+
+  // Parse "X days/weeks/months/years from now" (numeric)
+  const futurePatterns = [
+    { pattern: /(\d+)\s*(dni|day|days|dzień|dzieni)/i, unit: 'days' },
+    { pattern: /(\d+)\s*(tydzień|tygodni|tygodnie|week|weeks)/i, unit: 'weeks' },
+    { pattern: /(\d+)\s*(miesiąc|miesiące|miesięcy|month|months)/i, unit: 'months' },
+    { pattern: /(\d+)\s*(rok|lata|lat|year|years)/i, unit: 'years' }
+  ];
+
+  for (const { pattern, unit } of futurePatterns) {
+    const match = textLower.match(pattern);
+    if (match) {
+      const amount = parseInt(match[1]);
+      const result = new Date(now);
+
+      switch (unit) {
+        case 'days':
+          result.setDate(result.getDate() + amount);
+          break;
+        case 'weeks':
+          result.setDate(result.getDate() + (amount * 7));
+          break;
+        case 'months':
+          result.setMonth(result.getMonth() + amount);
+          break;
+        case 'years':
+          result.setFullYear(result.getFullYear() + amount);
+          break;
+      }
+
+      return result;
+    }
+  }
+
+  // Parse word-based numbers (e.g., "trzy miesiące od teraz")
+  const wordPattern = /(jeden|jedna|jedno|dwa|dwie|trzy|cztery|pięć|sześć|siedem|osiem|dziewięć|dziesięć|jedenaście|dwanaście|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s*(dni|dzień|day|days|tydzień|tygodni|tygodnie|week|weeks|miesiąc|miesiące|miesięcy|month|months|rok|lata|lat|year|years)/i;
+  const wordMatch = textLower.match(wordPattern);
+
+  if (wordMatch) {
+    const word = wordMatch[1].toLowerCase();
+    const amount = wordToNumber[word] || 1;
+    const unitText = wordMatch[2].toLowerCase();
+
+    let unit;
+    if (/dni|dzień|day|days/i.test(unitText)) unit = 'days';
+    else if (/tydzień|tygodni|tygodnie|week|weeks/i.test(unitText)) unit = 'weeks';
+    else if (/miesiąc|miesiące|miesięcy|month|months/i.test(unitText)) unit = 'months';
+    else if (/rok|lata|lat|year|years/i.test(unitText)) unit = 'years';
+
+    if (unit) {
+      const result = new Date(now);
+      switch (unit) {
+        case 'days':
+          result.setDate(result.getDate() + amount);
+          break;
+        case 'weeks':
+          result.setDate(result.getDate() + (amount * 7));
+          break;
+        case 'months':
+          result.setMonth(result.getMonth() + amount);
+          break;
+        case 'years':
+          result.setFullYear(result.getFullYear() + amount);
+          break;
+      }
+      console.log(`[Date Parser] Parsed "${text}" as ${amount} ${unit} from now = ${result.toISOString().split('T')[0]}`);
+      return result;
+    }
+  }
+
+  // Special cases
+  if (/natychmiast|immediately|asap|now/i.test(textLower)) {
+    return now;
+  }
+
+  if (/jutro|tomorrow/i.test(textLower)) {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return tomorrow;
+  }
+
+  console.log(`[Date Parser] Could not parse date from: "${text}"`);
+  return null;
+}
+
+function getMockAIResponse(question, userData, options) {
+  if (!userData || Object.keys(userData).length === 0) {
+    return '';
+  }
+
+  // Validate question is a string
+  if (typeof question !== 'string') {
+    console.warn('[Mock AI] Question is not a string:', question);
+    return '';
+  }
+
+  const lowerQuestion = question.toLowerCase();
+
+  // Helper function to find best match in options
+  // Uses same logic as findBestMatch in content.js
+  function findInOptions(value, options) {
+    if (!options || !value) return value;
+
+    // Validate inputs are proper types
+    if (!Array.isArray(options) || typeof value !== 'string') {
+      console.warn('[Mock AI] Invalid types for findInOptions:', { value, options });
+      return value;
+    }
+
+    // Polish to English country name mapping
+    const countryTranslations = {
+      'polska': 'poland',
+      'niemcy': 'germany',
+      'francja': 'france',
+      'wielka brytania': 'united kingdom',
+      'uk': 'united kingdom',
+      'usa': 'united states',
+      'stany zjednoczone': 'united states',
+      'hiszpania': 'spain',
+      'włochy': 'italy',
+      'holandia': 'netherlands',
+      'belgia': 'belgium',
+      'szwecja': 'sweden',
+      'norwegia': 'norway',
+      'dania': 'denmark',
+      'czechy': 'czech republic',
+      'słowacja': 'slovakia',
+      'austria': 'austria',
+      'szwajcaria': 'switzerland'
+    };
+
+    const answer = value.toString();
+    const lowerAnswer = answer.toLowerCase().trim();
+    const translatedAnswer = countryTranslations[lowerAnswer] || answer;
+
+    const normalizedAnswer = translatedAnswer.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
+    const answerWords = normalizedAnswer.split(/\s+/).filter(w => w && w.length > 0);
+
+    // PASS 1: Try exact match first
+    for (const option of options) {
+      // Skip non-string options
+      if (typeof option !== 'string') continue;
+
+      if (option.toLowerCase() === translatedAnswer.toLowerCase()) {
+        return option;
+      }
+    }
+
+    // PASS 2: Try substring match (prefer shorter/more specific)
+    // Require minimum 4 characters to avoid false positives with short fragments
+    let substringMatch = null;
+    for (const option of options) {
+      // Skip non-string options
+      if (typeof option !== 'string') continue;
+
+      const lowerOption = option.toLowerCase();
+      const lowerTranslatedAnswer = translatedAnswer.toLowerCase();
+
+      // Only match if substring is at least 4 characters long
+      const matches = (lowerTranslatedAnswer.length >= 4 && lowerOption.includes(lowerTranslatedAnswer)) ||
+                     (lowerOption.length >= 4 && lowerTranslatedAnswer.includes(lowerOption));
+
+      if (matches) {
+        if (!substringMatch || option.length < substringMatch.length) {
+          substringMatch = option;
+        }
+      }
+    }
+
+    if (substringMatch) {
+      return substringMatch;
+    }
+
+    // PASS 3: Word-based scoring
+    let bestMatch = null;
+    let maxScore = 0;
+
+    for (const option of options) {
+      // Skip non-string options
+      if (typeof option !== 'string') continue;
+
+      const normalizedOption = option.toLowerCase().replace(/[^\w\s]/g, ' ').trim();
+      const optionWords = normalizedOption.split(/\s+/).filter(w => w && w.length > 0);
+
+      const score = answerWords.filter(word => optionWords.includes(word)).length;
+
+      if (score > maxScore) {
+        maxScore = score;
+        bestMatch = option;
+      }
+    }
+
+    return bestMatch || value; // Return best match or original if no match
+  }
+
+  // NEW: Intelligent fuzzy matching in userData keys
+  // Instead of hardcoded fields, search for matching keys
+  function findUserDataValue(keywords) {
+    if (!Array.isArray(keywords)) keywords = [keywords];
+
+    for (const keyword of keywords) {
+      const lowerKeyword = keyword.toLowerCase();
+
+      // Try exact match first
+      for (const [key, value] of Object.entries(userData)) {
+        if (key.toLowerCase() === lowerKeyword && value) {
+          return value;
+        }
+      }
+
+      // Try partial match
+      for (const [key, value] of Object.entries(userData)) {
+        const lowerKey = key.toLowerCase();
+        if ((lowerKey.includes(lowerKeyword) || lowerKeyword.includes(lowerKey)) && value) {
+          return value;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  let answer = '';
+
+  // Try to match question to userData using intelligent keyword matching
+  if (lowerQuestion.includes('first name') || lowerQuestion.includes('imię') || lowerQuestion.includes('imie')) {
+    answer = findUserDataValue(['imię', 'imie', 'firstName', 'first name', 'name', 'first']) || '';
+  } else if (lowerQuestion.includes('last name') || lowerQuestion.includes('nazwisko')) {
+    answer = findUserDataValue(['nazwisko', 'lastName', 'last name', 'surname', 'last']) || '';
+  } else if (lowerQuestion.includes('full name') || lowerQuestion.includes('pełne imię') ||
+             lowerQuestion.includes('your name') || lowerQuestion.includes('twoje imię') ||
+             (lowerQuestion.includes('name') && !lowerQuestion.includes('first') && !lowerQuestion.includes('last') && !lowerQuestion.includes('company') && !lowerQuestion.includes('user'))) {
+    // "name" alone (without first/last) is typically full name
+    const firstName = findUserDataValue(['imię', 'firstName', 'first name']);
+    const lastName = findUserDataValue(['nazwisko', 'lastName', 'last name']);
+    answer = [firstName, lastName].filter(Boolean).join(' ');
+  } else if (lowerQuestion.includes('email') || lowerQuestion.includes('e-mail') || lowerQuestion.includes('mail')) {
+    answer = findUserDataValue(['email', 'e-mail', 'mail', 'e mail']) || '';
+  } else if (lowerQuestion.includes('phone') || lowerQuestion.includes('telefon') || lowerQuestion.includes('tel.') || lowerQuestion.includes('numer')) {
+    answer = findUserDataValue(['telefon', 'phone', 'tel', 'numer telefonu', 'phone number', 'mobile', 'tel.']) || '';
+  } else if (lowerQuestion.includes('linkedin')) {
+    answer = findUserDataValue(['linkedin', 'linked in']) || '';
+  } else if (lowerQuestion.includes('github')) {
+    answer = findUserDataValue(['github', 'git hub']) || '';
+  } else if (lowerQuestion.includes('portfolio') || lowerQuestion.includes('website') || lowerQuestion.includes('strona')) {
+    answer = findUserDataValue(['website', 'portfolio', 'strona', 'www', 'web']) || '';
+  } else if (lowerQuestion.includes('experience') || lowerQuestion.includes('doświadczenie') || lowerQuestion.includes('lata')) {
+    answer = findUserDataValue(['experience', 'doświadczenie', 'yearsOfExperience', 'years', 'lata', 'lata doświadczenia']) || '';
+  } else if (lowerQuestion.includes('education') || lowerQuestion.includes('wykształcenie')) {
+    answer = findUserDataValue(['education', 'wykształcenie', 'edukacja', 'szkoła']) || '';
+  } else if (lowerQuestion.includes('start') || lowerQuestion.includes('rozpocząć') || lowerQuestion.includes('availability') || lowerQuestion.includes('dostępność') || lowerQuestion.includes('kiedy')) {
+    answer = findUserDataValue(['startDate', 'availability', 'start', 'kiedy', 'od kiedy', 'rozpoczęcie', 'dostępność']) || '';
+  } else if (lowerQuestion.includes('salary') || lowerQuestion.includes('wynagrodzenie') || lowerQuestion.includes('pensja') || lowerQuestion.includes('financial') || lowerQuestion.includes('oczekiwania finansowe') || lowerQuestion.includes('oczekiwania')) {
+    // Helper to convert salary string to number
+    const parseToNumber = (salaryStr) => {
+      if (!salaryStr) return null;
+      let numMatch = salaryStr.match(/[\d\s,.]+/);
+      if (!numMatch) return null;
+      let numStr = numMatch[0].replace(/\s/g, '').replace(',', '.');
+      let num = parseFloat(numStr);
+      // Handle "tysięcy/tysiące/k" multiplier
+      if (/tysi|tys|k\b/i.test(salaryStr) && num < 1000) {
+        num = num * 1000;
+      }
+      return num;
+    };
+
+    // Check if this is a range field (Od/Do, From/To, Min/Max)
+    const isMinField = /\(od\)|\(from\)|\(min\)/i.test(lowerQuestion);
+    const isMaxField = /\(do\)|\(to\)|\(max\)/i.test(lowerQuestion);
+
+    // Hourly only when the unit says so - B2B fields are often monthly ("B2B, netto / mies.")
+    const isHourlyRate = /pln\/h|\/h\)|\/h\s|\/h$|per hour|za godzinę|godzinow|hourly|stawka godzinowa/i.test(lowerQuestion);
+
+    console.log(`[Mock AI] Salary field analysis: isHourly=${isHourlyRate}, isMin=${isMinField}, isMax=${isMaxField}, question="${question.substring(0, 50)}..."`);
+
+    if (isMinField) {
+      const rawAnswer = findUserDataValue(['salaryMin', 'salaryFrom', 'minSalary', 'wynagrodzenie od', 'salary']) || '';
+      const num = parseToNumber(rawAnswer);
+      answer = num ? num.toString() : rawAnswer;
+    } else if (isMaxField) {
+      let rawAnswer = findUserDataValue(['salaryMax', 'salaryTo', 'maxSalary', 'wynagrodzenie do']) || '';
+      // If no max defined, try to derive from base salary (assume +20%)
+      if (!rawAnswer) {
+        const baseSalary = findUserDataValue(['salary', 'wynagrodzenie', 'expectedSalary']) || '';
+        const baseNum = parseToNumber(baseSalary);
+        if (baseNum) {
+          answer = Math.round(baseNum * 1.2).toString();
+        }
+      } else {
+        const num = parseToNumber(rawAnswer);
+        answer = num ? num.toString() : rawAnswer;
+      }
+    } else {
+      const rawAnswer = findUserDataValue(['salary', 'wynagrodzenie', 'expectedSalary', 'pensja', 'oczekiwane wynagrodzenie']) || '';
+      const num = parseToNumber(rawAnswer);
+      answer = num ? num.toString() : rawAnswer;
+    }
+
+    if (isHourlyRate) {
+      // A stored hourly rate wins - the upper end of a range gets the same +20% as monthly ranges
+      const hourlyRate = parseToNumber(findUserDataValue(['hourlyRate', 'salaryHourly', 'stawka godzinowa', 'pln/h']) || '');
+      if (hourlyRate) {
+        answer = (isMaxField ? Math.round(hourlyRate * 1.2) : hourlyRate).toString();
+      } else {
+        // Convert the monthly amount of this bound to hourly (168 hours = average work month)
+        const monthlyNum = parseToNumber(answer);
+        answer = monthlyNum ? Math.round(monthlyNum / 168).toString() : '';
+        console.log(`[Mock AI] Converted monthly ${monthlyNum} to hourly rate: ${answer} PLN/h`);
+      }
+    }
+  } else if (lowerQuestion.includes('work permit') || lowerQuestion.includes('work authorization') ||
+             lowerQuestion.includes('right to work') || lowerQuestion.includes('work visa') ||
+             lowerQuestion.includes('prawo do pracy') || lowerQuestion.includes('zezwolenie na pracę') ||
+             lowerQuestion.includes('autoryzacja pracy')) {
+    // MOVED UP: More specific than 'country' - must come first!
+    // For work permit questions - check if we have specific data, otherwise default to No
+    answer = findUserDataValue(['work permit', 'prawo do pracy', 'zezwolenie', 'work authorization']) || '';
+    if (!answer) {
+      // If no specific work permit data, default to No (conservative approach)
+      return findInOptions('No', options) || 'No';
+    }
+  } else if (lowerQuestion.includes('work mode') || lowerQuestion.includes('tryb pracy') || lowerQuestion.includes('remote')) {
+    answer = findUserDataValue(['workMode', 'tryb pracy', 'work mode', 'remote', 'hybrid']) || '';
+  } else if (lowerQuestion.includes('location') || lowerQuestion.includes('miasto') || lowerQuestion.includes('lokalizacja') || lowerQuestion.includes('city')) {
+    answer = findUserDataValue(['location', 'city', 'miasto', 'lokalizacja']) || '';
+  } else if (lowerQuestion.includes('address') || lowerQuestion.includes('adres')) {
+    answer = findUserDataValue(['address', 'adres']) || '';
+  } else if (lowerQuestion.includes('country') || lowerQuestion.includes('kraj')) {
+    answer = findUserDataValue(['country', 'kraj', 'państwo']) || '';
+  } else if ((lowerQuestion.includes('język') || lowerQuestion.includes('language')) &&
+             (lowerQuestion.includes('polski') || lowerQuestion.includes('polskiego') || lowerQuestion.includes('polish'))) {
+    // Specific: Polish language proficiency
+    answer = findUserDataValue(['język polski', 'polish', 'polski']) || 'C2'; // Default to native/C2
+  } else if ((lowerQuestion.includes('język') || lowerQuestion.includes('language')) &&
+             (lowerQuestion.includes('angielski') || lowerQuestion.includes('angielskiego') || lowerQuestion.includes('english'))) {
+    // Specific: English language proficiency
+    // Try to extract just English level from languages list
+    const allLanguages = findUserDataValue(['languages', 'language', 'języki', 'język', 'języki obce']) || '';
+    const englishMatch = allLanguages.match(/angielski\s*\(([^)]+)\)/i) || allLanguages.match(/english\s*\(([^)]+)\)/i);
+    answer = englishMatch ? englishMatch[1] : findUserDataValue(['angielski', 'english']) || '';
+  } else if (lowerQuestion.includes('language') || lowerQuestion.includes('język')) {
+    // General: all languages
+    answer = findUserDataValue(['languages', 'language', 'języki', 'język', 'języki obce']) || '';
+  } else if (lowerQuestion.includes('skill') || lowerQuestion.includes('umiejętnoś')) {
+    answer = findUserDataValue(['skills', 'skill', 'umiejętności', 'technologie']) || '';
+  } else if (lowerQuestion.includes('contract') || lowerQuestion.includes('umowa')) {
+    answer = findUserDataValue(['contract', 'umowa', 'typ umowy']) || '';
+  } else if (lowerQuestion.includes('notification') || lowerQuestion.includes('powiadomienia')) {
+    // For notifications - default to Yes
+    return findInOptions('Yes', options) || 'Yes';
+  } else if (lowerQuestion.includes('consent') || lowerQuestion.includes('zgoda') || lowerQuestion.includes('cookies')) {
+    // For consent - default to Yes
+    return findInOptions('Yes', options) || 'Yes';
+  } else if (lowerQuestion.includes('gender') || lowerQuestion.includes('płeć')) {
+    // For gender questions
+    answer = findUserDataValue(['gender', 'płeć']) || '';
+  }
+
+  // SPECIAL CASE: If answer looks like a relative date (e.g., "trzy miesiące od teraz")
+  // and the question is about dates/availability
+  if (answer && typeof answer === 'string') {
+    const relativeDatePattern = /(od\s+)?teraz|natychmiast|immediately|miesiąc|miesięcy|miesiące|tydzień|tygodni|tygodnie|dzień|dni|rok|lata|lat|week|month|day|year/i;
+    const isDateQuestion = lowerQuestion.includes('dostępność') || lowerQuestion.includes('availability') ||
+                          lowerQuestion.includes('kiedy') || lowerQuestion.includes('start') ||
+                          lowerQuestion.includes('rozpocz') || lowerQuestion.includes('data');
+
+    // Validate options is an array before checking its contents
+    const hasOptions = Array.isArray(options) && options.length > 0;
+
+    if (isDateQuestion && relativeDatePattern.test(answer)) {
+      // Check if options are provided and if they look like time periods (not dates)
+      const hasTimePeriodOptions = hasOptions &&
+        options.some(opt => typeof opt === 'string' && /(natychmiast|immediately|tydzień|tygodni|week|weeks|miesiąc|miesiące|month|months|więcej|more)/i.test(opt));
+
+      if (hasTimePeriodOptions) {
+        // Options are time periods like "Natychmiast", "2 tygodnie", "3 miesiące"
+        // Don't convert to date - instead match the time period directly
+        console.log(`[Mock AI] Options are time periods, matching "${answer}" against options:`, options);
+
+        // Try to match the original answer against options
+        const directMatch = findInOptions(answer, options);
+        if (directMatch) {
+          console.log(`[Mock AI] Direct match found: "${directMatch}"`);
+          return directMatch;
+        }
+
+        // If no direct match, try to calculate how many months and match against options
+        const parsedDate = parseDateFromText(answer);
+        if (parsedDate) {
+          const now = new Date();
+          const monthsDiff = (parsedDate.getFullYear() - now.getFullYear()) * 12 +
+                            (parsedDate.getMonth() - now.getMonth());
+
+          console.log(`[Mock AI] Parsed "${answer}" as ${monthsDiff} months from now`);
+
+          // Try to match against option patterns with validation
+          let bestMatch = null;
+          if (monthsDiff <= 0) {
+            bestMatch = options.find(opt => typeof opt === 'string' && /natychmiast|immediately/i.test(opt));
+          } else if (monthsDiff <= 0.5) {
+            bestMatch = options.find(opt => typeof opt === 'string' && /2\s*tyg|2\s*week/i.test(opt));
+          } else if (monthsDiff <= 1) {
+            bestMatch = options.find(opt => typeof opt === 'string' && /1\s*miesiąc|1\s*month/i.test(opt));
+          } else if (monthsDiff <= 3) {
+            bestMatch = options.find(opt => typeof opt === 'string' && /3\s*miesiąc|3\s*month/i.test(opt));
+          } else {
+            bestMatch = options.find(opt => typeof opt === 'string' && /(więcej|more|powyżej|above).*3|3.*więcej/i.test(opt));
+          }
+
+          if (bestMatch) {
+            console.log(`[Mock AI] Matched ${monthsDiff} months to option: "${bestMatch}"`);
+            return bestMatch;
+          }
+        }
+      } else {
+        // Options are dates (YYYY-MM-DD) or no options - convert to date format
+        const parsedDate = parseDateFromText(answer);
+        if (parsedDate) {
+          const year = parsedDate.getFullYear();
+          const month = String(parsedDate.getMonth() + 1).padStart(2, '0');
+          const day = String(parsedDate.getDate()).padStart(2, '0');
+          const formattedDate = `${year}-${month}-${day}`;
+          console.log(`[Mock AI] Converted relative date "${answer}" → "${formattedDate}"`);
+          return formattedDate;
+        }
+      }
+    }
+  }
+
+  // If we have an answer and options, try to match it to available options
+  if (answer && Array.isArray(options) && options.length > 0) {
+    const matched = findInOptions(answer, options);
+
+    // If we couldn't find a match, return empty string so AI can handle translation
+    if (matched === answer) {
+      // Check if the answer actually exists in options (exact or fuzzy match)
+      const answerLower = answer.toLowerCase().trim();
+      const hasMatch = options.some(opt => {
+        if (typeof opt !== 'string') return false;
+        const optLower = opt.toLowerCase().trim();
+        return optLower === answerLower ||
+               optLower.includes(answerLower) ||
+               answerLower.includes(optLower);
+      });
+
+      if (!hasMatch) {
+        // No match found - let AI handle translation
+        console.log(`[Mock AI] Value "${answer}" doesn't match any option, deferring to AI for translation`);
+        return '';
+      }
+    }
+
+    return matched;
+  }
+
+  return answer || '';
+}
+
+module.exports = {
+  installExtensionMocks,
+  getMockAIResponse,
+  getQuestionForInput,
+  fuzzyMatch,
+  isPlaceholderAnswer,
+  writeFieldValue
+};
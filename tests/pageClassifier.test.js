@@ -0,0 +1,111 @@
+/**
+ * Tests for page classification
+ * Decides whether the popup offers filling: application form, job posting, login wall or other
+ */
+
+// Extract helpers from content.js
+function findJsonLdJobPosting(doc = document) {
+  const isJobPosting = (node) => {
+    const type = node && node['@type'];
+    return Array.isArray(type) ? type.includes('JobPosting') : type === 'JobPosting';
+  };
+  const search = (node) => {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        const found = search(item);
+        if (found) return found;
+      }
+      return null;
+    }
+    if (isJobPosting(node)) return node;
+    return node['@graph'] ? search(node['@graph']) : null;
+  };
+
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const found = search(JSON.parse(script.textContent));
+      if (found) return found;
+    } catch (e) {
+      // Broken JSON-LD is common - ignore it
+    }
+  }
+  return null;
+}
+
+function scorePageSignals(signals) {
+  // Login wall: password field and hardly anything else
+  if (signals.hasPassword && signals.fieldCount <= 3 && !signals.hasCvUpload) {
+    return { type: 'login', confidence: signals.loginSubmit ? 0.9 : 0.7 };
+  }
+
+  const formScore =
+    Math.min(signals.fieldCount, 6) / 6 * 0.45 +
+    (signals.hasCvUpload ? 0.25 : 0) +
+    (signals.applySubmit ? 0.2 : 0) +
+    (signals.ats ? 0.1 : 0);
+  if (formScore >= 0.45 || (signals.hasCvUpload && signals.fieldCount >= 2)) {
+    return { type: 'application_form', confidence: Math.min(1, Math.round(formScore * 100) / 100) };
+  }
+
+  if (signals.jobPosting || (signals.applyLink && signals.ats)) {
+    return { type: 'job_posting', confidence: signals.jobPosting ? 0.9 : 0.6 };
+  }
+
+  return { type: 'other', confidence: Math.round((1 - formScore) * 100) / 100 };
+}
+
+const noSignals = {
+  fieldCount: 0,
+  hasCvUpload: false,
+  hasPassword: false,
+  applySubmit: false,
+  loginSubmit: false,
+  applyLink: false,
+  jobPosting: false,
+  ats: null
+};
+
+describe('findJsonLdJobPosting', () => {
+  test('finds JobPosting at the top level and inside @graph', () => {
+    document.head.innerHTML = `
+      <script type="application/ld+json">{"@type": "Organization", "name": "Acme"}</script>
+      <script type="application/ld+json">{"@graph": [{"@type": "WebPage"}, {"@type": "JobPosting", "title": "Frontend Developer"}]}</script>`;
+    expect(findJsonLdJobPosting(document).title).toBe('Frontend Developer');
+  });
+
+  test('ignores broken JSON-LD and pages without postings', () => {
+    document.head.innerHTML = `
+      <script type="application/ld+json">{broken</script>
+      <script type="application/ld+json">[{"@type": ["Thing", "JobPosting"], "title": "QA"}]</script>`;
+    expect(findJsonLdJobPosting(document).title).toBe('QA');
+
+    document.head.innerHTML = '<script type="application/ld+json">{"@type": "Article"}</script>';
+    expect(findJsonLdJobPosting(document)).toBeNull();
+  });
+});
+
+describe('scorePageSignals', () => {
+  test('dense form with CV upload and apply button is an application form', () => {
+    const result = scorePageSignals({ ...noSignals, fieldCount: 8, hasCvUpload: true, applySubmit: true, ats: 'Greenhouse' });
+    expect(result.type).toBe('application_form');
+    expect(result.confidence).toBe(1);
+  });
+
+  test('CV upload with a couple of fields is enough', () => {
+    expect(scorePageSignals({ ...noSignals, fieldCount: 2, hasCvUpload: true }).type).toBe('application_form');
+  });
+
+  test('password field with few other inputs is a login wall', () => {
+    expect(scorePageSignals({ ...noSignals, fieldCount: 1, hasPassword: true, loginSubmit: true })).toEqual({ type: 'login', confidence: 0.9 });
+  });
+
+  test('JSON-LD posting or ATS page with an apply link is a job posting', () => {
+    expect(scorePageSignals({ ...noSignals, jobPosting: true, fieldCount: 1 }).type).toBe('job_posting');
+    expect(scorePageSignals({ ...noSignals, applyLink: true, ats: 'Lever' }).type).toBe('job_posting');
+  });
+
+  test('newsletter box on an unrelated page is other', () => {
+    expect(scorePageSignals({ ...noSignals, fieldCount: 1 }).type).toBe('other');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for phone number parsing
+ * Profile phones in any notation are normalised to E.164 and split into dial code + national number
+ */
+
+// Extract helpers from content.js
+const PHONE_COUNTRIES = [
+  { dialCode: '48', iso: 'PL', names: ['polska', 'poland'] },
+  { dialCode: '49', iso: 'DE', names: ['niemcy', 'germany', 'deutschland'] },
+  { dialCode: '44', iso: 'GB', names: ['wielka brytania', 'united kingdom', 'uk'] },
+  { dialCode: '1', iso: 'US', names: ['usa', 'stany zjednoczone', 'united states'] },
+  { dialCode: '353', iso: 'IE', names: ['irlandia', 'ireland'] },
+  { dialCode: '31', iso: 'NL', names: ['holandia', 'netherlands'] },
+  { dialCode: '32', iso: 'BE', names: ['belgia', 'belgium'] },
+  { dialCode: '33', iso: 'FR', names: ['francja', 'france'] },
+  { dialCode: '34', iso: 'ES', names: ['hiszpania', 'spain'] },
+  { dialCode: '39', iso: 'IT', names: ['włochy', 'italy'] },
+  { dialCode: '351', iso: 'PT', names: ['portugalia', 'portugal'] },
+  { dialCode: '41', iso: 'CH', names: ['szwajcaria', 'switzerland'] },
+  { dialCode: '43', iso: 'AT', names: ['austria'] },
+  { dialCode: '420', iso: 'CZ', names: ['czechy', 'czech republic'] },
+  { dialCode: '421', iso: 'SK', names: ['słowacja', 'slovakia'] },
+  { dialCode: '36', iso: 'HU', names: ['węgry', 'hungary'] },
+  { dialCode: '40', iso: 'RO', names: ['rumunia', 'romania'] },
+  { dialCode: '45', iso: 'DK', names: ['dania', 'denmark'] },
+  { dialCode: '46', iso: 'SE', names: ['szwecja', 'sweden'] },
+  { dialCode: '47', iso: 'NO', names: ['norwegia', 'norway'] },
+  { dialCode: '358', iso: 'FI', names: ['finlandia', 'finland'] },
+  { dialCode: '370', iso: 'LT', names: ['litwa', 'lithuania'] },
+  { dialCode: '371', iso: 'LV', names: ['łotwa', 'latvia'] },
+  { dialCode: '372', iso: 'EE', names: ['estonia'] },
+  { dialCode: '380', iso: 'UA', names: ['ukraina', 'ukraine'] }
+];
+
+function parsePhoneNumber(raw, defaultDialCode = '48') {
+  if (!raw) return null;
+
+  let text = String(raw).trim().replace(/^00/, '+');
+  const hasPlus = text.startsWith('+');
+  let digits = text.replace(/\D/g, '');
+  if (digits.length < 6) return null;
+
+  let dialCode = null;
+  if (hasPlus) {
+    // Longest matching dial code wins (+420 before +42x, +1 only when nothing longer fits)
+    dialCode = [3, 2, 1]
+      .map(length => digits.slice(0, length))
+      .find(prefix => PHONE_COUNTRIES.some(entry => entry.dialCode === prefix)) || null;
+    if (!dialCode) {
+      // Unknown country - assume a 9-digit national number
+      dialCode = digits.slice(0, Math.min(3, Math.max(1, digits.length - 9)));
+    }
+    digits = digits.slice(dialCode.length);
+  } else if (digits.startsWith(defaultDialCode) && digits.length === defaultDialCode.length + 9) {
+    // Country code typed without "+" ("48123456789")
+    dialCode = defaultDialCode;
+    digits = digits.slice(dialCode.length);
+  } else {
+    dialCode = defaultDialCode;
+    // National trunk prefix ("0 30 1234567" in Germany)
+    digits = digits.replace(/^0+/, '');
+  }
+
+  const country = PHONE_COUNTRIES.find(entry => entry.dialCode === dialCode);
+  return {
+    e164: `+${dialCode}${digits}`,
+    dialCode,
+    national: digits,
+    iso: country ? country.iso : null
+  };
+}
+
+describe('parsePhoneNumber', () => {
+  test('international notations', () => {
+    const expected = { e164: '+48123456789', dialCode: '48', national: '123456789', iso: 'PL' };
+    expect(parsePhoneNumber('+48 123 456 789')).toEqual(expected);
+    expect(parsePhoneNumber('0048 123-456-789')).toEqual(expected);
+    expect(parsePhoneNumber('(+48) 123456789')).toEqual(expected);
+  });
+
+  test('national numbers get the default dial code', () => {
+    expect(parsePhoneNumber('123-456-789').e164).toBe('+48123456789');
+    expect(parsePhoneNumber('030 1234567', '49')).toEqual({ e164: '+49301234567', dialCode: '49', national: '301234567', iso: 'DE' });
+  });
+
+  test('country code typed without plus is not duplicated', () => {
+    expect(parsePhoneNumber('48123456789').e164).toBe('+48123456789');
+  });
+
+  test('longest dial code wins', () => {
+    expect(parsePhoneNumber('+420 601 234 567').dialCode).toBe('420');
+    expect(parsePhoneNumber('+1 555 123 4567')).toEqual({ e164: '+15551234567', dialCode: '1', national: '5551234567', iso: 'US' });
+  });
+
+  test('too short or empty input gives null', () => {
+    expect(parsePhoneNumber('')).toBeNull();
+    expect(parsePhoneNumber('12-34')).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for Polish portal adapter helpers
+ * Contract type choices (UoP / B2B / zlecenie) are matched against the profile's "Umowa" preference
+ * Salary fields: monthly vs hourly wording and from/to ranges
+ */
+
+const { getMockAIResponse } = require('./helpers/adapterFixtures');
+
+// Extract helpers from adapters.js
+const SALARY_FIELD_PATTERN = /wynagrodzeni|oczekiwania finansowe|pensj|stawk|salary|\brate\b/i;
+const SALARY_HOURLY_PATTERN = /godzin|\/h\b|per hour|hourly/i;
+
+const CONTRACT_TYPE_PATTERNS = {
+  uop: /umow\w* o prac|\buop\b|employment contract|permanent/i,
+  b2b: /\bb2b\b|kontrakt|działalnoś|self.?employ/i,
+  zlecenie: /zleceni|mandate contract/i,
+  dzielo: /o dzieło|specific.?task/i
+};
+
+function classifyContractOption(text) {
+  const match = Object.entries(CONTRACT_TYPE_PATTERNS).find(([, pattern]) => pattern.test(text || ''));
+  return match ? match[0] : null;
+}
+
+function getPreferredContractTypes(userData) {
+  const text = getMockAIResponse('Preferowana umowa', userData, null) || '';
+  return Object.entries(CONTRACT_TYPE_PATTERNS)
+    .map(([type, pattern]) => ({ type, index: text.search(pattern) }))
+    .filter(entry => entry.index >= 0)
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.type);
+}
+
+describe('classifyContractOption', () => {
+  test('recognises portal option labels', () => {
+    expect(classifyContractOption('Umowa o pracę')).toBe('uop');
+    expect(classifyContractOption('UoP')).toBe('uop');
+    expect(classifyContractOption('Kontrakt B2B')).toBe('b2b');
+    expect(classifyContractOption('Umowa zlecenie')).toBe('zlecenie');
+    expect(classifyContractOption('Umowa o dzieło')).toBe('dzielo');
+  });
+
+  test('unrelated labels are ignored', () => {
+    expect(classifyContractOption('Praca zdalna')).toBeNull();
+    expect(classifyContractOption('')).toBeNull();
+  });
+});
+
+describe('getPreferredContractTypes', () => {
+  const profile = (contract) => ({ 'Imię': 'Jan', 'Email': 'jan@example.com', 'Umowa': contract });
+
+  test('keeps the order from the profile', () => {
+    expect(getPreferredContractTypes(profile('Umowa o pracę albo B2B'))).toEqual(['uop', 'b2b']);
+    expect(getPreferredContractTypes(profile('B2B, ewentualnie UoP'))).toEqual(['b2b', 'uop']);
+  });
+
+  test('reads English and "typ umowy" keys', () => {
+    expect(getPreferredContractTypes({ 'Contract': 'B2B or mandate contract' })).toEqual(['b2b', 'zlecenie']);
+    expect(getPreferredContractTypes({ 'Typ umowy': 'Umowa zlecenie' })).toEqual(['zlecenie']);
+  });
+
+  test('no preference gives no types', () => {
+    expect(getPreferredContractTypes(profile(''))).toEqual([]);
+    expect(getPreferredContractTypes({ 'Imię': 'Jan' })).toEqual([]);
+    expect(getPreferredContractTypes({})).toEqual([]);
+  });
+});
+
+describe('salary fields', () => {
+  test('"rate" is matched as a word only', () => {
+    expect(SALARY_FIELD_PATTERN.test('Hourly rate')).toBe(true);
+    expect(SALARY_FIELD_PATTERN.test('Stawka B2B')).toBe(true);
+    expect(SALARY_FIELD_PATTERN.test('Corporate email')).toBe(false);
+    expect(SALARY_FIELD_PATTERN.test('Separate address')).toBe(false);
+  });
+
+  test('B2B alone does not make a field hourly', () => {
+    expect(SALARY_HOURLY_PATTERN.test('Wynagrodzenie B2B, netto / mies.')).toBe(false);
+    expect(SALARY_HOURLY_PATTERN.test('Stawka B2B PLN/h')).toBe(true);
+    expect(SALARY_HOURLY_PATTERN.test('Stawka godzinowa')).toBe(true);
+
+    const profile = { 'Wynagrodzenie': '16800 PLN' };
+    expect(getMockAIResponse('Wynagrodzenie B2B, netto / mies.', profile, null)).toBe('16800');
+    expect(getMockAIResponse('Oczekiwane wynagrodzenie PLN/h', profile, null)).toBe('100');
+  });
+
+  test('hourly ranges keep the (od)/(do) bounds', () => {
+    const profile = { 'Wynagrodzenie od': '16800', 'Wynagrodzenie do': '20160' };
+    expect(getMockAIResponse('Oczekiwane wynagrodzenie PLN/h (od)', profile, null)).toBe('100');
+    expect(getMockAIResponse('Oczekiwane wynagrodzenie PLN/h (do)', profile, null)).toBe('120');
+  });
+
+  test('a stored hourly rate wins over the monthly salary', () => {
+    const profile = { 'Wynagrodzenie': '16800', 'Stawka godzinowa': '120 PLN/h' };
+    expect(getMockAIResponse('Oczekiwane wynagrodzenie PLN/h (od)', profile, null)).toBe('120');
+    expect(getMockAIResponse('Oczekiwane wynagrodzenie PLN/h (do)', profile, null)).toBe('144');
+    expect(getMockAIResponse('Oczekiwane wynagrodzenie', profile, null)).toBe('16800');
+  });
+});
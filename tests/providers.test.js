@@ -0,0 +1,598 @@
+/**
+ * Tests for the AI provider layer
+ * Request/response shapes per provider, settings resolution, model rotation on 429
+ */
+
+// Extract helpers from providers.js
+const DEFAULT_LLM_PROVIDER = 'gemini';
+
+// Values shipped in config.js / data.json examples - never sent as a real key
+const PLACEHOLDER_API_KEYS = ['TWOJ_KLUCZ_API', 'YOUR_API_KEY_HERE'];
+
+// HTTP statuses that rotate to the next model: rate limit, Anthropic "overloaded"
+const LLM_RATE_LIMIT_STATUSES = [429, 529];
+
+const LLM_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    // Lite models first for faster responses
+    models: ['gemini-2.0-flash-lite', 'gemini-2.5-flash-lite', 'gemini-2.0-flash', 'gemini-2.5-flash'],
+    requiresApiKey: true,
+    supportsFiles: true,
+    keyHint: 'AIza...',
+    keyUrl: 'https://aistudio.google.com/app/apikey',
+
+    buildRequest({ prompt, files, model, apiKey, schema }) {
+      const body = {
+        contents: [{
+          parts: [
+            ...files.map(file => ({ inline_data: { mime_type: file.mimeType, data: file.data } })),
+            { text: prompt }
+          ]
+        }]
+      };
+      if (schema) {
+        body.generationConfig = { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) };
+      }
+      // responseSchema is only available in v1beta
+      return {
+        url: `https://generativelanguage.googleapis.com/${schema ? 'v1beta' : 'v1'}/models/${model}:generateContent?key=${apiKey}`,
+        headers: {},
+        body
+      };
+    },
+
+    parseResponse(data) {
+      return data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    },
+
+    parseUsage(data) {
+      return { inputTokens: data?.usageMetadata?.promptTokenCount, outputTokens: data?.usageMetadata?.candidatesTokenCount };
+    }
+  },
+
+  // OpenAI and anything speaking its chat completions API (vLLM, LM Studio, OpenRouter...)
+  openai: {
+    label: 'OpenAI / zgodny endpoint (vLLM, LM Studio)',
+    models: ['gpt-4o-mini', 'gpt-4o'],
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    // Self-hosted servers usually run without a key
+    requiresApiKey: false,
+    supportsFiles: true,
+    keyHint: 'sk-... (puste dla serwera lokalnego)',
+    keyUrl: 'https://platform.openai.com/api-keys',
+
+    buildRequest({ prompt, files, model, apiKey, baseUrl, schema }) {
+      const content = files.length > 0
+        ? [
+          ...files.map(file => ({ type: 'file', file: { filename: file.name || 'document.pdf', file_data: `data:${file.mimeType};base64,${file.data}` } })),
+          { type: 'text', text: prompt }
+        ]
+        : prompt;
+      const body = { model, messages: [{ role: 'user', content }] };
+      if (schema) {
+        body.response_format = { type: 'json_schema', json_schema: { name: 'answers', strict: true, schema } };
+      }
+      return {
+        url: `${baseUrl}/chat/completions`,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body
+      };
+    },
+
+    parseResponse(data) {
+      return data?.choices?.[0]?.message?.content;
+    },
+
+    parseUsage(data) {
+      return { inputTokens: data?.usage?.prompt_tokens, outputTokens: data?.usage?.completion_tokens };
+    }
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    models: ['claude-3-5-haiku-latest', 'claude-sonnet-4-20250514'],
+    requiresApiKey: true,
+    supportsFiles: true,
+    keyHint: 'sk-ant-...',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+
+    buildRequest({ prompt, files, model, apiKey, schema }) {
+      const body = {
+        model,
+        max_tokens: 8192,
+        messages: [{
+          role: 'user',
+          content: [
+            ...files.map(file => ({ type: 'document', source: { type: 'base64', media_type: file.mimeType, data: file.data } })),
+            { type: 'text', text: prompt }
+          ]
+        }]
+      };
+      // No JSON mode - a forced tool call gets input matching the schema
+      if (schema) {
+        body.tools = [{ name: 'submit_answers', description: 'Submit the answers in the required structure', input_schema: schema }];
+        body.tool_choice = { type: 'tool', name: 'submit_answers' };
+      }
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          // Required for calls made from a browser context
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body
+      };
+    },
+
+    parseResponse(data) {
+      const toolUse = (data?.content || []).find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input);
+      }
+      const blocks = (data?.content || []).filter(block => block.type === 'text');
+      return blocks.length > 0 ? blocks.map(block => block.text).join('') : undefined;
+    },
+
+    parseUsage(data) {
+      return { inputTokens: data?.usage?.input_tokens, outputTokens: data?.usage?.output_tokens };
+    }
+  },
+
+  ollama: {
+    label: 'Ollama (lokalnie)',
+    models: ['llama3.1'],
+    defaultBaseUrl: 'http://localhost:11434',
+    requiresApiKey: false,
+    supportsFiles: false,
+    keyHint: 'niepotrzebny',
+    keyUrl: 'https://ollama.com/library',
+
+    buildRequest({ prompt, model, baseUrl, schema }) {
+      const body = { model, messages: [{ role: 'user', content: prompt }], stream: false };
+      if (schema) {
+        body.format = schema;
+      }
+      return {
+        url: `${baseUrl}/api/chat`,
+        headers: {},
+        body
+      };
+    },
+
+    parseResponse(data) {
+      return data?.message?.content;
+    },
+
+    parseUsage(data) {
+      return { inputTokens: data?.prompt_eval_count, outputTokens: data?.eval_count };
+    }
+  }
+};
+
+// List prices in USD per 1M tokens [input, output], matched by the longest model name prefix.
+// Models missing here (self-hosted, Ollama) count as free
+const LLM_MODEL_PRICES = {
+  'gemini-2.0-flash-lite': [0.075, 0.30],
+  'gemini-2.0-flash': [0.10, 0.40],
+  'gemini-2.5-flash-lite': [0.10, 0.40],
+  'gemini-2.5-flash': [0.30, 2.50],
+  'gemini-2.5-pro': [1.25, 10.00],
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00],
+  'gpt-4.1-mini': [0.40, 1.60],
+  'gpt-4.1': [2.00, 8.00],
+  'claude-3-5-haiku': [0.80, 4.00],
+  'claude-haiku-4': [1.00, 5.00],
+  'claude-sonnet-4': [3.00, 15.00],
+  'claude-opus-4': [15.00, 75.00]
+};
+
+function estimateLLMCost(model, inputTokens, outputTokens) {
+  const priceKey = Object.keys(LLM_MODEL_PRICES)
+    .filter(key => (model || '').startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!priceKey) return 0;
+
+  const [inputPrice, outputPrice] = LLM_MODEL_PRICES[priceKey];
+  return (inputTokens * inputPrice + outputTokens * outputPrice) / 1e6;
+}
+
+function getUsageDayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toGeminiSchema(schema) {
+  const { additionalProperties, ...converted } = schema;
+  converted.type = String(schema.type).toUpperCase();
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+  return converted;
+}
+
+// Current model per provider - rotates through the model list on rate limiting
+const llmModelIndexes = {};
+
+// 'provider:model' -> timestamp until which the model is skipped after a 429
+const llmRateLimitedUntil = {};
+
+// Cooldown after a 429 without a Retry-After header
+const LLM_RATE_LIMIT_COOLDOWN_MS = 60000;
+
+function pickLLMModelIndex(llm) {
+  const start = (llmModelIndexes[llm.id] || 0) % llm.models.length;
+  for (let offset = 0; offset < llm.models.length; offset++) {
+    const index = (start + offset) % llm.models.length;
+    if (!(llmRateLimitedUntil[`${llm.id}:${llm.models[index]}`] > Date.now())) {
+      return index;
+    }
+  }
+  return start;
+}
+
+function isUsableApiKey(apiKey) {
+  return !!apiKey && apiKey.trim().length > 0 && !PLACEHOLDER_API_KEYS.includes(apiKey.trim());
+}
+
+function resolveLLMConfig(settings) {
+  const id = LLM_PROVIDERS[settings.aiProvider] ? settings.aiProvider : DEFAULT_LLM_PROVIDER;
+  const provider = LLM_PROVIDERS[id];
+  const stored = (settings.aiProviders || {})[id] || {};
+
+  let apiKey = isUsableApiKey(stored.apiKey) ? stored.apiKey.trim() : '';
+  // The Gemini key used to live on its own
+  if (!apiKey && id === 'gemini' && isUsableApiKey(settings.geminiApiKey)) {
+    apiKey = settings.geminiApiKey.trim();
+  }
+
+  const models = (stored.models || []).map(model => model.trim()).filter(Boolean);
+  return {
+    id,
+    provider,
+    apiKey,
+    baseUrl: (stored.baseUrl || provider.defaultBaseUrl || '').trim().replace(/\/+$/, ''),
+    models: models.length > 0 ? models : provider.models
+  };
+}
+
+function getLLMErrorMessage(errorData) {
+  const error = errorData?.error;
+  return (typeof error === 'string' ? error : error?.message) || errorData?.message || 'Unknown error';
+}
+
+async function callLLM(llm, request, timeoutMs = 15000) {
+  const files = request.files || [];
+  if (files.length > 0 && !llm.provider.supportsFiles) {
+    throw new Error(`${llm.provider.label} nie obsługuje plików PDF. Wybierz innego dostawcę AI do analizy CV.`);
+  }
+
+  const maxRetries = 3;
+  let lastError = null;
+  const modelsAttempted = new Set(); // Track which models we've tried
+
+  const startedAt = Date.now();
+  const usage = { provider: llm.id, model: null, inputTokens: 0, outputTokens: 0, latencyMs: 0, retries: 0, rateLimited: 0 };
+  const withUsage = (error) => {
+    usage.latencyMs = Date.now() - startedAt;
+    error.usage = usage;
+    return error;
+  };
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      const modelIndex = pickLLMModelIndex(llm);
+      const model = llm.models[modelIndex];
+      modelsAttempted.add(model);
+      usage.model = model;
+      usage.retries = attempt;
+
+      console.log(`[AI Provider] ${llm.provider.label}: using model ${model} (attempt ${attempt + 1}/${maxRetries})`);
+
+      const { url, headers, body } = llm.provider.buildRequest({
+        prompt: request.prompt,
+        files,
+        model,
+        apiKey: llm.apiKey,
+        baseUrl: llm.baseUrl,
+        schema: request.schema || null
+      });
+
+      // Create abort controller for timeout
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      }).finally(() => clearTimeout(timeoutId));
+
+      // Handle specific HTTP error codes
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        if (LLM_RATE_LIMIT_STATUSES.includes(response.status)) {
+          // Rate limiting - rotate to next model
+          console.warn(`[AI Provider] Rate limited on ${model}. Rotating to next model...`);
+          usage.rateLimited++;
+          const retryAfter = parseInt(response.headers?.get('retry-after'), 10);
+          llmRateLimitedUntil[`${llm.id}:${model}`] = Date.now() + (retryAfter > 0 ? retryAfter * 1000 : LLM_RATE_LIMIT_COOLDOWN_MS);
+          llmModelIndexes[llm.id] = (modelIndex + 1) % llm.models.length;
+          const nextModel = llm.models[llmModelIndexes[llm.id]];
+
+          // If we've tried all models, wait before continuing
+          if (modelsAttempted.has(nextModel)) {
+            const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
+            console.warn(`[AI Provider] All models attempted. Waiting ${waitTime}ms before retry...`);
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+          } else {
+            // Just a short delay before trying the next model
+            await new Promise(resolve => setTimeout(resolve, 500));
+          }
+
+          lastError = new Error(`Rate limited on ${model}`);
+          continue;
+        }
+
+        if (response.status === 400) {
+          throw Object.assign(new Error(`Invalid API request: ${getLLMErrorMessage(errorData)}`), { status: response.status });
+        }
+
+        if (response.status === 401 || response.status === 403) {
+          throw Object.assign(new Error('API key is invalid or has insufficient permissions'), { status: response.status });
+        }
+
+        if (response.status === 404) {
+          throw Object.assign(new Error(`API endpoint or model "${model}" not found. Check the model list in settings.`), { status: response.status });
+        }
+
+        throw Object.assign(new Error(`HTTP error! status: ${response.status}, message: ${getLLMErrorMessage(errorData)}`), { status: response.status });
+      }
+
+      const data = await response.json();
+      const text = llm.provider.parseResponse(data);
+
+      if (typeof text !== 'string') {
+        throw new Error('Invalid API response: no text returned');
+      }
+
+      const tokens = llm.provider.parseUsage(data);
+      usage.inputTokens = tokens.inputTokens || 0;
+      usage.outputTokens = tokens.outputTokens || 0;
+      usage.latencyMs = Date.now() - startedAt;
+      return { text: text.trim(), usage };
+
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry on these errors
+      if (error.name === 'AbortError') {
+        console.error(`API request timed out after ${timeoutMs / 1000} seconds`);
+        throw withUsage(new Error(`Request timed out after ${timeoutMs / 1000} seconds`));
+      }
+
+      // Bad request, auth and unknown model fail the same way on every attempt - server errors are retried
+      if (error.status >= 400 && error.status < 500) {
+        console.error('API error:', error.message);
+        throw withUsage(error); // Don't retry on request/auth/config errors
+      }
+
+      // For network errors, retry with exponential backoff
+      if (attempt < maxRetries - 1) {
+        const waitTime = Math.pow(2, attempt) * 1000;
+        console.warn(`Attempt ${attempt + 1} failed. Retrying in ${waitTime}ms...`, error.message);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  // All retries failed
+  console.error(`Error calling ${llm.provider.label} after`, maxRetries, 'attempts:', lastError);
+  throw withUsage(lastError || new Error('Failed to get AI response after multiple attempts'));
+}
+
+describe('LLM_PROVIDERS', () => {
+  const request = { prompt: 'Hello', files: [], model: 'm1', apiKey: 'key', baseUrl: 'http://localhost:1234/v1' };
+  const pdf = [{ mimeType: 'application/pdf', data: 'QUJD', name: 'cv.pdf' }];
+
+  test('Gemini puts the key in the URL and files before the prompt', () => {
+    const { url, body } = LLM_PROVIDERS.gemini.buildRequest({ ...request, files: pdf });
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1/models/m1:generateContent?key=key');
+    expect(body.contents[0].parts).toEqual([{ inline_data: { mime_type: 'application/pdf', data: 'QUJD' } }, { text: 'Hello' }]);
+    expect(LLM_PROVIDERS.gemini.parseResponse({ candidates: [{ content: { parts: [{ text: 'Hi' }] } }] })).toBe('Hi');
+  });
+
+  test('OpenAI-compatible uses the base URL and skips the header without a key', () => {
+    const { url, headers, body } = LLM_PROVIDERS.openai.buildRequest({ ...request, apiKey: '' });
+    expect(url).toBe('http://localhost:1234/v1/chat/completions');
+    expect(headers).toEqual({});
+    expect(body).toEqual({ model: 'm1', messages: [{ role: 'user', content: 'Hello' }] });
+    expect(LLM_PROVIDERS.openai.buildRequest(request).headers.Authorization).toBe('Bearer key');
+    expect(LLM_PROVIDERS.openai.parseResponse({ choices: [{ message: { content: 'Hi' } }] })).toBe('Hi');
+  });
+
+  test('Anthropic sends the key header and joins text blocks', () => {
+    const { url, headers, body } = LLM_PROVIDERS.anthropic.buildRequest({ ...request, files: pdf });
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(headers['x-api-key']).toBe('key');
+    expect(body.messages[0].content[0]).toEqual({ type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'QUJD' } });
+    expect(LLM_PROVIDERS.anthropic.parseResponse({ content: [{ type: 'text', text: 'H' }, { type: 'text', text: 'i' }] })).toBe('Hi');
+    expect(LLM_PROVIDERS.anthropic.parseResponse({ content: [] })).toBeUndefined();
+  });
+
+  test('Ollama disables streaming', () => {
+    const { url, body } = LLM_PROVIDERS.ollama.buildRequest({ ...request, baseUrl: 'http://localhost:11434' });
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(body.stream).toBe(false);
+    expect(LLM_PROVIDERS.ollama.parseResponse({ message: { content: 'Hi' } })).toBe('Hi');
+  });
+});
+
+describe('parseUsage', () => {
+  test('reads the token counts of every provider', () => {
+    expect(LLM_PROVIDERS.gemini.parseUsage({ usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 2 } })).toEqual({ inputTokens: 10, outputTokens: 2 });
+    expect(LLM_PROVIDERS.openai.parseUsage({ usage: { prompt_tokens: 10, completion_tokens: 2 } })).toEqual({ inputTokens: 10, outputTokens: 2 });
+    expect(LLM_PROVIDERS.anthropic.parseUsage({ usage: { input_tokens: 10, output_tokens: 2 } })).toEqual({ inputTokens: 10, outputTokens: 2 });
+    expect(LLM_PROVIDERS.ollama.parseUsage({ prompt_eval_count: 10, eval_count: 2 })).toEqual({ inputTokens: 10, outputTokens: 2 });
+  });
+});
+
+describe('structured output', () => {
+  const request = { prompt: 'Hello', files: [], model: 'm1', apiKey: 'key', baseUrl: 'http://localhost:1234/v1' };
+  const schema = {
+    type: 'object',
+    properties: { 0: { type: 'object', properties: { answer: { type: 'string', enum: ['Yes', 'No'] } }, required: ['answer'], additionalProperties: false } },
+    required: ['0'],
+    additionalProperties: false
+  };
+
+  test('no schema leaves the plain request untouched', () => {
+    expect(LLM_PROVIDERS.gemini.buildRequest(request).body.generationConfig).toBeUndefined();
+    expect(LLM_PROVIDERS.openai.buildRequest(request).body.response_format).toBeUndefined();
+    expect(LLM_PROVIDERS.anthropic.buildRequest(request).body.tools).toBeUndefined();
+    expect(LLM_PROVIDERS.ollama.buildRequest(request).body.format).toBeUndefined();
+  });
+
+  test('Gemini switches to v1beta and converts the schema', () => {
+    const { url, body } = LLM_PROVIDERS.gemini.buildRequest({ ...request, schema });
+    expect(url).toContain('/v1beta/models/m1:generateContent');
+    expect(body.generationConfig.responseMimeType).toBe('application/json');
+    expect(body.generationConfig.responseSchema).toEqual({
+      type: 'OBJECT',
+      properties: { 0: { type: 'OBJECT', properties: { answer: { type: 'STRING', enum: ['Yes', 'No'] } }, required: ['answer'] } },
+      required: ['0']
+    });
+  });
+
+  test('OpenAI uses a strict json_schema, Ollama the format field', () => {
+    expect(LLM_PROVIDERS.openai.buildRequest({ ...request, schema }).body.response_format)
+      .toEqual({ type: 'json_schema', json_schema: { name: 'answers', strict: true, schema } });
+    expect(LLM_PROVIDERS.ollama.buildRequest({ ...request, schema }).body.format).toBe(schema);
+  });
+
+  test('Anthropic forces a tool call and returns its input as JSON', () => {
+    const { body } = LLM_PROVIDERS.anthropic.buildRequest({ ...request, schema });
+    expect(body.tools[0].input_schema).toBe(schema);
+    expect(body.tool_choice).toEqual({ type: 'tool', name: 'submit_answers' });
+    const text = LLM_PROVIDERS.anthropic.parseResponse({ content: [{ type: 'tool_use', name: 'submit_answers', input: { 0: { answer: 'Yes' } } }] });
+    expect(JSON.parse(text)).toEqual({ 0: { answer: 'Yes' } });
+  });
+});
+
+describe('resolveLLMConfig', () => {
+  test('defaults to Gemini and falls back to the legacy key', () => {
+    const llm = resolveLLMConfig({ geminiApiKey: 'AIzaOld' });
+    expect(llm.id).toBe('gemini');
+    expect(llm.apiKey).toBe('AIzaOld');
+    expect(llm.models).toEqual(LLM_PROVIDERS.gemini.models);
+  });
+
+  test('per-provider key, base URL without trailing slash and custom models', () => {
+    const llm = resolveLLMConfig({
+      aiProvider: 'openai',
+      aiProviders: { openai: { apiKey: ' sk-1 ', baseUrl: 'http://localhost:8000/v1/', models: ['qwen', ' '] } },
+      geminiApiKey: 'AIzaOld'
+    });
+    expect(llm.apiKey).toBe('sk-1');
+    expect(llm.baseUrl).toBe('http://localhost:8000/v1');
+    expect(llm.models).toEqual(['qwen']);
+  });
+
+  test('placeholder keys and unknown providers are ignored', () => {
+    expect(resolveLLMConfig({ aiProviders: { gemini: { apiKey: 'YOUR_API_KEY_HERE' } } }).apiKey).toBe('');
+    expect(resolveLLMConfig({ aiProvider: 'nope' }).id).toBe('gemini');
+    expect(resolveLLMConfig({ aiProvider: 'ollama' }).baseUrl).toBe('http://localhost:11434');
+  });
+});
+
+describe('getLLMErrorMessage', () => {
+  test('reads the error shapes of all providers', () => {
+    expect(getLLMErrorMessage({ error: { message: 'quota' } })).toBe('quota');
+    expect(getLLMErrorMessage({ error: 'model not found' })).toBe('model not found');
+    expect(getLLMErrorMessage({})).toBe('Unknown error');
+  });
+});
+
+describe('callLLM', () => {
+  const jsonResponse = (status, data) => ({ ok: status < 400, status, json: async () => data });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('rotates to the next model on 429 and remembers it', async () => {
+    const llm = resolveLLMConfig({ aiProvider: 'ollama', aiProviders: { ollama: { models: ['a', 'b'] } } });
+    const models = [];
+    global.fetch = jest.fn(async (url, options) => {
+      const model = JSON.parse(options.body).model;
+      models.push(model);
+      return model === 'a' ? jsonResponse(429, {}) : jsonResponse(200, { message: { content: ' ok ' } });
+    });
+
+    const first = await callLLM(llm, { prompt: 'q' });
+    expect(first.text).toBe('ok');
+    expect(first.usage).toMatchObject({ provider: 'ollama', model: 'b', retries: 1, rateLimited: 1 });
+    await expect(callLLM(llm, { prompt: 'q' })).resolves.toMatchObject({ text: 'ok' });
+    expect(models).toEqual(['a', 'b', 'b']);
+  });
+
+  test('returns token usage and latency with the text', async () => {
+    const llm = resolveLLMConfig({ aiProvider: 'ollama', aiProviders: { ollama: { models: ['u'] } } });
+    global.fetch = jest.fn(async () => jsonResponse(200, { message: { content: 'ok' }, prompt_eval_count: 120, eval_count: 8 }));
+
+    const { usage } = await callLLM(llm, { prompt: 'q' });
+    expect(usage).toMatchObject({ model: 'u', inputTokens: 120, outputTokens: 8, retries: 0, rateLimited: 0 });
+    expect(usage.latencyMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('a model rate limited by another request is skipped until the cooldown ends', async () => {
+    const llm = resolveLLMConfig({ aiProvider: 'ollama', aiProviders: { ollama: { models: ['x', 'y'] } } });
+    llmRateLimitedUntil['ollama:x'] = Date.now() + 60000;
+    llmModelIndexes.ollama = 0;
+    const models = [];
+    global.fetch = jest.fn(async (url, options) => {
+      models.push(JSON.parse(options.body).model);
+      return jsonResponse(200, { message: { content: 'ok' } });
+    });
+
+    await callLLM(llm, { prompt: 'q' });
+    llmRateLimitedUntil['ollama:x'] = Date.now() - 1;
+    await callLLM(llm, { prompt: 'q' });
+    expect(models).toEqual(['y', 'x']);
+  });
+
+  test('auth errors are not retried', async () => {
+    const llm = resolveLLMConfig({ aiProvider: 'anthropic', aiProviders: { anthropic: { apiKey: 'bad' } } });
+    global.fetch = jest.fn(async () => jsonResponse(401, { error: { message: 'invalid x-api-key' } }));
+
+    const error = await callLLM(llm, { prompt: 'q' }).catch(err => err);
+    expect(error.message).toContain('API key is invalid');
+    expect(error.usage).toMatchObject({ provider: 'anthropic', model: 'claude-3-5-haiku-latest', retries: 0 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('bad requests are not retried', async () => {
+    const llm = resolveLLMConfig({ aiProvider: 'ollama', aiProviders: { ollama: { models: ['u'] } } });
+    global.fetch = jest.fn(async () => jsonResponse(400, { error: 'unknown field "format"' }));
+
+    const error = await callLLM(llm, { prompt: 'q' }).catch(err => err);
+    expect(error.message).toBe('Invalid API request: unknown field "format"');
+    expect(error.usage).toMatchObject({ model: 'u', retries: 0 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('files are refused by providers that cannot read them', async () => {
+    const llm = resolveLLMConfig({ aiProvider: 'ollama' });
+    global.fetch = jest.fn();
+
+    await expect(callLLM(llm, { prompt: 'q', files: [{ mimeType: 'application/pdf', data: '' }] })).rejects.toThrow('nie obsługuje plików PDF');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
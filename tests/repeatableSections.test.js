@@ -0,0 +1,730 @@
+/**
+ * Tests for repeatable experience/education sections
+ * Block fields are classified by their labels, CV dates are formatted for the field they go into
+ */
+
+// jsdom doesn't implement CSS.escape - ids used below are plain identifiers
+global.CSS = global.CSS || { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+
+// Extract helpers from content.js
+const REPEATABLE_SECTIONS = {
+  experience: {
+    addPattern: /add (another |more |new )?(position|job|experience|employment|employer|work)|dodaj (kolejn\S* |następn\S* |now\S* )?(doświadczeni|stanowisk|zatrudnieni|prac|pracodawc)/i,
+    // Checked in order - the first matching key wins
+    fields: [
+      ['company', /company|employer|organi[sz]ation|firma|firmy|pracodawc/i],
+      ['role', /title|position|role|stanowisk/i],
+      ['description', /description|responsibilit|duties|achievement|opis|obowiązk|osiągnię/i],
+      ['current', /current|presently|obecnie|nadal|aktualn/i],
+      ['startDate', /start|from|since|\bod\b|początek|rozpocz/i],
+      ['endDate', /end|\bto\b|until|\bdo\b|zakończ|koniec/i]
+    ]
+  },
+  education: {
+    addPattern: /add (another |more |new )?(education|school|degree|university)|dodaj (kolejn\S* |następn\S* |now\S* )?(wykształceni|edukacj|szkoł|uczelni|studia)/i,
+    fields: [
+      ['institution', /school|university|institution|college|uczelni|szkoł|instytucj/i],
+      ['degree', /degree|qualification|stopień|tytuł|poziom/i],
+      ['field', /field|major|discipline|kierun|specjalizac/i],
+      ['current', /current|presently|obecnie|nadal|w trakcie/i],
+      ['startDate', /start|from|since|\bod\b|początek|rozpocz/i],
+      ['endDate', /end|\bto\b|until|graduat|\bdo\b|zakończ|ukończ/i]
+    ]
+  }
+};
+
+const RICH_TEXT_ROOT_SELECTOR = '.ql-container, .DraftEditor-root, .ProseMirror-container, .ck-editor, .tox-tinymce, .cke, [class*="editor" i]';
+
+function deepQuerySelector(selector, root = document) {
+  const direct = root.querySelector(selector);
+  if (direct) return direct;
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      const found = deepQuerySelector(selector, element.shadowRoot);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function getElementByIdDeep(id, contextNode = document) {
+  if (!id) return null;
+
+  const root = contextNode.getRootNode ? contextNode.getRootNode() : document;
+  if (root !== document && root.getElementById) {
+    const inRoot = root.getElementById(id);
+    if (inRoot) return inRoot;
+  }
+
+  return document.getElementById(id) || deepQuerySelector(`[id="${CSS.escape(id)}"]`);
+}
+
+function findLabelForDeep(element, id = element.id) {
+  if (!id) return null;
+
+  const selector = `label[for="${CSS.escape(id)}"]`;
+  const root = element.getRootNode();
+  if (root !== document && root.querySelector) {
+    const inRoot = root.querySelector(selector);
+    if (inRoot) return inRoot;
+  }
+
+  return document.querySelector(selector);
+}
+
+function getAriaLabelledByText(element) {
+  const ariaLabelledBy = element.getAttribute('aria-labelledby');
+  if (!ariaLabelledBy) return null;
+
+  const text = ariaLabelledBy.split(/\s+/)
+    .map(id => getElementByIdDeep(id, element))
+    .filter(Boolean)
+    .map(label => label.textContent.trim())
+    .filter(Boolean)
+    .join(' ');
+
+  return text || null;
+}
+
+function getParentAcrossShadow(node) {
+  if (node.parentElement) return node.parentElement;
+
+  const root = node.getRootNode ? node.getRootNode() : null;
+  return root && root.host ? root.host : null;
+}
+
+function isRichTextEditor(element) {
+  if (!element || !element.isContentEditable || element.getAttribute('contenteditable') === null) return false;
+  // Iframe bodies (TinyMCE, CKEditor 4) are filled from the parent through their textarea
+  if (element === element.ownerDocument.body) return false;
+  // Nested editable nodes belong to the outer editor
+  return !element.parentElement || !element.parentElement.isContentEditable;
+}
+
+function getRichTextQuestion(element) {
+  const placeholder = element.getAttribute('data-placeholder') || element.getAttribute('aria-placeholder') ||
+    element.querySelector('[data-placeholder]')?.getAttribute('data-placeholder') ||
+    element.closest('.DraftEditor-root')?.querySelector('.public-DraftEditorPlaceholder-inner')?.textContent;
+  if (placeholder && placeholder.trim()) return placeholder.trim();
+
+  let current = element.closest(RICH_TEXT_ROOT_SELECTOR) || element;
+  for (let depth = 0; current && depth < 3; depth++, current = current.parentElement) {
+    let sibling = current.previousElementSibling;
+    while (sibling) {
+      const isToolbar = sibling.matches('.ql-toolbar, [role="toolbar"]') || sibling.querySelector('[role="toolbar"], button');
+      const text = sibling.textContent.trim();
+      if (!isToolbar && text && text.length < 200 && !sibling.querySelector('input, textarea, select')) {
+        return text;
+      }
+      sibling = sibling.previousElementSibling;
+    }
+  }
+  return null;
+}
+
+function getQuestionForInput(input) {
+  // Validate input element
+  if (!input) {
+    return null;
+  }
+
+  let questionText = null;
+  let matchStrategy = null;
+
+  // 1. Check for a wrapping label
+  if (input.parentElement && input.parentElement.tagName === 'LABEL') {
+    questionText = input.parentElement.textContent.trim();
+    matchStrategy = '1:wrapping-label';
+  }
+
+  // 2. Check for a `for` attribute
+  if (!questionText && input.id) {
+    const label = findLabelForDeep(input);
+    if (label) {
+      questionText = label.textContent.trim();
+      matchStrategy = `2:label-for[${input.id}]`;
+    }
+
+    // Special case: Selectize.js creates inputs with ID ending in '-selectized'
+    // and moves the label to point to that input, so for original SELECT elements
+    // with class 'selectized', also check for label pointing to ID + '-selectized'
+    if (!questionText && input.tagName === 'SELECT' && input.classList.contains('selectized')) {
+      const selectizeLabel = findLabelForDeep(input, `${input.id}-selectized`);
+      if (selectizeLabel) {
+        questionText = selectizeLabel.textContent.trim();
+        matchStrategy = `2:selectize-label-for[${input.id}-selectized]`;
+        console.log(`[Gemini Filler] Found Selectize label for SELECT: "${questionText}"`);
+      }
+    }
+  }
+
+  // 3. Check for aria-labelledby
+  if (!questionText && input.getAttribute('aria-labelledby')) {
+    const ariaLabelledBy = input.getAttribute('aria-labelledby');
+    const labelText = getAriaLabelledByText(input);
+    if (labelText) {
+      questionText = labelText;
+      matchStrategy = `3:aria-labelledby[${ariaLabelledBy}]`;
+    }
+  }
+
+  // 4. Traverse up the DOM to find a nearby label (continues past shadow roots into the host's tree)
+  if (!questionText) {
+    let current = input;
+    let depth = 0;
+    while (getParentAcrossShadow(current) && depth < 5) {
+      const parent = getParentAcrossShadow(current);
+      const parentTag = parent.tagName + (parent.className ? '.' + parent.className.split(' ')[0] : '');
+
+      const label = parent.querySelector('label');
+      if (label && label.contains(input)) {
+         questionText = label.textContent.trim();
+         matchStrategy = `4a:parent-label-contains[depth=${depth}, parent=${parentTag}]`;
+         break;
+      }
+
+      const labels = parent.querySelectorAll('label');
+
+      for(let i = 0; i < labels.length; i++) {
+          const l = labels[i];
+
+          if(l.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4b:label-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          if(l.nextElementSibling === input) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4c:label-nextSibling[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+
+          // NEW: Check if label's next sibling is a container that contains the input
+          if (l.nextElementSibling && l.nextElementSibling.contains && l.nextElementSibling.contains(input)) {
+            questionText = l.textContent.trim();
+            matchStrategy = `4d:label-nextSibling-contains[depth=${depth}, parent=${parentTag}, labelIdx=${i}]`;
+            break;
+          }
+      }
+      if (questionText) break;
+      current = parent;
+      depth++;
+    }
+  }
+
+  // 5. Fallback to aria-label or placeholder
+  if (!questionText && input.getAttribute('aria-label')) {
+    questionText = input.getAttribute('aria-label').trim();
+    matchStrategy = '5:aria-label';
+  }
+
+  // 5b. Web components often carry the label on the shadow host (e.g. <lightning-input label="...">)
+  if (!questionText) {
+    const host = input.getRootNode().host;
+    const hostLabel = host && (host.getAttribute('label') || host.getAttribute('aria-label'));
+    if (hostLabel && hostLabel.trim()) {
+      questionText = hostLabel.trim();
+      matchStrategy = `5b:shadow-host-label[${host.tagName.toLowerCase()}]`;
+    }
+  }
+
+  if (!questionText && input.getAttribute('placeholder')) {
+    const placeholder = input.getAttribute('placeholder').trim();
+
+    // Special handling for Od/Do (From/To) range fields - look for parent label
+    const rangePatterns = ['od', 'do', 'from', 'to', 'min', 'max', 'minimum', 'maximum'];
+    if (rangePatterns.includes(placeholder.toLowerCase())) {
+      // Look for a parent label that applies to the whole range
+      let current = input;
+      let depth = 0;
+      while (current.parentElement && depth < 6) {
+        const parent = current.parentElement;
+        const label = parent.querySelector('label');
+        if (label && !label.contains(input)) {
+          // Found a label at parent level - combine with placeholder
+          questionText = `${label.textContent.trim()} (${placeholder})`;
+          matchStrategy = `6:placeholder-with-parent-label[depth=${depth}]`;
+          break;
+        }
+        current = parent;
+        depth++;
+      }
+    }
+
+    if (!questionText) {
+      questionText = placeholder;
+      matchStrategy = '6:placeholder';
+    }
+  }
+
+  // 7. Rich-text editors: data-placeholder or the heading above the editor container
+  if (!questionText && isRichTextEditor(input)) {
+    questionText = getRichTextQuestion(input);
+    matchStrategy = '7:rich-text-editor';
+  }
+
+  return questionText;
+}
+
+function fuzzyMatch(answer, options) {
+  if (!answer || !options || options.length === 0) return null;
+
+  // Ensure answer is a string
+  const answerStr = typeof answer === 'string' ? answer : String(answer);
+  const answerLower = answerStr.toLowerCase().trim();
+
+  // 1. Exact match (case insensitive)
+  const exactMatch = options.find(opt => opt.toLowerCase().trim() === answerLower);
+  if (exactMatch) return exactMatch;
+
+  // 2. Substring match (answer contains option or vice versa)
+  // Require minimum 4 characters to avoid false positives with short fragments
+  const substringMatch = options.find(opt => {
+    // Skip non-string options
+    if (typeof opt !== 'string') return false;
+
+    const optLower = opt.toLowerCase().trim();
+    // Only match if substring is at least 4 characters long
+    if (answerLower.length >= 4 && optLower.includes(answerLower)) return true;
+    if (optLower.length >= 4 && answerLower.includes(optLower)) return true;
+    return false;
+  });
+  if (substringMatch) return substringMatch;
+
+  // 3. Word overlap (count matching words)
+  const answerWords = answerLower.split(/\s+/).filter(w => w && w.length > 2);
+  const optionScores = options.map(opt => {
+    // Skip non-string options
+    if (typeof opt !== 'string') {
+      return { option: opt, score: 0 };
+    }
+
+    const optWords = opt.toLowerCase().split(/\s+/).filter(w => w && w.length > 2);
+    const matches = answerWords.filter(aw => optWords.includes(aw));
+    return { option: opt, score: matches.length };
+  });
+
+  const bestMatch = optionScores.reduce((best, curr) =>
+    curr.score > best.score ? curr : best
+  );
+
+  if (bestMatch.score > 0) return bestMatch.option;
+
+  // 4. Semantic matching for common cases
+  const semanticMappings = {
+    'remote': ['zdalnie', 'zdalna', 'remote', 'remotely', 'home office'],
+    'hybrid': ['hybrydowo', 'hybrydowa', 'hybrid', 'częściowo zdalnie'],
+    'office': ['stacjonarnie', 'stacjonarna', 'office', 'on-site', 'biuro'],
+    'full-time': ['pełny etat', 'full time', 'full-time', 'pełen etat'],
+    'part-time': ['część etatu', 'part time', 'part-time', 'niepełny etat'],
+    'b2b': ['b2b', 'kontrakt', 'contract', 'samozatrudnienie'],
+    'uop': ['umowa o pracę', 'uop', 'employment contract'],
+    // Country name translations (Polish ↔ English)
+    // NOTE: Removed 2-letter country codes to avoid false matches (e.g. 'pl' matching 'plurinational')
+    'poland': ['polska', 'poland'],
+    'germany': ['niemcy', 'germany'],
+    'france': ['francja', 'france'],
+    'spain': ['hiszpania', 'spain'],
+    'italy': ['włochy', 'italy'],
+    'united kingdom': ['wielka brytania', 'united kingdom', 'great britain'],
+    'united states': ['stany zjednoczone', 'united states', 'usa', 'america'],
+    'netherlands': ['holandia', 'netherlands'],
+    'belgium': ['belgia', 'belgium'],
+    'switzerland': ['szwajcaria', 'switzerland'],
+    'austria': ['austria', 'austria'],
+    'czech republic': ['czechy', 'czech republic', 'czechia'],
+    'sweden': ['szwecja', 'sweden'],
+    'norway': ['norwegia', 'norway'],
+    'denmark': ['dania', 'denmark'],
+    'finland': ['finlandia', 'finland'],
+    'ireland': ['irlandia', 'ireland'],
+    'portugal': ['portugalia', 'portugal'],
+    'greece': ['grecja', 'greece'],
+    'hungary': ['węgry', 'hungary'],
+    'romania': ['rumunia', 'romania'],
+    'bulgaria': ['bułgaria', 'bulgaria'],
+    'croatia': ['chorwacja', 'croatia'],
+    'slovakia': ['słowacja', 'slovakia'],
+    'lithuania': ['litwa', 'lithuania'],
+    'latvia': ['łotwa', 'latvia'],
+    'estonia': ['estonia', 'estonia'],
+    'ukraine': ['ukraina', 'ukraine'],
+    'russia': ['rosja', 'russia'],
+    'canada': ['kanada', 'canada'],
+    'australia': ['australia', 'australia'],
+    'new zealand': ['nowa zelandia', 'new zealand'],
+    'japan': ['japonia', 'japan'],
+    'china': ['chiny', 'china'],
+    'india': ['indie', 'india'],
+    'brazil': ['brazylia', 'brazil'],
+    'mexico': ['meksyk', 'mexico'],
+    'argentina': ['argentyna', 'argentina']
+  };
+
+  for (const [key, variants] of Object.entries(semanticMappings)) {
+    if (variants.some(v => answerLower.includes(v))) {
+      const match = options.find(opt => variants.some(v => opt.toLowerCase().includes(v)));
+      if (match) return match;
+    }
+  }
+
+  // No match found
+  console.log(`[Fuzzy Match] No match for "${answer}" in options:`, options);
+  return null;
+}
+
+function setNativeValue(element, value) {
+  const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+    : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : element instanceof HTMLInputElement ? HTMLInputElement.prototype
+        : null;
+  const nativeValueSetter = prototype && Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+  if (nativeValueSetter) {
+    nativeValueSetter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+function dispatchFillEvent(element, event) {
+  event._autofilledByExtension = true;
+  element.dispatchEvent(event);
+}
+
+function valueStuck(element, value) {
+  const normalize = text => String(text ?? '').replace(/[\s\-().]/g, '').toLowerCase();
+  if (element.type === 'number' && value !== '') {
+    return parseFloat(element.value) === parseFloat(value);
+  }
+  return normalize(element.value) === normalize(value);
+}
+
+async function typeFieldValue(element, value) {
+  element.focus();
+  setNativeValue(element, '');
+  dispatchFillEvent(element, new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+
+  let typed = '';
+  for (const char of value) {
+    dispatchFillEvent(element, new KeyboardEvent('keydown', { key: char, bubbles: true, cancelable: true }));
+    dispatchFillEvent(element, new KeyboardEvent('keypress', { key: char, bubbles: true, cancelable: true }));
+    typed += char;
+    setNativeValue(element, typed);
+    dispatchFillEvent(element, new InputEvent('input', { bubbles: true, inputType: 'insertText', data: char }));
+    dispatchFillEvent(element, new KeyboardEvent('keyup', { key: char, bubbles: true }));
+
+    // Let masks and async validators run on long answers
+    if (typed.length % 20 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  dispatchFillEvent(element, new Event('change', { bubbles: true }));
+}
+
+async function writeFieldValue(element, value, { focus = true, blur = true, verify = valueStuck } = {}) {
+  const text = value == null ? '' : String(value);
+
+  if (focus) {
+    element.focus();
+  }
+  dispatchFillEvent(element, new KeyboardEvent('keydown', { key: text.slice(-1) || 'Unidentified', bubbles: true, cancelable: true }));
+  setNativeValue(element, text);
+  dispatchFillEvent(element, element.tagName === 'SELECT'
+    ? new Event('input', { bubbles: true })
+    : new InputEvent('input', { bubbles: true, cancelable: true, inputType: 'insertText', data: text }));
+  dispatchFillEvent(element, new Event('change', { bubbles: true, cancelable: true }));
+  if (blur) {
+    element.blur();
+  }
+
+  // Controlled components re-render on the next tick - only then we know whether the value was accepted
+  await new Promise(resolve => setTimeout(resolve, 50));
+  if (verify(element, text)) {
+    return true;
+  }
+  if (element.tagName === 'SELECT') {
+    return false;
+  }
+
+  console.warn(`[Gemini Filler] Value reverted to "${element.value}", retrying with typing: "${text.substring(0, 30)}"`);
+  await typeFieldValue(element, text);
+  if (blur) {
+    element.blur();
+  }
+  await new Promise(resolve => setTimeout(resolve, 50));
+  if (verify(element, text)) {
+    return true;
+  }
+
+  const reactPropsKey = Object.keys(element).find(key => key.startsWith('__reactProps$') || key.startsWith('__reactEventHandlers$'));
+  if (reactPropsKey && element[reactPropsKey]?.onChange) {
+    try {
+      setNativeValue(element, text);
+      element[reactPropsKey].onChange({ target: element, currentTarget: element, type: 'change' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+    } catch (e) {
+      // Ignore errors from React handler
+    }
+  }
+
+  const stuck = verify(element, text);
+  if (!stuck) {
+    console.warn(`[Gemini Filler] Field did not keep the value "${text.substring(0, 30)}" (now "${element.value}")`);
+  }
+  return stuck;
+}
+
+function splitCvDate(value) {
+  if (!value || /present|obecnie|now|teraz/i.test(value)) return null;
+
+  const match = String(value).match(/(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  if (!match) return null;
+
+  return {
+    year: match[1],
+    month: match[2] ? match[2].padStart(2, '0') : '01',
+    day: match[3] ? match[3].padStart(2, '0') : '01'
+  };
+}
+
+function formatCvDateForField(element, parts) {
+  if (element.type === 'month') return `${parts.year}-${parts.month}`;
+  if (element.type === 'date') return `${parts.year}-${parts.month}-${parts.day}`;
+
+  const hint = `${element.placeholder || ''} ${getQuestionForInput(element) || ''}`;
+  if (element.tagName === 'SELECT') {
+    // Separate month/year dropdowns
+    return /month|miesiąc/i.test(hint) && !/year|rok/i.test(hint) ? String(Number(parts.month)) : parts.year;
+  }
+  if (/dd[./-]mm[./-](rrrr|yyyy)/i.test(hint)) return `${parts.day}.${parts.month}.${parts.year}`;
+  if (/mm[./-]rrrr|mm[./-]yyyy/i.test(hint)) return `${parts.month}${hint.match(/mm([./-])/i)[1]}${parts.year}`;
+  return `${parts.year}-${parts.month}`;
+}
+
+let fillJournal = null;  // Undo journal is not recorded in these tests
+
+function recordFieldState(element) {
+  if (!fillJournal || !element) return;
+  if (fillJournal.some(entry => entry.element === element)) return;
+
+  const entry = captureFieldState(element);
+  entry.question = getQuestionForInput(element) || element.name || element.id || element.tagName.toLowerCase();
+  fillJournal.push(entry);
+}
+
+// Extract driver lookup from dropdowns.js (no drivers registered - plain fields only)
+
+const DROPDOWN_DRIVERS = [];
+
+function getDropdownDriver(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+  return DROPDOWN_DRIVERS.find(driver => {
+    try {
+      return driver.matches(element);
+    } catch (error) {
+      console.warn(`[Dropdown Driver] ${driver.name}: matches() failed`, error);
+      return false;
+    }
+  }) || null;
+}
+
+async function fillRepeatableBlock(block, entry, kind, processedElements, missingFields) {
+  const stats = { filledFields: 0, totalFields: 0 };
+  const isCurrent = !entry.endDate || /present|obecnie|now|teraz/i.test(entry.endDate);
+  const values = {
+    ...entry,
+    description: entry.description || (Array.isArray(entry.achievements) ? entry.achievements.join('\n') : '')
+  };
+
+  for (const field of block.querySelectorAll('input, textarea, select')) {
+    if (processedElements.has(field) || field.type === 'hidden' || field.type === 'file' || field.disabled) continue;
+
+    const text = `${getQuestionForInput(field) || ''} ${field.name || ''} ${field.id || ''}`;
+    const match = REPEATABLE_SECTIONS[kind].fields.find(([, pattern]) => pattern.test(text));
+    if (!match) continue;
+    const key = match[0];
+
+    if (key === 'current') {
+      if (field.type === 'checkbox') {
+        processedElements.add(field);
+        if (field.checked !== isCurrent) {
+          recordFieldState(field);
+          field.click();
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+      }
+      continue;
+    }
+
+    let value = values[key];
+    if (key === 'startDate' || key === 'endDate') {
+      const parts = splitCvDate(key === 'endDate' && isCurrent ? null : value);
+      value = parts ? formatCvDateForField(field, parts) : '';
+    }
+    if (!value || field.type === 'checkbox' || field.type === 'radio') continue;
+
+    processedElements.add(field);
+    stats.totalFields++;
+    if (field.value && field.tagName !== 'SELECT') {
+      stats.filledFields++;
+      continue;
+    }
+
+    recordFieldState(field);
+    let filled = false;
+    const driver = getDropdownDriver(field);
+    if (driver) {
+      filled = await selectWithDropdownDriver(driver, field, String(value));
+    } else if (field.tagName === 'SELECT') {
+      const optionTexts = Array.from(field.options).map(opt => opt.text.trim());
+      const matchedText = fuzzyMatch(String(value), optionTexts);
+      const option = Array.from(field.options).find(opt => opt.text.trim() === matchedText);
+      filled = option ? await writeFieldValue(field, option.value) : false;
+    } else {
+      filled = await writeFieldValue(field, String(value));
+    }
+    if (filled) {
+      stats.filledFields++;
+    } else if (missingFields) {
+      missingFields.push({ question: getQuestionForInput(field) || key, reason: `Nie udało się wpisać "${value}"`, element: field });
+    }
+  }
+
+  return stats;
+}
+
+function classify(label, kind = 'experience') {
+  const match = REPEATABLE_SECTIONS[kind].fields.find(([, pattern]) => pattern.test(label));
+  return match ? match[0] : null;
+}
+
+describe('experience field classification', () => {
+  test('Polish and English labels', () => {
+    expect(classify('Nazwa firmy')).toBe('company');
+    expect(classify('Job title')).toBe('role');
+    expect(classify('Opis obowiązków')).toBe('description');
+    expect(classify('Data od')).toBe('startDate');
+    expect(classify('Data do')).toBe('endDate');
+    expect(classify('End date')).toBe('endDate');
+    expect(classify('I currently work here')).toBe('current');
+  });
+
+  test('add buttons', () => {
+    expect(REPEATABLE_SECTIONS.experience.addPattern.test('Dodaj kolejne doświadczenie')).toBe(true);
+    expect(REPEATABLE_SECTIONS.experience.addPattern.test('+ Add another position')).toBe(true);
+    expect(REPEATABLE_SECTIONS.experience.addPattern.test('Add attachment')).toBe(false);
+  });
+});
+
+describe('education field classification', () => {
+  test('Polish and English labels', () => {
+    expect(classify('Uczelnia', 'education')).toBe('institution');
+    expect(classify('School name', 'education')).toBe('institution');
+    expect(classify('Stopień', 'education')).toBe('degree');
+    expect(classify('Kierunek studiów', 'education')).toBe('field');
+    expect(classify('Field of study', 'education')).toBe('field');
+    expect(classify('W trakcie studiów', 'education')).toBe('current');
+    expect(classify('Data rozpoczęcia', 'education')).toBe('startDate');
+    expect(classify('Graduation date', 'education')).toBe('endDate');
+    expect(classify('Data ukończenia', 'education')).toBe('endDate');
+  });
+
+  test('add buttons', () => {
+    expect(REPEATABLE_SECTIONS.education.addPattern.test('Dodaj kolejną uczelnię')).toBe(true);
+    expect(REPEATABLE_SECTIONS.education.addPattern.test('+ Add another degree')).toBe(true);
+    expect(REPEATABLE_SECTIONS.education.addPattern.test('Dodaj doświadczenie')).toBe(false);
+  });
+});
+
+describe('formatCvDateForField', () => {
+  const parts = { year: '2021', month: '03', day: '01' };
+
+  test('native month/date inputs', () => {
+    const month = document.createElement('input');
+    month.type = 'month';
+    expect(formatCvDateForField(month, parts)).toBe('2021-03');
+
+    const date = document.createElement('input');
+    date.type = 'date';
+    expect(formatCvDateForField(date, parts)).toBe('2021-03-01');
+  });
+
+  test('placeholder formats', () => {
+    const input = document.createElement('input');
+    input.placeholder = 'MM/RRRR';
+    expect(formatCvDateForField(input, parts)).toBe('03/2021');
+
+    input.placeholder = 'DD.MM.YYYY';
+    expect(formatCvDateForField(input, parts)).toBe('01.03.2021');
+  });
+
+  test('month and year selects', () => {
+    const month = document.createElement('select');
+    month.setAttribute('aria-label', 'Start month');
+    expect(formatCvDateForField(month, parts)).toBe('3');
+
+    const year = document.createElement('select');
+    year.setAttribute('aria-label', 'Start year');
+    expect(formatCvDateForField(year, parts)).toBe('2021');
+  });
+});
+
+describe('fillRepeatableBlock', () => {
+  const education = {
+    institution: 'Politechnika Warszawska',
+    degree: 'Magister',
+    field: 'Informatyka',
+    startDate: '2015-10',
+    endDate: '2020-06'
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="education-entry">
+        <label for="edu-school">Uczelnia</label><input id="edu-school">
+        <label for="edu-degree">Stopień</label>
+        <select id="edu-degree"><option value="">--</option><option value="lic">Licencjat</option><option value="inz">Inżynier</option></select>
+        <label for="edu-field">Kierunek studiów</label><input id="edu-field">
+        <label for="edu-start">Data rozpoczęcia</label><input id="edu-start" placeholder="MM/RRRR">
+        <label for="edu-end">Data ukończenia</label><input id="edu-end" placeholder="MM/RRRR">
+      </div>
+    `;
+  });
+
+  test('fills an education block from the CV entry', async () => {
+    const block = document.querySelector('.education-entry');
+    const stats = await fillRepeatableBlock(block, education, 'education', new Set(), []);
+
+    expect(document.getElementById('edu-school').value).toBe('Politechnika Warszawska');
+    expect(document.getElementById('edu-field').value).toBe('Informatyka');
+    expect(document.getElementById('edu-start').value).toBe('10/2015');
+    expect(document.getElementById('edu-end').value).toBe('06/2020');
+    expect(stats.totalFields).toBe(5);
+  });
+
+  test('reports fields that could not be filled as missing', async () => {
+    const block = document.querySelector('.education-entry');
+    const missingFields = [];
+    const stats = await fillRepeatableBlock(block, education, 'education', new Set(), missingFields);
+
+    // "Magister" is not among the degree options
+    expect(stats.filledFields).toBe(4);
+    expect(missingFields).toHaveLength(1);
+    expect(missingFields[0].question).toBe('Stopień');
+    expect(missingFields[0].element).toBe(document.getElementById('edu-degree'));
+    expect(stats.totalFields - missingFields.length).toBe(stats.filledFields);
+  });
+
+  test('leaves an ongoing degree without an end date', async () => {
+    const block = document.querySelector('.education-entry');
+    const processed = new Set();
+    await fillRepeatableBlock(block, { ...education, endDate: 'present' }, 'education', processed, []);
+
+    expect(document.getElementById('edu-end').value).toBe('');
+    expect(processed.has(document.getElementById('edu-end'))).toBe(false);
+  });
+});
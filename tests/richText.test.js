@@ -0,0 +1,59 @@
+/**
+ * Tests for rich-text editor labelling
+ * Editors rarely have a <label> - the placeholder or the heading above the editor is used as the question
+ */
+
+// Extract helpers from content.js
+const RICH_TEXT_ROOT_SELECTOR = '.ql-container, .DraftEditor-root, .ProseMirror-container, .ck-editor, .tox-tinymce, .cke, [class*="editor" i]';
+
+function getRichTextQuestion(element) {
+  const placeholder = element.getAttribute('data-placeholder') || element.getAttribute('aria-placeholder') ||
+    element.querySelector('[data-placeholder]')?.getAttribute('data-placeholder') ||
+    element.closest('.DraftEditor-root')?.querySelector('.public-DraftEditorPlaceholder-inner')?.textContent;
+  if (placeholder && placeholder.trim()) return placeholder.trim();
+
+  let current = element.closest(RICH_TEXT_ROOT_SELECTOR) || element;
+  for (let depth = 0; current && depth < 3; depth++, current = current.parentElement) {
+    let sibling = current.previousElementSibling;
+    while (sibling) {
+      const isToolbar = sibling.matches('.ql-toolbar, [role="toolbar"]') || sibling.querySelector('[role="toolbar"], button');
+      const text = sibling.textContent.trim();
+      if (!isToolbar && text && text.length < 200 && !sibling.querySelector('input, textarea, select')) {
+        return text;
+      }
+      sibling = sibling.previousElementSibling;
+    }
+  }
+  return null;
+}
+
+describe('getRichTextQuestion', () => {
+  test('uses data-placeholder of the editable element', () => {
+    document.body.innerHTML = '<div class="ql-container"><div class="ql-editor" contenteditable="true" data-placeholder="Dlaczego chcesz u nas pracować?"><p><br></p></div></div>';
+    expect(getRichTextQuestion(document.querySelector('.ql-editor'))).toBe('Dlaczego chcesz u nas pracować?');
+  });
+
+  test('uses Draft.js placeholder element', () => {
+    document.body.innerHTML = `
+      <div class="DraftEditor-root">
+        <div class="public-DraftEditorPlaceholder-root"><div class="public-DraftEditorPlaceholder-inner">Cover letter</div></div>
+        <div class="DraftEditor-editorContainer"><div class="public-DraftEditor-content" contenteditable="true"></div></div>
+      </div>`;
+    expect(getRichTextQuestion(document.querySelector('.public-DraftEditor-content'))).toBe('Cover letter');
+  });
+
+  test('skips the toolbar and takes the heading above the editor', () => {
+    document.body.innerHTML = `
+      <div>
+        <h3>Why do you want to join us?</h3>
+        <div class="ql-toolbar"><button>B</button></div>
+        <div class="ql-container"><div class="ql-editor" contenteditable="true"></div></div>
+      </div>`;
+    expect(getRichTextQuestion(document.querySelector('.ql-editor'))).toBe('Why do you want to join us?');
+  });
+
+  test('returns null without any hint', () => {
+    document.body.innerHTML = '<div contenteditable="true"></div>';
+    expect(getRichTextQuestion(document.querySelector('[contenteditable]'))).toBeNull();
+  });
+});
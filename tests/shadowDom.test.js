@@ -0,0 +1,121 @@
+/**
+ * Tests for Shadow DOM helpers
+ * Web-component forms hide inputs behind open shadow roots
+ */
+
+// jsdom doesn't implement CSS.escape - ids used below are plain identifiers
+global.CSS = global.CSS || { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+
+// Extract helpers from content.js
+function deepQuerySelectorAll(selector, root = document) {
+  const results = [];
+
+  const visit = (node) => {
+    for (const element of node.querySelectorAll('*')) {
+      if (element.matches(selector)) {
+        results.push(element);
+      }
+      if (element.shadowRoot) {
+        visit(element.shadowRoot);
+      }
+    }
+  };
+
+  visit(root);
+  return results;
+}
+
+function deepQuerySelector(selector, root = document) {
+  const direct = root.querySelector(selector);
+  if (direct) return direct;
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      const found = deepQuerySelector(selector, element.shadowRoot);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function getElementByIdDeep(id, contextNode = document) {
+  if (!id) return null;
+
+  const root = contextNode.getRootNode ? contextNode.getRootNode() : document;
+  if (root !== document && root.getElementById) {
+    const inRoot = root.getElementById(id);
+    if (inRoot) return inRoot;
+  }
+
+  return document.getElementById(id) || deepQuerySelector(`[id="${CSS.escape(id)}"]`);
+}
+
+function findLabelForDeep(element, id = element.id) {
+  if (!id) return null;
+
+  const selector = `label[for="${CSS.escape(id)}"]`;
+  const root = element.getRootNode();
+  if (root !== document && root.querySelector) {
+    const inRoot = root.querySelector(selector);
+    if (inRoot) return inRoot;
+  }
+
+  return document.querySelector(selector);
+}
+
+function getParentAcrossShadow(node) {
+  if (node.parentElement) return node.parentElement;
+
+  const root = node.getRootNode ? node.getRootNode() : null;
+  return root && root.host ? root.host : null;
+}
+
+describe('Shadow DOM helpers', () => {
+  let host;
+  let shadow;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="light-name" name="light">
+      <my-field id="host"></my-field>
+      <input id="light-last">
+    `;
+    host = document.getElementById('host');
+    shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <label for="email">E-mail</label>
+      <input id="email" type="email">
+      <nested-field></nested-field>
+    `;
+    shadow.querySelector('nested-field').attachShadow({ mode: 'open' }).innerHTML = '<input id="phone" type="tel">';
+  });
+
+  test('deepQuerySelectorAll finds inputs in nested shadow roots in document order', () => {
+    const ids = deepQuerySelectorAll('input').map(el => el.id);
+    expect(ids).toEqual(['light-name', 'email', 'phone', 'light-last']);
+  });
+
+  test('deepQuerySelector returns null when nothing matches', () => {
+    expect(deepQuerySelector('textarea')).toBeNull();
+    expect(deepQuerySelector('#phone').type).toBe('tel');
+  });
+
+  test('findLabelForDeep resolves label[for] inside the same shadow root', () => {
+    const email = shadow.getElementById('email');
+    expect(findLabelForDeep(email).textContent).toBe('E-mail');
+    expect(findLabelForDeep(document.getElementById('light-name'))).toBeNull();
+  });
+
+  test('getElementByIdDeep prefers the context element root', () => {
+    const email = shadow.getElementById('email');
+    expect(getElementByIdDeep('email', email)).toBe(email);
+    expect(getElementByIdDeep('phone').id).toBe('phone');
+    expect(getElementByIdDeep('light-last', email).id).toBe('light-last');
+  });
+
+  test('getParentAcrossShadow climbs from shadow root to host', () => {
+    const email = shadow.getElementById('email');
+    expect(getParentAcrossShadow(email)).toBe(host);
+    expect(getParentAcrossShadow(host)).toBe(document.body);
+  });
+});
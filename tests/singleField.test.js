@@ -0,0 +1,104 @@
+/**
+ * Tests for single-field filling and the "missing fields only" re-fill
+ * Shortcut/context-menu targets resolve to the field, filled fields are left alone when re-filling
+ */
+
+// jsdom doesn't implement CSS.escape - names used below are plain identifiers
+global.CSS = global.CSS || { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+
+// Extract helpers from content.js
+const FORM_ELEMENTS_SELECTOR = 'input, textarea, select, button[aria-haspopup="dialog"], div[role="radiogroup"], [contenteditable]:not([contenteditable="false"])';
+
+function isRichTextEditor(element) {
+  if (!element || !element.isContentEditable || element.getAttribute('contenteditable') === null) return false;
+  // Iframe bodies (TinyMCE, CKEditor 4) are filled from the parent through their textarea
+  if (element === element.ownerDocument.body) return false;
+  // Nested editable nodes belong to the outer editor
+  return !element.parentElement || !element.parentElement.isContentEditable;
+}
+
+function resolveFieldElement(node) {
+  const element = node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  if (!element) return null;
+
+  if (element.isContentEditable) {
+    let root = element;
+    while (root.parentElement && root.parentElement.isContentEditable) {
+      root = root.parentElement;
+    }
+    return isRichTextEditor(root) ? root : null;
+  }
+
+  if (element.matches(FORM_ELEMENTS_SELECTOR) && !['submit', 'button', 'hidden', 'reset', 'image'].includes(element.type)) {
+    return element;
+  }
+  return element.closest('div[role="radiogroup"]');
+}
+
+function fieldHasValue(element) {
+  if (element.type === 'file') return !!(element.files && element.files.length > 0);
+  if (element.type === 'radio') {
+    return !!element.name && !!element.getRootNode().querySelector(`input[type="radio"][name="${CSS.escape(element.name)}"]:checked`);
+  }
+  if (element.type === 'checkbox') return element.checked || !element.required;
+  if (element.getAttribute('role') === 'radiogroup') return !!element.querySelector('[aria-checked="true"]');
+  if (element.isContentEditable) return element.textContent.trim() !== '';
+  return typeof element.value === 'string' && element.value.trim() !== '';
+}
+
+describe('resolveFieldElement', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <label for="city">Miasto</label><input id="city">
+      <button type="submit" id="send">Wyślij</button>
+      <div role="radiogroup" id="gender"><button role="radio" id="male"><span id="male-label">Mężczyzna</span></button></div>
+      <p id="text">Opis</p>`;
+  });
+
+  test('returns the focused input itself', () => {
+    expect(resolveFieldElement(document.getElementById('city')).id).toBe('city');
+  });
+
+  test('resolves a click inside a radio group to the group', () => {
+    expect(resolveFieldElement(document.getElementById('male-label')).id).toBe('gender');
+  });
+
+  test('ignores buttons, plain text and empty targets', () => {
+    expect(resolveFieldElement(document.getElementById('send'))).toBeNull();
+    expect(resolveFieldElement(document.getElementById('text').firstChild)).toBeNull();
+    expect(resolveFieldElement(null)).toBeNull();
+  });
+});
+
+describe('fieldHasValue', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="filled" value="Jan">
+      <input id="blank" value="  ">
+      <select id="select"><option value="">-- Wybierz --</option><option value="pl">Polska</option></select>
+      <input type="radio" name="remote" id="remote-yes"><input type="radio" name="remote" id="remote-no">
+      <input type="checkbox" id="newsletter">
+      <input type="checkbox" id="terms" required>`;
+  });
+
+  test('text and select fields need a non-empty value', () => {
+    expect(fieldHasValue(document.getElementById('filled'))).toBe(true);
+    expect(fieldHasValue(document.getElementById('blank'))).toBe(false);
+
+    const select = document.getElementById('select');
+    expect(fieldHasValue(select)).toBe(false);
+    select.value = 'pl';
+    expect(fieldHasValue(select)).toBe(true);
+  });
+
+  test('radio counts as answered once any radio of the group is checked', () => {
+    expect(fieldHasValue(document.getElementById('remote-yes'))).toBe(false);
+    document.getElementById('remote-no').checked = true;
+    expect(fieldHasValue(document.getElementById('remote-yes'))).toBe(true);
+  });
+
+  test('unticked checkbox is an answer unless required', () => {
+    expect(fieldHasValue(document.getElementById('newsletter'))).toBe(true);
+    expect(fieldHasValue(document.getElementById('terms'))).toBe(false);
+  });
+});
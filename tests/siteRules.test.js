@@ -0,0 +1,74 @@
+/**
+ * Tests for per-site rules
+ * Bare domains match subdomains, patterns with * or / are globs over host/path, first match wins
+ */
+
+// Extract helpers from content.js
+function matchesSitePattern(url, pattern) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  const cleanPattern = pattern.trim().toLowerCase().replace(/^https?:\/\//, '');
+  if (!cleanPattern) return false;
+
+  const host = parsed.hostname.toLowerCase();
+  if (!cleanPattern.includes('*') && !cleanPattern.includes('/')) {
+    return host === cleanPattern || host.endsWith(`.${cleanPattern}`);
+  }
+
+  const glob = cleanPattern.replace(/\/$/, '').split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  // "pracuj.pl/praca" also matches deeper pages like "pracuj.pl/praca/oferta,123"
+  const regex = new RegExp(`^${glob}${cleanPattern.endsWith('*') ? '' : '(?:[/?].*)?'}$`);
+  return regex.test(`${host}${parsed.pathname}${parsed.search}`.toLowerCase());
+}
+
+function findSiteRule(rules, url) {
+  return (rules || []).find(rule => rule && rule.pattern && matchesSitePattern(url, rule.pattern)) || null;
+}
+
+describe('matchesSitePattern', () => {
+  test('bare domain matches the domain and its subdomains', () => {
+    expect(matchesSitePattern('https://www.pracuj.pl/praca/oferta,123', 'pracuj.pl')).toBe(true);
+    expect(matchesSitePattern('https://pracuj.pl/', 'pracuj.pl')).toBe(true);
+    expect(matchesSitePattern('https://notpracuj.pl/', 'pracuj.pl')).toBe(false);
+  });
+
+  test('glob pattern matches host and path', () => {
+    const pattern = '*.myworkdayjobs.com/*/apply*';
+    expect(matchesSitePattern('https://acme.wd3.myworkdayjobs.com/en-US/careers/job/123/apply/applyManually', pattern)).toBe(true);
+    expect(matchesSitePattern('https://acme.wd3.myworkdayjobs.com/en-US/careers/job/123', pattern)).toBe(false);
+  });
+
+  test('path prefix without * matches deeper pages, protocol and case are ignored', () => {
+    expect(matchesSitePattern('https://JOBS.lever.co/acme/123/apply', 'https://jobs.lever.co/acme')).toBe(true);
+    expect(matchesSitePattern('https://jobs.lever.co/acmecorp', 'jobs.lever.co/acme')).toBe(false);
+    expect(matchesSitePattern('https://jobs.lever.co/acme', 'https://jobs.lever.co/acme')).toBe(true);
+    expect(matchesSitePattern('https://jobs.lever.co/acme/', 'jobs.lever.co/acme')).toBe(true);
+  });
+
+  test('invalid URL or empty pattern never matches', () => {
+    expect(matchesSitePattern('not a url', 'pracuj.pl')).toBe(false);
+    expect(matchesSitePattern('https://pracuj.pl/', '  ')).toBe(false);
+  });
+});
+
+describe('findSiteRule', () => {
+  const rules = [
+    { pattern: 'jobs.lever.co/acme*', mode: 'never' },
+    { pattern: 'lever.co', mode: 'auto', profile: 'EN', wizard: false },
+    { pattern: 'pracuj.pl', mode: 'ask' }
+  ];
+
+  test('first matching rule wins', () => {
+    expect(findSiteRule(rules, 'https://jobs.lever.co/acme/123').mode).toBe('never');
+    expect(findSiteRule(rules, 'https://jobs.lever.co/other/123').profile).toBe('EN');
+  });
+
+  test('returns null when nothing matches', () => {
+    expect(findSiteRule(rules, 'https://example.com/careers')).toBeNull();
+    expect(findSiteRule(undefined, 'https://pracuj.pl/')).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for value writing helpers
+ * Framework-controlled inputs override the instance's value property - the native setter must bypass it
+ */
+
+// Extract helpers from content.js
+function setNativeValue(element, value) {
+  const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+    : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+      : element instanceof HTMLInputElement ? HTMLInputElement.prototype
+        : null;
+  const nativeValueSetter = prototype && Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+  if (nativeValueSetter) {
+    nativeValueSetter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+function valueStuck(element, value) {
+  const normalize = text => String(text ?? '').replace(/[\s\-().]/g, '').toLowerCase();
+  if (element.type === 'number' && value !== '') {
+    return parseFloat(element.value) === parseFloat(value);
+  }
+  return normalize(element.value) === normalize(value);
+}
+
+describe('setNativeValue', () => {
+  test('bypasses an instance-level value override (React value tracker)', () => {
+    const input = document.createElement('input');
+    const nativeDescriptor = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value');
+    Object.defineProperty(input, 'value', {
+      get() { return nativeDescriptor.get.call(this); },
+      set() { /* swallowed by the framework */ },
+      configurable: true
+    });
+
+    input.value = 'lost';
+    expect(input.value).toBe('');
+
+    setNativeValue(input, 'Jan');
+    expect(input.value).toBe('Jan');
+  });
+
+  test('works for textarea and select', () => {
+    const textarea = document.createElement('textarea');
+    setNativeValue(textarea, 'List motywacyjny');
+    expect(textarea.value).toBe('List motywacyjny');
+
+    const select = document.createElement('select');
+    select.innerHTML = '<option value="pl">Polska</option><option value="de">Niemcy</option>';
+    setNativeValue(select, 'de');
+    expect(select.value).toBe('de');
+  });
+});
+
+describe('valueStuck', () => {
+  test('ignores formatting added by input masks', () => {
+    const input = document.createElement('input');
+    input.value = '+48 (123) 456-789';
+    expect(valueStuck(input, '+48123456789')).toBe(true);
+  });
+
+  test('detects a reverted value', () => {
+    const input = document.createElement('input');
+    expect(valueStuck(input, 'Kowalski')).toBe(false);
+  });
+
+  test('compares number inputs numerically', () => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = '15000.0';
+    expect(valueStuck(input, '15000')).toBe(true);
+  });
+});
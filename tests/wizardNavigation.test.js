@@ -0,0 +1,139 @@
+/**
+ * Tests for wizard mode navigation
+ * The wizard clicks Next/Dalej buttons and must never click anything that submits the application
+ */
+
+// jsdom has no layout - treat every attached element as visible
+Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+  configurable: true,
+  get() { return this.isConnected ? this.parentElement : null; }
+});
+
+// Extract helpers from content.js
+const WIZARD_NEXT_SELECTORS = [
+  '[data-automation-id="bottom-navigation-next-button"]',  // Workday
+  '[data-automation-id="pageFooterNextButton"]',            // Workday (older)
+  'button[data-qa="next-step"]',
+  'button[name="next"]'
+];
+
+const WIZARD_NEXT_KEYWORDS = ['next', 'continue', 'dalej', 'następny', 'następna', 'kontynuuj', 'przejdź dalej', 'weiter', 'siguiente'];
+
+const WIZARD_SUBMIT_KEYWORDS = ['submit', 'send', 'wyślij', 'aplikuj', 'apply', 'prześlij', 'złóż', 'zatwierdź', 'finish', 'zakończ', 'bewerben', 'absenden'];
+
+function deepQuerySelectorAll(selector, root = document) {
+  const results = [];
+
+  const visit = (node) => {
+    for (const element of node.querySelectorAll('*')) {
+      if (element.matches(selector)) {
+        results.push(element);
+      }
+      if (element.shadowRoot) {
+        visit(element.shadowRoot);
+      }
+    }
+  };
+
+  visit(root);
+  return results;
+}
+
+function getButtonText(button) {
+  return (button.textContent || button.value || button.getAttribute('aria-label') || '').trim();
+}
+
+function findWizardNextButton() {
+  const isUsable = (button) => button.offsetParent !== null &&
+    !button.disabled &&
+    button.getAttribute('aria-disabled') !== 'true' &&
+    !button.closest('#gemini-filler-overlay, #gemini-filler-summary-modal');
+
+  const isSubmit = (button) => {
+    const text = getButtonText(button).toLowerCase();
+    if (WIZARD_SUBMIT_KEYWORDS.some(keyword => text.includes(keyword))) return true;
+    // A submit-type button without a Next label ("OK", an icon) sends the form on the last step
+    const submitsForm = (button.tagName === 'BUTTON' || button.tagName === 'INPUT') && button.type === 'submit';
+    return submitsForm && !WIZARD_NEXT_KEYWORDS.some(keyword => text.includes(keyword));
+  };
+
+  for (const selector of WIZARD_NEXT_SELECTORS) {
+    const button = deepQuerySelectorAll(selector).find(isUsable);
+    if (button && !isSubmit(button)) {
+      return button;
+    }
+  }
+
+  const candidates = deepQuerySelectorAll('button, input[type="submit"], input[type="button"], a[role="button"], [role="button"]')
+    .filter(button => isUsable(button) && !isSubmit(button));
+
+  for (const button of candidates) {
+    const text = getButtonText(button).toLowerCase();
+    // Short labels only - long texts are usually content links mentioning "continue"
+    if (text.length > 0 && text.length <= 30 && WIZARD_NEXT_KEYWORDS.some(keyword => text.includes(keyword))) {
+      return button;
+    }
+  }
+
+  return null;
+}
+
+describe('findWizardNextButton', () => {
+  test('clicks Dalej and Next buttons', () => {
+    document.body.innerHTML = '<form><button type="button">Wstecz</button><button type="button">Dalej</button></form>';
+    expect(findWizardNextButton().textContent).toBe('Dalej');
+
+    document.body.innerHTML = '<form><button type="button">Back</button><button type="button">Next</button></form>';
+    expect(findWizardNextButton().textContent).toBe('Next');
+  });
+
+  test('accepts a submit-type button labelled as Next', () => {
+    document.body.innerHTML = '<form><button type="submit">Przejdź dalej</button></form>';
+    expect(findWizardNextButton().textContent).toBe('Przejdź dalej');
+
+    document.body.innerHTML = '<form><input type="submit" value="Continue"></form>';
+    expect(findWizardNextButton().value).toBe('Continue');
+  });
+
+  test('refuses Wyślij, Submit and Apply buttons', () => {
+    document.body.innerHTML = `
+      <form>
+        <button type="button">Wyślij</button>
+        <button type="button">Submit application</button>
+        <a role="button">Apply now</a>
+      </form>
+    `;
+    expect(findWizardNextButton()).toBeNull();
+  });
+
+  test('refuses a Submit button even on a known Next selector', () => {
+    document.body.innerHTML = '<button data-automation-id="bottom-navigation-next-button">Submit</button>';
+    expect(findWizardNextButton()).toBeNull();
+  });
+
+  test('refuses final type=submit buttons without a Next label', () => {
+    document.body.innerHTML = '<form><button type="submit">OK</button></form>';
+    expect(findWizardNextButton()).toBeNull();
+
+    document.body.innerHTML = '<form><input type="submit" value="Gotowe"></form>';
+    expect(findWizardNextButton()).toBeNull();
+
+    // Known Next selector, but nothing says it only moves to the next step
+    document.body.innerHTML = '<form><button name="next" type="submit">OK</button></form>';
+    expect(findWizardNextButton()).toBeNull();
+
+    // <button> inside a form submits by default
+    document.body.innerHTML = '<form><button>✓</button></form>';
+    expect(findWizardNextButton()).toBeNull();
+  });
+
+  test('picks Dalej next to a Wyślij button', () => {
+    document.body.innerHTML = '<form><button type="submit">Wyślij</button><button type="button">Dalej</button></form>';
+    expect(findWizardNextButton().textContent).toBe('Dalej');
+  });
+
+  test('skips disabled buttons', () => {
+    document.body.innerHTML = '<form><button type="button" disabled>Dalej</button></form>';
+    expect(findWizardNextButton()).toBeNull();
+  });
+});
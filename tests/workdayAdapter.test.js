@@ -0,0 +1,55 @@
+/**
+ * Tests for Workday adapter helpers
+ * CV dates are split into Workday's MM / YYYY spinbuttons, fields are recognised by automation id
+ */
+
+// Extract helpers from content.js (splitCvDate) and adapters.js (matchesWorkdayId)
+function splitCvDate(value) {
+  if (!value || /present|obecnie|now|teraz/i.test(value)) return null;
+
+  const match = String(value).match(/(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  if (!match) return null;
+
+  return {
+    year: match[1],
+    month: match[2] ? match[2].padStart(2, '0') : '01',
+    day: match[3] ? match[3].padStart(2, '0') : '01'
+  };
+}
+
+function matchesWorkdayId(element, ids) {
+  const automationId = element.getAttribute('data-automation-id') || '';
+  const id = element.id || '';
+  return ids.some(candidate => automationId === candidate || id === candidate || id.endsWith(`--${candidate}`));
+}
+
+describe('splitCvDate', () => {
+  test('splits YYYY-MM into zero-padded parts', () => {
+    expect(splitCvDate('2021-3')).toEqual({ year: '2021', month: '03', day: '01' });
+    expect(splitCvDate('2019-11-05')).toEqual({ year: '2019', month: '11', day: '05' });
+  });
+
+  test('year only defaults to January', () => {
+    expect(splitCvDate('2015')).toEqual({ year: '2015', month: '01', day: '01' });
+  });
+
+  test('present / invalid dates return null', () => {
+    expect(splitCvDate('present')).toBeNull();
+    expect(splitCvDate('obecnie')).toBeNull();
+    expect(splitCvDate('')).toBeNull();
+    expect(splitCvDate('wkrótce')).toBeNull();
+  });
+});
+
+describe('matchesWorkdayId', () => {
+  test('matches data-automation-id', () => {
+    document.body.innerHTML = '<input data-automation-id="legalNameSection_firstName">';
+    expect(matchesWorkdayId(document.querySelector('input'), ['legalNameSection_firstName', 'firstName'])).toBe(true);
+  });
+
+  test('matches newer "name--legalName--firstName" ids by suffix', () => {
+    document.body.innerHTML = '<input id="name--legalName--firstName">';
+    expect(matchesWorkdayId(document.querySelector('input'), ['firstName'])).toBe(true);
+    expect(matchesWorkdayId(document.querySelector('input'), ['lastName'])).toBe(false);
+  });
+});